@@ -0,0 +1,163 @@
+using FluentAssertions;
+using GlucoseAPI.Domain.Services;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Domain;
+
+/// <summary>
+/// Unit tests for <see cref="CgmImportParser"/>.
+/// These are pure domain logic tests with no I/O or mocks.
+/// </summary>
+public class CgmImportParserTests
+{
+    private const string LibreViewUs =
+        "Glucose Data,Generated on,03-05-2025 10:00 AM,Generated by,Jane Doe\n" +
+        "Device,Serial Number,Device Timestamp,Record Type,Historic Glucose mg/dL,Scan Glucose mg/dL,Notes\n" +
+        "FreeStyle LibreLink,ABC,03-04-2025 11:45 PM,0,120,,\n" +
+        "FreeStyle LibreLink,ABC,03-04-2025 11:50 PM,1,,135,\n" +
+        "FreeStyle LibreLink,ABC,03-04-2025 11:52 PM,6,,,\"Lunch, pasta\"\n" +
+        "FreeStyle LibreLink,ABC,03-05-2025 12:00 AM,0,110,,\n";
+
+    private const string LibreViewEu =
+        "Glucose Data;Generated on;05-03-2025 10:00;Generated by;Jan Kowalski\n" +
+        "Device;Serial Number;Device Timestamp;Record Type;Historic Glucose mmol/L;Scan Glucose mmol/L\n" +
+        "FreeStyle LibreLink;ABC;04-03-2025 13:15;0;6,7;\n" +
+        "FreeStyle LibreLink;ABC;04-03-2025 13:30;0;7,2;\n";
+
+    [Fact]
+    public void Parse_LibreViewUs_ReadsHistoricAndScanRowsOnly()
+    {
+        var result = CgmImportParser.Parse(LibreViewUs, TimeZoneInfo.Utc);
+
+        result.Error.Should().BeNull();
+        result.Source.Should().Be(CgmImportSource.LibreView);
+        result.Readings.Select(r => r.Value).Should().Equal(120, 135, 110);
+        result.Readings[0].Timestamp.Should().Be(new DateTime(2025, 3, 4, 23, 45, 0));
+        result.Readings[2].Timestamp.Should().Be(new DateTime(2025, 3, 5, 0, 0, 0));
+    }
+
+    [Fact]
+    public void Parse_LibreViewEuMmol_ConvertsToMgdl()
+    {
+        var result = CgmImportParser.Parse(LibreViewEu, TimeZoneInfo.Utc);
+
+        result.Error.Should().BeNull();
+        result.Readings.Select(r => r.Value).Should().Equal(121, 130);
+        result.Readings[0].Timestamp.Should().Be(new DateTime(2025, 3, 4, 13, 15, 0));
+        result.Warnings.Should().Contain(w => w.Contains("mmol/L"));
+    }
+
+    [Fact]
+    public void Parse_LibreView_ConvertsDeviceTimeToUtc()
+    {
+        var warsaw = TimeZoneInfo.FindSystemTimeZoneById("Europe/Warsaw");
+
+        var result = CgmImportParser.Parse(LibreViewEu, warsaw);
+
+        result.Readings[0].Timestamp.Should().Be(new DateTime(2025, 3, 4, 12, 15, 0));
+    }
+
+    [Fact]
+    public void Parse_LibreView_SkipsOutOfRangeAndUnreadableRows()
+    {
+        var content =
+            "Device,Serial Number,Device Timestamp,Record Type,Historic Glucose mg/dL,Scan Glucose mg/dL\n" +
+            "Libre,ABC,03-04-2025 10:00 AM,0,5,\n" +
+            "Libre,ABC,not a date,0,120,\n" +
+            "Libre,ABC,03-04-2025 10:15 AM,0,,\n" +
+            "Libre,ABC,03-04-2025 10:30 AM,0,140,\n";
+
+        var result = CgmImportParser.Parse(content, TimeZoneInfo.Utc);
+
+        result.Readings.Should().ContainSingle().Which.Value.Should().Be(140);
+        result.SkippedRows.Should().Be(3);
+    }
+
+    [Theory]
+    [InlineData(new[] { "04-03-2025 13:15" }, true)]
+    [InlineData(new[] { "03-13-2025 01:15 PM" }, false)]
+    [InlineData(new[] { "03-04-2025 01:15 PM" }, false)]
+    [InlineData(new[] { "03-04-2025 13:15" }, true)]
+    public void DetectDayFirst_UsesComponentsAboveTwelveThenClockStyle(string[] timestamps, bool expected)
+    {
+        CgmImportParser.DetectDayFirst(timestamps).Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData("2025-03-04 13:15", 2025, 3, 4, 13, 15)]
+    [InlineData("03/04/25 12:05 AM", 2025, 3, 4, 0, 5)]
+    [InlineData("03/04/2025 12:05 PM", 2025, 3, 4, 12, 5)]
+    public void ParseDeviceTimestamp_ReadsCommonLayouts(string text, int year, int month, int day, int hour, int minute)
+    {
+        CgmImportParser.ParseDeviceTimestamp(text, dayFirst: false)
+            .Should().Be(new DateTime(year, month, day, hour, minute, 0));
+    }
+
+    [Fact]
+    public void ParseDeviceTimestamp_InvalidDate_ReturnsNull()
+    {
+        CgmImportParser.ParseDeviceTimestamp("31-02-2025 10:00", dayFirst: true).Should().BeNull();
+    }
+
+    [Fact]
+    public void Parse_NightscoutArray_ReadsSgvEntriesOnly()
+    {
+        var content = """
+            [
+              { "type": "sgv", "sgv": 142, "date": 1741091400000, "direction": "FortyFiveUp" },
+              { "type": "mbg", "mbg": 150, "date": 1741091500000 },
+              { "type": "sgv", "sgv": 138, "dateString": "2025-03-04T12:25:00.000Z", "direction": "Flat" }
+            ]
+            """;
+
+        var result = CgmImportParser.Parse(content, TimeZoneInfo.Utc);
+
+        result.Source.Should().Be(CgmImportSource.Nightscout);
+        result.Readings.Should().HaveCount(2);
+        result.Readings[0].Should().Be(new ImportedReading(new DateTime(2025, 3, 4, 12, 25, 0, DateTimeKind.Utc), 138, 3));
+        result.Readings[1].Should().Be(new ImportedReading(new DateTime(2025, 3, 4, 12, 30, 0, DateTimeKind.Utc), 142, 4));
+    }
+
+    [Fact]
+    public void Parse_NightscoutNdjson_ReadsOneDocumentPerLine()
+    {
+        var content =
+            "{\"type\":\"sgv\",\"sgv\":100,\"date\":{\"$numberLong\":\"1741091400000\"}}\n" +
+            "{\"type\":\"sgv\",\"sgv\":\"bad\",\"date\":1741091700000}\n";
+
+        var result = CgmImportParser.Parse(content, TimeZoneInfo.Utc);
+
+        result.Readings.Should().ContainSingle().Which.Value.Should().Be(100);
+        result.SkippedRows.Should().Be(1);
+    }
+
+    [Theory]
+    [InlineData("DoubleDown", 1)]
+    [InlineData("SingleDown", 1)]
+    [InlineData("FortyFiveDown", 2)]
+    [InlineData("Flat", 3)]
+    [InlineData("FortyFiveUp", 4)]
+    [InlineData("DoubleUp", 5)]
+    [InlineData("NOT COMPUTABLE", 0)]
+    [InlineData(null, 0)]
+    public void TrendArrowFromNightscout_MapsDirections(string? direction, int expected)
+    {
+        CgmImportParser.TrendArrowFromNightscout(direction).Should().Be(expected);
+    }
+
+    [Fact]
+    public void Parse_UnknownContent_Fails()
+    {
+        var result = CgmImportParser.Parse("hello,world\n1,2\n", TimeZoneInfo.Utc);
+
+        result.Error.Should().NotBeNull();
+        result.Source.Should().BeNull();
+    }
+
+    [Fact]
+    public void SplitCsvLine_HonoursQuotes()
+    {
+        CgmImportParser.SplitCsvLine("a,\"b,c\",\"say \"\"hi\"\"\",")
+            .Should().Equal("a", "b,c", "say \"hi\"", "");
+    }
+}
@@ -0,0 +1,91 @@
+using FluentAssertions;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Domain;
+
+/// <summary>
+/// Unit tests for <see cref="EventEditCalculator"/>.
+/// These are pure domain logic tests with no I/O or mocks.
+/// </summary>
+public class EventEditCalculatorTests
+{
+    private static readonly DateTime Now = new(2025, 3, 4, 18, 0, 0, DateTimeKind.Utc);
+    private static readonly DateTime Ts = new(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+
+    // ── Validate ─────────────────────────────────────────────
+
+    [Fact]
+    public void Validate_EditWithWindowOverride_IsValid()
+    {
+        var edit = new EventEdit("Lunch", null, Ts, Ts.AddMinutes(-30), Ts.AddHours(5));
+
+        EventEditCalculator.Validate(edit, Now).Should().BeNull();
+    }
+
+    [Fact]
+    public void Validate_EmptyTitle_Fails()
+    {
+        EventEditCalculator.Validate(new EventEdit(" ", null, Ts), Now).Should().NotBeNull();
+    }
+
+    [Fact]
+    public void Validate_FutureTime_Fails()
+    {
+        EventEditCalculator.Validate(new EventEdit("Lunch", null, Now.AddHours(1)), Now).Should().NotBeNull();
+    }
+
+    [Theory]
+    [InlineData(1, 4)]    // starts after the event
+    [InlineData(-3, 0)]   // ends at the event
+    [InlineData(-1, 24)]  // longer than 24 hours
+    public void Validate_InvalidWindow_Fails(int startHours, int endHours)
+    {
+        var edit = new EventEdit("Lunch", null, Ts, Ts.AddHours(startHours), Ts.AddHours(endHours));
+
+        EventEditCalculator.Validate(edit, Now).Should().NotBeNull();
+    }
+
+    [Fact]
+    public void Validate_OnlyOneWindowEnd_Fails()
+    {
+        EventEditCalculator.Validate(new EventEdit("Lunch", null, Ts, PeriodStart: Ts.AddHours(-1)), Now)
+            .Should().NotBeNull();
+    }
+
+    // ── Diff ─────────────────────────────────────────────────
+
+    [Fact]
+    public void Diff_ListsChangedFieldsInOrder()
+    {
+        var before = new EventValues(Ts, Ts.AddHours(-3), Ts.AddHours(4), "Obiad", "zupa");
+        var after = before with { EventTimestamp = Ts.AddMinutes(-40), Content = "zupa i deser" };
+
+        var changes = EventEditCalculator.Diff(before, after);
+
+        changes.Should().Equal(
+            new EventFieldChange(GlucoseEventEditFields.EventTimestamp, "2025-03-04T12:00:00Z", "2025-03-04T11:20:00Z"),
+            new EventFieldChange(GlucoseEventEditFields.Content, "zupa", "zupa i deser"));
+    }
+
+    [Fact]
+    public void Diff_SameValues_IsEmpty()
+    {
+        var values = new EventValues(Ts, Ts.AddHours(-3), Ts.AddHours(4), "Obiad", null);
+
+        EventEditCalculator.Diff(values, values with { }).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Describe_ShowsTimeChangeAndFieldNames()
+    {
+        var changes = new List<EventFieldChange>
+        {
+            new(GlucoseEventEditFields.EventTimestamp, "2025-03-04T12:40:00Z", "2025-03-04T12:00:00Z"),
+            new(GlucoseEventEditFields.Title, "Obiad", "Lunch"),
+        };
+
+        EventEditCalculator.Describe(changes).Should().Be("time 12:40 → 12:00 UTC, title");
+    }
+}
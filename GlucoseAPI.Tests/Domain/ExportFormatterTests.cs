@@ -0,0 +1,139 @@
+using FluentAssertions;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Domain;
+
+/// <summary>
+/// Unit tests for <see cref="ExportFormatter"/>.
+/// These are pure domain logic tests with no I/O or mocks.
+/// </summary>
+public class ExportFormatterTests
+{
+    private static readonly DateTime Time = new(2025, 3, 4, 12, 30, 0);
+
+    [Theory]
+    [InlineData(null, "")]
+    [InlineData("plain", "plain")]
+    [InlineData("a,b", "\"a,b\"")]
+    [InlineData("say \"hi\"", "\"say \"\"hi\"\"\"")]
+    [InlineData("two\nlines", "\"two\nlines\"")]
+    public void CsvField_QuotesOnlyWhenNeeded(string? value, string expected)
+    {
+        ExportFormatter.CsvField(value).Should().Be(expected);
+    }
+
+    [Fact]
+    public void CsvLine_FormatsNumbersAndDatesInvariantly()
+    {
+        var line = ExportFormatter.CsvLine(new object?[] { 1, 123.5, Time, true, null });
+
+        line.Should().Be("1,123.5,2025-03-04T12:30:00Z,true,");
+    }
+
+    [Theory]
+    [InlineData("fish & chips <3", "fish &amp; chips &lt;3")]
+    [InlineData("bell\u0007 and\u000Bvtab", "bell andvtab")]
+    [InlineData("tab\tand\nline", "tab\tand\nline")]
+    [InlineData("emoji \U0001F355", "emoji \U0001F355")]
+    public void XmlText_EscapesAndDropsCharactersXmlCannotHold(string value, string expected)
+    {
+        ExportFormatter.XmlText(value).Should().Be(expected);
+    }
+
+    [Fact]
+    public void XmlText_DropsLoneSurrogates()
+    {
+        ExportFormatter.XmlText("cut \uD83C off").Should().Be("cut  off");
+    }
+
+    [Theory]
+    [InlineData(1, "SingleDown")]
+    [InlineData(2, "FortyFiveDown")]
+    [InlineData(3, "Flat")]
+    [InlineData(4, "FortyFiveUp")]
+    [InlineData(5, "SingleUp")]
+    [InlineData(0, "NONE")]
+    public void NightscoutDirection_MapsTrendArrows(int arrow, string expected)
+    {
+        ExportFormatter.NightscoutDirection(arrow).Should().Be(expected);
+    }
+
+    [Fact]
+    public void ToNightscoutEntry_MapsReading()
+    {
+        var entry = ExportFormatter.ToNightscoutEntry(
+            new GlucoseReading { Value = 142.6, Timestamp = Time, TrendArrow = 4 });
+
+        entry.Type.Should().Be("sgv");
+        entry.Sgv.Should().Be(143);
+        entry.Date.Should().Be(new DateTimeOffset(2025, 3, 4, 12, 30, 0, TimeSpan.Zero).ToUnixTimeMilliseconds());
+        entry.DateString.Should().Be("2025-03-04T12:30:00Z");
+        entry.Direction.Should().Be("FortyFiveUp");
+    }
+
+    [Fact]
+    public void ToNightscoutTreatment_CombinesNoteAndAnalysis()
+    {
+        var treatment = ExportFormatter.ToNightscoutTreatment(new GlucoseEvent
+        {
+            NoteTitle = "Lunch",
+            NoteContent = "Pasta ",
+            AiAnalysis = "Moderate spike.",
+            EventTimestamp = Time,
+            GlucoseAtEvent = 110.4
+        });
+
+        treatment.EventType.Should().Be("Note");
+        treatment.CreatedAt.Should().Be("2025-03-04T12:30:00Z");
+        treatment.Notes.Should().Be("Lunch\n\nPasta\n\nModerate spike.");
+        treatment.Glucose.Should().Be(110);
+        treatment.Units.Should().Be("mg/dl");
+    }
+
+    [Fact]
+    public void ToNightscoutTreatment_WithoutGlucose_LeavesGlucoseFieldsEmpty()
+    {
+        var treatment = ExportFormatter.ToNightscoutTreatment(new GlucoseEvent { NoteTitle = "Walk", EventTimestamp = Time });
+
+        treatment.Notes.Should().Be("Walk");
+        treatment.Glucose.Should().BeNull();
+        treatment.GlucoseType.Should().BeNull();
+        treatment.Units.Should().BeNull();
+    }
+
+    [Fact]
+    public void ToFhirObservation_UsesLoincAndUcum()
+    {
+        var obs = ExportFormatter.ToFhirObservation(
+            new GlucoseReading { Id = 7, Value = 98, Timestamp = Time, PatientId = "p-1" });
+
+        obs["resourceType"]!.GetValue<string>().Should().Be("Observation");
+        obs["id"]!.GetValue<string>().Should().Be("glucose-7");
+        obs["code"]!["coding"]![0]!["system"]!.GetValue<string>().Should().Be("http://loinc.org");
+        obs["code"]!["coding"]![0]!["code"]!.GetValue<string>().Should().Be(ExportFormatter.LoincInterstitialGlucose);
+        obs["effectiveDateTime"]!.GetValue<string>().Should().Be("2025-03-04T12:30:00Z");
+        obs["valueQuantity"]!["value"]!.GetValue<double>().Should().Be(98);
+        obs["valueQuantity"]!["code"]!.GetValue<string>().Should().Be("mg/dL");
+        obs["subject"]!["identifier"]!["value"]!.GetValue<string>().Should().Be("p-1");
+        obs.ContainsKey("interpretation").Should().BeFalse();
+    }
+
+    [Fact]
+    public void ToFhirObservation_FlagsLowReading()
+    {
+        var obs = ExportFormatter.ToFhirObservation(
+            new GlucoseReading { Id = 1, Value = 60, Timestamp = Time, IsLow = true });
+
+        obs["interpretation"]![0]!["coding"]![0]!["code"]!.GetValue<string>().Should().Be("L");
+        obs.ContainsKey("subject").Should().BeFalse();
+    }
+
+    [Fact]
+    public void ToMmol_RoundsToOneDecimal()
+    {
+        ExportFormatter.ToMmol(180).Should().Be(10.0);
+        ExportFormatter.ToMmol(70).Should().Be(3.9);
+    }
+}
@@ -0,0 +1,126 @@
+using FluentAssertions;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Domain;
+
+/// <summary>
+/// Unit tests for <see cref="GlucoseForecaster"/>.
+/// These are pure domain logic tests with no I/O or mocks.
+/// </summary>
+public class GlucoseForecasterTests
+{
+    private static readonly DateTime Now = new(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+
+    [Fact]
+    public void Forecast_NoReadings_ReturnsNull()
+    {
+        GlucoseForecaster.Forecast(Array.Empty<GlucoseReading>()).Should().BeNull();
+    }
+
+    [Fact]
+    public void Forecast_SingleReadingWithUnknownArrow_ReturnsNull()
+    {
+        var readings = new[] { CreateReading(120, Now, trendArrow: 0) };
+
+        GlucoseForecaster.Forecast(readings).Should().BeNull();
+    }
+
+    [Fact]
+    public void Forecast_SingleReading_UsesTrendArrowRate()
+    {
+        var readings = new[] { CreateReading(120, Now, trendArrow: 4) };
+
+        var result = GlucoseForecaster.Forecast(readings);
+
+        result.Should().NotBeNull();
+        result!.RatePerMinute.Should().Be(1.5);
+        result.Points.Should().OnlyContain(p => p.Value > 120);
+    }
+
+    [Fact]
+    public void Forecast_SteadyReadings_StaysFlatWithWideningCone()
+    {
+        var readings = Series(100, ratePerMinute: 0, trendArrow: 3);
+
+        var result = GlucoseForecaster.Forecast(readings, horizonMinutes: 60, stepMinutes: 5);
+
+        result.Should().NotBeNull();
+        result!.Points.Should().HaveCount(12);
+        result.Points.Should().OnlyContain(p => p.Value == 100);
+        result.Points.First().Timestamp.Should().Be(Now.AddMinutes(5));
+        result.Points.Last().MinutesAhead.Should().Be(60);
+        (result.Points.Last().Upper - result.Points.Last().Lower)
+            .Should().BeGreaterThan(result.Points.First().Upper - result.Points.First().Lower);
+        result.MinutesToLow.Should().BeNull();
+    }
+
+    [Fact]
+    public void Forecast_FallingFast_PredictsLowWithDamping()
+    {
+        // 195 → 120 over the last 30 min: -2.5 mg/dL/min, matching the "falling fast" arrow
+        var readings = Series(120, ratePerMinute: -2.5, trendArrow: 1);
+
+        var result = GlucoseForecaster.Forecast(readings);
+
+        result!.RatePerMinute.Should().Be(-2.5);
+        result.ReadingsUsed.Should().Be(7);
+        // Damped: 30 min at -2.5/min drops ~47 mg/dL rather than 75
+        result.Points.Single(p => p.MinutesAhead == 30).Value.Should().BeApproximately(72.6, 0.1);
+        result.MinutesToLow.Should().Be(35);
+        result.LowThreshold.Should().Be(70);
+    }
+
+    [Fact]
+    public void Forecast_AlreadyLow_DoesNotPredictLow()
+    {
+        var readings = Series(65, ratePerMinute: -1, trendArrow: 2);
+
+        var result = GlucoseForecaster.Forecast(readings);
+
+        result!.MinutesToLow.Should().BeNull();
+    }
+
+    [Fact]
+    public void Forecast_IgnoresReadingsOutsideLookback()
+    {
+        var readings = new List<GlucoseReading>
+        {
+            CreateReading(300, Now.AddMinutes(-120), trendArrow: 3),
+            CreateReading(100, Now.AddMinutes(-10), trendArrow: 3),
+            CreateReading(100, Now, trendArrow: 3)
+        };
+
+        var result = GlucoseForecaster.Forecast(readings);
+
+        result!.ReadingsUsed.Should().Be(2);
+        result.RatePerMinute.Should().Be(0);
+    }
+
+    [Fact]
+    public void Forecast_ClampsToSensorRange()
+    {
+        var readings = Series(60, ratePerMinute: -2.5, trendArrow: 1);
+
+        var result = GlucoseForecaster.Forecast(readings);
+
+        result!.Points.Should().OnlyContain(p => p.Lower >= 40 && p.Value >= 40);
+    }
+
+    // ── Helpers ──────────────────────────────────────────────
+
+    // Readings every 5 minutes over the last 30 minutes, ending at `latest` at Now
+    private static List<GlucoseReading> Series(double latest, double ratePerMinute, int trendArrow) =>
+        Enumerable.Range(0, 7)
+            .Select(i => CreateReading(latest - ratePerMinute * (30 - i * 5), Now.AddMinutes(-30 + i * 5), trendArrow))
+            .ToList();
+
+    private static GlucoseReading CreateReading(double value, DateTime timestamp, int trendArrow) => new()
+    {
+        Value = value,
+        Timestamp = DateTime.SpecifyKind(timestamp, DateTimeKind.Utc),
+        TrendArrow = trendArrow,
+        CreatedAt = DateTime.UtcNow
+    };
+}
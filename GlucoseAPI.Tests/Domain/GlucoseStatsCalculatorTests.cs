@@ -192,6 +192,44 @@ public class GlucoseStatsCalculatorTests
         result.ReadingCount.Should().Be(10);
     }
 
+    [Fact]
+    public void ComputeDayStats_CustomRange_ClassifiesAgainstProfile()
+    {
+        var baseTime = new DateTime(2025, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+        var readings = new List<GlucoseReading>
+        {
+            CreateReading(75, baseTime),                  // below custom 80
+            CreateReading(120, baseTime.AddMinutes(5)),
+            CreateReading(150, baseTime.AddMinutes(10)),
+            CreateReading(165, baseTime.AddMinutes(15)),  // above custom 160
+        };
+        var ranges = TargetRangeProfile.Standard with { Day = new GlucoseTargetRange(60, 80, 160, 220) };
+
+        var result = GlucoseStatsCalculator.ComputeDayStats(readings, ranges);
+
+        result.TimeBelowRange.Should().Be(25);
+        result.TimeInRange.Should().Be(50);
+        result.TimeAboveRange.Should().Be(25);
+    }
+
+    [Fact]
+    public void ComputeDayStats_NightRange_AppliesAcrossMidnight()
+    {
+        var ranges = TargetRangeProfile.Standard with { Night = new GlucoseTargetRange(54, 90, 140, 250) };
+        var readings = new List<GlucoseReading>
+        {
+            CreateReading(160, new DateTime(2025, 1, 1, 23, 0, 0, DateTimeKind.Utc)), // night → above 140
+            CreateReading(160, new DateTime(2025, 1, 2, 3, 0, 0, DateTimeKind.Utc)),  // night → above 140
+            CreateReading(160, new DateTime(2025, 1, 2, 12, 0, 0, DateTimeKind.Utc)), // day → in range
+            CreateReading(80, new DateTime(2025, 1, 2, 13, 0, 0, DateTimeKind.Utc)),  // day → in range
+        };
+
+        var result = GlucoseStatsCalculator.ComputeDayStats(readings, ranges);
+
+        result.TimeAboveRange.Should().Be(50);
+        result.TimeInRange.Should().Be(50);
+    }
+
     [Fact]
     public void ComputeDayStats_CalculatesStdDev_Correctly()
     {
@@ -227,6 +265,114 @@ public class GlucoseStatsCalculatorTests
         result.LastReadingUtc.Should().Be(last);
     }
 
+    // ────────────────────────────────────────────────────────────
+    // ComputeTimeInRangeBands / ComputeVariability
+    // ────────────────────────────────────────────────────────────
+
+    [Fact]
+    public void ComputeTimeInRangeBands_EmptyReadings_ReturnsEmpty()
+    {
+        GlucoseStatsCalculator.ComputeTimeInRangeBands(Array.Empty<GlucoseReading>())
+            .Should().Be(TimeInRangeBands.Empty);
+    }
+
+    [Fact]
+    public void ComputeTimeInRangeBands_SplitsReadingsIntoConsensusBands()
+    {
+        var t = new DateTime(2025, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+        var readings = new List<GlucoseReading>
+        {
+            CreateReading(50, t),                 // < 54
+            CreateReading(54, t.AddMinutes(5)),   // 54–69
+            CreateReading(70, t.AddMinutes(10)),  // 70–180 (inclusive)
+            CreateReading(180, t.AddMinutes(15)), // 70–180 (inclusive)
+            CreateReading(250, t.AddMinutes(20)), // 181–250
+            CreateReading(251, t.AddMinutes(25)), // > 250
+        };
+
+        var result = GlucoseStatsCalculator.ComputeTimeInRangeBands(readings);
+
+        result.VeryLow.Should().Be(16.7);
+        result.Low.Should().Be(16.7);
+        result.InRange.Should().Be(33.3);
+        result.High.Should().Be(16.7);
+        result.VeryHigh.Should().Be(16.7);
+    }
+
+    [Fact]
+    public void ComputeVariability_CalculatesCvGmiAndEstimatedA1C()
+    {
+        var t = new DateTime(2025, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+        var readings = new List<GlucoseReading>
+        {
+            CreateReading(100, t),
+            CreateReading(200, t.AddMinutes(5)),
+        };
+
+        var result = GlucoseStatsCalculator.ComputeVariability(readings);
+
+        result.Mean.Should().Be(150);
+        result.StdDev.Should().Be(50);                   // population SD
+        result.CoefficientOfVariation.Should().Be(33.3); // 50 / 150
+        result.Gmi.Should().Be(6.9);                     // 3.31 + 0.02392 × 150 = 6.898
+        result.EstimatedA1C.Should().Be(6.9);            // (150 + 46.7) / 28.7 = 6.854
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // ComputeAgp
+    // ────────────────────────────────────────────────────────────
+
+    [Fact]
+    public void ComputeAgp_EmptyReadings_ReturnsNoSlots()
+    {
+        var result = GlucoseStatsCalculator.ComputeAgp(Array.Empty<GlucoseReading>(), TimeZoneInfo.Utc);
+
+        result.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void ComputeAgp_FoldsDaysOntoSingleModalDay()
+    {
+        var day = new DateTime(2025, 1, 1, 8, 5, 0, DateTimeKind.Utc);
+        var readings = new[] { 100.0, 110, 120, 130, 140 }
+            .Select((v, i) => CreateReading(v, day.AddDays(i)))
+            .ToList();
+
+        var result = GlucoseStatsCalculator.ComputeAgp(readings, TimeZoneInfo.Utc);
+
+        var slot = result.Single(s => s.MinuteOfDay == 8 * 60);
+        slot.ReadingCount.Should().Be(5);
+        slot.P50.Should().Be(120);
+        slot.P25.Should().Be(110);
+        slot.P75.Should().Be(130);
+        result.Should().NotContain(s => s.MinuteOfDay == 12 * 60);
+    }
+
+    [Fact]
+    public void ComputeAgp_WindowWrapsAroundMidnight()
+    {
+        var readings = new List<GlucoseReading>
+        {
+            CreateReading(150, new DateTime(2025, 1, 1, 23, 55, 0, DateTimeKind.Utc))
+        };
+
+        var result = GlucoseStatsCalculator.ComputeAgp(readings, TimeZoneInfo.Utc);
+
+        result.Should().Contain(s => s.MinuteOfDay == 0 && s.P50 == 150);
+    }
+
+    [Theory]
+    [InlineData(0, 10)]
+    [InlineData(25, 17.5)]
+    [InlineData(50, 25)]
+    [InlineData(100, 40)]
+    public void Percentile_InterpolatesBetweenRanks(double percentile, double expected)
+    {
+        var sorted = new List<double> { 10, 20, 30, 40 };
+
+        GlucoseStatsCalculator.Percentile(sorted, percentile).Should().Be(expected);
+    }
+
     // ────────────────────────────────────────────────────────────
     // NullableDoubleEquals
     // ────────────────────────────────────────────────────────────
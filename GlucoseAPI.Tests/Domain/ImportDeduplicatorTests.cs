@@ -0,0 +1,75 @@
+using FluentAssertions;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Domain;
+
+/// <summary>
+/// Unit tests for <see cref="ImportDeduplicator"/>.
+/// These are pure domain logic tests with no I/O or mocks.
+/// </summary>
+public class ImportDeduplicatorTests
+{
+    private static readonly DateTime T0 = new(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+
+    private static ImportedReading Imported(int minutes, double value) => new(T0.AddMinutes(minutes), value, 0);
+
+    private static GlucoseReading Stored(int id, int minutes, double value) =>
+        new() { Id = id, Timestamp = T0.AddMinutes(minutes), Value = value };
+
+    [Fact]
+    public void Plan_NoStoredReadings_EverythingIsNew()
+    {
+        var plan = ImportDeduplicator.Plan(new[] { Imported(0, 100), Imported(15, 110) }, Array.Empty<GlucoseReading>());
+
+        plan.NewReadings.Should().HaveCount(2);
+        plan.Duplicates.Should().Be(0);
+        plan.Conflicts.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Plan_SameValueWithinTolerance_IsDuplicate()
+    {
+        var plan = ImportDeduplicator.Plan(
+            new[] { Imported(1, 100.4) },
+            new[] { Stored(1, 0, 100) });
+
+        plan.NewReadings.Should().BeEmpty();
+        plan.Duplicates.Should().Be(1);
+    }
+
+    [Fact]
+    public void Plan_DifferentValueWithinTolerance_IsConflictWithNearestStoredReading()
+    {
+        var plan = ImportDeduplicator.Plan(
+            new[] { Imported(5, 140) },
+            new[] { Stored(1, 3, 120), Stored(2, 6, 125) });
+
+        plan.Conflicts.Should().ContainSingle();
+        plan.Conflicts[0].ExistingId.Should().Be(2);
+        plan.Conflicts[0].ExistingValue.Should().Be(125);
+        plan.Conflicts[0].Imported.Value.Should().Be(140);
+    }
+
+    [Fact]
+    public void Plan_StoredReadingOutsideTolerance_IsNew()
+    {
+        var plan = ImportDeduplicator.Plan(
+            new[] { Imported(0, 100) },
+            new[] { Stored(1, ImportDeduplicator.ToleranceMinutes + 1, 100) });
+
+        plan.NewReadings.Should().ContainSingle();
+    }
+
+    [Fact]
+    public void Plan_RepeatsWithinFile_CollapseToFirst()
+    {
+        var plan = ImportDeduplicator.Plan(
+            new[] { Imported(0, 100), Imported(1, 104), Imported(15, 110) },
+            Array.Empty<GlucoseReading>());
+
+        plan.NewReadings.Select(r => r.Value).Should().Equal(100, 110);
+        plan.RepeatedInFile.Should().Be(1);
+    }
+}
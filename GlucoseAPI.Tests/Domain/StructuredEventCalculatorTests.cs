@@ -0,0 +1,148 @@
+using FluentAssertions;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Domain;
+
+/// <summary>
+/// Unit tests for <see cref="StructuredEventCalculator"/>.
+/// These are pure domain logic tests with no I/O or mocks.
+/// </summary>
+public class StructuredEventCalculatorTests
+{
+    // ── Validate ─────────────────────────────────────────────
+
+    [Fact]
+    public void Validate_MealWithCarbsAndBolus_IsValid()
+    {
+        var error = StructuredEventCalculator.Validate(GlucoseEventTypes.Meal,
+            new EventDetails(InsulinKind: "bolus", InsulinUnits: 4, CarbsGrams: 45));
+
+        error.Should().BeNull();
+    }
+
+    [Fact]
+    public void Validate_PlainMeal_IsValid()
+    {
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Meal, new EventDetails()).Should().BeNull();
+    }
+
+    [Theory]
+    [InlineData(GlucoseEventTypes.Insulin)]
+    [InlineData(GlucoseEventTypes.Carbs)]
+    [InlineData(GlucoseEventTypes.Exercise)]
+    [InlineData(GlucoseEventTypes.Sleep)]
+    public void Validate_TypeWithoutItsValue_Fails(string eventType)
+    {
+        StructuredEventCalculator.Validate(eventType, new EventDetails()).Should().NotBeNull();
+    }
+
+    [Fact]
+    public void Validate_InsulinWithoutKnownKind_Fails()
+    {
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Insulin, new EventDetails(InsulinUnits: 4))
+            .Should().NotBeNull();
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Insulin, new EventDetails("rapid", 4))
+            .Should().NotBeNull();
+    }
+
+    [Fact]
+    public void Validate_OutOfRangeValues_Fail()
+    {
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Insulin, new EventDetails("bolus", 0)).Should().NotBeNull();
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Insulin, new EventDetails("bolus", 150)).Should().NotBeNull();
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Carbs, new EventDetails(CarbsGrams: -5)).Should().NotBeNull();
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Sleep, new EventDetails(DurationMinutes: 2000)).Should().NotBeNull();
+        StructuredEventCalculator.Validate(GlucoseEventTypes.Exercise, new EventDetails(DurationMinutes: 30, Intensity: "extreme"))
+            .Should().NotBeNull();
+    }
+
+    // ── Describe ─────────────────────────────────────────────
+
+    [Fact]
+    public void Describe_NoteEventWithoutDetails_ReturnsNull()
+    {
+        StructuredEventCalculator.Describe(new GlucoseEvent { NoteTitle = "Lunch" }).Should().BeNull();
+    }
+
+    [Fact]
+    public void Describe_MealWithBolusAndCarbs()
+    {
+        var evt = new GlucoseEvent
+        {
+            EventType = GlucoseEventTypes.Meal,
+            InsulinKind = GlucoseEventTypes.Bolus,
+            InsulinUnits = 4.5,
+            CarbsGrams = 45
+        };
+
+        StructuredEventCalculator.Describe(evt).Should().Be("Bolus insulin: 4.5 U · Carbs: 45 g");
+    }
+
+    [Fact]
+    public void Describe_ExerciseAndSleep()
+    {
+        var exercise = new GlucoseEvent
+        {
+            EventType = GlucoseEventTypes.Exercise,
+            ExerciseKind = "running",
+            DurationMinutes = 30,
+            Intensity = GlucoseEventTypes.Moderate
+        };
+        var sleep = new GlucoseEvent { EventType = GlucoseEventTypes.Sleep, DurationMinutes = 450 };
+
+        StructuredEventCalculator.Describe(exercise).Should().Be("Exercise: running, 30 min, moderate intensity");
+        StructuredEventCalculator.Describe(sleep).Should().Be("Sleep: 7 h 30 min");
+    }
+
+    // ── ComputeTotals ────────────────────────────────────────
+
+    [Fact]
+    public void ComputeTotals_AddsUpEachKind()
+    {
+        var events = new[]
+        {
+            new GlucoseEvent { EventType = GlucoseEventTypes.Meal, InsulinKind = "bolus", InsulinUnits = 4, CarbsGrams = 45 },
+            new GlucoseEvent { EventType = GlucoseEventTypes.Insulin, InsulinKind = "bolus", InsulinUnits = 2.5 },
+            new GlucoseEvent { EventType = GlucoseEventTypes.Insulin, InsulinKind = "basal", InsulinUnits = 12 },
+            new GlucoseEvent { EventType = GlucoseEventTypes.Carbs, CarbsGrams = 15 },
+            new GlucoseEvent { EventType = GlucoseEventTypes.Exercise, DurationMinutes = 40 },
+            new GlucoseEvent { EventType = GlucoseEventTypes.Illness },
+            new GlucoseEvent { NoteTitle = "Note without details" }
+        };
+
+        var totals = StructuredEventCalculator.ComputeTotals(events);
+
+        totals.BolusUnits.Should().Be(6.5);
+        totals.BasalUnits.Should().Be(12);
+        totals.CarbsGrams.Should().Be(60);
+        totals.ExerciseMinutes.Should().Be(40);
+        totals.SleepMinutes.Should().BeNull();
+        totals.IllnessCount.Should().Be(1);
+        totals.IsEmpty.Should().BeFalse();
+    }
+
+    [Fact]
+    public void ComputeTotals_NothingLogged_IsEmpty()
+    {
+        var totals = StructuredEventCalculator.ComputeTotals(new[] { new GlucoseEvent { NoteTitle = "Lunch" } });
+
+        totals.IsEmpty.Should().BeTrue();
+        totals.BolusUnits.Should().BeNull();
+        totals.CarbsGrams.Should().BeNull();
+    }
+
+    [Fact]
+    public void ComputeTotals_OnlyBasal_LeavesBolusNull()
+    {
+        var totals = StructuredEventCalculator.ComputeTotals(new[]
+        {
+            new GlucoseEvent { EventType = GlucoseEventTypes.Insulin, InsulinKind = "basal", InsulinUnits = 14 }
+        });
+
+        totals.BasalUnits.Should().Be(14);
+        totals.BolusUnits.Should().BeNull();
+        totals.IsEmpty.Should().BeFalse();
+    }
+}
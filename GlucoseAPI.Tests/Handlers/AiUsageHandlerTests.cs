@@ -3,7 +3,10 @@ using GlucoseAPI.Application.Features.AiUsage;
 using GlucoseAPI.Data;
 using GlucoseAPI.Domain.Services;
 using GlucoseAPI.Models;
+using GlucoseAPI.Services;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Moq;
 using Xunit;
 
 namespace GlucoseAPI.Tests.Handlers;
@@ -29,7 +32,7 @@ public class AiUsageHandlerTests : IDisposable
     {
         var handler = new GetAiUsageLogsHandler(_db);
         var result = await handler.Handle(new GetAiUsageLogsQuery(null, null, null), CancellationToken.None);
-        result.Should().BeEmpty();
+        result.Items.Should().BeEmpty();
     }
 
     [Fact]
@@ -49,9 +52,9 @@ public class AiUsageHandlerTests : IDisposable
         var handler = new GetAiUsageLogsHandler(_db);
         var result = await handler.Handle(new GetAiUsageLogsQuery(null, null, null), CancellationToken.None);
 
-        result.Should().HaveCount(1);
+        result.Items.Should().HaveCount(1);
         var expectedCost = AiCostCalculator.ComputeCost("gpt-4o-mini", 1000, 500);
-        result[0].Cost.Should().BeApproximately(expectedCost, 0.000001);
+        result.Items[0].Cost.Should().BeApproximately(expectedCost, 0.000001);
     }
 
     [Fact]
@@ -74,7 +77,7 @@ public class AiUsageHandlerTests : IDisposable
 
         var handler = new GetAiUsageLogsHandler(_db);
         var limited = await handler.Handle(new GetAiUsageLogsQuery(2, null, null), CancellationToken.None);
-        limited.Should().HaveCount(2);
+        limited.Items.Should().HaveCount(2);
     }
 
     [Fact]
@@ -99,7 +102,7 @@ public class AiUsageHandlerTests : IDisposable
         var ranged = await handler.Handle(
             new GetAiUsageLogsQuery(null, baseDate.AddDays(-2), baseDate),
             CancellationToken.None);
-        ranged.Should().HaveCount(3); // baseDate, -1, -2
+        ranged.Items.Should().HaveCount(3); // baseDate, -1, -2
     }
 
     // ── GetAiUsageSummary ────────────────────────────────────
@@ -171,4 +174,47 @@ public class AiUsageHandlerTests : IDisposable
         result.Should().Contain(p => p.Model == "gpt-4o");
         result.All(p => p.InputPer1M > 0 && p.OutputPer1M > 0).Should().BeTrue();
     }
+
+    // ── GetAiCostEstimate ────────────────────────────────────
+
+    [Fact]
+    public async Task GetAiCostEstimate_AveragesEventAnalysesOfTheModel()
+    {
+        var now = DateTime.UtcNow;
+        _db.AiUsageLogs.AddRange(
+            new AiUsageLog { GlucoseEventId = 1, Model = "gpt-4o", InputTokens = 2000, OutputTokens = 400, Success = true, CalledAt = now },
+            new AiUsageLog { GlucoseEventId = 2, Model = "gpt-4o", InputTokens = 3000, OutputTokens = 600, Success = true, CalledAt = now },
+            new AiUsageLog { GlucoseEventId = 3, Model = "gpt-4o-mini", InputTokens = 9000, OutputTokens = 900, Success = true, CalledAt = now },
+            new AiUsageLog { GlucoseEventId = 4, Model = "gpt-4o", InputTokens = 9000, OutputTokens = 900, Success = false, CalledAt = now },
+            new AiUsageLog { GlucoseEventId = null, Model = "gpt-4o", InputTokens = 9000, OutputTokens = 900, Success = true, CalledAt = now });
+        await _db.SaveChangesAsync();
+
+        var result = await EstimateHandler("gpt-4o-mini").Handle(new GetAiCostEstimateQuery(10, "gpt-4o"), CancellationToken.None);
+
+        result.Model.Should().Be("gpt-4o");
+        result.SampleSize.Should().Be(2);
+        result.AvgInputTokens.Should().Be(2500);
+        result.AvgOutputTokens.Should().Be(500);
+        result.KnownPricing.Should().BeTrue();
+        result.EstimatedCost.Should().BeApproximately(AiCostCalculator.ComputeCost("gpt-4o", 2500, 500) * 10, 0.0001);
+    }
+
+    [Fact]
+    public async Task GetAiCostEstimate_NoHistory_UsesSettingsModelAndDefaults()
+    {
+        var result = await EstimateHandler("gpt-4o-mini").Handle(new GetAiCostEstimateQuery(4), CancellationToken.None);
+
+        result.Model.Should().Be("gpt-4o-mini");
+        result.SampleSize.Should().Be(0);
+        result.AvgInputTokens.Should().Be(GetAiCostEstimateHandler.DefaultInputTokens);
+        result.EstimatedCost.Should().BeGreaterThan(0);
+    }
+
+    private GetAiCostEstimateHandler EstimateHandler(string settingsModel)
+    {
+        var settings = new Mock<SettingsService>(_db, new Mock<IConfiguration>().Object);
+        settings.Setup(s => s.GetAnalysisSettingsAsync())
+            .ReturnsAsync(new AnalysisSettingsDto { GptModelName = settingsModel });
+        return new GetAiCostEstimateHandler(_db, settings.Object);
+    }
 }
@@ -35,10 +35,10 @@ public class DailySummaryHandlerTests : IDisposable
         var handler = new GetDailySummariesHandler(_db);
         var result = await handler.Handle(new GetDailySummariesQuery(null), CancellationToken.None);
 
-        result.Should().HaveCount(3);
-        result[0].Date.Should().Be(new DateTime(2025, 1, 3));
-        result[1].Date.Should().Be(new DateTime(2025, 1, 2));
-        result[2].Date.Should().Be(new DateTime(2025, 1, 1));
+        result.Items.Should().HaveCount(3);
+        result.Items[0].Date.Should().Be(new DateTime(2025, 1, 3));
+        result.Items[1].Date.Should().Be(new DateTime(2025, 1, 2));
+        result.Items[2].Date.Should().Be(new DateTime(2025, 1, 1));
     }
 
     [Fact]
@@ -51,7 +51,7 @@ public class DailySummaryHandlerTests : IDisposable
         var handler = new GetDailySummariesHandler(_db);
         var result = await handler.Handle(new GetDailySummariesQuery(2), CancellationToken.None);
 
-        result.Should().HaveCount(2);
+        result.Items.Should().HaveCount(2);
     }
 
     [Fact]
@@ -69,8 +69,25 @@ public class DailySummaryHandlerTests : IDisposable
         var handler = new GetDailySummariesHandler(_db);
         var result = await handler.Handle(new GetDailySummariesQuery(null), CancellationToken.None);
 
-        result.Should().HaveCount(1);
-        result[0].SnapshotCount.Should().Be(2);
+        result.Items.Should().HaveCount(1);
+        result.Items[0].SnapshotCount.Should().Be(2);
+    }
+
+    [Fact]
+    public async Task GetDailySummaries_FiltersByDateRange()
+    {
+        for (int day = 28; day <= 31; day++)
+            _db.DailySummaries.Add(TestSummary(new DateTime(2025, 1, day)));
+        _db.DailySummaries.Add(TestSummary(new DateTime(2025, 2, 1)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetDailySummariesHandler(_db);
+        var result = await handler.Handle(
+            new GetDailySummariesQuery(From: new DateTime(2025, 1, 29), To: new DateTime(2025, 1, 31)),
+            CancellationToken.None);
+
+        result.TotalCount.Should().Be(3);
+        result.Items.Select(s => s.Date.Day).Should().Equal(31, 30, 29);
     }
 
     // ── GetDailySummaryDetail ────────────────────────────────
@@ -120,6 +137,33 @@ public class DailySummaryHandlerTests : IDisposable
         result.Readings.Should().HaveCount(1);
     }
 
+    [Fact]
+    public async Task GetDailySummaryByDate_ReturnsMatchingDay()
+    {
+        _db.DailySummaries.AddRange(
+            TestSummary(new DateTime(2025, 6, 1)),
+            TestSummary(new DateTime(2025, 6, 2)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetDailySummaryByDateHandler(_db);
+        var result = await handler.Handle(new GetDailySummaryByDateQuery(new DateTime(2025, 6, 2)), CancellationToken.None);
+
+        result.Should().NotBeNull();
+        result!.Date.Should().Be(new DateTime(2025, 6, 2));
+    }
+
+    [Fact]
+    public async Task GetDailySummaryByDate_NotFound_ReturnsNull()
+    {
+        _db.DailySummaries.Add(TestSummary(new DateTime(2025, 6, 1)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetDailySummaryByDateHandler(_db);
+        var result = await handler.Handle(new GetDailySummaryByDateQuery(new DateTime(2025, 6, 5)), CancellationToken.None);
+
+        result.Should().BeNull();
+    }
+
     // ── GetDailySummariesStatus ──────────────────────────────
 
     [Fact]
@@ -1,8 +1,13 @@
 using FluentAssertions;
 using GlucoseAPI.Application.Features.Events;
+using GlucoseAPI.Application.Interfaces;
 using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
 using GlucoseAPI.Models;
+using GlucoseAPI.Services;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
 using Xunit;
 
 namespace GlucoseAPI.Tests.Handlers;
@@ -34,8 +39,8 @@ public class EventHandlerTests : IDisposable
         var handler = new GetEventsHandler(_db);
         var result = await handler.Handle(new GetEventsQuery(null), CancellationToken.None);
 
-        result.Should().HaveCount(2);
-        result[0].NoteTitle.Should().Be("New Event");
+        result.Items.Should().HaveCount(2);
+        result.Items[0].NoteTitle.Should().Be("New Event");
     }
 
     [Fact]
@@ -48,7 +53,7 @@ public class EventHandlerTests : IDisposable
         var handler = new GetEventsHandler(_db);
         var result = await handler.Handle(new GetEventsQuery(2), CancellationToken.None);
 
-        result.Should().HaveCount(2);
+        result.Items.Should().HaveCount(2);
     }
 
     [Fact]
@@ -76,8 +81,8 @@ public class EventHandlerTests : IDisposable
         var handler = new GetEventsHandler(_db);
         var result = await handler.Handle(new GetEventsQuery(null), CancellationToken.None);
 
-        result.Should().HaveCount(1);
-        result[0].AnalysisCount.Should().Be(3);
+        result.Items.Should().HaveCount(1);
+        result.Items[0].AnalysisCount.Should().Be(3);
     }
 
     [Fact]
@@ -91,8 +96,77 @@ public class EventHandlerTests : IDisposable
         var handler = new GetEventsHandler(_db);
         var result = await handler.Handle(new GetEventsQuery(null), CancellationToken.None);
 
-        result[0].NoteContentPreview.Should().HaveLength(121); // 120 + "…"
-        result[0].NoteContentPreview.Should().EndWith("…");
+        result.Items[0].NoteContentPreview.Should().HaveLength(121); // 120 + "…"
+        result.Items[0].NoteContentPreview.Should().EndWith("…");
+    }
+
+    [Fact]
+    public async Task GetEvents_SearchMatchesEnglishTranslation()
+    {
+        var soup = TestEvent("Zupa pomidorowa", DateTime.UtcNow);
+        soup.NoteTitleEn = "Tomato soup";
+        _db.GlucoseEvents.AddRange(soup, TestEvent("Kanapka", DateTime.UtcNow.AddHours(-3)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetEventsHandler(_db);
+        var result = await handler.Handle(
+            new GetEventsQuery(Filter: new EventFilter(Search: "TOMATO")), CancellationToken.None);
+
+        result.Items.Should().ContainSingle().Which.NoteTitle.Should().Be("Zupa pomidorowa");
+        result.TotalCount.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task GetEvents_CombinesFilters()
+    {
+        var now = DateTime.UtcNow;
+        var match = TestEvent("Pizza", now.AddDays(-1));
+        match.IsProcessed = true;
+        match.AiClassification = "red";
+        match.AiModel = "gpt-4o";
+        match.GlucoseSpike = 80;
+        var lowSpike = TestEvent("Salad", now.AddDays(-1));
+        lowSpike.IsProcessed = true;
+        lowSpike.AiClassification = "red";
+        lowSpike.AiModel = "gpt-4o";
+        lowSpike.GlucoseSpike = 20;
+        var tooOld = TestEvent("Old pizza", now.AddDays(-10));
+        tooOld.IsProcessed = true;
+        tooOld.AiClassification = "red";
+        tooOld.AiModel = "gpt-4o";
+        tooOld.GlucoseSpike = 90;
+        var pending = TestEvent("Pending", now.AddHours(-1));
+        _db.GlucoseEvents.AddRange(match, lowSpike, tooOld, pending);
+        await _db.SaveChangesAsync();
+
+        var handler = new GetEventsHandler(_db);
+        var filter = new EventFilter(
+            Classification: "red", Processed: true, From: now.AddDays(-2), To: now,
+            MinSpike: 50, Model: "gpt-4o");
+        var result = await handler.Handle(new GetEventsQuery(Filter: filter), CancellationToken.None);
+
+        result.Items.Should().ContainSingle().Which.NoteTitle.Should().Be("Pizza");
+
+        var pendingResult = await handler.Handle(
+            new GetEventsQuery(Filter: new EventFilter(Processed: false, Classification: "none")), CancellationToken.None);
+        pendingResult.Items.Should().ContainSingle().Which.NoteTitle.Should().Be("Pending");
+    }
+
+    [Fact]
+    public async Task GetEventModels_ReturnsDistinctModelsUsed()
+    {
+        var a = TestEvent("A", DateTime.UtcNow);
+        a.AiModel = "gpt-4o";
+        var b = TestEvent("B", DateTime.UtcNow);
+        b.AiModel = "gpt-4.1";
+        var c = TestEvent("C", DateTime.UtcNow);
+        c.AiModel = "gpt-4o";
+        _db.GlucoseEvents.AddRange(a, b, c, TestEvent("Unanalyzed", DateTime.UtcNow));
+        await _db.SaveChangesAsync();
+
+        var result = await new GetEventModelsHandler(_db).Handle(new GetEventModelsQuery(), CancellationToken.None);
+
+        result.Items.Should().Equal("gpt-4.1", "gpt-4o");
     }
 
     // ── GetEventDetail ───────────────────────────────────────
@@ -152,8 +226,481 @@ public class EventHandlerTests : IDisposable
         result.PendingEvents.Should().Be(1);
     }
 
+    // ── CreateEvent ──────────────────────────────────────────
+
+    [Fact]
+    public async Task CreateEvent_StoresManualEventWithStatsAndDefaultWindow()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+        _db.GlucoseReadings.AddRange(Reading(100, ts.AddMinutes(-5)), Reading(160, ts.AddHours(1)));
+        await _db.SaveChangesAsync();
+
+        var result = await CreateEventHandler().Handle(
+            new CreateEventCommand("  Lunch ", "pasta", ts, "Meal"), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Event!.IsManual.Should().BeTrue();
+        result.Event.EventType.Should().Be(GlucoseEventTypes.Meal);
+
+        var evt = _db.GlucoseEvents.Single();
+        evt.NoteTitle.Should().Be("Lunch");
+        evt.NoteUuid.Should().StartWith(GlucoseEventTypes.ManualUuidPrefix);
+        evt.SamsungNoteId.Should().Be(0);
+        evt.IsProcessed.Should().BeFalse();
+        evt.PeriodStart.Should().Be(ts.AddHours(-3));
+        evt.PeriodEnd.Should().Be(ts.AddHours(4));
+        evt.ReadingCount.Should().Be(2);
+        evt.GlucoseSpike.Should().Be(60);
+    }
+
+    [Fact]
+    public async Task CreateEvent_BoundedByNeighboursAndQueuesBoth()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+        var previous = TestEvent("Breakfast", ts.AddHours(-5));
+        previous.PeriodEnd = ts.AddHours(-1);
+        previous.IsProcessed = true;
+        var next = TestEvent("Dinner", ts.AddHours(6));
+        next.PeriodStart = previous.EventTimestamp;
+        next.IsProcessed = true;
+        _db.GlucoseEvents.AddRange(previous, next);
+        _db.GlucoseReadings.AddRange(Reading(90, ts.AddHours(-4)), Reading(140, ts.AddHours(7)));
+        await _db.SaveChangesAsync();
+
+        await CreateEventHandler().Handle(new CreateEventCommand("Snack", null, ts, "snack"), CancellationToken.None);
+
+        var created = _db.GlucoseEvents.Single(e => e.NoteTitle == "Snack");
+        created.PeriodStart.Should().Be(ts.AddHours(-5));
+        created.PeriodEnd.Should().Be(ts.AddHours(6));
+
+        previous = _db.GlucoseEvents.Single(e => e.NoteTitle == "Breakfast");
+        previous.PeriodEnd.Should().Be(ts);
+        previous.IsProcessed.Should().BeFalse();
+
+        // The backdated event now starts the next event's window
+        next = _db.GlucoseEvents.Single(e => e.NoteTitle == "Dinner");
+        next.PeriodStart.Should().Be(ts);
+        next.ReadingCount.Should().Be(1);
+        next.IsProcessed.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task CreateEvent_BeforeOverriddenWindow_LeavesItAlone()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+        var next = TestEvent("Dinner", ts.AddHours(6));
+        next.IsWindowOverridden = true;
+        next.IsProcessed = true;
+        _db.GlucoseEvents.Add(next);
+        await _db.SaveChangesAsync();
+
+        await CreateEventHandler().Handle(new CreateEventCommand("Snack", null, ts, "snack"), CancellationToken.None);
+
+        next = _db.GlucoseEvents.Single(e => e.NoteTitle == "Dinner");
+        next.PeriodStart.Should().Be(ts.AddHours(4));
+        next.IsProcessed.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task CreateEvent_StoresStructuredDetails()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+
+        var result = await CreateEventHandler().Handle(
+            new CreateEventCommand("Lunch", null, ts, "meal", new EventDetails(" Bolus ", 4, 45)), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Event!.InsulinUnits.Should().Be(4);
+        var evt = _db.GlucoseEvents.Single();
+        evt.InsulinKind.Should().Be(GlucoseEventTypes.Bolus);
+        evt.CarbsGrams.Should().Be(45);
+    }
+
+    [Fact]
+    public async Task CreateEvent_InvalidDetails_Fails()
+    {
+        var result = await CreateEventHandler().Handle(
+            new CreateEventCommand("Run", null, DateTime.UtcNow, "exercise", new EventDetails(Intensity: "moderate")),
+            CancellationToken.None);
+
+        result.Success.Should().BeFalse();
+        _db.GlucoseEvents.Should().BeEmpty();
+    }
+
+    [Theory]
+    [InlineData("", "meal", 0)]
+    [InlineData("Lunch", "dessert", 0)]
+    [InlineData("Lunch", "meal", 120)]
+    public async Task CreateEvent_InvalidInput_Fails(string title, string type, int minutesAhead)
+    {
+        var result = await CreateEventHandler().Handle(
+            new CreateEventCommand(title, null, DateTime.UtcNow.AddMinutes(minutesAhead), type), CancellationToken.None);
+
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().NotBeNullOrEmpty();
+        _db.GlucoseEvents.Should().BeEmpty();
+    }
+
+    // ── UpdateEvent ──────────────────────────────────────────
+
+    [Fact]
+    public async Task UpdateEvent_MovesEvent_AuditsAndKeepsOriginalValues()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 40, 0, DateTimeKind.Utc);
+        var evt = TestEvent("Obiad", ts);
+        evt.NoteTitleEn = "Lunch";
+        evt.IsProcessed = true;
+        evt.ProcessedAt = ts.AddHours(4);
+        evt.AiAnalysis = "Old analysis";
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+        var originalStart = evt.PeriodStart;
+
+        var eaten = ts.AddMinutes(-40);
+        var result = await UpdateEventHandler().Handle(
+            new UpdateEventCommand(evt.Id, "Obiad z deserem", "Test content", eaten), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Changes.Select(c => c.Field).Should().Equal(
+            GlucoseEventEditFields.EventTimestamp, GlucoseEventEditFields.PeriodStart,
+            GlucoseEventEditFields.PeriodEnd, GlucoseEventEditFields.Title);
+
+        var updated = _db.GlucoseEvents.Single();
+        updated.EventTimestamp.Should().Be(eaten);
+        updated.PeriodStart.Should().Be(eaten.AddHours(-3));
+        updated.PeriodEnd.Should().Be(eaten.AddHours(4));
+        updated.IsWindowOverridden.Should().BeFalse();
+        updated.IsProcessed.Should().BeFalse();
+        updated.EditedAt.Should().NotBeNull();
+        updated.NoteTitleEn.Should().BeNull();
+
+        _db.GlucoseEventEdits.Should().HaveCount(4);
+        var original = _db.EventAnalysisHistory.Single();
+        original.EventTimestamp.Should().Be(ts);
+        original.PeriodStart.Should().Be(originalStart);
+        original.NoteTitle.Should().Be("Obiad");
+        original.AiAnalysis.Should().Be("Old analysis");
+    }
+
+    [Fact]
+    public async Task UpdateEvent_MovedPastNextEvent_RealignsEventsAroundOldAndNewTime()
+    {
+        var day = new DateTime(2025, 3, 4, 0, 0, 0, DateTimeKind.Utc);
+        GlucoseEvent Chained(string title, int hour, int prevHour, int nextHour)
+        {
+            var e = TestEvent(title, day.AddHours(hour));
+            e.PeriodStart = day.AddHours(prevHour);
+            e.PeriodEnd = day.AddHours(nextHour);
+            e.IsProcessed = true;
+            return e;
+        }
+        _db.GlucoseEvents.AddRange(
+            Chained("Breakfast", 8, 5, 12), Chained("Lunch", 12, 8, 16),
+            Chained("Snack", 16, 12, 20), Chained("Dinner", 20, 16, 24));
+        await _db.SaveChangesAsync();
+        var lunch = _db.GlucoseEvents.Single(e => e.NoteTitle == "Lunch");
+
+        var result = await UpdateEventHandler().Handle(
+            new UpdateEventCommand(lunch.Id, "Lunch", "Test content", day.AddHours(18)), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        var events = _db.GlucoseEvents.ToDictionary(e => e.NoteTitle);
+        events["Breakfast"].PeriodEnd.Should().Be(day.AddHours(16));
+        events["Snack"].PeriodStart.Should().Be(day.AddHours(8));
+        events["Snack"].PeriodEnd.Should().Be(day.AddHours(19));
+        events["Lunch"].PeriodStart.Should().Be(day.AddHours(16));
+        events["Dinner"].PeriodStart.Should().Be(day.AddHours(18));
+        events.Values.Should().OnlyContain(e => !e.IsProcessed);
+    }
+
+    [Fact]
+    public async Task UpdateEvent_WindowOverride_IsKeptWhenEventIsLoggedAfterIt()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+        var evt = TestEvent("Lunch", ts);
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+
+        var result = await UpdateEventHandler().Handle(
+            new UpdateEventCommand(evt.Id, "Lunch", "Test content", ts, ts.AddMinutes(-30), ts.AddHours(5)),
+            CancellationToken.None);
+        result.Changes.Should().HaveCount(2);
+
+        await CreateEventHandler().Handle(new CreateEventCommand("Snack", null, ts.AddHours(2), "snack"), CancellationToken.None);
+
+        var lunch = _db.GlucoseEvents.Single(e => e.NoteTitle == "Lunch");
+        lunch.IsWindowOverridden.Should().BeTrue();
+        lunch.PeriodStart.Should().Be(ts.AddMinutes(-30));
+        lunch.PeriodEnd.Should().Be(ts.AddHours(5));
+    }
+
+    [Fact]
+    public async Task UpdateEvent_NoChanges_SavesNothing()
+    {
+        var evt = TestEvent("Lunch", new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc));
+        evt.IsProcessed = true;
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+
+        var result = await UpdateEventHandler().Handle(
+            new UpdateEventCommand(evt.Id, " Lunch ", "Test content", evt.EventTimestamp), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Changes.Should().BeEmpty();
+        _db.GlucoseEventEdits.Should().BeEmpty();
+        _db.EventAnalysisHistory.Should().BeEmpty();
+        _db.GlucoseEvents.Single().IsProcessed.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task UpdateEvent_InvalidWindowOrMissingEvent_Fails()
+    {
+        var ts = new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+        var evt = TestEvent("Lunch", ts);
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+
+        var invalid = await UpdateEventHandler().Handle(
+            new UpdateEventCommand(evt.Id, "Lunch", null, ts, ts.AddHours(1), ts.AddHours(3)), CancellationToken.None);
+        var missing = await UpdateEventHandler().Handle(
+            new UpdateEventCommand(9999, "Lunch", null, ts), CancellationToken.None);
+
+        invalid.Success.Should().BeFalse();
+        invalid.ErrorMessage.Should().NotBeNullOrEmpty();
+        missing.Found.Should().BeFalse();
+        _db.GlucoseEventEdits.Should().BeEmpty();
+    }
+
+    // ── BulkEventAction ──────────────────────────────────────
+
+    [Fact]
+    public async Task BulkDelete_RemovesOnlyManualEvents_AndRealignsNeighbouringWindows()
+    {
+        var ts = new DateTime(2025, 3, 4, 8, 0, 0, DateTimeKind.Utc);
+        var note = TestEvent("Breakfast", ts);
+        var manual = TestEvent("Snack", ts.AddHours(2));
+        manual.NoteUuid = $"{GlucoseEventTypes.ManualUuidPrefix}{Guid.NewGuid():N}";
+        var next = TestEvent("Lunch", ts.AddHours(5));
+        next.PeriodStart = manual.EventTimestamp;
+        next.IsProcessed = true;
+        _db.GlucoseEvents.AddRange(note, manual, next);
+        await _db.SaveChangesAsync();
+        _db.FoodEventLinks.Add(new FoodEventLink { FoodItemId = 1, GlucoseEventId = manual.Id });
+        await _db.SaveChangesAsync();
+
+        var result = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Delete, new[] { note.Id, manual.Id }), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Count.Should().Be(1);
+        result.Skipped.Should().Be(1);
+        result.Message.Should().Contain("Samsung Notes");
+        _db.GlucoseEvents.Select(e => e.NoteTitle).Should().BeEquivalentTo("Breakfast", "Lunch");
+        _db.GlucoseEvents.Single(e => e.NoteTitle == "Breakfast").PeriodEnd.Should().Be(ts.AddHours(5));
+        next = _db.GlucoseEvents.Single(e => e.NoteTitle == "Lunch");
+        next.PeriodStart.Should().Be(ts);
+        next.IsProcessed.Should().BeFalse();
+        _db.FoodEventLinks.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task BulkDelete_RemovesEventsFromSummaries_AndRequeuesTheirDays()
+    {
+        var day = new DateTime(2025, 3, 4, 0, 0, 0, DateTimeKind.Utc);
+        var kept = TestEvent("Breakfast", day.AddHours(8));
+        var deleted = TestEvent("Snack", day.AddHours(10));
+        deleted.NoteUuid = $"{GlucoseEventTypes.ManualUuidPrefix}{Guid.NewGuid():N}";
+        _db.GlucoseEvents.AddRange(kept, deleted);
+        await _db.SaveChangesAsync();
+        _db.DailySummaries.Add(new DailySummary
+        {
+            Date = day, PeriodStartUtc = day, PeriodEndUtc = day.AddDays(1), IsProcessed = true,
+            EventCount = 2, EventIds = $"{kept.Id},{deleted.Id}", EventTitles = "Breakfast | Snack"
+        });
+        _db.PeriodSummaries.Add(new PeriodSummary
+        {
+            PeriodStart = day, PeriodEnd = day.AddDays(7), Status = "completed",
+            EventCount = 2, EventIds = $"{kept.Id},{deleted.Id}", EventTitles = "Breakfast | Snack"
+        });
+        await _db.SaveChangesAsync();
+
+        await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Delete, new[] { deleted.Id }), CancellationToken.None);
+
+        var daily = _db.DailySummaries.Single();
+        daily.EventIds.Should().Be(kept.Id.ToString());
+        daily.EventTitles.Should().Be("Breakfast");
+        daily.EventCount.Should().Be(1);
+        daily.IsProcessed.Should().BeFalse();
+        var period = _db.PeriodSummaries.Single();
+        period.EventIds.Should().Be(kept.Id.ToString());
+        period.EventCount.Should().Be(1);
+        period.Status.Should().Be("completed");
+    }
+
+    [Fact]
+    public async Task BulkRetranslateAndReextract_ClearPreviousResults()
+    {
+        var evt = TestEvent("Obiad", new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc));
+        evt.NoteTitleEn = "Lunch";
+        evt.NoteContentEn = "Test";
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+        _db.FoodEventLinks.Add(new FoodEventLink { FoodItemId = 1, GlucoseEventId = evt.Id });
+        await _db.SaveChangesAsync();
+
+        var translated = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Retranslate, new[] { evt.Id }), CancellationToken.None);
+        var extracted = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.ReextractFoods, new[] { evt.Id, 9999 }), CancellationToken.None);
+
+        translated.Count.Should().Be(1);
+        extracted.Count.Should().Be(1);
+        var updated = _db.GlucoseEvents.Single();
+        updated.NoteTitleEn.Should().BeNull();
+        updated.NoteContentEn.Should().BeNull();
+        _db.FoodEventLinks.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task BulkReextract_RemovesOnlyFoodsItsEventsWereTheLastLinkOf()
+    {
+        var evt = TestEvent("Lunch", new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc));
+        var other = TestEvent("Dinner", new DateTime(2025, 3, 4, 19, 0, 0, DateTimeKind.Utc));
+        _db.GlucoseEvents.AddRange(evt, other);
+        var onlyHere = new FoodItem { Name = "Pierogi", NormalizedName = "pierogi" };
+        var shared = new FoodItem { Name = "Bread", NormalizedName = "bread" };
+        var unlinked = new FoodItem { Name = "Soup", NormalizedName = "soup" };
+        _db.FoodItems.AddRange(onlyHere, shared, unlinked);
+        await _db.SaveChangesAsync();
+        _db.FoodEventLinks.AddRange(
+            new FoodEventLink { FoodItemId = onlyHere.Id, GlucoseEventId = evt.Id },
+            new FoodEventLink { FoodItemId = shared.Id, GlucoseEventId = evt.Id },
+            new FoodEventLink { FoodItemId = shared.Id, GlucoseEventId = other.Id });
+        await _db.SaveChangesAsync();
+
+        await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.ReextractFoods, new[] { evt.Id }), CancellationToken.None);
+
+        _db.FoodItems.Select(f => f.Name).Should().BeEquivalentTo("Bread", "Soup");
+        _db.FoodEventLinks.Should().ContainSingle(l => l.GlucoseEventId == other.Id);
+    }
+
+    [Fact]
+    public async Task BulkAction_WithFilter_ActsOnEveryMatchingEvent()
+    {
+        var day = new DateTime(2025, 3, 4, 0, 0, 0, DateTimeKind.Utc);
+        foreach (var (title, hour) in new[] { ("Breakfast", 8), ("Lunch", 13), ("Next day", 32) })
+        {
+            var evt = TestEvent(title, day.AddHours(hour));
+            evt.NoteTitleEn = title;
+            _db.GlucoseEvents.Add(evt);
+        }
+        await _db.SaveChangesAsync();
+
+        var result = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Retranslate, Array.Empty<int>(),
+                Filter: new EventFilter(From: day, To: day.AddDays(1).AddTicks(-1))),
+            CancellationToken.None);
+        var noMatch = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Retranslate, Array.Empty<int>(),
+                Filter: new EventFilter(Search: "dinner")),
+            CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Count.Should().Be(2);
+        _db.GlucoseEvents.Where(e => e.NoteTitleEn != null).Select(e => e.NoteTitle).Should().Equal("Next day");
+        noMatch.Success.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task BulkReprocess_QueuesJob()
+    {
+        var evt = TestEvent("Lunch", new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc));
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+
+        var result = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Reprocess, new[] { evt.Id }, "gpt-4o"), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Count.Should().Be(1);
+        result.JobId.Should().NotBeNullOrEmpty();
+    }
+
+    [Fact]
+    public async Task BulkReprocess_UnknownModel_Fails()
+    {
+        var evt = TestEvent("Lunch", new DateTime(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc));
+        _db.GlucoseEvents.Add(evt);
+        await _db.SaveChangesAsync();
+
+        var result = await BulkHandler().Handle(
+            new BulkEventActionCommand(BulkEventActions.Reprocess, new[] { evt.Id }, "gpt-unknown"), CancellationToken.None);
+
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().Contain("gpt-unknown");
+    }
+
+    [Fact]
+    public void BulkCancel_OnlyAcceptsQueuedOrRunningJobs()
+    {
+        var service = new BulkReprocessService(new Mock<IServiceProvider>().Object,
+            new Mock<INotificationService>().Object, new Mock<IEventLogger>().Object,
+            NullLogger<BulkReprocessService>.Instance);
+        var jobId = service.Enqueue(new[] { 1, 2 }, null);
+
+        service.Cancel(jobId).Should().BeTrue();
+        service.Cancel(jobId).Should().BeTrue();
+        service.Cancel("unknown").Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData("archive", 1)]
+    [InlineData(BulkEventActions.Delete, 0)]
+    public async Task BulkAction_InvalidActionOrNoEvents_Fails(string action, int idCount)
+    {
+        var result = await BulkHandler().Handle(
+            new BulkEventActionCommand(action, Enumerable.Range(1, idCount).ToList()), CancellationToken.None);
+
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().NotBeNullOrEmpty();
+    }
+
     // ── Helpers ──────────────────────────────────────────────
 
+    private CreateEventHandler CreateEventHandler() => new(_db, AnalysisService());
+
+    private UpdateEventHandler UpdateEventHandler() => new(_db, AnalysisService());
+
+    private BulkEventActionHandler BulkHandler()
+    {
+        var serviceProvider = new Mock<IServiceProvider>().Object;
+        var notifications = new Mock<INotificationService>().Object;
+        var eventLogger = new Mock<IEventLogger>().Object;
+        return new BulkEventActionHandler(
+            _db,
+            AnalysisService(),
+            new BulkReprocessService(serviceProvider, notifications, eventLogger, NullLogger<BulkReprocessService>.Instance),
+            new TranslationService(serviceProvider, eventLogger, NullLogger<TranslationService>.Instance),
+            new FoodPatternService(serviceProvider, eventLogger, notifications, NullLogger<FoodPatternService>.Instance),
+            eventLogger);
+    }
+
+    private static GlucoseEventAnalysisService AnalysisService()
+    {
+        var serviceProvider = new Mock<IServiceProvider>().Object;
+        var notifications = new Mock<INotificationService>().Object;
+        var eventLogger = new Mock<IEventLogger>().Object;
+        return new GlucoseEventAnalysisService(
+            serviceProvider,
+            NullLogger<GlucoseEventAnalysisService>.Instance,
+            notifications,
+            eventLogger,
+            new FoodPatternService(serviceProvider, eventLogger, notifications, NullLogger<FoodPatternService>.Instance),
+            new TranslationService(serviceProvider, eventLogger, NullLogger<TranslationService>.Instance));
+    }
+
     private static GlucoseEvent TestEvent(string title, DateTime ts) => new()
     {
         NoteTitle = title,
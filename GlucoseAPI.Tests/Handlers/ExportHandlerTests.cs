@@ -0,0 +1,176 @@
+using System.IO.Compression;
+using System.Text.Json;
+using FluentAssertions;
+using GlucoseAPI.Application.Features.Export;
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Handlers;
+
+public class ExportHandlerTests : IDisposable
+{
+    private static readonly DateTime From = new(2025, 3, 1, 0, 0, 0, DateTimeKind.Utc);
+    private static readonly DateTime To = new(2025, 3, 2, 0, 0, 0, DateTimeKind.Utc);
+
+    private readonly GlucoseDbContext _db;
+    private readonly ExportDataHandler _handler;
+    private readonly List<string> _files = new();
+
+    public ExportHandlerTests()
+    {
+        var options = new DbContextOptionsBuilder<GlucoseDbContext>()
+            .UseInMemoryDatabase(Guid.NewGuid().ToString())
+            .Options;
+        _db = new GlucoseDbContext(options);
+
+        var settings = new SettingsService(_db, new Mock<IConfiguration>().Object);
+        var service = new DataExportService(
+            _db, settings, new TimeZoneConverter(NullLogger<TimeZoneConverter>.Instance),
+            NullLogger<DataExportService>.Instance);
+        _handler = new ExportDataHandler(service);
+
+        _db.GlucoseReadings.AddRange(
+            new GlucoseReading { Value = 100, Timestamp = From.AddHours(-1), TrendArrow = 3 },
+            new GlucoseReading { Value = 110, Timestamp = From.AddHours(1), TrendArrow = 3 },
+            new GlucoseReading { Value = 150, Timestamp = From.AddHours(2), TrendArrow = 5, IsHigh = true },
+            new GlucoseReading { Value = 120, Timestamp = To, TrendArrow = 3 });
+        _db.GlucoseEvents.Add(new GlucoseEvent
+        {
+            NoteTitle = "Lunch, pasta",
+            EventTimestamp = From.AddHours(1),
+            AiAnalysis = "Moderate spike.",
+            AiClassification = "yellow"
+        });
+        _db.SaveChanges();
+    }
+
+    public void Dispose()
+    {
+        foreach (var path in _files)
+            File.Delete(path);
+        _db.Dispose();
+    }
+
+    private async Task<ExportDataResult> Export(ExportFormat format, ExportDatasets include)
+    {
+        var result = await _handler.Handle(new ExportDataQuery(From, To, format, include), CancellationToken.None);
+        if (result.File != null)
+            _files.Add(result.File.Path);
+        return result;
+    }
+
+    [Fact]
+    public async Task Export_StartNotBeforeEnd_Fails()
+    {
+        var result = await _handler.Handle(
+            new ExportDataQuery(To, From, ExportFormat.Csv, ExportDatasets.Readings), CancellationToken.None);
+
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().Contain("before");
+    }
+
+    [Fact]
+    public async Task Export_DatasetsNotCoveredByFormat_Fails()
+    {
+        var result = await Export(ExportFormat.Fhir, ExportDatasets.Events | ExportDatasets.Notes);
+
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().Contain("readings");
+    }
+
+    [Fact]
+    public async Task Export_CsvReadingsOnly_WritesSingleCsvWithinRange()
+    {
+        var result = await Export(ExportFormat.Csv, ExportDatasets.Readings);
+
+        result.Success.Should().BeTrue();
+        result.File!.ContentType.Should().Be("text/csv");
+        result.File.FileName.Should().EndWith(".csv");
+
+        var lines = await File.ReadAllLinesAsync(result.File.Path);
+        lines.Should().HaveCount(3);
+        lines[0].Should().StartWith("Id,TimestampUtc,LocalTime,ValueMgDl");
+        lines[1].Should().Contain("2025-03-01T01:00:00Z").And.Contain(",110,");
+        lines[2].Should().Contain(",150,");
+    }
+
+    [Fact]
+    public async Task Export_CsvSeveralDatasets_ZipsOneFilePerDataset()
+    {
+        var result = await Export(ExportFormat.Csv, ExportDatasets.Readings | ExportDatasets.Events);
+
+        result.File!.ContentType.Should().Be("application/zip");
+        using var zip = ZipFile.OpenRead(result.File.Path);
+        zip.Entries.Select(e => e.FullName).Should().BeEquivalentTo("readings.csv", "events.csv");
+
+        using var reader = new StreamReader(zip.GetEntry("events.csv")!.Open());
+        var events = await reader.ReadToEndAsync();
+        events.Should().Contain("\"Lunch, pasta\"").And.Contain("Moderate spike.");
+    }
+
+    [Fact]
+    public async Task Export_Json_HasOneArrayPerDataset()
+    {
+        var result = await Export(ExportFormat.Json, ExportDatasets.Readings | ExportDatasets.Events);
+
+        using var doc = JsonDocument.Parse(await File.ReadAllTextAsync(result.File!.Path));
+        doc.RootElement.GetProperty("glucoseUnit").GetString().Should().Be("mg/dL");
+        doc.RootElement.GetProperty("readings").GetArrayLength().Should().Be(2);
+        doc.RootElement.GetProperty("readings")[1].GetProperty("valueMgDl").GetDouble().Should().Be(150);
+        doc.RootElement.GetProperty("readings")[1].GetProperty("isHigh").GetBoolean().Should().BeTrue();
+        doc.RootElement.GetProperty("events")[0].GetProperty("classification").GetString().Should().Be("yellow");
+    }
+
+    [Fact]
+    public async Task Export_Xlsx_HasOneSheetPerDataset()
+    {
+        var result = await Export(ExportFormat.Xlsx, ExportDatasets.Readings | ExportDatasets.Events);
+
+        result.File!.FileName.Should().EndWith(".xlsx");
+        using var zip = ZipFile.OpenRead(result.File.Path);
+        zip.GetEntry("xl/workbook.xml").Should().NotBeNull();
+        zip.GetEntry("xl/worksheets/sheet1.xml").Should().NotBeNull();
+        zip.GetEntry("xl/worksheets/sheet2.xml").Should().NotBeNull();
+
+        using var reader = new StreamReader(zip.GetEntry("xl/workbook.xml")!.Open());
+        var workbook = await reader.ReadToEndAsync();
+        workbook.Should().Contain("name=\"readings\"").And.Contain("name=\"events\"");
+    }
+
+    [Fact]
+    public async Task Export_Nightscout_ZipsEntriesAndTreatments()
+    {
+        var result = await Export(ExportFormat.Nightscout, ExportDatasets.Readings | ExportDatasets.Events | ExportDatasets.Foods);
+
+        using var zip = ZipFile.OpenRead(result.File!.Path);
+        zip.Entries.Select(e => e.FullName).Should().BeEquivalentTo("entries.json", "treatments.json");
+
+        using var entries = JsonDocument.Parse(zip.GetEntry("entries.json")!.Open());
+        entries.RootElement.GetArrayLength().Should().Be(2);
+        entries.RootElement[0].GetProperty("sgv").GetInt32().Should().Be(150);
+        entries.RootElement[0].GetProperty("direction").GetString().Should().Be("SingleUp");
+
+        using var treatments = JsonDocument.Parse(zip.GetEntry("treatments.json")!.Open());
+        treatments.RootElement[0].GetProperty("created_at").GetString().Should().Be("2025-03-01T01:00:00Z");
+    }
+
+    [Fact]
+    public async Task Export_Fhir_WritesObservationBundle()
+    {
+        var result = await Export(ExportFormat.Fhir, ExportDatasets.Readings);
+
+        result.File!.ContentType.Should().Be("application/fhir+json");
+        using var doc = JsonDocument.Parse(await File.ReadAllTextAsync(result.File.Path));
+        doc.RootElement.GetProperty("resourceType").GetString().Should().Be("Bundle");
+        var entries = doc.RootElement.GetProperty("entry");
+        entries.GetArrayLength().Should().Be(2);
+        entries[0].GetProperty("resource").GetProperty("resourceType").GetString().Should().Be("Observation");
+    }
+}
@@ -1,8 +1,13 @@
 using FluentAssertions;
 using GlucoseAPI.Application.Features.Glucose;
 using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
 using GlucoseAPI.Models;
+using GlucoseAPI.Services;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
 using Xunit;
 
 namespace GlucoseAPI.Tests.Handlers;
@@ -10,6 +15,7 @@ namespace GlucoseAPI.Tests.Handlers;
 public class GlucoseHandlerTests : IDisposable
 {
     private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settings;
 
     public GlucoseHandlerTests()
     {
@@ -17,6 +23,7 @@ public class GlucoseHandlerTests : IDisposable
             .UseInMemoryDatabase(Guid.NewGuid().ToString())
             .Options;
         _db = new GlucoseDbContext(options);
+        _settings = new SettingsService(_db, new Mock<IConfiguration>().Object);
     }
 
     public void Dispose() => _db.Dispose();
@@ -70,7 +77,7 @@ public class GlucoseHandlerTests : IDisposable
     [Fact]
     public async Task GetGlucoseStats_EmptyDb_ReturnsNull()
     {
-        var handler = new GetGlucoseStatsHandler(_db);
+        var handler = new GetGlucoseStatsHandler(_db, _settings);
         var result = await handler.Handle(new GetGlucoseStatsQuery(24), CancellationToken.None);
         result.Should().BeNull();
     }
@@ -87,7 +94,7 @@ public class GlucoseHandlerTests : IDisposable
             Reading(200, DateTime.UtcNow));                 // above
         await _db.SaveChangesAsync();
 
-        var handler = new GetGlucoseStatsHandler(_db);
+        var handler = new GetGlucoseStatsHandler(_db, _settings);
         var result = await handler.Handle(new GetGlucoseStatsQuery(2), CancellationToken.None);
 
         result.Should().NotBeNull();
@@ -100,6 +107,164 @@ public class GlucoseHandlerTests : IDisposable
         result.LatestReading!.Value.Should().Be(200);
     }
 
+    [Fact]
+    public async Task GetGlucoseStats_UsesConfiguredTargetRange()
+    {
+        await _settings.SetAsync(SettingKeys.RangeHigh, "160");
+        _db.GlucoseReadings.AddRange(
+            Reading(100, DateTime.UtcNow.AddMinutes(-45)), // in range
+            Reading(150, DateTime.UtcNow.AddMinutes(-30)), // in range
+            Reading(170, DateTime.UtcNow.AddMinutes(-15)), // above the custom 160 limit
+            Reading(200, DateTime.UtcNow));                 // above
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseStatsHandler(_db, _settings);
+        var result = await handler.Handle(new GetGlucoseStatsQuery(2), CancellationToken.None);
+
+        result!.TimeInRange.Should().Be(50);
+    }
+
+    [Fact]
+    public async Task GetGlucoseStats_ReturnsFiveBandsAndPreviousWindow()
+    {
+        _db.GlucoseReadings.AddRange(
+            Reading(50, DateTime.UtcNow.AddMinutes(-100)),  // previous window: very low
+            Reading(120, DateTime.UtcNow.AddMinutes(-90)),  // previous window: in range
+            Reading(60, DateTime.UtcNow.AddMinutes(-50)),   // low
+            Reading(120, DateTime.UtcNow.AddMinutes(-40)),  // in range
+            Reading(200, DateTime.UtcNow.AddMinutes(-30)),  // high
+            Reading(300, DateTime.UtcNow.AddMinutes(-20))); // very high
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseStatsHandler(_db, _settings);
+        var result = await handler.Handle(new GetGlucoseStatsQuery(1), CancellationToken.None);
+
+        result!.TotalReadings.Should().Be(4);
+        result.TimeVeryLow.Should().Be(0);
+        result.TimeLow.Should().Be(25);
+        result.TimeInRange.Should().Be(25);
+        result.TimeHigh.Should().Be(25);
+        result.TimeVeryHigh.Should().Be(25);
+        result.Gmi.Should().Be(Math.Round(3.31 + 0.02392 * 170, 1));
+        result.Previous.Should().NotBeNull();
+        result.Previous!.TotalReadings.Should().Be(2);
+        result.Previous.TimeVeryLow.Should().Be(50);
+        result.Previous.LatestReading.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetGlucoseStats_AbsoluteWindow_UsesStartAndEnd()
+    {
+        var start = new DateTime(2025, 3, 4, 6, 0, 0, DateTimeKind.Utc);
+        var end = start.AddHours(8);
+        _db.GlucoseReadings.AddRange(
+            Reading(80, start.AddHours(-4)),   // previous window
+            Reading(100, start),               // inclusive start
+            Reading(140, start.AddHours(4)),
+            Reading(250, end),                 // exclusive end
+            Reading(300, DateTime.UtcNow));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseStatsHandler(_db, _settings);
+        var result = await handler.Handle(new GetGlucoseStatsQuery(Start: start, End: end), CancellationToken.None);
+
+        result!.TotalReadings.Should().Be(2);
+        result.Min.Should().Be(100);
+        result.Max.Should().Be(140);
+        result.LatestReading!.Value.Should().Be(140);
+        result.Previous!.TotalReadings.Should().Be(1);
+        result.Previous.Min.Should().Be(80);
+    }
+
+    // ── GetGlucoseAgp ────────────────────────────────────────
+
+    [Fact]
+    public async Task GetGlucoseAgp_EmptyDb_ReturnsNull()
+    {
+        var handler = new GetGlucoseAgpHandler(_db, _settings, new TimeZoneConverter(NullLogger<TimeZoneConverter>.Instance));
+        var result = await handler.Handle(new GetGlucoseAgpQuery(), CancellationToken.None);
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetGlucoseAgp_BucketsReadingsByLocalTimeOfDay()
+    {
+        await _settings.SetAsync(SettingKeys.DisplayTimeZone, "UTC");
+        var today = DateTime.UtcNow.Date;
+        _db.GlucoseReadings.AddRange(
+            Reading(100, today.AddDays(-3).AddHours(8)),
+            Reading(120, today.AddDays(-2).AddHours(8)),
+            Reading(140, today.AddDays(-1).AddHours(8)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseAgpHandler(_db, _settings, new TimeZoneConverter(NullLogger<TimeZoneConverter>.Instance));
+        var result = await handler.Handle(new GetGlucoseAgpQuery(24 * 7), CancellationToken.None);
+
+        result.Should().NotBeNull();
+        result!.TotalReadings.Should().Be(3);
+        var slot = result.Slots.Single(s => s.Time == "08:00");
+        slot.P50.Should().Be(120);
+        slot.ReadingCount.Should().Be(3);
+    }
+
+    [Fact]
+    public async Task GetGlucoseAgp_AbsoluteWindow_UsesOnlyReadingsInside()
+    {
+        await _settings.SetAsync(SettingKeys.DisplayTimeZone, "UTC");
+        var today = DateTime.UtcNow.Date;
+        _db.GlucoseReadings.AddRange(
+            Reading(100, today.AddDays(-20).AddHours(8)),
+            Reading(120, today.AddDays(-19).AddHours(8)),
+            Reading(140, today.AddDays(-1).AddHours(8)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseAgpHandler(_db, _settings, new TimeZoneConverter(NullLogger<TimeZoneConverter>.Instance));
+        var result = await handler.Handle(
+            new GetGlucoseAgpQuery(Start: today.AddDays(-21), End: today.AddDays(-14)), CancellationToken.None);
+
+        result.Should().NotBeNull();
+        result!.TotalReadings.Should().Be(2);
+        result.From.Should().Be(today.AddDays(-21));
+        result.To.Should().Be(today.AddDays(-14));
+    }
+
+    // ── GetGlucoseForecast ───────────────────────────────────
+
+    [Fact]
+    public async Task GetGlucoseForecast_StaleReadings_ReturnsNull()
+    {
+        _db.GlucoseReadings.AddRange(
+            Reading(120, DateTime.UtcNow.AddMinutes(-50)),
+            Reading(110, DateTime.UtcNow.AddMinutes(-45)));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseForecastHandler(_db, _settings);
+        var result = await handler.Handle(new GetGlucoseForecastQuery(), CancellationToken.None);
+
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetGlucoseForecast_RecentReadings_ProjectsFromLatest()
+    {
+        var latest = DateTime.UtcNow.AddMinutes(-2);
+        _db.GlucoseReadings.AddRange(
+            Reading(130, latest.AddMinutes(-10)),
+            Reading(120, latest.AddMinutes(-5)),
+            Reading(110, latest));
+        await _db.SaveChangesAsync();
+
+        var handler = new GetGlucoseForecastHandler(_db, _settings);
+        var result = await handler.Handle(new GetGlucoseForecastQuery(60), CancellationToken.None);
+
+        result.Should().NotBeNull();
+        result!.BaseValue.Should().Be(110);
+        result.ReadingsUsed.Should().Be(3);
+        result.Points.Should().HaveCount(12);
+        result.Points.Should().BeInDescendingOrder(p => p.Value);
+        result.MinutesToLow.Should().Be(35); // -2 mg/dL/min, damped
+    }
+
     // ── GetDatesWithReadings ─────────────────────────────────
 
     [Fact]
@@ -0,0 +1,138 @@
+using FluentAssertions;
+using GlucoseAPI.Application.Features.Import;
+using GlucoseAPI.Application.Interfaces;
+using GlucoseAPI.Data;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace GlucoseAPI.Tests.Handlers;
+
+public class ImportHandlerTests : IDisposable
+{
+    private static readonly DateTime T0 = new(2025, 3, 4, 12, 0, 0, DateTimeKind.Utc);
+
+    private readonly GlucoseDbContext _db;
+    private readonly Mock<INotificationService> _notificationsMock = new();
+    private readonly PreviewImportHandler _previewHandler;
+    private readonly ImportReadingsHandler _importHandler;
+
+    public ImportHandlerTests()
+    {
+        var options = new DbContextOptionsBuilder<GlucoseDbContext>()
+            .UseInMemoryDatabase(Guid.NewGuid().ToString())
+            .Options;
+        _db = new GlucoseDbContext(options);
+
+        var eventLogger = new Mock<IEventLogger>().Object;
+        var fetchService = new GlucoseFetchService(
+            new Mock<IServiceProvider>().Object, NullLogger<GlucoseFetchService>.Instance,
+            _notificationsMock.Object, eventLogger);
+        var service = new GlucoseImportService(
+            _db,
+            new SettingsService(_db, new Mock<IConfiguration>().Object),
+            new TimeZoneConverter(NullLogger<TimeZoneConverter>.Instance),
+            fetchService,
+            _notificationsMock.Object,
+            eventLogger,
+            NullLogger<GlucoseImportService>.Instance);
+        _previewHandler = new PreviewImportHandler(service);
+        _importHandler = new ImportReadingsHandler(service);
+
+        // Stored: 12:00 = 100 (duplicate of the file), 12:15 = 120 (conflicts with 150 in the file)
+        _db.GlucoseReadings.AddRange(
+            new GlucoseReading { Timestamp = T0, Value = 100, TrendArrow = 3, PatientId = "p1" },
+            new GlucoseReading { Timestamp = T0.AddMinutes(15), Value = 120, TrendArrow = 3, PatientId = "p1" });
+        _db.SaveChanges();
+    }
+
+    public void Dispose() => _db.Dispose();
+
+    /// <summary>Nightscout entries at 12:00 (100), 12:15 (150), 12:30 (160) and 12:45 (170).</summary>
+    private static string NightscoutFile()
+    {
+        var entries = new[] { (0, 100), (15, 150), (30, 160), (45, 170) }.Select(e =>
+            $"{{\"type\":\"sgv\",\"sgv\":{e.Item2},\"date\":{new DateTimeOffset(T0.AddMinutes(e.Item1)).ToUnixTimeMilliseconds()},\"direction\":\"Flat\"}}");
+        return "[" + string.Join(",", entries) + "]";
+    }
+
+    [Fact]
+    public async Task Preview_CountsNewDuplicateAndConflictingReadings()
+    {
+        var result = await _previewHandler.Handle(new PreviewImportQuery(NightscoutFile(), "entries.json"), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Preview!.Source.Should().Be("Nightscout");
+        result.Preview.ReadingCount.Should().Be(4);
+        result.Preview.NewCount.Should().Be(2);
+        result.Preview.DuplicateCount.Should().Be(1);
+        result.Preview.ConflictCount.Should().Be(1);
+        result.Preview.Conflicts[0].ExistingValue.Should().Be(120);
+        result.Preview.Conflicts[0].ImportedValue.Should().Be(150);
+        _db.GlucoseReadings.Count().Should().Be(2);
+    }
+
+    [Fact]
+    public async Task Preview_UnrecognizedFile_Fails()
+    {
+        var result = await _previewHandler.Handle(new PreviewImportQuery("not an export", "notes.txt"), CancellationToken.None);
+
+        result.Success.Should().BeFalse();
+        result.ErrorMessage.Should().NotBeNullOrEmpty();
+    }
+
+    [Fact]
+    public async Task Import_InsertsNewReadingsAndKeepsConflicts()
+    {
+        var result = await _importHandler.Handle(new ImportReadingsCommand(NightscoutFile(), false), CancellationToken.None);
+
+        result.Success.Should().BeTrue();
+        result.Result!.Inserted.Should().Be(2);
+        result.Result.ConflictsKept.Should().Be(1);
+        result.Result.Replaced.Should().Be(0);
+
+        var values = _db.GlucoseReadings.OrderBy(r => r.Timestamp).Select(r => r.Value).ToList();
+        values.Should().Equal(100, 120, 160, 170);
+        _db.GlucoseReadings.Should().OnlyContain(r => r.PatientId == "p1");
+        _notificationsMock.Verify(n => n.NotifyImportProgressAsync(2, 2, It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task Import_ReplaceConflicts_UpdatesStoredValue()
+    {
+        var result = await _importHandler.Handle(new ImportReadingsCommand(NightscoutFile(), true), CancellationToken.None);
+
+        result.Result!.Replaced.Should().Be(1);
+        _db.GlucoseReadings.Single(r => r.Timestamp == T0.AddMinutes(15)).Value.Should().Be(150);
+    }
+
+    [Fact]
+    public async Task Import_RecalculatesOverlappingEventsAndRequeuesDailySummaries()
+    {
+        _db.GlucoseEvents.Add(new GlucoseEvent
+        {
+            NoteTitle = "Lunch",
+            EventTimestamp = T0,
+            PeriodStart = T0,
+            PeriodEnd = T0.AddHours(3),
+            ReadingCount = 2,
+            IsProcessed = true
+        });
+        _db.DailySummaries.AddRange(
+            new DailySummary { Date = T0.Date, PeriodStartUtc = T0.Date, PeriodEndUtc = T0.Date.AddDays(1), IsProcessed = true },
+            new DailySummary { Date = T0.Date.AddDays(-1), PeriodStartUtc = T0.Date.AddDays(-1), PeriodEndUtc = T0.Date, IsProcessed = true });
+        _db.SaveChanges();
+
+        var result = await _importHandler.Handle(new ImportReadingsCommand(NightscoutFile(), false), CancellationToken.None);
+
+        result.Result!.EventsRecalculated.Should().Be(1);
+        result.Result.DailySummariesQueued.Should().Be(1);
+        _db.GlucoseEvents.Single().IsProcessed.Should().BeFalse();
+        _db.DailySummaries.Single(s => s.Date == T0.Date).IsProcessed.Should().BeFalse();
+        _db.DailySummaries.Single(s => s.Date == T0.Date.AddDays(-1)).IsProcessed.Should().BeTrue();
+    }
+}
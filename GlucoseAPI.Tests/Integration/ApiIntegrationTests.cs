@@ -198,6 +198,126 @@ public class ApiIntegrationTests : IClassFixture<TestWebApplicationFactory>
         response.StatusCode.Should().Be(HttpStatusCode.OK);
     }
 
+    [Fact]
+    public async Task DisplaySettings_RoundTripsGlucoseUnit()
+    {
+        var save = await _client.PutAsJsonAsync("/api/settings/display", new { glucoseUnit = "mmol/L" });
+        save.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var response = await _client.GetAsync("/api/settings/display");
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Contain("mmol/L");
+    }
+
+    [Fact]
+    public async Task DisplaySettings_IncludesTimeZoneFromAnalysisSettings()
+    {
+        var save = await _client.PutAsJsonAsync("/api/settings/analysis", new { timeZone = "America/New_York" });
+        save.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var response = await _client.GetAsync("/api/settings/display");
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Contain("America/New_York");
+    }
+
+    [Fact]
+    public async Task SaveDisplaySettings_RejectsUnknownUnit()
+    {
+        var response = await _client.PutAsJsonAsync("/api/settings/display", new { glucoseUnit = "g/L" });
+
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task SaveDisplaySettings_RejectsOutOfRangeStaleThreshold()
+    {
+        var response = await _client.PutAsJsonAsync("/api/settings/display", new { glucoseUnit = "mg/dL", staleAfterMinutes = 1 });
+
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task TargetRangeSettings_RoundTripsThresholds()
+    {
+        var save = await _client.PutAsJsonAsync("/api/settings/ranges", new
+        {
+            day = new { veryLow = 54, low = 72, high = 160, veryHigh = 240 },
+            nightEnabled = false
+        });
+        save.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var response = await _client.GetAsync("/api/settings/ranges");
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Contain("\"high\":160");
+    }
+
+    [Fact]
+    public async Task SaveTargetRangeSettings_RejectsUnorderedThresholds()
+    {
+        var response = await _client.PutAsJsonAsync("/api/settings/ranges", new
+        {
+            day = new { veryLow = 54, low = 200, high = 180, veryHigh = 250 }
+        });
+
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Theory]
+    [InlineData("7")]
+    [InlineData("1.02:00")]
+    [InlineData("24:00")]
+    public async Task SaveTargetRangeSettings_RejectsNightTimesNotInHHmm(string nightStart)
+    {
+        var response = await _client.PutAsJsonAsync("/api/settings/ranges", new
+        {
+            day = new { veryLow = 54, low = 70, high = 180, veryHigh = 250 },
+            nightEnabled = true,
+            night = new { veryLow = 54, low = 80, high = 160, veryHigh = 250 },
+            nightStart,
+            nightEnd = "06:00"
+        });
+
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
+    [Fact]
+    public async Task AlertSettings_RoundTripsRules()
+    {
+        var save = await _client.PutAsJsonAsync("/api/settings/alerts", new
+        {
+            enabled = true,
+            urgentLow = 55,
+            low = 75,
+            high = 220,
+            noDataMinutes = 20,
+            reAlertMinutes = 15,
+            snoozeMinutes = 30
+        });
+        save.StatusCode.Should().Be(HttpStatusCode.OK);
+
+        var response = await _client.GetAsync("/api/settings/alerts");
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Contain("\"high\":220");
+        content.Should().Contain("\"noDataMinutes\":20");
+    }
+
+    [Fact]
+    public async Task SaveAlertSettings_RejectsInvalidQuietHours()
+    {
+        var response = await _client.PutAsJsonAsync("/api/settings/alerts", new
+        {
+            quietHoursEnabled = true,
+            quietStart = "late",
+            quietEnd = "07:00"
+        });
+
+        response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
+    }
+
     // ────────────────────────────────────────────────────────────
     // Reports Endpoints
     // ────────────────────────────────────────────────────────────
@@ -220,6 +340,21 @@ public class ApiIntegrationTests : IClassFixture<TestWebApplicationFactory>
         response.StatusCode.Should().Be(HttpStatusCode.BadRequest);
     }
 
+    // ────────────────────────────────────────────────────────────
+    // Sync Endpoints
+    // ────────────────────────────────────────────────────────────
+
+    [Fact]
+    public async Task GetSyncStatus_ReportsBothBackgroundServices()
+    {
+        var response = await _client.GetAsync("/api/sync/status");
+
+        response.StatusCode.Should().Be(HttpStatusCode.OK);
+        var content = await response.Content.ReadAsStringAsync();
+        content.Should().Contain("GlucoseFetchService");
+        content.Should().Contain("SamsungNotesSyncService");
+    }
+
     // ────────────────────────────────────────────────────────────
     // Notes Endpoints
     // ────────────────────────────────────────────────────────────
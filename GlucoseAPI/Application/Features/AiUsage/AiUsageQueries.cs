@@ -1,6 +1,7 @@
 using GlucoseAPI.Application.Common;
 using GlucoseAPI.Data;
 using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Services;
 using MediatR;
 using Microsoft.EntityFrameworkCore;
 
@@ -183,3 +184,62 @@ public class GetAiUsagePricingHandler : IRequestHandler<GetAiUsagePricingQuery,
         return Task.FromResult(pricing);
     }
 }
+
+// ── GetAiCostEstimate ─────────────────────────────────────────
+
+/// <summary>Estimated cost of <paramref name="Calls"/> event analyses with <paramref name="Model"/> (null = the model from settings).</summary>
+public record GetAiCostEstimateQuery(int Calls, string? Model = null) : IRequest<AiCostEstimateDto>;
+
+/// <summary>
+/// <see cref="SampleSize"/> is the number of past event analyses the token averages come from;
+/// when it is 0 the averages are <see cref="GetAiCostEstimateHandler.DefaultInputTokens"/>/<see cref="GetAiCostEstimateHandler.DefaultOutputTokens"/>.
+/// </summary>
+public record AiCostEstimateDto(
+    string Model, int Calls, double AvgInputTokens, double AvgOutputTokens,
+    int SampleSize, bool KnownPricing, double EstimatedCost);
+
+/// <summary>
+/// Prices a batch of event analyses (e.g. a bulk re-analysis) with the pricing table behind
+/// GET /api/aiusage/pricing. Token counts are averaged over the latest successful event analyses,
+/// preferring those made with the same model, since prompt size depends on the event, not the model.
+/// </summary>
+public class GetAiCostEstimateHandler : IRequestHandler<GetAiCostEstimateQuery, AiCostEstimateDto>
+{
+    /// <summary>Typical event analysis size, used before any analysis has been logged.</summary>
+    public const int DefaultInputTokens = 2500;
+    public const int DefaultOutputTokens = 700;
+
+    private const int SampleLimit = 200;
+
+    private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settingsService;
+
+    public GetAiCostEstimateHandler(GlucoseDbContext db, SettingsService settingsService)
+    {
+        _db = db;
+        _settingsService = settingsService;
+    }
+
+    public async Task<AiCostEstimateDto> Handle(GetAiCostEstimateQuery request, CancellationToken ct)
+    {
+        var model = string.IsNullOrWhiteSpace(request.Model)
+            ? (await _settingsService.GetAnalysisSettingsAsync()).GptModelName
+            : request.Model.Trim();
+
+        var eventAnalyses = _db.AiUsageLogs
+            .Where(l => l.Success && l.GlucoseEventId != null)
+            .OrderByDescending(l => l.CalledAt);
+        var sample = await eventAnalyses.Where(l => l.Model == model).Take(SampleLimit).ToListAsync(ct);
+        if (sample.Count == 0)
+            sample = await eventAnalyses.Take(SampleLimit).ToListAsync(ct);
+
+        var avgInput = sample.Count > 0 ? sample.Average(l => (double)l.InputTokens) : DefaultInputTokens;
+        var avgOutput = sample.Count > 0 ? sample.Average(l => (double)l.OutputTokens) : DefaultOutputTokens;
+        var calls = Math.Max(0, request.Calls);
+        var costPerCall = AiCostCalculator.ComputeCost(model, (long)Math.Round(avgInput), (long)Math.Round(avgOutput));
+
+        return new AiCostEstimateDto(
+            model, calls, Math.Round(avgInput, 1), Math.Round(avgOutput, 1),
+            sample.Count, costPerCall > 0, Math.Round(costPerCall * calls, 4));
+    }
+}
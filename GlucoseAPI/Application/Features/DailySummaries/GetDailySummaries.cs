@@ -6,7 +6,9 @@ using Microsoft.EntityFrameworkCore;
 
 namespace GlucoseAPI.Application.Features.DailySummaries;
 
-public record GetDailySummariesQuery(int? Limit = null, int Offset = 0) : IRequest<PagedResult<DailySummaryListDto>>;
+/// <summary>Daily summaries, newest first; <c>From</c>/<c>To</c> limit them to local dates (inclusive).</summary>
+public record GetDailySummariesQuery(int? Limit = null, int Offset = 0, DateTime? From = null, DateTime? To = null)
+    : IRequest<PagedResult<DailySummaryListDto>>;
 
 public class GetDailySummariesHandler : IRequestHandler<GetDailySummariesQuery, PagedResult<DailySummaryListDto>>
 {
@@ -16,9 +18,13 @@ public class GetDailySummariesHandler : IRequestHandler<GetDailySummariesQuery,
 
     public async Task<PagedResult<DailySummaryListDto>> Handle(GetDailySummariesQuery request, CancellationToken ct)
     {
-        var baseQuery = _db.DailySummaries
-            .OrderByDescending(s => s.Date)
-            .AsQueryable();
+        var filtered = _db.DailySummaries.AsQueryable();
+        if (request.From.HasValue)
+            filtered = filtered.Where(s => s.Date >= request.From.Value.Date);
+        if (request.To.HasValue)
+            filtered = filtered.Where(s => s.Date <= request.To.Value.Date);
+
+        var baseQuery = filtered.OrderByDescending(s => s.Date);
 
         var totalCount = await baseQuery.CountAsync(ct);
 
@@ -47,6 +53,11 @@ public class GetDailySummariesHandler : IRequestHandler<GetDailySummariesQuery,
             GlucoseMax = s.GlucoseMax,
             GlucoseAvg = s.GlucoseAvg,
             TimeInRange = s.TimeInRange,
+            TotalBolusUnits = s.TotalBolusUnits,
+            TotalBasalUnits = s.TotalBasalUnits,
+            TotalCarbsGrams = s.TotalCarbsGrams,
+            ExerciseMinutes = s.ExerciseMinutes,
+            SleepMinutes = s.SleepMinutes,
             IsProcessed = s.IsProcessed,
             HasAnalysis = !string.IsNullOrEmpty(s.AiAnalysis),
             AiClassification = s.AiClassification,
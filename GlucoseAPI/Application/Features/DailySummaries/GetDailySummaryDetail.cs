@@ -9,6 +9,9 @@ namespace GlucoseAPI.Application.Features.DailySummaries;
 
 public record GetDailySummaryDetailQuery(int Id) : IRequest<DailySummaryDetailDto?>;
 
+/// <summary>Looks up a daily summary by its local calendar date (used by /dailysummaries/yyyy-MM-dd deep links).</summary>
+public record GetDailySummaryByDateQuery(DateTime Date) : IRequest<DailySummaryDetailDto?>;
+
 public class GetDailySummaryDetailHandler
     : IRequestHandler<GetDailySummaryDetailQuery, DailySummaryDetailDto?>
 {
@@ -21,24 +24,30 @@ public class GetDailySummaryDetailHandler
         var summary = await _db.DailySummaries.FindAsync(new object[] { request.Id }, ct);
         if (summary == null) return null;
 
-        var events = await _db.GlucoseEvents
+        return await BuildDetailAsync(_db, summary, ct);
+    }
+
+    internal static async Task<DailySummaryDetailDto> BuildDetailAsync(
+        GlucoseDbContext db, DailySummary summary, CancellationToken ct)
+    {
+        var events = await db.GlucoseEvents
             .Where(e => e.EventTimestamp >= summary.PeriodStartUtc && e.EventTimestamp < summary.PeriodEndUtc)
             .OrderByDescending(e => e.EventTimestamp)
             .ToListAsync(ct);
 
         var eventIds = events.Select(e => e.Id).ToList();
-        var analysisCounts = await _db.EventAnalysisHistory
+        var analysisCounts = await db.EventAnalysisHistory
             .Where(h => eventIds.Contains(h.GlucoseEventId))
             .GroupBy(h => h.GlucoseEventId)
             .Select(g => new { EventId = g.Key, Count = g.Count() })
             .ToDictionaryAsync(x => x.EventId, x => x.Count, ct);
 
-        var readings = await _db.GlucoseReadings
+        var readings = await db.GlucoseReadings
             .Where(r => r.Timestamp >= summary.PeriodStartUtc && r.Timestamp < summary.PeriodEndUtc)
             .OrderBy(r => r.Timestamp)
             .ToListAsync(ct);
 
-        var snapshots = await _db.DailySummarySnapshots
+        var snapshots = await db.DailySummarySnapshots
             .Where(snap => snap.DailySummaryId == summary.Id)
             .OrderByDescending(snap => snap.GeneratedAt)
             .ToListAsync(ct);
@@ -61,6 +70,11 @@ public class GetDailySummaryDetailHandler
             TimeInRange = summary.TimeInRange,
             TimeAboveRange = summary.TimeAboveRange,
             TimeBelowRange = summary.TimeBelowRange,
+            TotalBolusUnits = summary.TotalBolusUnits,
+            TotalBasalUnits = summary.TotalBasalUnits,
+            TotalCarbsGrams = summary.TotalCarbsGrams,
+            ExerciseMinutes = summary.ExerciseMinutes,
+            SleepMinutes = summary.SleepMinutes,
             AiAnalysis = summary.AiAnalysis,
             AiClassification = summary.AiClassification,
             AiModel = summary.AiModel,
@@ -97,3 +111,20 @@ public class GetDailySummaryDetailHandler
         AiClassification = snap.AiClassification
     };
 }
+
+public class GetDailySummaryByDateHandler
+    : IRequestHandler<GetDailySummaryByDateQuery, DailySummaryDetailDto?>
+{
+    private readonly GlucoseDbContext _db;
+
+    public GetDailySummaryByDateHandler(GlucoseDbContext db) => _db = db;
+
+    public async Task<DailySummaryDetailDto?> Handle(GetDailySummaryByDateQuery request, CancellationToken ct)
+    {
+        var date = request.Date.Date;
+        var summary = await _db.DailySummaries.FirstOrDefaultAsync(s => s.Date == date, ct);
+        if (summary == null) return null;
+
+        return await GetDailySummaryDetailHandler.BuildDetailAsync(_db, summary, ct);
+    }
+}
@@ -0,0 +1,136 @@
+using GlucoseAPI.Application.Interfaces;
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+using static GlucoseAPI.Application.Interfaces.EventCategory;
+
+namespace GlucoseAPI.Application.Features.Events;
+
+/// <summary>Acts on <see cref="Ids"/>, or on every event matching <see cref="Filter"/> when one is given.</summary>
+public record BulkEventActionCommand(
+    string Action, IReadOnlyList<int> Ids, string? ModelOverride = null, EventFilter? Filter = null)
+    : IRequest<BulkEventActionResult>;
+
+/// <summary>
+/// <see cref="Count"/> events were acted on; <see cref="Skipped"/> were left alone (with <see cref="Message"/>).
+/// <see cref="JobId"/> identifies a background re-analysis in "BulkActionProgress" messages.
+/// </summary>
+public record BulkEventActionResult(
+    bool Success, int Count, int Skipped = 0, string? JobId = null, string? Message = null, string? ErrorMessage = null);
+
+/// <summary>
+/// Runs one of <see cref="BulkEventActions"/> on many events. Re-analysis is queued on
+/// <see cref="BulkReprocessService"/>; re-translation and food re-extraction clear the current
+/// results and wake the services that fill them in; deletion is immediate. Only events logged
+/// in the app can be deleted, as note events would be recreated from their Samsung note.
+/// </summary>
+public class BulkEventActionHandler : IRequestHandler<BulkEventActionCommand, BulkEventActionResult>
+{
+    /// <summary>Most events one request may act on.</summary>
+    public const int MaxEvents = 1000;
+
+    private readonly GlucoseDbContext _db;
+    private readonly GlucoseEventAnalysisService _analysisService;
+    private readonly BulkReprocessService _reprocessService;
+    private readonly TranslationService _translationService;
+    private readonly FoodPatternService _foodPatternService;
+    private readonly IEventLogger _eventLogger;
+
+    public BulkEventActionHandler(
+        GlucoseDbContext db,
+        GlucoseEventAnalysisService analysisService,
+        BulkReprocessService reprocessService,
+        TranslationService translationService,
+        FoodPatternService foodPatternService,
+        IEventLogger eventLogger)
+    {
+        _db = db;
+        _analysisService = analysisService;
+        _reprocessService = reprocessService;
+        _translationService = translationService;
+        _foodPatternService = foodPatternService;
+        _eventLogger = eventLogger;
+    }
+
+    public async Task<BulkEventActionResult> Handle(BulkEventActionCommand request, CancellationToken ct)
+    {
+        if (!BulkEventActions.All.Contains(request.Action))
+            return Fail($"Action must be one of: {string.Join(", ", BulkEventActions.All)}.");
+
+        var model = string.IsNullOrWhiteSpace(request.ModelOverride) ? null : request.ModelOverride.Trim();
+        if (model != null && !AiCostCalculator.IsKnownModel(model))
+            return Fail($"Unknown model '{model}'.");
+
+        List<GlucoseEvent> events;
+        if (request.Filter != null)
+        {
+            var matching = GetEventsHandler.ApplyFilter(_db.GlucoseEvents, request.Filter);
+            var count = await matching.CountAsync(ct);
+            if (count == 0)
+                return Fail("No events match the filters.");
+            if (count > MaxEvents)
+                return Fail($"{count} events match the filters; at most {MaxEvents} can be changed at once.");
+            events = await matching.OrderBy(e => e.EventTimestamp).ToListAsync(ct);
+        }
+        else
+        {
+            if (request.Ids.Count == 0)
+                return Fail("Select at least one event.");
+            if (request.Ids.Count > MaxEvents)
+                return Fail($"At most {MaxEvents} events can be changed at once.");
+
+            var ids = request.Ids.Distinct().ToList();
+            events = await _db.GlucoseEvents
+                .Where(e => ids.Contains(e.Id))
+                .OrderBy(e => e.EventTimestamp)
+                .ToListAsync(ct);
+            if (events.Count == 0)
+                return Fail("None of the selected events exist.");
+        }
+
+        switch (request.Action)
+        {
+            case BulkEventActions.Reprocess:
+                var jobId = _reprocessService.Enqueue(events.Select(e => e.Id).ToList(), model);
+                return new BulkEventActionResult(true, events.Count, JobId: jobId);
+
+            case BulkEventActions.Retranslate:
+                foreach (var evt in events)
+                {
+                    evt.NoteTitleEn = null;
+                    evt.NoteContentEn = null;
+                    evt.UpdatedAt = DateTime.UtcNow;
+                }
+                await _db.SaveChangesAsync(ct);
+                _translationService.RequestBackfill();
+                await _eventLogger.LogInfoAsync(Analysis,
+                    $"Re-translation requested for {events.Count} event(s).", source: nameof(BulkEventActionHandler));
+                return new BulkEventActionResult(true, events.Count);
+
+            case BulkEventActions.ReextractFoods:
+                // Queued by id: the regular pass skips events whose earlier extraction found nothing.
+                // Food extraction only reads analysed events; the others get theirs after analysis
+                var eventIds = events.Select(e => e.Id).ToList();
+                await FoodPatternService.RemoveEventLinksAsync(_db, eventIds, ct);
+                _foodPatternService.EnqueueReextraction(eventIds);
+                await _eventLogger.LogInfoAsync(Analysis,
+                    $"Food re-extraction requested for {events.Count} event(s).", source: nameof(BulkEventActionHandler));
+                return new BulkEventActionResult(true, events.Count);
+
+            default:
+                var manual = events.Where(e => e.IsManual).ToList();
+                var skipped = events.Count - manual.Count;
+                var message = skipped > 0
+                    ? $"{skipped} event(s) from Samsung Notes were kept: they are recreated from their note, so delete the note instead."
+                    : null;
+                if (manual.Count > 0)
+                    await _analysisService.DeleteEventsAsync(_db, manual, ct);
+                return new BulkEventActionResult(true, manual.Count, skipped, Message: message);
+        }
+    }
+
+    private static BulkEventActionResult Fail(string error) => new(false, 0, ErrorMessage: error);
+}
@@ -0,0 +1,68 @@
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using MediatR;
+
+namespace GlucoseAPI.Application.Features.Events;
+
+public record CreateEventCommand(
+    string Title, string? Content, DateTime EventTimestampUtc, string EventType, EventDetails? Details = null)
+    : IRequest<CreateEventResult>;
+
+public record CreateEventResult(bool Success, GlucoseEventSummaryDto? Event, string? ErrorMessage);
+
+/// <summary>
+/// Logs an event in the app (no Samsung Note needed). The event then goes through the same
+/// translation, AI analysis and food extraction as events created from notes.
+/// Insulin, carbs, exercise and sleep values are validated by <see cref="StructuredEventCalculator"/>.
+/// </summary>
+public class CreateEventHandler : IRequestHandler<CreateEventCommand, CreateEventResult>
+{
+    /// <summary>Events a little in the future are allowed (clock skew, logging a meal about to be eaten).</summary>
+    private static readonly TimeSpan MaxFutureOffset = TimeSpan.FromMinutes(15);
+
+    private readonly GlucoseDbContext _db;
+    private readonly GlucoseEventAnalysisService _analysisService;
+
+    public CreateEventHandler(GlucoseDbContext db, GlucoseEventAnalysisService analysisService)
+    {
+        _db = db;
+        _analysisService = analysisService;
+    }
+
+    public async Task<CreateEventResult> Handle(CreateEventCommand request, CancellationToken ct)
+    {
+        var title = request.Title?.Trim() ?? string.Empty;
+        if (title.Length == 0)
+            return new CreateEventResult(false, null, "A title is required.");
+        if (title.Length > 500)
+            return new CreateEventResult(false, null, "The title can be at most 500 characters.");
+
+        var eventType = request.EventType?.Trim().ToLowerInvariant() ?? string.Empty;
+        if (!GlucoseEventTypes.All.Contains(eventType))
+            return new CreateEventResult(false, null,
+                $"Unknown event type '{request.EventType}'. Use {string.Join(", ", GlucoseEventTypes.All)}.");
+
+        if (request.EventTimestampUtc > DateTime.UtcNow + MaxFutureOffset)
+            return new CreateEventResult(false, null, "The event time can't be in the future.");
+
+        var details = Normalize(request.Details ?? new EventDetails());
+        var detailsError = StructuredEventCalculator.Validate(eventType, details);
+        if (detailsError != null)
+            return new CreateEventResult(false, null, detailsError);
+
+        var content = string.IsNullOrWhiteSpace(request.Content) ? null : request.Content.Trim();
+        var evt = await _analysisService.CreateManualEventAsync(
+            _db, title, content, DateTime.SpecifyKind(request.EventTimestampUtc, DateTimeKind.Utc), eventType, details, ct);
+
+        return new CreateEventResult(true, GetEventsHandler.MapToSummaryDto(evt), null);
+    }
+
+    private static EventDetails Normalize(EventDetails details) => details with
+    {
+        InsulinKind = string.IsNullOrWhiteSpace(details.InsulinKind) ? null : details.InsulinKind.Trim().ToLowerInvariant(),
+        ExerciseKind = string.IsNullOrWhiteSpace(details.ExerciseKind) ? null : details.ExerciseKind.Trim(),
+        Intensity = string.IsNullOrWhiteSpace(details.Intensity) ? null : details.Intensity.Trim().ToLowerInvariant()
+    };
+}
@@ -33,6 +33,12 @@ public class GetEventDetailHandler : IRequestHandler<GetEventDetailQuery, Glucos
             .OrderByDescending(h => h.AnalyzedAt)
             .ToListAsync(ct);
 
+        var edits = await _db.GlucoseEventEdits
+            .Where(e => e.GlucoseEventId == evt.Id)
+            .OrderByDescending(e => e.EditedAt)
+            .ThenBy(e => e.Id)
+            .ToListAsync(ct);
+
         // Find other events whose timestamps fall within this event's glucose window
         var overlappingEvents = await _db.GlucoseEvents
             .Where(e => e.Id != evt.Id
@@ -44,6 +50,14 @@ public class GetEventDetailHandler : IRequestHandler<GetEventDetailQuery, Glucos
         return new GlucoseEventDetailDto
         {
             Id = evt.Id,
+            EventType = evt.EventType,
+            IsManual = evt.IsManual,
+            InsulinKind = evt.InsulinKind,
+            InsulinUnits = evt.InsulinUnits,
+            CarbsGrams = evt.CarbsGrams,
+            ExerciseKind = evt.ExerciseKind,
+            DurationMinutes = evt.DurationMinutes,
+            Intensity = evt.Intensity,
             NoteTitle = evt.NoteTitle,
             NoteTitleEn = evt.NoteTitleEn,
             NoteContent = evt.NoteContent,
@@ -51,6 +65,10 @@ public class GetEventDetailHandler : IRequestHandler<GetEventDetailQuery, Glucos
             EventTimestamp = DateTime.SpecifyKind(evt.EventTimestamp, DateTimeKind.Utc),
             PeriodStart = DateTime.SpecifyKind(evt.PeriodStart, DateTimeKind.Utc),
             PeriodEnd = DateTime.SpecifyKind(evt.PeriodEnd, DateTimeKind.Utc),
+            IsWindowOverridden = evt.IsWindowOverridden,
+            EditedAt = evt.EditedAt.HasValue
+                ? DateTime.SpecifyKind(evt.EditedAt.Value, DateTimeKind.Utc)
+                : null,
             ReadingCount = stats.ReadingCount > 0 ? stats.ReadingCount : evt.ReadingCount,
             GlucoseAtEvent = stats.GlucoseAtEvent ?? evt.GlucoseAtEvent,
             GlucoseMin = stats.Min ?? evt.GlucoseMin,
@@ -75,6 +93,13 @@ public class GetEventDetailHandler : IRequestHandler<GetEventDetailQuery, Glucos
                 EventTimestamp = DateTime.SpecifyKind(e.EventTimestamp, DateTimeKind.Utc),
                 GlucoseAtEvent = e.GlucoseAtEvent,
                 AiClassification = e.AiClassification
+            }).ToList(),
+            Edits = edits.Select(e => new GlucoseEventEditDto
+            {
+                EditedAt = DateTime.SpecifyKind(e.EditedAt, DateTimeKind.Utc),
+                Field = e.Field,
+                OldValue = e.OldValue,
+                NewValue = e.NewValue
             }).ToList()
         };
     }
@@ -90,6 +115,11 @@ public class GetEventDetailHandler : IRequestHandler<GetEventDetailQuery, Glucos
         PeriodEnd = DateTime.SpecifyKind(h.PeriodEnd, DateTimeKind.Utc),
         ReadingCount = h.ReadingCount,
         Reason = h.Reason,
+        EventTimestamp = h.EventTimestamp.HasValue
+            ? DateTime.SpecifyKind(h.EventTimestamp.Value, DateTimeKind.Utc)
+            : null,
+        NoteTitle = h.NoteTitle,
+        NoteContent = h.NoteContent,
         GlucoseAtEvent = h.GlucoseAtEvent,
         GlucoseMin = h.GlucoseMin,
         GlucoseMax = h.GlucoseMax,
@@ -0,0 +1,25 @@
+using GlucoseAPI.Data;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace GlucoseAPI.Application.Features.Events;
+
+/// <summary>The GPT models that have analyzed at least one event, for the event list's model filter.</summary>
+public record GetEventModelsQuery : IRequest<List<string>>;
+
+public class GetEventModelsHandler : IRequestHandler<GetEventModelsQuery, List<string>>
+{
+    private readonly GlucoseDbContext _db;
+
+    public GetEventModelsHandler(GlucoseDbContext db) => _db = db;
+
+    public async Task<List<string>> Handle(GetEventModelsQuery request, CancellationToken ct)
+    {
+        return await _db.GlucoseEvents
+            .Where(e => e.AiModel != null && e.AiModel != "")
+            .Select(e => e.AiModel!)
+            .Distinct()
+            .OrderBy(m => m)
+            .ToListAsync(ct);
+    }
+}
@@ -6,7 +6,25 @@ using Microsoft.EntityFrameworkCore;
 
 namespace GlucoseAPI.Application.Features.Events;
 
-public record GetEventsQuery(int? Limit = null, int Offset = 0) : IRequest<PagedResult<GlucoseEventSummaryDto>>;
+public record GetEventsQuery(int? Limit = null, int Offset = 0, EventFilter? Filter = null)
+    : IRequest<PagedResult<GlucoseEventSummaryDto>>;
+
+/// <summary>
+/// Filters for the event list; every criterion is optional and they combine with AND.
+/// <see cref="Classification"/> is green, yellow, red or "none" (not classified yet);
+/// <see cref="Processed"/> picks processed or pending events; <see cref="From"/> and
+/// <see cref="To"/> bound the event time (UTC, inclusive); spikes are in mg/dL; and
+/// <see cref="Search"/> matches the original and English title and content.
+/// </summary>
+public record EventFilter(
+    string? Search = null,
+    string? Classification = null,
+    bool? Processed = null,
+    DateTime? From = null,
+    DateTime? To = null,
+    double? MinSpike = null,
+    double? MaxSpike = null,
+    string? Model = null);
 
 public class GetEventsHandler : IRequestHandler<GetEventsQuery, PagedResult<GlucoseEventSummaryDto>>
 {
@@ -16,9 +34,8 @@ public class GetEventsHandler : IRequestHandler<GetEventsQuery, PagedResult<Gluc
 
     public async Task<PagedResult<GlucoseEventSummaryDto>> Handle(GetEventsQuery request, CancellationToken ct)
     {
-        var baseQuery = _db.GlucoseEvents
-            .OrderByDescending(e => e.EventTimestamp)
-            .AsQueryable();
+        var baseQuery = ApplyFilter(_db.GlucoseEvents, request.Filter)
+            .OrderByDescending(e => e.EventTimestamp);
 
         var totalCount = await baseQuery.CountAsync(ct);
 
@@ -40,10 +57,56 @@ public class GetEventsHandler : IRequestHandler<GetEventsQuery, PagedResult<Gluc
         return new PagedResult<GlucoseEventSummaryDto>(items, totalCount);
     }
 
+    internal static IQueryable<GlucoseEvent> ApplyFilter(IQueryable<GlucoseEvent> query, EventFilter? filter)
+    {
+        if (filter == null) return query;
+
+        if (!string.IsNullOrWhiteSpace(filter.Search))
+        {
+            var s = filter.Search.Trim().ToLower();
+            query = query.Where(e =>
+                e.NoteTitle.ToLower().Contains(s) ||
+                (e.NoteTitleEn != null && e.NoteTitleEn.ToLower().Contains(s)) ||
+                (e.NoteContent != null && e.NoteContent.ToLower().Contains(s)) ||
+                (e.NoteContentEn != null && e.NoteContentEn.ToLower().Contains(s)));
+        }
+
+        if (filter.Classification == "none")
+            query = query.Where(e => e.AiClassification == null);
+        else if (!string.IsNullOrWhiteSpace(filter.Classification))
+            query = query.Where(e => e.AiClassification == filter.Classification);
+
+        if (filter.Processed.HasValue)
+            query = query.Where(e => e.IsProcessed == filter.Processed.Value);
+
+        if (filter.From.HasValue)
+            query = query.Where(e => e.EventTimestamp >= filter.From.Value);
+        if (filter.To.HasValue)
+            query = query.Where(e => e.EventTimestamp <= filter.To.Value);
+
+        if (filter.MinSpike.HasValue)
+            query = query.Where(e => e.GlucoseSpike != null && e.GlucoseSpike >= filter.MinSpike.Value);
+        if (filter.MaxSpike.HasValue)
+            query = query.Where(e => e.GlucoseSpike != null && e.GlucoseSpike <= filter.MaxSpike.Value);
+
+        if (!string.IsNullOrWhiteSpace(filter.Model))
+            query = query.Where(e => e.AiModel == filter.Model);
+
+        return query;
+    }
+
     internal static GlucoseEventSummaryDto MapToSummaryDto(
         GlucoseEvent e, Dictionary<int, int>? analysisCounts = null) => new()
     {
         Id = e.Id,
+        EventType = e.EventType,
+        IsManual = e.IsManual,
+        InsulinKind = e.InsulinKind,
+        InsulinUnits = e.InsulinUnits,
+        CarbsGrams = e.CarbsGrams,
+        ExerciseKind = e.ExerciseKind,
+        DurationMinutes = e.DurationMinutes,
+        Intensity = e.Intensity,
         NoteTitle = e.NoteTitle,
         NoteTitleEn = e.NoteTitleEn,
         NoteContentPreview = e.NoteContent != null && e.NoteContent.Length > 120
@@ -0,0 +1,54 @@
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Services;
+using MediatR;
+
+namespace GlucoseAPI.Application.Features.Events;
+
+public record UpdateEventCommand(
+    int Id, string Title, string? Content, DateTime EventTimestampUtc,
+    DateTime? PeriodStartUtc = null, DateTime? PeriodEndUtc = null)
+    : IRequest<UpdateEventResult>;
+
+public record UpdateEventResult(
+    bool Found, bool Success, GlucoseEventSummaryDto? Event, IReadOnlyList<EventFieldChange> Changes, string? ErrorMessage);
+
+/// <summary>
+/// Edits an event's time, title, content and optionally its glucose window (validated by
+/// <see cref="EventEditCalculator"/>). Changed fields are audited and the event is re-analysed;
+/// see <see cref="GlucoseEventAnalysisService.EditEventAsync"/>.
+/// </summary>
+public class UpdateEventHandler : IRequestHandler<UpdateEventCommand, UpdateEventResult>
+{
+    private readonly GlucoseDbContext _db;
+    private readonly GlucoseEventAnalysisService _analysisService;
+
+    public UpdateEventHandler(GlucoseDbContext db, GlucoseEventAnalysisService analysisService)
+    {
+        _db = db;
+        _analysisService = analysisService;
+    }
+
+    public async Task<UpdateEventResult> Handle(UpdateEventCommand request, CancellationToken ct)
+    {
+        var evt = await _db.GlucoseEvents.FindAsync(new object[] { request.Id }, ct);
+        if (evt == null)
+            return new UpdateEventResult(false, false, null, Array.Empty<EventFieldChange>(), "Event not found.");
+
+        var edit = new EventEdit(
+            request.Title?.Trim() ?? string.Empty,
+            string.IsNullOrWhiteSpace(request.Content) ? null : request.Content.Trim(),
+            AsUtc(request.EventTimestampUtc),
+            request.PeriodStartUtc.HasValue ? AsUtc(request.PeriodStartUtc.Value) : null,
+            request.PeriodEndUtc.HasValue ? AsUtc(request.PeriodEndUtc.Value) : null);
+
+        var error = EventEditCalculator.Validate(edit, DateTime.UtcNow);
+        if (error != null)
+            return new UpdateEventResult(true, false, null, Array.Empty<EventFieldChange>(), error);
+
+        var changes = await _analysisService.EditEventAsync(_db, evt, edit, ct);
+        return new UpdateEventResult(true, true, GetEventsHandler.MapToSummaryDto(evt), changes, null);
+    }
+
+    private static DateTime AsUtc(DateTime value) => DateTime.SpecifyKind(value, DateTimeKind.Utc);
+}
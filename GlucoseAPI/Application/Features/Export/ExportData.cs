@@ -0,0 +1,35 @@
+using GlucoseAPI.Services;
+using MediatR;
+
+namespace GlucoseAPI.Application.Features.Export;
+
+public record ExportDataQuery(DateTime FromUtc, DateTime ToUtc, ExportFormat Format, ExportDatasets Include)
+    : IRequest<ExportDataResult>;
+
+public record ExportDataResult(bool Success, ExportFile? File, string? ErrorMessage);
+
+public class ExportDataHandler : IRequestHandler<ExportDataQuery, ExportDataResult>
+{
+    private readonly DataExportService _exportService;
+
+    public ExportDataHandler(DataExportService exportService) => _exportService = exportService;
+
+    public async Task<ExportDataResult> Handle(ExportDataQuery request, CancellationToken ct)
+    {
+        if (request.FromUtc >= request.ToUtc)
+            return new ExportDataResult(false, null, "'from' must be before 'to'.");
+
+        var supported = DataExportService.Supported(request.Format);
+        if ((request.Include & supported) == ExportDatasets.None)
+        {
+            var names = Enum.GetValues<ExportDatasets>()
+                .Where(d => d != ExportDatasets.None && supported.HasFlag(d))
+                .Select(d => d.ToString().ToLowerInvariant());
+            return new ExportDataResult(false, null,
+                $"Nothing to export: the {request.Format.ToString().ToLowerInvariant()} format covers {string.Join(", ", names)}.");
+        }
+
+        var file = await _exportService.ExportAsync(request.FromUtc, request.ToUtc, request.Format, request.Include, ct);
+        return new ExportDataResult(true, file, null);
+    }
+}
@@ -0,0 +1,68 @@
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace GlucoseAPI.Application.Features.Glucose;
+
+/// <summary>
+/// AGP of the last <paramref name="Hours"/>, or of the absolute UTC window
+/// [<paramref name="Start"/>, <paramref name="End"/>) when given.
+/// </summary>
+public record GetGlucoseAgpQuery(int Hours = 336, DateTime? Start = null, DateTime? End = null) : IRequest<GlucoseAgpDto?>;
+
+public class GetGlucoseAgpHandler : IRequestHandler<GetGlucoseAgpQuery, GlucoseAgpDto?>
+{
+    private const int SlotMinutes = 15;
+
+    private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settingsService;
+    private readonly TimeZoneConverter _tzConverter;
+
+    public GetGlucoseAgpHandler(GlucoseDbContext db, SettingsService settingsService, TimeZoneConverter tzConverter)
+    {
+        _db = db;
+        _settingsService = settingsService;
+        _tzConverter = tzConverter;
+    }
+
+    public async Task<GlucoseAgpDto?> Handle(GetGlucoseAgpQuery request, CancellationToken ct)
+    {
+        var to = request.End ?? DateTime.UtcNow;
+        var from = request.Start ?? to.AddHours(-request.Hours);
+
+        var readings = await _db.GlucoseReadings
+            .Where(r => r.Timestamp >= from && r.Timestamp < to)
+            .OrderBy(r => r.Timestamp)
+            .ToListAsync(ct);
+
+        if (readings.Count == 0)
+            return null;
+
+        var tzId = await _settingsService.GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw");
+        var tz = _tzConverter.Resolve(tzId);
+        var slots = GlucoseStatsCalculator.ComputeAgp(readings, tz, SlotMinutes);
+
+        return new GlucoseAgpDto
+        {
+            From = from,
+            To = to,
+            TotalReadings = readings.Count,
+            SlotMinutes = SlotMinutes,
+            TimeZone = tz.Id,
+            Slots = slots.Select(s => new AgpSlotDto
+            {
+                MinuteOfDay = s.MinuteOfDay,
+                Time = $"{s.MinuteOfDay / 60:00}:{s.MinuteOfDay % 60:00}",
+                ReadingCount = s.ReadingCount,
+                P5 = s.P5,
+                P25 = s.P25,
+                P50 = s.P50,
+                P75 = s.P75,
+                P95 = s.P95
+            }).ToList()
+        };
+    }
+}
@@ -0,0 +1,71 @@
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace GlucoseAPI.Application.Features.Glucose;
+
+/// <summary>
+/// Short-horizon estimate of where glucose is heading, from the newest readings and
+/// trend arrow. Null when there are no readings or the newest one is stale (older than
+/// the display settings' stale threshold) — projecting from old data would mislead.
+/// </summary>
+public record GetGlucoseForecastQuery(int Minutes = 60) : IRequest<GlucoseForecastDto?>;
+
+public class GetGlucoseForecastHandler : IRequestHandler<GetGlucoseForecastQuery, GlucoseForecastDto?>
+{
+    private const int StepMinutes = 5;
+
+    private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settingsService;
+
+    public GetGlucoseForecastHandler(GlucoseDbContext db, SettingsService settingsService)
+    {
+        _db = db;
+        _settingsService = settingsService;
+    }
+
+    public async Task<GlucoseForecastDto?> Handle(GetGlucoseForecastQuery request, CancellationToken ct)
+    {
+        var latest = await _db.GlucoseReadings
+            .OrderByDescending(r => r.Timestamp)
+            .FirstOrDefaultAsync(ct);
+        if (latest == null)
+            return null;
+
+        var display = await _settingsService.GetDisplaySettingsAsync();
+        if ((DateTime.UtcNow - latest.Timestamp).TotalMinutes > display.StaleAfterMinutes)
+            return null;
+
+        var since = latest.Timestamp.AddMinutes(-GlucoseForecaster.LookbackMinutes);
+        var readings = await _db.GlucoseReadings
+            .Where(r => r.Timestamp >= since)
+            .OrderBy(r => r.Timestamp)
+            .ToListAsync(ct);
+
+        var ranges = await _settingsService.GetTargetRangeProfileAsync();
+        var forecast = GlucoseForecaster.Forecast(readings, request.Minutes, StepMinutes, ranges);
+        if (forecast == null)
+            return null;
+
+        return new GlucoseForecastDto
+        {
+            BaseTime = forecast.BaseTime,
+            BaseValue = forecast.BaseValue,
+            RatePerMinute = forecast.RatePerMinute,
+            ReadingsUsed = forecast.ReadingsUsed,
+            MinutesToLow = forecast.MinutesToLow,
+            LowThreshold = forecast.LowThreshold,
+            Points = forecast.Points.Select(p => new ForecastPointDto
+            {
+                MinutesAhead = p.MinutesAhead,
+                Timestamp = p.Timestamp,
+                Value = p.Value,
+                Lower = p.Lower,
+                Upper = p.Upper
+            }).ToList()
+        };
+    }
+}
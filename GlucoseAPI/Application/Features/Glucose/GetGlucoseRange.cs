@@ -10,7 +10,8 @@ public record GetGlucoseRangeQuery(DateTime Start, DateTime End) : IRequest<Gluc
 public record GlucoseRangeResult(List<GlucoseReadingDto> Readings, List<GlucoseRangeEventDto> Events);
 
 public record GlucoseRangeEventDto(
-    int Id, string Title, DateTime Timestamp, double? GlucoseAtEvent, double? GlucoseSpike, string? Classification);
+    int Id, string Title, DateTime Timestamp, double? GlucoseAtEvent, double? GlucoseSpike, string? Classification,
+    string? EventType, string? InsulinKind, double? InsulinUnits, double? CarbsGrams, int? DurationMinutes);
 
 public class GetGlucoseRangeHandler : IRequestHandler<GetGlucoseRangeQuery, GlucoseRangeResult>
 {
@@ -38,7 +39,12 @@ public class GetGlucoseRangeHandler : IRequestHandler<GetGlucoseRangeQuery, Gluc
                 DateTime.SpecifyKind(e.EventTimestamp, DateTimeKind.Utc),
                 e.GlucoseAtEvent,
                 e.GlucoseSpike,
-                e.AiClassification
+                e.AiClassification,
+                e.EventType,
+                e.InsulinKind,
+                e.InsulinUnits,
+                e.CarbsGrams,
+                e.DurationMinutes
             )).ToList()
         );
     }
@@ -1,40 +1,77 @@
 using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
 using GlucoseAPI.Models;
+using GlucoseAPI.Services;
 using MediatR;
 using Microsoft.EntityFrameworkCore;
 
 namespace GlucoseAPI.Application.Features.Glucose;
 
-public record GetGlucoseStatsQuery(int Hours = 24) : IRequest<GlucoseStatsDto?>;
+/// <summary>
+/// Stats for the last <paramref name="Hours"/>, or for the absolute UTC window
+/// [<paramref name="Start"/>, <paramref name="End"/>) when given. The previous
+/// window is the equally long span just before.
+/// </summary>
+public record GetGlucoseStatsQuery(int Hours = 24, DateTime? Start = null, DateTime? End = null) : IRequest<GlucoseStatsDto?>;
 
 public class GetGlucoseStatsHandler : IRequestHandler<GetGlucoseStatsQuery, GlucoseStatsDto?>
 {
     private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settingsService;
 
-    public GetGlucoseStatsHandler(GlucoseDbContext db) => _db = db;
+    public GetGlucoseStatsHandler(GlucoseDbContext db, SettingsService settingsService)
+    {
+        _db = db;
+        _settingsService = settingsService;
+    }
 
     public async Task<GlucoseStatsDto?> Handle(GetGlucoseStatsQuery request, CancellationToken ct)
     {
-        var since = DateTime.UtcNow.AddHours(-request.Hours);
+        // Relative windows end now; absolute ones are [Start, End) like /glucose/range
+        var end = request.End;
+        var until = end ?? DateTime.UtcNow;
+        var since = request.Start ?? until.AddHours(-request.Hours);
+        var previousSince = since - (until - since);
 
-        var readings = await _db.GlucoseReadings
-            .Where(r => r.Timestamp >= since)
+        // Load the current and the previous equal window in one query
+        var allReadings = await _db.GlucoseReadings
+            .Where(r => r.Timestamp >= previousSince && (end == null || r.Timestamp < end))
+            .OrderBy(r => r.Timestamp)
             .ToListAsync(ct);
 
+        var readings = allReadings.Where(r => r.Timestamp >= since).ToList();
         if (readings.Count == 0)
             return null;
 
-        var latest = readings.OrderByDescending(r => r.Timestamp).First();
-        var inRangeCount = readings.Count(r => r.Value >= 70 && r.Value <= 180);
+        var previousReadings = allReadings.Where(r => r.Timestamp < since).ToList();
+        var ranges = await _settingsService.GetTargetRangeProfileAsync();
+
+        var stats = BuildStats(readings, ranges);
+        stats.LatestReading = GetLatestReadingHandler.MapToDto(readings[^1]);
+        stats.Previous = previousReadings.Count > 0 ? BuildStats(previousReadings, ranges) : null;
+        return stats;
+    }
+
+    private static GlucoseStatsDto BuildStats(List<GlucoseReading> readings, TargetRangeProfile ranges)
+    {
+        var bands = GlucoseStatsCalculator.ComputeTimeInRangeBands(readings, ranges);
+        var variability = GlucoseStatsCalculator.ComputeVariability(readings);
 
         return new GlucoseStatsDto
         {
-            Average = Math.Round(readings.Average(r => r.Value), 1),
+            Average = variability.Mean ?? 0,
             Min = readings.Min(r => r.Value),
             Max = readings.Max(r => r.Value),
             TotalReadings = readings.Count,
-            TimeInRange = Math.Round((double)inRangeCount / readings.Count * 100, 1),
-            LatestReading = GetLatestReadingHandler.MapToDto(latest)
+            TimeInRange = bands.InRange ?? 0,
+            TimeVeryLow = bands.VeryLow ?? 0,
+            TimeLow = bands.Low ?? 0,
+            TimeHigh = bands.High ?? 0,
+            TimeVeryHigh = bands.VeryHigh ?? 0,
+            StdDev = variability.StdDev ?? 0,
+            CoefficientOfVariation = variability.CoefficientOfVariation,
+            Gmi = variability.Gmi ?? 0,
+            EstimatedA1C = variability.EstimatedA1C ?? 0
         };
     }
 }
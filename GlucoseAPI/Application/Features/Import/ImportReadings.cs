@@ -0,0 +1,53 @@
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using MediatR;
+
+namespace GlucoseAPI.Application.Features.Import;
+
+// ── Preview ─────────────────────────────────────────────────
+
+public record PreviewImportQuery(string Content, string FileName) : IRequest<PreviewImportResult>;
+
+public record PreviewImportResult(bool Success, ImportPreviewDto? Preview, string? ErrorMessage);
+
+public class PreviewImportHandler : IRequestHandler<PreviewImportQuery, PreviewImportResult>
+{
+    private readonly GlucoseImportService _importService;
+
+    public PreviewImportHandler(GlucoseImportService importService) => _importService = importService;
+
+    public async Task<PreviewImportResult> Handle(PreviewImportQuery request, CancellationToken ct)
+    {
+        var parsed = await _importService.ParseAsync(request.Content);
+        if (parsed.Error != null)
+            return new PreviewImportResult(false, null, parsed.Error);
+
+        var preview = await _importService.PreviewAsync(parsed, request.FileName, ct);
+        return new PreviewImportResult(true, preview, null);
+    }
+}
+
+// ── Import ──────────────────────────────────────────────────
+
+public record ImportReadingsCommand(string Content, bool ReplaceConflicts) : IRequest<ImportReadingsResult>;
+
+public record ImportReadingsResult(bool Success, ImportResultDto? Result, string? ErrorMessage);
+
+public class ImportReadingsHandler : IRequestHandler<ImportReadingsCommand, ImportReadingsResult>
+{
+    private readonly GlucoseImportService _importService;
+
+    public ImportReadingsHandler(GlucoseImportService importService) => _importService = importService;
+
+    public async Task<ImportReadingsResult> Handle(ImportReadingsCommand request, CancellationToken ct)
+    {
+        var parsed = await _importService.ParseAsync(request.Content);
+        if (parsed.Error != null)
+            return new ImportReadingsResult(false, null, parsed.Error);
+        if (parsed.Readings.Count == 0)
+            return new ImportReadingsResult(false, null, "The file contains no glucose readings.");
+
+        var result = await _importService.ImportAsync(parsed, request.ReplaceConflicts, ct);
+        return new ImportReadingsResult(true, result, null);
+    }
+}
@@ -3,7 +3,7 @@ using MediatR;
 
 namespace GlucoseAPI.Application.Features.Reports;
 
-public record GenerateReportQuery(DateTime From, DateTime To) : IRequest<GenerateReportResult>;
+public record GenerateReportQuery(DateTime From, DateTime To, bool IncludeAgp = false) : IRequest<GenerateReportResult>;
 
 public record GenerateReportResult(bool Success, byte[]? PdfBytes, string? FileName, string? ErrorMessage);
 
@@ -31,7 +31,7 @@ public class GenerateReportHandler : IRequestHandler<GenerateReportQuery, Genera
             _logger.LogInformation("Generating PDF report from {From} to {To}.",
                 request.From.ToString("yyyy-MM-dd"), request.To.ToString("yyyy-MM-dd"));
 
-            var pdfBytes = await _reportService.GenerateReportAsync(request.From, request.To, ct);
+            var pdfBytes = await _reportService.GenerateReportAsync(request.From, request.To, request.IncludeAgp, ct);
             var fileName = $"glucose_report_{request.From:yyyyMMdd}_{request.To:yyyyMMdd}.pdf";
 
             return new GenerateReportResult(true, pdfBytes, fileName, null);
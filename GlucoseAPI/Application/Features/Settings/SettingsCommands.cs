@@ -1,3 +1,4 @@
+using System.Globalization;
 using GlucoseAPI.Models;
 using GlucoseAPI.Services;
 using MediatR;
@@ -89,6 +90,126 @@ public class SaveAnalysisSettingsHandler : IRequestHandler<SaveAnalysisSettingsC
     }
 }
 
+// ── SaveDisplaySettings ───────────────────────────────────────
+
+public record SaveDisplaySettingsCommand(DisplaySettingsDto Dto)
+    : IRequest<SaveSettingsResult>;
+
+public class SaveDisplaySettingsHandler : IRequestHandler<SaveDisplaySettingsCommand, SaveSettingsResult>
+{
+    private readonly SettingsService _settingsService;
+    private readonly ILogger<SaveDisplaySettingsHandler> _logger;
+
+    public SaveDisplaySettingsHandler(SettingsService settingsService, ILogger<SaveDisplaySettingsHandler> logger)
+    {
+        _settingsService = settingsService;
+        _logger = logger;
+    }
+
+    public async Task<SaveSettingsResult> Handle(SaveDisplaySettingsCommand request, CancellationToken ct)
+    {
+        var dto = request.Dto;
+
+        if (!GlucoseUnits.IsValid(dto.GlucoseUnit))
+            return new SaveSettingsResult(false, $"Unsupported glucose unit '{dto.GlucoseUnit}'. Use mg/dL or mmol/L.");
+
+        if (dto.StaleAfterMinutes < 5 || dto.StaleAfterMinutes > 720)
+            return new SaveSettingsResult(false, "Stale-data threshold must be between 5 and 720 minutes.");
+
+        await _settingsService.SaveDisplaySettingsAsync(dto);
+        _logger.LogInformation("Display settings saved. Unit: {Unit}, stale after {Minutes} min",
+            dto.GlucoseUnit, dto.StaleAfterMinutes);
+
+        return new SaveSettingsResult(true, "Display settings saved successfully.");
+    }
+}
+
+// ── SaveTargetRangeSettings ───────────────────────────────────
+
+public record SaveTargetRangeSettingsCommand(TargetRangeSettingsDto Dto)
+    : IRequest<SaveSettingsResult>;
+
+public class SaveTargetRangeSettingsHandler : IRequestHandler<SaveTargetRangeSettingsCommand, SaveSettingsResult>
+{
+    private readonly SettingsService _settingsService;
+    private readonly ILogger<SaveTargetRangeSettingsHandler> _logger;
+
+    public SaveTargetRangeSettingsHandler(SettingsService settingsService, ILogger<SaveTargetRangeSettingsHandler> logger)
+    {
+        _settingsService = settingsService;
+        _logger = logger;
+    }
+
+    public async Task<SaveSettingsResult> Handle(SaveTargetRangeSettingsCommand request, CancellationToken ct)
+    {
+        var dto = request.Dto;
+
+        if (!SettingsService.ToDomain(dto.Day).IsValid)
+            return new SaveSettingsResult(false, "Day thresholds must be ascending: very low < low < high < very high.");
+
+        if (dto.NightEnabled)
+        {
+            if (!SettingsService.ToDomain(dto.Night).IsValid)
+                return new SaveSettingsResult(false, "Night thresholds must be ascending: very low < low < high < very high.");
+
+            if (!IsTimeOfDay(dto.NightStart) || !IsTimeOfDay(dto.NightEnd))
+                return new SaveSettingsResult(false, "Night start and end must be times in HH:mm format.");
+        }
+
+        await _settingsService.SaveTargetRangeSettingsAsync(dto);
+        _logger.LogInformation("Target ranges saved. Day: {Low}-{High}, Night: {Night}",
+            dto.Day.Low, dto.Day.High, dto.NightEnabled ? $"{dto.Night.Low}-{dto.Night.High}" : "off");
+
+        return new SaveSettingsResult(true, "Target ranges saved successfully.");
+    }
+
+    /// <summary>Strict "HH:mm" (00:00–23:59); <see cref="TimeSpan.TryParse(string, out TimeSpan)"/> would also take "7" or "1.02:00".</summary>
+    internal static bool IsTimeOfDay(string? value) =>
+        TimeSpan.TryParseExact(value, "hh\\:mm", CultureInfo.InvariantCulture, out _);
+}
+
+// ── SaveAlertSettings ─────────────────────────────────────────
+
+public record SaveAlertSettingsCommand(AlertSettingsDto Dto)
+    : IRequest<SaveSettingsResult>;
+
+public class SaveAlertSettingsHandler : IRequestHandler<SaveAlertSettingsCommand, SaveSettingsResult>
+{
+    private readonly SettingsService _settingsService;
+    private readonly ILogger<SaveAlertSettingsHandler> _logger;
+
+    public SaveAlertSettingsHandler(SettingsService settingsService, ILogger<SaveAlertSettingsHandler> logger)
+    {
+        _settingsService = settingsService;
+        _logger = logger;
+    }
+
+    public async Task<SaveSettingsResult> Handle(SaveAlertSettingsCommand request, CancellationToken ct)
+    {
+        var dto = request.Dto;
+
+        if (!(dto.UrgentLow > 0 && dto.UrgentLow < dto.Low && dto.Low < dto.High))
+            return new SaveSettingsResult(false, "Alert thresholds must be ascending: urgent low < low < high.");
+
+        if (dto.NoDataMinutes < 5 || dto.NoDataMinutes > 1440)
+            return new SaveSettingsResult(false, "No-data alert must be between 5 and 1440 minutes.");
+
+        if (dto.ReAlertMinutes < 1 || dto.SnoozeMinutes < 1)
+            return new SaveSettingsResult(false, "Re-alert and snooze intervals must be at least 1 minute.");
+
+        if (dto.QuietHoursEnabled
+            && (!SaveTargetRangeSettingsHandler.IsTimeOfDay(dto.QuietStart)
+                || !SaveTargetRangeSettingsHandler.IsTimeOfDay(dto.QuietEnd)))
+            return new SaveSettingsResult(false, "Quiet hours start and end must be times in HH:mm format.");
+
+        await _settingsService.SaveAlertSettingsAsync(dto);
+        _logger.LogInformation("Alert settings saved. Enabled: {Enabled}, Low: {Low}, High: {High}",
+            dto.Enabled, dto.Low, dto.High);
+
+        return new SaveSettingsResult(true, "Alert settings saved successfully.");
+    }
+}
+
 // ── TestLibreLinkConnection ───────────────────────────────────
 
 public record TestLibreLinkConnectionCommand(LibreSettingsDto Dto)
@@ -49,3 +49,45 @@ public class GetAnalysisSettingsHandler : IRequestHandler<GetAnalysisSettingsQue
         return settings;
     }
 }
+
+// ── GetDisplaySettings ────────────────────────────────────────
+
+public record GetDisplaySettingsQuery : IRequest<DisplaySettingsDto>;
+
+public class GetDisplaySettingsHandler : IRequestHandler<GetDisplaySettingsQuery, DisplaySettingsDto>
+{
+    private readonly SettingsService _settingsService;
+
+    public GetDisplaySettingsHandler(SettingsService settingsService) => _settingsService = settingsService;
+
+    public Task<DisplaySettingsDto> Handle(GetDisplaySettingsQuery request, CancellationToken ct)
+        => _settingsService.GetDisplaySettingsAsync();
+}
+
+// ── GetTargetRangeSettings ────────────────────────────────────
+
+public record GetTargetRangeSettingsQuery : IRequest<TargetRangeSettingsDto>;
+
+public class GetTargetRangeSettingsHandler : IRequestHandler<GetTargetRangeSettingsQuery, TargetRangeSettingsDto>
+{
+    private readonly SettingsService _settingsService;
+
+    public GetTargetRangeSettingsHandler(SettingsService settingsService) => _settingsService = settingsService;
+
+    public Task<TargetRangeSettingsDto> Handle(GetTargetRangeSettingsQuery request, CancellationToken ct)
+        => _settingsService.GetTargetRangeSettingsAsync();
+}
+
+// ── GetAlertSettings ──────────────────────────────────────────
+
+public record GetAlertSettingsQuery : IRequest<AlertSettingsDto>;
+
+public class GetAlertSettingsHandler : IRequestHandler<GetAlertSettingsQuery, AlertSettingsDto>
+{
+    private readonly SettingsService _settingsService;
+
+    public GetAlertSettingsHandler(SettingsService settingsService) => _settingsService = settingsService;
+
+    public Task<AlertSettingsDto> Handle(GetAlertSettingsQuery request, CancellationToken ct)
+        => _settingsService.GetAlertSettingsAsync();
+}
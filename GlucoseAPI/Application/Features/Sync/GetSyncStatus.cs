@@ -0,0 +1,46 @@
+using GlucoseAPI.Data;
+using GlucoseAPI.Models;
+using GlucoseAPI.Services;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace GlucoseAPI.Application.Features.Sync;
+
+/// <summary>
+/// Reports the GlucoseFetchService and SamsungNotesSyncService schedules
+/// (last/next run, interval, last error) and the newest stored reading.
+/// </summary>
+public record GetSyncStatusQuery : IRequest<SyncStatusDto>;
+
+public class GetSyncStatusHandler : IRequestHandler<GetSyncStatusQuery, SyncStatusDto>
+{
+    private readonly GlucoseDbContext _db;
+    private readonly GlucoseFetchService _glucoseFetch;
+    private readonly SamsungNotesSyncService _notesSync;
+
+    public GetSyncStatusHandler(
+        GlucoseDbContext db,
+        GlucoseFetchService glucoseFetch,
+        SamsungNotesSyncService notesSync)
+    {
+        _db = db;
+        _glucoseFetch = glucoseFetch;
+        _notesSync = notesSync;
+    }
+
+    public async Task<SyncStatusDto> Handle(GetSyncStatusQuery request, CancellationToken ct)
+    {
+        var latest = await _db.GlucoseReadings
+            .OrderByDescending(r => r.Timestamp)
+            .Select(r => (DateTime?)r.Timestamp)
+            .FirstOrDefaultAsync(ct);
+
+        return new SyncStatusDto
+        {
+            ServerTimeUtc = DateTime.UtcNow,
+            LatestReadingUtc = latest.HasValue ? DateTime.SpecifyKind(latest.Value, DateTimeKind.Utc) : null,
+            Glucose = _glucoseFetch.GetStatus(),
+            Notes = _notesSync.GetStatus()
+        };
+    }
+}
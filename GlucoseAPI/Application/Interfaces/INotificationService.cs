@@ -41,4 +41,10 @@ public interface INotificationService
 
     /// <summary>Notify clients that food pattern data has been updated.</summary>
     Task NotifyFoodPatternsUpdatedAsync(int count, CancellationToken ct = default);
+
+    /// <summary>Notify clients of progress while a historical data import is being written.</summary>
+    Task NotifyImportProgressAsync(int processed, int total, CancellationToken ct = default);
+
+    /// <summary>Notify clients of progress while a bulk event action (e.g. bulk re-analysis) runs.</summary>
+    Task NotifyBulkActionProgressAsync(string jobId, string action, int processed, int total, int failed, bool done, CancellationToken ct = default);
 }
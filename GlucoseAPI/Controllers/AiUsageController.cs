@@ -40,4 +40,15 @@ public class AiUsageController : ControllerBase
         var result = await _mediator.Send(new GetAiUsagePricingQuery(), ct);
         return Ok(result);
     }
+
+    /// <summary>Estimated cost of <paramref name="calls"/> event analyses, e.g. before a bulk re-analysis.</summary>
+    [HttpGet("estimate")]
+    public async Task<ActionResult> GetEstimate([FromQuery] int calls, [FromQuery] string? model = null, CancellationToken ct = default)
+    {
+        if (calls < 1)
+            return BadRequest(new { message = "'calls' must be at least 1." });
+
+        var result = await _mediator.Send(new GetAiCostEstimateQuery(calls, model), ct);
+        return Ok(result);
+    }
 }
@@ -12,10 +12,19 @@ public class DailySummariesController : ControllerBase
 
     public DailySummariesController(IMediator mediator) => _mediator = mediator;
 
+    /// <summary>Daily summaries, newest first; optional <c>from</c>/<c>to</c> local dates (yyyy-MM-dd), e.g. one calendar month.</summary>
     [HttpGet]
-    public async Task<ActionResult> GetSummaries([FromQuery] int? limit = null, [FromQuery] int offset = 0, CancellationToken ct = default)
+    public async Task<ActionResult> GetSummaries(
+        [FromQuery] int? limit = null,
+        [FromQuery] int offset = 0,
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null,
+        CancellationToken ct = default)
     {
-        var result = await _mediator.Send(new GetDailySummariesQuery(limit, offset), ct);
+        if (from.HasValue && to.HasValue && from > to)
+            return BadRequest(new { message = "'from' must be before 'to'." });
+
+        var result = await _mediator.Send(new GetDailySummariesQuery(limit, offset, from, to), ct);
         return Ok(result);
     }
 
@@ -26,6 +35,13 @@ public class DailySummariesController : ControllerBase
         return result == null ? NotFound() : Ok(result);
     }
 
+    [HttpGet("date/{date:datetime}")]
+    public async Task<ActionResult> GetSummaryByDate(DateTime date, CancellationToken ct)
+    {
+        var result = await _mediator.Send(new GetDailySummaryByDateQuery(date), ct);
+        return result == null ? NotFound() : Ok(result);
+    }
+
     [HttpGet("status")]
     public async Task<ActionResult> GetStatus(CancellationToken ct)
     {
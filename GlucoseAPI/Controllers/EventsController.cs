@@ -1,4 +1,6 @@
 using GlucoseAPI.Application.Features.Events;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
 using GlucoseAPI.Services;
 using MediatR;
 using Microsoft.AspNetCore.Mvc;
@@ -11,17 +13,46 @@ public class EventsController : ControllerBase
 {
     private readonly IMediator _mediator;
     private readonly TranslationService _translationService;
+    private readonly BulkReprocessService _bulkReprocessService;
 
-    public EventsController(IMediator mediator, TranslationService translationService)
+    public EventsController(IMediator mediator, TranslationService translationService, BulkReprocessService bulkReprocessService)
     {
         _mediator = mediator;
         _translationService = translationService;
+        _bulkReprocessService = bulkReprocessService;
     }
 
+    /// <summary>
+    /// Events, newest first, filtered by free text, classification (green, yellow, red or
+    /// none), status (processed or pending), time range, spike size (mg/dL) and AI model.
+    /// </summary>
     [HttpGet]
-    public async Task<ActionResult> GetEvents([FromQuery] int? limit = null, [FromQuery] int offset = 0, CancellationToken ct = default)
+    public async Task<ActionResult> GetEvents(
+        [FromQuery] string? search = null,
+        [FromQuery] string? classification = null,
+        [FromQuery] string? status = null,
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null,
+        [FromQuery] double? minSpike = null,
+        [FromQuery] double? maxSpike = null,
+        [FromQuery] string? model = null,
+        [FromQuery] int? limit = null,
+        [FromQuery] int offset = 0,
+        CancellationToken ct = default)
     {
-        var result = await _mediator.Send(new GetEventsQuery(limit, offset), ct);
+        var (filter, error) = BuildFilter(new EventFilterRequest(search, classification, status, from, to, minSpike, maxSpike, model));
+        if (error != null)
+            return BadRequest(new { message = error });
+
+        var result = await _mediator.Send(new GetEventsQuery(limit, offset, filter), ct);
+        return Ok(result);
+    }
+
+    /// <summary>The AI models that have analyzed events, for the model filter.</summary>
+    [HttpGet("models")]
+    public async Task<ActionResult> GetModels(CancellationToken ct)
+    {
+        var result = await _mediator.Send(new GetEventModelsQuery(), ct);
         return Ok(result);
     }
 
@@ -44,6 +75,48 @@ public class EventsController : ControllerBase
         });
     }
 
+    /// <summary>
+    /// Log an event manually (title, optional content, time, type, and insulin, carbs,
+    /// exercise or sleep details). It is processed, translated, analyzed and
+    /// food-extracted like an event created from a note.
+    /// </summary>
+    [HttpPost]
+    public async Task<ActionResult> Create([FromBody] CreateEventRequest request, CancellationToken ct)
+    {
+        var result = await _mediator.Send(
+            new CreateEventCommand(
+                request.Title, request.Content, request.EventTimestamp.ToUniversalTime(), request.EventType,
+                new EventDetails(
+                    request.InsulinKind, request.InsulinUnits, request.CarbsGrams,
+                    request.ExerciseKind, request.DurationMinutes, request.Intensity)), ct);
+
+        if (!result.Success)
+            return BadRequest(new { message = result.ErrorMessage });
+
+        return CreatedAtAction(nameof(GetEvent), new { id = result.Event!.Id }, result.Event);
+    }
+
+    /// <summary>
+    /// Edit an event's time, title and content, and optionally override its glucose window
+    /// (periodStart/periodEnd; leave both out to follow the neighbouring events). The changed
+    /// fields are audited and the event is re-analysed.
+    /// </summary>
+    [HttpPut("{id}")]
+    public async Task<ActionResult> Update(int id, [FromBody] UpdateEventRequest request, CancellationToken ct)
+    {
+        var result = await _mediator.Send(
+            new UpdateEventCommand(
+                id, request.Title, request.Content, request.EventTimestamp.ToUniversalTime(),
+                request.PeriodStart?.ToUniversalTime(), request.PeriodEnd?.ToUniversalTime()), ct);
+
+        if (!result.Found)
+            return NotFound();
+        if (!result.Success)
+            return BadRequest(new { message = result.ErrorMessage });
+
+        return Ok(new { @event = result.Event, changes = result.Changes });
+    }
+
     [HttpPost("{id}/reprocess")]
     public async Task<ActionResult> Reprocess(int id, [FromBody] ReprocessRequest? request = null, CancellationToken ct = default)
     {
@@ -56,12 +129,103 @@ public class EventsController : ControllerBase
             ? Ok(new { message = result.Message, analysis = result.Analysis })
             : StatusCode(500, new { message = result.Message });
     }
+
+    /// <summary>
+    /// Run an action on many events: reprocess (optionally with modelOverride), retranslate,
+    /// reextract-foods or delete. The events are the given ids, or every event matching
+    /// <c>filter</c> (the list's filters) when one is sent. Re-analysis runs in the background
+    /// and reports progress over SignalR as "BulkActionProgress" with the returned jobId.
+    /// </summary>
+    [HttpPost("bulk")]
+    public async Task<ActionResult> Bulk([FromBody] BulkEventActionRequest request, CancellationToken ct)
+    {
+        EventFilter? filter = null;
+        if (request.Filter != null)
+        {
+            (filter, var error) = BuildFilter(request.Filter);
+            if (error != null)
+                return BadRequest(new { message = error });
+        }
+
+        var result = await _mediator.Send(
+            new BulkEventActionCommand(request.Action, request.Ids ?? new List<int>(), request.ModelOverride, filter), ct);
+
+        if (!result.Success)
+            return BadRequest(new { message = result.ErrorMessage });
+
+        return Ok(new { count = result.Count, skipped = result.Skipped, jobId = result.JobId, message = result.Message });
+    }
+
+    [HttpPost("bulk/{jobId}/cancel")]
+    public ActionResult CancelBulk(string jobId)
+    {
+        if (!_bulkReprocessService.Cancel(jobId))
+            return NotFound(new { message = "No queued or running bulk re-analysis with this id." });
+
+        return Ok(new { message = "Bulk re-analysis will stop after the current event." });
+    }
+
     [HttpPost("backfill-translations")]
     public ActionResult BackfillTranslations()
     {
         _translationService.RequestBackfill();
         return Ok(new { message = "Translation backfill started in background." });
     }
+
+    /// <summary>The <see cref="EventFilter"/> for the list's filter values, or why they are invalid.</summary>
+    private static (EventFilter? Filter, string? Error) BuildFilter(EventFilterRequest request)
+    {
+        bool? processed = null;
+        if (!string.IsNullOrWhiteSpace(request.Status))
+        {
+            if (request.Status != "processed" && request.Status != "pending")
+                return (null, "Status must be 'processed' or 'pending'.");
+            processed = request.Status == "processed";
+        }
+
+        if (request.From.HasValue && request.To.HasValue && request.From > request.To)
+            return (null, "'from' must be before 'to'.");
+        if (request.MinSpike.HasValue && request.MaxSpike.HasValue && request.MinSpike > request.MaxSpike)
+            return (null, "'minSpike' must not be greater than 'maxSpike'.");
+
+        return (new EventFilter(
+            request.Search, request.Classification?.ToLower(), processed,
+            request.From?.ToUniversalTime(), request.To?.ToUniversalTime(),
+            request.MinSpike, request.MaxSpike, request.Model), null);
+    }
 }
 
 public record ReprocessRequest(string? ModelOverride = null);
+
+public record BulkEventActionRequest(
+    string Action, List<int>? Ids, string? ModelOverride = null, EventFilterRequest? Filter = null);
+
+/// <summary>The filters of GET /api/events; <c>status</c> is processed or pending.</summary>
+public record EventFilterRequest(
+    string? Search = null,
+    string? Classification = null,
+    string? Status = null,
+    DateTime? From = null,
+    DateTime? To = null,
+    double? MinSpike = null,
+    double? MaxSpike = null,
+    string? Model = null);
+
+public record UpdateEventRequest(
+    string Title,
+    string? Content,
+    DateTime EventTimestamp,
+    DateTime? PeriodStart = null,
+    DateTime? PeriodEnd = null);
+
+public record CreateEventRequest(
+    string Title,
+    string? Content,
+    DateTime EventTimestamp,
+    string EventType = GlucoseEventTypes.Meal,
+    string? InsulinKind = null,
+    double? InsulinUnits = null,
+    double? CarbsGrams = null,
+    string? ExerciseKind = null,
+    int? DurationMinutes = null,
+    string? Intensity = null);
@@ -0,0 +1,51 @@
+using GlucoseAPI.Application.Features.Export;
+using GlucoseAPI.Services;
+using MediatR;
+using Microsoft.AspNetCore.Mvc;
+
+namespace GlucoseAPI.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class ExportController : ControllerBase
+{
+    private readonly IMediator _mediator;
+
+    public ExportController(IMediator mediator) => _mediator = mediator;
+
+    /// <summary>
+    /// Download readings, events, food items, daily summaries and notes in [start, end).
+    /// format: csv | json | xlsx | nightscout | fhir.
+    /// include: comma-separated readings, events, foods, summaries, notes (default readings).
+    /// The file is built on disk and streamed, so any range can be exported.
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> Export(
+        [FromQuery] DateTime start,
+        [FromQuery] DateTime end,
+        [FromQuery] string format = "csv",
+        [FromQuery] string include = "readings",
+        CancellationToken ct = default)
+    {
+        if (!Enum.TryParse<ExportFormat>(format, ignoreCase: true, out var exportFormat) || int.TryParse(format, out _))
+            return BadRequest(new { message = $"Unknown format '{format}'. Use csv, json, xlsx, nightscout or fhir." });
+
+        var datasets = ExportDatasets.None;
+        foreach (var name in include.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            if (!Enum.TryParse<ExportDatasets>(name, ignoreCase: true, out var dataset) || int.TryParse(name, out _))
+                return BadRequest(new { message = $"Unknown dataset '{name}'. Use readings, events, foods, summaries or notes." });
+            datasets |= dataset;
+        }
+
+        var result = await _mediator.Send(
+            new ExportDataQuery(start.ToUniversalTime(), end.ToUniversalTime(), exportFormat, datasets), ct);
+
+        if (!result.Success)
+            return BadRequest(new { message = result.ErrorMessage });
+
+        var stream = new FileStream(result.File!.Path, FileMode.Open, FileAccess.Read, FileShare.None,
+            81920, FileOptions.Asynchronous | FileOptions.DeleteOnClose);
+        return File(stream, result.File.ContentType, result.File.FileName);
+    }
+}
@@ -28,14 +28,51 @@ public class GlucoseController : ControllerBase
     }
 
     [HttpGet("stats")]
-    public async Task<ActionResult> GetStats([FromQuery] int hours = 24, CancellationToken ct = default)
+    public async Task<ActionResult> GetStats(
+        [FromQuery] int hours = 24, [FromQuery] DateTime? start = null, [FromQuery] DateTime? end = null,
+        CancellationToken ct = default)
     {
-        var result = await _mediator.Send(new GetGlucoseStatsQuery(hours), ct);
+        if (start.HasValue != end.HasValue)
+            return BadRequest("Both start and end are required for an absolute window.");
+        if (start.HasValue && end <= start)
+            return BadRequest("End must be after start.");
+
+        var result = await _mediator.Send(
+            new GetGlucoseStatsQuery(hours, start?.ToUniversalTime(), end?.ToUniversalTime()), ct);
+        return result == null
+            ? NotFound("No readings available for the specified period.")
+            : Ok(result);
+    }
+
+    [HttpGet("agp")]
+    public async Task<ActionResult> GetAgp(
+        [FromQuery] int hours = 336, [FromQuery] DateTime? start = null, [FromQuery] DateTime? end = null,
+        CancellationToken ct = default)
+    {
+        if (start.HasValue != end.HasValue)
+            return BadRequest("Both start and end are required for an absolute window.");
+        if (start.HasValue && end <= start)
+            return BadRequest("End must be after start.");
+
+        var result = await _mediator.Send(
+            new GetGlucoseAgpQuery(hours, start?.ToUniversalTime(), end?.ToUniversalTime()), ct);
         return result == null
             ? NotFound("No readings available for the specified period.")
             : Ok(result);
     }
 
+    [HttpGet("forecast")]
+    public async Task<ActionResult> GetForecast([FromQuery] int minutes = 60, CancellationToken ct = default)
+    {
+        if (minutes < 5 || minutes > 120)
+            return BadRequest("Minutes must be between 5 and 120.");
+
+        var result = await _mediator.Send(new GetGlucoseForecastQuery(minutes), ct);
+        return result == null
+            ? NotFound("No recent readings to forecast from.")
+            : Ok(result);
+    }
+
     [HttpGet("dates")]
     public async Task<ActionResult> GetDatesWithReadings(CancellationToken ct)
     {
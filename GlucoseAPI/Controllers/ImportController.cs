@@ -0,0 +1,61 @@
+using GlucoseAPI.Application.Features.Import;
+using MediatR;
+using Microsoft.AspNetCore.Mvc;
+
+namespace GlucoseAPI.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class ImportController : ControllerBase
+{
+    private const long MaxFileBytes = 100_000_000;
+
+    private readonly IMediator _mediator;
+
+    public ImportController(IMediator mediator) => _mediator = mediator;
+
+    /// <summary>
+    /// Parse a LibreView CSV or Nightscout JSON export and report how many readings
+    /// are new, already stored, or conflict with stored values. Nothing is written.
+    /// </summary>
+    [HttpPost("preview")]
+    [RequestSizeLimit(MaxFileBytes)]
+    [RequestFormLimits(MultipartBodyLengthLimit = MaxFileBytes)]
+    public async Task<IActionResult> Preview(IFormFile? file, CancellationToken ct)
+    {
+        if (file == null || file.Length == 0)
+            return BadRequest(new { message = "Choose a LibreView CSV or Nightscout JSON file." });
+
+        var result = await _mediator.Send(new PreviewImportQuery(await ReadAsync(file, ct), file.FileName), ct);
+        if (!result.Success)
+            return BadRequest(new { message = result.ErrorMessage });
+
+        return Ok(result.Preview);
+    }
+
+    /// <summary>
+    /// Import the new readings of an export file. Readings that conflict with stored
+    /// values are kept as stored unless replaceConflicts is true.
+    /// Progress is pushed over SignalR as "ImportProgress".
+    /// </summary>
+    [HttpPost]
+    [RequestSizeLimit(MaxFileBytes)]
+    [RequestFormLimits(MultipartBodyLengthLimit = MaxFileBytes)]
+    public async Task<IActionResult> Import(IFormFile? file, [FromQuery] bool replaceConflicts = false, CancellationToken ct = default)
+    {
+        if (file == null || file.Length == 0)
+            return BadRequest(new { message = "Choose a LibreView CSV or Nightscout JSON file." });
+
+        var result = await _mediator.Send(new ImportReadingsCommand(await ReadAsync(file, ct), replaceConflicts), ct);
+        if (!result.Success)
+            return BadRequest(new { message = result.ErrorMessage });
+
+        return Ok(result.Result);
+    }
+
+    private static async Task<string> ReadAsync(IFormFile file, CancellationToken ct)
+    {
+        using var reader = new StreamReader(file.OpenReadStream());
+        return await reader.ReadToEndAsync(ct);
+    }
+}
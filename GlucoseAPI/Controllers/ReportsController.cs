@@ -16,12 +16,13 @@ public class ReportsController : ControllerBase
     public async Task<IActionResult> GeneratePdf(
         [FromQuery] string from,
         [FromQuery] string to,
-        CancellationToken ct)
+        [FromQuery] bool agp = false,
+        CancellationToken ct = default)
     {
         if (!DateTime.TryParse(from, out var fromDate) || !DateTime.TryParse(to, out var toDate))
             return BadRequest(new { message = "Invalid date format. Use yyyy-MM-dd." });
 
-        var result = await _mediator.Send(new GenerateReportQuery(fromDate, toDate), ct);
+        var result = await _mediator.Send(new GenerateReportQuery(fromDate, toDate, agp), ct);
 
         if (!result.Success)
             return result.ErrorMessage!.Contains("before or equal") || result.ErrorMessage.Contains("Maximum")
@@ -51,6 +51,54 @@ public class SettingsController : ControllerBase
             : BadRequest(result.Message);
     }
 
+    [HttpGet("display")]
+    public async Task<ActionResult> GetDisplaySettings(CancellationToken ct)
+    {
+        var result = await _mediator.Send(new GetDisplaySettingsQuery(), ct);
+        return Ok(result);
+    }
+
+    [HttpPut("display")]
+    public async Task<ActionResult> SaveDisplaySettings([FromBody] DisplaySettingsDto dto, CancellationToken ct)
+    {
+        var result = await _mediator.Send(new SaveDisplaySettingsCommand(dto), ct);
+        return result.Success
+            ? Ok(new { message = result.Message })
+            : BadRequest(result.Message);
+    }
+
+    [HttpGet("ranges")]
+    public async Task<ActionResult> GetTargetRangeSettings(CancellationToken ct)
+    {
+        var result = await _mediator.Send(new GetTargetRangeSettingsQuery(), ct);
+        return Ok(result);
+    }
+
+    [HttpPut("ranges")]
+    public async Task<ActionResult> SaveTargetRangeSettings([FromBody] TargetRangeSettingsDto dto, CancellationToken ct)
+    {
+        var result = await _mediator.Send(new SaveTargetRangeSettingsCommand(dto), ct);
+        return result.Success
+            ? Ok(new { message = result.Message })
+            : BadRequest(result.Message);
+    }
+
+    [HttpGet("alerts")]
+    public async Task<ActionResult> GetAlertSettings(CancellationToken ct)
+    {
+        var result = await _mediator.Send(new GetAlertSettingsQuery(), ct);
+        return Ok(result);
+    }
+
+    [HttpPut("alerts")]
+    public async Task<ActionResult> SaveAlertSettings([FromBody] AlertSettingsDto dto, CancellationToken ct)
+    {
+        var result = await _mediator.Send(new SaveAlertSettingsCommand(dto), ct);
+        return result.Success
+            ? Ok(new { message = result.Message })
+            : BadRequest(result.Message);
+    }
+
     [HttpPost("test")]
     public async Task<ActionResult> TestConnection([FromBody] LibreSettingsDto dto, CancellationToken ct)
     {
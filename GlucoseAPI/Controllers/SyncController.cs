@@ -12,6 +12,13 @@ public class SyncController : ControllerBase
 
     public SyncController(IMediator mediator) => _mediator = mediator;
 
+    [HttpGet("status")]
+    public async Task<ActionResult> GetStatus(CancellationToken ct)
+    {
+        var result = await _mediator.Send(new GetSyncStatusQuery(), ct);
+        return Ok(result);
+    }
+
     [HttpPost("trigger")]
     public async Task<ActionResult> TriggerSync(CancellationToken ct)
     {
@@ -12,6 +12,7 @@ public class GlucoseDbContext : DbContext
     public DbSet<SamsungNote> SamsungNotes => Set<SamsungNote>();
     public DbSet<GlucoseEvent> GlucoseEvents => Set<GlucoseEvent>();
     public DbSet<EventAnalysisHistory> EventAnalysisHistory => Set<EventAnalysisHistory>();
+    public DbSet<GlucoseEventEdit> GlucoseEventEdits => Set<GlucoseEventEdit>();
     public DbSet<AiUsageLog> AiUsageLogs => Set<AiUsageLog>();
     public DbSet<DailySummary> DailySummaries => Set<DailySummary>();
     public DbSet<DailySummarySnapshot> DailySummarySnapshots => Set<DailySummarySnapshot>();
@@ -57,6 +58,11 @@ public class GlucoseDbContext : DbContext
             entity.HasIndex(e => e.AnalyzedAt);
         });
 
+        modelBuilder.Entity<GlucoseEventEdit>(entity =>
+        {
+            entity.HasIndex(e => e.GlucoseEventId);
+        });
+
         modelBuilder.Entity<AiUsageLog>(entity =>
         {
             entity.HasIndex(e => e.CalledAt);
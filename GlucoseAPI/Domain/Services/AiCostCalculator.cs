@@ -39,20 +39,30 @@ public static class AiCostCalculator
     /// </summary>
     public static double ComputeCost(string model, long inputTokens, long outputTokens)
     {
-        if (!ModelPricing.TryGetValue(model, out var pricing))
-        {
-            // Try prefix match (e.g. "gpt-5-mini-2025-08-07" → "gpt-5-mini")
-            var key = ModelPricing.Keys.FirstOrDefault(k =>
-                model.StartsWith(k, StringComparison.OrdinalIgnoreCase));
-            if (key != null)
-                pricing = ModelPricing[key];
-            else
-                return 0;
-        }
+        var key = FindModelKey(model);
+        if (key == null)
+            return 0;
 
+        var pricing = ModelPricing[key];
         return (inputTokens * pricing.InputPer1M + outputTokens * pricing.OutputPer1M) / 1_000_000.0;
     }
 
+    /// <summary>
+    /// True when <paramref name="model"/> is in the pricing table, directly or as a dated version
+    /// (e.g. "gpt-5-mini-2025-08-07"). Used to validate model overrides.
+    /// </summary>
+    public static bool IsKnownModel(string model) => FindModelKey(model) != null;
+
+    private static string? FindModelKey(string model)
+    {
+        if (ModelPricing.ContainsKey(model))
+            return model;
+
+        // Try prefix match (e.g. "gpt-5-mini-2025-08-07" → "gpt-5-mini")
+        return ModelPricing.Keys.FirstOrDefault(k =>
+            model.StartsWith(k, StringComparison.OrdinalIgnoreCase));
+    }
+
     /// <summary>Returns the known model pricing table for display.</summary>
     public static IReadOnlyDictionary<string, (double InputPer1M, double OutputPer1M)> GetPricingTable()
         => ModelPricing;
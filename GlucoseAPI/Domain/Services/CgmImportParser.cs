@@ -0,0 +1,338 @@
+using System.Globalization;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace GlucoseAPI.Domain.Services;
+
+/// <summary>
+/// Pure domain service that reads CGM history exported by other tools:
+/// LibreView "Glucose Data" CSV exports and Nightscout <c>entries</c> JSON dumps
+/// (an array, or one document per line as written by <c>mongoexport</c>).
+/// Values are returned in mg/dL with UTC timestamps, sorted by time.
+/// </summary>
+public static class CgmImportParser
+{
+    /// <summary>Readings outside this range are sensor error codes or corrupt rows (mg/dL).</summary>
+    private const double MinValue = 20;
+    private const double MaxValue = 600;
+
+    private static readonly Regex DeviceTimestamp = new(
+        @"^(\d{1,4})[-./](\d{1,2})[-./](\d{2,4})[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$",
+        RegexOptions.Compiled);
+
+    /// <summary>
+    /// Detects the format from the content and parses it. LibreView timestamps are device-local
+    /// and are read in <paramref name="deviceTimeZone"/>.
+    /// </summary>
+    public static CgmImportParseResult Parse(string content, TimeZoneInfo deviceTimeZone)
+    {
+        var trimmed = content.TrimStart('\uFEFF', ' ', '\t', '\r', '\n');
+        if (trimmed.StartsWith('[') || trimmed.StartsWith('{'))
+            return ParseNightscout(trimmed);
+        if (trimmed.Contains("Device Timestamp", StringComparison.OrdinalIgnoreCase))
+            return ParseLibreView(trimmed, deviceTimeZone);
+
+        return CgmImportParseResult.Failed(
+            "Unrecognized file. Expected a LibreView CSV export or a Nightscout entries JSON file.");
+    }
+
+    // ── LibreView ─────────────────────────────────────────────
+
+    /// <summary>
+    /// Parses a LibreView CSV export. The first line is a title line, the second the header.
+    /// Record type 0 rows carry the 15-minute historic value, type 1 rows a scan; other record
+    /// types (notes, insulin, food, strips) are ignored. mmol/L exports are converted to mg/dL.
+    /// </summary>
+    public static CgmImportParseResult ParseLibreView(string content, TimeZoneInfo deviceTimeZone)
+    {
+        var lines = content.Split('\n').Select(l => l.TrimEnd('\r')).ToList();
+        var headerIndex = lines.FindIndex(l => l.Contains("Device Timestamp", StringComparison.OrdinalIgnoreCase));
+        if (headerIndex < 0)
+            return CgmImportParseResult.Failed("No LibreView header row (\"Device Timestamp\") found.");
+
+        var header = lines[headerIndex];
+        var delimiter = header.Count(c => c == ';') > header.Count(c => c == ',') ? ';' : ',';
+        var columns = SplitCsvLine(header, delimiter);
+
+        int Column(string prefix) => columns.FindIndex(c => c.StartsWith(prefix, StringComparison.OrdinalIgnoreCase));
+        var timestampCol = Column("Device Timestamp");
+        var typeCol = Column("Record Type");
+        var historicCol = Column("Historic Glucose");
+        var scanCol = Column("Scan Glucose");
+        if (typeCol < 0 || historicCol < 0)
+            return CgmImportParseResult.Failed("The LibreView header has no \"Record Type\" or \"Historic Glucose\" column.");
+
+        var isMmol = columns[historicCol].Contains("mmol", StringComparison.OrdinalIgnoreCase);
+
+        var rows = new List<(string Timestamp, string Value)>();
+        foreach (var line in lines.Skip(headerIndex + 1))
+        {
+            if (string.IsNullOrWhiteSpace(line)) continue;
+            var fields = SplitCsvLine(line, delimiter);
+            var type = Field(fields, typeCol);
+            var valueCol = type switch { "0" => historicCol, "1" => scanCol, _ => -1 };
+            if (valueCol < 0) continue;
+            rows.Add((Field(fields, timestampCol), Field(fields, valueCol)));
+        }
+
+        var dayFirst = DetectDayFirst(rows.Select(r => r.Timestamp));
+        var readings = new List<ImportedReading>();
+        var skipped = 0;
+        var warnings = new List<string>();
+
+        foreach (var (timestampText, valueText) in rows)
+        {
+            var local = ParseDeviceTimestamp(timestampText, dayFirst);
+            var value = ParseNumber(valueText, delimiter == ';');
+            if (local == null || value == null || deviceTimeZone.IsInvalidTime(local.Value))
+            {
+                skipped++;
+                continue;
+            }
+
+            var mgdl = isMmol ? Math.Round(value.Value * ExportFormatter.MgdlPerMmol) : value.Value;
+            if (mgdl < MinValue || mgdl > MaxValue)
+            {
+                skipped++;
+                continue;
+            }
+
+            readings.Add(new ImportedReading(TimeZoneConverter.ToUtc(local.Value, deviceTimeZone), mgdl, 0));
+        }
+
+        if (isMmol)
+            warnings.Add("Values were exported in mmol/L and have been converted to mg/dL.");
+        warnings.Add($"Device times were read as {deviceTimeZone.Id} ({(dayFirst ? "day" : "month")} first).");
+
+        return new CgmImportParseResult(CgmImportSource.LibreView, readings.OrderBy(r => r.Timestamp).ToList(), skipped, warnings, null);
+    }
+
+    /// <summary>
+    /// Whether dates are day-first (dd-MM-yyyy) rather than month-first (MM-dd-yyyy, LibreView's
+    /// US layout). Decided by any component above 12; otherwise 12-hour times mean US order.
+    /// </summary>
+    public static bool DetectDayFirst(IEnumerable<string> timestamps)
+    {
+        var sawAmPm = false;
+        foreach (var text in timestamps)
+        {
+            var match = DeviceTimestamp.Match(text.Trim());
+            if (!match.Success || match.Groups[1].Value.Length == 4) continue;
+            if (int.Parse(match.Groups[1].Value) > 12) return true;
+            if (int.Parse(match.Groups[2].Value) > 12) return false;
+            sawAmPm |= match.Groups[7].Success;
+        }
+        return !sawAmPm;
+    }
+
+    /// <summary>A LibreView device timestamp as a local (unspecified-kind) time; null if unreadable.</summary>
+    public static DateTime? ParseDeviceTimestamp(string text, bool dayFirst)
+    {
+        var match = DeviceTimestamp.Match(text.Trim());
+        if (!match.Success) return null;
+
+        int Part(int i) => int.Parse(match.Groups[i].Value, CultureInfo.InvariantCulture);
+        int year, month, day;
+        if (match.Groups[1].Value.Length == 4)
+            (year, month, day) = (Part(1), Part(2), Part(3));
+        else if (dayFirst)
+            (day, month, year) = (Part(1), Part(2), Part(3));
+        else
+            (month, day, year) = (Part(1), Part(2), Part(3));
+        if (year < 100) year += 2000;
+
+        var hour = Part(4);
+        if (match.Groups[7].Success)
+        {
+            var pm = match.Groups[7].Value.Equals("pm", StringComparison.OrdinalIgnoreCase);
+            if (hour == 12) hour = 0;
+            if (pm) hour += 12;
+        }
+        var second = match.Groups[6].Success ? Part(6) : 0;
+
+        try
+        {
+            return new DateTime(year, month, day, hour, Part(5), second, DateTimeKind.Unspecified);
+        }
+        catch (ArgumentOutOfRangeException)
+        {
+            return null;
+        }
+    }
+
+    // ── Nightscout ────────────────────────────────────────────
+
+    /// <summary>
+    /// Parses Nightscout entries. Only <c>sgv</c> entries are read (meter and calibration
+    /// entries are ignored); the epoch-millisecond <c>date</c> wins over <c>dateString</c>.
+    /// </summary>
+    public static CgmImportParseResult ParseNightscout(string content)
+    {
+        List<JsonElement> documents;
+        try
+        {
+            documents = ReadJsonDocuments(content);
+        }
+        catch (JsonException ex)
+        {
+            return CgmImportParseResult.Failed($"The file is not valid JSON: {ex.Message}");
+        }
+
+        var readings = new List<ImportedReading>();
+        var skipped = 0;
+
+        foreach (var doc in documents)
+        {
+            if (doc.ValueKind != JsonValueKind.Object) { skipped++; continue; }
+            if (doc.TryGetProperty("type", out var type) && type.GetString() != "sgv") continue;
+
+            var timestamp = NightscoutTimestamp(doc);
+            var value = doc.TryGetProperty("sgv", out var sgv) ? NumberOf(sgv) : null;
+            if (timestamp == null || value == null || value < MinValue || value > MaxValue)
+            {
+                skipped++;
+                continue;
+            }
+
+            var direction = doc.TryGetProperty("direction", out var dir) && dir.ValueKind == JsonValueKind.String
+                ? dir.GetString()
+                : null;
+            readings.Add(new ImportedReading(timestamp.Value, value.Value, TrendArrowFromNightscout(direction)));
+        }
+
+        return new CgmImportParseResult(CgmImportSource.Nightscout, readings.OrderBy(r => r.Timestamp).ToList(),
+            skipped, Array.Empty<string>(), null);
+    }
+
+    /// <summary>
+    /// LibreLink trend arrow for a Nightscout direction (inverse of
+    /// <see cref="ExportFormatter.NightscoutDirection"/>; double arrows fold into the fast ones). 0 when unknown.
+    /// </summary>
+    public static int TrendArrowFromNightscout(string? direction) => direction switch
+    {
+        "DoubleDown" or "SingleDown" => 1,
+        "FortyFiveDown" => 2,
+        "Flat" => 3,
+        "FortyFiveUp" => 4,
+        "SingleUp" or "DoubleUp" => 5,
+        _ => 0
+    };
+
+    private static List<JsonElement> ReadJsonDocuments(string content)
+    {
+        var trimmed = content.Trim();
+        if (trimmed.StartsWith('['))
+        {
+            using var doc = JsonDocument.Parse(trimmed);
+            return doc.RootElement.EnumerateArray().Select(e => e.Clone()).ToList();
+        }
+
+        try
+        {
+            using var single = JsonDocument.Parse(trimmed);
+            return new List<JsonElement> { single.RootElement.Clone() };
+        }
+        catch (JsonException)
+        {
+            // One document per line, as written by mongoexport
+        }
+
+        return trimmed.Split('\n')
+            .Select(l => l.Trim())
+            .Where(l => l.Length > 0)
+            .Select(l =>
+            {
+                using var doc = JsonDocument.Parse(l);
+                return doc.RootElement.Clone();
+            })
+            .ToList();
+    }
+
+    private static DateTime? NightscoutTimestamp(JsonElement doc)
+    {
+        if (doc.TryGetProperty("date", out var date))
+        {
+            // mongoexport wraps numbers as { "$date": ... } or { "$numberLong": "..." }; NumberOf unwraps them
+            var ms = NumberOf(date);
+            if (ms is > 0)
+                return DateTimeOffset.FromUnixTimeMilliseconds((long)ms.Value).UtcDateTime;
+        }
+
+        if (doc.TryGetProperty("dateString", out var dateString) && dateString.ValueKind == JsonValueKind.String
+            && DateTimeOffset.TryParse(dateString.GetString(), CultureInfo.InvariantCulture,
+                DateTimeStyles.AssumeUniversal, out var parsed))
+            return parsed.UtcDateTime;
+
+        return null;
+    }
+
+    private static double? NumberOf(JsonElement element) => element.ValueKind switch
+    {
+        JsonValueKind.Number => element.GetDouble(),
+        JsonValueKind.String => double.TryParse(element.GetString(), NumberStyles.Float, CultureInfo.InvariantCulture, out var v) ? v : null,
+        JsonValueKind.Object => element.EnumerateObject().Select(p => NumberOf(p.Value)).FirstOrDefault(),
+        _ => null
+    };
+
+    // ── CSV helpers ───────────────────────────────────────────
+
+    /// <summary>Splits one CSV line, honouring double-quoted fields with "" escapes.</summary>
+    public static List<string> SplitCsvLine(string line, char delimiter = ',')
+    {
+        var fields = new List<string>();
+        var current = new System.Text.StringBuilder();
+        var inQuotes = false;
+
+        for (var i = 0; i < line.Length; i++)
+        {
+            var c = line[i];
+            if (inQuotes)
+            {
+                if (c == '"' && i + 1 < line.Length && line[i + 1] == '"') { current.Append('"'); i++; }
+                else if (c == '"') inQuotes = false;
+                else current.Append(c);
+            }
+            else if (c == '"') inQuotes = true;
+            else if (c == delimiter) { fields.Add(current.ToString()); current.Clear(); }
+            else current.Append(c);
+        }
+        fields.Add(current.ToString());
+        return fields;
+    }
+
+    private static string Field(List<string> fields, int index) =>
+        index >= 0 && index < fields.Count ? fields[index].Trim() : string.Empty;
+
+    private static double? ParseNumber(string text, bool decimalComma)
+    {
+        if (string.IsNullOrWhiteSpace(text)) return null;
+        if (decimalComma) text = text.Replace(',', '.');
+        return double.TryParse(text, NumberStyles.Float, CultureInfo.InvariantCulture, out var value) ? value : null;
+    }
+}
+
+// ── Value Objects ──────────────────────────────────────────────
+
+public enum CgmImportSource
+{
+    LibreView,
+    Nightscout
+}
+
+/// <summary>One reading read from an import file: UTC time, mg/dL, LibreLink trend arrow (0 = unknown).</summary>
+public record ImportedReading(DateTime Timestamp, double Value, int TrendArrow);
+
+/// <summary>
+/// Result of parsing an import file. <see cref="Error"/> is set (and <see cref="Source"/> null)
+/// when the file could not be read at all; <see cref="SkippedRows"/> counts unreadable glucose rows.
+/// </summary>
+public record CgmImportParseResult(
+    CgmImportSource? Source,
+    IReadOnlyList<ImportedReading> Readings,
+    int SkippedRows,
+    IReadOnlyList<string> Warnings,
+    string? Error)
+{
+    public static CgmImportParseResult Failed(string error) =>
+        new(null, Array.Empty<ImportedReading>(), 0, Array.Empty<string>(), error);
+}
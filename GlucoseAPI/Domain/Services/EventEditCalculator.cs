@@ -0,0 +1,104 @@
+using System.Globalization;
+using GlucoseAPI.Models;
+
+namespace GlucoseAPI.Domain.Services;
+
+/// <summary>
+/// Pure domain service for user edits to an event's time, glucose window, title and content.
+/// Validates an edit and lists the fields it changed, which become the edit's audit trail.
+/// </summary>
+public static class EventEditCalculator
+{
+    /// <summary>Longest glucose window that can be set by hand.</summary>
+    public static readonly TimeSpan MaxWindow = TimeSpan.FromHours(24);
+
+    /// <summary>Events a little in the future are allowed (clock skew), like when logging one.</summary>
+    public static readonly TimeSpan MaxFutureOffset = TimeSpan.FromMinutes(15);
+
+    /// <summary>
+    /// Check <paramref name="edit"/>. A window override needs both ends, must contain the event
+    /// time and can span at most <see cref="MaxWindow"/>. Returns an error message, or null when valid.
+    /// </summary>
+    public static string? Validate(EventEdit edit, DateTime nowUtc)
+    {
+        if (string.IsNullOrWhiteSpace(edit.Title))
+            return "A title is required.";
+        if (edit.Title.Length > 500)
+            return "The title can be at most 500 characters.";
+        if (edit.EventTimestamp > nowUtc + MaxFutureOffset)
+            return "The event time can't be in the future.";
+
+        if (edit.PeriodStart.HasValue != edit.PeriodEnd.HasValue)
+            return "Set both the start and the end of the glucose window, or neither.";
+
+        if (edit.PeriodStart.HasValue && edit.PeriodEnd.HasValue)
+        {
+            if (edit.PeriodStart > edit.EventTimestamp || edit.PeriodEnd <= edit.EventTimestamp)
+                return "The glucose window must contain the event time.";
+            if (edit.PeriodEnd - edit.PeriodStart > MaxWindow)
+                return $"The glucose window can be at most {MaxWindow.TotalHours:0} hours.";
+        }
+
+        return null;
+    }
+
+    /// <summary>The fields that differ between <paramref name="before"/> and <paramref name="after"/>, in a fixed order.</summary>
+    public static List<EventFieldChange> Diff(EventValues before, EventValues after)
+    {
+        var changes = new List<EventFieldChange>();
+
+        if (before.EventTimestamp != after.EventTimestamp)
+            changes.Add(new(GlucoseEventEditFields.EventTimestamp, FormatTime(before.EventTimestamp), FormatTime(after.EventTimestamp)));
+        if (before.PeriodStart != after.PeriodStart)
+            changes.Add(new(GlucoseEventEditFields.PeriodStart, FormatTime(before.PeriodStart), FormatTime(after.PeriodStart)));
+        if (before.PeriodEnd != after.PeriodEnd)
+            changes.Add(new(GlucoseEventEditFields.PeriodEnd, FormatTime(before.PeriodEnd), FormatTime(after.PeriodEnd)));
+        if (before.Title != after.Title)
+            changes.Add(new(GlucoseEventEditFields.Title, before.Title, after.Title));
+        if (before.Content != after.Content)
+            changes.Add(new(GlucoseEventEditFields.Content, before.Content, after.Content));
+
+        return changes;
+    }
+
+    /// <summary>One line for the event log, e.g. "time 12:40 → 12:00, title".</summary>
+    public static string Describe(IEnumerable<EventFieldChange> changes) =>
+        string.Join(", ", changes.Select(c => c.Field switch
+        {
+            GlucoseEventEditFields.EventTimestamp => $"time {ShortTime(c.OldValue)} → {ShortTime(c.NewValue)} UTC",
+            GlucoseEventEditFields.PeriodStart => "window start",
+            GlucoseEventEditFields.PeriodEnd => "window end",
+            _ => c.Field
+        }));
+
+    private static string FormatTime(DateTime utc) =>
+        DateTime.SpecifyKind(utc, DateTimeKind.Utc).ToString("yyyy-MM-ddTHH:mm:ssZ", CultureInfo.InvariantCulture);
+
+    private static string? ShortTime(string? iso) =>
+        iso != null && DateTime.TryParse(iso, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal, out var t)
+            ? t.ToString("HH:mm", CultureInfo.InvariantCulture)
+            : iso;
+}
+
+// ── Value Objects ──────────────────────────────────────────────
+
+/// <summary>
+/// A user edit. <see cref="PeriodStart"/>/<see cref="PeriodEnd"/> override the glucose window;
+/// when both are null the window follows the neighbouring events again. All times are UTC.
+/// </summary>
+public record EventEdit(
+    string Title,
+    string? Content,
+    DateTime EventTimestamp,
+    DateTime? PeriodStart = null,
+    DateTime? PeriodEnd = null);
+
+/// <summary>The editable values of an event at one point in time.</summary>
+public record EventValues(DateTime EventTimestamp, DateTime PeriodStart, DateTime PeriodEnd, string Title, string? Content)
+{
+    public static EventValues Of(GlucoseEvent evt) =>
+        new(evt.EventTimestamp, evt.PeriodStart, evt.PeriodEnd, evt.NoteTitle, evt.NoteContent);
+}
+
+/// <summary>One changed field (see <see cref="GlucoseEventEditFields"/>); times are ISO 8601 UTC.</summary>
+public record EventFieldChange(string Field, string? OldValue, string? NewValue);
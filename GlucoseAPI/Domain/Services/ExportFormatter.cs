@@ -0,0 +1,210 @@
+using System.Globalization;
+using System.Security;
+using System.Text;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+using System.Xml;
+using GlucoseAPI.Models;
+
+namespace GlucoseAPI.Domain.Services;
+
+/// <summary>
+/// Pure domain service that maps stored data onto the shapes of the export formats:
+/// CSV fields, Nightscout <c>entries</c>/<c>treatments</c> documents and
+/// HL7 FHIR R4 <c>Observation</c> resources. Glucose values stay in mg/dL throughout.
+/// </summary>
+public static class ExportFormatter
+{
+    /// <summary>LOINC code for a CGM reading: "Glucose [Mass/volume] in Interstitial fluid".</summary>
+    public const string LoincInterstitialGlucose = "99504-3";
+
+    /// <summary>Value written to Nightscout's <c>device</c> / <c>enteredBy</c> fields.</summary>
+    public const string DeviceName = "GlucoseMonitor";
+
+    /// <summary>mg/dL per mmol/L of glucose (same factor as the UI).</summary>
+    public const double MgdlPerMmol = 18.0182;
+
+    /// <summary>A mg/dL value in mmol/L, rounded to one decimal.</summary>
+    public static double ToMmol(double mgdl) => Math.Round(mgdl / MgdlPerMmol, 1);
+
+    // ── CSV ───────────────────────────────────────────────────
+
+    /// <summary>
+    /// Formats one CSV field: numbers and dates culture-invariant (dates as ISO 8601 UTC),
+    /// text quoted when it contains a comma, quote or line break.
+    /// </summary>
+    public static string CsvField(object? value)
+    {
+        var text = FormatValue(value);
+        if (text.IndexOfAny(new[] { ',', '"', '\n', '\r' }) < 0)
+            return text;
+        return $"\"{text.Replace("\"", "\"\"")}\"";
+    }
+
+    /// <summary>One CSV line (without the line terminator).</summary>
+    public static string CsvLine(IEnumerable<object?> values) => string.Join(",", values.Select(CsvField));
+
+    /// <summary>Culture-invariant text for a cell value; empty for null.</summary>
+    public static string FormatValue(object? value) => value switch
+    {
+        null => string.Empty,
+        DateTime dt => IsoUtc(dt),
+        bool b => b ? "true" : "false",
+        IFormattable f => f.ToString(null, CultureInfo.InvariantCulture),
+        _ => value.ToString() ?? string.Empty
+    };
+
+    /// <summary>ISO 8601 with a Z suffix; stored timestamps are UTC without a Kind.</summary>
+    public static string IsoUtc(DateTime utc) =>
+        DateTime.SpecifyKind(utc, DateTimeKind.Utc).ToString("yyyy-MM-dd'T'HH:mm:ss'Z'", CultureInfo.InvariantCulture);
+
+    // ── XLSX ──────────────────────────────────────────────────
+
+    /// <summary>
+    /// Cell text escaped for SpreadsheetML. Characters XML 1.0 cannot hold (control
+    /// characters pasted into notes, lone surrogates) are dropped, as Excel refuses
+    /// a workbook containing them even when escaped.
+    /// </summary>
+    public static string XmlText(string text)
+    {
+        if (text.All(XmlConvert.IsXmlChar))
+            return SecurityElement.Escape(text);
+
+        var sb = new StringBuilder(text.Length);
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (XmlConvert.IsXmlChar(text[i]))
+                sb.Append(text[i]);
+            else if (i + 1 < text.Length && XmlConvert.IsXmlSurrogatePair(text[i + 1], text[i]))
+                sb.Append(text[i]).Append(text[++i]);
+        }
+        return SecurityElement.Escape(sb.ToString());
+    }
+
+    // ── Nightscout ────────────────────────────────────────────
+
+    /// <summary>
+    /// Nightscout direction for a LibreLink trend arrow. Libre's "falling/rising quickly"
+    /// (&gt; 2 mg/dL/min) corresponds to Nightscout's single arrows, not the double ones (&gt; 3/min).
+    /// </summary>
+    public static string NightscoutDirection(int trendArrow) => trendArrow switch
+    {
+        1 => "SingleDown",
+        2 => "FortyFiveDown",
+        3 => "Flat",
+        4 => "FortyFiveUp",
+        5 => "SingleUp",
+        _ => "NONE"
+    };
+
+    /// <summary>A Nightscout <c>entries</c> document (type <c>sgv</c>) for a reading.</summary>
+    public static NightscoutEntry ToNightscoutEntry(GlucoseReading reading)
+    {
+        var utc = DateTime.SpecifyKind(reading.Timestamp, DateTimeKind.Utc);
+        return new NightscoutEntry(
+            Type: "sgv",
+            Sgv: (int)Math.Round(reading.Value),
+            Date: new DateTimeOffset(utc).ToUnixTimeMilliseconds(),
+            DateString: IsoUtc(utc),
+            Direction: NightscoutDirection(reading.TrendArrow),
+            Device: DeviceName);
+    }
+
+    /// <summary>
+    /// A Nightscout <c>treatments</c> document (event type <c>Note</c>) for a logged event,
+    /// carrying the note text, the glucose at the event and the AI analysis if there is one.
+    /// </summary>
+    public static NightscoutTreatment ToNightscoutTreatment(GlucoseEvent evt)
+    {
+        var notes = string.Join("\n\n", new[] { evt.NoteTitle, evt.NoteContent, evt.AiAnalysis }
+            .Where(s => !string.IsNullOrWhiteSpace(s))
+            .Select(s => s!.Trim()));
+
+        return new NightscoutTreatment(
+            EventType: "Note",
+            CreatedAt: IsoUtc(evt.EventTimestamp),
+            Notes: notes,
+            EnteredBy: DeviceName,
+            Glucose: evt.GlucoseAtEvent.HasValue ? Math.Round(evt.GlucoseAtEvent.Value) : null,
+            GlucoseType: evt.GlucoseAtEvent.HasValue ? "Sensor" : null,
+            Units: evt.GlucoseAtEvent.HasValue ? "mg/dl" : null);
+    }
+
+    // ── FHIR ──────────────────────────────────────────────────
+
+    /// <summary>
+    /// A FHIR R4 <c>Observation</c> for a reading: LOINC <see cref="LoincInterstitialGlucose"/>,
+    /// value in UCUM mg/dL, and an H/L interpretation when the sensor flagged the reading.
+    /// </summary>
+    public static JsonObject ToFhirObservation(GlucoseReading reading)
+    {
+        var observation = new JsonObject
+        {
+            ["resourceType"] = "Observation",
+            ["id"] = $"glucose-{reading.Id}",
+            ["status"] = "final",
+            ["category"] = new JsonArray(new JsonObject
+            {
+                ["coding"] = new JsonArray(new JsonObject
+                {
+                    ["system"] = "http://terminology.hl7.org/CodeSystem/observation-category",
+                    ["code"] = "laboratory",
+                    ["display"] = "Laboratory"
+                })
+            }),
+            ["code"] = new JsonObject
+            {
+                ["coding"] = new JsonArray(new JsonObject
+                {
+                    ["system"] = "http://loinc.org",
+                    ["code"] = LoincInterstitialGlucose,
+                    ["display"] = "Glucose [Mass/volume] in Interstitial fluid"
+                }),
+                ["text"] = "Glucose (CGM)"
+            },
+            ["effectiveDateTime"] = IsoUtc(reading.Timestamp),
+            ["valueQuantity"] = new JsonObject
+            {
+                ["value"] = reading.Value,
+                ["unit"] = "mg/dL",
+                ["system"] = "http://unitsofmeasure.org",
+                ["code"] = "mg/dL"
+            }
+        };
+
+        if (!string.IsNullOrEmpty(reading.PatientId))
+            observation["subject"] = new JsonObject { ["identifier"] = new JsonObject { ["value"] = reading.PatientId } };
+
+        var code = reading.IsLow ? "L" : reading.IsHigh ? "H" : null;
+        if (code != null)
+        {
+            var display = code == "L" ? "Low" : "High";
+            observation["interpretation"] = new JsonArray(new JsonObject
+            {
+                ["coding"] = new JsonArray(new JsonObject
+                {
+                    ["system"] = "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation",
+                    ["code"] = code,
+                    ["display"] = display
+                })
+            });
+        }
+
+        return observation;
+    }
+}
+
+// ── Value Objects ──────────────────────────────────────────────
+
+/// <summary>A Nightscout <c>entries</c> document; <see cref="Date"/> is epoch milliseconds.</summary>
+public record NightscoutEntry(string Type, int Sgv, long Date, string DateString, string Direction, string Device);
+
+/// <summary>A Nightscout <c>treatments</c> document. Nightscout spells the timestamp field <c>created_at</c>.</summary>
+public record NightscoutTreatment(
+    string EventType,
+    [property: JsonPropertyName("created_at")] string CreatedAt,
+    string Notes,
+    string EnteredBy,
+    double? Glucose,
+    string? GlucoseType,
+    string? Units);
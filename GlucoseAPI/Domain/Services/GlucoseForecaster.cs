@@ -0,0 +1,161 @@
+using GlucoseAPI.Models;
+
+namespace GlucoseAPI.Domain.Services;
+
+/// <summary>
+/// Pure domain service for short-horizon glucose forecasts.
+/// A local, deliberately simple model — an estimate, not a prediction of record:
+/// the rate of change is a linear fit over the last <see cref="LookbackMinutes"/>
+/// of readings, blended with the sensor's trend arrow, and projected forward with
+/// exponential damping (trends flatten out rather than continue forever). The
+/// uncertainty grows with the horizon, giving a widening confidence cone.
+/// </summary>
+public static class GlucoseForecaster
+{
+    /// <summary>How far back readings are used to estimate the rate of change.</summary>
+    public const int LookbackMinutes = 30;
+
+    /// <summary>Time constant of the trend damping, in minutes.</summary>
+    private const double DampingMinutes = 30;
+
+    /// <summary>Weight of the fitted slope versus the trend arrow's nominal rate.</summary>
+    private const double FitWeight = 0.7;
+
+    /// <summary>Uncertainty added per minute of horizon (mg/dL), on top of the fit residuals.</summary>
+    private const double DriftPerMinute = 0.5;
+
+    /// <summary>z-score of the cone: 80% of outcomes are expected inside it.</summary>
+    private const double ConeZ = 1.28;
+
+    private const double MinResidual = 3;
+    private const double MinValue = 40;
+    private const double MaxValue = 400;
+
+    /// <summary>
+    /// Nominal rate of change (mg/dL per minute) for a LibreLink trend arrow:
+    /// 1 falling fast (&gt; 2/min), 2 falling (1–2/min), 3 stable, 4 rising, 5 rising fast.
+    /// Null for unknown arrows.
+    /// </summary>
+    public static double? ArrowRate(int trendArrow) => trendArrow switch
+    {
+        1 => -2.5,
+        2 => -1.5,
+        3 => 0,
+        4 => 1.5,
+        5 => 2.5,
+        _ => null
+    };
+
+    /// <summary>
+    /// Forecast <paramref name="horizonMinutes"/> ahead of the newest reading in steps of
+    /// <paramref name="stepMinutes"/>. <paramref name="readings"/> must be sorted by timestamp.
+    /// Returns null when there is nothing to base a rate of change on (no readings, or a
+    /// single reading without a usable trend arrow).
+    /// </summary>
+    public static GlucoseForecast? Forecast(
+        IReadOnlyList<GlucoseReading> readings,
+        int horizonMinutes = 60,
+        int stepMinutes = 5,
+        TargetRangeProfile? ranges = null)
+    {
+        if (readings.Count == 0)
+            return null;
+
+        ranges ??= TargetRangeProfile.Standard;
+
+        var latest = readings[^1];
+        var baseTime = DateTime.SpecifyKind(latest.Timestamp, DateTimeKind.Utc);
+        var window = readings
+            .Where(r => (baseTime - r.Timestamp).TotalMinutes <= LookbackMinutes)
+            .ToList();
+
+        var fit = FitSlope(window, baseTime);
+        var arrowRate = ArrowRate(latest.TrendArrow);
+        if (fit == null && arrowRate == null)
+            return null;
+
+        var slope = (fit, arrowRate) switch
+        {
+            ({ } f, { } a) => FitWeight * f.Slope + (1 - FitWeight) * a,
+            ({ } f, null) => f.Slope,
+            _ => arrowRate!.Value
+        };
+        var residual = Math.Max(MinResidual, fit?.Residual ?? 0);
+
+        var points = new List<ForecastPoint>();
+        for (var minutes = stepMinutes; minutes <= horizonMinutes; minutes += stepMinutes)
+        {
+            var value = latest.Value + slope * DampingMinutes * (1 - Math.Exp(-minutes / DampingMinutes));
+            var spread = ConeZ * Math.Sqrt(residual * residual + Math.Pow(DriftPerMinute * minutes, 2));
+            points.Add(new ForecastPoint(
+                MinutesAhead: minutes,
+                Timestamp: baseTime.AddMinutes(minutes),
+                Value: Math.Round(Clamp(value), 1),
+                Lower: Math.Round(Clamp(value - spread), 1),
+                Upper: Math.Round(Clamp(value + spread), 1)));
+        }
+
+        // Only a fall into the low band counts; a reading that is already low is shown as such
+        int? minutesToLow = null;
+        double? lowThreshold = null;
+        if (latest.Value >= ranges.At(baseTime).Low)
+        {
+            var firstLow = points.FirstOrDefault(p => p.Value < ranges.At(p.Timestamp).Low);
+            if (firstLow != null)
+            {
+                minutesToLow = firstLow.MinutesAhead;
+                lowThreshold = ranges.At(firstLow.Timestamp).Low;
+            }
+        }
+
+        return new GlucoseForecast(
+            BaseTime: baseTime,
+            BaseValue: latest.Value,
+            RatePerMinute: Math.Round(slope, 2),
+            ReadingsUsed: window.Count,
+            Points: points,
+            MinutesToLow: minutesToLow,
+            LowThreshold: lowThreshold);
+    }
+
+    private static double Clamp(double value) => Math.Clamp(value, MinValue, MaxValue);
+
+    /// <summary>Least-squares slope (mg/dL per minute) and residual standard deviation; null with fewer than two readings.</summary>
+    private static (double Slope, double Residual)? FitSlope(IReadOnlyList<GlucoseReading> readings, DateTime baseTime)
+    {
+        if (readings.Count < 2)
+            return null;
+
+        var xs = readings.Select(r => (r.Timestamp - baseTime).TotalMinutes).ToList();
+        var ys = readings.Select(r => r.Value).ToList();
+        var meanX = xs.Average();
+        var meanY = ys.Average();
+        var sxx = xs.Sum(x => (x - meanX) * (x - meanX));
+        if (sxx <= 0)
+            return null;
+
+        var slope = xs.Zip(ys, (x, y) => (x - meanX) * (y - meanY)).Sum() / sxx;
+        var intercept = meanY - slope * meanX;
+        var residual = Math.Sqrt(xs.Zip(ys, (x, y) => Math.Pow(y - (intercept + slope * x), 2)).Sum() / readings.Count);
+        return (slope, residual);
+    }
+}
+
+// ── Value Objects ──────────────────────────────────────────────
+
+/// <summary>
+/// A short-horizon forecast from the newest reading at <see cref="BaseTime"/>.
+/// <see cref="MinutesToLow"/> is set when the projected value falls below the low threshold
+/// in effect at that time (<see cref="LowThreshold"/>).
+/// </summary>
+public record GlucoseForecast(
+    DateTime BaseTime,
+    double BaseValue,
+    double RatePerMinute,
+    int ReadingsUsed,
+    IReadOnlyList<ForecastPoint> Points,
+    int? MinutesToLow,
+    double? LowThreshold);
+
+/// <summary>One projected value with its 80% confidence bounds, all in mg/dL.</summary>
+public record ForecastPoint(int MinutesAhead, DateTime Timestamp, double Value, double Lower, double Upper);
@@ -46,12 +46,16 @@ public static class GlucoseStatsCalculator
 
     /// <summary>
     /// Compute day-level statistics: min, max, avg, stddev, and time-in-range percentages.
+    /// Readings are classified against <paramref name="ranges"/> (the user's target range profile);
+    /// when omitted the standard 70–180 mg/dL range is used.
     /// </summary>
-    public static DayGlucoseStats ComputeDayStats(IReadOnlyList<GlucoseReading> readings)
+    public static DayGlucoseStats ComputeDayStats(IReadOnlyList<GlucoseReading> readings, TargetRangeProfile? ranges = null)
     {
         if (readings.Count == 0)
             return DayGlucoseStats.Empty;
 
+        ranges ??= TargetRangeProfile.Standard;
+
         var min = readings.Min(r => r.Value);
         var max = readings.Max(r => r.Value);
         var avg = Math.Round(readings.Average(r => r.Value), 1);
@@ -60,9 +64,9 @@ public static class GlucoseStatsCalculator
         var sumSquares = readings.Sum(r => (r.Value - mean) * (r.Value - mean));
         var stdDev = Math.Round(Math.Sqrt(sumSquares / readings.Count), 1);
 
-        var inRange = readings.Count(r => r.Value >= 70 && r.Value <= 180);
-        var above = readings.Count(r => r.Value > 180);
-        var below = readings.Count(r => r.Value < 70);
+        var inRange = readings.Count(r => ranges.At(r.Timestamp).IsInRange(r.Value));
+        var above = readings.Count(r => r.Value > ranges.At(r.Timestamp).High);
+        var below = readings.Count(r => r.Value < ranges.At(r.Timestamp).Low);
 
         var timeInRange = Math.Round(100.0 * inRange / readings.Count, 1);
         var timeAboveRange = Math.Round(100.0 * above / readings.Count, 1);
@@ -81,6 +85,117 @@ public static class GlucoseStatsCalculator
             LastReadingUtc: readings.Last().Timestamp);
     }
 
+    /// <summary>
+    /// Compute the consensus five-band time-in-range breakdown (very low, low, in range,
+    /// high, very high) as percentages, classifying each reading against the thresholds
+    /// in effect at its timestamp.
+    /// </summary>
+    public static TimeInRangeBands ComputeTimeInRangeBands(IReadOnlyList<GlucoseReading> readings, TargetRangeProfile? ranges = null)
+    {
+        if (readings.Count == 0)
+            return TimeInRangeBands.Empty;
+
+        ranges ??= TargetRangeProfile.Standard;
+
+        var counts = readings
+            .GroupBy(r => ranges.At(r.Timestamp).Classify(r.Value))
+            .ToDictionary(g => g.Key, g => g.Count());
+
+        double Pct(GlucoseBand band) =>
+            Math.Round(100.0 * counts.GetValueOrDefault(band) / readings.Count, 1);
+
+        return new TimeInRangeBands(
+            VeryLow: Pct(GlucoseBand.VeryLow),
+            Low: Pct(GlucoseBand.Low),
+            InRange: Pct(GlucoseBand.InRange),
+            High: Pct(GlucoseBand.High),
+            VeryHigh: Pct(GlucoseBand.VeryHigh));
+    }
+
+    /// <summary>
+    /// Compute glycemic variability and exposure metrics: mean, standard deviation,
+    /// coefficient of variation (%), GMI (%) and estimated A1C (%).
+    /// GMI = 3.31 + 0.02392 × mean; eA1C = (mean + 46.7) / 28.7 (ADAG).
+    /// </summary>
+    public static GlucoseVariability ComputeVariability(IReadOnlyList<GlucoseReading> readings)
+    {
+        if (readings.Count == 0)
+            return GlucoseVariability.Empty;
+
+        var mean = readings.Average(r => r.Value);
+        var stdDev = Math.Sqrt(readings.Sum(r => (r.Value - mean) * (r.Value - mean)) / readings.Count);
+
+        return new GlucoseVariability(
+            Mean: Math.Round(mean, 1),
+            StdDev: Math.Round(stdDev, 1),
+            CoefficientOfVariation: mean > 0 ? Math.Round(stdDev / mean * 100, 1) : null,
+            Gmi: Math.Round(3.31 + 0.02392 * mean, 1),
+            EstimatedA1C: Math.Round((mean + 46.7) / 28.7, 1));
+    }
+
+    /// <summary>
+    /// Compute the Ambulatory Glucose Profile (AGP): all readings folded onto a single
+    /// 24-hour "modal day" in local time, with the 5th/25th/50th/75th/95th percentiles
+    /// per <paramref name="slotMinutes"/> slot. Each slot pools the readings within
+    /// ±<paramref name="windowMinutes"/>/2 of its centre (wrapping around midnight) so the
+    /// bands stay smooth on sparse data. Slots without readings are omitted.
+    /// </summary>
+    public static IReadOnlyList<AgpSlot> ComputeAgp(
+        IReadOnlyList<GlucoseReading> readings, TimeZoneInfo tz, int slotMinutes = 15, int windowMinutes = 60)
+    {
+        if (readings.Count == 0)
+            return Array.Empty<AgpSlot>();
+
+        const double minutesPerDay = 24 * 60;
+        var halfWindow = windowMinutes / 2.0;
+        var byMinute = readings
+            .Select(r => (Minute: TimeZoneConverter.ToLocal(r.Timestamp, tz).TimeOfDay.TotalMinutes, r.Value))
+            .ToList();
+
+        var slots = new List<AgpSlot>();
+        for (var start = 0; start < minutesPerDay; start += slotMinutes)
+        {
+            var centre = start + slotMinutes / 2.0;
+            var values = byMinute
+                .Where(x =>
+                {
+                    var distance = Math.Abs(x.Minute - centre);
+                    return Math.Min(distance, minutesPerDay - distance) <= halfWindow;
+                })
+                .Select(x => x.Value)
+                .OrderBy(v => v)
+                .ToList();
+
+            if (values.Count == 0)
+                continue;
+
+            slots.Add(new AgpSlot(
+                MinuteOfDay: start,
+                ReadingCount: values.Count,
+                P5: Math.Round(Percentile(values, 5), 1),
+                P25: Math.Round(Percentile(values, 25), 1),
+                P50: Math.Round(Percentile(values, 50), 1),
+                P75: Math.Round(Percentile(values, 75), 1),
+                P95: Math.Round(Percentile(values, 95), 1)));
+        }
+
+        return slots;
+    }
+
+    /// <summary>
+    /// Percentile (0–100) of an ascending-sorted list using linear interpolation between ranks.
+    /// </summary>
+    public static double Percentile(IReadOnlyList<double> sorted, double percentile)
+    {
+        if (sorted.Count == 0)
+            throw new ArgumentException("Cannot compute a percentile of an empty list.", nameof(sorted));
+
+        var rank = percentile / 100.0 * (sorted.Count - 1);
+        var lower = (int)Math.Floor(rank);
+        var upper = Math.Min(lower + 1, sorted.Count - 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
     /// <summary>
     /// Check if two nullable doubles are effectively equal (within tolerance).
     /// </summary>
@@ -126,3 +241,101 @@ public record DayGlucoseStats(
 {
     public static readonly DayGlucoseStats Empty = new(null, null, null, null, null, null, null, 0, null, null);
 }
+
+/// <summary>
+/// Percentage of readings in each consensus glucose band.
+/// </summary>
+public record TimeInRangeBands(double? VeryLow, double? Low, double? InRange, double? High, double? VeryHigh)
+{
+    public static readonly TimeInRangeBands Empty = new(null, null, null, null, null);
+}
+
+/// <summary>
+/// Immutable value object with glycemic variability metrics. CV, GMI and eA1C are percentages.
+/// </summary>
+public record GlucoseVariability(
+    double? Mean,
+    double? StdDev,
+    double? CoefficientOfVariation,
+    double? Gmi,
+    double? EstimatedA1C)
+{
+    public static readonly GlucoseVariability Empty = new(null, null, null, null, null);
+}
+
+/// <summary>The five consensus glucose bands, from lowest to highest.</summary>
+public enum GlucoseBand
+{
+    VeryLow,
+    Low,
+    InRange,
+    High,
+    VeryHigh
+}
+
+/// <summary>
+/// One time-of-day slot of the Ambulatory Glucose Profile. <see cref="MinuteOfDay"/> is the
+/// slot start in local time (0–1439); percentiles are in mg/dL.
+/// </summary>
+public record AgpSlot(int MinuteOfDay, int ReadingCount, double P5, double P25, double P50, double P75, double P95);
+
+/// <summary>
+/// Glucose thresholds in mg/dL. Readings between <see cref="Low"/> and <see cref="High"/>
+/// (inclusive) are in range; <see cref="VeryLow"/> and <see cref="VeryHigh"/> mark the urgent bands.
+/// </summary>
+public record GlucoseTargetRange(double VeryLow, double Low, double High, double VeryHigh)
+{
+    /// <summary>International consensus defaults: 54 / 70 / 180 / 250 mg/dL.</summary>
+    public static readonly GlucoseTargetRange Standard = new(54, 70, 180, 250);
+
+    public bool IsInRange(double value) => value >= Low && value <= High;
+
+    /// <summary>Assigns a value to its band; the in-range bounds are inclusive, as in <see cref="IsInRange"/>.</summary>
+    public GlucoseBand Classify(double value) => value switch
+    {
+        _ when value < VeryLow => GlucoseBand.VeryLow,
+        _ when value < Low => GlucoseBand.Low,
+        _ when value <= High => GlucoseBand.InRange,
+        _ when value <= VeryHigh => GlucoseBand.High,
+        _ => GlucoseBand.VeryHigh
+    };
+
+    /// <summary>True when thresholds are strictly ascending and positive.</summary>
+    public bool IsValid => VeryLow > 0 && VeryLow < Low && Low < High && High < VeryHigh;
+
+    public override string ToString() => $"{Low:0}-{High:0} mg/dL";
+}
+
+/// <summary>
+/// The user's target range profile: day thresholds plus an optional night override
+/// applied between <see cref="NightStart"/> and <see cref="NightEnd"/> local time.
+/// </summary>
+public record TargetRangeProfile(
+    GlucoseTargetRange Day,
+    GlucoseTargetRange? Night,
+    TimeSpan NightStart,
+    TimeSpan NightEnd,
+    TimeZoneInfo TimeZone)
+{
+    public static readonly TargetRangeProfile Standard =
+        new(GlucoseTargetRange.Standard, null, TimeSpan.FromHours(22), TimeSpan.FromHours(6), TimeZoneInfo.Utc);
+
+    /// <summary>Returns the thresholds that apply at the given UTC timestamp.</summary>
+    public GlucoseTargetRange At(DateTime utc)
+    {
+        if (Night == null)
+            return Day;
+
+        var local = TimeZoneConverter.ToLocal(utc, TimeZone).TimeOfDay;
+        var isNight = NightStart <= NightEnd
+            ? local >= NightStart && local < NightEnd
+            : local >= NightStart || local < NightEnd;   // window wraps past midnight
+
+        return isNight ? Night : Day;
+    }
+
+    /// <summary>Human-readable summary for AI prompts, e.g. "70-180 mg/dL (night 22:00-06:00: 80-160 mg/dL)".</summary>
+    public string Describe() => Night == null
+        ? Day.ToString()
+        : $"{Day} (night {NightStart:hh\\:mm}-{NightEnd:hh\\:mm}: {Night})";
+}
@@ -0,0 +1,91 @@
+using GlucoseAPI.Models;
+
+namespace GlucoseAPI.Domain.Services;
+
+/// <summary>
+/// Pure domain service that decides what an import adds. Imported readings are matched to
+/// stored readings by timestamp: a stored reading within <see cref="ToleranceMinutes"/> is the
+/// same measurement (sources round device times differently). A match with the same value is a
+/// duplicate; one with a different value is a conflict for the user to resolve. Readings in the
+/// file that repeat each other within the tolerance (e.g. a LibreView scan next to the historic
+/// value) are collapsed to the first.
+/// </summary>
+public static class ImportDeduplicator
+{
+    /// <summary>Readings this close in time are treated as the same measurement.</summary>
+    public const int ToleranceMinutes = 2;
+
+    /// <summary>Values this close (mg/dL) count as equal — exports round differently.</summary>
+    public const double ValueTolerance = 1.0;
+
+    /// <summary>
+    /// Splits <paramref name="imported"/> into new readings, duplicates and conflicts.
+    /// Both lists must be sorted by timestamp.
+    /// </summary>
+    public static ImportPlan Plan(IReadOnlyList<ImportedReading> imported, IReadOnlyList<GlucoseReading> existing)
+    {
+        var tolerance = TimeSpan.FromMinutes(ToleranceMinutes);
+        var newReadings = new List<ImportedReading>();
+        var conflicts = new List<ImportConflict>();
+        var duplicates = 0;
+        var repeatedInFile = 0;
+        DateTime? lastKept = null;
+
+        foreach (var reading in imported)
+        {
+            if (lastKept.HasValue && reading.Timestamp - lastKept.Value <= tolerance)
+            {
+                repeatedInFile++;
+                continue;
+            }
+            lastKept = reading.Timestamp;
+
+            var match = Nearest(existing, reading.Timestamp, tolerance);
+            if (match == null)
+                newReadings.Add(reading);
+            else if (Math.Abs(match.Value - reading.Value) <= ValueTolerance)
+                duplicates++;
+            else
+                conflicts.Add(new ImportConflict(match.Id, match.Timestamp, match.Value, reading));
+        }
+
+        return new ImportPlan(newReadings, duplicates, conflicts, repeatedInFile);
+    }
+
+    /// <summary>The stored reading closest to <paramref name="timestamp"/> within the tolerance, or null.</summary>
+    private static GlucoseReading? Nearest(IReadOnlyList<GlucoseReading> existing, DateTime timestamp, TimeSpan tolerance)
+    {
+        int lo = 0, hi = existing.Count;
+        while (lo < hi)
+        {
+            var mid = (lo + hi) / 2;
+            if (existing[mid].Timestamp < timestamp) lo = mid + 1;
+            else hi = mid;
+        }
+
+        GlucoseReading? best = null;
+        foreach (var i in new[] { lo - 1, lo })
+        {
+            if (i < 0 || i >= existing.Count) continue;
+            var distance = (existing[i].Timestamp - timestamp).Duration();
+            if (distance <= tolerance && (best == null || distance < (best.Timestamp - timestamp).Duration()))
+                best = existing[i];
+        }
+        return best;
+    }
+}
+
+// ── Value Objects ──────────────────────────────────────────────
+
+/// <summary>
+/// What an import would change: readings to insert, how many are already stored, the conflicts,
+/// and how many rows repeated another row of the same file.
+/// </summary>
+public record ImportPlan(
+    IReadOnlyList<ImportedReading> NewReadings,
+    int Duplicates,
+    IReadOnlyList<ImportConflict> Conflicts,
+    int RepeatedInFile);
+
+/// <summary>An imported reading that matches a stored one in time but not in value.</summary>
+public record ImportConflict(int ExistingId, DateTime ExistingTimestamp, double ExistingValue, ImportedReading Imported);
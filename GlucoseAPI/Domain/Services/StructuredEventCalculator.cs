@@ -0,0 +1,186 @@
+using System.Globalization;
+using GlucoseAPI.Models;
+
+namespace GlucoseAPI.Domain.Services;
+
+/// <summary>
+/// Pure domain service for the structured part of an event: insulin doses, carbs,
+/// exercise, sleep and illness. Validates details entered in the app, describes them
+/// in one line for GPT prompts, and adds them up for daily summaries.
+/// </summary>
+public static class StructuredEventCalculator
+{
+    public const double MaxInsulinUnits = 100;
+    public const double MaxCarbsGrams = 500;
+    public const int MaxDurationMinutes = 24 * 60;
+
+    /// <summary>
+    /// Check <paramref name="details"/> for an event of <paramref name="eventType"/>.
+    /// Insulin and carbs may accompany any type (a meal with a bolus); the types named
+    /// after them require their value, and exercise and sleep require a duration.
+    /// Returns an error message, or null when the details are valid.
+    /// </summary>
+    public static string? Validate(string eventType, EventDetails details)
+    {
+        if (details.InsulinUnits.HasValue)
+        {
+            if (details.InsulinUnits <= 0 || details.InsulinUnits > MaxInsulinUnits)
+                return $"Insulin must be between 0 and {MaxInsulinUnits} units.";
+            if (details.InsulinKind == null || !GlucoseEventTypes.InsulinKinds.Contains(details.InsulinKind))
+                return $"Insulin must be {string.Join(" or ", GlucoseEventTypes.InsulinKinds)}.";
+        }
+        else if (eventType == GlucoseEventTypes.Insulin)
+        {
+            return "An insulin event needs the number of units.";
+        }
+
+        if (details.CarbsGrams.HasValue)
+        {
+            if (details.CarbsGrams <= 0 || details.CarbsGrams > MaxCarbsGrams)
+                return $"Carbs must be between 0 and {MaxCarbsGrams} g.";
+        }
+        else if (eventType == GlucoseEventTypes.Carbs)
+        {
+            return "A carbs event needs the amount in grams.";
+        }
+
+        if (details.DurationMinutes.HasValue)
+        {
+            if (details.DurationMinutes <= 0 || details.DurationMinutes > MaxDurationMinutes)
+                return "The duration must be between 1 minute and 24 hours.";
+        }
+        else if (eventType is GlucoseEventTypes.Exercise or GlucoseEventTypes.Sleep)
+        {
+            return $"A {eventType} event needs a duration.";
+        }
+
+        if (details.Intensity != null && !GlucoseEventTypes.Intensities.Contains(details.Intensity))
+            return $"Intensity must be {string.Join(", ", GlucoseEventTypes.Intensities)}.";
+
+        return null;
+    }
+
+    /// <summary>
+    /// One line describing the structured details of <paramref name="evt"/>, e.g.
+    /// "Bolus insulin: 4 U · Carbs: 45 g · Exercise: running, 30 min, moderate intensity".
+    /// Null when the event has none.
+    /// </summary>
+    public static string? Describe(GlucoseEvent evt)
+    {
+        var parts = new List<string>();
+
+        if (evt.InsulinUnits.HasValue)
+        {
+            var kind = evt.InsulinKind == GlucoseEventTypes.Basal ? "Basal" : "Bolus";
+            parts.Add($"{kind} insulin: {Format(evt.InsulinUnits.Value)} U");
+        }
+
+        if (evt.CarbsGrams.HasValue)
+            parts.Add($"Carbs: {Format(evt.CarbsGrams.Value)} g");
+
+        switch (evt.EventType)
+        {
+            case GlucoseEventTypes.Exercise:
+                var exercise = new List<string>();
+                if (!string.IsNullOrWhiteSpace(evt.ExerciseKind)) exercise.Add(evt.ExerciseKind);
+                if (evt.DurationMinutes.HasValue) exercise.Add($"{evt.DurationMinutes} min");
+                if (evt.Intensity != null) exercise.Add($"{evt.Intensity} intensity");
+                parts.Add(exercise.Count > 0 ? $"Exercise: {string.Join(", ", exercise)}" : "Exercise");
+                break;
+            case GlucoseEventTypes.Sleep:
+                parts.Add(evt.DurationMinutes.HasValue ? $"Sleep: {FormatDuration(evt.DurationMinutes.Value)}" : "Sleep");
+                break;
+            case GlucoseEventTypes.Illness:
+                parts.Add("Illness reported");
+                break;
+        }
+
+        return parts.Count > 0 ? string.Join(" · ", parts) : null;
+    }
+
+    /// <summary>Totals of the structured details of <paramref name="events"/> (e.g. one day's events).</summary>
+    public static EventTotals ComputeTotals(IEnumerable<GlucoseEvent> events)
+    {
+        double bolus = 0, basal = 0, carbs = 0;
+        int exerciseMinutes = 0, sleepMinutes = 0, illness = 0;
+        bool anyBolus = false, anyBasal = false, anyCarbs = false, anyExercise = false, anySleep = false;
+
+        foreach (var evt in events)
+        {
+            if (evt.InsulinUnits.HasValue)
+            {
+                if (evt.InsulinKind == GlucoseEventTypes.Basal)
+                {
+                    anyBasal = true;
+                    basal += evt.InsulinUnits.Value;
+                }
+                else
+                {
+                    anyBolus = true;
+                    bolus += evt.InsulinUnits.Value;
+                }
+            }
+
+            if (evt.CarbsGrams.HasValue)
+            {
+                anyCarbs = true;
+                carbs += evt.CarbsGrams.Value;
+            }
+
+            switch (evt.EventType)
+            {
+                case GlucoseEventTypes.Exercise:
+                    anyExercise = true;
+                    exerciseMinutes += evt.DurationMinutes ?? 0;
+                    break;
+                case GlucoseEventTypes.Sleep:
+                    anySleep = true;
+                    sleepMinutes += evt.DurationMinutes ?? 0;
+                    break;
+                case GlucoseEventTypes.Illness:
+                    illness++;
+                    break;
+            }
+        }
+
+        return new EventTotals(
+            anyBolus ? Math.Round(bolus, 1) : null,
+            anyBasal ? Math.Round(basal, 1) : null,
+            anyCarbs ? Math.Round(carbs, 1) : null,
+            anyExercise ? exerciseMinutes : null,
+            anySleep ? sleepMinutes : null,
+            illness);
+    }
+
+    private static string Format(double value) => value.ToString("0.##", CultureInfo.InvariantCulture);
+
+    private static string FormatDuration(int minutes) =>
+        minutes >= 60 ? $"{minutes / 60} h {minutes % 60} min" : $"{minutes} min";
+}
+
+// ── Value Objects ──────────────────────────────────────────────
+
+/// <summary>Structured details entered with an event; every value is optional.</summary>
+public record EventDetails(
+    string? InsulinKind = null,
+    double? InsulinUnits = null,
+    double? CarbsGrams = null,
+    string? ExerciseKind = null,
+    int? DurationMinutes = null,
+    string? Intensity = null);
+
+/// <summary>
+/// Totals of structured event details. Each total is null when nothing of that kind was
+/// logged, so "not logged" is distinguishable from zero.
+/// </summary>
+public record EventTotals(
+    double? BolusUnits,
+    double? BasalUnits,
+    double? CarbsGrams,
+    int? ExerciseMinutes,
+    int? SleepMinutes,
+    int IllnessCount)
+{
+    public bool IsEmpty => BolusUnits == null && BasalUnits == null && CarbsGrams == null
+        && ExerciseMinutes == null && SleepMinutes == null && IllnessCount == 0;
+}
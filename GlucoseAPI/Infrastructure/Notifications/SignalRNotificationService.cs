@@ -52,4 +52,10 @@ public class SignalRNotificationService : INotificationService
 
     public Task NotifyFoodPatternsUpdatedAsync(int count, CancellationToken ct = default)
         => _hubContext.Clients.All.SendAsync("FoodPatternsUpdated", count, ct);
+
+    public Task NotifyImportProgressAsync(int processed, int total, CancellationToken ct = default)
+        => _hubContext.Clients.All.SendAsync("ImportProgress", new { processed, total }, ct);
+
+    public Task NotifyBulkActionProgressAsync(string jobId, string action, int processed, int total, int failed, bool done, CancellationToken ct = default)
+        => _hubContext.Clients.All.SendAsync("BulkActionProgress", new { jobId, action, processed, total, failed, done }, ct);
 }
@@ -38,6 +38,38 @@ public static class SettingKeys
 
     // Display / timezone
     public const string DisplayTimeZone = "Display:TimeZone";
+    public const string DisplayGlucoseUnit = "Display:GlucoseUnit";
+    public const string DisplayStaleAfterMinutes = "Display:StaleAfterMinutes";
+
+    // Target ranges (mg/dL)
+    public const string RangeVeryLow = "Range:VeryLow";
+    public const string RangeLow = "Range:Low";
+    public const string RangeHigh = "Range:High";
+    public const string RangeVeryHigh = "Range:VeryHigh";
+    public const string RangeNightEnabled = "Range:NightEnabled";
+    public const string RangeNightVeryLow = "Range:NightVeryLow";
+    public const string RangeNightLow = "Range:NightLow";
+    public const string RangeNightHigh = "Range:NightHigh";
+    public const string RangeNightVeryHigh = "Range:NightVeryHigh";
+    public const string RangeNightStart = "Range:NightStart";
+    public const string RangeNightEnd = "Range:NightEnd";
+
+    // Browser alert rules (mg/dL, minutes)
+    public const string AlertsEnabled = "Alerts:Enabled";
+    public const string AlertUrgentLowEnabled = "Alerts:UrgentLowEnabled";
+    public const string AlertUrgentLow = "Alerts:UrgentLow";
+    public const string AlertLowEnabled = "Alerts:LowEnabled";
+    public const string AlertLow = "Alerts:Low";
+    public const string AlertHighEnabled = "Alerts:HighEnabled";
+    public const string AlertHigh = "Alerts:High";
+    public const string AlertRapidFallEnabled = "Alerts:RapidFallEnabled";
+    public const string AlertNoDataEnabled = "Alerts:NoDataEnabled";
+    public const string AlertNoDataMinutes = "Alerts:NoDataMinutes";
+    public const string AlertReAlertMinutes = "Alerts:ReAlertMinutes";
+    public const string AlertSnoozeMinutes = "Alerts:SnoozeMinutes";
+    public const string AlertQuietHoursEnabled = "Alerts:QuietHoursEnabled";
+    public const string AlertQuietStart = "Alerts:QuietStart";
+    public const string AlertQuietEnd = "Alerts:QuietEnd";
 
     // Re-analysis throttle
     public const string ReanalysisMinIntervalMinutes = "Analysis:ReanalysisMinIntervalMinutes";
@@ -96,6 +128,83 @@ public class AnalysisSettingsDto
     public bool IsConfigured { get; set; }
 }
 
+/// <summary>Glucose units the UI can display. Readings are always stored in mg/dL.</summary>
+public static class GlucoseUnits
+{
+    public const string MgDl = "mg/dL";
+    public const string MmolL = "mmol/L";
+
+    public static bool IsValid(string? unit) => unit == MgDl || unit == MmolL;
+}
+
+/// <summary>DTO for UI display preferences.</summary>
+public class DisplaySettingsDto
+{
+    /// <summary>Unit used to show glucose values in the UI ("mg/dL" or "mmol/L").</summary>
+    public string GlucoseUnit { get; set; } = GlucoseUnits.MgDl;
+
+    /// <summary>
+    /// Minutes after which the latest reading is flagged as stale. Also the longest spacing
+    /// between two readings before charts and tables mark a gap.
+    /// </summary>
+    public int StaleAfterMinutes { get; set; } = 20;
+
+    /// <summary>
+    /// Display timezone (IANA id) used to split readings into local days. Read-only here:
+    /// it is edited with the analysis settings and ignored when display settings are saved.
+    /// </summary>
+    public string TimeZone { get; set; } = "Europe/Warsaw";
+}
+
+/// <summary>Four glucose thresholds in mg/dL.</summary>
+public class TargetRangeDto
+{
+    public double VeryLow { get; set; } = 54;
+    public double Low { get; set; } = 70;
+    public double High { get; set; } = 180;
+    public double VeryHigh { get; set; } = 250;
+}
+
+/// <summary>
+/// DTO for the target-range profile. <see cref="Night"/> applies between
+/// <see cref="NightStart"/> and <see cref="NightEnd"/> (local "HH:mm") when <see cref="NightEnabled"/> is set.
+/// </summary>
+public class TargetRangeSettingsDto
+{
+    public TargetRangeDto Day { get; set; } = new();
+    public bool NightEnabled { get; set; }
+    public TargetRangeDto Night { get; set; } = new();
+    public string NightStart { get; set; } = "22:00";
+    public string NightEnd { get; set; } = "06:00";
+}
+
+/// <summary>
+/// DTO for the browser alert rules. Rules are evaluated client-side against each new reading;
+/// during quiet hours (local "HH:mm") only the urgent-low rule notifies.
+/// </summary>
+public class AlertSettingsDto
+{
+    public bool Enabled { get; set; }
+    public bool UrgentLowEnabled { get; set; } = true;
+    public double UrgentLow { get; set; } = 54;
+    public bool LowEnabled { get; set; } = true;
+    public double Low { get; set; } = 70;
+    public bool HighEnabled { get; set; } = true;
+    public double High { get; set; } = 250;
+    /// <summary>Notify when LibreLink reports a rapid fall (trend arrow 1).</summary>
+    public bool RapidFallEnabled { get; set; } = true;
+    public bool NoDataEnabled { get; set; } = true;
+    /// <summary>Minutes without a new reading before the "no data" rule fires.</summary>
+    public int NoDataMinutes { get; set; } = 30;
+    /// <summary>Minutes before a still-active alert notifies again.</summary>
+    public int ReAlertMinutes { get; set; } = 30;
+    /// <summary>Default snooze length offered by the alert banner.</summary>
+    public int SnoozeMinutes { get; set; } = 60;
+    public bool QuietHoursEnabled { get; set; }
+    public string QuietStart { get; set; } = "23:00";
+    public string QuietEnd { get; set; } = "07:00";
+}
+
 /// <summary>Combined settings DTO returned to the UI (LibreLink + Analysis).</summary>
 public class AllSettingsDto
 {
@@ -56,15 +56,33 @@ public class DailySummary
     /// <summary>Standard deviation of glucose values for the day.</summary>
     public double? GlucoseStdDev { get; set; }
 
-    /// <summary>Percentage of time glucose was in range (70-180 mg/dL).</summary>
+    /// <summary>Percentage of time glucose was within the configured target range (default 70-180 mg/dL).</summary>
     public double? TimeInRange { get; set; }
 
-    /// <summary>Percentage of time glucose was above range (&gt;180 mg/dL).</summary>
+    /// <summary>Percentage of time glucose was above the target range.</summary>
     public double? TimeAboveRange { get; set; }
 
-    /// <summary>Percentage of time glucose was below range (&lt;70 mg/dL).</summary>
+    /// <summary>Percentage of time glucose was below the target range.</summary>
     public double? TimeBelowRange { get; set; }
 
+    // ── Logged totals (structured event details) ─────────────
+    // Null when nothing of that kind was logged this day.
+
+    /// <summary>Total bolus insulin (units).</summary>
+    public double? TotalBolusUnits { get; set; }
+
+    /// <summary>Total basal insulin (units).</summary>
+    public double? TotalBasalUnits { get; set; }
+
+    /// <summary>Total carbohydrates (grams).</summary>
+    public double? TotalCarbsGrams { get; set; }
+
+    /// <summary>Total exercise time (minutes).</summary>
+    public int? ExerciseMinutes { get; set; }
+
+    /// <summary>Total sleep logged (minutes).</summary>
+    public int? SleepMinutes { get; set; }
+
     // ── AI analysis ──────────────────────────────────────────
 
     /// <summary>GPT AI daily summary analysis.</summary>
@@ -105,6 +123,11 @@ public class DailySummaryListDto
     public double? GlucoseMax { get; set; }
     public double? GlucoseAvg { get; set; }
     public double? TimeInRange { get; set; }
+    public double? TotalBolusUnits { get; set; }
+    public double? TotalBasalUnits { get; set; }
+    public double? TotalCarbsGrams { get; set; }
+    public int? ExerciseMinutes { get; set; }
+    public int? SleepMinutes { get; set; }
     public bool IsProcessed { get; set; }
     public bool HasAnalysis { get; set; }
     public string? AiClassification { get; set; }
@@ -130,6 +153,11 @@ public class DailySummaryDetailDto
     public double? TimeInRange { get; set; }
     public double? TimeAboveRange { get; set; }
     public double? TimeBelowRange { get; set; }
+    public double? TotalBolusUnits { get; set; }
+    public double? TotalBasalUnits { get; set; }
+    public double? TotalCarbsGrams { get; set; }
+    public int? ExerciseMinutes { get; set; }
+    public int? SleepMinutes { get; set; }
     public string? AiAnalysis { get; set; }
     public string? AiClassification { get; set; }
     public string? AiModel { get; set; }
@@ -12,12 +12,136 @@ public class GlucoseReadingDto
     public string? PatientId { get; set; }
 }
 
+/// <summary>
+/// Aggregated stats for a time window. The five time-in-range bands are percentages
+/// relative to the configured target range and add up to ~100.
+/// </summary>
 public class GlucoseStatsDto
 {
     public double Average { get; set; }
     public double Min { get; set; }
     public double Max { get; set; }
     public int TotalReadings { get; set; }
-    public double TimeInRange { get; set; } // percentage 70-180 mg/dL
+    public double TimeInRange { get; set; } // percentage within the configured target range
+    public double TimeVeryLow { get; set; }
+    public double TimeLow { get; set; }
+    public double TimeHigh { get; set; }
+    public double TimeVeryHigh { get; set; }
+    public double StdDev { get; set; }
+    public double? CoefficientOfVariation { get; set; } // %
+    public double Gmi { get; set; }          // Glucose Management Indicator, %
+    public double EstimatedA1C { get; set; } // %
     public GlucoseReadingDto? LatestReading { get; set; }
+
+    /// <summary>Same figures for the equally long window just before this one (null when it has no readings).</summary>
+    public GlucoseStatsDto? Previous { get; set; }
+}
+
+/// <summary>Ambulatory Glucose Profile: percentile bands over a 24-hour modal day.</summary>
+public class GlucoseAgpDto
+{
+    public DateTime From { get; set; }
+    public DateTime To { get; set; }
+    public int TotalReadings { get; set; }
+    public int SlotMinutes { get; set; }
+    public string TimeZone { get; set; } = string.Empty; // slots are in this timezone's local time
+    public List<AgpSlotDto> Slots { get; set; } = new();
+}
+
+public class AgpSlotDto
+{
+    public int MinuteOfDay { get; set; }
+    public string Time { get; set; } = string.Empty; // "HH:mm"
+    public int ReadingCount { get; set; }
+    public double P5 { get; set; }
+    public double P25 { get; set; }
+    public double P50 { get; set; }
+    public double P75 { get; set; }
+    public double P95 { get; set; }
+}
+
+/// <summary>
+/// Short-horizon glucose estimate from the newest reading (<see cref="BaseTime"/>): projected
+/// values with an 80% confidence cone. <see cref="MinutesToLow"/> is set when the projection
+/// falls below the low threshold. A simple local model — always shown as an estimate.
+/// </summary>
+public class GlucoseForecastDto
+{
+    public DateTime BaseTime { get; set; }
+    public double BaseValue { get; set; }
+    public double RatePerMinute { get; set; } // mg/dL per minute, damped over the horizon
+    public int ReadingsUsed { get; set; }
+    public int? MinutesToLow { get; set; }
+    public double? LowThreshold { get; set; }
+    public List<ForecastPointDto> Points { get; set; } = new();
+}
+
+public class ForecastPointDto
+{
+    public int MinutesAhead { get; set; }
+    public DateTime Timestamp { get; set; }
+    public double Value { get; set; }
+    public double Lower { get; set; }
+    public double Upper { get; set; }
+}
+
+/// <summary>Live-sync health: background fetch schedules plus the newest stored reading.</summary>
+public class SyncStatusDto
+{
+    public DateTime ServerTimeUtc { get; set; }
+    public DateTime? LatestReadingUtc { get; set; }
+    public BackgroundServiceStatusDto Glucose { get; set; } = new();
+    public BackgroundServiceStatusDto Notes { get; set; } = new();
+}
+
+public class BackgroundServiceStatusDto
+{
+    public string Name { get; set; } = string.Empty;
+    public bool IsAvailable { get; set; } // false when the source is not mounted/configured
+    public bool IsRunning { get; set; }
+    public double? IntervalMinutes { get; set; }
+    public DateTime? LastRunUtc { get; set; }
+    public DateTime? LastSuccessUtc { get; set; }
+    public DateTime? NextRunUtc { get; set; }
+    public int? LastItemCount { get; set; } // readings inserted / notes inserted+updated on the last run
+    public string? LastError { get; set; }
+}
+
+/// <summary>What importing a LibreView / Nightscout file would change; nothing is written yet.</summary>
+public class ImportPreviewDto
+{
+    public string Source { get; set; } = string.Empty; // "LibreView" | "Nightscout"
+    public string FileName { get; set; } = string.Empty;
+    public int ReadingCount { get; set; }
+    public int SkippedRows { get; set; }
+    public int RepeatedInFile { get; set; }
+    public DateTime? FirstTimestamp { get; set; }
+    public DateTime? LastTimestamp { get; set; }
+    public int NewCount { get; set; }
+    public int DuplicateCount { get; set; }
+    public int ConflictCount { get; set; }
+    public List<ImportConflictDto> Conflicts { get; set; } = new(); // first GlucoseImportService.PreviewConflictLimit only
+    public List<string> Warnings { get; set; } = new();
+}
+
+public class ImportConflictDto
+{
+    public DateTime Timestamp { get; set; }
+    public double ExistingValue { get; set; }
+    public double ImportedValue { get; set; }
+}
+
+/// <summary>Outcome of an import.</summary>
+public class ImportResultDto
+{
+    public string Source { get; set; } = string.Empty;
+    public int Inserted { get; set; }
+    public int Replaced { get; set; }
+    public int Duplicates { get; set; }
+    public int ConflictsKept { get; set; }
+    public int SkippedRows { get; set; }
+    public DateTime? FirstTimestamp { get; set; }
+    public DateTime? LastTimestamp { get; set; }
+    public int EventsRecalculated { get; set; }
+    public int DailySummariesQueued { get; set; }
 }
@@ -14,13 +14,40 @@ public class GlucoseEvent
     [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
     public int Id { get; set; }
 
-    /// <summary>Foreign key to the Samsung Note that triggered this event.</summary>
+    /// <summary>Foreign key to the Samsung Note that triggered this event (0 for manually logged events).</summary>
     public int SamsungNoteId { get; set; }
 
-    /// <summary>UUID of the Samsung Note (for quick lookup).</summary>
+    /// <summary>UUID of the Samsung Note (for quick lookup); "manual-…" for manually logged events.</summary>
     [MaxLength(200)]
     public string NoteUuid { get; set; } = string.Empty;
 
+    /// <summary>Kind of event (see <see cref="GlucoseEventTypes"/>); null for events created from notes.</summary>
+    [MaxLength(20)]
+    public string? EventType { get; set; }
+
+    // ── Structured details (insulin, carbs, exercise, sleep) ──
+
+    /// <summary>"bolus" or "basal" when insulin was taken (see <see cref="GlucoseEventTypes.InsulinKinds"/>).</summary>
+    [MaxLength(10)]
+    public string? InsulinKind { get; set; }
+
+    /// <summary>Insulin dose in units.</summary>
+    public double? InsulinUnits { get; set; }
+
+    /// <summary>Carbohydrates eaten, in grams.</summary>
+    public double? CarbsGrams { get; set; }
+
+    /// <summary>Kind of exercise, free text (e.g. "running", "cycling").</summary>
+    [MaxLength(100)]
+    public string? ExerciseKind { get; set; }
+
+    /// <summary>Duration of exercise or sleep, in minutes.</summary>
+    public int? DurationMinutes { get; set; }
+
+    /// <summary>Exercise intensity (see <see cref="GlucoseEventTypes.Intensities"/>).</summary>
+    [MaxLength(10)]
+    public string? Intensity { get; set; }
+
     /// <summary>Snapshot of the note title at processing time (original language).</summary>
     [MaxLength(500)]
     public string NoteTitle { get; set; } = string.Empty;
@@ -44,6 +71,15 @@ public class GlucoseEvent
     /// <summary>End of the glucose monitoring period — next event time or default lookahead (UTC).</summary>
     public DateTime PeriodEnd { get; set; }
 
+    /// <summary>
+    /// Whether the user set PeriodStart/PeriodEnd by hand. Such a window is kept when neighbouring
+    /// events are added or moved.
+    /// </summary>
+    public bool IsWindowOverridden { get; set; }
+
+    /// <summary>When the user last edited the event's time, window, title or content (UTC).</summary>
+    public DateTime? EditedAt { get; set; }
+
     /// <summary>Number of glucose readings in this period.</summary>
     public int ReadingCount { get; set; }
 
@@ -87,6 +123,43 @@ public class GlucoseEvent
 
     /// <summary>When this record was last updated (UTC).</summary>
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>Whether this event was logged in the app rather than created from a Samsung Note.</summary>
+    [NotMapped]
+    public bool IsManual => NoteUuid.StartsWith(GlucoseEventTypes.ManualUuidPrefix);
+}
+
+/// <summary>Event types that can be chosen when logging an event manually, and their structured values.</summary>
+public static class GlucoseEventTypes
+{
+    public const string Meal = "meal";
+    public const string Snack = "snack";
+    public const string Drink = "drink";
+    public const string Insulin = "insulin";
+    public const string Carbs = "carbs";
+    public const string Exercise = "exercise";
+    public const string Sleep = "sleep";
+    public const string Illness = "illness";
+    public const string Other = "other";
+
+    public static readonly IReadOnlyList<string> All = new[]
+    {
+        Meal, Snack, Drink, Insulin, Carbs, Exercise, Sleep, Illness, Other
+    };
+
+    public const string Bolus = "bolus";
+    public const string Basal = "basal";
+
+    public static readonly IReadOnlyList<string> InsulinKinds = new[] { Bolus, Basal };
+
+    public const string Light = "light";
+    public const string Moderate = "moderate";
+    public const string Vigorous = "vigorous";
+
+    public static readonly IReadOnlyList<string> Intensities = new[] { Light, Moderate, Vigorous };
+
+    /// <summary>Prefix of <see cref="GlucoseEvent.NoteUuid"/> for manually logged events.</summary>
+    public const string ManualUuidPrefix = "manual-";
 }
 
 // ── Analysis History ─────────────────────────────────────────
@@ -133,6 +206,16 @@ public class EventAnalysisHistory
     [MaxLength(500)]
     public string? Reason { get; set; }
 
+    /// <summary>Event time this analysis was based on (UTC); null for entries saved before events could be edited.</summary>
+    public DateTime? EventTimestamp { get; set; }
+
+    /// <summary>Event title this analysis was based on.</summary>
+    [MaxLength(500)]
+    public string? NoteTitle { get; set; }
+
+    /// <summary>Event content this analysis was based on.</summary>
+    public string? NoteContent { get; set; }
+
     // ── Glucose statistics snapshot at analysis time ──────────
 
     /// <summary>Glucose value at or near the event time (mg/dL).</summary>
@@ -154,6 +237,58 @@ public class EventAnalysisHistory
     public DateTime? PeakTime { get; set; }
 }
 
+// ── Edit Audit ───────────────────────────────────────────────
+
+/// <summary>
+/// One changed field of a user edit to a GlucoseEvent (time, window, title or content).
+/// Rows are never updated, so the full edit trail is kept for as long as the event exists;
+/// deleting the event (<see cref="GlucoseAPI.Services.GlucoseEventAnalysisService.DeleteEventsAsync"/>) deletes them too.
+/// </summary>
+[Table("GlucoseEventEdits")]
+public class GlucoseEventEdit
+{
+    [Key]
+    [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+    public int Id { get; set; }
+
+    /// <summary>FK to the edited GlucoseEvent.</summary>
+    public int GlucoseEventId { get; set; }
+
+    /// <summary>When the edit was saved (UTC).</summary>
+    public DateTime EditedAt { get; set; }
+
+    /// <summary>Changed field (see <see cref="GlucoseEventEditFields"/>).</summary>
+    [MaxLength(30)]
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>Value before the edit (times as ISO 8601 UTC).</summary>
+    public string? OldValue { get; set; }
+
+    /// <summary>Value after the edit (times as ISO 8601 UTC).</summary>
+    public string? NewValue { get; set; }
+}
+
+/// <summary>Field names recorded in <see cref="GlucoseEventEdit.Field"/>.</summary>
+public static class GlucoseEventEditFields
+{
+    public const string EventTimestamp = "eventTimestamp";
+    public const string PeriodStart = "periodStart";
+    public const string PeriodEnd = "periodEnd";
+    public const string Title = "title";
+    public const string Content = "content";
+}
+
+/// <summary>Actions of POST /api/events/bulk.</summary>
+public static class BulkEventActions
+{
+    public const string Reprocess = "reprocess";
+    public const string Retranslate = "retranslate";
+    public const string ReextractFoods = "reextract-foods";
+    public const string Delete = "delete";
+
+    public static readonly IReadOnlyList<string> All = new[] { Reprocess, Retranslate, ReextractFoods, Delete };
+}
+
 // ── AI Usage Log ─────────────────────────────────────────────
 
 /// <summary>
@@ -210,6 +345,14 @@ public class AiUsageLog
 public class GlucoseEventSummaryDto
 {
     public int Id { get; set; }
+    public string? EventType { get; set; }
+    public bool IsManual { get; set; }
+    public string? InsulinKind { get; set; }
+    public double? InsulinUnits { get; set; }
+    public double? CarbsGrams { get; set; }
+    public string? ExerciseKind { get; set; }
+    public int? DurationMinutes { get; set; }
+    public string? Intensity { get; set; }
     public string NoteTitle { get; set; } = string.Empty;
     public string? NoteTitleEn { get; set; }
     public string? NoteContentPreview { get; set; }
@@ -231,6 +374,14 @@ public class GlucoseEventSummaryDto
 public class GlucoseEventDetailDto
 {
     public int Id { get; set; }
+    public string? EventType { get; set; }
+    public bool IsManual { get; set; }
+    public string? InsulinKind { get; set; }
+    public double? InsulinUnits { get; set; }
+    public double? CarbsGrams { get; set; }
+    public string? ExerciseKind { get; set; }
+    public int? DurationMinutes { get; set; }
+    public string? Intensity { get; set; }
     public string NoteTitle { get; set; } = string.Empty;
     public string? NoteTitleEn { get; set; }
     public string? NoteContent { get; set; }
@@ -238,6 +389,8 @@ public class GlucoseEventDetailDto
     public DateTime EventTimestamp { get; set; }
     public DateTime PeriodStart { get; set; }
     public DateTime PeriodEnd { get; set; }
+    public bool IsWindowOverridden { get; set; }
+    public DateTime? EditedAt { get; set; }
     public int ReadingCount { get; set; }
     public double? GlucoseAtEvent { get; set; }
     public double? GlucoseMin { get; set; }
@@ -253,6 +406,16 @@ public class GlucoseEventDetailDto
     public List<GlucoseReadingDto> Readings { get; set; } = new();
     public List<EventAnalysisHistoryDto> AnalysisHistory { get; set; } = new();
     public List<OverlappingEventDto> OverlappingEvents { get; set; } = new();
+    public List<GlucoseEventEditDto> Edits { get; set; } = new();
+}
+
+/// <summary>One changed field of a user edit (newest first in <see cref="GlucoseEventDetailDto.Edits"/>).</summary>
+public class GlucoseEventEditDto
+{
+    public DateTime EditedAt { get; set; }
+    public string Field { get; set; } = string.Empty;
+    public string? OldValue { get; set; }
+    public string? NewValue { get; set; }
 }
 
 /// <summary>Lightweight DTO for events that overlap with the current event's glucose window.</summary>
@@ -278,6 +441,9 @@ public class EventAnalysisHistoryDto
     public DateTime PeriodEnd { get; set; }
     public int ReadingCount { get; set; }
     public string? Reason { get; set; }
+    public DateTime? EventTimestamp { get; set; }
+    public string? NoteTitle { get; set; }
+    public string? NoteContent { get; set; }
     public double? GlucoseAtEvent { get; set; }
     public double? GlucoseMin { get; set; }
     public double? GlucoseMax { get; set; }
@@ -101,6 +101,8 @@ builder.Services.AddScoped<SettingsService>();
 builder.Services.AddScoped<SamsungNotesReader>();
 builder.Services.AddScoped<EventAnalyzer>();
 builder.Services.AddScoped<ReportService>();
+builder.Services.AddScoped<DataExportService>();
+builder.Services.AddScoped<GlucoseImportService>();
 
 // ── Background / Hosted Services ───────────────────────
 builder.Services.AddSingleton<GlucoseFetchService>();
@@ -124,6 +126,8 @@ builder.Services.AddSingleton<FoodPatternService>();
 builder.Services.AddHostedService(sp => sp.GetRequiredService<FoodPatternService>());
 builder.Services.AddSingleton<TranslationService>();
 builder.Services.AddHostedService(sp => sp.GetRequiredService<TranslationService>());
+builder.Services.AddSingleton<BulkReprocessService>();
+builder.Services.AddHostedService(sp => sp.GetRequiredService<BulkReprocessService>());
 
 // ── MediatR (CQRS) ──────────────────────────────────────
 builder.Services.AddMediatR(cfg =>
@@ -769,6 +773,98 @@ using (var scope = app.Services.CreateScope())
                 logger.LogWarning("Could not add bilingual columns: {Message}", tableEx.Message);
             }
 
+            // Add EventType column to GlucoseEvents (manually logged events)
+            try
+            {
+                db.Database.ExecuteSqlRaw(@"
+                    IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('GlucoseEvents') AND name = 'EventType')
+                    BEGIN
+                        ALTER TABLE GlucoseEvents ADD EventType NVARCHAR(20) NULL;
+                        PRINT 'Added EventType column to GlucoseEvents.';
+                    END");
+                logger.LogInformation("EventType column check complete.");
+            }
+            catch (Exception tableEx)
+            {
+                logger.LogWarning("Could not add EventType column: {Message}", tableEx.Message);
+            }
+
+            // Add structured event columns (insulin, carbs, exercise, sleep) and daily totals
+            try
+            {
+                db.Database.ExecuteSqlRaw(@"
+                    IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('GlucoseEvents') AND name = 'InsulinUnits')
+                    BEGIN
+                        ALTER TABLE GlucoseEvents ADD
+                            InsulinKind NVARCHAR(10) NULL,
+                            InsulinUnits FLOAT NULL,
+                            CarbsGrams FLOAT NULL,
+                            ExerciseKind NVARCHAR(100) NULL,
+                            DurationMinutes INT NULL,
+                            Intensity NVARCHAR(10) NULL;
+                        PRINT 'Added structured event columns to GlucoseEvents.';
+                    END");
+                db.Database.ExecuteSqlRaw(@"
+                    IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('DailySummaries') AND name = 'TotalBolusUnits')
+                    BEGIN
+                        ALTER TABLE DailySummaries ADD
+                            TotalBolusUnits FLOAT NULL,
+                            TotalBasalUnits FLOAT NULL,
+                            TotalCarbsGrams FLOAT NULL,
+                            ExerciseMinutes INT NULL,
+                            SleepMinutes INT NULL;
+                        PRINT 'Added logged totals columns to DailySummaries.';
+                    END");
+                // 'activity' became the structured 'exercise' type
+                db.Database.ExecuteSqlRaw("UPDATE GlucoseEvents SET EventType = 'exercise' WHERE EventType = 'activity'");
+                logger.LogInformation("Structured event columns check complete.");
+            }
+            catch (Exception tableEx)
+            {
+                logger.LogWarning("Could not add structured event columns: {Message}", tableEx.Message);
+            }
+
+            // Event editing: overridden windows, edit audit trail, and the event values each analysis used
+            try
+            {
+                db.Database.ExecuteSqlRaw(@"
+                    IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('GlucoseEvents') AND name = 'IsWindowOverridden')
+                    BEGIN
+                        ALTER TABLE GlucoseEvents ADD
+                            IsWindowOverridden BIT NOT NULL DEFAULT 0,
+                            EditedAt DATETIME2 NULL;
+                        PRINT 'Added edit columns to GlucoseEvents.';
+                    END
+
+                    IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('EventAnalysisHistory') AND name = 'EventTimestamp')
+                    BEGIN
+                        ALTER TABLE EventAnalysisHistory ADD
+                            EventTimestamp DATETIME2 NULL,
+                            NoteTitle NVARCHAR(500) NULL,
+                            NoteContent NVARCHAR(MAX) NULL;
+                        PRINT 'Added event snapshot columns to EventAnalysisHistory.';
+                    END
+
+                    IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'GlucoseEventEdits') AND type = 'U')
+                    BEGIN
+                        CREATE TABLE GlucoseEventEdits (
+                            Id INT IDENTITY(1,1) PRIMARY KEY,
+                            GlucoseEventId INT NOT NULL,
+                            EditedAt DATETIME2 NOT NULL,
+                            Field NVARCHAR(30) NOT NULL DEFAULT '',
+                            OldValue NVARCHAR(MAX) NULL,
+                            NewValue NVARCHAR(MAX) NULL
+                        );
+                        CREATE INDEX IX_GlucoseEventEdits_GlucoseEventId ON GlucoseEventEdits (GlucoseEventId);
+                        PRINT 'Created GlucoseEventEdits table.';
+                    END");
+                logger.LogInformation("Event edit columns check complete.");
+            }
+            catch (Exception tableEx)
+            {
+                logger.LogWarning("Could not add event edit columns: {Message}", tableEx.Message);
+            }
+
             // Seed built-in chat prompt templates
             try
             {
@@ -0,0 +1,136 @@
+using System.Collections.Concurrent;
+using GlucoseAPI.Application.Interfaces;
+using GlucoseAPI.Data;
+using GlucoseAPI.Models;
+using static GlucoseAPI.Application.Interfaces.EventCategory;
+
+namespace GlucoseAPI.Services;
+
+/// <summary>
+/// Re-analyses many events in the background, e.g. a month after switching the GPT model.
+/// Jobs run one at a time and their events one by one through <see cref="EventAnalyzer"/>,
+/// each saved to EventAnalysisHistory like a single reprocess. Progress is pushed over
+/// SignalR as "BulkActionProgress"; a job can be cancelled between events.
+/// </summary>
+public class BulkReprocessService : BackgroundService
+{
+    private readonly IServiceProvider _serviceProvider;
+    private readonly INotificationService _notifications;
+    private readonly IEventLogger _eventLogger;
+    private readonly ILogger<BulkReprocessService> _logger;
+    private readonly ConcurrentQueue<BulkReprocessJob> _queue = new();
+    // Queued and running jobs, with whether a cancel was requested
+    private readonly ConcurrentDictionary<string, bool> _jobs = new();
+    private readonly SemaphoreSlim _signal = new(0);
+
+    public BulkReprocessService(
+        IServiceProvider serviceProvider,
+        INotificationService notifications,
+        IEventLogger eventLogger,
+        ILogger<BulkReprocessService> logger)
+    {
+        _serviceProvider = serviceProvider;
+        _notifications = notifications;
+        _eventLogger = eventLogger;
+        _logger = logger;
+    }
+
+    /// <summary>Queue <paramref name="eventIds"/> for re-analysis. Returns the job id used in progress messages.</summary>
+    public string Enqueue(IReadOnlyList<int> eventIds, string? modelOverride)
+    {
+        var job = new BulkReprocessJob(Guid.NewGuid().ToString("N"), eventIds, modelOverride);
+        _jobs[job.Id] = false;
+        _queue.Enqueue(job);
+        _signal.Release();
+        return job.Id;
+    }
+
+    /// <summary>
+    /// Stop a queued or running job after the event being analysed. Returns false when no such
+    /// job is queued or running (unknown or already finished).
+    /// </summary>
+    public bool Cancel(string jobId)
+    {
+        if (!_jobs.ContainsKey(jobId))
+            return false;
+
+        // TryUpdate never adds, so a job finishing meanwhile leaves no entry behind
+        _jobs.TryUpdate(jobId, true, false);
+        return true;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        _logger.LogInformation("BulkReprocessService started.");
+
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            try
+            {
+                await _signal.WaitAsync(stoppingToken);
+
+                while (_queue.TryDequeue(out var job))
+                    await RunAsync(job, stoppingToken);
+            }
+            catch (OperationCanceledException) { break; }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in BulkReprocessService.");
+                await Task.Delay(TimeSpan.FromSeconds(30), stoppingToken);
+            }
+        }
+    }
+
+    private async Task RunAsync(BulkReprocessJob job, CancellationToken ct)
+    {
+        var total = job.EventIds.Count;
+        int processed = 0, failed = 0;
+        _logger.LogInformation("Bulk re-analysis {JobId} of {Count} events started (model: {Model}).",
+            job.Id, total, job.ModelOverride ?? "default");
+
+        foreach (var id in job.EventIds)
+        {
+            if (ct.IsCancellationRequested || _jobs.GetValueOrDefault(job.Id)) break;
+
+            try
+            {
+                // A fresh scope per event keeps the change tracker small on long jobs
+                using var scope = _serviceProvider.CreateScope();
+                var db = scope.ServiceProvider.GetRequiredService<GlucoseDbContext>();
+                var analyzer = scope.ServiceProvider.GetRequiredService<EventAnalyzer>();
+
+                var evt = await db.GlucoseEvents.FindAsync(new object[] { id }, ct);
+                var analysis = evt == null
+                    ? null
+                    : await analyzer.AnalyzeEventAsync(evt, "Bulk re-analysis requested by user", ct, job.ModelOverride);
+                if (analysis == null)
+                    failed++;
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Bulk re-analysis {JobId} failed for event {Id}.", job.Id, id);
+                failed++;
+            }
+
+            processed++;
+            await _notifications.NotifyBulkActionProgressAsync(
+                job.Id, BulkEventActions.Reprocess, processed, total, failed, processed == total, ct);
+        }
+
+        if (_jobs.TryRemove(job.Id, out var cancelled) && cancelled && processed < total)
+            await _notifications.NotifyBulkActionProgressAsync(
+                job.Id, BulkEventActions.Reprocess, processed, total, failed, true, ct);
+
+        var message = $"Bulk re-analysis: {processed - failed} of {total} event(s) analysed"
+            + (job.ModelOverride != null ? $" with {job.ModelOverride}" : "")
+            + (failed > 0 ? $", {failed} failed" : "")
+            + (processed < total ? $", cancelled after {processed}" : "") + ".";
+        _logger.LogInformation("{Message} (job {JobId})", message, job.Id);
+        if (failed > 0)
+            await _eventLogger.LogWarningAsync(Analysis, message, source: nameof(BulkReprocessService));
+        else
+            await _eventLogger.LogInfoAsync(Analysis, message, source: nameof(BulkReprocessService));
+    }
+
+    private record BulkReprocessJob(string Id, IReadOnlyList<int> EventIds, string? ModelOverride);
+}
@@ -128,6 +128,7 @@ public class ChatService : BackgroundService
         }
 
         var tz = timeZoneConverter.Resolve(analysisSettings.TimeZone);
+        var ranges = await settingsService.GetTargetRangeProfileAsync(tz);
 
         // Step 1: If there's a natural language period description but no dates, resolve it via AI
         if (!session.PeriodStart.HasValue && !session.PeriodEnd.HasValue
@@ -149,13 +150,13 @@ public class ChatService : BackgroundService
         if (periods.Count > 0)
         {
             _logger.LogInformation("Building multi-period glucose context for session #{Id}: {Count} period(s)", session.Id, periods.Count);
-            glucoseContext = await BuildMultiPeriodContextAsync(db, periods, tz, ct);
+            glucoseContext = await BuildMultiPeriodContextAsync(db, periods, tz, ranges, ct);
         }
         else if (session.PeriodStart.HasValue && session.PeriodEnd.HasValue)
         {
             _logger.LogInformation("Building glucose context for session #{Id}: {Start} to {End} (UTC)",
                 session.Id, session.PeriodStart.Value, session.PeriodEnd.Value);
-            glucoseContext = await BuildGlucoseContextAsync(db, session.PeriodStart.Value, session.PeriodEnd.Value, tz, ct);
+            glucoseContext = await BuildGlucoseContextAsync(db, session.PeriodStart.Value, session.PeriodEnd.Value, tz, ranges, ct);
         }
 
         if (string.IsNullOrWhiteSpace(glucoseContext))
@@ -502,7 +503,7 @@ Guidelines:
     }
 
     private static async Task<string> BuildMultiPeriodContextAsync(
-        GlucoseDbContext db, List<ChatPeriod> periods, TimeZoneInfo tz, CancellationToken ct)
+        GlucoseDbContext db, List<ChatPeriod> periods, TimeZoneInfo tz, TargetRangeProfile ranges, CancellationToken ct)
     {
         var sb = new StringBuilder();
         sb.AppendLine($"The user selected {periods.Count} period(s) for analysis. Each period has a name that may be referenced in the prompt.");
@@ -511,7 +512,7 @@ Guidelines:
         foreach (var period in periods)
         {
             sb.AppendLine($"=== PERIOD: \"{period.Name}\" ===");
-            var periodContext = await BuildGlucoseContextAsync(db, period.Start, period.End, tz, ct);
+            var periodContext = await BuildGlucoseContextAsync(db, period.Start, period.End, tz, ranges, ct);
             if (string.IsNullOrWhiteSpace(periodContext))
                 sb.AppendLine("(No glucose data available for this period)");
             else
@@ -524,7 +525,7 @@ Guidelines:
     }
 
     private static async Task<string> BuildGlucoseContextAsync(
-        GlucoseDbContext db, DateTime periodStart, DateTime periodEnd, TimeZoneInfo tz, CancellationToken ct)
+        GlucoseDbContext db, DateTime periodStart, DateTime periodEnd, TimeZoneInfo tz, TargetRangeProfile ranges, CancellationToken ct)
     {
         var readings = await db.GlucoseReadings
             .Where(r => r.Timestamp >= periodStart && r.Timestamp < periodEnd)
@@ -545,13 +546,13 @@ Guidelines:
 
         if (readings.Count > 0)
         {
-            var stats = GlucoseStatsCalculator.ComputeDayStats(readings);
+            var stats = GlucoseStatsCalculator.ComputeDayStats(readings, ranges);
             sb.AppendLine($"Glucose range: {stats.Min} – {stats.Max} mg/dL");
             sb.AppendLine($"Average: {stats.Avg} mg/dL");
             sb.AppendLine($"Std deviation: {stats.StdDev} mg/dL");
-            sb.AppendLine($"Time in range (70-180): {stats.TimeInRange}%");
-            sb.AppendLine($"Time above range (>180): {stats.TimeAboveRange}%");
-            sb.AppendLine($"Time below range (<70): {stats.TimeBelowRange}%");
+            sb.AppendLine($"Time in range ({ranges.Describe()}): {stats.TimeInRange}%");
+            sb.AppendLine($"Time above range: {stats.TimeAboveRange}%");
+            sb.AppendLine($"Time below range: {stats.TimeBelowRange}%");
         }
         sb.AppendLine();
 
@@ -145,10 +145,11 @@ public class ComparisonService : BackgroundService
 
         var analysisSettings = await settingsService.GetAnalysisSettingsAsync();
         var tz = timeZoneConverter.Resolve(analysisSettings.TimeZone);
+        var ranges = await settingsService.GetTargetRangeProfileAsync(tz);
         comp.TimeZone = analysisSettings.TimeZone;
 
         // ── Gather data for Period A ─────────────────────────
-        var (readingsA, eventsA, statsA) = await GatherPeriodDataAsync(db, comp.PeriodAStart, comp.PeriodAEnd, ct);
+        var (readingsA, eventsA, statsA) = await GatherPeriodDataAsync(db, comp.PeriodAStart, comp.PeriodAEnd, ranges, ct);
         comp.PeriodAReadingCount = statsA.ReadingCount;
         comp.PeriodAGlucoseMin = statsA.Min;
         comp.PeriodAGlucoseMax = statsA.Max;
@@ -161,7 +162,7 @@ public class ComparisonService : BackgroundService
         comp.PeriodAEventTitles = string.Join(" | ", eventsA.Select(e => e.NoteTitle));
 
         // ── Gather data for Period B ─────────────────────────
-        var (readingsB, eventsB, statsB) = await GatherPeriodDataAsync(db, comp.PeriodBStart, comp.PeriodBEnd, ct);
+        var (readingsB, eventsB, statsB) = await GatherPeriodDataAsync(db, comp.PeriodBStart, comp.PeriodBEnd, ranges, ct);
         comp.PeriodBReadingCount = statsB.ReadingCount;
         comp.PeriodBGlucoseMin = statsB.Min;
         comp.PeriodBGlucoseMax = statsB.Max;
@@ -186,7 +187,7 @@ public class ComparisonService : BackgroundService
             return;
         }
 
-        var (systemPrompt, userPrompt) = BuildComparisonPrompts(comp, readingsA, eventsA, readingsB, eventsB, tz);
+        var (systemPrompt, userPrompt) = BuildComparisonPrompts(comp, readingsA, eventsA, readingsB, eventsB, tz, ranges);
 
         var modelName = analysisSettings.GptModelName;
         var gptResult = await gptClient.AnalyzeAsync(
@@ -228,7 +229,7 @@ public class ComparisonService : BackgroundService
     // ────────────────────────────────────────────────────────────
 
     private static async Task<(List<GlucoseReading> readings, List<GlucoseEvent> events, DayGlucoseStats stats)>
-        GatherPeriodDataAsync(GlucoseDbContext db, DateTime start, DateTime end, CancellationToken ct)
+        GatherPeriodDataAsync(GlucoseDbContext db, DateTime start, DateTime end, TargetRangeProfile ranges, CancellationToken ct)
     {
         var readings = await db.GlucoseReadings
             .Where(r => r.Timestamp >= start && r.Timestamp < end)
@@ -240,7 +241,7 @@ public class ComparisonService : BackgroundService
             .OrderBy(e => e.EventTimestamp)
             .ToListAsync(ct);
 
-        var stats = GlucoseStatsCalculator.ComputeDayStats(readings);
+        var stats = GlucoseStatsCalculator.ComputeDayStats(readings, ranges);
 
         return (readings, events, stats);
     }
@@ -253,7 +254,7 @@ public class ComparisonService : BackgroundService
         GlucoseComparison comp,
         List<GlucoseReading> readingsA, List<GlucoseEvent> eventsA,
         List<GlucoseReading> readingsB, List<GlucoseEvent> eventsB,
-        TimeZoneInfo tz)
+        TimeZoneInfo tz, TargetRangeProfile ranges)
     {
         var sb = new StringBuilder();
 
@@ -267,7 +268,7 @@ public class ComparisonService : BackgroundService
         sb.AppendLine($"Duration: {FormatDuration(comp.PeriodAEnd - comp.PeriodAStart)}");
         AppendPeriodStats(sb, comp.PeriodAReadingCount, comp.PeriodAGlucoseMin, comp.PeriodAGlucoseMax,
             comp.PeriodAGlucoseAvg, comp.PeriodAGlucoseStdDev, comp.PeriodATimeInRange,
-            comp.PeriodATimeAboveRange, comp.PeriodATimeBelowRange);
+            comp.PeriodATimeAboveRange, comp.PeriodATimeBelowRange, ranges);
         AppendPeriodEvents(sb, eventsA, tz);
         AppendPeriodTimeline(sb, readingsA, tz);
         sb.AppendLine();
@@ -279,7 +280,7 @@ public class ComparisonService : BackgroundService
         sb.AppendLine($"Duration: {FormatDuration(comp.PeriodBEnd - comp.PeriodBStart)}");
         AppendPeriodStats(sb, comp.PeriodBReadingCount, comp.PeriodBGlucoseMin, comp.PeriodBGlucoseMax,
             comp.PeriodBGlucoseAvg, comp.PeriodBGlucoseStdDev, comp.PeriodBTimeInRange,
-            comp.PeriodBTimeAboveRange, comp.PeriodBTimeBelowRange);
+            comp.PeriodBTimeAboveRange, comp.PeriodBTimeBelowRange, ranges);
         AppendPeriodEvents(sb, eventsB, tz);
         AppendPeriodTimeline(sb, readingsB, tz);
 
@@ -319,7 +320,7 @@ Write in a friendly, supportive tone — like a knowledgeable health coach.";
 
     private static void AppendPeriodStats(StringBuilder sb, int readingCount,
         double? min, double? max, double? avg, double? stdDev,
-        double? tir, double? tar, double? tbr)
+        double? tir, double? tar, double? tbr, TargetRangeProfile ranges)
     {
         sb.AppendLine($"  Readings: {readingCount}");
         if (readingCount > 0)
@@ -327,9 +328,9 @@ Write in a friendly, supportive tone — like a knowledgeable health coach.";
             sb.AppendLine($"  Glucose range: {min} – {max} mg/dL");
             sb.AppendLine($"  Average: {avg} mg/dL");
             sb.AppendLine($"  Std deviation: {stdDev} mg/dL");
-            sb.AppendLine($"  Time in range (70-180): {tir}%");
-            sb.AppendLine($"  Time above range (>180): {tar}%");
-            sb.AppendLine($"  Time below range (<70): {tbr}%");
+            sb.AppendLine($"  Time in range ({ranges.Describe()}): {tir}%");
+            sb.AppendLine($"  Time above range: {tar}%");
+            sb.AppendLine($"  Time below range: {tbr}%");
         }
     }
 
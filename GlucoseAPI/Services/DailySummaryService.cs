@@ -83,6 +83,7 @@ public class DailySummaryService : BackgroundService
         }
 
         var tz = timeZoneConverter.Resolve(analysisSettings.TimeZone);
+        var ranges = await settingsService.GetTargetRangeProfileAsync(tz);
         var now = TimeZoneInfo.ConvertTimeFromUtc(DateTime.UtcNow, tz);
 
         // Find the range of days that have glucose readings
@@ -185,7 +186,7 @@ public class DailySummaryService : BackgroundService
 
             try
             {
-                await GenerateDailySummaryAsync(db, gptClient, analysisSettings, tz, date, trigger, ct, modelOverride);
+                await GenerateDailySummaryAsync(db, gptClient, analysisSettings, tz, ranges, date, trigger, ct, modelOverride);
                 processedCount++;
             }
             catch (Exception ex) when (ex is not OperationCanceledException)
@@ -205,6 +206,7 @@ public class DailySummaryService : BackgroundService
         IGptClient gptClient,
         AnalysisSettingsDto analysisSettings,
         TimeZoneInfo tz,
+        TargetRangeProfile ranges,
         DateTime localDate,
         string trigger,
         CancellationToken ct,
@@ -236,7 +238,9 @@ public class DailySummaryService : BackgroundService
         }
 
         // Compute day-level glucose stats using domain service
-        var dayStats = GlucoseStatsCalculator.ComputeDayStats(readings);
+        var dayStats = GlucoseStatsCalculator.ComputeDayStats(readings, ranges);
+
+        var totals = StructuredEventCalculator.ComputeTotals(events);
 
         var eventIds = string.Join(",", events.Select(e => e.Id));
         var eventTitles = string.Join(" | ", events.Select(e => e.NoteTitle));
@@ -261,6 +265,11 @@ public class DailySummaryService : BackgroundService
         summary.TimeInRange = dayStats.TimeInRange;
         summary.TimeAboveRange = dayStats.TimeAboveRange;
         summary.TimeBelowRange = dayStats.TimeBelowRange;
+        summary.TotalBolusUnits = totals.BolusUnits;
+        summary.TotalBasalUnits = totals.BasalUnits;
+        summary.TotalCarbsGrams = totals.CarbsGrams;
+        summary.ExerciseMinutes = totals.ExerciseMinutes;
+        summary.SleepMinutes = totals.SleepMinutes;
         summary.UpdatedAt = DateTime.UtcNow;
 
         if (existing == null)
@@ -273,7 +282,7 @@ public class DailySummaryService : BackgroundService
 
         // Build prompts and call AI
         var isToday = localDate == TimeZoneInfo.ConvertTimeFromUtc(nowUtc, tz).Date;
-        var (systemPrompt, userPrompt) = BuildDailySummaryPrompts(summary, events, readings, tz, isToday);
+        var (systemPrompt, userPrompt) = BuildDailySummaryPrompts(summary, events, totals, readings, tz, ranges, isToday);
 
         var modelName = !string.IsNullOrWhiteSpace(modelOverride) ? modelOverride : analysisSettings.GptModelName;
         var gptResult = await gptClient.AnalyzeAsync(
@@ -359,8 +368,10 @@ public class DailySummaryService : BackgroundService
     private static (string systemPrompt, string userPrompt) BuildDailySummaryPrompts(
         DailySummary summary,
         List<GlucoseEvent> events,
+        EventTotals totals,
         List<GlucoseReading> readings,
         TimeZoneInfo tz,
+        TargetRangeProfile ranges,
         bool isPartialDay)
     {
         var sb = new StringBuilder();
@@ -378,9 +389,9 @@ public class DailySummaryService : BackgroundService
             sb.AppendLine($"Glucose range: {summary.GlucoseMin} – {summary.GlucoseMax} mg/dL");
             sb.AppendLine($"Average: {summary.GlucoseAvg} mg/dL");
             sb.AppendLine($"Std deviation: {summary.GlucoseStdDev} mg/dL");
-            sb.AppendLine($"Time in range (70-180): {summary.TimeInRange}%");
-            sb.AppendLine($"Time above range (>180): {summary.TimeAboveRange}%");
-            sb.AppendLine($"Time below range (<70): {summary.TimeBelowRange}%");
+            sb.AppendLine($"Time in range ({ranges.Describe()}): {summary.TimeInRange}%");
+            sb.AppendLine($"Time above range: {summary.TimeAboveRange}%");
+            sb.AppendLine($"Time below range: {summary.TimeBelowRange}%");
         }
         sb.AppendLine();
 
@@ -398,6 +409,9 @@ public class DailySummaryService : BackgroundService
                 sb.AppendLine($"--- {localTime:HH:mm} — {evt.NoteTitle} ---");
                 if (!string.IsNullOrWhiteSpace(evt.NoteContent))
                     sb.AppendLine($"  Content: {evt.NoteContent}");
+                var details = StructuredEventCalculator.Describe(evt);
+                if (details != null)
+                    sb.AppendLine($"  Logged: {details}");
                 if (evt.GlucoseAtEvent.HasValue)
                     sb.AppendLine($"  Glucose at event: {evt.GlucoseAtEvent} mg/dL");
                 if (evt.GlucoseSpike.HasValue)
@@ -410,6 +424,30 @@ public class DailySummaryService : BackgroundService
             }
         }
 
+        // Logged totals (insulin, carbs, exercise, sleep); kinds not logged or adding up to zero are left out
+        var totalLines = new List<string>();
+        var insulin = new[] { (Units: totals.BolusUnits, Kind: "bolus"), (Units: totals.BasalUnits, Kind: "basal") }
+            .Where(t => t.Units > 0)
+            .Select(t => $"{t.Units} U {t.Kind}")
+            .ToList();
+        if (insulin.Count > 0)
+            totalLines.Add($"Insulin: {string.Join(", ", insulin)}");
+        if (totals.CarbsGrams > 0)
+            totalLines.Add($"Carbs: {totals.CarbsGrams} g");
+        if (totals.ExerciseMinutes > 0)
+            totalLines.Add($"Exercise: {totals.ExerciseMinutes} min");
+        if (totals.SleepMinutes > 0)
+            totalLines.Add($"Sleep: {totals.SleepMinutes} min");
+        if (totals.IllnessCount > 0)
+            totalLines.Add("Illness was reported this day.");
+        if (totalLines.Count > 0)
+        {
+            sb.AppendLine("=== LOGGED TOTALS ===");
+            foreach (var line in totalLines)
+                sb.AppendLine(line);
+            sb.AppendLine();
+        }
+
         // Overnight analysis (00:00–06:00)
         var nightReadings = readings
             .Where(r => { var h = TimeZoneConverter.ToLocal(r.Timestamp, tz).Hour; return h >= 0 && h < 6; })
@@ -538,7 +576,7 @@ After the classification line, your daily summary should include these sections
 2. **Key Metrics**: Comment on time in range, average glucose, and variability (standard deviation).
 3. **Overnight Analysis**: Dedicated analysis of the overnight period (00:00–06:00). Was glucose stable, rising, or falling? Any nocturnal highs or lows? Comment on the overnight trend and variability. If no overnight data is available, note that.
 4. **Morning Glucose**: Analyze the morning period (06:00–09:00). What was the fasting/waking glucose level? Is there evidence of the dawn phenomenon (glucose rise between ~03:00–07:00)? How does the morning glucose compare to the target range? **Important**: If the morning fasting average is ≥100 mg/dL, explicitly flag this as a potential pre-diabetes indicator (impaired fasting glucose is 100–125 mg/dL; ≥126 mg/dL may indicate diabetes). Recommend consulting a healthcare provider if this pattern is recurring. If no morning data is available, note that.
-5. **Meal/Activity Impacts**: Summarize how each logged event affected glucose levels. Which meals caused the biggest spikes?
+5. **Meal/Activity Impacts**: Summarize how each logged event affected glucose levels. Which meals caused the biggest spikes? Where insulin, carbs, exercise or sleep were logged (see LOGGED TOTALS and each event's Logged line), relate them to the glucose — e.g. carbs covered by each bolus, exercise lowering glucose, short sleep or illness raising it.
 6. **Patterns & Trends**: Note any additional patterns — post-meal patterns, afternoon dips, evening trends, etc.
 7. **Best & Worst Moments**: Identify the best-controlled period and the most challenging period of the day.
 8. **Actionable Insights**: 2-3 specific, practical suggestions for improving glucose control based on the day's data.
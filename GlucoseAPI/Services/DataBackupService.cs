@@ -172,11 +172,20 @@ public class DataBackupService : BackgroundService
             e.Id,
             e.SamsungNoteId,
             e.NoteUuid,
+            e.EventType,
             e.NoteTitle,
             e.NoteContent,
+            e.InsulinKind,
+            e.InsulinUnits,
+            e.CarbsGrams,
+            e.ExerciseKind,
+            e.DurationMinutes,
+            e.Intensity,
             EventTimestamp = e.EventTimestamp.ToString("o"),
             PeriodStart = e.PeriodStart.ToString("o"),
             PeriodEnd = e.PeriodEnd.ToString("o"),
+            e.IsWindowOverridden,
+            EditedAt = e.EditedAt?.ToString("o"),
             e.ReadingCount,
             e.GlucoseAtEvent,
             e.GlucoseMin,
@@ -219,7 +228,10 @@ public class DataBackupService : BackgroundService
             PeriodStart = h.PeriodStart.ToString("o"),
             PeriodEnd = h.PeriodEnd.ToString("o"),
             h.ReadingCount,
-            h.Reason
+            h.Reason,
+            EventTimestamp = h.EventTimestamp?.ToString("o"),
+            h.NoteTitle,
+            h.NoteContent
         });
         await File.WriteAllTextAsync(jsonPath, JsonSerializer.Serialize(jsonData, JsonOpts), ct);
 
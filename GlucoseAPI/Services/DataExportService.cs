@@ -0,0 +1,526 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Runtime.CompilerServices;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace GlucoseAPI.Services;
+
+/// <summary>Output formats of <see cref="DataExportService"/>.</summary>
+public enum ExportFormat
+{
+    Csv,
+    Json,
+    Xlsx,
+    Nightscout,
+    Fhir
+}
+
+/// <summary>Datasets that can be included in an export.</summary>
+[Flags]
+public enum ExportDatasets
+{
+    None = 0,
+    Readings = 1,
+    Events = 2,
+    Foods = 4,
+    Summaries = 8,
+    Notes = 16
+}
+
+/// <summary>A finished export: a temporary file that is deleted once it has been read.</summary>
+public record ExportFile(string Path, string ContentType, string FileName);
+
+/// <summary>
+/// Builds user data exports for a UTC time range. Rows are streamed from the database
+/// straight into a temporary file (deleted when the download stream is closed), so a
+/// large range never has to fit in memory. Outputs that consist of several files
+/// (one CSV per dataset, Nightscout entries + treatments) are zipped.
+/// </summary>
+public class DataExportService
+{
+    private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settingsService;
+    private readonly TimeZoneConverter _tzConverter;
+    private readonly ILogger<DataExportService> _logger;
+
+    private static readonly UTF8Encoding Utf8NoBom = new(false);
+
+    public DataExportService(
+        GlucoseDbContext db,
+        SettingsService settingsService,
+        TimeZoneConverter tzConverter,
+        ILogger<DataExportService> logger)
+    {
+        _db = db;
+        _settingsService = settingsService;
+        _tzConverter = tzConverter;
+        _logger = logger;
+    }
+
+    /// <summary>Datasets each format can carry; the others are ignored for that format.</summary>
+    public static ExportDatasets Supported(ExportFormat format) => format switch
+    {
+        ExportFormat.Nightscout => ExportDatasets.Readings | ExportDatasets.Events,
+        ExportFormat.Fhir => ExportDatasets.Readings,
+        _ => ExportDatasets.Readings | ExportDatasets.Events | ExportDatasets.Foods
+             | ExportDatasets.Summaries | ExportDatasets.Notes
+    };
+
+    /// <summary>
+    /// Writes the export to a temporary file. <paramref name="include"/> must contain at
+    /// least one dataset supported by <paramref name="format"/> (see <see cref="Supported"/>).
+    /// </summary>
+    public async Task<ExportFile> ExportAsync(
+        DateTime fromUtc, DateTime toUtc, ExportFormat format, ExportDatasets include, CancellationToken ct)
+    {
+        var tzId = await _settingsService.GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw");
+        var tz = _tzConverter.Resolve(tzId);
+        var tables = BuildTables(fromUtc, toUtc, include & Supported(format), tz);
+        var baseName = $"glucose_export_{TimeZoneConverter.ToLocal(fromUtc, tz):yyyyMMdd}_{TimeZoneConverter.ToLocal(toUtc.AddTicks(-1), tz):yyyyMMdd}";
+
+        var path = Path.GetTempFileName();
+        try
+        {
+            var (contentType, extension) = await WriteAsync(path, format, tables, fromUtc, toUtc, tz, ct);
+            _logger.LogInformation("Exported {Datasets} as {Format} for {From:o} – {To:o}.", include, format, fromUtc, toUtc);
+            return new ExportFile(path, contentType, $"{baseName}.{extension}");
+        }
+        catch
+        {
+            File.Delete(path);
+            throw;
+        }
+    }
+
+    private async Task<(string ContentType, string Extension)> WriteAsync(
+        string path, ExportFormat format, List<ExportTable> tables,
+        DateTime fromUtc, DateTime toUtc, TimeZoneInfo tz, CancellationToken ct)
+    {
+        await using var file = new FileStream(path, FileMode.Create, FileAccess.Write, FileShare.None, 81920, useAsync: true);
+
+        switch (format)
+        {
+            case ExportFormat.Json:
+                await WriteJsonAsync(file, tables, fromUtc, toUtc, tz, ct);
+                return ("application/json", "json");
+
+            case ExportFormat.Xlsx:
+                await WriteXlsxAsync(file, tables, ct);
+                return ("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "xlsx");
+
+            case ExportFormat.Fhir:
+                await WriteFhirBundleAsync(file, fromUtc, toUtc, ct);
+                return ("application/fhir+json", "fhir.json");
+
+            case ExportFormat.Nightscout:
+                var nightscout = new List<(string Name, Func<Stream, Task> Write)>();
+                if (tables.Any(t => t.Name == "readings"))
+                    nightscout.Add(("entries.json", s => WriteNightscoutEntriesAsync(s, fromUtc, toUtc, ct)));
+                if (tables.Any(t => t.Name == "events"))
+                    nightscout.Add(("treatments.json", s => WriteNightscoutTreatmentsAsync(s, fromUtc, toUtc, ct)));
+                return await WriteFilesAsync(file, nightscout, "application/json", "json");
+
+            default:
+                var csv = tables
+                    .Select(t => ($"{t.Name}.csv", (Func<Stream, Task>)(s => WriteCsvAsync(s, t, ct))))
+                    .ToList();
+                return await WriteFilesAsync(file, csv, "text/csv", "csv");
+        }
+    }
+
+    /// <summary>A single file is written as is; several go into a zip.</summary>
+    private static async Task<(string ContentType, string Extension)> WriteFilesAsync(
+        Stream output, List<(string Name, Func<Stream, Task> Write)> files, string contentType, string extension)
+    {
+        if (files.Count == 1)
+        {
+            await files[0].Write(output);
+            return (contentType, extension);
+        }
+
+        using var zip = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true);
+        foreach (var (name, write) in files)
+        {
+            await using var entry = zip.CreateEntry(name, CompressionLevel.Optimal).Open();
+            await write(entry);
+        }
+        return ("application/zip", "zip");
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // Datasets
+    // ────────────────────────────────────────────────────────────
+
+    /// <summary>A dataset: <see cref="Name"/> is its file, sheet and JSON property name.</summary>
+    private sealed record ExportTable(string Name, string[] Columns, Func<CancellationToken, IAsyncEnumerable<object?[]>> Rows);
+
+    private List<ExportTable> BuildTables(DateTime fromUtc, DateTime toUtc, ExportDatasets include, TimeZoneInfo tz)
+    {
+        var tables = new List<ExportTable>();
+
+        if (include.HasFlag(ExportDatasets.Readings))
+            tables.Add(new ExportTable("readings",
+                new[] { "Id", "TimestampUtc", "LocalTime", "ValueMgDl", "ValueMmolL", "TrendArrow", "IsHigh", "IsLow" },
+                ct => ReadingRows(fromUtc, toUtc, tz, ct)));
+
+        if (include.HasFlag(ExportDatasets.Events))
+            tables.Add(new ExportTable("events",
+                new[]
+                {
+                    "Id", "EventTimeUtc", "LocalTime", "Title", "TitleEn", "Content", "PeriodStartUtc", "PeriodEndUtc",
+                    "ReadingCount", "GlucoseAtEvent", "GlucoseMin", "GlucoseMax", "GlucoseAvg", "GlucoseSpike",
+                    "PeakTimeUtc", "Classification", "AiModel", "AiAnalysis", "AnalyzedAtUtc"
+                },
+                ct => EventRows(fromUtc, toUtc, tz, ct)));
+
+        if (include.HasFlag(ExportDatasets.Foods))
+            tables.Add(new ExportTable("foods",
+                new[]
+                {
+                    "EventId", "EventTimeUtc", "LocalTime", "Food", "FoodEn", "Category",
+                    "GlucoseAtEvent", "Spike", "RecoveryMinutes", "Classification"
+                },
+                ct => FoodRows(fromUtc, toUtc, tz, ct)));
+
+        if (include.HasFlag(ExportDatasets.Summaries))
+            tables.Add(new ExportTable("dailySummaries",
+                new[]
+                {
+                    "Date", "TimeZone", "ReadingCount", "EventCount", "EventTitles", "GlucoseMin", "GlucoseMax",
+                    "GlucoseAvg", "GlucoseStdDev", "TimeInRange", "TimeAboveRange", "TimeBelowRange",
+                    "Classification", "AiModel", "AiAnalysis"
+                },
+                ct => SummaryRows(fromUtc, toUtc, ct)));
+
+        if (include.HasFlag(ExportDatasets.Notes))
+            tables.Add(new ExportTable("notes",
+                new[] { "Id", "Uuid", "ModifiedAtUtc", "LocalTime", "Title", "Folder", "Text" },
+                ct => NoteRows(fromUtc, toUtc, tz, ct)));
+
+        return tables;
+    }
+
+    private static string Local(DateTime utc, TimeZoneInfo tz) =>
+        TimeZoneConverter.ToLocal(utc, tz).ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture);
+
+    private async IAsyncEnumerable<object?[]> ReadingRows(
+        DateTime fromUtc, DateTime toUtc, TimeZoneInfo tz, [EnumeratorCancellation] CancellationToken ct)
+    {
+        var readings = _db.GlucoseReadings.AsNoTracking()
+            .Where(r => r.Timestamp >= fromUtc && r.Timestamp < toUtc)
+            .OrderBy(r => r.Timestamp)
+            .AsAsyncEnumerable();
+
+        await foreach (var r in readings.WithCancellation(ct))
+        {
+            yield return new object?[]
+            {
+                r.Id, r.Timestamp, Local(r.Timestamp, tz), r.Value, ExportFormatter.ToMmol(r.Value),
+                r.TrendArrow, r.IsHigh, r.IsLow
+            };
+        }
+    }
+
+    private async IAsyncEnumerable<object?[]> EventRows(
+        DateTime fromUtc, DateTime toUtc, TimeZoneInfo tz, [EnumeratorCancellation] CancellationToken ct)
+    {
+        var events = _db.GlucoseEvents.AsNoTracking()
+            .Where(e => e.EventTimestamp >= fromUtc && e.EventTimestamp < toUtc)
+            .OrderBy(e => e.EventTimestamp)
+            .AsAsyncEnumerable();
+
+        await foreach (var e in events.WithCancellation(ct))
+        {
+            yield return new object?[]
+            {
+                e.Id, e.EventTimestamp, Local(e.EventTimestamp, tz), e.NoteTitle, e.NoteTitleEn, e.NoteContent,
+                e.PeriodStart, e.PeriodEnd, e.ReadingCount, e.GlucoseAtEvent, e.GlucoseMin, e.GlucoseMax,
+                e.GlucoseAvg, e.GlucoseSpike, e.PeakTime, e.AiClassification, e.AiModel, e.AiAnalysis, e.ProcessedAt
+            };
+        }
+    }
+
+    private async IAsyncEnumerable<object?[]> FoodRows(
+        DateTime fromUtc, DateTime toUtc, TimeZoneInfo tz, [EnumeratorCancellation] CancellationToken ct)
+    {
+        var links = _db.FoodEventLinks.AsNoTracking()
+            .Where(l => l.GlucoseEvent!.EventTimestamp >= fromUtc && l.GlucoseEvent.EventTimestamp < toUtc)
+            .OrderBy(l => l.GlucoseEvent!.EventTimestamp)
+            .ThenBy(l => l.FoodItem!.Name)
+            .Select(l => new
+            {
+                l.GlucoseEventId,
+                l.GlucoseEvent!.EventTimestamp,
+                l.FoodItem!.Name,
+                l.FoodItem.NameEn,
+                l.FoodItem.Category,
+                l.GlucoseAtEvent,
+                l.Spike,
+                l.RecoveryMinutes,
+                l.AiClassification
+            })
+            .AsAsyncEnumerable();
+
+        await foreach (var l in links.WithCancellation(ct))
+        {
+            yield return new object?[]
+            {
+                l.GlucoseEventId, l.EventTimestamp, Local(l.EventTimestamp, tz), l.Name, l.NameEn, l.Category,
+                l.GlucoseAtEvent, l.Spike, l.RecoveryMinutes, l.AiClassification
+            };
+        }
+    }
+
+    private async IAsyncEnumerable<object?[]> SummaryRows(
+        DateTime fromUtc, DateTime toUtc, [EnumeratorCancellation] CancellationToken ct)
+    {
+        var summaries = _db.DailySummaries.AsNoTracking()
+            .Where(s => s.PeriodStartUtc < toUtc && s.PeriodEndUtc > fromUtc)
+            .OrderBy(s => s.Date)
+            .AsAsyncEnumerable();
+
+        await foreach (var s in summaries.WithCancellation(ct))
+        {
+            yield return new object?[]
+            {
+                s.Date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture), s.TimeZone, s.ReadingCount, s.EventCount,
+                s.EventTitles, s.GlucoseMin, s.GlucoseMax, s.GlucoseAvg, s.GlucoseStdDev, s.TimeInRange,
+                s.TimeAboveRange, s.TimeBelowRange, s.AiClassification, s.AiModel, s.AiAnalysis
+            };
+        }
+    }
+
+    private async IAsyncEnumerable<object?[]> NoteRows(
+        DateTime fromUtc, DateTime toUtc, TimeZoneInfo tz, [EnumeratorCancellation] CancellationToken ct)
+    {
+        var notes = _db.SamsungNotes.AsNoTracking()
+            .Where(n => !n.IsDeleted && n.ModifiedAt >= fromUtc && n.ModifiedAt < toUtc)
+            .OrderBy(n => n.ModifiedAt)
+            .AsAsyncEnumerable();
+
+        await foreach (var n in notes.WithCancellation(ct))
+        {
+            yield return new object?[]
+            {
+                n.Id, n.Uuid, n.ModifiedAt, Local(n.ModifiedAt, tz), n.Title, n.FolderName, n.TextContent
+            };
+        }
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // CSV / JSON
+    // ────────────────────────────────────────────────────────────
+
+    private static async Task WriteCsvAsync(Stream output, ExportTable table, CancellationToken ct)
+    {
+        await using var writer = new StreamWriter(output, Utf8NoBom, 65536, leaveOpen: true);
+        await writer.WriteLineAsync(ExportFormatter.CsvLine(table.Columns));
+        await foreach (var row in table.Rows(ct))
+            await writer.WriteLineAsync(ExportFormatter.CsvLine(row));
+    }
+
+    private static async Task WriteJsonAsync(
+        Stream output, List<ExportTable> tables, DateTime fromUtc, DateTime toUtc, TimeZoneInfo tz, CancellationToken ct)
+    {
+        await using var json = new Utf8JsonWriter(output, new JsonWriterOptions { Indented = true });
+        json.WriteStartObject();
+        json.WriteString("exportedAt", ExportFormatter.IsoUtc(DateTime.UtcNow));
+        json.WriteString("from", ExportFormatter.IsoUtc(fromUtc));
+        json.WriteString("to", ExportFormatter.IsoUtc(toUtc));
+        json.WriteString("timeZone", tz.Id);
+        json.WriteString("glucoseUnit", "mg/dL");
+
+        foreach (var table in tables)
+        {
+            var names = table.Columns.Select(JsonNamingPolicy.CamelCase.ConvertName).ToArray();
+            json.WriteStartArray(table.Name);
+            await foreach (var row in table.Rows(ct))
+            {
+                json.WriteStartObject();
+                for (var i = 0; i < names.Length; i++)
+                    WriteJsonValue(json, names[i], row[i]);
+                json.WriteEndObject();
+
+                if (json.BytesPending > 65536)
+                    await json.FlushAsync(ct);
+            }
+            json.WriteEndArray();
+        }
+
+        json.WriteEndObject();
+        await json.FlushAsync(ct);
+    }
+
+    private static void WriteJsonValue(Utf8JsonWriter json, string name, object? value)
+    {
+        switch (value)
+        {
+            case null: json.WriteNull(name); break;
+            case bool b: json.WriteBoolean(name, b); break;
+            case int i: json.WriteNumber(name, i); break;
+            case double d: json.WriteNumber(name, d); break;
+            default: json.WriteString(name, ExportFormatter.FormatValue(value)); break;
+        }
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // Nightscout / FHIR
+    // ────────────────────────────────────────────────────────────
+
+    private static readonly JsonSerializerOptions NightscoutJsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        DefaultIgnoreCondition = System.Text.Json.Serialization.JsonIgnoreCondition.WhenWritingNull
+    };
+
+    private Task WriteNightscoutEntriesAsync(Stream output, DateTime fromUtc, DateTime toUtc, CancellationToken ct) =>
+        WriteJsonArrayAsync(output, ReadingsIn(fromUtc, toUtc)
+            .OrderByDescending(r => r.Timestamp) // Nightscout lists entries newest first
+            .AsAsyncEnumerable(), r => JsonSerializer.SerializeToNode(ExportFormatter.ToNightscoutEntry(r), NightscoutJsonOpts), ct);
+
+    private Task WriteNightscoutTreatmentsAsync(Stream output, DateTime fromUtc, DateTime toUtc, CancellationToken ct) =>
+        WriteJsonArrayAsync(output, _db.GlucoseEvents.AsNoTracking()
+            .Where(e => e.EventTimestamp >= fromUtc && e.EventTimestamp < toUtc)
+            .OrderByDescending(e => e.EventTimestamp)
+            .AsAsyncEnumerable(), e => JsonSerializer.SerializeToNode(ExportFormatter.ToNightscoutTreatment(e), NightscoutJsonOpts), ct);
+
+    private async Task WriteFhirBundleAsync(Stream output, DateTime fromUtc, DateTime toUtc, CancellationToken ct)
+    {
+        await using var json = new Utf8JsonWriter(output, new JsonWriterOptions { Indented = true });
+        json.WriteStartObject();
+        json.WriteString("resourceType", "Bundle");
+        json.WriteString("type", "collection");
+        json.WriteString("timestamp", ExportFormatter.IsoUtc(DateTime.UtcNow));
+        json.WriteStartArray("entry");
+
+        await foreach (var reading in ReadingsIn(fromUtc, toUtc).OrderBy(r => r.Timestamp).AsAsyncEnumerable().WithCancellation(ct))
+        {
+            json.WriteStartObject();
+            json.WritePropertyName("resource");
+            ExportFormatter.ToFhirObservation(reading).WriteTo(json);
+            json.WriteEndObject();
+
+            if (json.BytesPending > 65536)
+                await json.FlushAsync(ct);
+        }
+
+        json.WriteEndArray();
+        json.WriteEndObject();
+        await json.FlushAsync(ct);
+    }
+
+    private IQueryable<GlucoseReading> ReadingsIn(DateTime fromUtc, DateTime toUtc) =>
+        _db.GlucoseReadings.AsNoTracking().Where(r => r.Timestamp >= fromUtc && r.Timestamp < toUtc);
+
+    private static async Task WriteJsonArrayAsync<T>(
+        Stream output, IAsyncEnumerable<T> items, Func<T, JsonNode?> toNode, CancellationToken ct)
+    {
+        await using var json = new Utf8JsonWriter(output, new JsonWriterOptions { Indented = true });
+        json.WriteStartArray();
+        await foreach (var item in items.WithCancellation(ct))
+        {
+            var node = toNode(item);
+            if (node == null) json.WriteNullValue();
+            else node.WriteTo(json);
+
+            if (json.BytesPending > 65536)
+                await json.FlushAsync(ct);
+        }
+        json.WriteEndArray();
+        await json.FlushAsync(ct);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // XLSX (minimal SpreadsheetML: one sheet per dataset, inline strings)
+    // ────────────────────────────────────────────────────────────
+
+    private static async Task WriteXlsxAsync(Stream output, List<ExportTable> tables, CancellationToken ct)
+    {
+        using var zip = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true);
+
+        var sheets = tables.Select((t, i) => (Table: t, Index: i + 1)).ToList();
+
+        await WriteZipTextAsync(zip, "[Content_Types].xml",
+            "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+            "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+            "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+            "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+            "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>" +
+            string.Concat(sheets.Select(s =>
+                $"<Override PartName=\"/xl/worksheets/sheet{s.Index}.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>")) +
+            "</Types>");
+
+        await WriteZipTextAsync(zip, "_rels/.rels",
+            "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+            "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">" +
+            "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument\" Target=\"xl/workbook.xml\"/>" +
+            "</Relationships>");
+
+        await WriteZipTextAsync(zip, "xl/workbook.xml",
+            "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+            "<workbook xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\" xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\"><sheets>" +
+            string.Concat(sheets.Select(s => $"<sheet name=\"{ExportFormatter.XmlText(s.Table.Name)}\" sheetId=\"{s.Index}\" r:id=\"rId{s.Index}\"/>")) +
+            "</sheets></workbook>");
+
+        await WriteZipTextAsync(zip, "xl/_rels/workbook.xml.rels",
+            "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+            "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">" +
+            string.Concat(sheets.Select(s =>
+                $"<Relationship Id=\"rId{s.Index}\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet\" Target=\"worksheets/sheet{s.Index}.xml\"/>")) +
+            "</Relationships>");
+
+        foreach (var (table, index) in sheets)
+        {
+            await using var entry = zip.CreateEntry($"xl/worksheets/sheet{index}.xml", CompressionLevel.Optimal).Open();
+            await using var writer = new StreamWriter(entry, Utf8NoBom, 65536);
+            await writer.WriteAsync(
+                "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+                "<worksheet xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\">" +
+                "<sheetViews><sheetView workbookViewId=\"0\"><pane ySplit=\"1\" topLeftCell=\"A2\" activePane=\"bottomLeft\" state=\"frozen\"/></sheetView></sheetViews>" +
+                "<sheetData>");
+            await writer.WriteAsync(XlsxRow(table.Columns));
+            await foreach (var row in table.Rows(ct))
+                await writer.WriteAsync(XlsxRow(row));
+            await writer.WriteAsync("</sheetData></worksheet>");
+        }
+    }
+
+    private static string XlsxRow(IEnumerable<object?> values)
+    {
+        var sb = new StringBuilder("<row>");
+        foreach (var value in values)
+        {
+            switch (value)
+            {
+                case null:
+                    sb.Append("<c/>");
+                    break;
+                case int or double:
+                    sb.Append("<c><v>").Append(ExportFormatter.FormatValue(value)).Append("</v></c>");
+                    break;
+                case bool b:
+                    sb.Append("<c t=\"b\"><v>").Append(b ? 1 : 0).Append("</v></c>");
+                    break;
+                default:
+                    sb.Append("<c t=\"inlineStr\"><is><t xml:space=\"preserve\">")
+                      .Append(ExportFormatter.XmlText(ExportFormatter.FormatValue(value)))
+                      .Append("</t></is></c>");
+                    break;
+            }
+        }
+        return sb.Append("</row>").ToString();
+    }
+
+    private static async Task WriteZipTextAsync(ZipArchive zip, string name, string content)
+    {
+        await using var entry = zip.CreateEntry(name, CompressionLevel.Optimal).Open();
+        await using var writer = new StreamWriter(entry, Utf8NoBom);
+        await writer.WriteAsync(content);
+    }
+}
@@ -122,6 +122,9 @@ public class EventAnalyzer
             PeriodEnd = evt.PeriodEnd,
             ReadingCount = readings.Count,
             Reason = reason,
+            EventTimestamp = evt.EventTimestamp,
+            NoteTitle = evt.NoteTitle,
+            NoteContent = evt.NoteContent,
             GlucoseAtEvent = stats.GlucoseAtEvent,
             GlucoseMin = stats.Min,
             GlucoseMax = stats.Max,
@@ -234,6 +237,9 @@ public class EventAnalyzer
                 sb.AppendLine($"  • \"{other.NoteTitle}\" at {otherLocalTime:HH:mm} ({absMinutes:F0} min {direction} this event)");
                 if (!string.IsNullOrWhiteSpace(other.NoteContent))
                     sb.AppendLine($"    Content: {Truncate(other.NoteContent, 200)}");
+                var otherDetails = StructuredEventCalculator.Describe(other);
+                if (otherDetails != null)
+                    sb.AppendLine($"    Logged: {otherDetails}");
                 if (other.GlucoseAtEvent.HasValue)
                     sb.AppendLine($"    Glucose at that event: {other.GlucoseAtEvent.Value} mg/dL");
                 if (other.AiClassification != null)
@@ -272,6 +278,12 @@ For example, exercise shortly after a meal can blunt a glucose spike, while a su
 - Attribute the glucose pattern to the combined effect rather than the main event alone when appropriate.
 - If the overlapping event makes it difficult to isolate the main event's impact, state this clearly.
 
+LOGGED DETAILS:
+Some events carry structured values entered by the user: insulin (bolus or basal, in units), carbs (grams),
+exercise (kind, duration, intensity), sleep (duration) or illness. Treat these as exact and use them:
+- Relate the rise to the logged carbs, and the bolus to the carbs it had to cover (timing and size).
+- Bolus insulin and exercise lower glucose for hours; illness and short sleep often raise it.
+
 Keep the analysis concise (2-3 short paragraphs), practical, and written in a friendly tone.
 Use mg/dL units. Format with markdown. Do not include a title heading.
 If the note content is unclear, analyze based on the glucose patterns alone.
@@ -280,6 +292,7 @@ All timestamps below are in the user's local time.";
         var localEventTime = TimeZoneConverter.ToLocal(evt.EventTimestamp, tz);
         var userPrompt = $@"**Note Title:** {evt.NoteTitle}
 **Note Content:** {evt.NoteContent ?? "(no text content)"}
+**Logged Details:** {StructuredEventCalculator.Describe(evt) ?? "(none)"}
 **Event Time:** {localEventTime:yyyy-MM-dd HH:mm} (local time)
 **Glucose at Event:** {(evt.GlucoseAtEvent.HasValue ? $"{evt.GlucoseAtEvent.Value} mg/dL" : "N/A")}
 
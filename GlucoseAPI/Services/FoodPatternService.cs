@@ -17,6 +17,7 @@ public class FoodPatternService : BackgroundService
     private readonly SemaphoreSlim _signal = new(0);
     private readonly object _lock = new();
     private bool _fullScanRequested;
+    private readonly HashSet<int> _reextractEventIds = new();
 
     public FoodPatternService(
         IServiceProvider serviceProvider,
@@ -41,6 +42,16 @@ public class FoodPatternService : BackgroundService
         _signal.Release();
     }
 
+    /// <summary>
+    /// Extract the foods of these events again on the next run. Unlike the regular pass, which only
+    /// looks at events without food links, this replaces their links whether or not foods were found before.
+    /// </summary>
+    public void EnqueueReextraction(IEnumerable<int> eventIds)
+    {
+        lock (_lock) _reextractEventIds.UnionWith(eventIds);
+        _signal.Release();
+    }
+
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
     {
         await Task.Delay(TimeSpan.FromSeconds(90), stoppingToken);
@@ -56,12 +67,19 @@ public class FoodPatternService : BackgroundService
                 await _signal.WaitAsync(stoppingToken);
 
                 bool fullScan;
-                lock (_lock) { fullScan = _fullScanRequested; _fullScanRequested = false; }
+                List<int> reextractEventIds;
+                lock (_lock)
+                {
+                    fullScan = _fullScanRequested;
+                    _fullScanRequested = false;
+                    reextractEventIds = _reextractEventIds.ToList();
+                    _reextractEventIds.Clear();
+                }
 
                 while (_signal.CurrentCount > 0)
                     await _signal.WaitAsync(stoppingToken);
 
-                await ProcessAsync(fullScan, stoppingToken);
+                await ProcessAsync(fullScan, reextractEventIds, stoppingToken);
             }
             catch (OperationCanceledException) { break; }
             catch (Exception ex)
@@ -72,7 +90,7 @@ public class FoodPatternService : BackgroundService
         }
     }
 
-    private async Task ProcessAsync(bool fullScan, CancellationToken ct)
+    private async Task ProcessAsync(bool fullScan, List<int> reextractEventIds, CancellationToken ct)
     {
         using var scope = _serviceProvider.CreateScope();
         var db = scope.ServiceProvider.GetRequiredService<GlucoseDbContext>();
@@ -86,6 +104,9 @@ public class FoodPatternService : BackgroundService
             return;
         }
 
+        if (reextractEventIds.Count > 0)
+            await ReextractEventsAsync(db, gptClient, settings.GptApiKey, settings.GptModelName, reextractEventIds, ct);
+
         if (fullScan)
         {
             await FullScanAsync(db, gptClient, settings.GptApiKey, settings.GptModelName, ct);
@@ -135,6 +156,38 @@ public class FoodPatternService : BackgroundService
         }
     }
 
+    private async Task ReextractEventsAsync(GlucoseDbContext db, IGptClient gptClient,
+        string apiKey, string modelName, List<int> eventIds, CancellationToken ct)
+    {
+        await RemoveEventLinksAsync(db, eventIds, ct);
+
+        // Events not analysed yet get their foods from the regular pass after analysis
+        var events = await db.GlucoseEvents
+            .Where(e => eventIds.Contains(e.Id) && e.IsProcessed)
+            .OrderBy(e => e.EventTimestamp)
+            .ToListAsync(ct);
+
+        _logger.LogInformation("Re-extracting foods for {Count} events.", events.Count);
+
+        int extracted = 0;
+        foreach (var evt in events)
+        {
+            var foods = await ExtractFoodsAsync(gptClient, apiKey, modelName, evt, ct);
+            if (foods.Count > 0)
+            {
+                await LinkFoodsToEventAsync(db, evt, foods, ct);
+                extracted += foods.Count;
+            }
+        }
+
+        // Foods these events no longer mention need their aggregates updated even when nothing was found
+        await RecalculateAggregatesAsync(db, ct);
+        await _notifications.NotifyFoodPatternsUpdatedAsync(extracted, ct);
+        await _eventLogger.LogInfoAsync(Analysis,
+            $"Re-extracted {extracted} food item(s) from {events.Count} event(s).",
+            source: nameof(FoodPatternService));
+    }
+
     private async Task FullScanAsync(GlucoseDbContext db, IGptClient gptClient,
         string apiKey, string modelName, CancellationToken ct)
     {
@@ -280,6 +333,30 @@ Return ONLY the JSON array, nothing else.";
         }
     }
 
+    /// <summary>
+    /// Remove the food links of these events, and the foods no other event is linked to
+    /// (they would otherwise stay in the patterns with the removed events' stats).
+    /// </summary>
+    public static async Task RemoveEventLinksAsync(GlucoseDbContext db, IReadOnlyCollection<int> eventIds, CancellationToken ct)
+    {
+        var links = await db.FoodEventLinks.Where(l => eventIds.Contains(l.GlucoseEventId)).ToListAsync(ct);
+        if (links.Count == 0) return;
+
+        db.FoodEventLinks.RemoveRange(links);
+        await db.SaveChangesAsync(ct);
+
+        var foodIds = links.Select(l => l.FoodItemId).Distinct().ToList();
+        var stillLinked = await db.FoodEventLinks
+            .Where(l => foodIds.Contains(l.FoodItemId))
+            .Select(l => l.FoodItemId)
+            .Distinct()
+            .ToListAsync(ct);
+
+        db.FoodItems.RemoveRange(
+            await db.FoodItems.Where(f => foodIds.Contains(f.Id) && !stillLinked.Contains(f.Id)).ToListAsync(ct));
+        await db.SaveChangesAsync(ct);
+    }
+
     private static async Task RecalculateAggregatesAsync(GlucoseDbContext db, CancellationToken ct)
     {
         var foodItems = await db.FoodItems.ToListAsync(ct);
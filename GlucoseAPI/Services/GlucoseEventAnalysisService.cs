@@ -14,9 +14,18 @@ namespace GlucoseAPI.Services;
 /// with glucose readings. For each note, it identifies glucose data before and after the event,
 /// computes statistics, and calls the OpenAI GPT API for analysis via <see cref="EventAnalyzer"/>.
 ///
+/// Events can also be logged manually in the app (<see cref="CreateManualEventAsync"/>); they share
+/// the timeline with note events and go through the same translation, analysis and food extraction.
+///
 /// When a new event is created the **previous** event is automatically re-analysed because its
 /// PeriodEnd boundary changes. Every analysis (initial and re-analysis) is saved to the
-/// EventAnalysisHistory table so nothing is ever lost.
+/// EventAnalysisHistory table so earlier analyses are kept.
+///
+/// Users can edit an event's time, window, title and content (<see cref="EditEventAsync"/>); each
+/// edit is audited in GlucoseEventEdits and re-analysed without waiting for the cooldown.
+///
+/// Manually logged events can be deleted (<see cref="DeleteEventsAsync"/>). That is a hard delete:
+/// the event's analysis history and edit audit rows are deleted with it.
 /// </summary>
 public class GlucoseEventAnalysisService : BackgroundService
 {
@@ -31,19 +40,23 @@ public class GlucoseEventAnalysisService : BackgroundService
 
     private readonly IEventLogger _eventLogger;
     private readonly FoodPatternService _foodPatternService;
+    private readonly TranslationService _translationService;
+    private readonly SemaphoreSlim _wakeUp = new(0);
 
     public GlucoseEventAnalysisService(
         IServiceProvider serviceProvider,
         ILogger<GlucoseEventAnalysisService> logger,
         INotificationService notifications,
         IEventLogger eventLogger,
-        FoodPatternService foodPatternService)
+        FoodPatternService foodPatternService,
+        TranslationService translationService)
     {
         _serviceProvider = serviceProvider;
         _logger = logger;
         _notifications = notifications;
         _eventLogger = eventLogger;
         _foodPatternService = foodPatternService;
+        _translationService = translationService;
     }
 
     /// <summary>
@@ -57,6 +70,15 @@ public class GlucoseEventAnalysisService : BackgroundService
         await ProcessEventsAsync(ct);
     }
 
+    /// <summary>
+    /// Wake the background loop now instead of at the next interval, so a manually
+    /// logged event is analysed right away without running two passes at once.
+    /// </summary>
+    public void RequestProcessing()
+    {
+        _wakeUp.Release();
+    }
+
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
     {
         _logger.LogInformation("GlucoseEventAnalysisService started.");
@@ -77,7 +99,10 @@ public class GlucoseEventAnalysisService : BackgroundService
                 _logger.LogError(ex, "Error in GlucoseEventAnalysisService.");
             }
 
-            await Task.Delay(TimeSpan.FromMinutes(intervalMinutes), stoppingToken);
+            // Sleep until the next interval, or until RequestProcessing() is called
+            await _wakeUp.WaitAsync(TimeSpan.FromMinutes(intervalMinutes), stoppingToken);
+            while (_wakeUp.CurrentCount > 0)
+                await _wakeUp.WaitAsync(stoppingToken);
         }
     }
 
@@ -104,23 +129,16 @@ public class GlucoseEventAnalysisService : BackgroundService
         var analysisSettings = await settingsService.GetAnalysisSettingsAsync();
         var folderName = analysisSettings.NotesFolderName;
 
+        // 1. Get all notes from the configured folder, ordered by modified time.
+        //    Without notes there is nothing to create, but manually logged events may still need analysis.
+        var folderNotes = new List<SamsungNote>();
         if (string.IsNullOrWhiteSpace(folderName))
-        {
-            _logger.LogDebug("Analysis folder name not configured. Skipping.");
-            return;
-        }
-
-        // 1. Get all notes from the configured folder, ordered by modified time
-        var folderNotes = await db.SamsungNotes
-            .Where(n => !n.IsDeleted && n.FolderName == folderName)
-            .OrderBy(n => n.ModifiedAt)
-            .ToListAsync(ct);
-
-        if (folderNotes.Count == 0)
-        {
-            _logger.LogDebug("No notes found in folder '{Folder}'. Skipping.", folderName);
-            return;
-        }
+            _logger.LogDebug("Analysis folder name not configured. Only pending events are analyzed.");
+        else
+            folderNotes = await db.SamsungNotes
+                .Where(n => !n.IsDeleted && n.FolderName == folderName)
+                .OrderBy(n => n.ModifiedAt)
+                .ToListAsync(ct);
 
         // 2. Get existing events to skip already-processed ones
         var existingUuids = await db.GlucoseEvents
@@ -159,7 +177,8 @@ public class GlucoseEventAnalysisService : BackgroundService
                 var eventsToAnalyze = new List<GlucoseEvent>();
                 foreach (var evt in unanalyzed)
                 {
-                    if (reanalysisIds.Contains(evt.Id))
+                    // User edits are re-analysed right away
+                    if (reanalysisIds.Contains(evt.Id) && !IsEditedSinceAnalysis(evt))
                     {
                         // This is a re-analysis — check cooldown
                         var lastAnalysis = await db.EventAnalysisHistory
@@ -184,6 +203,9 @@ public class GlucoseEventAnalysisService : BackgroundService
                 if (eventsToAnalyze.Count > 0)
                 {
                     await RunBatchAnalysisAsync(analyzer, eventsToAnalyze, "Initial analysis", ct, reanalysisIds);
+
+                    // Manually logged events reach their first analysis here
+                    _foodPatternService.EnqueueEventProcessing();
                 }
                 else
                 {
@@ -203,13 +225,18 @@ public class GlucoseEventAnalysisService : BackgroundService
         int created = 0;
         var eventsNeedingReanalysis = new List<GlucoseEvent>();
 
+        // Manually logged events share the timeline, so they bound note events' periods too
+        var manualEvents = await db.GlucoseEvents
+            .Where(e => e.NoteUuid.StartsWith(GlucoseEventTypes.ManualUuidPrefix))
+            .ToListAsync(ct);
+
         foreach (var note in newNotes)
         {
             if (ct.IsCancellationRequested) break;
 
             var eventTimestamp = DateTime.SpecifyKind(note.ModifiedAt, DateTimeKind.Utc);
 
-            // Calculate period boundaries based on adjacent notes
+            // Calculate period boundaries based on adjacent notes and manually logged events
             var prevNote = folderNotes
                 .Where(n => n.ModifiedAt < note.ModifiedAt)
                 .OrderByDescending(n => n.ModifiedAt)
@@ -220,46 +247,33 @@ public class GlucoseEventAnalysisService : BackgroundService
                 .OrderBy(n => n.ModifiedAt)
                 .FirstOrDefault();
 
-            var periodStart = prevNote != null
-                ? DateTime.SpecifyKind(prevNote.ModifiedAt, DateTimeKind.Utc)
-                : eventTimestamp - DefaultLookback;
-
-            // PeriodEnd: always at least MinimumLookahead (3h) after the event.
-            // If the next note is further away, extend to the next note's timestamp.
-            var minimumEnd = eventTimestamp + MinimumLookahead;
-            var periodEnd = nextNote != null
-                ? MaxDateTime(minimumEnd, DateTime.SpecifyKind(nextNote.ModifiedAt, DateTimeKind.Utc))
-                : eventTimestamp + DefaultLookahead;
-
-            // ── Re-analyse the previous event ──────────────────────
-            if (prevNote != null)
-            {
-                var prevEvent = await db.GlucoseEvents
-                    .FirstOrDefaultAsync(e => e.NoteUuid == prevNote.Uuid, ct);
+            var prevManual = manualEvents
+                .Where(e => e.EventTimestamp < eventTimestamp)
+                .MaxBy(e => e.EventTimestamp);
 
-                if (prevEvent != null)
-                {
-                    // Ensure previous event keeps at least MinimumLookahead (3h) of glucose data,
-                    // or extends to the new event's timestamp if that's further away.
-                    var newPeriodEnd = MaxDateTime(prevEvent.EventTimestamp + MinimumLookahead, eventTimestamp);
-                    if (prevEvent.PeriodEnd != newPeriodEnd)
-                    {
-                        _logger.LogInformation(
-                            "Updating previous event '{Title}' (ID={Id}) PeriodEnd from {Old} → {New} due to new event.",
-                            prevEvent.NoteTitle, prevEvent.Id, prevEvent.PeriodEnd, newPeriodEnd);
+            var nextManual = manualEvents
+                .Where(e => e.EventTimestamp > eventTimestamp)
+                .MinBy(e => e.EventTimestamp);
 
-                        prevEvent.PeriodEnd = newPeriodEnd;
+            DateTime? prevTimestamp = prevNote != null ? DateTime.SpecifyKind(prevNote.ModifiedAt, DateTimeKind.Utc) : null;
+            DateTime? nextTimestamp = nextNote != null ? DateTime.SpecifyKind(nextNote.ModifiedAt, DateTimeKind.Utc) : null;
+            var prevIsManual = prevManual != null && (prevTimestamp == null || prevManual.EventTimestamp > prevTimestamp);
+            if (prevIsManual)
+                prevTimestamp = prevManual!.EventTimestamp;
+            if (nextManual != null && (nextTimestamp == null || nextManual.EventTimestamp < nextTimestamp))
+                nextTimestamp = nextManual.EventTimestamp;
 
-                        // Recompute glucose stats using domain service
-                        await RecomputeGlucoseStatsAsync(db, prevEvent, ct);
+            var (periodStart, periodEnd) = PeriodFor(eventTimestamp, prevTimestamp, nextTimestamp);
 
-                        prevEvent.IsProcessed = false;
-                        prevEvent.UpdatedAt = DateTime.UtcNow;
+            // ── Re-analyse the previous event ──────────────────────
+            var prevEvent = prevIsManual
+                ? prevManual
+                : prevNote != null
+                    ? await db.GlucoseEvents.FirstOrDefaultAsync(e => e.NoteUuid == prevNote.Uuid, ct)
+                    : null;
 
-                        eventsNeedingReanalysis.Add(prevEvent);
-                    }
-                }
-            }
+            if (prevEvent != null && await UpdatePreviousEventEndAsync(db, prevEvent, eventTimestamp, ct))
+                eventsNeedingReanalysis.Add(prevEvent);
 
             // Get glucose readings for this period
             var readings = await db.GlucoseReadings
@@ -334,6 +348,448 @@ public class GlucoseEventAnalysisService : BackgroundService
         }
     }
 
+    // ────────────────────────────────────────────────────────────
+    // Manually logged events
+    // ────────────────────────────────────────────────────────────
+
+    /// <summary>
+    /// Create an event logged in the app instead of from a Samsung Note. Its glucose window is
+    /// bounded by the neighbouring events like a note event's. The previous event's window now ends at
+    /// it and, for a backdated event, the next event's window starts at it; both are queued for
+    /// re-analysis when their window changed. Translation, AI analysis and food
+    /// extraction then run through the regular services, which are woken immediately.
+    /// <paramref name="details"/> must already be validated.
+    /// </summary>
+    public async Task<GlucoseEvent> CreateManualEventAsync(
+        GlucoseDbContext db, string title, string? content, DateTime eventTimestamp, string eventType,
+        EventDetails details, CancellationToken ct)
+    {
+        var prevEvent = await db.GlucoseEvents
+            .Where(e => e.EventTimestamp < eventTimestamp)
+            .OrderByDescending(e => e.EventTimestamp)
+            .FirstOrDefaultAsync(ct);
+
+        var nextEvent = await db.GlucoseEvents
+            .Where(e => e.EventTimestamp > eventTimestamp)
+            .OrderBy(e => e.EventTimestamp)
+            .FirstOrDefaultAsync(ct);
+
+        var (periodStart, periodEnd) = PeriodFor(eventTimestamp, prevEvent?.EventTimestamp, nextEvent?.EventTimestamp);
+        var previousQueued = prevEvent != null && await UpdatePreviousEventEndAsync(db, prevEvent, eventTimestamp, ct);
+        var nextQueued = nextEvent != null && await UpdateNextEventStartAsync(db, nextEvent, eventTimestamp, ct);
+
+        var glucoseEvent = new GlucoseEvent
+        {
+            NoteUuid = GlucoseEventTypes.ManualUuidPrefix + Guid.NewGuid().ToString("N"),
+            EventType = eventType,
+            InsulinKind = details.InsulinUnits.HasValue ? details.InsulinKind : null,
+            InsulinUnits = details.InsulinUnits,
+            CarbsGrams = details.CarbsGrams,
+            ExerciseKind = details.ExerciseKind,
+            DurationMinutes = details.DurationMinutes,
+            Intensity = details.Intensity,
+            NoteTitle = title,
+            NoteContent = content,
+            EventTimestamp = eventTimestamp,
+            PeriodStart = periodStart,
+            PeriodEnd = periodEnd,
+            IsProcessed = false,
+            CreatedAt = DateTime.UtcNow,
+            UpdatedAt = DateTime.UtcNow
+        };
+        await RecomputeGlucoseStatsAsync(db, glucoseEvent, ct);
+
+        db.GlucoseEvents.Add(glucoseEvent);
+        await db.SaveChangesAsync(ct);
+
+        _logger.LogInformation("Manually logged event '{Title}' (ID={Id}) at {Time:u}.",
+            glucoseEvent.NoteTitle, glucoseEvent.Id, glucoseEvent.EventTimestamp);
+        await _eventLogger.LogInfoAsync(Events,
+            $"Logged event '{glucoseEvent.NoteTitle}' manually.",
+            source: nameof(GlucoseEventAnalysisService), relatedEntityId: glucoseEvent.Id, relatedEntityType: "GlucoseEvent");
+        await _notifications.NotifyEventsUpdatedAsync(1 + (previousQueued ? 1 : 0) + (nextQueued ? 1 : 0), ct);
+
+        _translationService.RequestBackfill();
+        RequestProcessing();
+
+        return glucoseEvent;
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // Edited events
+    // ────────────────────────────────────────────────────────────
+
+    /// <summary>
+    /// Apply a user edit (validated by <see cref="EventEditCalculator"/>) to <paramref name="evt"/>.
+    /// Without a window override the window follows the neighbouring events again; a moved event
+    /// also re-derives the windows of the events before and after its old and new time and queues
+    /// them for re-analysis. The values in effect
+    /// before the edit are kept in EventAnalysisHistory (unless the latest entry already has them),
+    /// every changed field is recorded in GlucoseEventEdits, and the event is queued for re-analysis.
+    /// A changed title or content is translated again and its foods re-extracted.
+    /// Returns the changed fields; nothing is saved when there are none.
+    /// </summary>
+    public async Task<List<EventFieldChange>> EditEventAsync(
+        GlucoseDbContext db, GlucoseEvent evt, EventEdit edit, CancellationToken ct)
+    {
+        var before = EventValues.Of(evt);
+        var originalSnapshot = await SnapshotIfNotInHistoryAsync(db, evt, ct);
+
+        evt.NoteTitle = edit.Title;
+        evt.NoteContent = edit.Content;
+        evt.EventTimestamp = edit.EventTimestamp;
+
+        if (edit.PeriodStart.HasValue && edit.PeriodEnd.HasValue)
+        {
+            evt.PeriodStart = edit.PeriodStart.Value;
+            evt.PeriodEnd = edit.PeriodEnd.Value;
+            evt.IsWindowOverridden = true;
+        }
+        else if (evt.IsWindowOverridden || before.EventTimestamp != edit.EventTimestamp)
+        {
+            var prevTimestamp = await db.GlucoseEvents
+                .Where(e => e.Id != evt.Id && e.EventTimestamp < edit.EventTimestamp)
+                .OrderByDescending(e => e.EventTimestamp)
+                .Select(e => (DateTime?)e.EventTimestamp)
+                .FirstOrDefaultAsync(ct);
+            var nextTimestamp = await db.GlucoseEvents
+                .Where(e => e.Id != evt.Id && e.EventTimestamp > edit.EventTimestamp)
+                .OrderBy(e => e.EventTimestamp)
+                .Select(e => (DateTime?)e.EventTimestamp)
+                .FirstOrDefaultAsync(ct);
+            (evt.PeriodStart, evt.PeriodEnd) = PeriodFor(edit.EventTimestamp, prevTimestamp, nextTimestamp);
+            evt.IsWindowOverridden = false;
+        }
+
+        var changes = EventEditCalculator.Diff(before, EventValues.Of(evt));
+        if (changes.Count == 0)
+            return changes;
+
+        if (originalSnapshot != null)
+            db.EventAnalysisHistory.Add(originalSnapshot);
+
+        var now = DateTime.UtcNow;
+        db.GlucoseEventEdits.AddRange(changes.Select(c => new GlucoseEventEdit
+        {
+            GlucoseEventId = evt.Id,
+            EditedAt = now,
+            Field = c.Field,
+            OldValue = c.OldValue,
+            NewValue = c.NewValue
+        }));
+
+        var textChanged = before.Title != evt.NoteTitle || before.Content != evt.NoteContent;
+        if (textChanged)
+        {
+            evt.NoteTitleEn = null;
+            evt.NoteContentEn = null;
+            db.FoodEventLinks.RemoveRange(await db.FoodEventLinks.Where(l => l.GlucoseEventId == evt.Id).ToListAsync(ct));
+        }
+
+        await RecomputeGlucoseStatsAsync(db, evt, ct);
+        evt.IsProcessed = false;
+        evt.EditedAt = now;
+        evt.UpdatedAt = now;
+        await db.SaveChangesAsync(ct);
+
+        // The events around the old and the new time may have been bounded by this event
+        var realigned = 0;
+        if (before.EventTimestamp != evt.EventTimestamp)
+        {
+            foreach (var timestamp in new[] { before.EventTimestamp, evt.EventTimestamp })
+            {
+                if (await RealignPreviousEventEndAsync(db, timestamp, ct))
+                    realigned++;
+                if (await RealignNextEventStartAsync(db, timestamp, ct))
+                    realigned++;
+            }
+            if (realigned > 0)
+                await db.SaveChangesAsync(ct);
+        }
+
+        _logger.LogInformation("Event '{Title}' (ID={Id}) edited: {Changes}.",
+            evt.NoteTitle, evt.Id, EventEditCalculator.Describe(changes));
+        await _eventLogger.LogInfoAsync(Events,
+            $"Edited event '{evt.NoteTitle}' (#{evt.Id}): {EventEditCalculator.Describe(changes)}. Queued for re-analysis.",
+            source: nameof(GlucoseEventAnalysisService), relatedEntityId: evt.Id, relatedEntityType: "GlucoseEvent");
+        await _notifications.NotifyEventsUpdatedAsync(1 + realigned, ct);
+
+        if (textChanged)
+            _translationService.RequestBackfill();
+        RequestProcessing();
+
+        return changes;
+    }
+
+    /// <summary>
+    /// Delete <paramref name="events"/> with their analysis history, edits and food links. The events
+    /// before and after each deleted one get their window end and start re-derived, as the deleted event
+    /// no longer bounds them. Daily and period summaries stop listing the deleted events, and the days
+    /// they fell on are queued for regeneration. Returns the number of window changes (their events are
+    /// queued for re-analysis).
+    /// </summary>
+    public async Task<int> DeleteEventsAsync(GlucoseDbContext db, IReadOnlyList<GlucoseEvent> events, CancellationToken ct)
+    {
+        var ids = events.Select(e => e.Id).ToList();
+        await FoodPatternService.RemoveEventLinksAsync(db, ids, ct);
+        db.EventAnalysisHistory.RemoveRange(await db.EventAnalysisHistory.Where(h => ids.Contains(h.GlucoseEventId)).ToListAsync(ct));
+        db.GlucoseEventEdits.RemoveRange(await db.GlucoseEventEdits.Where(e => ids.Contains(e.GlucoseEventId)).ToListAsync(ct));
+        db.GlucoseEvents.RemoveRange(events);
+        var summariesQueued = await RemoveFromSummariesAsync(db, events, ct);
+        await db.SaveChangesAsync(ct);
+
+        var realigned = 0;
+        foreach (var timestamp in events.Select(e => e.EventTimestamp).Distinct())
+        {
+            if (await RealignPreviousEventEndAsync(db, timestamp, ct))
+                realigned++;
+            if (await RealignNextEventStartAsync(db, timestamp, ct))
+                realigned++;
+        }
+        if (realigned > 0)
+        {
+            await db.SaveChangesAsync(ct);
+            RequestProcessing();
+        }
+
+        _logger.LogInformation("Deleted {Count} event(s): {Ids}.", ids.Count, string.Join(", ", ids));
+        await _eventLogger.LogInfoAsync(Events,
+            $"Deleted {ids.Count} event(s): {string.Join(", ", events.Select(e => $"'{e.NoteTitle}'"))}.",
+            source: nameof(GlucoseEventAnalysisService));
+        await _notifications.NotifyEventsUpdatedAsync(ids.Count + realigned, ct);
+        if (summariesQueued > 0)
+            await _notifications.NotifyDailySummariesUpdatedAsync(summariesQueued, ct);
+
+        return realigned;
+    }
+
+    /// <summary>
+    /// Drop the deleted <paramref name="events"/> from the EventIds, EventTitles and EventCount of the
+    /// daily and period summaries listing them. Processed daily summaries of the days the events fell on
+    /// are marked unprocessed, so DailySummaryService regenerates them. Returns the number queued.
+    /// </summary>
+    private static async Task<int> RemoveFromSummariesAsync(GlucoseDbContext db, IReadOnlyList<GlucoseEvent> events, CancellationToken ct)
+    {
+        if (events.Count == 0)
+            return 0;
+
+        var min = events.Min(e => e.EventTimestamp);
+        var max = events.Max(e => e.EventTimestamp);
+
+        var dailySummaries = await db.DailySummaries
+            .Where(s => s.PeriodStartUtc <= max && s.PeriodEndUtc > min)
+            .ToListAsync(ct);
+
+        var queued = 0;
+        foreach (var summary in dailySummaries)
+        {
+            if (!events.Any(e => e.EventTimestamp >= summary.PeriodStartUtc && e.EventTimestamp < summary.PeriodEndUtc))
+                continue;
+
+            (summary.EventIds, summary.EventTitles, summary.EventCount) =
+                WithoutEvents(summary.EventIds, summary.EventTitles, summary.EventCount, events);
+            summary.UpdatedAt = DateTime.UtcNow;
+            if (summary.IsProcessed)
+            {
+                summary.IsProcessed = false;
+                queued++;
+            }
+        }
+
+        var periodSummaries = await db.PeriodSummaries
+            .Where(s => s.PeriodStart <= max && s.PeriodEnd > min)
+            .ToListAsync(ct);
+
+        foreach (var summary in periodSummaries)
+        {
+            (summary.EventIds, summary.EventTitles, summary.EventCount) =
+                WithoutEvents(summary.EventIds, summary.EventTitles, summary.EventCount, events);
+        }
+
+        return queued;
+    }
+
+    /// <summary>
+    /// A summary's comma-separated event ids and " | "-separated titles without the deleted events.
+    /// The count drops by the number of ids actually removed.
+    /// </summary>
+    private static (string? EventIds, string? EventTitles, int EventCount) WithoutEvents(
+        string? eventIds, string? eventTitles, int eventCount, IReadOnlyList<GlucoseEvent> deleted)
+    {
+        if (string.IsNullOrEmpty(eventIds))
+            return (eventIds, eventTitles, eventCount);
+
+        var listed = eventIds.Split(',', StringSplitOptions.RemoveEmptyEntries);
+        var removed = deleted.Where(e => listed.Contains(e.Id.ToString())).ToList();
+        if (removed.Count == 0)
+            return (eventIds, eventTitles, eventCount);
+
+        var kept = listed.Except(removed.Select(e => e.Id.ToString()));
+        var keptTitles = (eventTitles ?? "").Split(" | ", StringSplitOptions.RemoveEmptyEntries).ToList();
+        foreach (var evt in removed)
+            keptTitles.Remove(evt.NoteTitle);
+
+        return (string.Join(",", kept), string.Join(" | ", keptTitles), Math.Max(0, eventCount - removed.Count));
+    }
+
+    /// <summary>
+    /// An EventAnalysisHistory entry holding the event's current values and analysis, or null when
+    /// the latest entry already has the same time, window, title and content.
+    /// </summary>
+    private static async Task<EventAnalysisHistory?> SnapshotIfNotInHistoryAsync(
+        GlucoseDbContext db, GlucoseEvent evt, CancellationToken ct)
+    {
+        var latest = await db.EventAnalysisHistory
+            .Where(h => h.GlucoseEventId == evt.Id)
+            .OrderByDescending(h => h.AnalyzedAt)
+            .FirstOrDefaultAsync(ct);
+
+        if (latest != null
+            && latest.EventTimestamp == evt.EventTimestamp
+            && latest.PeriodStart == evt.PeriodStart
+            && latest.PeriodEnd == evt.PeriodEnd
+            && latest.NoteTitle == evt.NoteTitle
+            && latest.NoteContent == evt.NoteContent)
+            return null;
+
+        return new EventAnalysisHistory
+        {
+            GlucoseEventId = evt.Id,
+            AiAnalysis = evt.AiAnalysis,
+            AiClassification = evt.AiClassification,
+            AiModel = evt.AiModel,
+            AnalyzedAt = DateTime.UtcNow,
+            PeriodStart = evt.PeriodStart,
+            PeriodEnd = evt.PeriodEnd,
+            ReadingCount = evt.ReadingCount,
+            Reason = "Original values before edit",
+            EventTimestamp = evt.EventTimestamp,
+            NoteTitle = evt.NoteTitle,
+            NoteContent = evt.NoteContent,
+            GlucoseAtEvent = evt.GlucoseAtEvent,
+            GlucoseMin = evt.GlucoseMin,
+            GlucoseMax = evt.GlucoseMax,
+            GlucoseAvg = evt.GlucoseAvg,
+            GlucoseSpike = evt.GlucoseSpike,
+            PeakTime = evt.PeakTime
+        };
+    }
+
+    /// <summary>
+    /// Re-derive the window end of the last event before <paramref name="timestamp"/> from the event that
+    /// now follows it (or the default lookahead when none does). Returns true when it changed.
+    /// </summary>
+    private async Task<bool> RealignPreviousEventEndAsync(GlucoseDbContext db, DateTime timestamp, CancellationToken ct)
+    {
+        var prevEvent = await db.GlucoseEvents
+            .Where(e => e.EventTimestamp < timestamp)
+            .OrderByDescending(e => e.EventTimestamp)
+            .FirstOrDefaultAsync(ct);
+        if (prevEvent == null)
+            return false;
+
+        var nextTimestamp = await db.GlucoseEvents
+            .Where(e => e.EventTimestamp > prevEvent.EventTimestamp)
+            .OrderBy(e => e.EventTimestamp)
+            .Select(e => (DateTime?)e.EventTimestamp)
+            .FirstOrDefaultAsync(ct);
+
+        return await UpdatePreviousEventEndAsync(db, prevEvent, nextTimestamp ?? prevEvent.EventTimestamp + DefaultLookahead, ct);
+    }
+
+    /// <summary>
+    /// Re-derive the window start of the first event after <paramref name="timestamp"/> from the event that
+    /// now precedes it (or the default lookback when none does). Returns true when it changed.
+    /// </summary>
+    private async Task<bool> RealignNextEventStartAsync(GlucoseDbContext db, DateTime timestamp, CancellationToken ct)
+    {
+        var nextEvent = await db.GlucoseEvents
+            .Where(e => e.EventTimestamp > timestamp)
+            .OrderBy(e => e.EventTimestamp)
+            .FirstOrDefaultAsync(ct);
+        if (nextEvent == null)
+            return false;
+
+        var prevTimestamp = await db.GlucoseEvents
+            .Where(e => e.EventTimestamp < nextEvent.EventTimestamp)
+            .OrderByDescending(e => e.EventTimestamp)
+            .Select(e => (DateTime?)e.EventTimestamp)
+            .FirstOrDefaultAsync(ct);
+
+        return await UpdateNextEventStartAsync(db, nextEvent, prevTimestamp, ct);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // Period boundaries
+    // ────────────────────────────────────────────────────────────
+
+    /// <summary>
+    /// Glucose window of an event: from the previous event (or the default lookback) to the next
+    /// event, but always at least MinimumLookahead after it (the default lookahead when it is the latest).
+    /// </summary>
+    private static (DateTime Start, DateTime End) PeriodFor(DateTime eventTimestamp, DateTime? prevTimestamp, DateTime? nextTimestamp)
+    {
+        var start = prevTimestamp ?? eventTimestamp - DefaultLookback;
+        var end = nextTimestamp.HasValue
+            ? MaxDateTime(eventTimestamp + MinimumLookahead, nextTimestamp.Value)
+            : eventTimestamp + DefaultLookahead;
+        return (start, end);
+    }
+
+    /// <summary>
+    /// A new event at <paramref name="newEventTimestamp"/> ends the previous event's window, which keeps at
+    /// least MinimumLookahead (3h) of glucose data. Returns true when the window changed and the event was
+    /// queued for re-analysis. A window the user set by hand is left alone.
+    /// </summary>
+    private async Task<bool> UpdatePreviousEventEndAsync(GlucoseDbContext db, GlucoseEvent prevEvent, DateTime newEventTimestamp, CancellationToken ct)
+    {
+        if (prevEvent.IsWindowOverridden)
+            return false;
+
+        var newPeriodEnd = MaxDateTime(prevEvent.EventTimestamp + MinimumLookahead, newEventTimestamp);
+        if (prevEvent.PeriodEnd == newPeriodEnd)
+            return false;
+
+        _logger.LogInformation(
+            "Updating previous event '{Title}' (ID={Id}) PeriodEnd from {Old} → {New} due to new event.",
+            prevEvent.NoteTitle, prevEvent.Id, prevEvent.PeriodEnd, newPeriodEnd);
+
+        prevEvent.PeriodEnd = newPeriodEnd;
+
+        // Recompute glucose stats using domain service
+        await RecomputeGlucoseStatsAsync(db, prevEvent, ct);
+
+        prevEvent.IsProcessed = false;
+        prevEvent.UpdatedAt = DateTime.UtcNow;
+        return true;
+    }
+
+    /// <summary>
+    /// The next event's window starts at the event before it (<paramref name="newPrevTimestamp"/>),
+    /// or the default lookback when there is none. Returns true when the window changed and the event
+    /// was queued for re-analysis. A window the user set by hand is left alone.
+    /// </summary>
+    private async Task<bool> UpdateNextEventStartAsync(GlucoseDbContext db, GlucoseEvent nextEvent, DateTime? newPrevTimestamp, CancellationToken ct)
+    {
+        if (nextEvent.IsWindowOverridden)
+            return false;
+
+        var newPeriodStart = newPrevTimestamp ?? nextEvent.EventTimestamp - DefaultLookback;
+        if (nextEvent.PeriodStart == newPeriodStart)
+            return false;
+
+        _logger.LogInformation(
+            "Updating next event '{Title}' (ID={Id}) PeriodStart from {Old} → {New} due to an event before it.",
+            nextEvent.NoteTitle, nextEvent.Id, nextEvent.PeriodStart, newPeriodStart);
+
+        nextEvent.PeriodStart = newPeriodStart;
+        await RecomputeGlucoseStatsAsync(db, nextEvent, ct);
+
+        nextEvent.IsProcessed = false;
+        nextEvent.UpdatedAt = DateTime.UtcNow;
+        return true;
+    }
+
     // ────────────────────────────────────────────────────────────
     // Recompute glucose stats for an event (after period change)
     // ────────────────────────────────────────────────────────────
@@ -405,6 +861,9 @@ Return ONLY the JSON object, nothing else.";
 
     private static DateTime MaxDateTime(DateTime a, DateTime b) => a > b ? a : b;
 
+    /// <summary>Whether the user edited the event after its last analysis.</summary>
+    private static bool IsEditedSinceAnalysis(GlucoseEvent evt) => evt.EditedAt > (evt.ProcessedAt ?? DateTime.MinValue);
+
     // ────────────────────────────────────────────────────────────
     // Batch AI Analysis (delegates to EventAnalyzer per event)
     // ────────────────────────────────────────────────────────────
@@ -422,9 +881,11 @@ Return ONLY the JSON object, nothing else.";
 
             bool isReanalysis = reanalysisIds != null && reanalysisIds.Contains(evt.Id);
             string reason = isReanalysis
-                ? (defaultReason == "Initial analysis"
-                    ? "Re-analysis: new glucose data received"
-                    : "Re-analysis: period boundary changed due to new event")
+                ? (IsEditedSinceAnalysis(evt)
+                    ? "Re-analysis: event edited by user"
+                    : defaultReason == "Initial analysis"
+                        ? "Re-analysis: new glucose data received"
+                        : "Re-analysis: period boundary changed due to new event")
                 : (defaultReason ?? "Initial analysis");
 
             try
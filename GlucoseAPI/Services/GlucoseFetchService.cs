@@ -18,6 +18,14 @@ public class GlucoseFetchService : BackgroundService
     private readonly INotificationService _notifications;
     private readonly IEventLogger _eventLogger;
 
+    private DateTime? _lastRunUtc;
+    private DateTime? _lastSuccessUtc;
+    private DateTime? _nextRunUtc;
+    private TimeSpan? _interval;
+    private int? _lastInserted;
+    private string? _lastError;
+    private bool _isRunning;
+
     public GlucoseFetchService(
         IServiceProvider serviceProvider,
         ILogger<GlucoseFetchService> logger,
@@ -36,6 +44,7 @@ public class GlucoseFetchService : BackgroundService
         await _eventLogger.LogInfoAsync(EventCategory.System, "GlucoseFetchService started.", source: nameof(GlucoseFetchService));
 
         // Wait for DB to be ready on first start
+        _nextRunUtc = DateTime.UtcNow.AddSeconds(15);
         await Task.Delay(TimeSpan.FromSeconds(15), stoppingToken);
 
         while (!stoppingToken.IsCancellationRequested)
@@ -44,7 +53,7 @@ public class GlucoseFetchService : BackgroundService
 
             try
             {
-                interval = await FetchAndStoreAsync();
+                interval = await RunFetchAsync();
             }
             catch (InvalidOperationException ex) when (ex.Message.Contains("not configured"))
             {
@@ -58,10 +67,26 @@ public class GlucoseFetchService : BackgroundService
                     source: nameof(GlucoseFetchService), detail: ex.ToString());
             }
 
+            _interval = interval;
+            _nextRunUtc = DateTime.UtcNow + interval;
             await Task.Delay(interval, stoppingToken);
         }
     }
 
+    /// <summary>Schedule and outcome of the fetch loop, for the sync status endpoint.</summary>
+    public BackgroundServiceStatusDto GetStatus() => new()
+    {
+        Name = nameof(GlucoseFetchService),
+        IsAvailable = true,
+        IsRunning = _isRunning,
+        IntervalMinutes = _interval?.TotalMinutes,
+        LastRunUtc = _lastRunUtc,
+        LastSuccessUtc = _lastSuccessUtc,
+        NextRunUtc = _nextRunUtc,
+        LastItemCount = _lastInserted,
+        LastError = _lastError
+    };
+
     /// <summary>
     /// Manually trigger a glucose data sync from LibreLink Up.
     /// Can be called from an API controller.
@@ -71,7 +96,7 @@ public class GlucoseFetchService : BackgroundService
         _logger.LogInformation("Manual glucose sync triggered.");
         try
         {
-            var interval = await FetchAndStoreAsync();
+            var interval = await RunFetchAsync();
             return (0, "Glucose sync completed successfully."); // inserted count is logged internally
         }
         catch (InvalidOperationException ex) when (ex.Message.Contains("not configured"))
@@ -80,8 +105,32 @@ public class GlucoseFetchService : BackgroundService
         }
     }
 
+    private async Task<TimeSpan> RunFetchAsync()
+    {
+        _isRunning = true;
+        _lastRunUtc = DateTime.UtcNow;
+        try
+        {
+            var interval = await FetchAndStoreAsync();
+            _lastSuccessUtc = DateTime.UtcNow;
+            _lastError = null;
+            return interval;
+        }
+        catch (Exception ex)
+        {
+            _lastError = ex.Message;
+            throw;
+        }
+        finally
+        {
+            _isRunning = false;
+        }
+    }
+
     private async Task<TimeSpan> FetchAndStoreAsync()
     {
+        _lastInserted = 0;
+
         using var scope = _serviceProvider.CreateScope();
         var settingsService = scope.ServiceProvider.GetRequiredService<SettingsService>();
         var client = scope.ServiceProvider.GetRequiredService<LibreLinkClient>();
@@ -179,6 +228,8 @@ public class GlucoseFetchService : BackgroundService
             }
         }
 
+        _lastInserted = inserted;
+
         if (inserted > 0)
         {
             await db.SaveChangesAsync();
@@ -201,10 +252,11 @@ public class GlucoseFetchService : BackgroundService
     /// <summary>
     /// Find glucose events whose period overlaps with newly arrived readings,
     /// recompute their glucose stats using the domain service, and mark them for AI re-analysis if stats changed.
+    /// Also used by the historical data import. Returns the number of events recalculated.
     /// </summary>
-    private async Task RecalculateImpactedEventsAsync(GlucoseDbContext db, IList<GlucoseReading> newReadings)
+    public async Task<int> RecalculateImpactedEventsAsync(GlucoseDbContext db, IList<GlucoseReading> newReadings)
     {
-        if (newReadings.Count == 0) return;
+        if (newReadings.Count == 0) return 0;
 
         var newMin = newReadings.Min(r => r.Timestamp);
         var newMax = newReadings.Max(r => r.Timestamp);
@@ -214,7 +266,7 @@ public class GlucoseFetchService : BackgroundService
             .Where(e => e.PeriodStart <= newMax && e.PeriodEnd >= newMin)
             .ToListAsync();
 
-        if (impactedEvents.Count == 0) return;
+        if (impactedEvents.Count == 0) return 0;
 
         _logger.LogInformation(
             "Found {Count} event(s) overlapping with new glucose data ({Min:u} – {Max:u}). Recalculating stats...",
@@ -274,5 +326,7 @@ public class GlucoseFetchService : BackgroundService
 
             await _notifications.NotifyEventsUpdatedAsync(recalculated);
         }
+
+        return recalculated;
     }
 }
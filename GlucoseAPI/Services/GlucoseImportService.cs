@@ -0,0 +1,240 @@
+using GlucoseAPI.Application.Interfaces;
+using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
+using GlucoseAPI.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace GlucoseAPI.Services;
+
+/// <summary>
+/// Imports historical CGM data (LibreView CSV, Nightscout JSON) into GlucoseReadings.
+/// Readings are deduplicated against the database by <see cref="ImportDeduplicator"/>; a
+/// preview reports what would change before anything is written. After an import, the
+/// affected events are recalculated (and so re-analyzed, which also re-extracts their
+/// foods) and the daily summaries of affected days are queued for regeneration — the
+/// same path live readings take.
+/// </summary>
+public class GlucoseImportService
+{
+    /// <summary>At most this many conflicts are listed in a preview.</summary>
+    public const int PreviewConflictLimit = 100;
+
+    private const int BatchSize = 1000;
+
+    private readonly GlucoseDbContext _db;
+    private readonly SettingsService _settingsService;
+    private readonly TimeZoneConverter _tzConverter;
+    private readonly GlucoseFetchService _fetchService;
+    private readonly INotificationService _notifications;
+    private readonly IEventLogger _eventLogger;
+    private readonly ILogger<GlucoseImportService> _logger;
+
+    public GlucoseImportService(
+        GlucoseDbContext db,
+        SettingsService settingsService,
+        TimeZoneConverter tzConverter,
+        GlucoseFetchService fetchService,
+        INotificationService notifications,
+        IEventLogger eventLogger,
+        ILogger<GlucoseImportService> logger)
+    {
+        _db = db;
+        _settingsService = settingsService;
+        _tzConverter = tzConverter;
+        _fetchService = fetchService;
+        _notifications = notifications;
+        _eventLogger = eventLogger;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Parse an export file. LibreView device times are read in the display time zone.
+    /// </summary>
+    public async Task<CgmImportParseResult> ParseAsync(string content)
+    {
+        var tzId = await _settingsService.GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw");
+        return CgmImportParser.Parse(content, _tzConverter.Resolve(tzId));
+    }
+
+    /// <summary>Describe what importing <paramref name="parsed"/> would change, without writing.</summary>
+    public async Task<ImportPreviewDto> PreviewAsync(CgmImportParseResult parsed, string fileName, CancellationToken ct)
+    {
+        var plan = await PlanAsync(parsed.Readings, ct);
+
+        return new ImportPreviewDto
+        {
+            Source = parsed.Source?.ToString() ?? string.Empty,
+            FileName = fileName,
+            ReadingCount = parsed.Readings.Count,
+            SkippedRows = parsed.SkippedRows,
+            RepeatedInFile = plan.RepeatedInFile,
+            FirstTimestamp = parsed.Readings.Count > 0 ? parsed.Readings[0].Timestamp : null,
+            LastTimestamp = parsed.Readings.Count > 0 ? parsed.Readings[^1].Timestamp : null,
+            NewCount = plan.NewReadings.Count,
+            DuplicateCount = plan.Duplicates,
+            ConflictCount = plan.Conflicts.Count,
+            Conflicts = plan.Conflicts.Take(PreviewConflictLimit).Select(c => new ImportConflictDto
+            {
+                Timestamp = DateTime.SpecifyKind(c.ExistingTimestamp, DateTimeKind.Utc),
+                ExistingValue = c.ExistingValue,
+                ImportedValue = c.Imported.Value
+            }).ToList(),
+            Warnings = parsed.Warnings.ToList()
+        };
+    }
+
+    /// <summary>
+    /// Insert the new readings of <paramref name="parsed"/> in batches, reporting progress over
+    /// SignalR. Conflicting readings keep their stored value unless <paramref name="replaceConflicts"/>.
+    /// </summary>
+    public async Task<ImportResultDto> ImportAsync(CgmImportParseResult parsed, bool replaceConflicts, CancellationToken ct)
+    {
+        var plan = await PlanAsync(parsed.Readings, ct);
+        var tzId = await _settingsService.GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw");
+        var ranges = await _settingsService.GetTargetRangeProfileAsync(_tzConverter.Resolve(tzId));
+
+        var patientId = await _db.GlucoseReadings
+            .OrderByDescending(r => r.Timestamp)
+            .Select(r => r.PatientId)
+            .FirstOrDefaultAsync(ct);
+
+        var total = plan.NewReadings.Count + (replaceConflicts ? plan.Conflicts.Count : 0);
+        var processed = 0;
+        var affected = new List<GlucoseReading>();
+
+        // Replace conflicting values first, while the stored readings are loaded by id
+        if (replaceConflicts && plan.Conflicts.Count > 0)
+        {
+            foreach (var chunk in plan.Conflicts.Chunk(BatchSize))
+            {
+                var ids = chunk.Select(c => c.ExistingId).ToList();
+                var stored = await _db.GlucoseReadings.Where(r => ids.Contains(r.Id)).ToDictionaryAsync(r => r.Id, ct);
+
+                foreach (var conflict in chunk)
+                {
+                    if (!stored.TryGetValue(conflict.ExistingId, out var reading)) continue;
+                    var range = ranges.At(reading.Timestamp);
+                    reading.Value = conflict.Imported.Value;
+                    reading.IsHigh = reading.Value > range.High;
+                    reading.IsLow = reading.Value < range.Low;
+                    affected.Add(reading);
+                }
+
+                await _db.SaveChangesAsync(ct);
+                _db.ChangeTracker.Clear();
+                processed += chunk.Length;
+                await _notifications.NotifyImportProgressAsync(processed, total, ct);
+            }
+        }
+
+        foreach (var chunk in plan.NewReadings.Chunk(BatchSize))
+        {
+            var batch = chunk.Select(r =>
+            {
+                var range = ranges.At(r.Timestamp);
+                return new GlucoseReading
+                {
+                    Timestamp = r.Timestamp,
+                    Value = r.Value,
+                    TrendArrow = r.TrendArrow,
+                    IsHigh = r.Value > range.High,
+                    IsLow = r.Value < range.Low,
+                    PatientId = patientId
+                };
+            }).ToList();
+
+            _db.GlucoseReadings.AddRange(batch);
+            await _db.SaveChangesAsync(ct);
+            _db.ChangeTracker.Clear();
+            affected.AddRange(batch);
+
+            processed += batch.Count;
+            await _notifications.NotifyImportProgressAsync(processed, total, ct);
+        }
+
+        var result = new ImportResultDto
+        {
+            Source = parsed.Source?.ToString() ?? string.Empty,
+            Inserted = plan.NewReadings.Count,
+            Replaced = replaceConflicts ? affected.Count - plan.NewReadings.Count : 0,
+            Duplicates = plan.Duplicates,
+            ConflictsKept = replaceConflicts ? 0 : plan.Conflicts.Count,
+            SkippedRows = parsed.SkippedRows,
+            FirstTimestamp = parsed.Readings.Count > 0 ? parsed.Readings[0].Timestamp : null,
+            LastTimestamp = parsed.Readings.Count > 0 ? parsed.Readings[^1].Timestamp : null
+        };
+
+        if (affected.Count == 0)
+            return result;
+
+        _logger.LogInformation("Imported {Inserted} readings from {Source} ({Replaced} replaced, {Duplicates} duplicates).",
+            result.Inserted, result.Source, result.Replaced, result.Duplicates);
+        await _eventLogger.LogInfoAsync(EventCategory.Glucose,
+            $"Imported {result.Inserted} glucose readings from {result.Source}" +
+            (result.Replaced > 0 ? $" ({result.Replaced} existing readings replaced)." : "."),
+            source: nameof(GlucoseImportService), numericValue: result.Inserted);
+
+        await _notifications.NotifyNewGlucoseDataAsync(affected.Count, ct);
+
+        // Same downstream path as live data: events → AI re-analysis → food patterns
+        result.EventsRecalculated = await _fetchService.RecalculateImpactedEventsAsync(_db, affected);
+        result.DailySummariesQueued = await RequeueDailySummariesAsync(affected, ct);
+
+        return result;
+    }
+
+    /// <summary>Deduplicate <paramref name="imported"/> against the readings stored around it.</summary>
+    private async Task<ImportPlan> PlanAsync(IReadOnlyList<ImportedReading> imported, CancellationToken ct)
+    {
+        if (imported.Count == 0)
+            return ImportDeduplicator.Plan(imported, Array.Empty<GlucoseReading>());
+
+        var tolerance = TimeSpan.FromMinutes(ImportDeduplicator.ToleranceMinutes);
+        var from = imported[0].Timestamp - tolerance;
+        var to = imported[^1].Timestamp + tolerance;
+
+        var existing = await _db.GlucoseReadings
+            .AsNoTracking()
+            .Where(r => r.Timestamp >= from && r.Timestamp <= to)
+            .OrderBy(r => r.Timestamp)
+            .ToListAsync(ct);
+
+        return ImportDeduplicator.Plan(imported, existing);
+    }
+
+    /// <summary>
+    /// Mark processed daily summaries whose day contains an imported reading as unprocessed,
+    /// so DailySummaryService regenerates them. Days without a summary are picked up anyway.
+    /// </summary>
+    private async Task<int> RequeueDailySummariesAsync(List<GlucoseReading> affected, CancellationToken ct)
+    {
+        var timestamps = affected.Select(r => r.Timestamp).OrderBy(t => t).ToList();
+        var min = timestamps[0];
+        var max = timestamps[^1];
+
+        var summaries = await _db.DailySummaries
+            .Where(s => s.IsProcessed && s.PeriodStartUtc <= max && s.PeriodEndUtc > min)
+            .ToListAsync(ct);
+
+        var queued = 0;
+        foreach (var summary in summaries)
+        {
+            // First imported timestamp at or after the start of the day
+            var index = timestamps.BinarySearch(summary.PeriodStartUtc);
+            if (index < 0) index = ~index;
+            if (index >= timestamps.Count || timestamps[index] >= summary.PeriodEndUtc) continue;
+
+            summary.IsProcessed = false;
+            summary.UpdatedAt = DateTime.UtcNow;
+            queued++;
+        }
+
+        if (queued > 0)
+        {
+            await _db.SaveChangesAsync(ct);
+            await _notifications.NotifyDailySummariesUpdatedAsync(queued, ct);
+        }
+
+        return queued;
+    }
+}
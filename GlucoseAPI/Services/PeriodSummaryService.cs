@@ -146,6 +146,7 @@ public class PeriodSummaryService : BackgroundService
 
         var analysisSettings = await settingsService.GetAnalysisSettingsAsync();
         var tz = timeZoneConverter.Resolve(analysisSettings.TimeZone);
+        var ranges = await settingsService.GetTargetRangeProfileAsync(tz);
         summary.TimeZone = analysisSettings.TimeZone;
 
         // ── Gather data ──────────────────────────────────────
@@ -159,7 +160,7 @@ public class PeriodSummaryService : BackgroundService
             .OrderBy(e => e.EventTimestamp)
             .ToListAsync(ct);
 
-        var stats = GlucoseStatsCalculator.ComputeDayStats(readings);
+        var stats = GlucoseStatsCalculator.ComputeDayStats(readings, ranges);
 
         summary.ReadingCount = stats.ReadingCount;
         summary.GlucoseMin = stats.Min;
@@ -186,7 +187,7 @@ public class PeriodSummaryService : BackgroundService
             return;
         }
 
-        var (systemPrompt, userPrompt) = BuildPrompts(summary, readings, events, tz);
+        var (systemPrompt, userPrompt) = BuildPrompts(summary, readings, events, tz, ranges);
 
         var modelName = !string.IsNullOrWhiteSpace(modelOverride) ? modelOverride : analysisSettings.GptModelName;
         var gptResult = await gptClient.AnalyzeAsync(
@@ -231,7 +232,8 @@ public class PeriodSummaryService : BackgroundService
         PeriodSummary summary,
         List<GlucoseReading> readings,
         List<GlucoseEvent> events,
-        TimeZoneInfo tz)
+        TimeZoneInfo tz,
+        TargetRangeProfile ranges)
     {
         var sb = new StringBuilder();
 
@@ -254,9 +256,9 @@ public class PeriodSummaryService : BackgroundService
             sb.AppendLine($"  Glucose range: {summary.GlucoseMin} – {summary.GlucoseMax} mg/dL");
             sb.AppendLine($"  Average: {summary.GlucoseAvg} mg/dL");
             sb.AppendLine($"  Std deviation: {summary.GlucoseStdDev} mg/dL");
-            sb.AppendLine($"  Time in range (70-180): {summary.TimeInRange}%");
-            sb.AppendLine($"  Time above range (>180): {summary.TimeAboveRange}%");
-            sb.AppendLine($"  Time below range (<70): {summary.TimeBelowRange}%");
+            sb.AppendLine($"  Time in range ({ranges.Describe()}): {summary.TimeInRange}%");
+            sb.AppendLine($"  Time above range: {summary.TimeAboveRange}%");
+            sb.AppendLine($"  Time below range: {summary.TimeBelowRange}%");
         }
         sb.AppendLine();
 
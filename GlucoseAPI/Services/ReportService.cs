@@ -1,4 +1,5 @@
 using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
 using GlucoseAPI.Models;
 using Microsoft.EntityFrameworkCore;
 using QuestPDF.Fluent;
@@ -34,11 +35,15 @@ public class ReportService
         _logger = logger;
     }
 
-    /// <summary>Generate a PDF report for the given date range.</summary>
-    public async Task<byte[]> GenerateReportAsync(DateTime fromDate, DateTime toDate, CancellationToken ct)
+    /// <summary>
+    /// Generate a PDF report for the given date range. When <paramref name="includeAgp"/> is set,
+    /// an Ambulatory Glucose Profile page is appended.
+    /// </summary>
+    public async Task<byte[]> GenerateReportAsync(DateTime fromDate, DateTime toDate, bool includeAgp, CancellationToken ct)
     {
         var tz = await _settings.GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw");
         var tzInfo = TimeZoneInfo.FindSystemTimeZoneById(tz);
+        var ranges = await _settings.GetTargetRangeProfileAsync(tzInfo);
 
         // Convert local dates to UTC boundaries
         var fromLocal = fromDate.Date;
@@ -74,9 +79,9 @@ public class ReportService
             stdDev = Math.Round(Math.Sqrt(variance), 1);
         }
 
-        var inRangeCount = readings.Count(r => r.Value >= 70 && r.Value <= 180);
-        var belowRangeCount = readings.Count(r => r.Value < 70);
-        var aboveRangeCount = readings.Count(r => r.Value > 180);
+        var inRangeCount = readings.Count(r => ranges.At(r.Timestamp).IsInRange(r.Value));
+        var belowRangeCount = readings.Count(r => r.Value < ranges.At(r.Timestamp).Low);
+        var aboveRangeCount = readings.Count(r => r.Value > ranges.At(r.Timestamp).High);
         double? timeInRange = totalReadings > 0 ? Math.Round((double)inRangeCount / totalReadings * 100, 1) : null;
         double? timeBelowRange = totalReadings > 0 ? Math.Round((double)belowRangeCount / totalReadings * 100, 1) : null;
         double? timeAboveRange = totalReadings > 0 ? Math.Round((double)aboveRangeCount / totalReadings * 100, 1) : null;
@@ -108,13 +113,31 @@ public class ReportService
                 page.Header().Element(c => ComposeHeader(c, fromLocal, toLocal.AddDays(-1), tz, totalDays));
 
                 page.Content().Element(c => ComposeContent(c,
-                    readings, events, dailySummaries, tzInfo,
+                    readings, events, dailySummaries, tzInfo, ranges,
                     totalReadings, avgGlucose, minGlucose, maxGlucose, stdDev,
                     timeInRange, timeBelowRange, timeAboveRange,
                     estimatedA1C, gmi, cv, totalDays));
 
                 page.Footer().Element(ComposeFooter);
             });
+
+            if (includeAgp && readings.Count > 0)
+            {
+                var agpSlots = GlucoseStatsCalculator.ComputeAgp(readings, tzInfo);
+
+                container.Page(page =>
+                {
+                    page.Size(PageSizes.A4);
+                    page.MarginTop(40);
+                    page.MarginBottom(40);
+                    page.MarginHorizontal(45);
+                    page.DefaultTextStyle(x => x.FontSize(9).FontColor(ColorGrayDark));
+
+                    page.Header().Element(c => ComposeHeader(c, fromLocal, toLocal.AddDays(-1), tz, totalDays));
+                    page.Content().Element(c => ComposeAgp(c, agpSlots, ranges.Day, totalDays));
+                    page.Footer().Element(ComposeFooter);
+                });
+            }
         });
 
         return document.GeneratePdf();
@@ -163,7 +186,7 @@ public class ReportService
 
     private void ComposeContent(IContainer container,
         List<GlucoseReading> readings, List<GlucoseEvent> events, List<DailySummary> dailySummaries,
-        TimeZoneInfo tzInfo,
+        TimeZoneInfo tzInfo, TargetRangeProfile ranges,
         int totalReadings, double? avgGlucose, double? minGlucose, double? maxGlucose, double? stdDev,
         double? timeInRange, double? timeBelowRange, double? timeAboveRange,
         double? estimatedA1C, double? gmi, double? cv, int totalDays)
@@ -180,19 +203,19 @@ public class ReportService
             if (timeInRange.HasValue)
             {
                 col.Item().PaddingTop(12).Element(c => ComposeTimeInRangeBar(c,
-                    timeInRange.Value, timeBelowRange ?? 0, timeAboveRange ?? 0));
+                    timeInRange.Value, timeBelowRange ?? 0, timeAboveRange ?? 0, ranges));
             }
 
             // ── Glucose Trend Chart ────────────────────────────
             if (readings.Count > 1)
             {
-                col.Item().PaddingTop(16).Element(c => ComposeGlucoseChart(c, readings, events, tzInfo));
+                col.Item().PaddingTop(16).Element(c => ComposeGlucoseChart(c, readings, events, tzInfo, ranges.Day));
             }
 
             // ── Daily Breakdown ─────────────────────────────
             if (dailySummaries.Any())
             {
-                col.Item().PaddingTop(16).Element(c => ComposeDailyTable(c, dailySummaries, tzInfo));
+                col.Item().PaddingTop(16).Element(c => ComposeDailyTable(c, dailySummaries, tzInfo, ranges.Day));
             }
 
             // ── Events Detail ───────────────────────────────
@@ -204,7 +227,7 @@ public class ReportService
             // ── Glucose Distribution ────────────────────────
             if (readings.Any())
             {
-                col.Item().PaddingTop(16).Element(c => ComposeGlucoseDistribution(c, readings));
+                col.Item().PaddingTop(16).Element(c => ComposeGlucoseDistribution(c, readings, ranges.Day));
             }
 
             // ── AI Insights Summary ─────────────────────────
@@ -323,7 +346,7 @@ public class ReportService
         });
     }
 
-    private void ComposeTimeInRangeBar(IContainer container, double inRange, double belowRange, double aboveRange)
+    private void ComposeTimeInRangeBar(IContainer container, double inRange, double belowRange, double aboveRange, TargetRangeProfile ranges)
     {
         container.Column(col =>
         {
@@ -347,17 +370,17 @@ public class ReportService
                 row.RelativeItem().Text(text =>
                 {
                     text.Span("■ ").FontColor(ColorRed).FontSize(8);
-                    text.Span($"Below (<70): {belowRange}%  ").FontSize(7).FontColor(ColorGrayMedium);
+                    text.Span($"Below (<{ranges.Day.Low:0}): {belowRange}%  ").FontSize(7).FontColor(ColorGrayMedium);
                     text.Span("■ ").FontColor(ColorGreen).FontSize(8);
-                    text.Span($"In Range (70-180): {inRange}%  ").FontSize(7).FontColor(ColorGrayMedium);
+                    text.Span($"In Range ({ranges.Describe()}): {inRange}%  ").FontSize(7).FontColor(ColorGrayMedium);
                     text.Span("■ ").FontColor(ColorYellow).FontSize(8);
-                    text.Span($"Above (>180): {aboveRange}%").FontSize(7).FontColor(ColorGrayMedium);
+                    text.Span($"Above (>{ranges.Day.High:0}): {aboveRange}%").FontSize(7).FontColor(ColorGrayMedium);
                 });
             });
         });
     }
 
-    private void ComposeDailyTable(IContainer container, List<DailySummary> dailySummaries, TimeZoneInfo tzInfo)
+    private void ComposeDailyTable(IContainer container, List<DailySummary> dailySummaries, TimeZoneInfo tzInfo, GlucoseTargetRange range)
     {
         container.Column(col =>
         {
@@ -410,11 +433,11 @@ public class ReportService
 
                     table.Cell().Element(c => DataCell(c, isAlt)).AlignRight()
                         .Text($"{FormatValue(day.GlucoseMin)}").FontSize(8)
-                        .FontColor(day.GlucoseMin.HasValue && day.GlucoseMin < 70 ? ColorRed : ColorGrayDark);
+                        .FontColor(day.GlucoseMin.HasValue && day.GlucoseMin < range.Low ? ColorRed : ColorGrayDark);
 
                     table.Cell().Element(c => DataCell(c, isAlt)).AlignRight()
                         .Text($"{FormatValue(day.GlucoseMax)}").FontSize(8)
-                        .FontColor(day.GlucoseMax.HasValue && day.GlucoseMax > 180 ? ColorYellow : ColorGrayDark);
+                        .FontColor(day.GlucoseMax.HasValue && day.GlucoseMax > range.High ? ColorYellow : ColorGrayDark);
 
                     table.Cell().Element(c => DataCell(c, isAlt)).AlignRight()
                         .Text($"{FormatValue(day.TimeInRange)}%").FontSize(8)
@@ -506,7 +529,7 @@ public class ReportService
     }
 
     private void ComposeGlucoseChart(IContainer container,
-        List<GlucoseReading> readings, List<GlucoseEvent> events, TimeZoneInfo tzInfo)
+        List<GlucoseReading> readings, List<GlucoseEvent> events, TimeZoneInfo tzInfo, GlucoseTargetRange range)
     {
         // Render chart as a PNG image using SkiaSharp, then embed in PDF
         // Using 3× resolution for crisp rendering when scaled down in PDF
@@ -542,9 +565,9 @@ public class ReportService
             using var bgPaint = new SKPaint { Color = SKColor.Parse("#f8fafc"), Style = SKPaintStyle.Fill };
             canvas.DrawRect(marginLeft, marginTop, plotW, plotH, bgPaint);
 
-            // ── Target range band (70-180) ──
-            var rangeLow = Math.Max(70, minVal);
-            var rangeHigh = Math.Min(180, maxVal);
+            // ── Target range band ──
+            var rangeLow = Math.Max(range.Low, minVal);
+            var rangeHigh = Math.Min(range.High, maxVal);
             if (rangeHigh > rangeLow)
             {
                 var yTop = YOf(rangeHigh);
@@ -581,7 +604,7 @@ public class ReportService
                 canvas.DrawText($"{v}", marginLeft - 10, y + 7, axisLabelPaint);
             }
 
-            // ── Target range boundary lines (70, 180) ──
+            // ── Target range boundary lines ──
             using var targetLinePaint = new SKPaint
             {
                 Color = SKColor.Parse("#22c55e").WithAlpha(100),
@@ -589,10 +612,10 @@ public class ReportService
                 StrokeWidth = 2.4f,
                 PathEffect = SKPathEffect.CreateDash(new[] { 12f, 6f }, 0)
             };
-            if (70 >= minVal && 70 <= maxVal)
-                canvas.DrawLine(marginLeft, YOf(70), marginLeft + plotW, YOf(70), targetLinePaint);
-            if (180 >= minVal && 180 <= maxVal)
-                canvas.DrawLine(marginLeft, YOf(180), marginLeft + plotW, YOf(180), targetLinePaint);
+            if (range.Low >= minVal && range.Low <= maxVal)
+                canvas.DrawLine(marginLeft, YOf(range.Low), marginLeft + plotW, YOf(range.Low), targetLinePaint);
+            if (range.High >= minVal && range.High <= maxVal)
+                canvas.DrawLine(marginLeft, YOf(range.High), marginLeft + plotW, YOf(range.High), targetLinePaint);
 
             // ── Target range labels ──
             using var targetLabelPaint = new SKPaint
@@ -601,10 +624,10 @@ public class ReportService
                 TextSize = 18f,
                 IsAntialias = true
             };
-            if (70 >= minVal && 70 <= maxVal)
-                canvas.DrawText("70", marginLeft + 6, YOf(70) - 6, targetLabelPaint);
-            if (180 >= minVal && 180 <= maxVal)
-                canvas.DrawText("180", marginLeft + 6, YOf(180) - 6, targetLabelPaint);
+            if (range.Low >= minVal && range.Low <= maxVal)
+                canvas.DrawText($"{range.Low:0}", marginLeft + 6, YOf(range.Low) - 6, targetLabelPaint);
+            if (range.High >= minVal && range.High <= maxVal)
+                canvas.DrawText($"{range.High:0}", marginLeft + 6, YOf(range.High) - 6, targetLabelPaint);
 
             // ── X-axis date labels ──
             var totalSpan = TimeSpan.FromTicks(tMax - tMin);
@@ -699,12 +722,12 @@ public class ReportService
                 if (gap > 30) continue;
                 var v0 = plotReadings[i - 1].Value;
                 var v1 = plotReadings[i].Value;
-                if (v0 > 180 || v1 > 180)
+                if (v0 > range.High || v1 > range.High)
                 {
                     canvas.DrawLine(XOf(plotReadings[i - 1].Timestamp), YOf(v0),
                         XOf(plotReadings[i].Timestamp), YOf(v1), highPaint);
                 }
-                else if (v0 < 70 || v1 < 70)
+                else if (v0 < range.Low || v1 < range.Low)
                 {
                     canvas.DrawLine(XOf(plotReadings[i - 1].Timestamp), YOf(v0),
                         XOf(plotReadings[i].Timestamp), YOf(v1), lowPaint);
@@ -769,19 +792,19 @@ public class ReportService
             // Above Range
             legendLinePaint.Color = SKColor.Parse("#ef4444");
             canvas.DrawLine(legendX, legendY, legendX + 30, legendY, legendLinePaint);
-            canvas.DrawText("Above Range (>180)", legendX + 38, legendY + 6, legendTextPaint);
+            canvas.DrawText($"Above Range (>{range.High:0})", legendX + 38, legendY + 6, legendTextPaint);
             legendX += 250;
 
             // Below Range
             legendLinePaint.Color = SKColor.Parse("#eab308");
             canvas.DrawLine(legendX, legendY, legendX + 30, legendY, legendLinePaint);
-            canvas.DrawText("Below Range (<70)", legendX + 38, legendY + 6, legendTextPaint);
+            canvas.DrawText($"Below Range (<{range.Low:0})", legendX + 38, legendY + 6, legendTextPaint);
             legendX += 240;
 
             // Target Zone
             using var legendRangePaint = new SKPaint { Color = SKColor.Parse("#22c55e").WithAlpha(50), Style = SKPaintStyle.Fill };
             canvas.DrawRect(legendX, legendY - 9, 18, 18, legendRangePaint);
-            canvas.DrawText("Target Zone (70-180)", legendX + 26, legendY + 6, legendTextPaint);
+            canvas.DrawText($"Target Zone ({range.Low:0}-{range.High:0})", legendX + 26, legendY + 6, legendTextPaint);
             legendX += 260;
 
             // Events
@@ -804,18 +827,184 @@ public class ReportService
         });
     }
 
-    private void ComposeGlucoseDistribution(IContainer container, List<GlucoseReading> readings)
+    private void ComposeAgp(IContainer container, IReadOnlyList<AgpSlot> slots, GlucoseTargetRange range, int totalDays)
+    {
+        // Same SkiaSharp approach as the trend chart: render at 3× and embed as PNG
+        const int imgW = 1515;
+        const int imgH = 780;
+        const float marginLeft = 120f;
+        const float marginRight = 30f;
+        const float marginTop = 30f;
+        const float marginBottom = 90f;
+        const float plotW = imgW - marginLeft - marginRight;
+        const float plotH = imgH - marginTop - marginBottom;
+        const float minutesPerDay = 24 * 60;
+
+        var minVal = Math.Max(40, Math.Min(slots.Min(s => s.P5), range.Low) - 10);
+        var maxVal = Math.Min(400, Math.Max(slots.Max(s => s.P95), range.High) + 10);
+
+        float XOf(int minuteOfDay) => marginLeft + minuteOfDay / minutesPerDay * plotW;
+        float YOf(double val) => marginTop + (float)((maxVal - val) / (maxVal - minVal)) * plotH;
+
+        // Slots are plotted at their centre so the bands span the full day
+        var slotMinutes = slots.Count > 1 ? slots[1].MinuteOfDay - slots[0].MinuteOfDay : 15;
+        float XOfSlot(AgpSlot s) => XOf(s.MinuteOfDay + slotMinutes / 2);
+
+        SKPath BandPath(Func<AgpSlot, double> upper, Func<AgpSlot, double> lower)
+        {
+            var path = new SKPath();
+            path.MoveTo(XOfSlot(slots[0]), YOf(upper(slots[0])));
+            foreach (var s in slots.Skip(1))
+                path.LineTo(XOfSlot(s), YOf(upper(s)));
+            foreach (var s in slots.Reverse())
+                path.LineTo(XOfSlot(s), YOf(lower(s)));
+            path.Close();
+            return path;
+        }
+
+        byte[] chartImageBytes;
+        using (var surface = SKSurface.Create(new SKImageInfo(imgW, imgH, SKColorType.Rgba8888, SKAlphaType.Premul)))
+        {
+            var canvas = surface.Canvas;
+            canvas.Clear(SKColors.White);
+
+            using var bgPaint = new SKPaint { Color = SKColor.Parse("#f8fafc"), Style = SKPaintStyle.Fill };
+            canvas.DrawRect(marginLeft, marginTop, plotW, plotH, bgPaint);
+
+            // ── Target range band ──
+            using var rangePaint = new SKPaint { Color = SKColor.Parse("#22c55e").WithAlpha(30), Style = SKPaintStyle.Fill };
+            canvas.DrawRect(marginLeft, YOf(range.High), plotW, YOf(range.Low) - YOf(range.High), rangePaint);
+
+            // ── Grid lines & Y-axis labels ──
+            var yStep = (maxVal - minVal) <= 100 ? 20 : (maxVal - minVal) <= 200 ? 40 : 50;
+            using var gridPaint = new SKPaint
+            {
+                Color = SKColor.Parse("#e2e8f0"),
+                Style = SKPaintStyle.Stroke,
+                StrokeWidth = 1.5f,
+                PathEffect = SKPathEffect.CreateDash(new[] { 8f, 8f }, 0)
+            };
+            using var axisLabelPaint = new SKPaint
+            {
+                Color = SKColor.Parse("#64748b"),
+                TextSize = 21f,
+                IsAntialias = true,
+                TextAlign = SKTextAlign.Right
+            };
+            for (var v = (int)(Math.Ceiling(minVal / yStep) * yStep); v <= maxVal; v += yStep)
+            {
+                canvas.DrawLine(marginLeft, YOf(v), marginLeft + plotW, YOf(v), gridPaint);
+                canvas.DrawText($"{v}", marginLeft - 10, YOf(v) + 7, axisLabelPaint);
+            }
+
+            // ── X-axis hour labels ──
+            using var xLabelPaint = new SKPaint
+            {
+                Color = SKColor.Parse("#64748b"),
+                TextSize = 19.5f,
+                IsAntialias = true,
+                TextAlign = SKTextAlign.Center
+            };
+            for (var hour = 0; hour <= 24; hour += 3)
+            {
+                var x = XOf(hour * 60);
+                canvas.DrawLine(x, marginTop, x, marginTop + plotH, gridPaint);
+                canvas.DrawText($"{hour % 24:00}:00", x, marginTop + plotH + 36, xLabelPaint);
+            }
+
+            // ── Percentile bands ──
+            using var outerPaint = new SKPaint { Color = SKColor.Parse("#0ea5e9").WithAlpha(45), Style = SKPaintStyle.Fill, IsAntialias = true };
+            using var innerPaint = new SKPaint { Color = SKColor.Parse("#0ea5e9").WithAlpha(110), Style = SKPaintStyle.Fill, IsAntialias = true };
+            using (var outer = BandPath(s => s.P95, s => s.P5))
+                canvas.DrawPath(outer, outerPaint);
+            using (var inner = BandPath(s => s.P75, s => s.P25))
+                canvas.DrawPath(inner, innerPaint);
+
+            // ── Median ──
+            using var medianPaint = new SKPaint
+            {
+                Color = SKColor.Parse("#0369a1"),
+                Style = SKPaintStyle.Stroke,
+                StrokeWidth = 4.2f,
+                IsAntialias = true,
+                StrokeJoin = SKStrokeJoin.Round
+            };
+            using var median = new SKPath();
+            median.MoveTo(XOfSlot(slots[0]), YOf(slots[0].P50));
+            foreach (var s in slots.Skip(1))
+                median.LineTo(XOfSlot(s), YOf(s.P50));
+            canvas.DrawPath(median, medianPaint);
+
+            // ── Target range boundary lines ──
+            using var targetLinePaint = new SKPaint
+            {
+                Color = SKColor.Parse("#22c55e").WithAlpha(140),
+                Style = SKPaintStyle.Stroke,
+                StrokeWidth = 2.4f,
+                PathEffect = SKPathEffect.CreateDash(new[] { 12f, 6f }, 0)
+            };
+            canvas.DrawLine(marginLeft, YOf(range.Low), marginLeft + plotW, YOf(range.Low), targetLinePaint);
+            canvas.DrawLine(marginLeft, YOf(range.High), marginLeft + plotW, YOf(range.High), targetLinePaint);
+
+            // ── Plot border ──
+            using var borderPaint = new SKPaint { Color = SKColor.Parse("#cbd5e1"), Style = SKPaintStyle.Stroke, StrokeWidth = 3f };
+            canvas.DrawRect(marginLeft, marginTop, plotW, plotH, borderPaint);
+
+            // ── Legend at bottom ──
+            var legendY = imgH - 24f;
+            var legendX = marginLeft;
+            using var legendTextPaint = new SKPaint { TextSize = 18f, IsAntialias = true, Color = SKColor.Parse("#475569") };
+
+            canvas.DrawLine(legendX, legendY, legendX + 30, legendY, medianPaint);
+            canvas.DrawText("Median", legendX + 38, legendY + 6, legendTextPaint);
+            legendX += 140;
+
+            canvas.DrawRect(legendX, legendY - 9, 18, 18, innerPaint);
+            canvas.DrawText("25–75%", legendX + 26, legendY + 6, legendTextPaint);
+            legendX += 140;
+
+            canvas.DrawRect(legendX, legendY - 9, 18, 18, outerPaint);
+            canvas.DrawText("5–95%", legendX + 26, legendY + 6, legendTextPaint);
+            legendX += 130;
+
+            canvas.DrawRect(legendX, legendY - 9, 18, 18, rangePaint);
+            canvas.DrawText($"Target Zone ({range.Low:0}-{range.High:0})", legendX + 26, legendY + 6, legendTextPaint);
+
+            canvas.Flush();
+            using var image = surface.Snapshot();
+            using var data = image.Encode(SKEncodedImageFormat.Png, 90);
+            chartImageBytes = data.ToArray();
+        }
+
+        container.Column(col =>
+        {
+            col.Item().Text("Ambulatory Glucose Profile (AGP)").FontSize(13).Bold().FontColor(ColorPrimary);
+            col.Item().PaddingTop(4).LineHorizontal(1).LineColor(ColorBorderLight);
+            col.Item().PaddingTop(6).Text(
+                $"All {totalDays} day{(totalDays != 1 ? "s" : "")} of readings overlaid on a single 24-hour day. " +
+                "The line is the median; the shaded bands contain 50% (25th–75th percentile) and 90% (5th–95th percentile) of readings at each time of day.")
+                .FontSize(8).FontColor(ColorGrayMedium);
+            if (totalDays < 14)
+            {
+                col.Item().PaddingTop(2).Text("Note: at least 14 days of data are recommended for a representative AGP.")
+                    .FontSize(8).Italic().FontColor(ColorYellow);
+            }
+            col.Item().PaddingTop(8).Image(chartImageBytes);
+        });
+    }
+
+    private void ComposeGlucoseDistribution(IContainer container, List<GlucoseReading> readings, GlucoseTargetRange range)
     {
-        // Create distribution buckets
-        var buckets = new (string Label, int Min, int Max, string Color)[]
+        // Create distribution buckets from the user's target range (in-range split at its midpoint)
+        var mid = Math.Round((range.Low + range.High) / 2);
+        var buckets = new (string Label, Func<double, bool> Contains, string Color)[]
         {
-            ("< 54", 0, 54, ColorRed),
-            ("54-69", 54, 70, "#fb923c"),
-            ("70-100", 70, 101, ColorGreen),
-            ("100-140", 101, 141, ColorGreen),
-            ("140-180", 141, 181, ColorYellow),
-            ("180-250", 181, 251, "#fb923c"),
-            ("> 250", 251, 999, ColorRed)
+            ($"< {range.VeryLow:0}", v => v < range.VeryLow, ColorRed),
+            ($"{range.VeryLow:0}-{range.Low:0}", v => v >= range.VeryLow && v < range.Low, "#fb923c"),
+            ($"{range.Low:0}-{mid:0}", v => v >= range.Low && v < mid, ColorGreen),
+            ($"{mid:0}-{range.High:0}", v => v >= mid && v <= range.High, ColorGreen),
+            ($"{range.High:0}-{range.VeryHigh:0}", v => v > range.High && v <= range.VeryHigh, "#fb923c"),
+            ($"> {range.VeryHigh:0}", v => v > range.VeryHigh, ColorRed)
         };
 
         var total = readings.Count;
@@ -823,8 +1012,8 @@ public class ReportService
         {
             b.Label,
             b.Color,
-            Count = readings.Count(r => r.Value >= b.Min && r.Value < b.Max),
-            Pct = total > 0 ? Math.Round((double)readings.Count(r => r.Value >= b.Min && r.Value < b.Max) / total * 100, 1) : 0
+            Count = readings.Count(r => b.Contains(r.Value)),
+            Pct = total > 0 ? Math.Round((double)readings.Count(r => b.Contains(r.Value)) / total * 100, 1) : 0
         }).ToList();
 
         container.Column(col =>
@@ -18,6 +18,14 @@ public class SamsungNotesSyncService : BackgroundService
     private readonly IEventLogger _eventLogger;
     private readonly int _syncIntervalMinutes;
 
+    private DateTime? _lastRunUtc;
+    private DateTime? _lastSuccessUtc;
+    private DateTime? _nextRunUtc;
+    private int? _lastSynced;
+    private string? _lastError;
+    private bool _isRunning;
+    private bool _isAvailable = true;
+
     public SamsungNotesSyncService(
         IServiceProvider serviceProvider,
         ILogger<SamsungNotesSyncService> logger,
@@ -37,23 +45,39 @@ public class SamsungNotesSyncService : BackgroundService
         _logger.LogInformation("SamsungNotesSyncService started. Sync interval: {Interval} minutes.", _syncIntervalMinutes);
 
         // Wait for DB to be ready
+        _nextRunUtc = DateTime.UtcNow.AddSeconds(20);
         await Task.Delay(TimeSpan.FromSeconds(20), stoppingToken);
 
         while (!stoppingToken.IsCancellationRequested)
         {
             try
             {
-                await SyncNotesAsync();
+                await RunSyncAsync();
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error syncing Samsung Notes.");
             }
 
+            _nextRunUtc = DateTime.UtcNow.AddMinutes(_syncIntervalMinutes);
             await Task.Delay(TimeSpan.FromMinutes(_syncIntervalMinutes), stoppingToken);
         }
     }
 
+    /// <summary>Schedule and outcome of the sync loop, for the sync status endpoint.</summary>
+    public BackgroundServiceStatusDto GetStatus() => new()
+    {
+        Name = nameof(SamsungNotesSyncService),
+        IsAvailable = _isAvailable,
+        IsRunning = _isRunning,
+        IntervalMinutes = _syncIntervalMinutes,
+        LastRunUtc = _lastRunUtc,
+        LastSuccessUtc = _lastSuccessUtc,
+        NextRunUtc = _nextRunUtc,
+        LastItemCount = _lastSynced,
+        LastError = _lastError
+    };
+
     /// <summary>
     /// Manually trigger a Samsung Notes sync.
     /// Can be called from an API controller.
@@ -61,17 +85,41 @@ public class SamsungNotesSyncService : BackgroundService
     public async Task<string> TriggerSyncAsync()
     {
         _logger.LogInformation("Manual Samsung Notes sync triggered.");
-        await SyncNotesAsync();
+        await RunSyncAsync();
         return "Samsung Notes sync completed.";
     }
 
+    private async Task RunSyncAsync()
+    {
+        _isRunning = true;
+        _lastRunUtc = DateTime.UtcNow;
+        try
+        {
+            await SyncNotesAsync();
+            _lastSuccessUtc = DateTime.UtcNow;
+            _lastError = null;
+        }
+        catch (Exception ex)
+        {
+            _lastError = ex.Message;
+            throw;
+        }
+        finally
+        {
+            _isRunning = false;
+        }
+    }
+
     private async Task SyncNotesAsync()
     {
+        _lastSynced = 0;
+
         using var scope = _serviceProvider.CreateScope();
         var reader = scope.ServiceProvider.GetRequiredService<SamsungNotesReader>();
         var db = scope.ServiceProvider.GetRequiredService<GlucoseDbContext>();
 
-        if (!reader.IsAvailable())
+        _isAvailable = reader.IsAvailable();
+        if (!_isAvailable)
         {
             _logger.LogDebug("Samsung Notes data directory not available. Skipping sync.");
             return;
@@ -147,6 +195,8 @@ public class SamsungNotesSyncService : BackgroundService
             }
         }
 
+        _lastSynced = inserted + updated;
+
         if (inserted > 0 || updated > 0)
         {
             await db.SaveChangesAsync();
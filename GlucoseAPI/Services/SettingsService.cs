@@ -1,4 +1,6 @@
+using System.Globalization;
 using GlucoseAPI.Data;
+using GlucoseAPI.Domain.Services;
 using GlucoseAPI.Models;
 using Microsoft.EntityFrameworkCore;
 
@@ -105,4 +107,145 @@ public class SettingsService
         await SetAsync(SettingKeys.DisplayTimeZone, dto.TimeZone ?? "Europe/Warsaw");
         await SetAsync(SettingKeys.GptModelName, dto.GptModelName ?? "gpt-4o-mini");
     }
+
+    public virtual async Task<DisplaySettingsDto> GetDisplaySettingsAsync()
+    {
+        var unit = await GetAsync(SettingKeys.DisplayGlucoseUnit, GlucoseUnits.MgDl);
+
+        return new DisplaySettingsDto
+        {
+            GlucoseUnit = GlucoseUnits.IsValid(unit) ? unit : GlucoseUnits.MgDl,
+            StaleAfterMinutes = await GetIntAsync(SettingKeys.DisplayStaleAfterMinutes, new DisplaySettingsDto().StaleAfterMinutes),
+            TimeZone = await GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw")
+        };
+    }
+
+    public async Task SaveDisplaySettingsAsync(DisplaySettingsDto dto)
+    {
+        await SetAsync(SettingKeys.DisplayGlucoseUnit, dto.GlucoseUnit);
+        await SetAsync(SettingKeys.DisplayStaleAfterMinutes, dto.StaleAfterMinutes.ToString());
+    }
+
+    public async Task<TargetRangeSettingsDto> GetTargetRangeSettingsAsync()
+    {
+        var defaults = new TargetRangeDto();
+
+        return new TargetRangeSettingsDto
+        {
+            Day = new TargetRangeDto
+            {
+                VeryLow = await GetDoubleAsync(SettingKeys.RangeVeryLow, defaults.VeryLow),
+                Low = await GetDoubleAsync(SettingKeys.RangeLow, defaults.Low),
+                High = await GetDoubleAsync(SettingKeys.RangeHigh, defaults.High),
+                VeryHigh = await GetDoubleAsync(SettingKeys.RangeVeryHigh, defaults.VeryHigh)
+            },
+            NightEnabled = bool.TryParse(await GetAsync(SettingKeys.RangeNightEnabled, "false"), out var night) && night,
+            Night = new TargetRangeDto
+            {
+                VeryLow = await GetDoubleAsync(SettingKeys.RangeNightVeryLow, defaults.VeryLow),
+                Low = await GetDoubleAsync(SettingKeys.RangeNightLow, defaults.Low),
+                High = await GetDoubleAsync(SettingKeys.RangeNightHigh, defaults.High),
+                VeryHigh = await GetDoubleAsync(SettingKeys.RangeNightVeryHigh, defaults.VeryHigh)
+            },
+            NightStart = await GetAsync(SettingKeys.RangeNightStart, "22:00"),
+            NightEnd = await GetAsync(SettingKeys.RangeNightEnd, "06:00")
+        };
+    }
+
+    public async Task SaveTargetRangeSettingsAsync(TargetRangeSettingsDto dto)
+    {
+        await SetAsync(SettingKeys.RangeVeryLow, dto.Day.VeryLow.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeLow, dto.Day.Low.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeHigh, dto.Day.High.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeVeryHigh, dto.Day.VeryHigh.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeNightEnabled, dto.NightEnabled.ToString());
+        await SetAsync(SettingKeys.RangeNightVeryLow, dto.Night.VeryLow.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeNightLow, dto.Night.Low.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeNightHigh, dto.Night.High.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeNightVeryHigh, dto.Night.VeryHigh.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.RangeNightStart, dto.NightStart);
+        await SetAsync(SettingKeys.RangeNightEnd, dto.NightEnd);
+    }
+
+    public async Task<AlertSettingsDto> GetAlertSettingsAsync()
+    {
+        var defaults = new AlertSettingsDto();
+
+        return new AlertSettingsDto
+        {
+            Enabled = await GetBoolAsync(SettingKeys.AlertsEnabled, defaults.Enabled),
+            UrgentLowEnabled = await GetBoolAsync(SettingKeys.AlertUrgentLowEnabled, defaults.UrgentLowEnabled),
+            UrgentLow = await GetDoubleAsync(SettingKeys.AlertUrgentLow, defaults.UrgentLow),
+            LowEnabled = await GetBoolAsync(SettingKeys.AlertLowEnabled, defaults.LowEnabled),
+            Low = await GetDoubleAsync(SettingKeys.AlertLow, defaults.Low),
+            HighEnabled = await GetBoolAsync(SettingKeys.AlertHighEnabled, defaults.HighEnabled),
+            High = await GetDoubleAsync(SettingKeys.AlertHigh, defaults.High),
+            RapidFallEnabled = await GetBoolAsync(SettingKeys.AlertRapidFallEnabled, defaults.RapidFallEnabled),
+            NoDataEnabled = await GetBoolAsync(SettingKeys.AlertNoDataEnabled, defaults.NoDataEnabled),
+            NoDataMinutes = await GetIntAsync(SettingKeys.AlertNoDataMinutes, defaults.NoDataMinutes),
+            ReAlertMinutes = await GetIntAsync(SettingKeys.AlertReAlertMinutes, defaults.ReAlertMinutes),
+            SnoozeMinutes = await GetIntAsync(SettingKeys.AlertSnoozeMinutes, defaults.SnoozeMinutes),
+            QuietHoursEnabled = await GetBoolAsync(SettingKeys.AlertQuietHoursEnabled, defaults.QuietHoursEnabled),
+            QuietStart = await GetAsync(SettingKeys.AlertQuietStart, defaults.QuietStart),
+            QuietEnd = await GetAsync(SettingKeys.AlertQuietEnd, defaults.QuietEnd)
+        };
+    }
+
+    public async Task SaveAlertSettingsAsync(AlertSettingsDto dto)
+    {
+        await SetAsync(SettingKeys.AlertsEnabled, dto.Enabled.ToString());
+        await SetAsync(SettingKeys.AlertUrgentLowEnabled, dto.UrgentLowEnabled.ToString());
+        await SetAsync(SettingKeys.AlertUrgentLow, dto.UrgentLow.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.AlertLowEnabled, dto.LowEnabled.ToString());
+        await SetAsync(SettingKeys.AlertLow, dto.Low.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.AlertHighEnabled, dto.HighEnabled.ToString());
+        await SetAsync(SettingKeys.AlertHigh, dto.High.ToString(CultureInfo.InvariantCulture));
+        await SetAsync(SettingKeys.AlertRapidFallEnabled, dto.RapidFallEnabled.ToString());
+        await SetAsync(SettingKeys.AlertNoDataEnabled, dto.NoDataEnabled.ToString());
+        await SetAsync(SettingKeys.AlertNoDataMinutes, dto.NoDataMinutes.ToString());
+        await SetAsync(SettingKeys.AlertReAlertMinutes, dto.ReAlertMinutes.ToString());
+        await SetAsync(SettingKeys.AlertSnoozeMinutes, dto.SnoozeMinutes.ToString());
+        await SetAsync(SettingKeys.AlertQuietHoursEnabled, dto.QuietHoursEnabled.ToString());
+        await SetAsync(SettingKeys.AlertQuietStart, dto.QuietStart);
+        await SetAsync(SettingKeys.AlertQuietEnd, dto.QuietEnd);
+    }
+
+    /// <summary>
+    /// Target-range profile used by every time-in-range calculation.
+    /// Night windows are evaluated in <paramref name="tz"/>, or in the configured display timezone when omitted.
+    /// </summary>
+    public virtual async Task<TargetRangeProfile> GetTargetRangeProfileAsync(TimeZoneInfo? tz = null)
+    {
+        tz ??= TimeZoneInfo.TryFindSystemTimeZoneById(
+            await GetAsync(SettingKeys.DisplayTimeZone, "Europe/Warsaw"), out var configured)
+            ? configured
+            : TimeZoneInfo.Utc;
+
+        var dto = await GetTargetRangeSettingsAsync();
+        var day = ToDomain(dto.Day);
+        if (!day.IsValid)
+            return TargetRangeProfile.Standard with { TimeZone = tz };
+
+        var night = ToDomain(dto.Night);
+        return new TargetRangeProfile(
+            day,
+            dto.NightEnabled && night.IsValid ? night : null,
+            TimeSpan.TryParse(dto.NightStart, CultureInfo.InvariantCulture, out var start) ? start : TimeSpan.FromHours(22),
+            TimeSpan.TryParse(dto.NightEnd, CultureInfo.InvariantCulture, out var end) ? end : TimeSpan.FromHours(6),
+            tz);
+    }
+
+    internal static GlucoseTargetRange ToDomain(TargetRangeDto dto) =>
+        new(dto.VeryLow, dto.Low, dto.High, dto.VeryHigh);
+
+    private async Task<double> GetDoubleAsync(string key, double defaultValue) =>
+        double.TryParse(await GetAsync(key), NumberStyles.Float, CultureInfo.InvariantCulture, out var value)
+            ? value
+            : defaultValue;
+
+    private async Task<int> GetIntAsync(string key, int defaultValue) =>
+        int.TryParse(await GetAsync(key), out var value) ? value : defaultValue;
+
+    private async Task<bool> GetBoolAsync(string key, bool defaultValue) =>
+        bool.TryParse(await GetAsync(key), out var value) ? value : defaultValue;
 }
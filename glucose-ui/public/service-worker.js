@@ -0,0 +1,113 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * App-shell service worker. Precaches index.html and the current build's
+ * bundles (listed in asset-manifest.json) so the UI opens without a network;
+ * data for offline use lives in IndexedDB (src/api/offlineStore.js), so API
+ * and SignalR requests are never cached here.
+ *
+ * - Navigations: network first, falling back to the cached index.html.
+ * - /static/ bundles (content-hashed): cache first.
+ * - Icons, manifest and Google Fonts: stale-while-revalidate.
+ *
+ * Bump CACHE_VERSION to drop everything cached by an older worker.
+ */
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `glucose-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `glucose-runtime-${CACHE_VERSION}`;
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+async function precache() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_FILES);
+  // The hashed bundles of the build that is live right now
+  try {
+    const res = await fetch('/asset-manifest.json', { cache: 'no-store' });
+    const manifest = await res.json();
+    const files = (manifest.entrypoints || []).map(path => `/${path.replace(/^\//, '')}`);
+    await cache.addAll(files);
+  } catch (err) {
+    // Bundles are still cached on first use
+    console.warn('[SW] Could not precache build assets:', err);
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// After a deploy, bundles of the previous build are no longer referenced
+async function pruneOldAssets() {
+  const res = await fetch('/asset-manifest.json', { cache: 'no-store' });
+  const current = new Set(Object.values((await res.json()).files || {}).map(path => `/${path.replace(/^\//, '')}`));
+  for (const cacheName of [SHELL_CACHE, RUNTIME_CACHE]) {
+    const cache = await caches.open(cacheName);
+    for (const request of await cache.keys()) {
+      const { pathname } = new URL(request.url);
+      if (pathname.startsWith('/static/') && !current.has(pathname)) await cache.delete(request);
+    }
+  }
+}
+
+async function networkFirstPage(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) {
+      cache.put('/index.html', res.clone());
+      event.waitUntil(pruneOldAssets().catch(() => {}));
+    }
+    return res;
+  } catch (err) {
+    return (await cache.match('/index.html')) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(RUNTIME_CACHE)).put(request, res.clone());
+  return res;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await caches.match(request);
+  const network = fetch(request)
+    .then(res => {
+      // Cross-origin font CSS/files come back opaque; they are still usable
+      if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // Live data: handled by the app (and IndexedDB when offline)
+    if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/glucosehub')) return;
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirstPage(event));
+    } else if (url.pathname.startsWith('/static/')) {
+      event.respondWith(cacheFirst(request));
+    } else if (url.pathname !== '/asset-manifest.json' && url.pathname !== '/service-worker.js') {
+      event.respondWith(staleWhileRevalidate(request));
+    }
+  } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -1,13 +1,26 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { HubConnectionBuilder, LogLevel } from '@microsoft/signalr';
+import { Routes, Route, Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { format } from 'date-fns';
 import GlucoseChart from './components/GlucoseChart';
+import DayOverlayChart from './components/DayOverlayChart';
+import AgpChart, { AGP_MIN_HOURS } from './components/AgpChart';
 import GlucoseTable from './components/GlucoseTable';
 import CurrentReading from './components/CurrentReading';
+import DateRangePicker from './components/DateRangePicker';
+import ChartExportMenu from './components/ChartExportMenu';
+import ExportDialog from './components/ExportDialog';
+import LogEventDialog from './components/LogEventDialog';
+import AlertBanner from './components/AlertBanner';
+import Toaster from './components/Toaster';
+import ConnectionStatus from './components/ConnectionStatus';
+import OfflineBanner from './components/OfflineBanner';
 import SettingsPage from './components/SettingsPage';
 import EventsPage from './components/EventsPage';
 import EventDetailModal from './components/EventDetailModal';
 import AiUsagePage from './components/AiUsagePage';
 import DailySummariesPage from './components/DailySummariesPage';
+import CalendarPage from './components/CalendarPage';
 import ReportsPage from './components/ReportsPage';
 import ComparePage from './components/ComparePage';
 import PeriodSummaryPage from './components/PeriodSummaryPage';
@@ -15,35 +28,53 @@ import EventLogPage from './components/EventLogPage';
 import ChatPage from './components/ChatPage';
 import FoodPatternsPage from './components/FoodPatternsPage';
 import MealsPage from './components/MealsPage';
+import ImportPage from './components/ImportPage';
+import useOpenEvent from './hooks/useOpenEvent';
+import useGlucoseAlerts from './hooks/useGlucoseAlerts';
+import useOfflineSync from './hooks/useOfflineSync';
+import { PAGE_PATHS, pageFromPath } from './config/routes';
+import { parseUtc } from './config/dataFreshness';
+import { formatRange } from './config/dateRange';
+import { useDisplayTimeZone } from './context/DisplaySettingsContext';
+import api, { isOfflineError } from './api/client';
+import { invalidateQueries } from './api/queryCache';
+import { getReadings, getReadingsBetween, getEvents, getMeta, setMeta } from './api/offlineStore';
 import './App.css';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
-const SIGNALR_URL = process.env.REACT_APP_SIGNALR_URL || '/glucosehub';
+// Query-cache prefixes refreshed by each SignalR push (see api/queryCache.js)
+const HUB_INVALIDATIONS = {
+  NewGlucoseData: ['/glucose'],
+  NotesUpdated: ['/notes'],
+  EventsUpdated: ['/events', '/meals'],
+  DailySummariesUpdated: ['/dailysummaries'],
+  AiUsageUpdated: ['/aiusage'],
+  ComparisonsUpdated: ['/comparison'],
+  PeriodSummariesUpdated: ['/periodsummary'],
+  EventLogsUpdated: ['/eventlog'],
+  ChatSessionsUpdated: ['/chat/sessions'],
+  FoodPatternsUpdated: ['/food'],
+};
 
-function formatLocalTimestamp(date) {
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
-}
+const SIGNALR_URL = process.env.REACT_APP_SIGNALR_URL || '/glucosehub';
 
-function downloadCsv(data, label) {
-  const header = 'Timestamp (local),Value (mg/dL),Trend Arrow,Is High,Is Low\n';
-  const rows = [...data]
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-    .map(d => {
-      const ts = formatLocalTimestamp(new Date(d.timestamp));
-      const trend = ['', '↓↓', '↓', '→', '↑', '↑↑'][d.trendArrow] || d.trendArrow;
-      return `${ts},${d.value},${trend},${d.isHigh},${d.isLow}`;
-    })
-    .join('\n');
-
-  const csv = header + rows;
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `glucose_data_${label}_${new Date().toISOString().slice(0, 10)}.csv`;
-  link.click();
-  URL.revokeObjectURL(url);
+/** Horizon of the dashboard's glucose estimate (/api/glucose/forecast). */
+const FORECAST_MINUTES = 60;
+
+// /glucose/range returns compact event markers; the chart expects the event list's field names
+function toChartEvent(e) {
+  return {
+    id: e.id,
+    noteTitle: e.title,
+    eventTimestamp: e.timestamp,
+    glucoseAtEvent: e.glucoseAtEvent,
+    glucoseSpike: e.glucoseSpike,
+    aiClassification: e.classification,
+    eventType: e.eventType,
+    insulinKind: e.insulinKind,
+    insulinUnits: e.insulinUnits,
+    carbsGrams: e.carbsGrams,
+    durationMinutes: e.durationMinutes,
+  };
 }
 
 const NAV_ITEMS = [
@@ -61,6 +92,7 @@ const NAV_ITEMS = [
     items: [
       { id: 'chat', label: 'AI Chat', icon: '💬', desc: 'Ask AI about your data' },
       { id: 'dailysummaries', label: 'Daily Summaries', icon: '📅', desc: 'Day-by-day analysis' },
+      { id: 'calendar', label: 'Calendar', icon: '🗓️', desc: 'Days & events by month' },
       { id: 'periodsummary', label: 'Period Summaries', icon: '📈', desc: 'Custom period analysis' },
       { id: 'compare', label: 'Compare Periods', icon: '⚖️', desc: 'Side-by-side comparison' },
     ],
@@ -69,6 +101,7 @@ const NAV_ITEMS = [
     label: 'Tools', icon: '🔧',
     items: [
       { id: 'reports', label: 'PDF Reports', icon: '📄', desc: 'Reports for your doctor' },
+      { id: 'import', label: 'Import Data', icon: '📥', desc: 'LibreView / Nightscout history' },
       { id: 'aiusage', label: 'AI Usage', icon: '🤖', desc: 'GPT costs & tokens' },
       { id: 'eventlog', label: 'Event Log', icon: '📜', desc: 'System activity log' },
       { id: 'settings', label: 'Settings', icon: '⚙️', desc: 'Configuration' },
@@ -198,83 +231,169 @@ function Nav({ page, setPage }) {
   );
 }
 
+// Event detail modal rendered on top of the page the user came from
+// (see useOpenEvent). Closing it pops the history entry it pushed.
+function RoutedEventModal({ onReprocess }) {
+  const { eventId } = useParams();
+  const navigate = useNavigate();
+  return (
+    <EventDetailModal
+      eventId={Number(eventId)}
+      onClose={() => navigate(-1)}
+      onReprocess={onReprocess}
+    />
+  );
+}
+
 function App() {
-  const [page, setPage] = useState('dashboard');
+  const location = useLocation();
+  const navigate = useNavigate();
+  const openEvent = useOpenEvent();
+  const glucoseAlerts = useGlucoseAlerts();
+  const { online, syncedAt } = useOfflineSync();
+  const timeZone = useDisplayTimeZone();
+  const backgroundLocation = location.state?.backgroundLocation;
+  const page = pageFromPath((backgroundLocation || location).pathname);
+  const setPage = useCallback((id) => navigate(PAGE_PATHS[id] || '/'), [navigate]);
   const [history, setHistory] = useState([]);
   const [stats, setStats] = useState(null);
+  const [forecast, setForecast] = useState(null);
   const [hours, setHours] = useState(24);
   const [customDays, setCustomDays] = useState('');
   const [showCustom, setShowCustom] = useState(false);
+  // Absolute window `{ start, end }` from the range picker; null shows the last `hours`
+  const [range, setRange] = useState(null);
+  const [showRange, setShowRange] = useState(false);
+  const [trendView, setTrendView] = useState('timeline');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isConfigured, setIsConfigured] = useState(true);
-  const [showExportMenu, setShowExportMenu] = useState(false);
-  const [exporting, setExporting] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  // Time to prefill in the log-event dialog; null while it is closed
+  const [logEventAt, setLogEventAt] = useState(null);
   const [events, setEvents] = useState([]);
-  const [selectedEventId, setSelectedEventId] = useState(null);
   const [aiUsageVersion, setAiUsageVersion] = useState(0);
   const [syncing, setSyncing] = useState(false);
   const [syncResult, setSyncResult] = useState(null);
-  const exportRef = useRef(null);
-
-  // Close export menu when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (e) => {
-      if (exportRef.current && !exportRef.current.contains(e.target)) {
-        setShowExportMenu(false);
+  const [hubStatus, setHubStatus] = useState('connecting');
+  const [lastPushAt, setLastPushAt] = useState(null);
+  const trendChartRef = useRef(null);
+  const connectionRef = useRef(null);
+
+  // Offline: the copy kept by useOfflineSync stands in for the API
+  const loadOfflineDashboard = useCallback(async () => {
+    setForecast(null);
+    if (range) {
+      const [offlineHistory, allEvents] = await Promise.all([
+        getReadingsBetween(range.start, range.end),
+        getEvents(),
+      ]);
+      setHistory(offlineHistory);
+      setStats(null);
+      setEvents(allEvents.filter(e => {
+        const time = parseUtc(e.eventTimestamp);
+        return time >= range.start && time < range.end;
+      }));
+      if (offlineHistory.length === 0) {
+        setError('You are offline and no readings for this window are saved on this device.');
       }
-    };
-    if (showExportMenu) {
-      document.addEventListener('mousedown', handleClickOutside);
-      return () => document.removeEventListener('mousedown', handleClickOutside);
+      return;
+    }
+    const [offlineHistory, offlineStats, dayStats, offlineEvents] = await Promise.all([
+      getReadings(hours),
+      getMeta(`stats:${hours}`),
+      getMeta('stats:24'),
+      getEvents(20),
+    ]);
+    setHistory(offlineHistory);
+    setStats(offlineStats || dayStats || null);
+    setEvents(offlineEvents);
+    if (offlineHistory.length === 0) {
+      setError('You are offline and no glucose data has been saved on this device yet.');
     }
-  }, [showExportMenu]);
+  }, [hours, range]);
 
   const fetchData = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
       // Check if settings are configured
-      const settingsRes = await fetch(`${API_BASE}/settings`);
-      if (settingsRes.ok) {
-        const settingsData = await settingsRes.json();
-        setIsConfigured(settingsData.isConfigured);
-        if (!settingsData.isConfigured) {
-          setLoading(false);
-          return;
+      const settingsData = await api.get('/settings');
+      setIsConfigured(settingsData.isConfigured);
+      if (!settingsData.isConfigured) {
+        setLoading(false);
+        return;
+      }
+
+      if (range) {
+        // Absolute window: readings and event markers come from one /glucose/range call
+        const [rangeResult, statsResult] = await Promise.allSettled([
+          api.get('/glucose/range', { query: { start: range.start, end: range.end } }),
+          api.get('/glucose/stats', { query: { start: range.start, end: range.end } }),
+        ]);
+
+        if (rangeResult.status === 'fulfilled') {
+          // Newest first, like /glucose/history
+          setHistory([...rangeResult.value.readings].reverse());
+          setEvents(rangeResult.value.events.map(toChartEvent));
+        }
+        setStats(statsResult.status === 'fulfilled' ? statsResult.value : null);
+        setForecast(null);
+
+        if (rangeResult.status === 'rejected') {
+          if (isOfflineError(rangeResult.reason)) await loadOfflineDashboard();
+          else setError(`Failed to load readings: ${rangeResult.reason.message}`);
+        } else if (rangeResult.value.readings.length === 0) {
+          setError('No readings in this window.');
         }
+        return;
       }
 
-      const [historyRes, statsRes, eventsRes] = await Promise.all([
-        fetch(`${API_BASE}/glucose/history?hours=${hours}`),
-        fetch(`${API_BASE}/glucose/stats?hours=${hours}`),
-        fetch(`${API_BASE}/events?limit=20`)
+      const [historyResult, statsResult, eventsResult, forecastResult] = await Promise.allSettled([
+        api.get('/glucose/history', { query: { hours } }),
+        api.get('/glucose/stats', { query: { hours } }),
+        api.get('/events', { query: { limit: 20 } }),
+        api.get('/glucose/forecast', { query: { minutes: FORECAST_MINUTES } }),
       ]);
 
-      if (historyRes.ok) {
-        const historyData = await historyRes.json();
-        setHistory(historyData);
+      if (historyResult.status === 'fulfilled') {
+        setHistory(historyResult.value);
       }
 
-      if (statsRes.ok) {
-        const statsData = await statsRes.json();
-        setStats(statsData);
+      if (statsResult.status === 'fulfilled') {
+        setStats(statsResult.value);
+        // Keeps the current-reading card for this range available offline
+        setMeta(`stats:${hours}`, statsResult.value).catch(() => {});
       }
 
-      if (eventsRes.ok) {
-        const eventsData = await eventsRes.json();
+      if (eventsResult.status === 'fulfilled') {
+        const eventsData = eventsResult.value;
         setEvents(eventsData.items || eventsData);
       }
 
-      if (!historyRes.ok && !statsRes.ok) {
-        setError('No glucose data available yet. Waiting for data from LibreLink...');
+      // 404 when the latest reading is too old to project from
+      setForecast(forecastResult.status === 'fulfilled' ? forecastResult.value : null);
+
+      if (historyResult.status === 'rejected' && statsResult.status === 'rejected') {
+        if (isOfflineError(historyResult.reason)) await loadOfflineDashboard();
+        else setError('No glucose data available yet. Waiting for data from LibreLink...');
       }
     } catch (err) {
-      setError('Failed to connect to API. Make sure the backend is running.');
+      if (isOfflineError(err)) {
+        try {
+          await loadOfflineDashboard();
+          return;
+        } catch (storeErr) {
+          console.error('Failed to load offline data:', storeErr);
+        }
+      }
+      setError(err.kind === 'http'
+        ? `Failed to load settings: ${err.message}`
+        : 'Failed to connect to API. Make sure the backend is running.');
     } finally {
       setLoading(false);
     }
-  }, [hours]);
+  }, [hours, range, loadOfflineDashboard]);
 
   // Fetch data on page load and set up fallback polling
   useEffect(() => {
@@ -293,85 +412,154 @@ function App() {
       .withAutomaticReconnect([0, 2000, 5000, 10000, 30000])
       .configureLogging(LogLevel.Information)
       .build();
+    connectionRef.current = connection;
+    setHubStatus('connecting');
+
+    // Every server push also proves the connection is live, and refreshes the cached data it affects
+    const on = (name, handler) => connection.on(name, (...args) => {
+      setLastPushAt(Date.now());
+      if (HUB_INVALIDATIONS[name]) invalidateQueries(HUB_INVALIDATIONS[name]);
+      handler(...args);
+    });
 
-    connection.on('NewGlucoseData', (count) => {
+    on('NewGlucoseData', (count) => {
       console.log(`[SignalR] ${count} new reading(s) received — refreshing data...`);
       fetchData();
+      window.dispatchEvent(new CustomEvent('glucoseDataUpdated'));
     });
 
-    connection.on('NotesUpdated', (count) => {
+    on('NotesUpdated', (count) => {
       console.log(`[SignalR] ${count} note(s) updated — will refresh notes if viewing.`);
       window.dispatchEvent(new CustomEvent('notesUpdated'));
     });
 
-    connection.on('EventsUpdated', (count) => {
+    on('EventsUpdated', (count) => {
       console.log(`[SignalR] ${count} event(s) updated — will refresh events if viewing.`);
       window.dispatchEvent(new CustomEvent('eventsUpdated'));
     });
 
-    connection.on('DailySummariesUpdated', (count) => {
+    on('DailySummariesUpdated', (count) => {
       console.log(`[SignalR] ${count} daily summary(s) updated — will refresh if viewing.`);
       window.dispatchEvent(new CustomEvent('dailySummariesUpdated'));
     });
 
-    connection.on('AiUsageUpdated', (count) => {
+    on('AiUsageUpdated', (count) => {
       console.log(`[SignalR] AI usage updated — refreshing AI Usage page.`);
       setAiUsageVersion(v => v + 1);
     });
 
-    connection.on('ComparisonsUpdated', (count) => {
+    on('ComparisonsUpdated', (count) => {
       console.log(`[SignalR] ${count} comparison(s) updated — will refresh if viewing.`);
       window.dispatchEvent(new CustomEvent('comparisonsUpdated'));
     });
 
-    connection.on('PeriodSummariesUpdated', (count) => {
+    on('PeriodSummariesUpdated', (count) => {
       console.log(`[SignalR] ${count} period summary(s) updated — will refresh if viewing.`);
       window.dispatchEvent(new CustomEvent('periodSummariesUpdated'));
     });
 
-    connection.on('EventLogsUpdated', (count) => {
+    on('EventLogsUpdated', (count) => {
       console.log(`[SignalR] ${count} event log(s) — will refresh if viewing.`);
       window.dispatchEvent(new CustomEvent('eventLogsUpdated'));
     });
 
-    connection.on('ChatMessageCompleted', (data) => {
+    on('ChatMessageCompleted', (data) => {
       console.log(`[SignalR] Chat message completed:`, data);
       window.dispatchEvent(new CustomEvent('chatMessageCompleted', { detail: data }));
     });
 
-    connection.on('ChatSessionsUpdated', (count) => {
+    on('ChatSessionsUpdated', (count) => {
       console.log(`[SignalR] ${count} chat session(s) updated.`);
       window.dispatchEvent(new CustomEvent('chatSessionsUpdated'));
     });
 
-    connection.on('FoodPatternsUpdated', (count) => {
+    on('FoodPatternsUpdated', (count) => {
       console.log(`[SignalR] ${count} food pattern(s) updated.`);
       window.dispatchEvent(new CustomEvent('foodPatternsUpdated'));
     });
 
-    connection.on('ChatPeriodResolved', (data) => {
+    on('ImportProgress', (data) => {
+      window.dispatchEvent(new CustomEvent('importProgress', { detail: data }));
+    });
+
+    on('BulkActionProgress', (data) => {
+      window.dispatchEvent(new CustomEvent('bulkActionProgress', { detail: data }));
+    });
+
+    on('ChatPeriodResolved', (data) => {
       console.log(`[SignalR] Chat period resolved:`, data);
       window.dispatchEvent(new CustomEvent('chatPeriodResolved', { detail: data }));
     });
 
     connection.onreconnecting(() => {
       console.log('[SignalR] Reconnecting...');
+      setHubStatus('reconnecting');
     });
 
     connection.onreconnected(() => {
       console.log('[SignalR] Reconnected — refreshing data...');
+      setHubStatus('connected');
+      // Pushes sent while disconnected were missed, so nothing cached can be trusted
+      invalidateQueries();
       fetchData();
+      window.dispatchEvent(new CustomEvent('glucoseDataUpdated'));
+    });
+
+    // Automatic reconnect gave up (or the connection was stopped)
+    connection.onclose(() => {
+      if (connectionRef.current === connection) setHubStatus('offline');
     });
 
     connection.start()
-      .then(() => console.log('[SignalR] Connected to glucose hub'))
-      .catch(err => console.error('[SignalR] Connection failed:', err));
+      .then(() => {
+        console.log('[SignalR] Connected to glucose hub');
+        setHubStatus('connected');
+      })
+      .catch(err => {
+        console.error('[SignalR] Connection failed:', err);
+        setHubStatus('offline');
+      });
 
     return () => {
+      if (connectionRef.current === connection) connectionRef.current = null;
       connection.stop();
     };
   }, [fetchData]);
 
+  const handleReconnect = useCallback(async () => {
+    const connection = connectionRef.current;
+    if (!connection) return;
+    setHubStatus('connecting');
+    try {
+      await connection.stop();
+      setHubStatus('connecting');
+      await connection.start();
+      console.log('[SignalR] Reconnected manually — refreshing data...');
+      setHubStatus('connected');
+      invalidateQueries();
+      if (page === 'dashboard') fetchData();
+      window.dispatchEvent(new CustomEvent('glucoseDataUpdated'));
+    } catch (err) {
+      console.error('[SignalR] Manual reconnect failed:', err);
+      setHubStatus('offline');
+    }
+  }, [fetchData, page]);
+
+  // Back online: nothing cached can be trusted, and the hub may have given up reconnecting
+  const wasOnlineRef = useRef(online);
+  useEffect(() => {
+    if (online && !wasOnlineRef.current) {
+      console.log('[Offline] Connection restored — resuming sync...');
+      if (hubStatus === 'offline') {
+        handleReconnect();
+      } else {
+        invalidateQueries();
+        if (page === 'dashboard') fetchData();
+      }
+    }
+    wasOnlineRef.current = online;
+  }, [online, hubStatus, handleReconnect, fetchData, page]);
+
   const timeRanges = [
     { label: '6h', value: 6 },
     { label: '12h', value: 12 },
@@ -383,80 +571,215 @@ function App() {
     { label: '90d', value: 2160 },
   ];
 
+  // Caption for exported chart images
+  const windowLabel = range
+    ? formatRange(range, timeZone)
+    : `Last ${timeRanges.find(r => r.value === hours)?.label || (hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`)} · to ${format(new Date(), 'd MMM yyyy HH:mm')}`;
+
   const handlePresetClick = (value) => {
     setHours(value);
+    setRange(null);
     setShowCustom(false);
+    setShowRange(false);
   };
 
   const handleCustomApply = () => {
     const days = parseFloat(customDays);
     if (!isNaN(days) && days > 0) {
       setHours(Math.round(days * 24));
+      setRange(null);
       setShowCustom(false);
     }
   };
 
-  const exportOptions = [
-    { label: 'Current view', value: null },
-    { label: '24 hours', value: 24 },
-    { label: '48 hours', value: 48 },
-    { label: '7 days', value: 168 },
-    { label: '2 weeks', value: 336 },
-    { label: '30 days', value: 720 },
-    { label: '90 days', value: 2160 },
-    { label: 'All data', value: 87600 },
-  ];
-
-  const handleExport = async (exportHours) => {
-    setExporting(true);
-    setShowExportMenu(false);
-    try {
-      const h = exportHours ?? hours;
-      const label = h >= 8760 ? 'all' : h >= 24 ? `${Math.round(h / 24)}d` : `${h}h`;
-
-      if (exportHours === null) {
-        // Export current view data
-        downloadCsv(history, label);
-      } else {
-        // Fetch data for the requested period
-        const res = await fetch(`${API_BASE}/glucose/history?hours=${h}`);
-        if (res.ok) {
-          const data = await res.json();
-          if (data.length === 0) {
-            alert('No data available for the selected period.');
-          } else {
-            downloadCsv(data, label);
-          }
-        } else {
-          alert('Failed to fetch data for export.');
-        }
-      }
-    } catch (err) {
-      alert('Export failed: ' + err.message);
-    } finally {
-      setExporting(false);
-    }
+  const handleRangeToggle = () => {
+    setShowRange(!showRange);
+    setShowCustom(false);
   };
 
   const handleSync = async () => {
     setSyncing(true);
     setSyncResult(null);
     try {
-      const res = await fetch(`${API_BASE}/sync/trigger`, { method: 'POST' });
-      const data = await res.json();
-      setSyncResult({ success: res.ok, message: data.message });
+      const data = await api.post('/sync/trigger');
+      setSyncResult({ success: true, message: data.message });
       // Refresh dashboard data after sync
       if (page === 'dashboard') fetchData();
       // Auto-clear the result after 5 seconds
       setTimeout(() => setSyncResult(null), 5000);
     } catch (err) {
-      setSyncResult({ success: false, message: 'Sync failed: ' + err.message });
+      setSyncResult({ success: false, message: err.kind === 'http' ? err.message : 'Sync failed: ' + err.message });
       setTimeout(() => setSyncResult(null), 5000);
     } finally {
       setSyncing(false);
     }
   };
 
+  const dashboard = (
+    <>
+      {!isConfigured && (
+        <div className="setup-banner">
+          <div className="setup-icon">⚙</div>
+          <h2>Welcome! Let's get started.</h2>
+          <p>Configure your LibreLink Up credentials to start monitoring your glucose levels.</p>
+          <button className="btn-setup" onClick={() => setPage('settings')}>
+            Open Settings
+          </button>
+        </div>
+      )}
+
+      {isConfigured && (
+        <>
+          <div className="controls">
+            {timeRanges.map(r => (
+              <button
+                key={r.value}
+                className={hours === r.value && !showCustom && !range && !showRange ? 'active' : ''}
+                onClick={() => handlePresetClick(r.value)}
+              >
+                {r.label}
+              </button>
+            ))}
+            <button
+              className={showCustom ? 'active' : ''}
+              onClick={() => { setShowCustom(!showCustom); setShowRange(false); }}
+            >
+              Custom
+            </button>
+            <button
+              className={range || showRange ? 'active' : ''}
+              onClick={handleRangeToggle}
+              title="Pick an absolute from/to window"
+            >
+              📅 Range
+            </button>
+          </div>
+          {(showRange || range) && (
+            <DateRangePicker
+              range={range}
+              defaultRange={{ start: new Date(Date.now() - hours * 3600000), end: new Date() }}
+              onChange={setRange}
+            />
+          )}
+          {showCustom && (
+            <div className="custom-range">
+              <input
+                type="number"
+                min="1"
+                step="1"
+                placeholder="Enter days"
+                value={customDays}
+                onChange={(e) => setCustomDays(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleCustomApply()}
+              />
+              <button onClick={handleCustomApply}>Apply</button>
+              {!range && hours > 0 && !timeRanges.some(r => r.value === hours) && (
+                <span className="custom-label">Showing {hours >= 24 ? `${(hours / 24).toFixed(1).replace(/\.0$/, '')}d` : `${hours}h`}</span>
+              )}
+            </div>
+          )}
+
+          {loading && history.length === 0 && (
+            <div className="loading">
+              <div className="spinner" />
+              <p>Loading glucose data...</p>
+            </div>
+          )}
+
+          {error && (
+            <div className="error">
+              <p>{error}</p>
+              <button onClick={fetchData}>Retry</button>
+            </div>
+          )}
+
+          {stats && <CurrentReading stats={stats} live={!range} forecast={forecast} />}
+
+          {history.length > 0 && (
+            <>
+              <div className="chart-card">
+                <div className="chart-header">
+                  <h2>Glucose Trend</h2>
+                  <div className="chart-header-actions">
+                    <div className="agp-presets">
+                      <button
+                        className={`period-range-btn${trendView === 'timeline' ? ' active' : ''}`}
+                        onClick={() => setTrendView('timeline')}
+                      >
+                        Timeline
+                      </button>
+                      <button
+                        className={`period-range-btn${trendView === 'overlay' ? ' active' : ''}`}
+                        onClick={() => setTrendView('overlay')}
+                        title="Overlay each day on one 24-hour axis"
+                      >
+                        Overlay days
+                      </button>
+                    </div>
+                    <ChartExportMenu
+                      chartRef={trendChartRef}
+                      title={trendView === 'overlay' ? 'Glucose — days overlaid' : 'Glucose Trend'}
+                      subtitle={windowLabel}
+                    />
+                    <button
+                      className="btn-export"
+                      onClick={() => setLogEventAt(new Date())}
+                      title="Log a meal, drink or activity without a Samsung note"
+                    >
+                      ✏️ Log event
+                    </button>
+                    <button
+                      className="btn-export"
+                      onClick={() => setShowExportDialog(true)}
+                      title="Export readings, events, summaries and notes"
+                    >
+                      ⬇ Export
+                    </button>
+                  </div>
+                </div>
+                <div ref={trendChartRef}>
+                  {trendView === 'overlay' ? (
+                    <DayOverlayChart
+                      data={history}
+                      events={events}
+                      onEventClick={openEvent}
+                    />
+                  ) : (
+                    <GlucoseChart
+                      data={history}
+                      events={events}
+                      forecast={forecast}
+                      onEventClick={openEvent}
+                      onTimeClick={setLogEventAt}
+                    />
+                  )}
+                </div>
+              </div>
+
+              <div className="chart-card">
+                <div className="chart-header">
+                  <h2>Ambulatory Glucose Profile</h2>
+                </div>
+                <AgpChart
+                  hours={hours}
+                  range={range}
+                  presets={timeRanges.filter(r => r.value >= AGP_MIN_HOURS)}
+                  onPresetClick={handlePresetClick}
+                  refreshKey={history[0]?.timestamp}
+                />
+              </div>
+
+              <div className="table-card">
+                <h2>Recent Readings</h2>
+                <GlucoseTable data={history} />
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </>
+  );
+
   return (
     <div className="app">
       <header className="header">
@@ -466,12 +789,17 @@ function App() {
           <button
             className={`btn-sync${syncing ? ' syncing' : ''}`}
             onClick={handleSync}
-            disabled={syncing}
+            disabled={syncing || !online}
             title="Sync glucose data & events now"
           >
             <span className="sync-icon">⟳</span>
             {syncing ? 'Syncing...' : 'Sync'}
           </button>
+          <ConnectionStatus
+            status={hubStatus}
+            lastPushAt={lastPushAt}
+            onReconnect={handleReconnect}
+          />
           {syncResult && (
             <span className={`sync-result ${syncResult.success ? 'success' : 'error'}`}>
               {syncResult.success ? '✓' : '✗'} {syncResult.message}
@@ -481,138 +809,58 @@ function App() {
         <Nav page={page} setPage={setPage} />
       </header>
 
-      {page === 'periodsummary' && <PeriodSummaryPage />}
-      {page === 'compare' && <ComparePage />}
-      {page === 'chat' && <ChatPage />}
-      {page === 'food' && <FoodPatternsPage />}
-      {page === 'meals' && <MealsPage />}
-      {page === 'events' && <EventsPage />}
-      {page === 'dailysummaries' && <DailySummariesPage />}
-      {page === 'eventlog' && <EventLogPage onNavigate={setPage} />}
-      {page === 'aiusage' && <AiUsagePage key={aiUsageVersion} />}
-      {page === 'reports' && <ReportsPage />}
-      {page === 'settings' && <SettingsPage />}
-
-      {page === 'dashboard' && (
-        <>
-          {!isConfigured && (
-            <div className="setup-banner">
-              <div className="setup-icon">⚙</div>
-              <h2>Welcome! Let's get started.</h2>
-              <p>Configure your LibreLink Up credentials to start monitoring your glucose levels.</p>
-              <button className="btn-setup" onClick={() => setPage('settings')}>
-                Open Settings
-              </button>
-            </div>
-          )}
-
-          {isConfigured && (
-            <>
-              <div className="controls">
-                {timeRanges.map(r => (
-                  <button
-                    key={r.value}
-                    className={hours === r.value && !showCustom ? 'active' : ''}
-                    onClick={() => handlePresetClick(r.value)}
-                  >
-                    {r.label}
-                  </button>
-                ))}
-                <button
-                  className={showCustom ? 'active' : ''}
-                  onClick={() => setShowCustom(!showCustom)}
-                >
-                  Custom
-                </button>
-              </div>
-              {showCustom && (
-                <div className="custom-range">
-                  <input
-                    type="number"
-                    min="1"
-                    step="1"
-                    placeholder="Enter days"
-                    value={customDays}
-                    onChange={(e) => setCustomDays(e.target.value)}
-                    onKeyDown={(e) => e.key === 'Enter' && handleCustomApply()}
-                  />
-                  <button onClick={handleCustomApply}>Apply</button>
-                  {hours > 0 && !timeRanges.some(r => r.value === hours) && (
-                    <span className="custom-label">Showing {hours >= 24 ? `${(hours / 24).toFixed(1).replace(/\.0$/, '')}d` : `${hours}h`}</span>
-                  )}
-                </div>
-              )}
-
-              {loading && history.length === 0 && (
-                <div className="loading">
-                  <div className="spinner" />
-                  <p>Loading glucose data...</p>
-                </div>
-              )}
-
-              {error && (
-                <div className="error">
-                  <p>{error}</p>
-                  <button onClick={fetchData}>Retry</button>
-                </div>
-              )}
-
-              {stats && <CurrentReading stats={stats} />}
-
-              {history.length > 0 && (
-                <>
-                  <div className="chart-card">
-                    <div className="chart-header">
-                      <h2>Glucose Trend</h2>
-                      <div className="export-wrapper" ref={exportRef}>
-                        <button
-                          className="btn-export"
-                          onClick={() => setShowExportMenu(!showExportMenu)}
-                          disabled={exporting}
-                        >
-                          {exporting ? '⏳ Exporting...' : '⬇ Export CSV'}
-                        </button>
-                        {showExportMenu && (
-                          <div className="export-menu">
-                            {exportOptions.map((opt, i) => (
-                              <button
-                                key={i}
-                                className="export-menu-item"
-                                onClick={() => handleExport(opt.value)}
-                              >
-                                {opt.label}
-                              </button>
-                            ))}
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                    <GlucoseChart
-                      data={history}
-                      events={events}
-                      onEventClick={(eventId) => setSelectedEventId(eventId)}
-                    />
-                  </div>
+      {!online && <OfflineBanner syncedAt={syncedAt} />}
+
+      <AlertBanner
+        alerts={glucoseAlerts.alerts}
+        snoozeMinutes={glucoseAlerts.snoozeMinutes}
+        onSnooze={glucoseAlerts.snooze}
+      />
+
+      <Routes location={backgroundLocation || location}>
+        <Route path="/" element={dashboard} />
+        <Route path="/periodsummary/:summaryId?" element={<PeriodSummaryPage />} />
+        <Route path="/compare/:comparisonId?" element={<ComparePage />} />
+        <Route path="/chat/:sessionId?" element={<ChatPage />} />
+        <Route path="/food" element={<FoodPatternsPage />} />
+        <Route path="/meals" element={<MealsPage />} />
+        <Route path="/events/:eventId?" element={<EventsPage />} />
+        <Route path="/dailysummaries/:summaryKey?" element={<DailySummariesPage />} />
+        <Route path="/calendar/:month?" element={<CalendarPage />} />
+        <Route path="/eventlog" element={<EventLogPage />} />
+        <Route path="/aiusage" element={<AiUsagePage key={aiUsageVersion} />} />
+        <Route path="/reports" element={<ReportsPage />} />
+        <Route path="/import" element={<ImportPage />} />
+        <Route path="/settings" element={<SettingsPage />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+
+      {/* Event deep link opened on top of another page */}
+      {backgroundLocation && (
+        <Routes>
+          <Route
+            path="/events/:eventId"
+            element={<RoutedEventModal onReprocess={page === 'dashboard' ? fetchData : undefined} />}
+          />
+        </Routes>
+      )}
 
-                  <div className="table-card">
-                    <h2>Recent Readings</h2>
-                    <GlucoseTable data={history} />
-                  </div>
-                </>
-              )}
-            </>
-          )}
+      {showExportDialog && (
+        <ExportDialog
+          defaultRange={range || { start: new Date(Date.now() - hours * 3600000), end: new Date() }}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
 
-          {/* Event analysis popup */}
-          {selectedEventId && (
-            <EventDetailModal
-              eventId={selectedEventId}
-              onClose={() => setSelectedEventId(null)}
-              onReprocess={() => fetchData()}
-            />
-          )}
-        </>
+      {logEventAt && (
+        <LogEventDialog
+          initialTime={logEventAt}
+          onClose={() => setLogEventAt(null)}
+          onCreated={fetchData}
+        />
       )}
+
+      <Toaster />
     </div>
   );
 }
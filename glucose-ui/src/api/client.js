@@ -0,0 +1,215 @@
+/**
+ * Shared HTTP client for the GlucoseAPI backend. Every request goes through
+ * `request()`, which adds the base URL, encodes JSON bodies and query
+ * strings, applies a timeout, retries idempotent GETs with backoff and
+ * turns every failure into an `ApiError`.
+ */
+export const API_BASE = process.env.REACT_APP_API_URL || '/api';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+/** Timeout for requests that wait on a synchronous AI call (analysis, chat, comparisons). */
+export const AI_TIMEOUT_MS = 180000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+/**
+ * Uniform error for failed requests. `kind` is one of:
+ * `http` (non-2xx status), `timeout`, `network`, `parse` or `aborted`
+ * (cancelled by the caller, e.g. the page unmounted — never shown to the user).
+ */
+export class ApiError extends Error {
+  constructor({ message, kind, status = 0, method, url, data = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.method = method;
+    this.url = url;
+    this.data = data;
+  }
+
+  get isAborted() {
+    return this.kind === 'aborted';
+  }
+}
+
+export function isAbortError(err) {
+  return err?.kind === 'aborted' || err?.name === 'AbortError';
+}
+
+/** The server could not be reached at all (no network, or the backend is down). */
+export function isOfflineError(err) {
+  return err?.kind === 'network';
+}
+
+/** Dispatched on window when the server becomes unreachable or reachable again. */
+export const CONNECTIVITY_EVENT = 'apiConnectivityChanged';
+
+let serverReachable = true;
+
+/** Whether the last request that finished got an answer from the server. */
+export function isServerReachable() {
+  return serverReachable;
+}
+
+function setServerReachable(reachable) {
+  if (serverReachable === reachable) return;
+  serverReachable = reachable;
+  window.dispatchEvent(new CustomEvent(CONNECTIVITY_EVENT, { detail: { reachable } }));
+}
+
+/** Absolute URL for an API path, e.g. for `<img src>` or download links. */
+export function apiUrl(path, query) {
+  const url = /^https?:\/\//.test(path) ? path : `${API_BASE}${path}`;
+  if (!query) return url;
+  const params = query instanceof URLSearchParams ? query : new URLSearchParams(
+    Object.entries(query)
+      .filter(([, v]) => v !== undefined && v !== null && v !== '')
+      .map(([k, v]) => [k, v instanceof Date ? v.toISOString() : String(v)])
+  );
+  const qs = params.toString();
+  return qs ? `${url}${url.includes('?') ? '&' : '?'}${qs}` : url;
+}
+
+// ASP.NET returns plain strings from BadRequest("..."), `{ message }` objects
+// from most controllers and ProblemDetails for model-binding failures.
+function messageFrom(data, fallback) {
+  if (!data) return fallback;
+  if (typeof data === 'string') return data.length > 300 ? fallback : data;
+  if (data.message) return data.message;
+  if (data.error) return data.error;
+  if (data.errors) {
+    const first = Object.values(data.errors).flat()[0];
+    if (first) return first;
+  }
+  return data.title || fallback;
+}
+
+async function readBody(res, responseType) {
+  if (res.status === 204) return null;
+  if (responseType === 'blob') return res.blob();
+  if (responseType === 'text') return res.text();
+  const text = await res.text();
+  if (!text) return null;
+  const contentType = res.headers.get('content-type') || '';
+  if (responseType === 'json' || contentType.includes('json')) return JSON.parse(text);
+  return text;
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+async function attempt(url, init, { timeout, signal, responseType }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const base = { method: init.method, url };
+
+  try {
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) throw new ApiError({ ...base, kind: 'timeout', message: `Request timed out after ${Math.round(timeout / 1000)}s.` });
+      if (signal?.aborted) throw new ApiError({ ...base, kind: 'aborted', message: 'Request cancelled.' });
+      throw new ApiError({ ...base, kind: 'network', message: 'Cannot reach the server. Make sure the backend is running.' });
+    }
+
+    let data;
+    try {
+      data = await readBody(res, res.ok ? responseType : undefined);
+    } catch (err) {
+      if (signal?.aborted) throw new ApiError({ ...base, kind: 'aborted', message: 'Request cancelled.' });
+      if (!res.ok) data = null;
+      else throw new ApiError({ ...base, kind: 'parse', status: res.status, message: 'The server returned an unreadable response.' });
+    }
+
+    if (!res.ok) {
+      throw new ApiError({
+        ...base,
+        kind: 'http',
+        status: res.status,
+        data,
+        message: messageFrom(data, `Request failed (${res.status} ${res.statusText || 'error'}).`),
+      });
+    }
+    return data;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Sends a request to `path` (relative to API_BASE).
+ *
+ * Options: `method`, `query` (object or URLSearchParams), `body` (objects are
+ * sent as JSON), `signal`, `timeout` (ms), `retries` (GET only; defaults to 2),
+ * `responseType` (`json` | `text` | `blob`; by default JSON is parsed when the
+ * server says so, otherwise text is returned) and `cache`.
+ * Resolves with the parsed body (null for empty responses).
+ */
+export async function request(path, {
+  method = 'GET',
+  query,
+  body,
+  signal,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries,
+  responseType,
+  cache,
+  headers,
+} = {}) {
+  const url = apiUrl(path, query);
+  const init = { method, headers: { ...headers }, cache };
+  if (body !== undefined) {
+    if (body instanceof FormData || body instanceof Blob) {
+      init.body = body;
+    } else {
+      init.body = JSON.stringify(body);
+      init.headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  // Only idempotent reads are retried; writes fail fast so they never run twice
+  const maxRetries = method === 'GET' ? (retries ?? DEFAULT_GET_RETRIES) : 0;
+  for (let i = 0; ; i++) {
+    try {
+      const data = await attempt(url, init, { timeout, signal, responseType });
+      setServerReachable(true);
+      return data;
+    } catch (err) {
+      if (err.kind === 'http' || err.kind === 'parse') setServerReachable(true);
+      const retryable = err.kind === 'network' || err.kind === 'timeout'
+        || (err.kind === 'http' && (RETRYABLE_STATUSES.has(err.status) || err.status >= 500));
+      if (!retryable || i >= maxRetries) {
+        if (isOfflineError(err)) setServerReachable(false);
+        throw err;
+      }
+      try {
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** i, signal);
+      } catch {
+        throw new ApiError({ method, url, kind: 'aborted', message: 'Request cancelled.' });
+      }
+    }
+  }
+}
+
+/** Convenience wrappers; `options` are the same as for `request()`. */
+export const api = {
+  get: (path, options) => request(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+  patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+  delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+};
+
+export default api;
@@ -0,0 +1,150 @@
+/**
+ * IndexedDB copy of recent data for offline use. `useOfflineSync()` fills it
+ * while the server is reachable; the dashboard, EventDetailModal and the
+ * daily summaries list read from it when a request fails with a network
+ * error. Readings are stored as returned by the API (mg/dL, UTC timestamps)
+ * with an extra numeric `time` key.
+ */
+import { parseUtc } from '../config/dataFreshness';
+
+/** How many days of readings, events and daily summaries are kept offline. */
+export const OFFLINE_DAYS = 7;
+const DAY_MS = 86400000;
+
+const DB_NAME = 'glucose-monitor';
+const DB_VERSION = 1;
+const STORES = {
+  readings: { keyPath: 'time' },
+  events: { keyPath: 'id' },
+  eventDetails: { keyPath: 'id' },
+  dailySummaries: { keyPath: 'id' },
+  meta: { keyPath: 'key' },
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, options);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call try again (e.g. after a private-mode refusal is lifted)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs `work` with the named stores in one transaction. Resolves with the
+// result of the request `work` returns (if any) once the transaction commits.
+async function run(storeNames, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const req = work(...[].concat(storeNames).map(name => tx.objectStore(name)));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const cutoff = () => Date.now() - OFFLINE_DAYS * DAY_MS;
+const stripTime = ({ time, ...reading }) => reading;
+
+/** Adds or updates readings and drops those older than OFFLINE_DAYS. */
+export function saveReadings(readings) {
+  return run('readings', 'readwrite', store => {
+    readings.forEach(r => store.put({ ...r, time: parseUtc(r.timestamp) }));
+    store.delete(IDBKeyRange.upperBound(cutoff(), true));
+  });
+}
+
+/**
+ * Readings from the `hours` before the newest stored reading, newest first
+ * like /api/glucose/history. The window ends at the last known reading, not
+ * now, so a device that has been offline for a while still shows a full day.
+ */
+export async function getReadings(hours) {
+  const all = await run('readings', 'readonly', store => store.getAll());
+  if (all.length === 0) return [];
+  const newest = all[all.length - 1].time;
+  return all
+    .filter(r => r.time >= newest - hours * 3600000)
+    .reverse()
+    .map(stripTime);
+}
+
+/** Stored readings in [start, end), newest first. */
+export async function getReadingsBetween(start, end) {
+  const inRange = await run('readings', 'readonly', store => store.getAll(IDBKeyRange.bound(+start, +end, false, true)));
+  return inRange.reverse().map(stripTime);
+}
+
+/** Replaces the stored event list (GlucoseEventSummaryDto, newest first). */
+export function saveEvents(events) {
+  return run('events', 'readwrite', store => {
+    store.clear();
+    events.forEach(e => store.put(e));
+  });
+}
+
+export async function getEvents(limit) {
+  const events = await run('events', 'readonly', store => store.getAll());
+  events.sort((a, b) => parseUtc(b.eventTimestamp) - parseUtc(a.eventTimestamp));
+  return limit ? events.slice(0, limit) : events;
+}
+
+export function saveEventDetail(detail) {
+  return run('eventDetails', 'readwrite', store => store.put(detail));
+}
+
+/** Stored GlucoseEventDetailDto, or undefined when the event was never synced. */
+export function getEventDetail(id) {
+  return run('eventDetails', 'readonly', store => store.get(id));
+}
+
+export function getEventDetails() {
+  return run('eventDetails', 'readonly', store => store.getAll());
+}
+
+/** Drops stored details of events that are no longer in `keepIds`. */
+export async function pruneEventDetails(keepIds) {
+  const keep = new Set(keepIds);
+  const ids = await run('eventDetails', 'readonly', store => store.getAllKeys());
+  const stale = ids.filter(id => !keep.has(id));
+  if (stale.length === 0) return;
+  await run('eventDetails', 'readwrite', store => stale.forEach(id => store.delete(id)));
+}
+
+/** Replaces the stored daily summaries (DailySummaryListDto). */
+export function saveDailySummaries(summaries) {
+  return run('dailySummaries', 'readwrite', store => {
+    store.clear();
+    summaries.forEach(s => store.put(s));
+  });
+}
+
+export async function getDailySummaries() {
+  const summaries = await run('dailySummaries', 'readonly', store => store.getAll());
+  return summaries.sort((a, b) => parseUtc(b.date) - parseUtc(a.date));
+}
+
+/** Small values such as `syncedAt`, the latest stats and the display settings. */
+export function setMeta(key, value) {
+  return run('meta', 'readwrite', store => store.put({ key, value }));
+}
+
+export async function getMeta(key) {
+  const entry = await run('meta', 'readonly', store => store.get(key));
+  return entry?.value;
+}
@@ -0,0 +1,118 @@
+/**
+ * In-memory query cache shared by every page. Entries are keyed by endpoint
+ * path plus sorted query params, so `/events?limit=20&offset=0` is one entry
+ * no matter which component asked for it. `useQuery()` / `usePagedQuery()`
+ * read from here and revalidate in the background; the SignalR handlers in
+ * App.js call `invalidateQueries()` with path prefixes, which refetches
+ * every mounted view of that data and marks the rest stale.
+ */
+
+/** Entries younger than this are served without a background refetch on mount. */
+export const DEFAULT_STALE_MS = 30000;
+/** Entries with no subscribers are dropped after this long. */
+const CACHE_TIME_MS = 10 * 60000;
+
+const EMPTY = Object.freeze({ data: undefined, error: null, updatedAt: 0, fetching: false });
+
+// key -> { state, listeners: Set, promise, fetcher, gcTimer, invalidated }
+const entries = new Map();
+
+export function queryKey(path, query) {
+  if (!query) return path;
+  const params = Object.entries(query)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => [k, v instanceof Date ? v.toISOString() : String(v)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return params.length ? `${path}?${new URLSearchParams(params)}` : path;
+}
+
+function entryFor(key) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { state: EMPTY, listeners: new Set(), promise: null, fetcher: null, gcTimer: null, invalidated: false };
+    entries.set(key, entry);
+  }
+  return entry;
+}
+
+// State objects are replaced, never mutated, so they work as useSyncExternalStore snapshots
+function update(key, patch) {
+  const entry = entryFor(key);
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach(listener => listener());
+}
+
+/** Current `{ data, error, updatedAt, fetching }` for `key`. */
+export function getQueryState(key) {
+  return entries.get(key)?.state || EMPTY;
+}
+
+export function subscribe(key, listener) {
+  const entry = entryFor(key);
+  clearTimeout(entry.gcTimer);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      entry.gcTimer = setTimeout(() => {
+        if (entry.listeners.size === 0 && !entry.promise) entries.delete(key);
+      }, CACHE_TIME_MS);
+    }
+  };
+}
+
+/**
+ * Runs `fetcher` for `key` and stores the result. Concurrent calls share one
+ * request. A failed refetch keeps the previous data and sets `error`.
+ * Resolves with the data, rejects with the ApiError.
+ */
+export function fetchQuery(key, fetcher) {
+  const entry = entryFor(key);
+  entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+
+  update(key, { fetching: true });
+  entry.promise = fetcher()
+    .then(data => {
+      update(key, { data, error: null, updatedAt: Date.now(), fetching: false });
+      return data;
+    }, err => {
+      update(key, { error: err, fetching: false });
+      throw err;
+    })
+    .finally(() => {
+      entry.promise = null;
+      // Invalidated mid-flight: the response may predate the change, so fetch again
+      if (entry.invalidated) {
+        entry.invalidated = false;
+        if (entry.listeners.size > 0) fetchQuery(key, entry.fetcher).catch(() => {});
+      }
+    });
+  return entry.promise;
+}
+
+/** Replaces the cached data, e.g. after loading another page or a local edit. */
+export function setQueryData(key, updater) {
+  const prev = getQueryState(key).data;
+  const data = typeof updater === 'function' ? updater(prev) : updater;
+  update(key, { data, error: null, updatedAt: Date.now() });
+}
+
+/**
+ * Marks every entry whose key starts with one of `prefixes` (all entries
+ * when omitted) as stale and refetches those that are currently displayed.
+ */
+export function invalidateQueries(prefixes) {
+  const list = prefixes == null ? null : [].concat(prefixes);
+  entries.forEach((entry, key) => {
+    if (list && !list.some(prefix => key === prefix || key.startsWith(prefix + '/') || key.startsWith(prefix + '?'))) {
+      return;
+    }
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.promise) {
+      entry.invalidated = true;
+    } else if (entry.listeners.size > 0 && entry.fetcher) {
+      fetchQuery(key, entry.fetcher).catch(() => {});
+    }
+  });
+}
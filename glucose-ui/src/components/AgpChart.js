@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceArea,
+  ResponsiveContainer,
+} from 'recharts';
+import { useGlucoseUnit, useTargetRanges, useDisplayTimeZone } from '../context/DisplaySettingsContext';
+import { formatRange } from '../config/dateRange';
+import api, { isAbortError } from '../api/client';
+import { showError } from './Toaster';
+import ChartExportMenu from './ChartExportMenu';
+
+/** AGP needs several days of data; shorter dashboard ranges fall back to the 14-day standard. */
+export const AGP_MIN_HOURS = 168;
+const AGP_DEFAULT_HOURS = 336;
+const MINUTES_PER_DAY = 24 * 60;
+const HOUR_TICKS = [0, 180, 360, 540, 720, 900, 1080, 1260, 1440];
+
+function formatMinute(minute) {
+  const h = Math.floor(minute / 60) % 24;
+  const m = minute % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Ambulatory Glucose Profile: every reading in the selected range folded onto
+ * one 24-hour day, drawn as the median with 25–75% and 5–95% percentile bands.
+ * Percentiles come from /api/glucose/agp; `hours` follows the dashboard presets,
+ * and an absolute dashboard `range` (`{ start, end }`) replaces them when set.
+ */
+function AgpChart({ hours, range, presets, onPresetClick, refreshKey }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+  const timeZone = useDisplayTimeZone();
+  const [agp, setAgp] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const chartRef = useRef(null);
+
+  const agpHours = range
+    ? (range.end - range.start) / 3600000
+    : hours >= AGP_MIN_HOURS ? hours : AGP_DEFAULT_HOURS;
+  const rangeStart = range?.start.getTime();
+  const rangeEnd = range?.end.getTime();
+
+  useEffect(() => {
+    // Cancel the previous request when the range changes or the chart unmounts
+    const controller = new AbortController();
+    const load = async () => {
+      setLoading(true);
+      try {
+        const query = rangeStart != null
+          ? { start: new Date(rangeStart), end: new Date(rangeEnd) }
+          : { hours: agpHours };
+        setAgp(await api.get('/glucose/agp', { query, signal: controller.signal }));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setAgp(null);
+        showError(err, 'Failed to load AGP');
+      }
+      setLoading(false);
+    };
+    load();
+    return () => controller.abort();
+  }, [agpHours, rangeStart, rangeEnd, refreshKey]);
+
+  // Slots are plotted at their centre; range areas take [low, high] pairs
+  const chartData = useMemo(() => {
+    if (!agp?.slots) return [];
+    const half = (agp.slotMinutes || 15) / 2;
+    return agp.slots.map(s => ({
+      ...s,
+      minute: s.minuteOfDay + half,
+      outer: [s.p5, s.p95],
+      inner: [s.p25, s.p75],
+    }));
+  }, [agp]);
+
+  const yDomain = useMemo(() => {
+    if (chartData.length === 0) return [40, 300];
+    const min = Math.min(targetRanges.day.low, ...chartData.map(d => d.p5));
+    const max = Math.max(targetRanges.day.high, ...chartData.map(d => d.p95));
+    return [Math.max(30, Math.floor(min / 10) * 10 - 10), Math.min(400, Math.ceil(max / 10) * 10 + 10)];
+  }, [chartData, targetRanges]);
+
+  // Target band across the modal day, split at the night-window boundaries
+  const rangeSegments = useMemo(() => targetRanges.daySegments(), [targetRanges]);
+
+  const days = Math.round(agpHours / 24);
+  const periodLabel = range ? formatRange(range, timeZone) : `Last ${days} days`;
+
+  const CustomTooltip = ({ active, payload }) => {
+    if (!active || !payload || payload.length === 0) return null;
+    const d = payload[0].payload;
+    const fmt = (v) => glucoseUnit.format(v, { withUnit: false });
+    return (
+      <div style={{
+        background: '#1a1a2e',
+        border: '1px solid #333',
+        borderRadius: 8,
+        padding: '10px 14px',
+        fontSize: '0.85rem',
+      }}>
+        <div style={{ color: '#888', marginBottom: 4 }}>
+          {formatMinute(d.minuteOfDay)}–{formatMinute(d.minuteOfDay + (agp.slotMinutes || 15))}
+        </div>
+        <div style={{ fontWeight: 700, fontSize: '1.1rem', color: targetRanges.color(d.p50) }}>
+          Median {glucoseUnit.format(d.p50)}
+        </div>
+        <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: 4 }}>
+          25–75%: {fmt(d.p25)}–{fmt(d.p75)}
+          <br />
+          5–95%: {fmt(d.p5)}–{fmt(d.p95)}
+          <br />
+          {d.readingCount} readings
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="agp-chart">
+      <div className="chart-toolbar">
+        <span className="chart-hint">
+          {range
+            ? `All readings from ${periodLabel} overlaid on a single day${agpHours < AGP_MIN_HOURS ? ' — AGP needs at least 7 days of data' : ''}`
+            : hours < AGP_MIN_HOURS
+              ? `Showing the last ${days} days — AGP needs at least 7 days of data`
+              : `All readings from the last ${days} days overlaid on a single day`}
+        </span>
+        <div className="agp-presets">
+          {presets.map(p => (
+            <button
+              key={p.value}
+              className={`period-range-btn${!range && agpHours === p.value ? ' active' : ''}`}
+              onClick={() => onPresetClick(p.value)}
+            >
+              {p.label}
+            </button>
+          ))}
+          {agp && (
+            <ChartExportMenu
+              chartRef={chartRef}
+              title="Ambulatory Glucose Profile"
+              subtitle={`${periodLabel} · ${agp.totalReadings} readings · ${agp.timeZone}`}
+            />
+          )}
+        </div>
+      </div>
+
+      {loading && !agp ? (
+        <div className="loading">
+          <div className="spinner" />
+        </div>
+      ) : chartData.length === 0 ? (
+        <div className="empty-state">No readings available for this period.</div>
+      ) : (
+        <div ref={chartRef}>
+          <ResponsiveContainer width="100%" height={360}>
+            <ComposedChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis
+                dataKey="minute"
+                type="number"
+                domain={[0, MINUTES_PER_DAY]}
+                ticks={HOUR_TICKS}
+                tickFormatter={formatMinute}
+                stroke="#555"
+                tick={{ fontSize: 11 }}
+              />
+              <YAxis
+                stroke="#555"
+                tick={{ fontSize: 12 }}
+                domain={yDomain}
+                ticks={glucoseUnit.axisTicks(yDomain)}
+                tickFormatter={glucoseUnit.toDisplay}
+              />
+              <Tooltip content={<CustomTooltip />} />
+
+              {rangeSegments.map(({ x1, x2, thresholds }) => (
+                <ReferenceArea key={`range-${x1}`} x1={x1} x2={x2} y1={thresholds.low} y2={thresholds.high} fill="#4ade80" fillOpacity={0.06} />
+              ))}
+
+              <Area dataKey="outer" stroke="none" fill="#38bdf8" fillOpacity={0.15} isAnimationActive={false} />
+              <Area dataKey="inner" stroke="none" fill="#38bdf8" fillOpacity={0.35} isAnimationActive={false} />
+              <Line dataKey="p50" stroke="#38bdf8" strokeWidth={2.5} dot={false} isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+
+          <div className="event-chart-legend">
+            <span className="legend-item">
+              <span className="legend-line" style={{ background: '#38bdf8' }} />
+              Median
+            </span>
+            <span className="legend-item">
+              <span className="legend-line" style={{ background: 'rgba(56,189,248,0.5)', height: 8 }} />
+              25–75%
+            </span>
+            <span className="legend-item">
+              <span className="legend-line" style={{ background: 'rgba(56,189,248,0.2)', height: 8 }} />
+              5–95%
+            </span>
+            <span className="legend-item">
+              <span className="legend-line" style={{ background: '#4ade80' }} />
+              Target range
+            </span>
+            <span className="legend-item">
+              {agp.totalReadings} readings · {agp.timeZone}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AgpChart;
@@ -17,8 +17,9 @@ import {
 import { format, parseISO, subDays, subMonths, startOfDay, endOfDay } from 'date-fns';
 import useInfiniteScroll from '../hooks/useInfiniteScroll';
 import PAGE_SIZES from '../config/pageSize';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
 const LOGS_PAGE_SIZE = PAGE_SIZES.aiUsageLogs;
 
 const MODEL_COLORS = [
@@ -45,6 +46,7 @@ function AiUsagePage() {
   const [loadingMoreLogs, setLoadingMoreLogs] = useState(false);
   const [activeTab, setActiveTab] = useState('overview'); // overview | logs
   const logsOffsetRef = useRef(0);
+  const client = useApi();
 
   // Period state — default to last month
   const [selectedPreset, setSelectedPreset] = useState('1m');
@@ -64,61 +66,41 @@ function AiUsagePage() {
     return preset.getRange();
   }, [selectedPreset, customFrom, customTo]);
 
-  const buildDateParams = useCallback(() => {
-    const params = new URLSearchParams();
-    if (dateRange.from) params.set('from', dateRange.from.toISOString());
-    if (dateRange.to) params.set('to', dateRange.to.toISOString());
-    return params;
-  }, [dateRange]);
-
   const loadData = useCallback(async () => {
     setLoading(true);
     logsOffsetRef.current = 0;
     try {
-      const params = buildDateParams();
-      const qs = params.toString() ? `?${params.toString()}` : '';
-
-      const logsParams = new URLSearchParams(params);
-      logsParams.set('limit', LOGS_PAGE_SIZE);
-      logsParams.set('offset', '0');
-
-      const [summaryRes, logsRes] = await Promise.all([
-        fetch(`${API_BASE}/AiUsage/summary${qs}`, { cache: 'no-store' }),
-        fetch(`${API_BASE}/AiUsage/logs?${logsParams}`, { cache: 'no-store' }),
+      const [summaryData, logsData] = await Promise.all([
+        client.get('/aiusage/summary', { query: dateRange, cache: 'no-store' }),
+        client.get('/aiusage/logs', { query: { ...dateRange, limit: LOGS_PAGE_SIZE, offset: 0 }, cache: 'no-store' }),
       ]);
-      if (summaryRes.ok) setSummary(await summaryRes.json());
-      if (logsRes.ok) {
-        const data = await logsRes.json();
-        setLogs(data.items);
-        setLogsTotalCount(data.totalCount);
-        logsOffsetRef.current = data.items.length;
-      }
+      setSummary(summaryData);
+      setLogs(logsData.items);
+      setLogsTotalCount(logsData.totalCount);
+      logsOffsetRef.current = logsData.items.length;
     } catch (err) {
-      console.error('Failed to load AI usage data:', err);
+      showError(err, 'Failed to load AI usage data');
     } finally {
       setLoading(false);
     }
-  }, [buildDateParams]);
+  }, [dateRange, client]);
 
   const loadMoreLogs = useCallback(async () => {
     setLoadingMoreLogs(true);
     try {
-      const params = buildDateParams();
-      params.set('limit', LOGS_PAGE_SIZE);
-      params.set('offset', logsOffsetRef.current);
-      const res = await fetch(`${API_BASE}/AiUsage/logs?${params}`, { cache: 'no-store' });
-      if (res.ok) {
-        const data = await res.json();
-        setLogs(prev => [...prev, ...data.items]);
-        setLogsTotalCount(data.totalCount);
-        logsOffsetRef.current += data.items.length;
-      }
+      const data = await client.get('/aiusage/logs', {
+        query: { ...dateRange, limit: LOGS_PAGE_SIZE, offset: logsOffsetRef.current },
+        cache: 'no-store',
+      });
+      setLogs(prev => [...prev, ...data.items]);
+      setLogsTotalCount(data.totalCount);
+      logsOffsetRef.current += data.items.length;
     } catch (err) {
-      console.error('Failed to load more AI usage logs:', err);
+      showError(err, 'Failed to load more AI usage logs');
     } finally {
       setLoadingMoreLogs(false);
     }
-  }, [buildDateParams]);
+  }, [dateRange, client]);
 
   useEffect(() => {
     loadData();
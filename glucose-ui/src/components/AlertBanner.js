@@ -0,0 +1,37 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+/**
+ * In-app counterpart of the browser notifications: lists the active alert
+ * rules on every page and offers the configured snooze per rule.
+ */
+function AlertBanner({ alerts, snoozeMinutes, onSnooze }) {
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="alert-banner">
+      {alerts.map(alert => (
+        <div
+          key={alert.id}
+          className={`alert-banner-item${alert.urgent ? ' urgent' : ''}${alert.snoozedUntil ? ' snoozed' : ''}`}
+        >
+          <span className="alert-banner-icon">{alert.icon}</span>
+          <span className="alert-banner-text">
+            <strong>{alert.title}</strong> — {alert.message}
+          </span>
+          {alert.snoozedUntil ? (
+            <span className="alert-banner-snoozed">
+              Snoozed until {format(new Date(alert.snoozedUntil), 'HH:mm')}
+            </span>
+          ) : (
+            <button className="btn-alert-snooze" onClick={() => onSnooze(alert.id, snoozeMinutes)}>
+              Snooze {snoozeMinutes} min
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default AlertBanner;
@@ -0,0 +1,88 @@
+import React, { useMemo } from 'react';
+import { diffWords, similarity } from '../config/textDiff';
+
+const CLASSIFICATION_LABELS = { green: '🟢 Good', yellow: '🟡 Concerning', red: '🔴 Bad' };
+
+const classificationLabel = (c) => CLASSIFICATION_LABELS[c] || '⬜ None';
+
+// Markdown emphasis only gets in the way of a word diff
+const plain = (text) => (text || '').replace(/\*\*/g, '');
+
+/**
+ * Side-by-side comparison of two AI analyses: the classification change, the
+ * delta of their numbers and a word-level diff of the texts (words only in
+ * the older run struck through on the left, new words highlighted on the right).
+ *
+ * `before`/`after` are `{ title, subtitle, classification, analysis }`; `stats`
+ * is `[{ label, before, after, format, formatDelta? }]` where `format` renders
+ * a value and `formatDelta` a difference (leave it out for values without one).
+ */
+function AnalysisCompare({ before, after, stats = [], onClose }) {
+  const parts = useMemo(() => diffWords(plain(before.analysis), plain(after.analysis)), [before.analysis, after.analysis]);
+  const changed = before.classification !== after.classification;
+
+  return (
+    <div className="analysis-compare">
+      <div className="analysis-compare-header">
+        <div className="analysis-compare-side">
+          <strong>{before.title}</strong>
+          {before.subtitle && <span>{before.subtitle}</span>}
+        </div>
+        <span className="analysis-compare-arrow">→</span>
+        <div className="analysis-compare-side">
+          <strong>{after.title}</strong>
+          {after.subtitle && <span>{after.subtitle}</span>}
+        </div>
+        {onClose && <button className="btn-range-apply" onClick={onClose}>✕ Close</button>}
+      </div>
+
+      <div className={`analysis-compare-classification${changed ? ' changed' : ''}`}>
+        Classification: {classificationLabel(before.classification)}
+        {changed ? <> → {classificationLabel(after.classification)}</> : ' (unchanged)'}
+      </div>
+
+      {stats.length > 0 && (
+        <table className="analysis-compare-stats">
+          <tbody>
+            {stats.map(s => {
+              const hasDelta = s.formatDelta && s.before != null && s.after != null;
+              const delta = hasDelta ? s.after - s.before : null;
+              return (
+                <tr key={s.label}>
+                  <th>{s.label}</th>
+                  <td>{s.before != null ? s.format(s.before) : '—'}</td>
+                  <td>{s.after != null ? s.format(s.after) : '—'}</td>
+                  <td className={delta ? (delta > 0 ? 'delta-up' : 'delta-down') : 'delta-none'}>
+                    {hasDelta ? (delta ? s.formatDelta(delta) : '=') : ''}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div className="analysis-compare-similarity">
+        {Math.round(similarity(parts) * 100)}% of the wording is shared
+      </div>
+      <div className="analysis-compare-texts">
+        <div className="analysis-compare-text">
+          {before.analysis
+            ? parts.filter(p => p.type !== 'added').map((p, i) => (
+              <span key={i} className={p.type === 'removed' ? 'diff-removed' : undefined}>{p.text}</span>
+            ))
+            : <em>No analysis text.</em>}
+        </div>
+        <div className="analysis-compare-text">
+          {after.analysis
+            ? parts.filter(p => p.type !== 'removed').map((p, i) => (
+              <span key={i} className={p.type === 'added' ? 'diff-added' : undefined}>{p.text}</span>
+            ))
+            : <em>No analysis text.</em>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AnalysisCompare;
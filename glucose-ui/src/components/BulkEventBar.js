@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { invalidateQueries } from '../api/queryCache';
+import useApi from '../hooks/useApi';
+import useBulkJob, { trackBulkJob } from '../hooks/useBulkJob';
+import useQuery from '../hooks/useQuery';
+import { showError, showToast } from './Toaster';
+import MODEL_OPTIONS from './modelOptions';
+
+const ACTIONS = [
+  { value: 'reprocess', label: '🔄 Re-analyse with AI' },
+  { value: 'retranslate', label: '🌐 Re-translate' },
+  { value: 'reextract-foods', label: '🍽️ Re-extract foods' },
+  { value: 'delete', label: '🗑️ Delete' },
+];
+
+/** Mirrors BulkEventActionHandler.MaxEvents on the server. */
+export const BULK_MAX_EVENTS = 1000;
+
+const actionLabel = (value) => ACTIONS.find(a => a.value === value)?.label || value;
+
+function formatCost(cost) {
+  if (cost == null || cost === 0) return '$0.00';
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  if (cost < 1) return `$${cost.toFixed(3)}`;
+  return `$${cost.toFixed(2)}`;
+}
+
+/** What the confirmation dialog says each action will do. */
+function ActionDescription({ action, count, manualCount }) {
+  switch (action) {
+    case 'reprocess':
+      return <p>Each event is analysed again and its current analysis kept in the analysis history.</p>;
+    case 'retranslate':
+      return <p>The English titles and notes are cleared and translated again in the background.</p>;
+    case 'reextract-foods':
+      return <p>The foods linked to these events are removed and extracted again from their analyses.</p>;
+    default:
+      // With "Select all matching" it isn't known which events were logged in the app
+      if (manualCount == null) {
+        return (
+          <p className="restore-warning">
+            The events logged in the app among them will be <strong>deleted with their analysis history</strong>.
+            Events from Samsung Notes are kept. This cannot be undone.
+          </p>
+        );
+      }
+      return (
+        <>
+          <p className="restore-warning">
+            {manualCount} event{manualCount !== 1 ? 's' : ''} logged in the app will be
+            <strong> deleted with their analysis history</strong>. This cannot be undone.
+          </p>
+          {manualCount < count && (
+            <p>
+              {count - manualCount} event{count - manualCount !== 1 ? 's' : ''} from Samsung Notes will be kept:
+              they are recreated from their note, so delete the note instead.
+            </p>
+          )}
+        </>
+      );
+  }
+}
+
+/**
+ * Action bar for the events selected on the Events page: re-analyse them
+ * (optionally with another model), re-translate, re-extract foods or delete.
+ * `matching` (`{ filter, count }`) stands for every event matching the list's
+ * filters instead of `selected`; the server then resolves the events itself.
+ * Re-analysis shows a cost estimate from past token usage before it is
+ * confirmed, then runs on the server with progress pushed over SignalR
+ * ("bulkActionProgress" window event) and can be cancelled between events.
+ * The job is followed by useBulkJob(), so its progress is still shown after
+ * leaving the Events page and coming back.
+ */
+function BulkEventBar({ selected, matching, onClearSelection }) {
+  const client = useApi();
+  const [action, setAction] = useState('reprocess');
+  const [model, setModel] = useState('');
+  const [confirming, setConfirming] = useState(false);
+  const [running, setRunning] = useState(false);
+  const job = useBulkJob();
+
+  const count = matching ? matching.count : selected.length;
+  const manualCount = matching ? null : selected.filter(e => e.isManual).length;
+
+  const { data: estimate, loading: estimating } = useQuery('/aiusage/estimate', {
+    query: { calls: count, model },
+    enabled: confirming && action === 'reprocess' && count > 0,
+    errorContext: 'Failed to estimate the cost',
+  });
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      const result = await client.post('/events/bulk', {
+        action,
+        ...(matching ? { filter: matching.filter } : { ids: selected.map(e => e.id) }),
+        modelOverride: action === 'reprocess' ? model || null : null,
+      });
+      setConfirming(false);
+      onClearSelection();
+      if (result.jobId) {
+        trackBulkJob(result.jobId, result.count);
+        return;
+      }
+      invalidateQueries(['/events', '/meals', '/food']);
+      showToast(result.message || `${actionLabel(action)}: ${result.count} event${result.count !== 1 ? 's' : ''}`,
+        result.skipped ? 'info' : 'success');
+    } catch (err) {
+      showError(err, 'Bulk action failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleCancelJob = async () => {
+    try {
+      await client.post(`/events/bulk/${job.jobId}/cancel`);
+    } catch (err) {
+      showError(err, 'Failed to cancel the re-analysis');
+    }
+  };
+
+  const canRun = count > 0 && !(action === 'delete' && manualCount === 0);
+  const percent = job?.total ? Math.round((job.processed / job.total) * 100) : 0;
+
+  return (
+    <>
+      {job && (
+        <div className="bulk-progress">
+          <div className="import-progress">
+            <div className="import-progress-bar" style={{ width: `${percent}%` }} />
+            <span>
+              Re-analysing events: {job.processed} / {job.total}
+              {job.failed > 0 && ` · ${job.failed} failed`}
+            </span>
+          </div>
+          <button className="btn-cancel" onClick={handleCancelJob}>Stop</button>
+        </div>
+      )}
+
+      {count > 0 && (
+        <div className="bulk-bar">
+          <span className="bulk-bar-count">{matching ? `All ${count} matching` : `${count} selected`}</span>
+          <select className="meals-class-filter" value={action} onChange={(e) => setAction(e.target.value)}>
+            {ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+          </select>
+          {action === 'reprocess' && (
+            <select className="meals-class-filter" value={model} onChange={(e) => setModel(e.target.value)}>
+              {MODEL_OPTIONS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          )}
+          <button className="btn-reprocess" onClick={() => setConfirming(true)} disabled={!canRun || !!job}>
+            Apply…
+          </button>
+          <button className="bulk-select-button" onClick={onClearSelection}>✕ Clear selection</button>
+        </div>
+      )}
+
+      {confirming && (
+        <div className="restore-confirm-overlay" onClick={() => setConfirming(false)}>
+          <div className="restore-confirm-dialog" onClick={(e) => e.stopPropagation()}>
+            <h3>{actionLabel(action)} — {count} event{count !== 1 ? 's' : ''}</h3>
+            <ActionDescription action={action} count={count} manualCount={manualCount} />
+            {action === 'reprocess' && (
+              <div className="bulk-estimate">
+                {estimating && 'Estimating cost…'}
+                {estimate && (
+                  <>
+                    Estimated cost with <strong>{estimate.model}</strong>:{' '}
+                    <strong>{estimate.knownPricing ? formatCost(estimate.estimatedCost) : 'unknown'}</strong>
+                    <span className="bulk-estimate-basis">
+                      {estimate.sampleSize > 0
+                        ? `~${Math.round(estimate.avgInputTokens)} input / ${Math.round(estimate.avgOutputTokens)} output tokens per event, from ${estimate.sampleSize} past analyses`
+                        : 'No past analyses yet; based on a typical event'}
+                      {!estimate.knownPricing && ' · no pricing for this model'}
+                    </span>
+                  </>
+                )}
+              </div>
+            )}
+            <div className="restore-confirm-actions">
+              <button className="btn-cancel" onClick={() => setConfirming(false)}>Cancel</button>
+              <button
+                className={action === 'delete' ? 'btn-danger' : 'btn-export'}
+                onClick={handleRun}
+                disabled={running}
+              >
+                {running ? '⏳ Working…' : actionLabel(action)}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default BulkEventBar;
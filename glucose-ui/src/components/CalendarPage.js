@@ -0,0 +1,185 @@
+import React, { useMemo, useState } from 'react';
+import {
+  format, parseISO, addMonths, subMonths, addDays, startOfMonth, endOfMonth,
+  startOfWeek, endOfWeek, eachDayOfInterval, isSameMonth,
+} from 'date-fns';
+import { useNavigate, useParams } from 'react-router-dom';
+import { PAGE_PATHS, paths } from '../config/routes';
+import { toWallClock, zonedParts } from '../config/timeZone';
+import { parseUtc } from '../config/dataFreshness';
+import { eventStyle, describeDetails } from '../config/eventTypes';
+import { useDisplayTimeZone, useGlucoseUnit } from '../context/DisplaySettingsContext';
+import useOpenEvent from '../hooks/useOpenEvent';
+import useQuery from '../hooks/useQuery';
+import { DailySummaryDetailModal } from './DailySummariesPage';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_FORMAT = 'yyyy-MM-dd';
+const CLASSIFICATION_LABELS = { green: '🟢 Good', yellow: '🟡 Concerning', red: '🔴 Bad' };
+
+const tirClass = (tir) => {
+  if (tir == null) return '';
+  if (tir >= 70) return 'tir-good';
+  if (tir >= 50) return 'tir-moderate';
+  return 'tir-poor';
+};
+
+/** The month in the URL (/calendar/2026-10), or the current month. */
+function monthFromParam(param) {
+  const parsed = /^\d{4}-\d{2}$/.test(param || '') ? parseISO(`${param}-01`) : null;
+  return startOfMonth(parsed && !Number.isNaN(parsed.getTime()) ? parsed : new Date());
+}
+
+/**
+ * Month calendar of daily summaries and events. Each day is tinted by its
+ * summary's classification and carries a time-in-range bar; events are dots
+ * coloured by their own classification, with a preview on hover. Clicking a
+ * day opens its daily summary, clicking a dot opens the event. Weeks start
+ * on Monday so weekday patterns line up in columns.
+ */
+function CalendarPage() {
+  const { month: monthParam } = useParams();
+  const navigate = useNavigate();
+  const openEvent = useOpenEvent();
+  const timeZone = useDisplayTimeZone();
+  const glucoseUnit = useGlucoseUnit();
+  const [openDay, setOpenDay] = useState(null);
+
+  const month = monthFromParam(monthParam);
+  const gridStart = startOfWeek(month, { weekStartsOn: 1 });
+  const gridEnd = endOfWeek(endOfMonth(month), { weekStartsOn: 1 });
+  const days = eachDayOfInterval({ start: gridStart, end: gridEnd });
+
+  const { data: summaryPage, loading: summariesLoading } = useQuery('/dailysummaries', {
+    query: { from: format(gridStart, DAY_FORMAT), to: format(gridEnd, DAY_FORMAT) },
+    errorContext: 'Failed to load daily summaries',
+  });
+  // A day of margin either side: days are bucketed in the display timezone, not the browser's
+  const { data: eventPage, loading: eventsLoading } = useQuery('/events', {
+    query: { from: addDays(gridStart, -1), to: addDays(gridEnd, 2) },
+    errorContext: 'Failed to load events',
+  });
+
+  const summariesByDay = useMemo(() => {
+    const map = new Map();
+    (summaryPage?.items || []).forEach(s => map.set(format(parseISO(s.date), DAY_FORMAT), s));
+    return map;
+  }, [summaryPage]);
+
+  const eventsByDay = useMemo(() => {
+    const map = new Map();
+    [...(eventPage?.items || [])]
+      .sort((a, b) => a.eventTimestamp.localeCompare(b.eventTimestamp))
+      .forEach(evt => {
+        const { dayKey } = zonedParts(parseUtc(evt.eventTimestamp).getTime(), timeZone);
+        if (!map.has(dayKey)) map.set(dayKey, []);
+        map.get(dayKey).push(evt);
+      });
+    return map;
+  }, [eventPage, timeZone]);
+
+  const goToMonth = (date) => navigate(paths.calendarMonth(format(date, 'yyyy-MM')));
+  const loading = summariesLoading || eventsLoading;
+  const todayKey = format(new Date(), DAY_FORMAT);
+
+  return (
+    <div className="calendar-page">
+      <div className="calendar-header">
+        <button className="calendar-nav" onClick={() => goToMonth(subMonths(month, 1))} title="Previous month">‹</button>
+        <h2 className="calendar-title">{format(month, 'MMMM yyyy')}</h2>
+        <button className="calendar-nav" onClick={() => goToMonth(addMonths(month, 1))} title="Next month">›</button>
+        <button className="calendar-today" onClick={() => navigate(PAGE_PATHS.calendar)}>Today</button>
+        {loading && <div className="spinner spinner-sm" />}
+      </div>
+
+      <div className="calendar-grid">
+        {WEEKDAYS.map(d => <div key={d} className="calendar-weekday">{d}</div>)}
+
+        {days.map(day => {
+          const key = format(day, DAY_FORMAT);
+          const summary = summariesByDay.get(key);
+          const dayEvents = eventsByDay.get(key) || [];
+          const classes = [
+            'calendar-day',
+            !isSameMonth(day, month) && 'outside',
+            key === todayKey && 'today',
+            summary?.aiClassification && `classification-${summary.aiClassification}`,
+            summary && 'has-summary',
+          ].filter(Boolean).join(' ');
+
+          return (
+            <div
+              key={key}
+              className={classes}
+              onClick={() => summary && setOpenDay(key)}
+              title={summary
+                ? `${format(day, 'EEEE, MMM d')} · ${summary.eventCount} events`
+                  + (summary.timeInRange != null ? ` · ${summary.timeInRange.toFixed(0)}% in range` : '')
+                  + (summary.glucoseAvg != null ? ` · avg ${glucoseUnit.format(summary.glucoseAvg)}` : '')
+                : undefined}
+            >
+              <div className="calendar-day-header">
+                <span className="calendar-day-number">{format(day, 'd')}</span>
+                {summary?.timeInRange != null && (
+                  <span className={`calendar-tir ${tirClass(summary.timeInRange)}`}>
+                    {summary.timeInRange.toFixed(0)}%
+                  </span>
+                )}
+              </div>
+
+              {summary?.timeInRange != null && (
+                <div className="calendar-tir-bar">
+                  <div
+                    className={`calendar-tir-fill ${tirClass(summary.timeInRange)}`}
+                    style={{ width: `${Math.min(summary.timeInRange, 100)}%` }}
+                  />
+                </div>
+              )}
+
+              <div className="calendar-dots">
+                {dayEvents.map(evt => {
+                  const style = eventStyle(evt);
+                  const details = describeDetails(evt);
+                  return (
+                    <button
+                      key={evt.id}
+                      className={`calendar-dot ${evt.aiClassification ? `dot-${evt.aiClassification}` : 'dot-none'}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        openEvent(evt.id);
+                      }}
+                    >
+                      <span className="calendar-preview">
+                        <strong>{style.icon} {evt.noteTitleEn || evt.noteTitle || style.label}</strong>
+                        <span>{format(toWallClock(parseUtc(evt.eventTimestamp), timeZone), 'HH:mm')}</span>
+                        {evt.aiClassification && <span>{CLASSIFICATION_LABELS[evt.aiClassification]}</span>}
+                        {evt.glucoseSpike != null && (
+                          <span>Spike {glucoseUnit.format(evt.glucoseSpike, { signed: true })}</span>
+                        )}
+                        {details && <span>{details}</span>}
+                        {!evt.isProcessed && <span>⏳ Processing...</span>}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="calendar-legend">
+        <span><i className="calendar-legend-swatch classification-green" /> Good day</span>
+        <span><i className="calendar-legend-swatch classification-yellow" /> Concerning</span>
+        <span><i className="calendar-legend-swatch classification-red" /> Bad</span>
+        <span>Bar: time in range · Dots: events by classification</span>
+      </div>
+
+      {openDay && (
+        <DailySummaryDetailModal summaryKey={openDay} onClose={() => setOpenDay(null)} />
+      )}
+    </div>
+  );
+}
+
+export default CalendarPage;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format } from 'date-fns';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import {
+  findChartSvg,
+  buildChartSvg,
+  svgToPng,
+  downloadBlob,
+  copyPngToClipboard,
+  slugify,
+} from '../config/chartExport';
+import { showToast, showError } from './Toaster';
+
+/**
+ * "Image" menu for a chart card: export the chart inside `chartRef` as PNG or
+ * SVG, or copy it as PNG to paste into a message. The image is captioned with
+ * `title`, `subtitle` (usually the date range), the glucose unit and the day
+ * target range.
+ */
+function ChartExportMenu({ chartRef, title, subtitle }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const wrapperRef = useRef(null);
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const build = () => {
+    const svg = findChartSvg(chartRef.current);
+    if (!svg) throw new Error('The chart is not on screen.');
+    const bare = (v) => glucoseUnit.format(v, { withUnit: false });
+    return buildChartSvg(svg, {
+      title,
+      subtitle,
+      unit: glucoseUnit.unit,
+      target: { low: bare(targetRanges.day.low), high: bare(targetRanges.day.high) },
+    });
+  };
+
+  const fileName = (ext) => `${slugify(title)}_${format(new Date(), 'yyyy-MM-dd')}.${ext}`;
+
+  const run = async (action) => {
+    setOpen(false);
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      showError(err, 'Image export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportSvg = () => run(async () => {
+    const { markup } = build();
+    downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), fileName('svg'));
+  });
+
+  const exportPng = () => run(async () => {
+    downloadBlob(await svgToPng(build()), fileName('png'));
+  });
+
+  const copyPng = () => run(async () => {
+    await copyPngToClipboard(() => svgToPng(build()));
+    showToast('Chart copied — paste it into a message or document.', 'success');
+  });
+
+  return (
+    <div className="export-wrapper" ref={wrapperRef}>
+      <button className="btn-export" onClick={() => setOpen(!open)} disabled={busy} title="Export or copy this chart as an image">
+        {busy ? '⏳ Exporting...' : '🖼 Image'}
+      </button>
+      {open && (
+        <div className="export-menu">
+          <button className="export-menu-item" onClick={exportPng}>Export as PNG</button>
+          <button className="export-menu-item" onClick={exportSvg}>Export as SVG</button>
+          <button className="export-menu-item" onClick={copyPng}>📋 Copy to clipboard</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChartExportMenu;
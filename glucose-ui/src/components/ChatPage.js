@@ -5,11 +5,16 @@ import {
   CartesianGrid, Tooltip, ReferenceLine, ReferenceArea, Cell,
 } from 'recharts';
 import MODEL_OPTIONS from './modelOptions';
-import EventDetailModal from './EventDetailModal';
 import useInfiniteScroll from '../hooks/useInfiniteScroll';
 import PAGE_SIZES from '../config/pageSize';
+import { useNavigate, useParams } from 'react-router-dom';
+import useOpenEvent from '../hooks/useOpenEvent';
+import { PAGE_PATHS, paths } from '../config/routes';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import api, { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
 const SESSIONS_PAGE_SIZE = PAGE_SIZES.chatSessions;
 
 const PERIOD_COLORS = [
@@ -53,7 +58,13 @@ function generatePeriodName(start, end, existingNames) {
 
 function ChatPage() {
   const [sessions, setSessions] = useState([]);
-  const [selectedId, setSelectedId] = useState(null);
+  const { sessionId } = useParams();
+  const navigate = useNavigate();
+  const selectedId = sessionId ? Number(sessionId) : null;
+  const setSelectedId = useCallback(
+    (id) => navigate(id ? paths.chatSession(id) : PAGE_PATHS.chat),
+    [navigate]
+  );
   const [detail, setDetail] = useState(null);
   const [templates, setTemplates] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -61,9 +72,10 @@ function ChatPage() {
   const [sessionsTotalCount, setSessionsTotalCount] = useState(0);
   const [sending, setSending] = useState(false);
   const [showNewChat, setShowNewChat] = useState(false);
-  const [selectedEventId, setSelectedEventId] = useState(null);
+  const openEvent = useOpenEvent();
   const messagesEndRef = useRef(null);
   const sessionsOffsetRef = useRef(0);
+  const client = useApi();
   const sessionsListRef = useRef(null);
 
   // New chat form state
@@ -87,24 +99,21 @@ function ChatPage() {
     if (append) setLoadingMoreSessions(true); else setLoading(true);
     try {
       const offset = append ? sessionsOffsetRef.current : 0;
-      const res = await fetch(`${API_BASE}/chat/sessions?limit=${SESSIONS_PAGE_SIZE}&offset=${offset}`);
-      if (res.ok) {
-        const data = await res.json();
-        if (append) {
-          setSessions(prev => [...prev, ...data.items]);
-        } else {
-          setSessions(data.items);
-        }
-        setSessionsTotalCount(data.totalCount);
-        sessionsOffsetRef.current = (append ? sessionsOffsetRef.current : 0) + data.items.length;
+      const data = await client.get('/chat/sessions', { query: { limit: SESSIONS_PAGE_SIZE, offset } });
+      if (append) {
+        setSessions(prev => [...prev, ...data.items]);
+      } else {
+        setSessions(data.items);
       }
+      setSessionsTotalCount(data.totalCount);
+      sessionsOffsetRef.current = (append ? sessionsOffsetRef.current : 0) + data.items.length;
     } catch (err) {
-      console.error('Failed to fetch chat sessions:', err);
+      showError(err, 'Failed to load chat sessions');
     } finally {
       setLoading(false);
       setLoadingMoreSessions(false);
     }
-  }, []);
+  }, [client]);
 
   const sessionsHasMore = sessions.length < sessionsTotalCount;
   const loadMoreSessions = useCallback(() => fetchSessions(true), [fetchSessions]);
@@ -113,36 +122,31 @@ function ChatPage() {
   const fetchDetail = useCallback(async (id) => {
     if (!id) { setDetail(null); return; }
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions/${id}`);
-      if (res.ok) setDetail(await res.json());
+      setDetail(await client.get(`/chat/sessions/${id}`));
     } catch (err) {
-      console.error('Failed to fetch session detail:', err);
+      showError(err, 'Failed to load chat session');
     }
-  }, []);
+  }, [client]);
 
   const fetchTemplates = useCallback(async () => {
     try {
-      const res = await fetch(`${API_BASE}/chat/templates`);
-      if (res.ok) setTemplates(await res.json());
+      setTemplates(await client.get('/chat/templates'));
     } catch (err) {
-      console.error('Failed to fetch templates:', err);
+      showError(err, 'Failed to load prompt templates');
     }
-  }, []);
+  }, [client]);
 
   const fetchChartData = useCallback(async (start, end) => {
     if (!start || !end) { setChartData(null); return; }
     setChartLoading(true);
     try {
-      const s = new Date(start).toISOString();
-      const e = new Date(end).toISOString();
-      const res = await fetch(`${API_BASE}/glucose/range?start=${encodeURIComponent(s)}&end=${encodeURIComponent(e)}`);
-      if (res.ok) setChartData(await res.json());
+      setChartData(await client.get('/glucose/range', { query: { start: new Date(start), end: new Date(end) } }));
     } catch (err) {
-      console.error('Failed to fetch chart data:', err);
+      showError(err, 'Failed to load chart data');
     } finally {
       setChartLoading(false);
     }
-  }, []);
+  }, [client]);
 
   useEffect(() => {
     fetchSessions();
@@ -230,27 +234,20 @@ function ChatPage() {
         model: newModel || null,
         periods: periods.length > 0 ? periods : null,
       };
-      const res = await fetch(`${API_BASE}/chat/sessions`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      if (res.ok) {
-        const data = await res.json();
-        setSelectedId(data.sessionId);
-        setShowNewChat(false);
-        setNewTitle('');
-        setNewMessage('');
-        setNewModel('');
-        setNewTemplate('');
-        setSelectedPeriods([]);
-        setPromptPreview('');
-        setIsPromptEdited(false);
-        fetchSessions();
-        fetchDetail(data.sessionId);
-      }
+      const data = await client.post('/chat/sessions', body);
+      setSelectedId(data.sessionId);
+      setShowNewChat(false);
+      setNewTitle('');
+      setNewMessage('');
+      setNewModel('');
+      setNewTemplate('');
+      setSelectedPeriods([]);
+      setPromptPreview('');
+      setIsPromptEdited(false);
+      fetchSessions();
+      fetchDetail(data.sessionId);
     } catch (err) {
-      console.error('Failed to create chat session:', err);
+      showError(err, 'Failed to create chat session');
     } finally {
       setSending(false);
     }
@@ -261,23 +258,14 @@ function ChatPage() {
     if (!followUpMsg.trim() || !selectedId) return;
     setSending(true);
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions/${selectedId}/messages`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          content: followUpMsg,
-          modelOverride: followUpModel || null,
-        }),
+      await client.post(`/chat/sessions/${selectedId}/messages`, {
+        content: followUpMsg,
+        modelOverride: followUpModel || null,
       });
-      if (res.ok) {
-        setFollowUpMsg('');
-        fetchDetail(selectedId);
-      } else {
-        const data = await res.json();
-        alert(data || 'Failed to send message.');
-      }
+      setFollowUpMsg('');
+      fetchDetail(selectedId);
     } catch (err) {
-      console.error('Failed to send message:', err);
+      showError(err, 'Failed to send message');
     } finally {
       setSending(false);
     }
@@ -286,23 +274,23 @@ function ChatPage() {
   const handleDeleteSession = async (id) => {
     if (!window.confirm('Permanently delete this chat session and all its messages?')) return;
     try {
-      await fetch(`${API_BASE}/chat/sessions/${id}`, { method: 'DELETE' });
+      await client.delete(`/chat/sessions/${id}`);
       if (selectedId === id) { setSelectedId(null); setDetail(null); }
       fetchSessions();
     } catch (err) {
-      console.error('Failed to delete session:', err);
+      showError(err, 'Failed to delete session');
     }
   };
 
   const handleDeleteAllSessions = async () => {
     if (!window.confirm(`Permanently delete all ${sessions.length} chat session(s)? This cannot be undone.`)) return;
     try {
-      await fetch(`${API_BASE}/chat/sessions`, { method: 'DELETE' });
+      await client.delete('/chat/sessions');
       setSelectedId(null);
       setDetail(null);
       fetchSessions();
     } catch (err) {
-      console.error('Failed to delete all sessions:', err);
+      showError(err, 'Failed to delete sessions');
     }
   };
 
@@ -340,8 +328,8 @@ function ChatPage() {
       if (match) {
         const eventId = parseInt(match[1]);
         return (
-          <a key={i} href="#!" className="chat-event-link"
-            onClick={(e) => { e.preventDefault(); setSelectedEventId(eventId); }}
+          <a key={i} href={paths.event(eventId)} className="chat-event-link"
+            onClick={(e) => { e.preventDefault(); openEvent(eventId); }}
           >{part}</a>
         );
       }
@@ -440,7 +428,7 @@ function ChatPage() {
                   onAddPeriod={handleAddPeriod}
                   onRemovePeriod={handleRemovePeriod}
                   onRenamePeriod={handleRenamePeriod}
-                  onEventClick={setSelectedEventId}
+                  onEventClick={openEvent}
                 />
               </div>
 
@@ -525,7 +513,7 @@ function ChatPage() {
                 chartData={chartData}
                 chartLoading={chartLoading}
                 periods={detail.periods || []}
-                onEventClick={setSelectedEventId}
+                onEventClick={openEvent}
               />
             )}
 
@@ -612,13 +600,6 @@ function ChatPage() {
           </div>
         )}
       </div>
-
-      {selectedEventId && (
-        <EventDetailModal
-          eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-        />
-      )}
     </div>
   );
 }
@@ -688,6 +669,8 @@ function useChartZoom(dataMin, dataMax) {
 // ─── Period Selector Graph ─────────────────────────────────
 
 function PeriodSelectorGraph({ periods, onAddPeriod, onRemovePeriod, onRenamePeriod, onEventClick }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
   const [graphRange, setGraphRange] = useState(7);
   const [graphData, setGraphData] = useState(null);
   const [graphLoading, setGraphLoading] = useState(false);
@@ -699,24 +682,21 @@ function PeriodSelectorGraph({ periods, onAddPeriod, onRemovePeriod, onRenamePer
   const chartContainerRef = useRef(null);
 
   useEffect(() => {
-    let cancelled = false;
+    const controller = new AbortController();
     const load = async () => {
       setGraphLoading(true);
       try {
         const end = new Date();
         const start = subDays(end, graphRange);
-        const res = await fetch(
-          `${API_BASE}/glucose/range?start=${encodeURIComponent(start.toISOString())}&end=${encodeURIComponent(end.toISOString())}`
-        );
-        if (res.ok && !cancelled) setGraphData(await res.json());
+        setGraphData(await api.get('/glucose/range', { query: { start, end }, signal: controller.signal }));
       } catch (err) {
-        console.error('Failed to fetch graph data:', err);
-      } finally {
-        if (!cancelled) setGraphLoading(false);
+        if (isAbortError(err)) return;
+        showError(err, 'Failed to load graph data');
       }
+      setGraphLoading(false);
     };
     load();
-    return () => { cancelled = true; };
+    return () => controller.abort();
   }, [graphRange]);
 
   const sortedReadings = useMemo(() => {
@@ -806,6 +786,7 @@ function PeriodSelectorGraph({ periods, onAddPeriod, onRemovePeriod, onRenamePer
   const values = sortedReadings.map(d => d.value);
   const minVal = values.length ? Math.max(40, Math.min(...values) - 10) : 40;
   const maxVal = values.length ? Math.min(400, Math.max(...values) + 10) : 300;
+  const rangeSegments = targetRanges.segments(domain[0], domain[1]);
 
   const selLeft = dragStartTime != null && dragEndTime != null ? Math.min(dragStartTime, dragEndTime) : null;
   const selRight = dragStartTime != null && dragEndTime != null ? Math.max(dragStartTime, dragEndTime) : null;
@@ -853,15 +834,18 @@ function PeriodSelectorGraph({ periods, onAddPeriod, onRemovePeriod, onRenamePer
                   allowDataOverflow
                 />
                 <YAxis domain={[minVal, maxVal]} stroke="rgba(255,255,255,0.3)"
-                  tick={{ fontSize: 10, fill: '#94a3b8' }} width={YAXIS_WIDTH} />
+                  tick={{ fontSize: 10, fill: '#94a3b8' }} tickFormatter={glucoseUnit.toDisplay} width={YAXIS_WIDTH} />
                 <Tooltip
                   contentStyle={{ background: '#1e293b', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8, fontSize: '0.8rem' }}
                   labelFormatter={t => format(new Date(t), 'MMM d, HH:mm')}
-                  formatter={(val) => [`${val} mg/dL`, 'Glucose']}
+                  formatter={(val) => [glucoseUnit.format(val), 'Glucose']}
                 />
-                <ReferenceArea y1={70} y2={180} fill="rgba(34,197,94,0.06)" />
-                <ReferenceLine y={70} stroke="rgba(234,179,8,0.3)" strokeDasharray="3 3" />
-                <ReferenceLine y={180} stroke="rgba(234,179,8,0.3)" strokeDasharray="3 3" />
+                {rangeSegments.map(({ x1, x2, thresholds }) => (
+                  <ReferenceArea key={`range-${x1}`} x1={x1} x2={x2} y1={thresholds.low} y2={thresholds.high} fill="rgba(34,197,94,0.06)" />
+                ))}
+                {rangeSegments.flatMap(({ x1, x2, thresholds }) => [thresholds.low, thresholds.high].map(y => (
+                  <ReferenceLine key={`limit-${x1}-${y}`} segment={[{ x: x1, y }, { x: x2, y }]} stroke="rgba(234,179,8,0.3)" strokeDasharray="3 3" />
+                )))}
 
                 {periods.map((p, idx) => (
                   <ReferenceArea key={`period-${idx}`}
@@ -951,6 +935,8 @@ function PeriodSelectorGraph({ periods, onAddPeriod, onRemovePeriod, onRenamePer
 // ─── Thread Glucose Chart ──────────────────────────────────
 
 function ChatGlucoseChart({ chartData, chartLoading, periods, onEventClick }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
   const [collapsed, setCollapsed] = useState(false);
   const threadChartRef = useRef(null);
 
@@ -1006,6 +992,7 @@ function ChatGlucoseChart({ chartData, chartLoading, periods, onEventClick }) {
   const values = sortedReadings.map(d => d.value);
   const minVal = Math.max(40, Math.min(...values) - 10);
   const maxVal = Math.min(400, Math.max(...values) + 10);
+  const rangeSegments = targetRanges.segments(domain[0], domain[1]);
 
   const renderEventLabel = (props) => {
     const { x, y, index } = props;
@@ -1070,18 +1057,21 @@ function ChatGlucoseChart({ chartData, chartLoading, periods, onEventClick }) {
                     minTickGap={40} allowDataOverflow
                   />
                   <YAxis domain={[minVal, maxVal]} stroke="rgba(255,255,255,0.3)"
-                    tick={{ fontSize: 10, fill: '#94a3b8' }} width={YAXIS_WIDTH} />
+                    tick={{ fontSize: 10, fill: '#94a3b8' }} tickFormatter={glucoseUnit.toDisplay} width={YAXIS_WIDTH} />
                   <Tooltip
                     contentStyle={{ background: '#1e293b', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 8, fontSize: '0.8rem' }}
                     labelFormatter={t => format(new Date(t), 'MMM d, HH:mm')}
                     formatter={(val, name) => {
-                      if (name === 'eventValue') return [`${val} mg/dL`, 'Event'];
-                      return [`${val} mg/dL`, 'Glucose'];
+                      if (name === 'eventValue') return [glucoseUnit.format(val), 'Event'];
+                      return [glucoseUnit.format(val), 'Glucose'];
                     }}
                   />
-                  <ReferenceArea y1={70} y2={180} fill="rgba(34,197,94,0.06)" />
-                  <ReferenceLine y={70} stroke="rgba(234,179,8,0.3)" strokeDasharray="3 3" />
-                  <ReferenceLine y={180} stroke="rgba(234,179,8,0.3)" strokeDasharray="3 3" />
+                  {rangeSegments.map(({ x1, x2, thresholds }) => (
+                    <ReferenceArea key={`range-${x1}`} x1={x1} x2={x2} y1={thresholds.low} y2={thresholds.high} fill="rgba(34,197,94,0.06)" />
+                  ))}
+                  {rangeSegments.flatMap(({ x1, x2, thresholds }) => [thresholds.low, thresholds.high].map(y => (
+                    <ReferenceLine key={`limit-${x1}-${y}`} segment={[{ x: x1, y }, { x: x2, y }]} stroke="rgba(234,179,8,0.3)" strokeDasharray="3 3" />
+                  )))}
 
                   {periods.map((p, idx) => (
                     <ReferenceArea key={`p-${idx}`}
@@ -1117,7 +1107,7 @@ function ChatGlucoseChart({ chartData, chartLoading, periods, onEventClick }) {
                         <span className="chat-chart-event-name">{evt.title || `Event #${evt.id}`}</span>
                         <span className="chat-chart-event-time">
                           {format(new Date(evt.time), 'MMM d, HH:mm')}
-                          {evt.eventValue != null && ` · ${evt.eventValue} mg/dL`}
+                          {evt.eventValue != null && ` · ${glucoseUnit.format(evt.eventValue)}`}
                         </span>
                       </div>
                       <span className="chat-chart-event-arrow">›</span>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   ResponsiveContainer,
   LineChart,
@@ -12,9 +12,14 @@ import {
   Legend,
 } from 'recharts';
 import { format, parseISO, subDays, subHours } from 'date-fns';
-import EventDetailModal from './EventDetailModal';
-
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+import { useNavigate, useParams } from 'react-router-dom';
+import useOpenEvent from '../hooks/useOpenEvent';
+import { PAGE_PATHS, paths } from '../config/routes';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
+import ChartExportMenu from './ChartExportMenu';
 
 const PRESETS = [
   { label: 'Last 6h vs prev 6h', hours: 6 },
@@ -55,9 +60,16 @@ function classEmoji(cls) {
 }
 
 export default function ComparePage() {
+  const glucoseUnit = useGlucoseUnit();
   const [comparisons, setComparisons] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedId, setSelectedId] = useState(null);
+  const { comparisonId } = useParams();
+  const navigate = useNavigate();
+  const selectedId = comparisonId ? Number(comparisonId) : null;
+  const setSelectedId = useCallback(
+    (id) => navigate(id ? paths.comparison(id) : PAGE_PATHS.compare),
+    [navigate]
+  );
   const [detail, setDetail] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
 
@@ -74,22 +86,18 @@ export default function ComparePage() {
   const [creating, setCreating] = useState(false);
   const [formError, setFormError] = useState(null);
 
-  // Event modal state
-  const [selectedEventId, setSelectedEventId] = useState(null);
+  const openEvent = useOpenEvent();
+  const client = useApi();
 
   const fetchComparisons = useCallback(async () => {
     try {
-      const res = await fetch(`${API_BASE}/comparison`);
-      if (res.ok) {
-        const data = await res.json();
-        setComparisons(data);
-      }
+      setComparisons(await client.get('/comparison'));
     } catch (err) {
-      console.error('Failed to fetch comparisons:', err);
+      showError(err, 'Failed to load comparisons');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [client]);
 
   useEffect(() => {
     fetchComparisons();
@@ -102,23 +110,19 @@ export default function ComparePage() {
   // Fetch detail when selected
   useEffect(() => {
     if (!selectedId) { setDetail(null); return; }
-    let cancelled = false;
+    const controller = new AbortController();
     setDetailLoading(true);
     (async () => {
       try {
-        const res = await fetch(`${API_BASE}/comparison/${selectedId}`);
-        if (res.ok && !cancelled) {
-          const data = await res.json();
-          setDetail(data);
-        }
+        setDetail(await client.get(`/comparison/${selectedId}`, { signal: controller.signal }));
       } catch (err) {
-        console.error('Failed to fetch comparison detail:', err);
-      } finally {
-        if (!cancelled) setDetailLoading(false);
+        if (isAbortError(err)) return;
+        showError(err, 'Failed to load comparison');
       }
+      setDetailLoading(false);
     })();
-    return () => { cancelled = true; };
-  }, [selectedId]);
+    return () => controller.abort();
+  }, [selectedId, client]);
 
   // Re-fetch detail when comparison is updated (e.g., AI analysis completed)
   useEffect(() => {
@@ -126,18 +130,16 @@ export default function ComparePage() {
       if (selectedId) {
         (async () => {
           try {
-            const res = await fetch(`${API_BASE}/comparison/${selectedId}`);
-            if (res.ok) {
-              const data = await res.json();
-              setDetail(data);
-            }
-          } catch (err) { /* ignore */ }
+            setDetail(await client.get(`/comparison/${selectedId}`));
+          } catch (err) {
+            if (!isAbortError(err)) console.error('Failed to refresh comparison:', err);
+          }
         })();
       }
     };
     window.addEventListener('comparisonsUpdated', handler);
     return () => window.removeEventListener('comparisonsUpdated', handler);
-  }, [selectedId]);
+  }, [selectedId, client]);
 
   const handlePreset = async (preset) => {
     setCreating(true);
@@ -157,29 +159,19 @@ export default function ComparePage() {
     }
 
     try {
-      const res = await fetch(`${API_BASE}/comparison`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name: preset.label,
-          periodAStart: aStart.toISOString(),
-          periodAEnd: aEnd.toISOString(),
-          periodALabel: 'Previous',
-          periodBStart: bStart.toISOString(),
-          periodBEnd: bEnd.toISOString(),
-          periodBLabel: 'Recent',
-        }),
+      const data = await client.post('/comparison', {
+        name: preset.label,
+        periodAStart: aStart.toISOString(),
+        periodAEnd: aEnd.toISOString(),
+        periodALabel: 'Previous',
+        periodBStart: bStart.toISOString(),
+        periodBEnd: bEnd.toISOString(),
+        periodBLabel: 'Recent',
       });
-      if (res.ok) {
-        const data = await res.json();
-        await fetchComparisons();
-        setSelectedId(data.id);
-      } else {
-        const err = await res.json();
-        setFormError(err.message || 'Failed to create comparison.');
-      }
+      await fetchComparisons();
+      setSelectedId(data.id);
     } catch (err) {
-      setFormError('Failed to create comparison: ' + err.message);
+      if (!isAbortError(err)) setFormError(err.message || 'Failed to create comparison.');
     } finally {
       setCreating(false);
     }
@@ -195,33 +187,23 @@ export default function ComparePage() {
     setFormError(null);
 
     try {
-      const res = await fetch(`${API_BASE}/comparison`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name: formName || null,
-          periodAStart: new Date(periodAStart).toISOString(),
-          periodAEnd: new Date(periodAEnd).toISOString(),
-          periodALabel: periodALabel || 'Period A',
-          periodBStart: new Date(periodBStart).toISOString(),
-          periodBEnd: new Date(periodBEnd).toISOString(),
-          periodBLabel: periodBLabel || 'Period B',
-        }),
+      const data = await client.post('/comparison', {
+        name: formName || null,
+        periodAStart: new Date(periodAStart).toISOString(),
+        periodAEnd: new Date(periodAEnd).toISOString(),
+        periodALabel: periodALabel || 'Period A',
+        periodBStart: new Date(periodBStart).toISOString(),
+        periodBEnd: new Date(periodBEnd).toISOString(),
+        periodBLabel: periodBLabel || 'Period B',
       });
-      if (res.ok) {
-        const data = await res.json();
-        await fetchComparisons();
-        setSelectedId(data.id);
-        setShowForm(false);
-        setFormName('');
-        setPeriodAStart(''); setPeriodAEnd('');
-        setPeriodBStart(''); setPeriodBEnd('');
-      } else {
-        const err = await res.json();
-        setFormError(err.message || 'Failed to create comparison.');
-      }
+      await fetchComparisons();
+      setSelectedId(data.id);
+      setShowForm(false);
+      setFormName('');
+      setPeriodAStart(''); setPeriodAEnd('');
+      setPeriodBStart(''); setPeriodBEnd('');
     } catch (err) {
-      setFormError('Failed: ' + err.message);
+      if (!isAbortError(err)) setFormError(err.message || 'Failed to create comparison.');
     } finally {
       setCreating(false);
     }
@@ -231,11 +213,11 @@ export default function ComparePage() {
     e.stopPropagation();
     if (!window.confirm('Delete this comparison?')) return;
     try {
-      await fetch(`${API_BASE}/comparison/${id}`, { method: 'DELETE' });
+      await client.delete(`/comparison/${id}`);
       if (selectedId === id) { setSelectedId(null); setDetail(null); }
       fetchComparisons();
     } catch (err) {
-      console.error('Delete failed:', err);
+      showError(err, 'Failed to delete comparison');
     }
   };
 
@@ -341,12 +323,12 @@ export default function ComparePage() {
                 <div className="compare-card-period">
                   <span className="period-label-a">{c.periodALabel || 'A'}</span>
                   <span className="period-dates">{formatDateShort(c.periodAStart)} – {formatDateShort(c.periodAEnd)}</span>
-                  {c.periodAGlucoseAvg != null && <span className="period-avg">avg {Math.round(c.periodAGlucoseAvg)}</span>}
+                  {c.periodAGlucoseAvg != null && <span className="period-avg">avg {glucoseUnit.format(c.periodAGlucoseAvg, { withUnit: false })}</span>}
                 </div>
                 <div className="compare-card-period">
                   <span className="period-label-b">{c.periodBLabel || 'B'}</span>
                   <span className="period-dates">{formatDateShort(c.periodBStart)} – {formatDateShort(c.periodBEnd)}</span>
-                  {c.periodBGlucoseAvg != null && <span className="period-avg">avg {Math.round(c.periodBGlucoseAvg)}</span>}
+                  {c.periodBGlucoseAvg != null && <span className="period-avg">avg {glucoseUnit.format(c.periodBGlucoseAvg, { withUnit: false })}</span>}
                 </div>
               </div>
               <div className="compare-card-status">
@@ -371,25 +353,20 @@ export default function ComparePage() {
             <div className="loading"><div className="spinner" /><p>Loading comparison...</p></div>
           )}
           {selectedId && !detailLoading && detail && (
-            <ComparisonDetail detail={detail} onEventClick={(id) => setSelectedEventId(id)} />
+            <ComparisonDetail detail={detail} onEventClick={openEvent} />
           )}
         </div>
       </div>
-
-      {/* Event detail modal */}
-      {selectedEventId && (
-        <EventDetailModal
-          eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-        />
-      )}
     </div>
   );
 }
 
 function ComparisonDetail({ detail, onEventClick }) {
+  const glucoseUnit = useGlucoseUnit();
+  const dayRange = useTargetRanges().day;
   const labelA = detail.periodALabel || 'Period A';
   const labelB = detail.periodBLabel || 'Period B';
+  const chartRef = useRef(null);
 
   // Zoom state: drag-to-select range on the chart
   const [refAreaLeft, setRefAreaLeft] = useState(null);
@@ -518,7 +495,7 @@ function ComparisonDetail({ detail, onEventClick }) {
           const localTime = p.dataKey === 'valueA' ? dataPoint?.timeA : dataPoint?.timeB;
           return (
             <div key={i} style={{ color: p.color }}>
-              {p.name}: {Math.round(p.value)} mg/dL
+              {p.name}: {glucoseUnit.format(p.value)}
               {localTime && <span className="compare-tooltip-time"> ({localTime})</span>}
             </div>
           );
@@ -567,7 +544,7 @@ function ComparisonDetail({ detail, onEventClick }) {
 
       {/* Overlay chart */}
       {chartData.length > 0 && (
-        <div className="compare-chart-section">
+        <div className="compare-chart-section" ref={chartRef}>
           <div className="compare-chart-title-row">
             <h4>Glucose Overlay</h4>
             {isZoomed && (
@@ -576,6 +553,11 @@ function ComparisonDetail({ detail, onEventClick }) {
               </button>
             )}
             {!isZoomed && <span className="compare-zoom-hint">Drag on chart to zoom</span>}
+            <ChartExportMenu
+              chartRef={chartRef}
+              title={`${detail.name || `Comparison #${detail.id}`} — Glucose Overlay`}
+              subtitle={`${labelA}: ${format(new Date(detail.periodAStart), 'MMM d, HH:mm')} – ${format(new Date(detail.periodAEnd), 'MMM d, HH:mm')}   vs   ${labelB}: ${format(new Date(detail.periodBStart), 'MMM d, HH:mm')} – ${format(new Date(detail.periodBEnd), 'MMM d, HH:mm')}`}
+            />
           </div>
           <div className="compare-chart-periods-header">
             <span className="period-label-a">{labelA}</span>
@@ -605,14 +587,15 @@ function ComparisonDetail({ detail, onEventClick }) {
               />
               <YAxis
                 domain={['auto', 'auto']}
+                tickFormatter={glucoseUnit.toDisplay}
                 stroke="rgba(255,255,255,0.5)"
                 tick={{ fill: 'rgba(255,255,255,0.7)', fontSize: 11 }}
-                label={{ value: 'mg/dL', angle: -90, position: 'insideLeft', fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
+                label={{ value: glucoseUnit.unit, angle: -90, position: 'insideLeft', fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
               />
               <Tooltip content={<CustomTooltip />} />
-              <ReferenceArea y1={70} y2={180} fill="rgba(0,200,100,0.06)" />
-              <ReferenceLine y={70} stroke="rgba(255,100,100,0.3)" strokeDasharray="5 5" />
-              <ReferenceLine y={180} stroke="rgba(255,100,100,0.3)" strokeDasharray="5 5" />
+              <ReferenceArea y1={dayRange.low} y2={dayRange.high} fill="rgba(0,200,100,0.06)" />
+              <ReferenceLine y={dayRange.low} stroke="rgba(255,100,100,0.3)" strokeDasharray="5 5" />
+              <ReferenceLine y={dayRange.high} stroke="rgba(255,100,100,0.3)" strokeDasharray="5 5" />
 
               {/* Event markers for Period A (only if in view) */}
               {eventMarkersA
@@ -697,27 +680,27 @@ function ComparisonDetail({ detail, onEventClick }) {
             </tr>
             <tr>
               <td>Average</td>
-              <td>{detail.periodAStats.glucoseAvg != null ? Math.round(detail.periodAStats.glucoseAvg) : '–'}</td>
-              <td>{detail.periodBStats.glucoseAvg != null ? Math.round(detail.periodBStats.glucoseAvg) : '–'}</td>
-              <td>{renderDelta(detail.periodAStats.glucoseAvg, detail.periodBStats.glucoseAvg, '', true)}</td>
+              <td>{glucoseUnit.format(detail.periodAStats.glucoseAvg, { withUnit: false, fallback: '–' })}</td>
+              <td>{glucoseUnit.format(detail.periodBStats.glucoseAvg, { withUnit: false, fallback: '–' })}</td>
+              <td>{renderDelta(glucoseUnit.convert(detail.periodAStats.glucoseAvg), glucoseUnit.convert(detail.periodBStats.glucoseAvg), '', true)}</td>
             </tr>
             <tr>
               <td>Min</td>
-              <td>{detail.periodAStats.glucoseMin != null ? Math.round(detail.periodAStats.glucoseMin) : '–'}</td>
-              <td>{detail.periodBStats.glucoseMin != null ? Math.round(detail.periodBStats.glucoseMin) : '–'}</td>
+              <td>{glucoseUnit.format(detail.periodAStats.glucoseMin, { withUnit: false, fallback: '–' })}</td>
+              <td>{glucoseUnit.format(detail.periodBStats.glucoseMin, { withUnit: false, fallback: '–' })}</td>
               <td></td>
             </tr>
             <tr>
               <td>Max</td>
-              <td>{detail.periodAStats.glucoseMax != null ? Math.round(detail.periodAStats.glucoseMax) : '–'}</td>
-              <td>{detail.periodBStats.glucoseMax != null ? Math.round(detail.periodBStats.glucoseMax) : '–'}</td>
+              <td>{glucoseUnit.format(detail.periodAStats.glucoseMax, { withUnit: false, fallback: '–' })}</td>
+              <td>{glucoseUnit.format(detail.periodBStats.glucoseMax, { withUnit: false, fallback: '–' })}</td>
               <td></td>
             </tr>
             <tr>
               <td>Std Dev</td>
-              <td>{detail.periodAStats.glucoseStdDev != null ? detail.periodAStats.glucoseStdDev.toFixed(1) : '–'}</td>
-              <td>{detail.periodBStats.glucoseStdDev != null ? detail.periodBStats.glucoseStdDev.toFixed(1) : '–'}</td>
-              <td>{renderDelta(detail.periodAStats.glucoseStdDev, detail.periodBStats.glucoseStdDev, '', true)}</td>
+              <td>{detail.periodAStats.glucoseStdDev != null ? glucoseUnit.convert(detail.periodAStats.glucoseStdDev).toFixed(1) : '–'}</td>
+              <td>{detail.periodBStats.glucoseStdDev != null ? glucoseUnit.convert(detail.periodBStats.glucoseStdDev).toFixed(1) : '–'}</td>
+              <td>{renderDelta(glucoseUnit.convert(detail.periodAStats.glucoseStdDev), glucoseUnit.convert(detail.periodBStats.glucoseStdDev), '', true)}</td>
             </tr>
             <tr>
               <td>Time in Range</td>
@@ -762,7 +745,7 @@ function ComparisonDetail({ detail, onEventClick }) {
                   </span>
                   <div>
                     <div className="compare-event-title">{e.noteTitle}</div>
-                    <div className="compare-event-time">{format(new Date(e.eventTimestamp), 'MMM d, HH:mm')} • {e.glucoseAtEvent != null ? `${Math.round(e.glucoseAtEvent)} mg/dL` : ''}</div>
+                    <div className="compare-event-time">{format(new Date(e.eventTimestamp), 'MMM d, HH:mm')} • {e.glucoseAtEvent != null ? glucoseUnit.format(e.glucoseAtEvent) : ''}</div>
                   </div>
                 </div>
               ))}
@@ -777,7 +760,7 @@ function ComparisonDetail({ detail, onEventClick }) {
                   </span>
                   <div>
                     <div className="compare-event-title">{e.noteTitle}</div>
-                    <div className="compare-event-time">{format(new Date(e.eventTimestamp), 'MMM d, HH:mm')} • {e.glucoseAtEvent != null ? `${Math.round(e.glucoseAtEvent)} mg/dL` : ''}</div>
+                    <div className="compare-event-time">{format(new Date(e.eventTimestamp), 'MMM d, HH:mm')} • {e.glucoseAtEvent != null ? glucoseUnit.format(e.glucoseAtEvent) : ''}</div>
                   </div>
                 </div>
               ))}
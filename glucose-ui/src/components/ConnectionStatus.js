@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { format } from 'date-fns';
+import { parseUtc, formatDuration } from '../config/dataFreshness';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+
+const HUB_STATES = {
+  connected:    { label: 'Live',          className: 'live' },
+  connecting:   { label: 'Connecting…',   className: 'pending' },
+  reconnecting: { label: 'Reconnecting…', className: 'pending' },
+  offline:      { label: 'Offline',       className: 'offline' },
+};
+
+/** `time` is epoch ms or a UTC timestamp string from the API. */
+function ago(time, now) {
+  if (!time) return 'never';
+  const minutes = Math.max(0, (now - (typeof time === 'number' ? time : parseUtc(time))) / 60000);
+  return minutes < 1 ? 'just now' : `${formatDuration(minutes)} ago`;
+}
+
+function at(timestamp) {
+  return timestamp ? format(new Date(parseUtc(timestamp)), 'HH:mm') : '—';
+}
+
+/**
+ * Header widget for live-sync health: the SignalR hub state and last push
+ * (tracked in App.js), plus the LibreLink fetch and Samsung Notes sync
+ * schedules from /api/sync/status. While the hub is down the dashboard only
+ * refreshes through the 5-minute fallback poll.
+ */
+function ConnectionStatus({ status, lastPushAt, onReconnect }) {
+  const [open, setOpen] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const ref = useRef(null);
+  const client = useApi();
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      // Polled every minute, so a failed attempt is not worth retrying
+      setSyncStatus(await client.get('/sync/status', { retries: 0 }));
+    } catch (err) {
+      if (!isAbortError(err)) console.error('Failed to fetch sync status:', err);
+    } finally {
+      setNow(Date.now());
+    }
+  }, [client]);
+
+  useEffect(() => {
+    fetchStatus();
+    const interval = setInterval(fetchStatus, 60000);
+    window.addEventListener('glucoseDataUpdated', fetchStatus);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('glucoseDataUpdated', fetchStatus);
+    };
+  }, [fetchStatus]);
+
+  // Refresh right away when the popover opens so the times are current
+  useEffect(() => {
+    if (open) fetchStatus();
+  }, [open, fetchStatus]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const hub = HUB_STATES[status] || HUB_STATES.offline;
+  const glucose = syncStatus?.glucose;
+  const notes = syncStatus?.notes;
+
+  return (
+    <div className="connection-status" ref={ref}>
+      <button
+        className={`connection-status-btn ${hub.className}`}
+        onClick={() => setOpen(!open)}
+        title="Live connection and sync status"
+      >
+        <span className="connection-dot" />
+        {hub.label}
+      </button>
+
+      {open && (
+        <div className="connection-status-menu">
+          <div className="connection-status-row">
+            <span>Live updates</span>
+            <strong className={hub.className}>{hub.label}</strong>
+          </div>
+          <div className="connection-status-row">
+            <span>Last push</span>
+            <strong>{lastPushAt ? ago(lastPushAt, now) : 'none yet'}</strong>
+          </div>
+          {status !== 'connected' && (
+            <div className="connection-status-note">
+              The dashboard is falling back to polling every 5 minutes.
+            </div>
+          )}
+
+          <div className="connection-status-section">LibreLink</div>
+          {glucose ? (
+            <>
+              <div className="connection-status-row">
+                <span>Last successful fetch</span>
+                <strong>{ago(glucose.lastSuccessUtc, now)}</strong>
+              </div>
+              <div className="connection-status-row">
+                <span>Newest reading</span>
+                <strong>{ago(syncStatus.latestReadingUtc, now)}</strong>
+              </div>
+              <div className="connection-status-row">
+                <span>Next fetch</span>
+                <strong>
+                  {glucose.isRunning ? 'running now' : at(glucose.nextRunUtc)}
+                  {glucose.intervalMinutes ? ` · every ${glucose.intervalMinutes} min` : ''}
+                </strong>
+              </div>
+              {glucose.lastError && (
+                <div className="connection-status-error">⚠ {glucose.lastError}</div>
+              )}
+            </>
+          ) : (
+            <div className="connection-status-note">Sync status unavailable.</div>
+          )}
+
+          {notes && (
+            <>
+              <div className="connection-status-section">Samsung Notes</div>
+              {notes.isAvailable ? (
+                <>
+                  <div className="connection-status-row">
+                    <span>Last sync</span>
+                    <strong>{ago(notes.lastSuccessUtc, now)}</strong>
+                  </div>
+                  <div className="connection-status-row">
+                    <span>Next sync</span>
+                    <strong>
+                      {notes.isRunning ? 'running now' : at(notes.nextRunUtc)}
+                      {notes.intervalMinutes ? ` · every ${notes.intervalMinutes} min` : ''}
+                    </strong>
+                  </div>
+                  {notes.lastError && (
+                    <div className="connection-status-error">⚠ {notes.lastError}</div>
+                  )}
+                </>
+              ) : (
+                <div className="connection-status-note">Notes folder not mounted.</div>
+              )}
+            </>
+          )}
+
+          <button
+            className="connection-status-reconnect"
+            onClick={onReconnect}
+            disabled={status === 'connecting'}
+          >
+            ⟳ Reconnect
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ConnectionStatus;
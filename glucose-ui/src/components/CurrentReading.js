@@ -1,11 +1,7 @@
-import React from 'react';
-
-function getGlucoseColor(value) {
-  if (value < 70) return 'text-low';
-  if (value <= 180) return 'text-normal';
-  if (value <= 250) return 'text-high';
-  return 'text-very-high';
-}
+import React, { useState, useEffect } from 'react';
+import { format as formatDate } from 'date-fns';
+import { useGlucoseUnit, useTargetRanges, useDataFreshness } from '../context/DisplaySettingsContext';
+import { parseUtc, readingAgeMinutes, formatDuration } from '../config/dataFreshness';
 
 function getTrendArrowSymbol(trend) {
   switch (trend) {
@@ -18,55 +14,193 @@ function getTrendArrowSymbol(trend) {
   }
 }
 
-function CurrentReading({ stats }) {
-  const { latestReading, average, min, max, totalReadings, timeInRange } = stats;
+const TIR_BANDS = [
+  { key: 'timeVeryLow', label: 'Very Low', className: 'tir-very-low' },
+  { key: 'timeLow', label: 'Low', className: 'tir-below' },
+  { key: 'timeInRange', label: 'In Range', className: 'tir-in' },
+  { key: 'timeHigh', label: 'High', className: 'tir-above' },
+  { key: 'timeVeryHigh', label: 'Very High', className: 'tir-very-high' },
+];
 
+/**
+ * Change versus the previous equal window. `higherIsBetter` decides whether
+ * an increase is shown as an improvement (green) or a deterioration (yellow).
+ */
+function Delta({ current, previous, higherIsBetter = false, formatValue = (v) => v.toFixed(1), suffix = '' }) {
+  if (previous == null || current == null) return null;
+  const diff = current - previous;
+  if (Math.abs(diff) < 0.05) {
+    return <div className="stat-delta">= vs previous</div>;
+  }
+  const improved = higherIsBetter ? diff > 0 : diff < 0;
   return (
-    <div className="stats-grid">
-      {latestReading && (
-        <div className="stat-card current">
-          <div className="label">Current</div>
-          <div className={`value ${getGlucoseColor(latestReading.value)}`}>
-            {latestReading.value}
-            <span className="unit">mg/dL</span>
+    <div className={`stat-delta ${improved ? 'improved' : 'worse'}`}>
+      {diff > 0 ? '▲' : '▼'} {formatValue(Math.abs(diff))}{suffix} vs previous
+    </div>
+  );
+}
+
+/**
+ * Latest value and window stats. With `live` false (an absolute window in the
+ * past) the first card shows the last reading of the window and its time
+ * instead of how long ago it arrived. `forecast` (/api/glucose/forecast) adds
+ * the 30-minute estimate and a predicted-low warning to the live card.
+ */
+function CurrentReading({ stats, live = true, forecast = null }) {
+  const {
+    latestReading, average, min, max, totalReadings, timeInRange,
+    stdDev, coefficientOfVariation, gmi, estimatedA1C, previous,
+  } = stats;
+  const { unit, format } = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+  const freshness = useDataFreshness();
+  const [now, setNow] = useState(() => Date.now());
+  const { veryLow, low, high, veryHigh } = targetRanges.day;
+  const bare = (v) => format(v, { withUnit: false });
+
+  const bandRanges = {
+    timeVeryLow: `<${bare(veryLow)}`,
+    timeLow: `${bare(veryLow)}–${bare(low)}`,
+    timeInRange: `${bare(low)}–${bare(high)}`,
+    timeHigh: `${bare(high)}–${bare(veryHigh)}`,
+    timeVeryHigh: `>${bare(veryHigh)}`,
+  };
+
+  // Keep the reading's age current between data refreshes
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const ageMinutes = latestReading ? readingAgeMinutes(latestReading.timestamp, now) : 0;
+  const isStale = live && latestReading ? freshness.isStale(latestReading.timestamp, now) : false;
+  const showForecast = live && !isStale && forecast != null;
+  const in30 = showForecast ? forecast.points.find(p => p.minutesAhead === 30) : null;
+
+  return (
+    <>
+      <div className="stats-grid">
+        {latestReading && (
+          <div
+            className={`stat-card current${isStale ? ' stale' : ''}`}
+            title={isStale ? `No new reading for over ${freshness.staleAfterMinutes} min — LibreLink sync may have stopped` : undefined}
+          >
+            <div className="label">{!live ? 'Last in window' : isStale ? '⚠ Last reading' : 'Current'}</div>
+            <div className={`value ${targetRanges.className(latestReading.value, latestReading.timestamp)}`}>
+              {format(latestReading.value, { withUnit: false })}
+              <span className="unit">{unit}</span>
+            </div>
+            <div className="trend-arrow" title={`Trend: ${latestReading.trendArrow}`}>
+              {getTrendArrowSymbol(latestReading.trendArrow)}
+            </div>
+            <div className={`reading-age${isStale ? ' stale' : ''}`}>
+              {!live
+                ? formatDate(new Date(parseUtc(latestReading.timestamp)), 'EEE d MMM HH:mm')
+                : ageMinutes < 1 ? 'Updated just now' : `${formatDuration(ageMinutes)} ago`}
+              {isStale && ' · no recent data'}
+            </div>
+            {showForecast && forecast.minutesToLow != null && (
+              <div
+                className="forecast-warning"
+                title={`Projected to fall below ${format(forecast.lowThreshold)} — an estimate from the recent trend, not a measurement`}
+              >
+                ⚠ Predicted low in ~{forecast.minutesToLow} min <span className="forecast-estimate">(estimate)</span>
+              </div>
+            )}
+            {in30 && forecast.minutesToLow == null && (
+              <div className="forecast-hint" title="Estimate from the recent trend — not a measurement">
+                Est. in 30 min: ~{format(in30.value, { withUnit: false })} <span className="forecast-estimate">({format(in30.lower, { withUnit: false })}–{format(in30.upper, { withUnit: false })})</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="stat-card">
+          <div className="label">Average</div>
+          <div className={`value ${targetRanges.className(average)}`}>
+            {format(average, { withUnit: false })}
+            <span className="unit">{unit}</span>
           </div>
-          <div className="trend-arrow" title={`Trend: ${latestReading.trendArrow}`}>
-            {getTrendArrowSymbol(latestReading.trendArrow)}
+          <Delta current={average} previous={previous?.average} formatValue={bare} suffix={` ${unit}`} />
+        </div>
+
+        <div className="stat-card">
+          <div className="label">Min / Max</div>
+          <div className="value text-blue">
+            {format(min, { withUnit: false })}<span className="unit"> – </span>{format(max, { withUnit: false })}
+            <span className="unit">{unit}</span>
           </div>
         </div>
-      )}
 
-      <div className="stat-card">
-        <div className="label">Average</div>
-        <div className={`value ${getGlucoseColor(average)}`}>
-          {average}
-          <span className="unit">mg/dL</span>
+        <div className="stat-card">
+          <div className="label">Time in Range</div>
+          <div className={`value ${timeInRange >= 70 ? 'text-normal' : 'text-high'}`}>
+            {timeInRange}
+            <span className="unit">%</span>
+          </div>
+          <Delta current={timeInRange} previous={previous?.timeInRange} higherIsBetter suffix="%" />
         </div>
-      </div>
 
-      <div className="stat-card">
-        <div className="label">Min / Max</div>
-        <div className="value text-blue">
-          {min}<span className="unit"> – </span>{max}
-          <span className="unit">mg/dL</span>
+        <div className="stat-card">
+          <div className="label">Variability (SD / CV)</div>
+          <div className={`value ${coefficientOfVariation != null && coefficientOfVariation <= 36 ? 'text-normal' : 'text-high'}`}>
+            {format(stdDev, { withUnit: false })}
+            <span className="unit">{unit}</span>
+            <span className="unit"> · {coefficientOfVariation ?? '–'}%</span>
+          </div>
+          <Delta
+            current={coefficientOfVariation}
+            previous={previous?.coefficientOfVariation}
+            suffix="% CV"
+          />
         </div>
-      </div>
 
-      <div className="stat-card">
-        <div className="label">Time in Range</div>
-        <div className={`value ${timeInRange >= 70 ? 'text-normal' : 'text-high'}`}>
-          {timeInRange}
-          <span className="unit">%</span>
+        <div className="stat-card">
+          <div className="label">GMI / eA1C</div>
+          <div className="value text-blue">
+            {gmi}<span className="unit">%</span>
+            <span className="unit"> · {estimatedA1C}%</span>
+          </div>
+          <Delta current={gmi} previous={previous?.gmi} suffix="% GMI" />
+        </div>
+
+        <div className="stat-card">
+          <div className="label">Readings</div>
+          <div className="value text-blue">
+            {totalReadings}
+          </div>
         </div>
       </div>
 
-      <div className="stat-card">
-        <div className="label">Readings</div>
-        <div className="value text-blue">
-          {totalReadings}
+      <div className="stat-card tir-bands-card">
+        <div className="label">Time in Ranges</div>
+        <div className="tir-bar">
+          {TIR_BANDS.map(b => stats[b.key] > 0 && (
+            <div
+              key={b.key}
+              className={`tir-segment ${b.className}`}
+              style={{ width: `${stats[b.key]}%` }}
+              title={`${b.label} (${bandRanges[b.key]} ${unit}): ${stats[b.key]}%`}
+            />
+          ))}
+        </div>
+        <div className="tir-bands-legend">
+          {TIR_BANDS.map(b => (
+            <div key={b.key} className="tir-band-item">
+              <span className={`tir-band-swatch ${b.className}`} />
+              <span className="tir-band-label">{b.label} <span className="tir-band-range">{bandRanges[b.key]}</span></span>
+              <strong>{stats[b.key] ?? 0}%</strong>
+              <Delta
+                current={stats[b.key]}
+                previous={previous?.[b.key]}
+                higherIsBetter={b.key === 'timeInRange'}
+                suffix="%"
+              />
+            </div>
+          ))}
         </div>
       </div>
-    </div>
+    </>
   );
 }
 
@@ -11,107 +11,69 @@ import {
   ReferenceArea,
 } from 'recharts';
 import { format, parseISO } from 'date-fns';
+import { useNavigate, useParams } from 'react-router-dom';
 import MODEL_OPTIONS from './modelOptions';
 import useInfiniteScroll from '../hooks/useInfiniteScroll';
 import PAGE_SIZES from '../config/pageSize';
+import { PAGE_PATHS, paths, isIsoDate } from '../config/routes';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import { AI_TIMEOUT_MS, isAbortError } from '../api/client';
+import { invalidateQueries } from '../api/queryCache';
+import { getDailySummaries } from '../api/offlineStore';
+import useApi from '../hooks/useApi';
+import useQuery from '../hooks/useQuery';
+import usePagedQuery from '../hooks/usePagedQuery';
+import { showError } from './Toaster';
+import ChartExportMenu from './ChartExportMenu';
+import AnalysisCompare from './AnalysisCompare';
+import { summaryTotals } from '../config/eventTypes';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
 const PAGE_SIZE = PAGE_SIZES.dailySummaries;
 
+// Offline, the list shows the recent days kept by useOfflineSync
+async function offlineSummaries() {
+  const items = await getDailySummaries();
+  return { items, totalCount: items.length };
+}
+
 function DailySummariesPage() {
-  const [summaries, setSummaries] = useState([]);
-  const [status, setStatus] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [totalCount, setTotalCount] = useState(0);
-  const [selectedSummaryId, setSelectedSummaryId] = useState(null);
+  const glucoseUnit = useGlucoseUnit();
+  const { summaryKey } = useParams();
+  const navigate = useNavigate();
   const [triggering, setTriggering] = useState(false);
   const [triggerResult, setTriggerResult] = useState(null);
   const [triggerModel, setTriggerModel] = useState('');
-  const summariesOffsetRef = useRef(0);
-
-  const fetchSummaries = useCallback(async (append = false) => {
-    if (append) setLoadingMore(true); else setLoading(true);
-    try {
-      const offset = append ? summariesOffsetRef.current : 0;
-      const res = await fetch(`${API_BASE}/dailysummaries?limit=${PAGE_SIZE}&offset=${offset}`);
-      if (res.ok) {
-        const data = await res.json();
-        if (append) {
-          setSummaries(prev => [...prev, ...data.items]);
-        } else {
-          setSummaries(data.items);
-        }
-        setTotalCount(data.totalCount);
-        summariesOffsetRef.current = (append ? summariesOffsetRef.current : 0) + data.items.length;
-      }
-    } catch (err) {
-      console.error('Failed to fetch daily summaries:', err);
-    } finally {
-      setLoading(false);
-      setLoadingMore(false);
-    }
-  }, []);
-
-  const summariesHasMore = summaries.length < totalCount;
-  const loadMoreSummaries = useCallback(() => fetchSummaries(true), [fetchSummaries]);
+  const client = useApi();
+
+  // Cached across page visits; DailySummariesUpdated from SignalR invalidates /dailysummaries
+  const {
+    items: summaries, totalCount, loading, loadingMore, hasMore: summariesHasMore, loadMore: loadMoreSummaries,
+  } = usePagedQuery('/dailysummaries', {
+    pageSize: PAGE_SIZE,
+    errorContext: 'Failed to load daily summaries',
+    offlineFallback: offlineSummaries,
+  });
+  const { data: status } = useQuery('/dailysummaries/status', { errorContext: 'Failed to load daily summaries status' });
   useInfiniteScroll(loadMoreSummaries, { hasMore: summariesHasMore, loading: loadingMore });
 
-  const fetchStatus = useCallback(async () => {
-    try {
-      const res = await fetch(`${API_BASE}/dailysummaries/status`);
-      if (res.ok) {
-        const data = await res.json();
-        setStatus(data);
-      }
-    } catch (err) {
-      console.error('Failed to fetch daily summaries status:', err);
-    }
-  }, []);
-
   const handleTrigger = useCallback(async () => {
     setTriggering(true);
     setTriggerResult(null);
     try {
       const body = triggerModel ? { modelOverride: triggerModel } : {};
-      const res = await fetch(`${API_BASE}/dailysummaries/trigger`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      const data = await res.json();
-      if (res.ok) {
-        setTriggerResult({ success: true, message: data.message });
-        summariesOffsetRef.current = 0;
-        fetchSummaries();
-        fetchStatus();
-      } else {
-        setTriggerResult({ success: false, message: data.message || 'Failed to trigger generation.' });
-      }
+      const data = await client.post('/dailysummaries/trigger', body, { timeout: AI_TIMEOUT_MS });
+      setTriggerResult({ success: true, message: data.message });
+      invalidateQueries('/dailysummaries');
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error('Failed to trigger daily summary generation:', err);
-      setTriggerResult({ success: false, message: 'Network error — could not reach the server.' });
+      setTriggerResult({ success: false, message: err.message || 'Failed to trigger generation.' });
     } finally {
       setTriggering(false);
       // Auto-hide result after 8 seconds
       setTimeout(() => setTriggerResult(null), 8000);
     }
-  }, [fetchSummaries, fetchStatus, triggerModel]);
-
-  useEffect(() => {
-    summariesOffsetRef.current = 0;
-    fetchSummaries();
-    fetchStatus();
-
-    const handleUpdated = () => {
-      summariesOffsetRef.current = 0;
-      fetchSummaries();
-      fetchStatus();
-    };
-
-    window.addEventListener('dailySummariesUpdated', handleUpdated);
-    return () => window.removeEventListener('dailySummariesUpdated', handleUpdated);
-  }, [fetchSummaries, fetchStatus]);
+  }, [triggerModel, client]);
 
   const getTimeInRangeClass = (tir) => {
     if (tir == null) return '';
@@ -215,7 +177,7 @@ function DailySummariesPage() {
             <div
               key={s.id}
               className={`daily-summary-card ${s.isProcessed ? 'processed' : 'pending'} ${s.aiClassification ? `classification-${s.aiClassification}` : ''}`}
-              onClick={() => setSelectedSummaryId(s.id)}
+              onClick={() => navigate(paths.dailySummary(s.date.slice(0, 10)))}
             >
               <div className="daily-summary-left">
                 <div className={`daily-summary-date-badge ${s.aiClassification ? `badge-${s.aiClassification}` : ''}`}>
@@ -268,6 +230,9 @@ function DailySummariesPage() {
                       {s.eventCount} event{s.eventCount !== 1 ? 's' : ''}
                     </span>
                   )}
+                  {summaryTotals(s).map(t => (
+                    <span key={t.key} className="event-tag manual">{t.label} {t.value}</span>
+                  ))}
                   {s.snapshotCount > 0 && (
                     <span className="event-tag snapshots">
                       📸 {s.snapshotCount} snapshot{s.snapshotCount !== 1 ? 's' : ''}
@@ -279,8 +244,8 @@ function DailySummariesPage() {
               <div className="daily-summary-right">
                 {s.glucoseAvg != null && (
                   <div className="event-glucose-badge">
-                    <span className="event-glucose-value">{Math.round(s.glucoseAvg)}</span>
-                    <span className="event-glucose-unit">avg mg/dL</span>
+                    <span className="event-glucose-value">{glucoseUnit.format(s.glucoseAvg, { withUnit: false })}</span>
+                    <span className="event-glucose-unit">avg {glucoseUnit.unit}</span>
                   </div>
                 )}
                 {s.timeInRange != null && (
@@ -291,7 +256,7 @@ function DailySummariesPage() {
                 )}
                 {s.glucoseMin != null && s.glucoseMax != null && (
                   <div className="event-range">
-                    {Math.round(s.glucoseMin)}–{Math.round(s.glucoseMax)}
+                    {glucoseUnit.format(s.glucoseMin, { withUnit: false })}–{glucoseUnit.format(s.glucoseMax, { withUnit: false })}
                   </div>
                 )}
               </div>
@@ -311,42 +276,118 @@ function DailySummariesPage() {
       )}
 
       {/* Detail modal */}
-      {selectedSummaryId && (
+      {summaryKey && (
         <DailySummaryDetailModal
-          summaryId={selectedSummaryId}
-          onClose={() => setSelectedSummaryId(null)}
+          summaryKey={summaryKey}
+          onClose={() => navigate(PAGE_PATHS.dailysummaries)}
         />
       )}
     </div>
   );
 }
 
+// ── Snapshot comparison ───────────────────────────────────────
+
+/** Diff of two generation snapshots of a day (ids in any order; the older one goes left). */
+function SnapshotCompare({ ids, onClose }) {
+  const glucoseUnit = useGlucoseUnit();
+  const first = useQuery(`/dailysummaries/snapshots/${ids[0]}`, { errorContext: 'Failed to load snapshot' });
+  const second = useQuery(`/dailysummaries/snapshots/${ids[1]}`, { errorContext: 'Failed to load snapshot' });
+
+  // The failure was already toasted; offer a way back instead of spinning forever
+  if (first.error || second.error) {
+    return (
+      <div className="analysis-compare">
+        <div className="analysis-compare-header">
+          <div className="date-range-error">Couldn't load both snapshots to compare.</div>
+          <button className="btn-range-apply" onClick={onClose}>✕ Close</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!first.data || !second.data) {
+    return (
+      <div className="loading" style={{ padding: '12px 0' }}>
+        <div className="spinner" />
+        <p>Loading snapshots...</p>
+      </div>
+    );
+  }
+
+  const [before, after] = [first.data, second.data].sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+  const side = (snap) => ({
+    title: format(parseISO(snap.generatedAt), 'MMM dd, yyyy HH:mm'),
+    subtitle: [snap.aiModel, snap.trigger === 'manual' ? 'manual' : 'auto'].filter(Boolean).join(' · '),
+    classification: snap.aiClassification,
+    analysis: snap.aiAnalysis,
+  });
+  const count = (label, key) => ({
+    label, before: before[key], after: after[key], format: String, formatDelta: (d) => `${d > 0 ? '+' : ''}${d}`,
+  });
+  const glucose = (label, key) => ({
+    label,
+    before: before[key],
+    after: after[key],
+    format: (v) => glucoseUnit.format(v, { withUnit: false }),
+    formatDelta: (d) => glucoseUnit.format(d, { signed: true, withUnit: false }),
+  });
+  const percent = (label, key) => ({
+    label,
+    before: before[key],
+    after: after[key],
+    format: (v) => `${v.toFixed(1)}%`,
+    formatDelta: (d) => `${d > 0 ? '+' : ''}${d.toFixed(1)} pp`,
+  });
+
+  const stats = [
+    count('Readings', 'readingCount'),
+    count('Events', 'eventCount'),
+    glucose(`Avg (${glucoseUnit.unit})`, 'glucoseAvg'),
+    glucose('Min', 'glucoseMin'),
+    glucose('Max', 'glucoseMax'),
+    glucose('StdDev', 'glucoseStdDev'),
+    percent('In range', 'timeInRange'),
+    percent('Above range', 'timeAboveRange'),
+    percent('Below range', 'timeBelowRange'),
+  ];
+
+  return <AnalysisCompare before={side(before)} after={side(after)} stats={stats} onClose={onClose} />;
+}
+
 // ── Detail Modal ──────────────────────────────────────────────
 
-function DailySummaryDetailModal({ summaryId, onClose }) {
+export function DailySummaryDetailModal({ summaryKey, onClose }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+  const dayRange = targetRanges.day;
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedSnapshotId, setSelectedSnapshotId] = useState(null);
   const [snapshotDetail, setSnapshotDetail] = useState(null);
   const [snapshotLoading, setSnapshotLoading] = useState(false);
+  // Compare mode: clicking a snapshot selects it; two selected snapshots are diffed
+  const [compareIds, setCompareIds] = useState(null);
+  const client = useApi();
+  const chartRef = useRef(null);
 
   useEffect(() => {
     const load = async () => {
       setLoading(true);
       try {
-        const res = await fetch(`${API_BASE}/dailysummaries/${summaryId}`);
-        if (res.ok) {
-          const data = await res.json();
-          setSummary(data);
-        }
+        // Deep links use the day (yyyy-MM-dd); event log links carry the numeric id
+        const path = isIsoDate(summaryKey)
+          ? `/dailysummaries/date/${summaryKey}`
+          : `/dailysummaries/${summaryKey}`;
+        setSummary(await client.get(path));
       } catch (err) {
-        console.error('Failed to fetch daily summary detail:', err);
+        showError(err, 'Failed to load daily summary');
       } finally {
         setLoading(false);
       }
     };
     load();
-  }, [summaryId]);
+  }, [summaryKey, client]);
 
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -365,19 +406,15 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
     const loadSnapshot = async () => {
       setSnapshotLoading(true);
       try {
-        const res = await fetch(`${API_BASE}/dailysummaries/snapshots/${selectedSnapshotId}`);
-        if (res.ok) {
-          const data = await res.json();
-          setSnapshotDetail(data);
-        }
+        setSnapshotDetail(await client.get(`/dailysummaries/snapshots/${selectedSnapshotId}`));
       } catch (err) {
-        console.error('Failed to fetch snapshot detail:', err);
+        showError(err, 'Failed to load snapshot');
       } finally {
         setSnapshotLoading(false);
       }
     };
     loadSnapshot();
-  }, [selectedSnapshotId]);
+  }, [selectedSnapshotId, client]);
 
   // Chart data
   const chartData = useMemo(() => {
@@ -436,10 +473,10 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
           style={{
             fontWeight: 700,
             fontSize: '1.1rem',
-            color: getColor(d.value),
+            color: targetRanges.color(d.value, d.time),
           }}
         >
-          {d.value} mg/dL
+          {glucoseUnit.format(d.value)}
         </div>
       </div>
     );
@@ -525,25 +562,25 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                   <div className="event-stat">
                     <span className="event-stat-label">Average</span>
                     <span className="event-stat-value">
-                      {summary.glucoseAvg != null ? `${summary.glucoseAvg} mg/dL` : 'N/A'}
+                      {summary.glucoseAvg != null ? glucoseUnit.format(summary.glucoseAvg) : 'N/A'}
                     </span>
                   </div>
                   <div className="event-stat">
                     <span className="event-stat-label">Min</span>
                     <span className="event-stat-value">
-                      {summary.glucoseMin != null ? `${Math.round(summary.glucoseMin)} mg/dL` : 'N/A'}
+                      {summary.glucoseMin != null ? glucoseUnit.format(summary.glucoseMin) : 'N/A'}
                     </span>
                   </div>
                   <div className="event-stat">
                     <span className="event-stat-label">Max</span>
                     <span className="event-stat-value">
-                      {summary.glucoseMax != null ? `${Math.round(summary.glucoseMax)} mg/dL` : 'N/A'}
+                      {summary.glucoseMax != null ? glucoseUnit.format(summary.glucoseMax) : 'N/A'}
                     </span>
                   </div>
                   <div className="event-stat">
                     <span className="event-stat-label">Std Dev</span>
                     <span className="event-stat-value">
-                      {summary.glucoseStdDev != null ? `${summary.glucoseStdDev}` : 'N/A'}
+                      {summary.glucoseStdDev != null ? glucoseUnit.format(summary.glucoseStdDev) : 'N/A'}
                     </span>
                   </div>
                   <div className="event-stat">
@@ -564,6 +601,12 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                     <span className="event-stat-label">Readings</span>
                     <span className="event-stat-value">{summary.readingCount}</span>
                   </div>
+                  {summaryTotals(summary).map(t => (
+                    <div key={t.key} className="event-stat">
+                      <span className="event-stat-label">{t.label}</span>
+                      <span className="event-stat-value">{t.value}</span>
+                    </div>
+                  ))}
                 </div>
 
                 {/* Time distribution bar */}
@@ -612,8 +655,15 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
               {/* Glucose Chart */}
               {chartData.length > 0 && (
                 <div className="event-section">
-                  <h3 className="event-section-title">📈 Full Day Glucose</h3>
-                  <div className="event-chart-container">
+                  <div className="event-section-header">
+                    <h3 className="event-section-title">📈 Full Day Glucose</h3>
+                    <ChartExportMenu
+                      chartRef={chartRef}
+                      title="Full Day Glucose"
+                      subtitle={format(parseISO(summary.date), 'EEEE, MMMM d, yyyy')}
+                    />
+                  </div>
+                  <div className="event-chart-container" ref={chartRef}>
                     <ResponsiveContainer width="100%" height={320}>
                       <LineChart
                         data={chartData}
@@ -630,13 +680,15 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                           stroke="#555"
                           tick={{ fontSize: 12 }}
                           domain={yDomain}
+                          ticks={glucoseUnit.axisTicks(yDomain)}
+                          tickFormatter={glucoseUnit.toDisplay}
                         />
                         <Tooltip content={<CustomTooltip />} />
 
                         {/* Target range */}
-                        <ReferenceArea y1={70} y2={180} fill="#4ade80" fillOpacity={0.05} />
-                        <ReferenceLine y={70} stroke="#4ade80" strokeDasharray="4 4" strokeOpacity={0.4} />
-                        <ReferenceLine y={180} stroke="#fbbf24" strokeDasharray="4 4" strokeOpacity={0.4} />
+                        <ReferenceArea y1={dayRange.low} y2={dayRange.high} fill="#4ade80" fillOpacity={0.05} />
+                        <ReferenceLine y={dayRange.low} stroke="#4ade80" strokeDasharray="4 4" strokeOpacity={0.4} />
+                        <ReferenceLine y={dayRange.high} stroke="#fbbf24" strokeDasharray="4 4" strokeOpacity={0.4} />
 
                         {/* Event markers */}
                         {eventMarkers.map((marker, i) => (
@@ -678,7 +730,7 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                       </span>
                       <span className="legend-item">
                         <span className="legend-line" style={{ background: '#4ade80' }} />
-                        Target range (70–180)
+                        Target range ({glucoseUnit.format(dayRange.low, { withUnit: false })}–{glucoseUnit.format(dayRange.high)})
                       </span>
                     </div>
                   </div>
@@ -711,7 +763,7 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                         <div className="daily-event-stats">
                           {evt.glucoseAtEvent != null && (
                             <span className="daily-event-glucose">
-                              {Math.round(evt.glucoseAtEvent)} mg/dL
+                              {glucoseUnit.format(evt.glucoseAtEvent)}
                             </span>
                           )}
                           {evt.glucoseSpike != null && (
@@ -719,7 +771,7 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                               evt.glucoseSpike > 60 ? 'text-very-high' :
                               evt.glucoseSpike > 30 ? 'text-high' : 'text-normal'
                             }`}>
-                              +{Math.round(evt.glucoseSpike)}
+                              {glucoseUnit.format(evt.glucoseSpike, { signed: true, withUnit: false })}
                             </span>
                           )}
                         </div>
@@ -756,20 +808,45 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                 <div className="event-section">
                   <h3 className="event-section-title">
                     📸 Generation History ({summary.snapshots.length})
+                    {summary.snapshots.length > 1 && (
+                      <button
+                        className={`btn-reprocess btn-compare${compareIds ? ' active' : ''}`}
+                        onClick={() => {
+                          setSelectedSnapshotId(null);
+                          setCompareIds(compareIds ? null : []);
+                        }}
+                        title="Pick two generations to see what changed between them"
+                      >
+                        {compareIds ? 'Done comparing' : '⇄ Compare'}
+                      </button>
+                    )}
                   </h3>
+                  {compareIds && compareIds.length < 2 && (
+                    <div className="analysis-compare-hint">Select two generations to compare ({compareIds.length}/2).</div>
+                  )}
+                  {compareIds?.length === 2 && (
+                    <SnapshotCompare ids={compareIds} onClose={() => setCompareIds([])} />
+                  )}
                   <div className="snapshot-history-list">
                     {summary.snapshots.map((snap) => (
                       <div
                         key={snap.id}
-                        className={`snapshot-item ${selectedSnapshotId === snap.id ? 'selected' : ''}`}
+                        className={`snapshot-item ${selectedSnapshotId === snap.id || compareIds?.includes(snap.id) ? 'selected' : ''}`}
                         onClick={() =>
-                          setSelectedSnapshotId(
-                            selectedSnapshotId === snap.id ? null : snap.id
-                          )
+                          compareIds
+                            ? setCompareIds((ids) => (
+                              ids.includes(snap.id) ? ids.filter((x) => x !== snap.id) : [...ids, snap.id].slice(-2)
+                            ))
+                            : setSelectedSnapshotId(
+                              selectedSnapshotId === snap.id ? null : snap.id
+                            )
                         }
                       >
                         <div className="snapshot-item-header">
                           <span className="snapshot-time">
+                            {compareIds && (
+                              <input type="checkbox" className="compare-checkbox" checked={compareIds.includes(snap.id)} readOnly />
+                            )}
                             {format(parseISO(snap.generatedAt), 'MMM dd, yyyy HH:mm')}
                           </span>
                           <span className={`event-tag ${snap.trigger === 'manual' ? 'pending' : 'ai'}`}>
@@ -780,7 +857,7 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                           <span>{snap.readingCount} readings</span>
                           <span>{snap.eventCount} events</span>
                           {snap.glucoseAvg != null && (
-                            <span>avg {Math.round(snap.glucoseAvg)} mg/dL</span>
+                            <span>avg {glucoseUnit.format(snap.glucoseAvg)}</span>
                           )}
                           {snap.timeInRange != null && (
                             <span>TIR {Math.round(snap.timeInRange)}%</span>
@@ -804,10 +881,10 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
                             ) : snapshotDetail ? (
                               <div className="snapshot-analysis">
                                 <div className="snapshot-detail-stats">
-                                  <span>Min: {snapshotDetail.glucoseMin != null ? `${Math.round(snapshotDetail.glucoseMin)}` : 'N/A'}</span>
-                                  <span>Max: {snapshotDetail.glucoseMax != null ? `${Math.round(snapshotDetail.glucoseMax)}` : 'N/A'}</span>
-                                  <span>Avg: {snapshotDetail.glucoseAvg != null ? `${snapshotDetail.glucoseAvg}` : 'N/A'}</span>
-                                  <span>StdDev: {snapshotDetail.glucoseStdDev != null ? `${snapshotDetail.glucoseStdDev}` : 'N/A'}</span>
+                                  <span>Min: {glucoseUnit.format(snapshotDetail.glucoseMin, { withUnit: false })}</span>
+                                  <span>Max: {glucoseUnit.format(snapshotDetail.glucoseMax, { withUnit: false })}</span>
+                                  <span>Avg: {glucoseUnit.format(snapshotDetail.glucoseAvg, { withUnit: false })}</span>
+                                  <span>StdDev: {glucoseUnit.format(snapshotDetail.glucoseStdDev, { withUnit: false })}</span>
                                 </div>
                                 {snapshotDetail.aiAnalysis ? (
                                   <div className="event-ai-analysis" style={{ marginTop: 8 }}>
@@ -840,11 +917,4 @@ function DailySummaryDetailModal({ summaryId, onClose }) {
   );
 }
 
-function getColor(value) {
-  if (value < 70) return '#f87171';
-  if (value <= 180) return '#4ade80';
-  if (value <= 250) return '#fbbf24';
-  return '#f87171';
-}
-
 export default DailySummariesPage;
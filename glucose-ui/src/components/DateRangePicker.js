@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { isWholeDays, snapToDays, shiftRange, toInputs, fromInputs, formatRange } from '../config/dateRange';
+import { useDisplayTimeZone } from '../context/DisplaySettingsContext';
+
+/**
+ * Absolute from/to picker for the dashboard. `range` is the applied window
+ * (`{ start, end }`, or null while a relative preset is active) and
+ * `defaultRange` the window that preset covers, used as the starting point
+ * for the inputs and for stepping. "Whole days" snaps both ends to midnight
+ * in the display timezone.
+ */
+function DateRangePicker({ range, defaultRange, onChange }) {
+  const timeZone = useDisplayTimeZone();
+  const current = range || defaultRange;
+  const [wholeDays, setWholeDays] = useState(() => isWholeDays(current, timeZone));
+  const [inputs, setInputs] = useState(() => toInputs(current, isWholeDays(current, timeZone), timeZone));
+  const [error, setError] = useState(null);
+
+  // Follow stepping and other changes to the applied window
+  useEffect(() => {
+    if (!range) return;
+    setWholeDays(isWholeDays(range, timeZone));
+    setInputs(toInputs(range, isWholeDays(range, timeZone), timeZone));
+    setError(null);
+  }, [range, timeZone]);
+
+  const handleApply = () => {
+    const next = fromInputs(inputs, wholeDays, timeZone);
+    if (!next) {
+      setError('Enter both a start and an end.');
+    } else if (next.end <= next.start) {
+      setError('The end must be after the start.');
+    } else {
+      setError(null);
+      onChange(next);
+    }
+  };
+
+  const handleWholeDays = (checked) => {
+    const base = fromInputs(inputs, wholeDays, timeZone) || current;
+    setWholeDays(checked);
+    setInputs(toInputs(checked ? snapToDays(base, timeZone) : base, checked, timeZone));
+  };
+
+  const inputType = wholeDays ? 'date' : 'datetime-local';
+
+  return (
+    <div className="date-range">
+      <div className="date-range-picker">
+        <button className="btn-range-step" onClick={() => onChange(shiftRange(current, -1, timeZone))} title="Previous window">
+          ◀
+        </button>
+        <input
+          type={inputType}
+          value={inputs.from}
+          onChange={(e) => setInputs(prev => ({ ...prev, from: e.target.value }))}
+          onKeyDown={(e) => e.key === 'Enter' && handleApply()}
+          aria-label="From"
+        />
+        <span className="date-range-sep">→</span>
+        <input
+          type={inputType}
+          value={inputs.to}
+          onChange={(e) => setInputs(prev => ({ ...prev, to: e.target.value }))}
+          onKeyDown={(e) => e.key === 'Enter' && handleApply()}
+          aria-label="To"
+        />
+        <label className="date-range-snap" title="Snap the window to midnight">
+          <input type="checkbox" checked={wholeDays} onChange={(e) => handleWholeDays(e.target.checked)} />
+          Whole days
+        </label>
+        <button className="btn-range-apply" onClick={handleApply}>Apply</button>
+        <button
+          className="btn-range-step"
+          onClick={() => onChange(shiftRange(current, 1, timeZone))}
+          disabled={current.end >= Date.now()}
+          title="Next window"
+        >
+          ▶
+        </button>
+      </div>
+      {error && <div className="date-range-error">{error}</div>}
+      {range && !error && <div className="date-range-label">Showing {formatRange(range, timeZone)}</div>}
+    </div>
+  );
+}
+
+export default DateRangePicker;
@@ -0,0 +1,305 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceArea,
+} from 'recharts';
+import { format, parseISO } from 'date-fns';
+import { useGlucoseUnit, useTargetRanges, useDataFreshness, useDisplayTimeZone } from '../context/DisplaySettingsContext';
+import { parseUtc } from '../config/dataFreshness';
+import { zonedParts } from '../config/timeZone';
+
+const MINUTES_PER_DAY = 24 * 60;
+const SLOT_MINUTES = 5;
+const HOUR_TICKS = [0, 180, 360, 540, 720, 900, 1080, 1260, 1440];
+/** Older days are left out so the chart stays readable (and cheap to draw). */
+const MAX_DAYS = 31;
+const WEEKDAY_COLOR = '#38bdf8';
+const WEEKEND_COLOR = '#f59e0b';
+
+function formatMinute(minute) {
+  const h = Math.floor(minute / 60) % 24;
+  const m = Math.round(minute % 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// Spread hues by the golden angle so neighbouring days never look alike
+const dayColor = (index) => `hsl(${Math.round(index * 137.5) % 360}, 75%, 62%)`;
+
+const dayLabel = (key) => format(parseISO(key), 'EEE d MMM');
+const seriesKey = (key) => `d_${key}`;
+
+// Value at `minute` interpolated between the day's neighbouring readings;
+// null at the ends of the day and inside gaps, so the line breaks there.
+function valueAt(points, minute, gapMs) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].minute < minute) lo = mid + 1;
+    else hi = mid;
+  }
+  if (hi === points.length) return null;
+  if (points[hi].minute === minute) return points[hi].value;
+  if (hi === 0) return null;
+  const a = points[hi - 1];
+  const b = points[hi];
+  if (b.time - a.time > gapMs) return null;
+  return a.value + (b.value - a.value) * (minute - a.minute) / (b.minute - a.minute);
+}
+
+/**
+ * Day overlay ("spaghetti") chart: `data` (the dashboard's readings) split by
+ * local calendar day in the display timezone from settings and drawn as one
+ * line per day over a shared 00:00–24:00 axis. Days can be toggled, coloured
+ * by weekday vs weekend, and `events` are marked on the line of their day.
+ */
+function DayOverlayChart({ data, events = [], onEventClick }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+  const { gapMs } = useDataFreshness();
+  const timeZone = useDisplayTimeZone();
+  const [hiddenDays, setHiddenDays] = useState(() => new Set());
+  const [colorBy, setColorBy] = useState('day');
+  const [focusedDay, setFocusedDay] = useState(null);
+
+  // Readings grouped by local day, oldest day first
+  const days = useMemo(() => {
+    const byDay = new Map();
+    [...data]
+      .map(r => ({ value: r.value, time: parseUtc(r.timestamp) }))
+      .sort((a, b) => a.time - b.time)
+      .forEach(r => {
+        const parts = zonedParts(r.time, timeZone);
+        if (!byDay.has(parts.dayKey)) {
+          byDay.set(parts.dayKey, { key: parts.dayKey, weekday: parts.weekday, isWeekend: parts.isWeekend, points: [] });
+        }
+        byDay.get(parts.dayKey).points.push({ minute: parts.minuteOfDay, value: r.value, time: r.time });
+      });
+    return [...byDay.values()]
+      .slice(-MAX_DAYS)
+      .map((day, i) => ({ ...day, label: dayLabel(day.key), color: dayColor(i) }));
+  }, [data, timeZone]);
+
+  const visibleDays = useMemo(() => days.filter(d => !hiddenDays.has(d.key)), [days, hiddenDays]);
+
+  const colorOf = (day) => colorBy === 'weekend'
+    ? (day.isWeekend ? WEEKEND_COLOR : WEEKDAY_COLOR)
+    : day.color;
+
+  // One row per 5-minute slot with a column per day (shared tooltip and axis)
+  const chartData = useMemo(() => {
+    const rows = [];
+    for (let minute = 0; minute <= MINUTES_PER_DAY; minute += SLOT_MINUTES) {
+      const row = { minute };
+      days.forEach(day => { row[seriesKey(day.key)] = valueAt(day.points, minute, gapMs); });
+      rows.push(row);
+    }
+    return rows;
+  }, [days, gapMs]);
+
+  const eventMarkers = useMemo(() => {
+    const byKey = new Map(visibleDays.map(d => [d.key, d]));
+    return events
+      .map(evt => {
+        const time = parseUtc(evt.eventTimestamp);
+        const parts = zonedParts(time, timeZone);
+        const day = byKey.get(parts.dayKey);
+        if (!day) return null;
+        const value = valueAt(day.points, parts.minuteOfDay, gapMs) ?? evt.glucoseAtEvent;
+        if (value == null) return null;
+        return { minute: parts.minuteOfDay, value, id: evt.id, title: evt.noteTitle || 'Event', day };
+      })
+      .filter(Boolean);
+  }, [events, visibleDays, timeZone, gapMs]);
+
+  const yDomain = useMemo(() => {
+    const values = visibleDays.flatMap(d => d.points.map(p => p.value));
+    if (values.length === 0) return [40, 300];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return [Math.max(30, Math.floor(min / 10) * 10 - 10), Math.min(400, Math.ceil(max / 10) * 10 + 10)];
+  }, [visibleDays]);
+
+  // Day thresholds across the 24h axis (night thresholds may differ)
+  const rangeSegments = useMemo(() => targetRanges.daySegments(), [targetRanges]);
+
+  const showOnly = (predicate) => setHiddenDays(new Set(days.filter(d => !predicate(d)).map(d => d.key)));
+
+  const toggleDay = (key) => setHiddenDays(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
+
+  const lineOpacity = (day) => {
+    if (focusedDay) return focusedDay === day.key ? 1 : 0.15;
+    return visibleDays.length > 7 ? 0.6 : 0.85;
+  };
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (!active || !payload) return null;
+    const rows = payload.filter(p => String(p.dataKey).startsWith('d_') && p.value != null);
+    if (rows.length === 0) return null;
+    return (
+      <div style={{
+        background: '#1a1a2e',
+        border: '1px solid #333',
+        borderRadius: 8,
+        padding: '10px 14px',
+        fontSize: '0.8rem',
+        maxHeight: 260,
+        overflow: 'hidden',
+      }}>
+        <div style={{ color: '#888', marginBottom: 4 }}>{formatMinute(label)}</div>
+        {rows
+          .sort((a, b) => b.value - a.value)
+          .slice(0, 12)
+          .map(p => (
+            <div key={p.dataKey} style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
+              <span style={{ color: p.color }}>{p.name}</span>
+              <span style={{ fontWeight: 600, color: targetRanges.color(p.value) }}>
+                {glucoseUnit.format(p.value, { withUnit: false })}
+              </span>
+            </div>
+          ))}
+        {rows.length > 12 && (
+          <div style={{ color: '#888', fontSize: '0.72rem', marginTop: 4 }}>+{rows.length - 12} more</div>
+        )}
+      </div>
+    );
+  };
+
+  const renderEventDot = ({ cx, cy, payload }) => {
+    if (cx == null || cy == null) return null;
+    return (
+      <g style={{ cursor: 'pointer' }} onClick={() => onEventClick?.(payload.id)}>
+        <title>{`🔖 ${payload.title} · ${payload.day.label} ${formatMinute(payload.minute)}`}</title>
+        <circle cx={cx} cy={cy} r={6} fill={colorOf(payload.day)} stroke="#ff6b6b" strokeWidth={2} />
+      </g>
+    );
+  };
+
+  if (days.length === 0) {
+    return <div className="empty-state">No readings available for this period.</div>;
+  }
+
+  return (
+    <div className="day-overlay-chart">
+      <div className="chart-toolbar">
+        <span className="chart-hint">
+          {days.length === 1
+            ? 'Only one day in this window — pick a longer range to compare days'
+            : `${days.length} days overlaid on one 24-hour axis · ${timeZone}`}
+        </span>
+        <div className="agp-presets">
+          <button className={`period-range-btn${colorBy === 'day' ? ' active' : ''}`} onClick={() => setColorBy('day')}>
+            Color by day
+          </button>
+          <button className={`period-range-btn${colorBy === 'weekend' ? ' active' : ''}`} onClick={() => setColorBy('weekend')}>
+            Weekdays vs weekends
+          </button>
+        </div>
+      </div>
+
+      <div className="day-overlay-days">
+        <button className="period-range-btn" onClick={() => setHiddenDays(new Set())}>All</button>
+        <button className="period-range-btn" onClick={() => showOnly(d => !d.isWeekend)}>Weekdays</button>
+        <button className="period-range-btn" onClick={() => showOnly(d => d.isWeekend)}>Weekends</button>
+        {days.map(day => {
+          const hidden = hiddenDays.has(day.key);
+          return (
+            <button
+              key={day.key}
+              className={`day-overlay-chip${hidden ? ' hidden' : ''}${day.isWeekend ? ' weekend' : ''}`}
+              onClick={() => toggleDay(day.key)}
+              onMouseEnter={() => !hidden && setFocusedDay(day.key)}
+              onMouseLeave={() => setFocusedDay(null)}
+              title={hidden ? 'Show this day' : 'Hide this day'}
+            >
+              <span className="day-overlay-swatch" style={{ background: colorOf(day) }} />
+              {day.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <ResponsiveContainer width="100%" height={380}>
+        <ComposedChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1f1f35" />
+          <XAxis
+            dataKey="minute"
+            type="number"
+            domain={[0, MINUTES_PER_DAY]}
+            ticks={HOUR_TICKS}
+            tickFormatter={formatMinute}
+            stroke="#555"
+            tick={{ fontSize: 11 }}
+          />
+          <YAxis
+            stroke="#555"
+            tick={{ fontSize: 12 }}
+            domain={yDomain}
+            ticks={glucoseUnit.axisTicks(yDomain)}
+            tickFormatter={glucoseUnit.toDisplay}
+          />
+          <Tooltip content={<CustomTooltip />} />
+
+          {rangeSegments.map(({ x1, x2, thresholds }) => (
+            <ReferenceArea key={`range-${x1}`} x1={x1} x2={x2} y1={thresholds.low} y2={thresholds.high} fill="#4ade80" fillOpacity={0.05} />
+          ))}
+
+          {visibleDays.map(day => (
+            <Line
+              key={day.key}
+              dataKey={seriesKey(day.key)}
+              name={day.label}
+              type="monotone"
+              stroke={colorOf(day)}
+              strokeWidth={focusedDay === day.key ? 3 : 1.5}
+              strokeOpacity={lineOpacity(day)}
+              dot={false}
+              activeDot={false}
+              isAnimationActive={false}
+            />
+          ))}
+
+          {eventMarkers.length > 0 && (
+            <Scatter data={eventMarkers} dataKey="value" shape={renderEventDot} isAnimationActive={false} />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="event-chart-legend">
+        {colorBy === 'weekend' && (
+          <>
+            <span className="legend-item">
+              <span className="legend-line" style={{ background: WEEKDAY_COLOR }} />
+              Weekday
+            </span>
+            <span className="legend-item">
+              <span className="legend-line" style={{ background: WEEKEND_COLOR }} />
+              Weekend
+            </span>
+          </>
+        )}
+        <span className="legend-item">
+          <span className="legend-line" style={{ background: '#4ade80' }} />
+          Target range
+        </span>
+        {eventMarkers.length > 0 && (
+          <span className="legend-item">🔖 Click a marker for the event analysis</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DayOverlayChart;
@@ -14,15 +14,42 @@ import {
 import { format, parseISO } from 'date-fns';
 
 import MODEL_OPTIONS from './modelOptions';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import { AI_TIMEOUT_MS, isOfflineError } from '../api/client';
+import { invalidateQueries } from '../api/queryCache';
+import { getEventDetail, getMeta } from '../api/offlineStore';
+import useApi from '../hooks/useApi';
+import { showError, showToast } from './Toaster';
+import { eventStyle, describeDetails } from '../config/eventTypes';
+import OfflineBanner from './OfflineBanner';
+import AnalysisCompare from './AnalysisCompare';
+import EventEditForm, { draftFromEvent, draftTimeMs, withDraftTime, draftToRequest } from './EventEditForm';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+const EDIT_FIELD_LABELS = {
+  eventTimestamp: 'Time',
+  periodStart: 'Window start',
+  periodEnd: 'Window end',
+  title: 'Title',
+  content: 'Note',
+};
+const TIME_FIELDS = ['eventTimestamp', 'periodStart', 'periodEnd'];
 
 function EventDetailModal({ eventId, onClose, onReprocess }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
   const [currentEventId, setCurrentEventId] = useState(eventId);
   const [event, setEvent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [reprocessing, setReprocessing] = useState(false);
   const [reanalyzeModel, setReanalyzeModel] = useState('');
+  // `{ syncedAt }` while the event is shown from the offline store
+  const [offlineCopy, setOfflineCopy] = useState(null);
+  // Form values while editing (null otherwise); see EventEditForm
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [editError, setEditError] = useState(null);
+  const [isMovingMarker, setIsMovingMarker] = useState(false);
+  const client = useApi();
 
   // Sync internal ID when parent prop changes
   useEffect(() => {
@@ -39,23 +66,27 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
   useEffect(() => {
     const loadEvent = async () => {
       setLoading(true);
+      setDraft(null);
       setInitialZoomApplied(false);
       setZoomLeft(null);
       setZoomRight(null);
       try {
-        const res = await fetch(`${API_BASE}/events/${currentEventId}`);
-        if (res.ok) {
-          const data = await res.json();
-          setEvent(data);
-        }
+        setEvent(await client.get(`/events/${currentEventId}`));
+        setOfflineCopy(null);
       } catch (err) {
-        console.error('Failed to fetch event detail:', err);
+        const stored = isOfflineError(err) && await getEventDetail(currentEventId).catch(() => undefined);
+        if (stored) {
+          setEvent(stored);
+          setOfflineCopy({ syncedAt: await getMeta('syncedAt').catch(() => undefined) });
+        } else {
+          showError(err, 'Failed to load event');
+        }
       } finally {
         setLoading(false);
       }
     };
     loadEvent();
-  }, [currentEventId]);
+  }, [currentEventId, client]);
 
   // Close on Escape
   useEffect(() => {
@@ -68,13 +99,9 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
 
   const reloadEvent = async () => {
     try {
-      const res = await fetch(`${API_BASE}/events/${currentEventId}`);
-      if (res.ok) {
-        const data = await res.json();
-        setEvent(data);
-      }
+      setEvent(await client.get(`/events/${currentEventId}`));
     } catch (err) {
-      console.error('Failed to fetch event detail:', err);
+      showError(err, 'Failed to load event');
     }
   };
 
@@ -82,19 +109,43 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
     setReprocessing(true);
     try {
       const body = reanalyzeModel ? { modelOverride: reanalyzeModel } : {};
-      const res = await fetch(`${API_BASE}/events/${currentEventId}/reprocess`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-      if (res.ok) {
+      await client.post(`/events/${currentEventId}/reprocess`, body, { timeout: AI_TIMEOUT_MS });
+      invalidateQueries(['/events', '/meals']);
+      onReprocess?.();
+      await reloadEvent();
+    } catch (err) {
+      showError(err, 'Failed to reprocess event');
+    } finally {
+      setReprocessing(false);
+    }
+  };
+
+  const startEditing = () => {
+    setEditError(null);
+    setDraft(draftFromEvent(event));
+  };
+
+  const handleSave = async () => {
+    const { body, error } = draftToRequest(draft);
+    if (error) return setEditError(error);
+
+    setSaving(true);
+    setEditError(null);
+    try {
+      const { changes } = await client.put(`/events/${currentEventId}`, body);
+      if (changes.length) {
+        showToast(`Saved ${changes.length} change${changes.length !== 1 ? 's' : ''} — re-analysis will follow shortly.`, 'success');
+        invalidateQueries(['/events', '/meals']);
         onReprocess?.();
         await reloadEvent();
+      } else {
+        showToast('Nothing changed.');
       }
+      setDraft(null);
     } catch (err) {
-      console.error('Failed to reprocess event:', err);
+      setEditError(err.message);
     } finally {
-      setReprocessing(false);
+      setSaving(false);
     }
   };
 
@@ -111,9 +162,11 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
       }));
   }, [event]);
 
-  // Event time marker
-  const eventTimeMs = event ? new Date(event.eventTimestamp).getTime() : null;
-  const eventTimeLabel = event ? format(parseISO(event.eventTimestamp), 'HH:mm') : null;
+  // Event time marker (the edited time while editing)
+  const savedTimeMs = event ? new Date(event.eventTimestamp).getTime() : null;
+  const eventTimeMs = (draft && draftTimeMs(draft)) || savedTimeMs;
+  const eventTimeLabel = eventTimeMs ? format(new Date(eventTimeMs), 'HH:mm') : null;
+  const eventRange = targetRanges.at(event?.eventTimestamp);
 
   // Auto-center the chart on the event when data first loads
   const [initialZoomApplied, setInitialZoomApplied] = useState(false);
@@ -170,35 +223,40 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
     return rangeHours > 48 ? 'displayDate' : 'displayTime';
   }, [displayData]);
 
-  // Zoom handlers
+  // Zoom handlers — while editing, dragging moves the event marker instead
   const handleMouseDown = useCallback(
     (e) => {
       if (e && e.activeLabel) {
         const point = displayData.find(
           (d) => d.displayTime === e.activeLabel || d.displayDate === e.activeLabel
         );
-        if (point) {
+        if (point && draft) {
+          setDraft((prev) => withDraftTime(prev, point.time));
+          setIsMovingMarker(true);
+        } else if (point) {
           setRefAreaLeft(point.time);
           setIsDragging(true);
         }
       }
     },
-    [displayData]
+    [displayData, draft]
   );
 
   const handleMouseMove = useCallback(
     (e) => {
-      if (isDragging && e && e.activeLabel) {
+      if ((isDragging || isMovingMarker) && e && e.activeLabel) {
         const point = displayData.find(
           (d) => d.displayTime === e.activeLabel || d.displayDate === e.activeLabel
         );
-        if (point) setRefAreaRight(point.time);
+        if (point && isMovingMarker) setDraft((prev) => prev && withDraftTime(prev, point.time));
+        else if (point) setRefAreaRight(point.time);
       }
     },
-    [isDragging, displayData]
+    [isDragging, isMovingMarker, displayData]
   );
 
   const handleMouseUp = useCallback(() => {
+    setIsMovingMarker(false);
     if (!isDragging) return;
     setIsDragging(false);
 
@@ -240,6 +298,17 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
     return closest[xDataKey];
   }, [eventTimeMs, displayData, xDataKey]);
 
+  // Pinned glucose window being edited, shaded on the chart
+  const draftWindow = useMemo(() => {
+    if (!draft || draft.autoWindow || displayData.length === 0) return null;
+    const start = new Date(draft.periodStart).getTime();
+    const end = new Date(draft.periodEnd).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end)) return null;
+    const inView = displayData.filter((d) => d.time >= start && d.time <= end);
+    if (inView.length < 2) return null;
+    return { x1: inView[0][xDataKey], x2: inView[inView.length - 1][xDataKey] };
+  }, [draft, displayData, xDataKey]);
+
   // Overlapping events markers (other events in the same glucose window)
   const overlappingMarkers = useMemo(() => {
     if (!event?.overlappingEvents?.length || displayData.length === 0) return [];
@@ -275,10 +344,10 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
           style={{
             fontWeight: 700,
             fontSize: '1.1rem',
-            color: getColor(d.value),
+            color: targetRanges.color(d.value, d.time),
           }}
         >
-          {d.value} mg/dL
+          {glucoseUnit.format(d.value)}
         </div>
         <div style={{ color: '#666', fontSize: '0.75rem', marginTop: 2 }}>
           {isBeforeEvent ? '◀ Before event' : '▶ After event'}
@@ -344,16 +413,34 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                 {!event.isProcessed && (
                   <span className="event-tag pending">⏳ Pending Analysis</span>
                 )}
+                {event.isManual && (
+                  <span className="event-tag manual" title="Logged in the app, not from a Samsung note">
+                    {eventStyle(event).icon} {describeDetails(event) || eventStyle(event).label}
+                  </span>
+                )}
               </div>
             )}
           </div>
-          <button className="note-modal-close" onClick={onClose}>
-            ✕
-          </button>
+          <div className="event-modal-actions">
+            {event && !draft && (
+              <button
+                className="btn-edit-event"
+                onClick={startEditing}
+                disabled={loading || !!offlineCopy}
+                title="Edit the title, note, time or glucose window"
+              >
+                ✏️ Edit
+              </button>
+            )}
+            <button className="note-modal-close" onClick={onClose}>
+              ✕
+            </button>
+          </div>
         </div>
 
         {/* Body */}
         <div className="event-modal-body">
+          {offlineCopy && <OfflineBanner syncedAt={offlineCopy.syncedAt} />}
           {loading ? (
             <div className="loading">
               <div className="spinner" />
@@ -361,8 +448,19 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
             </div>
           ) : event ? (
             <>
+              {draft && (
+                <EventEditForm
+                  draft={draft}
+                  onChange={setDraft}
+                  saving={saving}
+                  error={editError}
+                  onCancel={() => setDraft(null)}
+                  onSave={handleSave}
+                />
+              )}
+
               {/* Note Content Section */}
-              {event.noteContent && (
+              {!draft && event.noteContent && (
                 <div className="event-section">
                   <h3 className="event-section-title">📝 Note</h3>
                   <div className="event-note-content">{event.noteContent}</div>
@@ -380,7 +478,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                     <span className="event-stat-label">At Event</span>
                     <span className="event-stat-value">
                       {event.glucoseAtEvent != null
-                        ? `${Math.round(event.glucoseAtEvent)} mg/dL`
+                        ? glucoseUnit.format(event.glucoseAtEvent)
                         : 'N/A'}
                     </span>
                   </div>
@@ -388,7 +486,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                     <span className="event-stat-label">Min</span>
                     <span className="event-stat-value">
                       {event.glucoseMin != null
-                        ? `${Math.round(event.glucoseMin)} mg/dL`
+                        ? glucoseUnit.format(event.glucoseMin)
                         : 'N/A'}
                     </span>
                   </div>
@@ -396,14 +494,14 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                     <span className="event-stat-label">Max</span>
                     <span className="event-stat-value">
                       {event.glucoseMax != null
-                        ? `${Math.round(event.glucoseMax)} mg/dL`
+                        ? glucoseUnit.format(event.glucoseMax)
                         : 'N/A'}
                     </span>
                   </div>
                   <div className="event-stat">
                     <span className="event-stat-label">Average</span>
                     <span className="event-stat-value">
-                      {event.glucoseAvg != null ? `${event.glucoseAvg} mg/dL` : 'N/A'}
+                      {event.glucoseAvg != null ? glucoseUnit.format(event.glucoseAvg) : 'N/A'}
                     </span>
                   </div>
                   <div className="event-stat">
@@ -420,7 +518,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                       }`}
                     >
                       {event.glucoseSpike != null
-                        ? `+${Math.round(event.glucoseSpike)} mg/dL`
+                        ? glucoseUnit.format(event.glucoseSpike, { signed: true })
                         : 'N/A'}
                     </span>
                   </div>
@@ -442,7 +540,9 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                   <div className="event-chart-container">
                     <div className="chart-toolbar">
                       <span className="chart-hint">
-                        {isZoomed ? 'Zoomed — ' : 'Click & drag on chart to zoom'}
+                        {draft
+                          ? 'Click or drag on the chart to move the event time'
+                          : isZoomed ? 'Zoomed — ' : 'Click & drag on chart to zoom'}
                       </span>
                       {isZoomed && (
                         <button className="btn-reset-zoom" onClick={handleResetZoom}>
@@ -452,6 +552,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                     </div>
                     <ResponsiveContainer width="100%" height={320}>
                       <LineChart
+                        className={draft ? 'event-chart-editing' : undefined}
                         data={displayData}
                         margin={{ top: 10, right: 20, left: 0, bottom: 0 }}
                         onMouseDown={handleMouseDown}
@@ -470,38 +571,51 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                           stroke="#555"
                           tick={{ fontSize: 12 }}
                           domain={yDomain}
+                          ticks={glucoseUnit.axisTicks(yDomain)}
+                          tickFormatter={glucoseUnit.toDisplay}
                         />
                         <Tooltip content={<CustomTooltip />} />
 
-                        {/* Target range */}
+                        {/* Target range in effect at the event time */}
                         <ReferenceArea
-                          y1={70}
-                          y2={180}
+                          y1={eventRange.low}
+                          y2={eventRange.high}
                           fill="#4ade80"
                           fillOpacity={0.05}
                         />
                         <ReferenceLine
-                          y={70}
+                          y={eventRange.low}
                           stroke="#4ade80"
                           strokeDasharray="4 4"
                           strokeOpacity={0.4}
                         />
                         <ReferenceLine
-                          y={180}
+                          y={eventRange.high}
                           stroke="#fbbf24"
                           strokeDasharray="4 4"
                           strokeOpacity={0.4}
                         />
 
+                        {draftWindow && (
+                          <ReferenceArea
+                            x1={draftWindow.x1}
+                            x2={draftWindow.x2}
+                            fill="#ff6b6b"
+                            fillOpacity={0.06}
+                            stroke="#ff6b6b"
+                            strokeOpacity={0.3}
+                          />
+                        )}
+
                         {/* Event time vertical marker */}
                         {eventMarkerX && (
                           <ReferenceLine
                             x={eventMarkerX}
                             stroke="#ff6b6b"
-                            strokeDasharray="6 3"
-                            strokeWidth={2}
+                            strokeDasharray={draft ? undefined : '6 3'}
+                            strokeWidth={draft ? 3 : 2}
                             label={{
-                              value: `Event ${eventTimeLabel}`,
+                              value: `${draft && eventTimeMs !== savedTimeMs ? 'Moved to' : 'Event'} ${eventTimeLabel}`,
                               position: 'top',
                               fill: '#ff6b6b',
                               fontSize: 11,
@@ -592,7 +706,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                           className="legend-line"
                           style={{ background: '#4ade80' }}
                         />
-                        Target range (70–180)
+                        Target range ({glucoseUnit.format(eventRange.low, { withUnit: false })}–{glucoseUnit.format(eventRange.high)})
                       </span>
                     </div>
                   </div>
@@ -632,7 +746,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                           </span>
                           {oe.glucoseAtEvent != null && (
                             <span className="overlapping-event-glucose">
-                              {Math.round(oe.glucoseAtEvent)} mg/dL
+                              {glucoseUnit.format(oe.glucoseAtEvent)}
                             </span>
                           )}
                         </div>
@@ -661,7 +775,7 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                     <button
                       className="btn-reprocess"
                       onClick={handleReprocess}
-                      disabled={reprocessing}
+                      disabled={reprocessing || !!offlineCopy}
                       title="Re-run AI analysis immediately"
                     >
                       {reprocessing ? '⏳ Analyzing...' : '🔄 Reanalyze'}
@@ -694,6 +808,8 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
                   renderAnalysis={renderAnalysis}
                 />
               )}
+
+              {event.edits?.length > 0 && <EditHistorySection edits={event.edits} />}
             </>
           ) : (
             <div className="event-no-data">Event not found.</div>
@@ -706,38 +822,39 @@ function EventDetailModal({ eventId, onClose, onReprocess }) {
 
 // ── Glucose stats mini-grid for history entries ──────────────────
 function HistoryStatsGrid({ entry }) {
+  const glucoseUnit = useGlucoseUnit();
   if (entry.glucoseAtEvent == null && entry.glucoseMin == null) return null;
   return (
     <div className="history-stats-grid">
       {entry.glucoseAtEvent != null && (
         <span className="history-stat">
           <span className="history-stat-label">At Event</span>
-          <span className="history-stat-value">{Math.round(entry.glucoseAtEvent)}</span>
+          <span className="history-stat-value">{glucoseUnit.format(entry.glucoseAtEvent, { withUnit: false })}</span>
         </span>
       )}
       {entry.glucoseMin != null && (
         <span className="history-stat">
           <span className="history-stat-label">Min</span>
-          <span className="history-stat-value">{Math.round(entry.glucoseMin)}</span>
+          <span className="history-stat-value">{glucoseUnit.format(entry.glucoseMin, { withUnit: false })}</span>
         </span>
       )}
       {entry.glucoseMax != null && (
         <span className="history-stat">
           <span className="history-stat-label">Max</span>
-          <span className="history-stat-value">{Math.round(entry.glucoseMax)}</span>
+          <span className="history-stat-value">{glucoseUnit.format(entry.glucoseMax, { withUnit: false })}</span>
         </span>
       )}
       {entry.glucoseAvg != null && (
         <span className="history-stat">
           <span className="history-stat-label">Avg</span>
-          <span className="history-stat-value">{entry.glucoseAvg}</span>
+          <span className="history-stat-value">{glucoseUnit.format(entry.glucoseAvg, { withUnit: false })}</span>
         </span>
       )}
       {entry.glucoseSpike != null && (
         <span className="history-stat">
           <span className="history-stat-label">Spike</span>
           <span className={`history-stat-value ${entry.glucoseSpike > 60 ? 'text-very-high' : entry.glucoseSpike > 30 ? 'text-high' : 'text-normal'}`}>
-            +{Math.round(entry.glucoseSpike)}
+            {glucoseUnit.format(entry.glucoseSpike, { signed: true, withUnit: false })}
           </span>
         </span>
       )}
@@ -751,9 +868,57 @@ function HistoryStatsGrid({ entry }) {
   );
 }
 
+// ── Analysis History comparison ─────────────────────────────────
+function HistoryCompare({ entries, onClose }) {
+  const glucoseUnit = useGlucoseUnit();
+  // Older run on the left
+  const [before, after] = [...entries].sort((a, b) => a.analyzedAt.localeCompare(b.analyzedAt));
+
+  const side = (entry) => ({
+    title: format(parseISO(entry.analyzedAt), 'MMM dd, yyyy HH:mm'),
+    subtitle: [entry.aiModel, entry.reason].filter(Boolean).join(' · '),
+    classification: entry.aiClassification,
+    analysis: entry.aiAnalysis,
+  });
+  const glucose = (label, key) => ({
+    label,
+    before: before[key],
+    after: after[key],
+    format: (v) => glucoseUnit.format(v, { withUnit: false }),
+    formatDelta: (d) => glucoseUnit.format(d, { signed: true, withUnit: false }),
+  });
+  const peakMs = (entry) => (entry.peakTime ? parseISO(entry.peakTime).getTime() : null);
+
+  const stats = [
+    { label: 'Readings', before: before.readingCount, after: after.readingCount, format: String, formatDelta: (d) => `${d > 0 ? '+' : ''}${d}` },
+    glucose(`At Event (${glucoseUnit.unit})`, 'glucoseAtEvent'),
+    glucose('Min', 'glucoseMin'),
+    glucose('Max', 'glucoseMax'),
+    glucose('Avg', 'glucoseAvg'),
+    glucose('Spike', 'glucoseSpike'),
+    {
+      label: 'Peak',
+      before: peakMs(before),
+      after: peakMs(after),
+      format: (ms) => format(new Date(ms), 'HH:mm'),
+      formatDelta: (d) => `${d > 0 ? '+' : ''}${Math.round(d / 60000)} min`,
+    },
+  ];
+
+  return <AnalysisCompare before={side(before)} after={side(after)} stats={stats} onClose={onClose} />;
+}
+
 // ── Analysis History sub-component ──────────────────────────────
 function AnalysisHistorySection({ history, renderAnalysis }) {
+  const glucoseUnit = useGlucoseUnit();
   const [expandedId, setExpandedId] = useState(null);
+  // Compare mode: clicking an entry selects it; two selected entries are diffed
+  const [compareIds, setCompareIds] = useState(null);
+
+  const toggleCompared = (id) => setCompareIds((ids) => (
+    ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id].slice(-2)
+  ));
+  const compared = compareIds?.length === 2 ? history.filter((e) => compareIds.includes(e.id)) : null;
 
   // history is sorted most-recent-first from the API — show ALL entries
   return (
@@ -761,18 +926,39 @@ function AnalysisHistorySection({ history, renderAnalysis }) {
       <h3 className="event-section-title">
         📜 Analysis History
         <span className="history-count">{history.length} run{history.length !== 1 ? 's' : ''}</span>
+        {history.length > 1 && (
+          <button
+            className={`btn-reprocess btn-compare${compareIds ? ' active' : ''}`}
+            onClick={() => setCompareIds(compareIds ? null : [])}
+            title="Pick two runs to see what changed between them"
+          >
+            {compareIds ? 'Done comparing' : '⇄ Compare'}
+          </button>
+        )}
       </h3>
+      {compareIds && !compared && (
+        <div className="analysis-compare-hint">Select two runs to compare ({compareIds.length}/2).</div>
+      )}
+      {compared && <HistoryCompare entries={compared} onClose={() => setCompareIds([])} />}
       <div className="analysis-history-list">
         {history.map((entry, index) => (
-          <div key={entry.id} className={`analysis-history-item ${index === 0 ? 'latest' : ''}`}>
+          <div
+            key={entry.id}
+            className={`analysis-history-item ${index === 0 ? 'latest' : ''} ${compareIds?.includes(entry.id) ? 'compare-selected' : ''}`}
+          >
             <div
               className="analysis-history-header"
               onClick={() =>
-                setExpandedId(expandedId === entry.id ? null : entry.id)
+                compareIds
+                  ? toggleCompared(entry.id)
+                  : setExpandedId(expandedId === entry.id ? null : entry.id)
               }
             >
               <div className="analysis-history-meta">
                 <span className="analysis-history-date">
+                  {compareIds && (
+                    <input type="checkbox" className="compare-checkbox" checked={compareIds.includes(entry.id)} readOnly />
+                  )}
                   {index === 0 && <span className="analysis-latest-badge">Latest</span>}
                   {format(parseISO(entry.analyzedAt), 'MMM dd, yyyy HH:mm')}
                 </span>
@@ -789,10 +975,10 @@ function AnalysisHistorySection({ history, renderAnalysis }) {
                 )}
                 <span className="analysis-history-quick-stats">
                   {entry.readingCount} readings
-                  {entry.glucoseAtEvent != null && ` · At event: ${Math.round(entry.glucoseAtEvent)}`}
-                  {entry.glucoseSpike != null && ` · Spike: +${Math.round(entry.glucoseSpike)}`}
-                  {entry.glucoseMin != null && entry.glucoseMax != null && ` · Range: ${Math.round(entry.glucoseMin)}–${Math.round(entry.glucoseMax)}`}
-                  {(entry.glucoseAtEvent != null || entry.glucoseMin != null) && ' mg/dL'}
+                  {entry.glucoseAtEvent != null && ` · At event: ${glucoseUnit.format(entry.glucoseAtEvent, { withUnit: false })}`}
+                  {entry.glucoseSpike != null && ` · Spike: ${glucoseUnit.format(entry.glucoseSpike, { signed: true, withUnit: false })}`}
+                  {entry.glucoseMin != null && entry.glucoseMax != null && ` · Range: ${glucoseUnit.format(entry.glucoseMin, { withUnit: false })}–${glucoseUnit.format(entry.glucoseMax, { withUnit: false })}`}
+                  {(entry.glucoseAtEvent != null || entry.glucoseMin != null) && ` ${glucoseUnit.unit}`}
                 </span>
               </div>
               <div className="analysis-history-stats">
@@ -801,8 +987,14 @@ function AnalysisHistorySection({ history, renderAnalysis }) {
                 </span>
               </div>
             </div>
-            {expandedId === entry.id && (
+            {!compareIds && expandedId === entry.id && (
               <div className="analysis-history-body">
+                {entry.eventTimestamp && (
+                  <div className="analysis-history-snapshot">
+                    Event then: <strong>{entry.noteTitle}</strong> at {format(parseISO(entry.eventTimestamp), 'MMM dd HH:mm')}
+                    {' · window '}{format(parseISO(entry.periodStart), 'HH:mm')}–{format(parseISO(entry.periodEnd), 'HH:mm')}
+                  </div>
+                )}
                 <HistoryStatsGrid entry={entry} />
                 {entry.aiAnalysis && renderAnalysis(entry.aiAnalysis)}
               </div>
@@ -814,11 +1006,35 @@ function AnalysisHistorySection({ history, renderAnalysis }) {
   );
 }
 
-function getColor(value) {
-  if (value < 70) return '#f87171';
-  if (value <= 180) return '#4ade80';
-  if (value <= 250) return '#fbbf24';
-  return '#f87171';
+// ── Edit History sub-component ──────────────────────────────────
+function EditHistorySection({ edits }) {
+  const formatValue = (field, value) => {
+    if (value == null || value === '') return '—';
+    return TIME_FIELDS.includes(field) ? format(parseISO(value), 'MMM dd HH:mm') : value;
+  };
+
+  // edits are sorted most-recent-first from the API, one row per changed field
+  return (
+    <div className="event-section">
+      <h3 className="event-section-title">
+        🕓 Edit History
+        <span className="history-count">{edits.length} change{edits.length !== 1 ? 's' : ''}</span>
+      </h3>
+      <div className="edit-history-list">
+        {edits.map((edit, index) => (
+          <div key={index} className="edit-history-item">
+            <span className="edit-history-date">{format(parseISO(edit.editedAt), 'MMM dd, yyyy HH:mm')}</span>
+            <span className="edit-history-field">{EDIT_FIELD_LABELS[edit.field] || edit.field}</span>
+            <span className="edit-history-change">
+              <span className="edit-history-old">{formatValue(edit.field, edit.oldValue)}</span>
+              {' → '}
+              <span>{formatValue(edit.field, edit.newValue)}</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
 }
 
 export default EventDetailModal;
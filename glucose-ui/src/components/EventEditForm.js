@@ -0,0 +1,135 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+
+const INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+const toInput = (value) => format(typeof value === 'string' ? parseISO(value) : new Date(value), INPUT_FORMAT);
+
+/**
+ * Form values for an event from /events/:id. The inputs hold minutes, so the
+ * event's own timestamps are kept in `original` and sent back unchanged
+ * unless their input was edited.
+ */
+export function draftFromEvent(event) {
+  return {
+    title: event.noteTitle || '',
+    content: event.noteContent || '',
+    time: toInput(event.eventTimestamp),
+    autoWindow: !event.isWindowOverridden,
+    periodStart: toInput(event.periodStart),
+    periodEnd: toInput(event.periodEnd),
+    original: { time: event.eventTimestamp, periodStart: event.periodStart, periodEnd: event.periodEnd },
+  };
+}
+
+/** The draft time as epoch ms (or null while the input is incomplete). */
+export function draftTimeMs(draft) {
+  const ms = new Date(draft.time).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/** Set the draft time from epoch ms, e.g. when the marker is dragged on the chart. */
+export function withDraftTime(draft, ms) {
+  return { ...draft, time: toInput(ms) };
+}
+
+/** ISO value of a draft field: the original while its input still shows it, else the input's minute. */
+function draftValue(draft, key) {
+  const original = draft.original?.[key];
+  if (original && draft[key] === toInput(original)) return original;
+  const date = new Date(draft[key]);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Request body for PUT /api/events/:id, or `{ error }` when the draft is
+ * incomplete. The window is only sent when overridden.
+ */
+export function draftToRequest(draft) {
+  const eventTimestamp = draftValue(draft, 'time');
+  if (!draft.title.trim()) return { error: 'Enter a title.' };
+  if (!eventTimestamp) return { error: 'Enter a valid time.' };
+
+  const body = { title: draft.title.trim(), content: draft.content.trim() || null, eventTimestamp };
+  if (draft.autoWindow) return { body };
+
+  const periodStart = draftValue(draft, 'periodStart');
+  const periodEnd = draftValue(draft, 'periodEnd');
+  if (!periodStart || !periodEnd) return { error: 'Enter both ends of the glucose window.' };
+  const time = new Date(eventTimestamp);
+  if (new Date(periodStart) > time || new Date(periodEnd) <= time) {
+    return { error: 'The glucose window must contain the event time.' };
+  }
+  return { body: { ...body, periodStart, periodEnd } };
+}
+
+/**
+ * Edit an event's title, note, time and glucose window inside EventDetailModal.
+ * The draft lives in the modal so dragging the event marker on its chart can
+ * move the time. With "Automatic window" the server derives the window from
+ * the neighbouring events again; otherwise the window is pinned and later
+ * events no longer shorten it.
+ */
+function EventEditForm({ draft, onChange, saving, error, onCancel, onSave }) {
+  const set = (key) => (e) => onChange({ ...draft, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  return (
+    <form
+      className="event-section event-edit-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave();
+      }}
+    >
+      <h3 className="event-section-title">✏️ Edit Event</h3>
+
+      <label className="log-event-field">
+        <span>Title</span>
+        <input type="text" value={draft.title} maxLength={500} onChange={set('title')} autoFocus />
+      </label>
+
+      <label className="log-event-field">
+        <span>Note <em>(optional)</em></span>
+        <textarea rows={4} value={draft.content} onChange={set('content')} />
+      </label>
+
+      <label className="log-event-field">
+        <span>Time <em>(or drag the event marker on the chart)</em></span>
+        <input type="datetime-local" value={draft.time} onChange={set('time')} />
+      </label>
+
+      <label className="event-edit-auto-window">
+        <input type="checkbox" checked={draft.autoWindow} onChange={set('autoWindow')} />
+        Automatic glucose window <em>(from the previous to the next event)</em>
+      </label>
+
+      {!draft.autoWindow && (
+        <div className="log-event-row">
+          <label className="log-event-field">
+            <span>Window start</span>
+            <input type="datetime-local" value={draft.periodStart} onChange={set('periodStart')} />
+          </label>
+          <label className="log-event-field">
+            <span>Window end</span>
+            <input type="datetime-local" value={draft.periodEnd} onChange={set('periodEnd')} />
+          </label>
+        </div>
+      )}
+
+      <div className="event-edit-note">
+        Saving records every change, keeps the previous values in the analysis history and queues the event for re-analysis.
+      </div>
+
+      {error && <div className="date-range-error">{error}</div>}
+
+      <div className="export-dialog-actions">
+        <button type="button" className="btn-range-apply" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-export" disabled={saving}>
+          {saving ? '⏳ Saving…' : '💾 Save changes'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default EventEditForm;
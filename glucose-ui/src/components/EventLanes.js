@@ -0,0 +1,95 @@
+import React, { useMemo } from 'react';
+import { format } from 'date-fns';
+import { EVENT_TYPES, eventStyle, formatMinutes } from '../config/eventTypes';
+
+const typeColor = (id) => EVENT_TYPES.find(t => t.id === id).color;
+
+/**
+ * Lanes in display order; an event appears in every lane it has values for.
+ * Insulin and carbs keep their lane's color (a meal's bolus is still insulin).
+ */
+const LANES = [
+  {
+    id: 'insulin',
+    label: '💉 Insulin',
+    color: typeColor('insulin'),
+    match: (e) => e.insulinUnits != null,
+    text: (e) => `${e.insulinUnits}U`,
+  },
+  {
+    id: 'carbs',
+    label: '🍞 Carbs',
+    color: typeColor('carbs'),
+    match: (e) => e.carbsGrams != null,
+    text: (e) => `${e.carbsGrams}g`,
+  },
+  {
+    id: 'activity',
+    label: '🏃 Activity',
+    match: (e) => e.eventType === 'exercise' || e.eventType === 'sleep',
+    text: (e) => (e.durationMinutes != null ? formatMinutes(e.durationMinutes) : ''),
+  },
+  { id: 'illness', label: '🤒 Illness', match: (e) => e.eventType === 'illness', text: () => '' },
+];
+
+/**
+ * Structured events (insulin, carbs, exercise, sleep, illness) in lanes under
+ * GlucoseChart, on the same time axis as the plot: `start`/`end` are the
+ * chart's x domain, and the horizontal padding matches the plot area. Exercise
+ * and sleep are drawn as bars for their duration. Lanes without events in the
+ * window are left out.
+ */
+function EventLanes({ events, start, end, onEventClick }) {
+  const lanes = useMemo(() => {
+    if (end <= start) return [];
+    const toPercent = (t) => ((t - start) / (end - start)) * 100;
+    return LANES
+      .map(lane => ({
+        ...lane,
+        items: events.filter(lane.match).map(evt => {
+          const left = toPercent(evt.evtTime);
+          const durationMs = (evt.durationMinutes || 0) * 60000;
+          const width = lane.id === 'activity' && durationMs
+            ? Math.min(toPercent(evt.evtTime + durationMs), 100) - left
+            : 0;
+          return { evt, left, width };
+        }),
+      }))
+      .filter(lane => lane.items.length > 0);
+  }, [events, start, end]);
+
+  if (!lanes.length) return null;
+
+  return (
+    <div className="event-lanes">
+      {lanes.map(lane => (
+        <div key={lane.id} className="event-lane">
+          <span className="event-lane-label">{lane.label}</span>
+          {lane.items.map(({ evt, left, width }) => {
+            const style = eventStyle(evt);
+            const color = lane.color || style.color;
+            const text = lane.text(evt);
+            return (
+              <button
+                key={evt.id}
+                className={`event-lane-item${width ? ' event-lane-bar' : ''}`}
+                style={{
+                  left: `${left}%`,
+                  width: width ? `${width}%` : undefined,
+                  '--lane-color': color,
+                  '--lane-fill': `${color}40`,
+                }}
+                onClick={() => onEventClick?.(evt.id)}
+                title={`${style.icon} ${evt.noteTitle || style.label} — ${format(new Date(evt.evtTime), 'HH:mm')}`}
+              >
+                {text || style.icon}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default EventLanes;
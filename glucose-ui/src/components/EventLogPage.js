@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import EventDetailModal from './EventDetailModal';
-
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+import { Link, useLocation } from 'react-router-dom';
+import { PAGE_PATHS, paths } from '../config/routes';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
 
 const LEVEL_ICONS = { info: 'ℹ️', warning: '⚠️', error: '❌' };
 const LEVEL_LABELS = { info: 'Info', warning: 'Warning', error: 'Error' };
@@ -28,59 +29,62 @@ function relativeTime(utcStr) {
 /**
  * Resolves a navigation target for a log entry based on its category,
  * related entity type/ID, and message content.
- * Returns { label, page, entityId, entityType } or null if no link is available.
+ * Returns { label, to, modal } or null if no link is available; `modal`
+ * marks links that open on top of the log instead of leaving it.
  */
 function resolveLink(log) {
   const { category, relatedEntityType, relatedEntityId } = log;
 
   // Entries linked to a specific GlucoseEvent → open event detail modal
   if (relatedEntityType === 'GlucoseEvent' && relatedEntityId) {
-    return { label: 'View Event', entityType: 'event', entityId: relatedEntityId };
+    return { label: 'View Event', to: paths.event(relatedEntityId), modal: true };
   }
 
-  // Entries linked to a DailySummary → navigate to daily summaries page
+  // Entries linked to a DailySummary → open that day's summary
   if (relatedEntityType === 'DailySummary' && relatedEntityId) {
-    return { label: 'View Daily Summary', page: 'dailysummaries' };
+    return { label: 'View Daily Summary', to: paths.dailySummary(relatedEntityId) };
   }
 
-  // Entries linked to a GlucoseComparison → navigate to compare page
+  // Entries linked to a GlucoseComparison → open that comparison
   if (relatedEntityType === 'GlucoseComparison' && relatedEntityId) {
-    return { label: 'View Comparison', page: 'compare' };
+    return { label: 'View Comparison', to: paths.comparison(relatedEntityId) };
   }
 
-  // Entries linked to a PeriodSummary → navigate to period summary page
+  // Entries linked to a PeriodSummary → open that period summary
   if (relatedEntityType === 'PeriodSummary' && relatedEntityId) {
-    return { label: 'View Summary', page: 'periodsummary' };
+    return { label: 'View Summary', to: paths.periodSummary(relatedEntityId) };
   }
 
   // Category-based fallbacks (no specific entity)
   switch (category) {
     case 'glucose':
-      return { label: 'View Dashboard', page: 'dashboard' };
+      return { label: 'View Dashboard', to: PAGE_PATHS.dashboard };
     case 'events':
-      return { label: 'View Events', page: 'events' };
+      return { label: 'View Events', to: PAGE_PATHS.events };
     case 'analysis':
-      return { label: 'View Events', page: 'events' };
+      return { label: 'View Events', to: PAGE_PATHS.events };
     case 'notes':
-      return { label: 'View Events', page: 'events' };
+      return { label: 'View Events', to: PAGE_PATHS.events };
     case 'daily':
-      return { label: 'View Daily Summaries', page: 'dailysummaries' };
+      return { label: 'View Daily Summaries', to: PAGE_PATHS.dailysummaries };
     case 'comparison':
-      return { label: 'View Comparisons', page: 'compare' };
+      return { label: 'View Comparisons', to: PAGE_PATHS.compare };
     case 'summary':
-      return { label: 'View Summaries', page: 'periodsummary' };
+      return { label: 'View Summaries', to: PAGE_PATHS.periodsummary };
     case 'backup':
     case 'settings':
-      return { label: 'View Settings', page: 'settings' };
+      return { label: 'View Settings', to: PAGE_PATHS.settings };
     default:
       return null;
   }
 }
 
-export default function EventLogPage({ onNavigate }) {
+export default function EventLogPage() {
+  const location = useLocation();
   const [logs, setLogs] = useState([]);
   const [totalCount, setTotalCount] = useState(0);
   const [loading, setLoading] = useState(true);
+  const client = useApi();
 
   // Filters
   const [levelFilter, setLevelFilter] = useState('');
@@ -97,9 +101,6 @@ export default function EventLogPage({ onNavigate }) {
   // Expanded detail
   const [expandedId, setExpandedId] = useState(null);
 
-  // Event detail modal
-  const [selectedEventId, setSelectedEventId] = useState(null);
-
   // Auto-refresh tracker
   const [refreshKey, setRefreshKey] = useState(0);
 
@@ -123,27 +124,25 @@ export default function EventLogPage({ onNavigate }) {
   const fetchLogs = useCallback(async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams();
-      params.set('limit', limit);
-      if (offset > 0) params.set('offset', offset);
-      if (levelFilter) params.set('level', levelFilter);
-      if (categoryFilter) params.set('category', categoryFilter);
-      if (searchFilter.trim()) params.set('search', searchFilter.trim());
-      if (timeRange.from) params.set('from', timeRange.from.toISOString());
-      if (timeRange.to) params.set('to', timeRange.to.toISOString());
-
-      const res = await fetch(`${API_BASE}/eventlog?${params.toString()}`);
-      if (res.ok) {
-        const data = await res.json();
-        setLogs(data.logs || []);
-        setTotalCount(data.totalCount || 0);
-      }
+      const data = await client.get('/eventlog', {
+        query: {
+          limit,
+          offset: offset > 0 ? offset : null,
+          level: levelFilter,
+          category: categoryFilter,
+          search: searchFilter.trim(),
+          from: timeRange.from,
+          to: timeRange.to,
+        },
+      });
+      setLogs(data.logs || []);
+      setTotalCount(data.totalCount || 0);
     } catch (err) {
-      console.error('Failed to fetch event logs:', err);
+      showError(err, 'Failed to load event logs');
     } finally {
       setLoading(false);
     }
-  }, [limit, offset, levelFilter, categoryFilter, searchFilter, timeRange]);
+  }, [limit, offset, levelFilter, categoryFilter, searchFilter, timeRange, client]);
 
   useEffect(() => {
     fetchLogs();
@@ -171,20 +170,6 @@ export default function EventLogPage({ onNavigate }) {
     return { infoCount, warnCount, errCount };
   }, [logs]);
 
-  const handleLinkClick = useCallback((e, log) => {
-    e.stopPropagation();
-    const link = resolveLink(log);
-    if (!link) return;
-
-    if (link.entityType === 'event' && link.entityId) {
-      // Open event detail modal
-      setSelectedEventId(link.entityId);
-    } else if (link.page && onNavigate) {
-      // Navigate to another page
-      onNavigate(link.page);
-    }
-  }, [onNavigate]);
-
   const totalPages = Math.ceil(totalCount / limit);
   const currentPage = Math.floor(offset / limit) + 1;
 
@@ -302,13 +287,15 @@ export default function EventLogPage({ onNavigate }) {
                       <td className="col-source">{log.source || '\u2014'}</td>
                       <td className="col-link">
                         {link ? (
-                          <button
+                          <Link
                             className="log-link-btn"
-                            onClick={(e) => handleLinkClick(e, log)}
+                            to={link.to}
+                            state={link.modal ? { backgroundLocation: location } : undefined}
+                            onClick={(e) => e.stopPropagation()}
                             title={link.label}
                           >
                             {link.label} &rarr;
-                          </button>
+                          </Link>
                         ) : '\u2014'}
                       </td>
                     </tr>
@@ -354,15 +341,6 @@ export default function EventLogPage({ onNavigate }) {
           </button>
         </div>
       )}
-
-      {/* Event Detail Modal */}
-      {selectedEventId && (
-        <EventDetailModal
-          eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-          onEventClick={(id) => setSelectedEventId(id)}
-        />
-      )}
     </div>
   );
 }
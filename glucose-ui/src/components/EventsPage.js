@@ -1,74 +1,121 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { format, parseISO } from 'date-fns';
+import React, { useState, useEffect, useRef } from 'react';
+import { format, parseISO, startOfDay, endOfDay } from 'date-fns';
+import { useNavigate, useParams } from 'react-router-dom';
 import EventDetailModal from './EventDetailModal';
+import BulkEventBar, { BULK_MAX_EVENTS } from './BulkEventBar';
+import { showToast } from './Toaster';
 import useInfiniteScroll from '../hooks/useInfiniteScroll';
 import PAGE_SIZES from '../config/pageSize';
+import { PAGE_PATHS, paths } from '../config/routes';
+import { parseUtc } from '../config/dataFreshness';
+import { useGlucoseUnit } from '../context/DisplaySettingsContext';
+import { eventStyle, describeDetails } from '../config/eventTypes';
+import useQuery from '../hooks/useQuery';
+import usePagedQuery from '../hooks/usePagedQuery';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import MODEL_OPTIONS from './modelOptions';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
 const PAGE_SIZE = PAGE_SIZES.events;
 
+const EMPTY_FILTERS = {
+  search: '', classification: '', status: '', from: '', to: '', minSpike: '', maxSpike: '', model: '',
+};
+
+const modelLabel = (value) => MODEL_OPTIONS.find(m => m.value === value)?.label || value;
+
 function EventsPage() {
-  const [events, setEvents] = useState([]);
-  const [status, setStatus] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [totalCount, setTotalCount] = useState(0);
-  const [selectedEventId, setSelectedEventId] = useState(null);
-  const offsetRef = useRef(0);
-
-  const fetchEvents = useCallback(async (append = false) => {
-    if (append) setLoadingMore(true); else setLoading(true);
-    try {
-      const offset = append ? offsetRef.current : 0;
-      const res = await fetch(`${API_BASE}/events?limit=${PAGE_SIZE}&offset=${offset}`);
-      if (res.ok) {
-        const data = await res.json();
-        if (append) {
-          setEvents(prev => [...prev, ...data.items]);
-        } else {
-          setEvents(data.items);
-        }
-        setTotalCount(data.totalCount);
-        offsetRef.current = (append ? offsetRef.current : 0) + data.items.length;
-      }
-    } catch (err) {
-      console.error('Failed to fetch events:', err);
-    } finally {
-      setLoading(false);
-      setLoadingMore(false);
-    }
-  }, []);
-
-  const fetchStatus = useCallback(async () => {
-    try {
-      const res = await fetch(`${API_BASE}/events/status`);
-      if (res.ok) {
-        const data = await res.json();
-        setStatus(data);
-      }
-    } catch (err) {
-      console.error('Failed to fetch events status:', err);
-    }
-  }, []);
+  const { eventId } = useParams();
+  const navigate = useNavigate();
+  const selectedEventId = eventId ? Number(eventId) : null;
+  const glucoseUnit = useGlucoseUnit();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Day picked in "Jump to", until the list is loaded down to it and its first event scrolled into view
+  const [jumpDate, setJumpDate] = useState('');
+  const jumpTargetRef = useRef(null);
+  const jumpLoadedRef = useRef(null);
+  // Events ticked for a bulk action, by id (kept while filters change)
+  const [selected, setSelected] = useState({});
+  // Filters whose every match is selected ("Select all matching"); void once they change
+  const [matchAllKey, setMatchAllKey] = useState(null);
 
-  useEffect(() => {
-    fetchEvents();
-    fetchStatus();
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+  const isFiltered = Object.keys(EMPTY_FILTERS).some(k => filters[k] !== '');
 
-    const handleEventsUpdated = () => {
-      offsetRef.current = 0;
-      fetchEvents();
-      fetchStatus();
-    };
+  const clearFilters = () => setFilters(EMPTY_FILTERS);
 
-    window.addEventListener('eventsUpdated', handleEventsUpdated);
-    return () => window.removeEventListener('eventsUpdated', handleEventsUpdated);
-  }, [fetchEvents, fetchStatus]);
+  const search = useDebouncedValue(filters.search.trim());
 
-  const hasMore = events.length < totalCount;
-  const loadMore = useCallback(() => fetchEvents(true), [fetchEvents]);
+  // Dates are local days; spikes are typed in the display unit and sent as mg/dL
+  const query = {
+    search,
+    classification: filters.classification,
+    status: filters.status,
+    from: filters.from ? startOfDay(parseISO(filters.from)) : undefined,
+    to: filters.to ? endOfDay(parseISO(filters.to)) : undefined,
+    minSpike: glucoseUnit.fromDisplay(filters.minSpike),
+    maxSpike: glucoseUnit.fromDisplay(filters.maxSpike),
+    model: filters.model,
+  };
+
+  // Cached per filter combination; EventsUpdated from SignalR invalidates /events
+  const {
+    items: events, totalCount, loading, loadingMore, hasMore, loadMore,
+  } = usePagedQuery('/events', { query, pageSize: PAGE_SIZE, errorContext: 'Failed to load events' });
+  const { data: status } = useQuery('/events/status', { errorContext: 'Failed to load events status' });
+  const { data: models } = useQuery('/events/models', { errorContext: 'Failed to load AI models' });
   useInfiniteScroll(loadMore, { hasMore, loading: loadingMore });
 
+  // Newest first, so the target is the first event on or before the end of the picked day
+  const jumpTarget = jumpDate
+    ? events.find(e => parseUtc(e.eventTimestamp) <= endOfDay(parseISO(jumpDate)))
+    : null;
+
+  // Load pages until the target is in the list; stop when a page adds nothing (end or failed request)
+  useEffect(() => {
+    if (!jumpDate || loading || loadingMore) return;
+    if (jumpTarget) {
+      jumpTargetRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      setJumpDate('');
+    } else if (hasMore && jumpLoadedRef.current !== events.length) {
+      jumpLoadedRef.current = events.length;
+      loadMore();
+    } else {
+      showToast(`No events on or before ${format(parseISO(jumpDate), 'MMM d, yyyy')}`, 'info');
+      setJumpDate('');
+    }
+  }, [jumpDate, jumpTarget, events.length, hasMore, loading, loadingMore, loadMore]);
+
+  const jumpTo = (value) => {
+    jumpLoadedRef.current = null;
+    setJumpDate(value);
+  };
+
+  const selectedEvents = Object.values(selected);
+  const queryKey = JSON.stringify(query);
+  const matching = matchAllKey === queryKey ? { filter: query, count: totalCount } : null;
+
+  const clearSelection = () => {
+    setSelected({});
+    setMatchAllKey(null);
+  };
+  const allLoadedSelected = events.length > 0 && events.every(e => selected[e.id]);
+
+  const toggleSelected = (evt) => setSelected(prev => {
+    const next = { ...prev };
+    if (next[evt.id]) delete next[evt.id];
+    else next[evt.id] = evt;
+    return next;
+  });
+
+  const toggleAllLoaded = () => setSelected(prev => {
+    const next = { ...prev };
+    events.forEach(e => {
+      if (allLoadedSelected) delete next[e.id];
+      else next[e.id] = e;
+    });
+    return next;
+  });
+
   const getSpikeClass = (spike) => {
     if (spike == null) return '';
     if (spike <= 30) return 'spike-low';
@@ -105,8 +152,98 @@ function EventsPage() {
         </div>
       )}
 
+      {/* Filters */}
+      <div className="events-filters">
+        <div className="events-filters-row">
+          <input
+            type="text"
+            className="meals-search"
+            placeholder="Search titles and notes (original or English)..."
+            value={filters.search}
+            onChange={setFilter('search')}
+          />
+          <select className="meals-class-filter" value={filters.classification} onChange={setFilter('classification')}>
+            <option value="">All classifications</option>
+            <option value="green">🟢 Good</option>
+            <option value="yellow">🟡 Concerning</option>
+            <option value="red">🔴 Bad</option>
+            <option value="none">Not classified</option>
+          </select>
+          <select className="meals-class-filter" value={filters.status} onChange={setFilter('status')}>
+            <option value="">Processed and pending</option>
+            <option value="processed">Processed</option>
+            <option value="pending">Pending</option>
+          </select>
+          <select className="meals-class-filter" value={filters.model} onChange={setFilter('model')}>
+            <option value="">All models</option>
+            {(models || []).map(m => <option key={m} value={m}>{modelLabel(m)}</option>)}
+          </select>
+        </div>
+        <div className="events-filters-row">
+          <label className="events-filter-field">
+            <span>From</span>
+            <input type="date" value={filters.from} max={filters.to || undefined} onChange={setFilter('from')} />
+          </label>
+          <label className="events-filter-field">
+            <span>To</span>
+            <input type="date" value={filters.to} min={filters.from || undefined} onChange={setFilter('to')} />
+          </label>
+          <label className="events-filter-field">
+            <span>Spike ({glucoseUnit.unit})</span>
+            <input type="number" min="0" placeholder="min" value={filters.minSpike} onChange={setFilter('minSpike')} />
+            <span>–</span>
+            <input type="number" min="0" placeholder="max" value={filters.maxSpike} onChange={setFilter('maxSpike')} />
+          </label>
+          <label className="events-filter-field events-jump">
+            <span>Jump to</span>
+            <input type="date" value={jumpDate} onChange={(e) => jumpTo(e.target.value)} />
+          </label>
+          {isFiltered && (
+            <button className="events-filters-clear" onClick={clearFilters}>✕ Clear</button>
+          )}
+        </div>
+        {jumpDate && (
+          <div className="events-filters-note">
+            Loading events back to {format(parseISO(jumpDate), 'MMM d, yyyy')}…
+            <button onClick={() => jumpTo('')}>Cancel</button>
+          </div>
+        )}
+        {isFiltered && !loading && (
+          <div className="events-filters-note">{totalCount} matching event{totalCount !== 1 ? 's' : ''}</div>
+        )}
+      </div>
+
+      {!loading && events.length > 0 && (
+        <div className="events-select-all-row">
+          <label className="events-select-all">
+            <input type="checkbox" checked={allLoadedSelected} onChange={toggleAllLoaded} disabled={!!matching} />
+            Select all {events.length} loaded event{events.length !== 1 ? 's' : ''}
+          </label>
+          {hasMore && !matching && (
+            <button
+              className="bulk-select-button"
+              onClick={() => setMatchAllKey(queryKey)}
+              disabled={totalCount > BULK_MAX_EVENTS}
+              title={totalCount > BULK_MAX_EVENTS ? `At most ${BULK_MAX_EVENTS} events can be changed at once` : undefined}
+            >
+              Select all {totalCount} matching
+            </button>
+          )}
+        </div>
+      )}
+      <BulkEventBar selected={selectedEvents} matching={matching} onClearSelection={clearSelection} />
+
+      {/* No matches */}
+      {!loading && isFiltered && events.length === 0 && (
+        <div className="events-empty">
+          <div className="events-empty-icon">🔍</div>
+          <h3>No Matching Events</h3>
+          <p>Try a wider date range or fewer filters.</p>
+        </div>
+      )}
+
       {/* Empty state */}
-      {!loading && events.length === 0 && (
+      {!loading && !isFiltered && events.length === 0 && (
         <div className="events-empty">
           <div className="events-empty-icon">📊</div>
           <h3>No Glucose Events Yet</h3>
@@ -136,9 +273,19 @@ function EventsPage() {
           {events.map((evt) => (
             <div
               key={evt.id}
-              className={`event-card ${evt.isProcessed ? 'processed' : 'pending'} ${evt.aiClassification ? `classification-${evt.aiClassification}` : ''}`}
-              onClick={() => setSelectedEventId(evt.id)}
+              ref={evt === jumpTarget ? jumpTargetRef : undefined}
+              className={`event-card ${evt.isProcessed ? 'processed' : 'pending'} ${evt.aiClassification ? `classification-${evt.aiClassification}` : ''}${selected[evt.id] ? ' selected' : ''}`}
+              onClick={() => navigate(paths.event(evt.id))}
             >
+              <label className="event-select" onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  checked={!!matching || !!selected[evt.id]}
+                  disabled={!!matching}
+                  onChange={() => toggleSelected(evt)}
+                  aria-label={`Select ${evt.noteTitle || 'event'}`}
+                />
+              </label>
               <div className="event-card-left">
                 <div className={`event-date-badge ${evt.aiClassification ? `badge-${evt.aiClassification}` : ''}`}>
                   <span className="event-day">
@@ -185,6 +332,11 @@ function EventsPage() {
                   {!evt.isProcessed && (
                     <span className="event-tag pending">⏳ Processing...</span>
                   )}
+                  {evt.isManual && (
+                    <span className="event-tag manual" title="Logged in the app, not from a Samsung note">
+                      {eventStyle(evt).icon} {describeDetails(evt) || eventStyle(evt).label}
+                    </span>
+                  )}
                   <span className="event-tag readings">
                     {evt.readingCount} reading{evt.readingCount !== 1 ? 's' : ''}
                   </span>
@@ -194,20 +346,20 @@ function EventsPage() {
               <div className="event-card-right">
                 {evt.glucoseAtEvent != null && (
                   <div className="event-glucose-badge">
-                    <span className="event-glucose-value">{Math.round(evt.glucoseAtEvent)}</span>
-                    <span className="event-glucose-unit">mg/dL</span>
+                    <span className="event-glucose-value">{glucoseUnit.format(evt.glucoseAtEvent, { withUnit: false })}</span>
+                    <span className="event-glucose-unit">{glucoseUnit.unit}</span>
                   </div>
                 )}
                 {evt.glucoseSpike != null && (
                   <div className={`event-spike-badge ${getSpikeClass(evt.glucoseSpike)}`}>
                     <span className="spike-arrow">↑</span>
-                    <span className="spike-value">+{Math.round(evt.glucoseSpike)}</span>
+                    <span className="spike-value">{glucoseUnit.format(evt.glucoseSpike, { signed: true, withUnit: false })}</span>
                     <span className="spike-label">{getSpikeLabel(evt.glucoseSpike)}</span>
                   </div>
                 )}
                 {evt.glucoseMin != null && evt.glucoseMax != null && (
                   <div className="event-range">
-                    {Math.round(evt.glucoseMin)}–{Math.round(evt.glucoseMax)}
+                    {glucoseUnit.format(evt.glucoseMin, { withUnit: false })}–{glucoseUnit.format(evt.glucoseMax, { withUnit: false })}
                   </div>
                 )}
               </div>
@@ -230,11 +382,7 @@ function EventsPage() {
       {selectedEventId && (
         <EventDetailModal
           eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-          onReprocess={() => {
-            fetchEvents();
-            fetchStatus();
-          }}
+          onClose={() => navigate(PAGE_PATHS.events)}
         />
       )}
     </div>
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { subDays } from 'date-fns';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { downloadBlob } from '../config/chartExport';
+import { snapToDays, toInputs, fromInputs, formatRange } from '../config/dateRange';
+import { useDisplayTimeZone } from '../context/DisplaySettingsContext';
+
+/**
+ * Mirrors DataExportService.Supported on the server; `extension` mirrors its
+ * file names (formats writing one file per dataset zip several).
+ */
+const FORMATS = [
+  { id: 'csv', label: 'CSV', hint: 'One file per dataset (zipped when there are several)', datasets: ['readings', 'events', 'foods', 'summaries', 'notes'], extension: n => (n > 1 ? 'zip' : 'csv') },
+  { id: 'xlsx', label: 'Excel', hint: 'One workbook, a sheet per dataset', datasets: ['readings', 'events', 'foods', 'summaries', 'notes'], extension: () => 'xlsx' },
+  { id: 'json', label: 'JSON', hint: 'A single document with an array per dataset', datasets: ['readings', 'events', 'foods', 'summaries', 'notes'], extension: () => 'json' },
+  { id: 'nightscout', label: 'Nightscout', hint: 'entries (readings) and treatments (events) for upload to Nightscout', datasets: ['readings', 'events'], extension: n => (n > 1 ? 'zip' : 'json') },
+  { id: 'fhir', label: 'FHIR', hint: 'HL7 FHIR R4 bundle of glucose Observations (LOINC 99504-3)', datasets: ['readings'], extension: () => 'fhir.json' },
+];
+
+const DATASETS = [
+  { id: 'readings', label: 'Glucose readings' },
+  { id: 'events', label: 'Events with AI analysis' },
+  { id: 'foods', label: 'Food items per event' },
+  { id: 'summaries', label: 'Daily summaries' },
+  { id: 'notes', label: 'Notes' },
+];
+
+const PRESETS = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+];
+
+const lastDays = (days, timeZone) => snapToDays({ start: subDays(new Date(), days - 1), end: new Date() }, timeZone);
+
+/**
+ * Data export dialog: pick whole days, a format and the datasets to include.
+ * The file is built on the server (/api/export) and fetched before it is
+ * saved, so a rejected export shows its error here instead of downloading
+ * it. `defaultRange` is the dashboard's current window.
+ */
+function ExportDialog({ defaultRange, onClose }) {
+  const client = useApi();
+  const timeZone = useDisplayTimeZone();
+  const [inputs, setInputs] = useState(() => toInputs(snapToDays(defaultRange, timeZone), true, timeZone));
+  const [formatId, setFormatId] = useState('csv');
+  const [selected, setSelected] = useState(['readings']);
+  const [error, setError] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const exportFormat = FORMATS.find(f => f.id === formatId);
+  const included = selected.filter(id => exportFormat.datasets.includes(id));
+  const range = fromInputs(inputs, true, timeZone);
+
+  const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(d => d !== id) : [...prev, id]));
+
+  const handleDownload = async () => {
+    if (!range) return setError('Enter both a start and an end day.');
+    if (range.end <= range.start) return setError('The end must be on or after the start.');
+    if (included.length === 0) return setError(`Choose at least one dataset ${exportFormat.label} can hold.`);
+
+    setDownloading(true);
+    setError(null);
+    try {
+      // A year of readings takes a while to build; don't queue a second export on timeout
+      const blob = await client.get('/export', {
+        query: { start: range.start, end: range.end, format: formatId, include: included.join(',') },
+        responseType: 'blob',
+        timeout: 300000,
+        retries: 0,
+      });
+      const fileName = `glucose_export_${inputs.from.replace(/-/g, '')}_${inputs.to.replace(/-/g, '')}`;
+      downloadBlob(blob, `${fileName}.${exportFormat.extension(included.length)}`);
+      onClose();
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="event-modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="event-modal export-dialog">
+        <div className="event-modal-header">
+          <div>
+            <h2 className="event-modal-title">⬇ Export data</h2>
+            <div className="event-modal-meta">
+              <span className="note-date">Glucose values are exported in mg/dL, times in UTC plus local time.</span>
+            </div>
+          </div>
+          <button className="note-modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="note-modal-body">
+          <section className="export-dialog-section">
+            <h3>Period</h3>
+            <div className="reports-presets">
+              <button onClick={() => setInputs(toInputs(snapToDays(defaultRange, timeZone), true, timeZone))}>Current view</button>
+              {PRESETS.map(p => (
+                <button key={p.days} onClick={() => setInputs(toInputs(lastDays(p.days, timeZone), true, timeZone))}>{p.label}</button>
+              ))}
+            </div>
+            <div className="date-range-picker">
+              <input
+                type="date"
+                value={inputs.from}
+                onChange={(e) => setInputs(prev => ({ ...prev, from: e.target.value }))}
+                aria-label="From"
+              />
+              <span className="date-range-sep">→</span>
+              <input
+                type="date"
+                value={inputs.to}
+                onChange={(e) => setInputs(prev => ({ ...prev, to: e.target.value }))}
+                aria-label="To"
+              />
+            </div>
+            {range && range.end > range.start && <div className="date-range-label">{formatRange(range, timeZone)}</div>}
+          </section>
+
+          <section className="export-dialog-section">
+            <h3>Format</h3>
+            <div className="export-dialog-options">
+              {FORMATS.map(f => (
+                <label key={f.id} className={`export-dialog-option${formatId === f.id ? ' active' : ''}`}>
+                  <input type="radio" name="export-format" checked={formatId === f.id} onChange={() => setFormatId(f.id)} />
+                  <span className="export-dialog-option-label">{f.label}</span>
+                  <span className="export-dialog-option-hint">{f.hint}</span>
+                </label>
+              ))}
+            </div>
+          </section>
+
+          <section className="export-dialog-section">
+            <h3>Include</h3>
+            <div className="export-dialog-options">
+              {DATASETS.map(d => {
+                const supported = exportFormat.datasets.includes(d.id);
+                return (
+                  <label
+                    key={d.id}
+                    className={`export-dialog-option${supported ? '' : ' disabled'}`}
+                    title={supported ? undefined : `Not part of the ${exportFormat.label} format`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={supported && selected.includes(d.id)}
+                      disabled={!supported}
+                      onChange={() => toggle(d.id)}
+                    />
+                    <span className="export-dialog-option-label">{d.label}</span>
+                  </label>
+                );
+              })}
+            </div>
+          </section>
+
+          {error && <div className="date-range-error">{error}</div>}
+
+          <div className="export-dialog-actions">
+            <button className="btn-range-apply" onClick={onClose}>Cancel</button>
+            <button className="btn-export" onClick={handleDownload} disabled={included.length === 0 || downloading}>
+              {downloading ? '⏳ Exporting…' : '⬇ Download'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportDialog;
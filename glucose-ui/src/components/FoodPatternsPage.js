@@ -1,26 +1,28 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { format } from 'date-fns';
 import MODEL_OPTIONS from './modelOptions';
 import useInfiniteScroll from '../hooks/useInfiniteScroll';
 import PAGE_SIZES from '../config/pageSize';
+import useOpenEvent from '../hooks/useOpenEvent';
+import { useGlucoseUnit } from '../context/DisplaySettingsContext';
+import { invalidateQueries } from '../api/queryCache';
+import useApi from '../hooks/useApi';
+import useQuery from '../hooks/useQuery';
+import usePagedQuery from '../hooks/usePagedQuery';
+import { showError } from './Toaster';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
 const PAGE_SIZE = PAGE_SIZES.food;
 
 function FoodPatternsPage() {
-  const [foods, setFoods] = useState([]);
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [totalCount, setTotalCount] = useState(0);
+  const glucoseUnit = useGlucoseUnit();
   const [scanning, setScanning] = useState(false);
   const [selectedFood, setSelectedFood] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
   const [search, setSearch] = useState('');
   const [sortBy, setSortBy] = useState('count');
   const [sortDesc, setSortDesc] = useState(true);
-  const [selectedEventId, setSelectedEventId] = useState(null);
-  const foodsOffsetRef = useRef(0);
+  const openEvent = useOpenEvent();
+  const client = useApi();
 
   // AI Chat state
   const [chatSessionId, setChatSessionId] = useState(null);
@@ -31,69 +33,24 @@ function FoodPatternsPage() {
   const [chatOpen, setChatOpen] = useState(false);
   const chatEndRef = useRef(null);
 
-  const fetchFoods = useCallback(async (append = false) => {
-    if (append) setLoadingMore(true);
-    try {
-      const offset = append ? foodsOffsetRef.current : 0;
-      const params = new URLSearchParams();
-      if (search) params.set('search', search);
-      if (sortBy) params.set('sortBy', sortBy);
-      params.set('desc', sortDesc);
-      params.set('limit', PAGE_SIZE);
-      params.set('offset', offset);
-      const res = await fetch(`${API_BASE}/food?${params}`);
-      const data = await res.json();
-      if (append) {
-        setFoods(prev => [...prev, ...data.items]);
-      } else {
-        setFoods(data.items);
-      }
-      setTotalCount(data.totalCount);
-      foodsOffsetRef.current = (append ? foodsOffsetRef.current : 0) + data.items.length;
-    } catch (err) {
-      console.error('Failed to fetch foods:', err);
-    } finally {
-      setLoadingMore(false);
-    }
-  }, [search, sortBy, sortDesc]);
-
-  const fetchStats = useCallback(async () => {
-    try {
-      const res = await fetch(`${API_BASE}/food/stats`);
-      const data = await res.json();
-      setStats(data);
-    } catch (err) {
-      console.error('Failed to fetch food stats:', err);
-    }
-  }, []);
-
-  useEffect(() => {
-    const load = async () => {
-      setLoading(true);
-      foodsOffsetRef.current = 0;
-      await Promise.all([fetchFoods(), fetchStats()]);
-      setLoading(false);
-    };
-    load();
-  }, [fetchFoods, fetchStats]);
-
-  const foodsHasMore = foods.length < totalCount;
-  const loadMoreFoods = useCallback(() => fetchFoods(true), [fetchFoods]);
+  // Cached per search/sort; FoodPatternsUpdated from SignalR invalidates /food
+  const {
+    items: foods, totalCount, loading, loadingMore, hasMore: foodsHasMore, loadMore: loadMoreFoods,
+  } = usePagedQuery('/food', {
+    query: { search, sortBy, desc: sortDesc },
+    pageSize: PAGE_SIZE,
+    errorContext: 'Failed to load foods',
+  });
+  const { data: stats } = useQuery('/food/stats', { errorContext: 'Failed to load food stats' });
   useInfiniteScroll(loadMoreFoods, { hasMore: foodsHasMore, loading: loadingMore });
 
-  useEffect(() => {
-    const handler = () => { fetchFoods(); fetchStats(); };
-    window.addEventListener('foodPatternsUpdated', handler);
-    return () => window.removeEventListener('foodPatternsUpdated', handler);
-  }, [fetchFoods, fetchStats]);
-
   const handleScan = async () => {
     setScanning(true);
     try {
-      await fetch(`${API_BASE}/food/scan`, { method: 'POST' });
-      setTimeout(() => { fetchFoods(); fetchStats(); }, 3000);
+      await client.post('/food/scan');
+      setTimeout(() => invalidateQueries('/food'), 3000);
     } catch (err) {
-      console.error('Failed to trigger scan:', err);
+      showError(err, 'Failed to start food scan');
     } finally {
       setTimeout(() => setScanning(false), 5000);
     }
@@ -113,11 +70,9 @@ function FoodPatternsPage() {
     setChatSessionId(null);
     setChatDetail(null);
     try {
-      const res = await fetch(`${API_BASE}/food/${id}`);
-      const data = await res.json();
-      setSelectedFood(data);
+      setSelectedFood(await client.get(`/food/${id}`));
     } catch (err) {
-      console.error('Failed to fetch food detail:', err);
+      showError(err, 'Failed to load food details');
     } finally {
       setDetailLoading(false);
     }
@@ -126,12 +81,11 @@ function FoodPatternsPage() {
   const handleDelete = async (id) => {
     if (!window.confirm('Delete this food item and all its links?')) return;
     try {
-      await fetch(`${API_BASE}/food/${id}`, { method: 'DELETE' });
+      await client.delete(`/food/${id}`);
       if (selectedFood?.id === id) closeModal();
-      fetchFoods();
-      fetchStats();
+      invalidateQueries('/food');
     } catch (err) {
-      console.error('Failed to delete food:', err);
+      showError(err, 'Failed to delete food');
     }
   };
 
@@ -153,11 +107,11 @@ function FoodPatternsPage() {
       : food.name;
     lines.push(`Food: ${nameDisplay}${food.category ? ` (${food.category})` : ''}`);
     lines.push(`Occurrences: ${food.occurrenceCount}`);
-    lines.push(`Average spike: ${food.avgSpike != null ? `+${Math.round(food.avgSpike)} mg/dL` : 'N/A'}`);
-    lines.push(`Worst spike: ${food.worstSpike != null ? `+${Math.round(food.worstSpike)} mg/dL` : 'N/A'}`);
-    lines.push(`Best spike: ${food.bestSpike != null ? `+${Math.round(food.bestSpike)} mg/dL` : 'N/A'}`);
-    lines.push(`Avg glucose at event: ${food.avgGlucoseAtEvent != null ? `${Math.round(food.avgGlucoseAtEvent)} mg/dL` : 'N/A'}`);
-    lines.push(`Avg peak glucose: ${food.avgGlucoseMax != null ? `${Math.round(food.avgGlucoseMax)} mg/dL` : 'N/A'}`);
+    lines.push(`Average spike: ${food.avgSpike != null ? glucoseUnit.format(food.avgSpike, { signed: true }) : 'N/A'}`);
+    lines.push(`Worst spike: ${food.worstSpike != null ? glucoseUnit.format(food.worstSpike, { signed: true }) : 'N/A'}`);
+    lines.push(`Best spike: ${food.bestSpike != null ? glucoseUnit.format(food.bestSpike, { signed: true }) : 'N/A'}`);
+    lines.push(`Avg glucose at event: ${food.avgGlucoseAtEvent != null ? glucoseUnit.format(food.avgGlucoseAtEvent) : 'N/A'}`);
+    lines.push(`Avg peak glucose: ${food.avgGlucoseMax != null ? glucoseUnit.format(food.avgGlucoseMax) : 'N/A'}`);
     lines.push(`Classifications: ${food.greenCount} good, ${food.yellowCount} concerning, ${food.redCount} problematic`);
     lines.push(`Period: ${format(new Date(food.firstSeen), 'MMM d, yyyy')} – ${format(new Date(food.lastSeen), 'MMM d, yyyy')}`);
     lines.push('');
@@ -173,11 +127,11 @@ function FoodPatternsPage() {
         if (evt.noteContentEn && evt.noteContentEn !== evt.noteContent)
           lines.push(`Notes (EN): ${evt.noteContentEn}`);
       }
-      lines.push(`Spike: ${evt.spike != null ? `+${Math.round(evt.spike)} mg/dL` : 'N/A'}`);
-      lines.push(`Glucose at event: ${evt.glucoseAtEvent != null ? `${Math.round(evt.glucoseAtEvent)} mg/dL` : 'N/A'}`);
-      if (evt.glucoseMax != null) lines.push(`Peak glucose: ${Math.round(evt.glucoseMax)} mg/dL`);
-      if (evt.glucoseMin != null) lines.push(`Lowest glucose: ${Math.round(evt.glucoseMin)} mg/dL`);
-      if (evt.glucoseAvg != null) lines.push(`Average glucose: ${Math.round(evt.glucoseAvg)} mg/dL`);
+      lines.push(`Spike: ${evt.spike != null ? glucoseUnit.format(evt.spike, { signed: true }) : 'N/A'}`);
+      lines.push(`Glucose at event: ${evt.glucoseAtEvent != null ? glucoseUnit.format(evt.glucoseAtEvent) : 'N/A'}`);
+      if (evt.glucoseMax != null) lines.push(`Peak glucose: ${glucoseUnit.format(evt.glucoseMax)}`);
+      if (evt.glucoseMin != null) lines.push(`Lowest glucose: ${glucoseUnit.format(evt.glucoseMin)}`);
+      if (evt.glucoseAvg != null) lines.push(`Average glucose: ${glucoseUnit.format(evt.glucoseAvg)}`);
       if (evt.recoveryMinutes != null) lines.push(`Recovery time: ${Math.round(evt.recoveryMinutes)} min`);
       lines.push(`Classification: ${evt.aiClassification || 'N/A'}`);
       if (evt.aiAnalysis) lines.push(`AI Analysis: ${evt.aiAnalysis}`);
@@ -204,56 +158,39 @@ function FoodPatternsPage() {
       }));
 
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          title: `Food Analysis: ${selectedFood.name}`,
-          initialMessage: message,
-          model: chatModel || null,
-          periods: periods?.length > 0 ? periods : null,
-        }),
+      const data = await client.post('/chat/sessions', {
+        title: `Food Analysis: ${selectedFood.name}`,
+        initialMessage: message,
+        model: chatModel || null,
+        periods: periods?.length > 0 ? periods : null,
       });
-      if (res.ok) {
-        const data = await res.json();
-        setChatSessionId(data.sessionId);
-        fetchChatDetail(data.sessionId);
-      }
+      setChatSessionId(data.sessionId);
+      fetchChatDetail(data.sessionId);
     } catch (err) {
-      console.error('Failed to start food chat:', err);
+      showError(err, 'Failed to start food chat');
     } finally {
       setChatSending(false);
     }
   };
 
-  const fetchChatDetail = async (id) => {
+  const fetchChatDetail = useCallback(async (id) => {
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions/${id}`);
-      if (res.ok) {
-        const data = await res.json();
-        setChatDetail(data);
-      }
+      setChatDetail(await client.get(`/chat/sessions/${id}`));
     } catch (err) {
-      console.error('Failed to fetch chat detail:', err);
+      showError(err, 'Failed to load chat');
     }
-  };
+  }, [client]);
 
   const handleSendChatMsg = async (e) => {
     e.preventDefault();
     if (!chatMsg.trim() || !chatSessionId) return;
     setChatSending(true);
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions/${chatSessionId}/messages`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content: chatMsg, modelOverride: chatModel || null }),
-      });
-      if (res.ok) {
-        setChatMsg('');
-        fetchChatDetail(chatSessionId);
-      }
+      await client.post(`/chat/sessions/${chatSessionId}/messages`, { content: chatMsg, modelOverride: chatModel || null });
+      setChatMsg('');
+      fetchChatDetail(chatSessionId);
     } catch (err) {
-      console.error('Failed to send chat message:', err);
+      showError(err, 'Failed to send chat message');
     } finally {
       setChatSending(false);
     }
@@ -266,7 +203,7 @@ function FoodPatternsPage() {
     };
     window.addEventListener('chatMessageCompleted', handler);
     return () => window.removeEventListener('chatMessageCompleted', handler);
-  }, [chatSessionId]);
+  }, [chatSessionId, fetchChatDetail]);
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -279,7 +216,7 @@ function FoodPatternsPage() {
       const interval = setInterval(() => fetchChatDetail(chatSessionId), 2000);
       return () => clearInterval(interval);
     }
-  }, [chatSessionId, chatDetail]);
+  }, [chatSessionId, chatDetail, fetchChatDetail]);
 
   // Close modal on Escape
   useEffect(() => {
@@ -336,13 +273,13 @@ function FoodPatternsPage() {
           {stats.mostProblematicFood && (
             <div className="food-stat-card food-stat-danger">
               <div className="food-stat-value">{stats.mostProblematicFood}</div>
-              <div className="food-stat-label">Highest avg spike ({stats.highestAvgSpike != null ? `+${Math.round(stats.highestAvgSpike)}` : '—'} mg/dL)</div>
+              <div className="food-stat-label">Highest avg spike ({glucoseUnit.format(stats.highestAvgSpike, { signed: true, withUnit: false, fallback: '—' })} {glucoseUnit.unit})</div>
             </div>
           )}
           {stats.safestFood && (
             <div className="food-stat-card food-stat-safe">
               <div className="food-stat-value">{stats.safestFood}</div>
-              <div className="food-stat-label">Lowest avg spike ({stats.lowestAvgSpike != null ? `+${Math.round(stats.lowestAvgSpike)}` : '—'} mg/dL)</div>
+              <div className="food-stat-label">Lowest avg spike ({glucoseUnit.format(stats.lowestAvgSpike, { signed: true, withUnit: false, fallback: '—' })} {glucoseUnit.unit})</div>
             </div>
           )}
         </div>
@@ -405,13 +342,13 @@ function FoodPatternsPage() {
                   </td>
                   <td className="food-count-cell">{f.occurrenceCount}</td>
                   <td className={`food-spike-cell ${spikeColor(f.avgSpike)}`}>
-                    {f.avgSpike != null ? `+${Math.round(f.avgSpike)}` : '—'}
+                    {glucoseUnit.format(f.avgSpike, { signed: true, withUnit: false, fallback: '—' })}
                   </td>
                   <td className={`food-spike-cell ${spikeColor(f.worstSpike)}`}>
-                    {f.worstSpike != null ? `+${Math.round(f.worstSpike)}` : '—'}
+                    {glucoseUnit.format(f.worstSpike, { signed: true, withUnit: false, fallback: '—' })}
                   </td>
                   <td className={`food-spike-cell ${spikeColor(f.bestSpike)}`}>
-                    {f.bestSpike != null ? `+${Math.round(f.bestSpike)}` : '—'}
+                    {glucoseUnit.format(f.bestSpike, { signed: true, withUnit: false, fallback: '—' })}
                   </td>
                   <td>{classBar(f.greenCount, f.yellowCount, f.redCount)}</td>
                   <td className="food-date-cell">
@@ -475,27 +412,27 @@ function FoodPatternsPage() {
                 <div className="food-detail-stat">
                   <span className="food-detail-stat-label">Avg Spike</span>
                   <span className={`food-detail-stat-value ${spikeColor(selectedFood.avgSpike)}`}>
-                    {selectedFood.avgSpike != null ? `+${Math.round(selectedFood.avgSpike)} mg/dL` : '—'}
+                    {selectedFood.avgSpike != null ? glucoseUnit.format(selectedFood.avgSpike, { signed: true }) : '—'}
                   </span>
                 </div>
                 <div className="food-detail-stat">
                   <span className="food-detail-stat-label">Worst / Best</span>
                   <span className="food-detail-stat-value">
-                    {selectedFood.worstSpike != null ? `+${Math.round(selectedFood.worstSpike)}` : '—'}
+                    {glucoseUnit.format(selectedFood.worstSpike, { signed: true, withUnit: false, fallback: '—' })}
                     {' / '}
-                    {selectedFood.bestSpike != null ? `+${Math.round(selectedFood.bestSpike)}` : '—'}
+                    {glucoseUnit.format(selectedFood.bestSpike, { signed: true, withUnit: false, fallback: '—' })}
                   </span>
                 </div>
                 <div className="food-detail-stat">
                   <span className="food-detail-stat-label">Avg Glucose at Event</span>
                   <span className="food-detail-stat-value">
-                    {selectedFood.avgGlucoseAtEvent != null ? `${Math.round(selectedFood.avgGlucoseAtEvent)} mg/dL` : '—'}
+                    {selectedFood.avgGlucoseAtEvent != null ? glucoseUnit.format(selectedFood.avgGlucoseAtEvent) : '—'}
                   </span>
                 </div>
                 <div className="food-detail-stat">
                   <span className="food-detail-stat-label">Avg Peak</span>
                   <span className="food-detail-stat-value">
-                    {selectedFood.avgGlucoseMax != null ? `${Math.round(selectedFood.avgGlucoseMax)} mg/dL` : '—'}
+                    {selectedFood.avgGlucoseMax != null ? glucoseUnit.format(selectedFood.avgGlucoseMax) : '—'}
                   </span>
                 </div>
                 <div className="food-detail-stat">
@@ -518,7 +455,7 @@ function FoodPatternsPage() {
               <div className="food-detail-events">
                 {selectedFood.events?.map((evt, i) => (
                   <div key={evt.eventId} className="food-event-card">
-                    <div className="food-event-card-header" onClick={() => setSelectedEventId(evt.eventId)}>
+                    <div className="food-event-card-header" onClick={() => openEvent(evt.eventId)}>
                       <span className={`food-event-class food-event-class-${evt.aiClassification || 'none'}`} />
                       <div className="food-event-info">
                         <span className="food-event-title">
@@ -533,10 +470,10 @@ function FoodPatternsPage() {
                       </div>
                       <div className="food-event-metrics">
                         <span className={`food-event-spike ${spikeColor(evt.spike)}`}>
-                          {evt.spike != null ? `+${Math.round(evt.spike)}` : '—'} mg/dL
+                          {glucoseUnit.format(evt.spike, { signed: true, withUnit: false, fallback: '—' })} {glucoseUnit.unit}
                         </span>
                         <span className="food-event-baseline">
-                          @ {evt.glucoseAtEvent != null ? Math.round(evt.glucoseAtEvent) : '?'}
+                          @ {glucoseUnit.format(evt.glucoseAtEvent, { withUnit: false, fallback: '?' })}
                         </span>
                       </div>
                       <span className="food-event-arrow">›</span>
@@ -557,19 +494,19 @@ function FoodPatternsPage() {
                         {evt.glucoseMin != null && (
                           <span className="food-event-glucose-item">
                             <span className="food-event-glucose-label">Min</span>
-                            <span className="food-event-glucose-val">{Math.round(evt.glucoseMin)}</span>
+                            <span className="food-event-glucose-val">{glucoseUnit.format(evt.glucoseMin, { withUnit: false })}</span>
                           </span>
                         )}
                         {evt.glucoseAvg != null && (
                           <span className="food-event-glucose-item">
                             <span className="food-event-glucose-label">Avg</span>
-                            <span className="food-event-glucose-val">{Math.round(evt.glucoseAvg)}</span>
+                            <span className="food-event-glucose-val">{glucoseUnit.format(evt.glucoseAvg, { withUnit: false })}</span>
                           </span>
                         )}
                         {evt.glucoseMax != null && (
                           <span className="food-event-glucose-item">
                             <span className="food-event-glucose-label">Max</span>
-                            <span className="food-event-glucose-val">{Math.round(evt.glucoseMax)}</span>
+                            <span className="food-event-glucose-val">{glucoseUnit.format(evt.glucoseMax, { withUnit: false })}</span>
                           </span>
                         )}
                         {evt.recoveryMinutes != null && (
@@ -665,20 +602,8 @@ function FoodPatternsPage() {
           </div>
         </div>
       )}
-
-      {selectedEventId && (
-        <EventDetailModalWrapper
-          eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-        />
-      )}
     </div>
   );
 }
 
-function EventDetailModalWrapper({ eventId, onClose }) {
-  const EventDetailModal = require('./EventDetailModal').default;
-  return <EventDetailModal eventId={eventId} onClose={onClose} />;
-}
-
 export default FoodPatternsPage;
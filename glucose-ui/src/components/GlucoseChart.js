@@ -3,6 +3,7 @@ import {
   ResponsiveContainer,
   ComposedChart,
   Line,
+  Area,
   Scatter,
   XAxis,
   YAxis,
@@ -14,42 +15,101 @@ import {
   Cell,
 } from 'recharts';
 import { format, parseISO } from 'date-fns';
-
-function GlucoseChart({ data, events = [], onEventClick }) {
+import { useGlucoseUnit, useTargetRanges, useDataFreshness } from '../context/DisplaySettingsContext';
+import { findGaps, withGapBreaks, formatDuration, parseUtc } from '../config/dataFreshness';
+import { downsample, lowerBound, nearestPoint } from '../config/chartSeries';
+import { eventStyle, describeDetails } from '../config/eventTypes';
+import EventLanes from './EventLanes';
+
+/** More points than this (90 days is ~26k) are downsampled before drawing. */
+const MAX_CHART_POINTS = 1200;
+const FORECAST_COLOR = '#a78bfa';
+
+/**
+ * Readings over time with zoom, event markers and the bookmark sidebar.
+ * `forecast` (/api/glucose/forecast) is drawn as a dashed estimate with its
+ * confidence cone after the last reading, when the chart ends at that reading.
+ * A click without dragging calls `onTimeClick` with the time under the cursor.
+ * Markers are colored by event type; insulin, carbs, exercise, sleep and
+ * illness also get their own lanes under the plot (EventLanes).
+ */
+function GlucoseChart({ data, events = [], forecast = null, onEventClick, onTimeClick }) {
   const [refAreaLeft, setRefAreaLeft] = useState(null);
   const [refAreaRight, setRefAreaRight] = useState(null);
   const [zoomLeft, setZoomLeft] = useState(null);
   const [zoomRight, setZoomRight] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [activeEventId, setActiveEventId] = useState(null);
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+  const { gapMs } = useDataFreshness();
 
   // Sort data by timestamp ascending for the chart — use numeric time as X axis
   const chartData = useMemo(() =>
-    [...data]
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    data
       .map(d => ({
         ...d,
         time: new Date(d.timestamp).getTime(),
-      })),
+      }))
+      .sort((a, b) => a.time - b.time),
     [data]
   );
 
   // Apply zoom filter
   const displayData = useMemo(() => {
     if (zoomLeft === null || zoomRight === null) return chartData;
-    return chartData.filter(d => d.time >= zoomLeft && d.time <= zoomRight);
+    return chartData.slice(lowerBound(chartData, zoomLeft), lowerBound(chartData, zoomRight + 1));
   }, [chartData, zoomLeft, zoomRight]);
 
   const isZoomed = zoomLeft !== null && zoomRight !== null;
 
-  // Dynamic Y-axis domain based on visible data
+  // Points actually drawn: long ranges are thinned out, zooming in brings
+  // back full resolution once the zoomed window fits
+  const plotData = useMemo(() => downsample(displayData, MAX_CHART_POINTS), [displayData]);
+  const isDownsampled = plotData.length < displayData.length;
+
+  // Projection continuing from the last reading; hidden when the view (or the
+  // data, e.g. an absolute window in the past) doesn't end at the forecast's base
+  const forecastPoints = useMemo(() => {
+    if (!forecast?.points?.length || !displayData.length) return [];
+    const last = displayData[displayData.length - 1];
+    if (last !== chartData[chartData.length - 1]) return [];
+    if (Math.abs(parseUtc(forecast.baseTime) - last.time) > 60000) return [];
+    return forecast.points.map(p => ({
+      time: parseUtc(p.timestamp),
+      forecast: p.value,
+      forecastRange: [p.lower, p.upper],
+      minutesAhead: p.minutesAhead,
+    }));
+  }, [forecast, displayData, chartData]);
+
+  // Dynamic Y-axis domain based on visible data (all points, not just the drawn ones)
   const yDomain = useMemo(() => {
     if (displayData.length === 0) return [40, 300];
-    const values = displayData.map(d => d.value);
-    const min = Math.min(...values);
-    const max = Math.max(...values);
+    let min = Infinity;
+    let max = -Infinity;
+    for (const d of displayData) {
+      if (d.value < min) min = d.value;
+      if (d.value > max) max = d.value;
+    }
+    for (const p of forecastPoints) {
+      min = Math.min(min, p.forecastRange[0]);
+      max = Math.max(max, p.forecastRange[1]);
+    }
     return [Math.max(30, Math.floor(min / 10) * 10 - 10), Math.min(400, Math.ceil(max / 10) * 10 + 10)];
-  }, [displayData]);
+  }, [displayData, forecastPoints]);
+
+  // Target band per stretch of the visible window (night thresholds may differ)
+  const rangeSegments = useMemo(() => {
+    if (displayData.length < 2) return [];
+    const end = forecastPoints.length
+      ? forecastPoints[forecastPoints.length - 1].time
+      : displayData[displayData.length - 1].time;
+    return targetRanges.segments(displayData[0].time, end);
+  }, [displayData, forecastPoints, targetRanges]);
+
+  // Stretches with no readings (e.g. sensor signal loss or a stalled LibreLink sync)
+  const gaps = useMemo(() => findGaps(displayData, gapMs), [displayData, gapMs]);
 
   // Time range for formatting
   const rangeHours = useMemo(() => {
@@ -77,16 +137,8 @@ function GlucoseChart({ data, events = [], onEventClick }) {
         const evtTime = new Date(evt.eventTimestamp).getTime();
         if (evtTime < minTime || evtTime > maxTime) return null;
 
-        // Find the closest data point to get glucose value at event
-        let closest = chartData[0];
-        let closestDist = Math.abs(closest.time - evtTime);
-        for (const dp of chartData) {
-          const dist = Math.abs(dp.time - evtTime);
-          if (dist < closestDist) {
-            closest = dp;
-            closestDist = dist;
-          }
-        }
+        // Closest reading gives the glucose value at the event
+        const closest = nearestPoint(chartData, evtTime);
 
         return {
           ...evt,
@@ -115,6 +167,7 @@ function GlucoseChart({ data, events = [], onEventClick }) {
       eventTitle: evt.noteTitle,
       eventLabel: evt.displayLabel,
       hasAnalysis: evt.hasAnalysis,
+      eventColor: eventStyle(evt).color,
     }));
   }, [visibleEvents]);
 
@@ -132,11 +185,13 @@ function GlucoseChart({ data, events = [], onEventClick }) {
     }
   }, [isDragging]);
 
-  const handleMouseUp = useCallback(() => {
+  const finishDrag = useCallback((isClickAllowed) => {
     if (!isDragging) return;
     setIsDragging(false);
 
-    if (refAreaLeft === null || refAreaRight === null) {
+    if (refAreaLeft === null || refAreaRight === null || refAreaLeft === refAreaRight) {
+      // Pressed and released on the same point: a click, not a zoom
+      if (isClickAllowed && refAreaLeft !== null) onTimeClick?.(new Date(refAreaLeft));
       setRefAreaLeft(null);
       setRefAreaRight(null);
       return;
@@ -146,8 +201,8 @@ function GlucoseChart({ data, events = [], onEventClick }) {
     const right = Math.max(refAreaLeft, refAreaRight);
 
     // Minimum selection of 2 points
-    const pointsInRange = chartData.filter(d => d.time >= left && d.time <= right);
-    if (pointsInRange.length < 2) {
+    const pointsInRange = lowerBound(chartData, right + 1) - lowerBound(chartData, left);
+    if (pointsInRange < 2) {
       setRefAreaLeft(null);
       setRefAreaRight(null);
       return;
@@ -157,7 +212,10 @@ function GlucoseChart({ data, events = [], onEventClick }) {
     setZoomRight(right);
     setRefAreaLeft(null);
     setRefAreaRight(null);
-  }, [isDragging, refAreaLeft, refAreaRight, chartData]);
+  }, [isDragging, refAreaLeft, refAreaRight, chartData, onTimeClick]);
+
+  const handleMouseUp = useCallback(() => finishDrag(true), [finishDrag]);
+  const handleMouseLeave = useCallback(() => finishDrag(false), [finishDrag]);
 
   const handleResetZoom = useCallback(() => {
     setZoomLeft(null);
@@ -200,6 +258,8 @@ function GlucoseChart({ data, events = [], onEventClick }) {
     return (
       <g
         key={`event-dot-${payload.eventId}`}
+        // Keep the press from starting a zoom drag (or a click-to-log) on the chart
+        onMouseDown={(e) => e.stopPropagation()}
         onClick={(e) => {
           e.stopPropagation();
           onEventClick?.(payload.eventId);
@@ -207,15 +267,15 @@ function GlucoseChart({ data, events = [], onEventClick }) {
         style={{ cursor: 'pointer' }}
       >
         {/* Outer glow */}
-        <circle cx={cx} cy={cy} r={10} fill="#ff6b6b" fillOpacity={0.2} />
+        <circle cx={cx} cy={cy} r={10} fill={payload.eventColor} fillOpacity={0.2} />
         {/* Main dot */}
-        <circle cx={cx} cy={cy} r={6} fill="#ff6b6b" stroke="#fff" strokeWidth={2} />
+        <circle cx={cx} cy={cy} r={6} fill={payload.eventColor} stroke="#fff" strokeWidth={2} />
         {/* Bookmark icon above */}
         <g transform={`translate(${cx}, ${cy - 22})`}>
           <path
             d="M-7,-12 L7,-12 L7,2 L0,7 L-7,2 Z"
-            fill="#ff6b6b"
-            stroke="#ff3333"
+            fill={payload.eventColor}
+            stroke={payload.eventColor}
             strokeWidth={0.8}
           />
           <text
@@ -240,6 +300,33 @@ function GlucoseChart({ data, events = [], onEventClick }) {
     const d = payload[0]?.payload;
     if (!d) return null;
 
+    if (d.value == null && d.forecast != null) {
+      return (
+        <div style={{
+          background: '#1a1a2e',
+          border: `1px dashed ${FORECAST_COLOR}`,
+          borderRadius: 8,
+          padding: '10px 14px',
+          fontSize: '0.85rem',
+          maxWidth: 220,
+        }}>
+          <div style={{ color: '#888', marginBottom: 4 }}>
+            {format(new Date(d.time), 'HH:mm')} · in {d.minutesAhead} min
+          </div>
+          <div style={{ fontWeight: 700, fontSize: '1.1rem', color: FORECAST_COLOR }}>
+            ~{glucoseUnit.format(d.forecast)}
+          </div>
+          <div style={{ color: '#94a3b8', fontSize: '0.75rem', marginTop: 2 }}>
+            Likely {glucoseUnit.format(d.forecastRange[0], { withUnit: false })}–{glucoseUnit.format(d.forecastRange[1])}
+          </div>
+          <div style={{ color: '#888', fontSize: '0.72rem', marginTop: 4 }}>
+            Estimate from recent trend — not a measurement
+          </div>
+        </div>
+      );
+    }
+    if (d.value == null) return null;
+
     // Check if there's a nearby event
     const nearbyEvent = visibleEvents.find(evt =>
       Math.abs(evt.evtTime - d.time) < 5 * 60 * 1000 // within 5 minutes
@@ -257,18 +344,21 @@ function GlucoseChart({ data, events = [], onEventClick }) {
         <div style={{ color: '#888', marginBottom: 4 }}>
           {format(new Date(d.time), rangeHours > 48 ? 'MMM dd HH:mm' : 'HH:mm')}
         </div>
-        <div style={{ fontWeight: 700, fontSize: '1.1rem', color: getColor(d.value) }}>
-          {d.value} mg/dL
+        <div style={{ fontWeight: 700, fontSize: '1.1rem', color: targetRanges.color(d.value, d.time) }}>
+          {glucoseUnit.format(d.value)}
         </div>
         {nearbyEvent && (
           <div style={{
             marginTop: 6,
             paddingTop: 6,
             borderTop: '1px solid #333',
-            color: '#ff6b6b',
+            color: eventStyle(nearbyEvent).color,
             fontSize: '0.78rem',
           }}>
-            🔖 {nearbyEvent.noteTitle || 'Event'} @ {nearbyEvent.displayLabel}
+            {eventStyle(nearbyEvent).icon} {nearbyEvent.noteTitle || 'Event'} @ {nearbyEvent.displayLabel}
+            {describeDetails(nearbyEvent) && (
+              <div style={{ color: '#cbd5e1', fontSize: '0.72rem', marginTop: 2 }}>{describeDetails(nearbyEvent)}</div>
+            )}
             <div style={{ color: '#888', fontSize: '0.72rem', marginTop: 2 }}>
               Click marker for analysis
             </div>
@@ -280,31 +370,32 @@ function GlucoseChart({ data, events = [], onEventClick }) {
 
   // Merge display data with event scatter for ComposedChart
   const mergedData = useMemo(() => {
-    // Add eventMarker field to the closest data point for each event
+    // Add eventMarker field to the closest drawn point for each event
     const eventMap = new Map();
     for (const es of eventScatterData) {
-      // Find the closest displayData point
-      let closest = null;
-      let closestDist = Infinity;
-      for (const dp of displayData) {
-        const dist = Math.abs(dp.time - es.time);
-        if (dist < closestDist) {
-          closest = dp;
-          closestDist = dist;
-        }
-      }
+      const closest = nearestPoint(plotData, es.time);
       if (closest) {
         eventMap.set(closest.time, es);
       }
     }
 
-    return displayData.map(dp => {
+    const merged = plotData.map(dp => {
       const evt = eventMap.get(dp.time);
       return evt
-        ? { ...dp, eventMarker: evt.eventMarker, eventId: evt.eventId, eventTitle: evt.eventTitle, eventLabel: evt.eventLabel, hasAnalysis: evt.hasAnalysis }
+        ? { ...dp, eventMarker: evt.eventMarker, eventId: evt.eventId, eventTitle: evt.eventTitle, eventLabel: evt.eventLabel, hasAnalysis: evt.hasAnalysis, eventColor: evt.eventColor }
         : dp;
     });
-  }, [displayData, eventScatterData]);
+    const withBreaks = withGapBreaks(merged, gaps);
+    if (!forecastPoints.length) return withBreaks;
+
+    // Anchor the projection on the last reading so the dashed line continues from it
+    const last = withBreaks[withBreaks.length - 1];
+    return [
+      ...withBreaks.slice(0, -1),
+      { ...last, forecast: last.value, forecastRange: [last.value, last.value] },
+      ...forecastPoints,
+    ];
+  }, [plotData, eventScatterData, gaps, forecastPoints]);
 
   // Sort ALL chart events newest first for the sidebar
   const sortedEvents = useMemo(() =>
@@ -325,7 +416,13 @@ function GlucoseChart({ data, events = [], onEventClick }) {
         <div className="chart-toolbar">
           <span className="chart-hint">
             {isZoomed ? 'Zoomed — ' : 'Click & drag on chart to zoom'}
+            {onTimeClick && ' · click a time to log an event'}
           </span>
+          {isDownsampled && (
+            <span className="chart-hint" title="Long ranges are simplified for drawing; peaks and troughs are kept">
+              {plotData.length.toLocaleString()} of {displayData.length.toLocaleString()} points drawn — zoom in for full detail
+            </span>
+          )}
           {isZoomed && (
             <button className="btn-reset-zoom" onClick={handleResetZoom}>
               ↩ Reset Zoom
@@ -339,7 +436,7 @@ function GlucoseChart({ data, events = [], onEventClick }) {
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
-          onMouseLeave={handleMouseUp}
+          onMouseLeave={handleMouseLeave}
         >
           <CartesianGrid strokeDasharray="3 3" stroke="#1f1f35" />
           <XAxis
@@ -356,34 +453,65 @@ function GlucoseChart({ data, events = [], onEventClick }) {
             stroke="#555"
             tick={{ fontSize: 12 }}
             domain={yDomain}
+            ticks={glucoseUnit.axisTicks(yDomain)}
+            tickFormatter={glucoseUnit.toDisplay}
           />
           <Tooltip content={<CustomTooltip />} />
 
-          {/* Target range band (70–180 mg/dL) */}
-          <ReferenceArea y1={70} y2={180} fill="#4ade80" fillOpacity={0.05} />
-          <ReferenceLine y={70} stroke="#4ade80" strokeDasharray="4 4" strokeOpacity={0.4} />
-          <ReferenceLine y={180} stroke="#fbbf24" strokeDasharray="4 4" strokeOpacity={0.4} />
+          {/* Target range band (from the user's target-range profile) */}
+          {rangeSegments.map(({ x1, x2, thresholds }) => (
+            <ReferenceArea key={`range-${x1}`} x1={x1} x2={x2} y1={thresholds.low} y2={thresholds.high} fill="#4ade80" fillOpacity={0.05} />
+          ))}
+          {rangeSegments.map(({ x1, x2, thresholds }) => (
+            <ReferenceLine key={`low-${x1}`} segment={[{ x: x1, y: thresholds.low }, { x: x2, y: thresholds.low }]} stroke="#4ade80" strokeDasharray="4 4" strokeOpacity={0.4} />
+          ))}
+          {rangeSegments.map(({ x1, x2, thresholds }) => (
+            <ReferenceLine key={`high-${x1}`} segment={[{ x: x1, y: thresholds.high }, { x: x2, y: thresholds.high }]} stroke="#fbbf24" strokeDasharray="4 4" strokeOpacity={0.4} />
+          ))}
 
-          {/* Event vertical markers — ReferenceLine for each event */}
-          {visibleEvents.map(evt => (
-            <ReferenceLine
-              key={`evt-line-${evt.id}`}
-              x={evt.evtTime}
-              stroke="#ff6b6b"
-              strokeDasharray="6 3"
-              strokeWidth={1.5}
-              strokeOpacity={0.6}
+          {/* Missing data — the line breaks here instead of bridging the gap */}
+          {gaps.map(gap => (
+            <ReferenceArea
+              key={`gap-${gap.start}`}
+              x1={gap.start}
+              x2={gap.end}
+              fill="#94a3b8"
+              fillOpacity={0.08}
+              stroke="#94a3b8"
+              strokeOpacity={0.25}
+              strokeDasharray="3 3"
               label={{
-                value: `🔖 ${evt.noteTitle || ''}`,
-                position: 'insideTopRight',
-                fill: '#ff6b6b',
+                value: `No data · ${formatDuration(gap.minutes)}`,
+                position: 'insideTop',
+                fill: '#94a3b8',
                 fontSize: 10,
-                fontWeight: 600,
-                offset: 5,
               }}
             />
           ))}
 
+          {/* Event vertical markers — ReferenceLine for each event */}
+          {visibleEvents.map(evt => {
+            const { icon, color } = eventStyle(evt);
+            return (
+              <ReferenceLine
+                key={`evt-line-${evt.id}`}
+                x={evt.evtTime}
+                stroke={color}
+                strokeDasharray="6 3"
+                strokeWidth={1.5}
+                strokeOpacity={0.6}
+                label={{
+                  value: `${icon} ${evt.noteTitle || ''}`,
+                  position: 'insideTopRight',
+                  fill: color,
+                  fontSize: 10,
+                  fontWeight: 600,
+                  offset: 5,
+                }}
+              />
+            );
+          })}
+
           {/* Glucose line */}
           <Line
             type="monotone"
@@ -395,6 +523,37 @@ function GlucoseChart({ data, events = [], onEventClick }) {
             isAnimationActive={false}
           />
 
+          {/* Forecast: confidence cone and dashed estimate after the last reading */}
+          {forecastPoints.length > 0 && (
+            <Area
+              dataKey="forecastRange"
+              stroke="none"
+              fill={FORECAST_COLOR}
+              fillOpacity={0.15}
+              activeDot={false}
+              isAnimationActive={false}
+            />
+          )}
+          {forecastPoints.length > 0 && (
+            <Line
+              dataKey="forecast"
+              stroke={FORECAST_COLOR}
+              strokeWidth={2}
+              strokeDasharray="6 4"
+              dot={false}
+              activeDot={{ r: 4, fill: FORECAST_COLOR }}
+              isAnimationActive={false}
+            />
+          )}
+          {forecastPoints.length > 0 && (
+            <ReferenceLine
+              x={displayData[displayData.length - 1].time}
+              stroke={FORECAST_COLOR}
+              strokeOpacity={0.4}
+              label={{ value: 'Estimate →', position: 'insideTopLeft', fill: FORECAST_COLOR, fontSize: 10 }}
+            />
+          )}
+
           {/* Event marker dots on the glucose line */}
           <Scatter
             dataKey="eventMarker"
@@ -427,6 +586,14 @@ function GlucoseChart({ data, events = [], onEventClick }) {
           )}
         </ComposedChart>
         </ResponsiveContainer>
+        {mergedData.length > 1 && (
+          <EventLanes
+            events={visibleEvents}
+            start={mergedData[0].time}
+            end={mergedData[mergedData.length - 1].time}
+            onEventClick={onEventClick}
+          />
+        )}
       </div>
 
       {/* Event bookmarks sidebar — right side, scrollable, newest first */}
@@ -445,10 +612,14 @@ function GlucoseChart({ data, events = [], onEventClick }) {
                   <span className={`sidebar-bookmark-dot classification-dot-${evt.aiClassification}`} />
                 )}
                 <span className="sidebar-bookmark-time">{evt.displayLabel}</span>
+                {evt.eventType && <span className="sidebar-bookmark-type">{eventStyle(evt).icon}</span>}
                 <span className="sidebar-bookmark-title">{evt.noteTitle || 'Event'}</span>
                 {evt.hasAnalysis && <span className="sidebar-bookmark-ai">🤖</span>}
                 {evt.glucoseAtEvent != null && (
-                  <span className="sidebar-bookmark-glucose">{Math.round(evt.glucoseAtEvent)}</span>
+                  <span className="sidebar-bookmark-glucose">
+                    {glucoseUnit.format(evt.glucoseAtEvent, { withUnit: false })}
+                    <span className="sidebar-bookmark-unit"> {glucoseUnit.unit}</span>
+                  </span>
                 )}
               </button>
             ))}
@@ -459,11 +630,4 @@ function GlucoseChart({ data, events = [], onEventClick }) {
   );
 }
 
-function getColor(value) {
-  if (value < 70) return '#f87171';
-  if (value <= 180) return '#4ade80';
-  if (value <= 250) return '#fbbf24';
-  return '#f87171';
-}
-
 export default GlucoseChart;
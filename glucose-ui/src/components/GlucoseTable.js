@@ -1,8 +1,11 @@
-import React, { useState, useCallback } from 'react';
+import React, { useMemo } from 'react';
 import { format, parseISO } from 'date-fns';
-import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useVirtualRows from '../hooks/useVirtualRows';
+import { useGlucoseUnit, useTargetRanges, useDataFreshness } from '../context/DisplaySettingsContext';
+import { formatDuration } from '../config/dataFreshness';
 
-const PAGE_SIZE = 50;
+// Must match `.readings-table-scroll tr` in App.css
+const ROW_HEIGHT = 42;
 
 function getTrendArrow(trend) {
   switch (trend) {
@@ -15,67 +18,76 @@ function getTrendArrow(trend) {
   }
 }
 
-function getValueColor(value) {
-  if (value < 70) return '#f87171';
-  if (value <= 180) return '#4ade80';
-  if (value <= 250) return '#fbbf24';
-  return '#f87171';
-}
-
 function GlucoseTable({ data }) {
-  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const { format: formatGlucose } = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
+  const { gapMs } = useDataFreshness();
 
-  const hasMore = visibleCount < data.length;
-  const loadMore = useCallback(() => {
-    setVisibleCount(prev => Math.min(prev + PAGE_SIZE, data.length));
-  }, [data.length]);
+  // Flat row list so gap markers take part in windowing like readings do.
+  // Rows are newest first; a gap row sits between a reading and the one above.
+  const rows = useMemo(() => {
+    const result = [];
+    data.forEach((reading, i) => {
+      const gapMinutes = i > 0
+        ? Math.abs(parseISO(data[i - 1].timestamp) - parseISO(reading.timestamp)) / 60000
+        : 0;
+      if (gapMinutes * 60000 > gapMs) result.push({ key: `gap-${reading.id}`, gapMinutes });
+      result.push({ key: reading.id, reading });
+    });
+    return result;
+  }, [data, gapMs]);
 
-  useInfiniteScroll(loadMore, { hasMore, loading: false });
-
-  const visibleData = data.slice(0, visibleCount);
+  const { containerRef, onScroll, start, end, padTop, padBottom } = useVirtualRows(rows.length, { rowHeight: ROW_HEIGHT });
 
   return (
     <>
-      <table className="readings-table">
-        <thead>
-          <tr>
-            <th>Time</th>
-            <th>Value</th>
-            <th>Trend</th>
-            <th>Status</th>
-          </tr>
-        </thead>
-        <tbody>
-          {visibleData.map((reading) => {
-            const trend = getTrendArrow(reading.trendArrow);
-            return (
-              <tr key={reading.id}>
-                <td>{format(parseISO(reading.timestamp), 'MMM dd, HH:mm')}</td>
-                <td style={{ color: getValueColor(reading.value), fontWeight: 600 }}>
-                  {reading.value} mg/dL
-                </td>
-                <td>
-                  <span className="trend-arrow" style={{ color: trend.color }} title={trend.label}>
-                    {trend.symbol}
-                  </span>
-                </td>
-                <td>
-                  {reading.isHigh && <span style={{ color: '#fbbf24' }}>⚠ High</span>}
-                  {reading.isLow && <span style={{ color: '#f87171' }}>⚠ Low</span>}
-                  {!reading.isHigh && !reading.isLow && <span style={{ color: '#4ade80' }}>Normal</span>}
-                </td>
-              </tr>
-            );
-          })}
-        </tbody>
-      </table>
-      {hasMore && (
-        <div className="loading-more">
-          <span>Showing {visibleCount} of {data.length} readings — scroll for more</span>
-        </div>
-      )}
-      {!hasMore && data.length > PAGE_SIZE && (
-        <div className="list-end-message">All {data.length} readings shown</div>
+      <div className="readings-table-scroll" ref={containerRef} onScroll={onScroll}>
+        <table className="readings-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Value</th>
+              <th>Trend</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {padTop > 0 && <tr className="virtual-spacer" style={{ height: padTop }} />}
+            {rows.slice(start, end).map(row => {
+              if (!row.reading) {
+                return (
+                  <tr key={row.key} className="gap-row">
+                    <td colSpan={4}>⋯ No readings for {formatDuration(row.gapMinutes)}</td>
+                  </tr>
+                );
+              }
+              const { reading } = row;
+              const trend = getTrendArrow(reading.trendArrow);
+              const color = targetRanges.color(reading.value, reading.timestamp);
+              const status = targetRanges.label(reading.value, reading.timestamp);
+              return (
+                <tr key={row.key}>
+                  <td>{format(parseISO(reading.timestamp), 'MMM dd, HH:mm')}</td>
+                  <td style={{ color, fontWeight: 600 }}>
+                    {formatGlucose(reading.value)}
+                  </td>
+                  <td>
+                    <span className="trend-arrow" style={{ color: trend.color }} title={trend.label}>
+                      {trend.symbol}
+                    </span>
+                  </td>
+                  <td>
+                    <span style={{ color }}>{status === 'Normal' ? status : `⚠ ${status}`}</span>
+                  </td>
+                </tr>
+              );
+            })}
+            {padBottom > 0 && <tr className="virtual-spacer" style={{ height: padBottom }} />}
+          </tbody>
+        </table>
+      </div>
+      {data.length > 0 && (
+        <div className="list-end-message">{data.length.toLocaleString()} readings</div>
       )}
     </>
   );
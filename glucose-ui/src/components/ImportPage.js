@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { useGlucoseUnit } from '../context/DisplaySettingsContext';
+
+/** Parsing and writing a year of readings takes a while; don't give up on it early. */
+const IMPORT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const formatTime = (ts) => (ts ? format(new Date(ts), 'MMM d, yyyy HH:mm') : '—');
+
+/**
+ * Import page for historical CGM data: LibreView CSV exports and Nightscout
+ * entries JSON. The file is first previewed (nothing is written) so the user
+ * sees how many readings are new, already stored, or conflict with stored
+ * values; conflicts are kept as stored unless the user chooses to replace them.
+ * Progress arrives over SignalR ("importProgress" window event).
+ */
+export default function ImportPage() {
+  const client = useApi();
+  const { format: formatGlucose } = useGlucoseUnit();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [replaceConflicts, setReplaceConflicts] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleProgress = (e) => setProgress(e.detail);
+    window.addEventListener('importProgress', handleProgress);
+    return () => window.removeEventListener('importProgress', handleProgress);
+  }, []);
+
+  const formData = (selected) => {
+    const data = new FormData();
+    data.append('file', selected);
+    return data;
+  };
+
+  const handleFile = async (selected) => {
+    setFile(selected);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+    setProgress(null);
+    setReplaceConflicts(false);
+    if (!selected) return;
+
+    setPreviewing(true);
+    try {
+      setPreview(await client.post('/import/preview', formData(selected), { timeout: IMPORT_TIMEOUT_MS }));
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    setProgress(null);
+    try {
+      setResult(await client.post('/import', formData(file), {
+        query: { replaceConflicts },
+        timeout: IMPORT_TIMEOUT_MS,
+      }));
+      setPreview(null);
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const toWrite = preview ? preview.newCount + (replaceConflicts ? preview.conflictCount : 0) : 0;
+  const percent = progress?.total ? Math.round((progress.processed / progress.total) * 100) : 0;
+
+  return (
+    <div className="import-page">
+      <div className="reports-header-card">
+        <div className="reports-header-icon">📥</div>
+        <h2>Import Historical Data</h2>
+        <p>
+          Bring in readings from before this app was set up. Imported readings are checked against
+          the ones already stored, then flow into events, daily summaries and food patterns like live data.
+        </p>
+      </div>
+
+      <div className="reports-config-card">
+        <h3>📂 Choose a file</h3>
+        <ul className="import-sources">
+          <li><strong>LibreView</strong> — Glucose history CSV (<em>Download glucose data</em> in LibreView). Device times are read in the display time zone.</li>
+          <li><strong>Nightscout</strong> — entries JSON from <code>/api/v1/entries.json</code> or a <code>mongoexport</code> of the entries collection.</li>
+        </ul>
+        <input
+          type="file"
+          accept=".csv,.txt,.json"
+          disabled={previewing || importing}
+          onChange={(e) => handleFile(e.target.files[0] || null)}
+        />
+        {previewing && <div className="import-status">⏳ Reading {file?.name}…</div>}
+      </div>
+
+      {error && (
+        <div className="reports-error">
+          <span>❌</span> {error}
+        </div>
+      )}
+
+      {preview && (
+        <div className="reports-config-card">
+          <h3>🔍 Preview — {preview.source} export</h3>
+          <div className="import-stats">
+            <div className="import-stat"><span>{preview.readingCount.toLocaleString()}</span>readings in file</div>
+            <div className="import-stat import-stat-new"><span>{preview.newCount.toLocaleString()}</span>new</div>
+            <div className="import-stat"><span>{preview.duplicateCount.toLocaleString()}</span>already stored</div>
+            <div className="import-stat import-stat-conflict"><span>{preview.conflictCount.toLocaleString()}</span>conflicts</div>
+          </div>
+          <div className="import-status">
+            {formatTime(preview.firstTimestamp)} → {formatTime(preview.lastTimestamp)}
+            {preview.skippedRows > 0 && ` · ${preview.skippedRows} unreadable rows skipped`}
+            {preview.repeatedInFile > 0 && ` · ${preview.repeatedInFile} repeated within the file`}
+          </div>
+          {preview.warnings.map(w => <div key={w} className="import-warning">ℹ {w}</div>)}
+
+          {preview.conflictCount > 0 && (
+            <>
+              <p className="import-hint">
+                These stored readings have a different value in the file (within 2 minutes of each other).
+              </p>
+              <div className="import-conflicts">
+                <table>
+                  <thead>
+                    <tr><th>Time</th><th>Stored</th><th>In file</th></tr>
+                  </thead>
+                  <tbody>
+                    {preview.conflicts.map(c => (
+                      <tr key={c.timestamp}>
+                        <td>{formatTime(c.timestamp)}</td>
+                        <td>{formatGlucose(c.existingValue)}</td>
+                        <td>{formatGlucose(c.importedValue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.conflictCount > preview.conflicts.length && (
+                  <div className="import-hint">…and {preview.conflictCount - preview.conflicts.length} more</div>
+                )}
+              </div>
+              <div className="import-choice">
+                <label>
+                  <input type="radio" checked={!replaceConflicts} onChange={() => setReplaceConflicts(false)} />
+                  Keep stored values
+                </label>
+                <label>
+                  <input type="radio" checked={replaceConflicts} onChange={() => setReplaceConflicts(true)} />
+                  Replace with values from the file
+                </label>
+              </div>
+            </>
+          )}
+
+          {importing && (
+            <div className="import-progress">
+              <div className="import-progress-bar" style={{ width: `${percent}%` }} />
+              <span>{progress ? `${progress.processed.toLocaleString()} / ${progress.total.toLocaleString()}` : 'Starting…'}</span>
+            </div>
+          )}
+
+          <button className="reports-generate-btn" onClick={handleImport} disabled={importing || toWrite === 0}>
+            {importing ? '⏳ Importing… keep this page open' : toWrite === 0 ? 'Nothing to import' : `📥 Import ${toWrite.toLocaleString()} readings`}
+          </button>
+        </div>
+      )}
+
+      {result && (
+        <div className="reports-config-card import-result">
+          <h3>✅ Import complete</h3>
+          <ul>
+            <li>{result.inserted.toLocaleString()} new readings added ({formatTime(result.firstTimestamp)} → {formatTime(result.lastTimestamp)})</li>
+            {result.replaced > 0 && <li>{result.replaced.toLocaleString()} stored readings replaced</li>}
+            {result.conflictsKept > 0 && <li>{result.conflictsKept.toLocaleString()} conflicting readings kept as stored</li>}
+            <li>{result.duplicates.toLocaleString()} readings were already stored</li>
+            {result.skippedRows > 0 && <li>{result.skippedRows.toLocaleString()} unreadable rows skipped</li>}
+            <li>{result.eventsRecalculated} events recalculated and queued for AI re-analysis</li>
+            <li>{result.dailySummariesQueued} daily summaries queued for regeneration</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { showToast } from './Toaster';
+import { EVENT_TYPES, INSULIN_KINDS, INTENSITIES, FOOD_TYPES } from '../config/eventTypes';
+
+const INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+/** Suggested title when the user leaves it empty for a structured type. */
+const DEFAULT_TITLES = {
+  insulin: (d) => `${d.insulinUnits} U ${d.insulinKind}`,
+  carbs: (d) => `${d.carbsGrams} g carbs`,
+  exercise: (d) => d.exerciseKind || 'Exercise',
+  sleep: () => 'Sleep',
+  illness: () => 'Feeling ill',
+};
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Log an event by hand, without a Samsung Notes entry. The server creates the
+ * event (POST /api/events) and queues it for the same processing, translation,
+ * food extraction and AI analysis as note-based events. `initialTime` is the
+ * time clicked on the chart, or now. Insulin, carbs, exercise and sleep have
+ * structured fields; meals, snacks and drinks can carry carbs and a bolus.
+ */
+function LogEventDialog({ initialTime, onClose, onCreated }) {
+  const client = useApi();
+  const [title, setTitle] = useState('');
+  const [content, setContent] = useState('');
+  const [time, setTime] = useState(() => format(initialTime || new Date(), INPUT_FORMAT));
+  const [eventType, setEventType] = useState('meal');
+  const [details, setDetails] = useState({
+    insulinKind: 'bolus', insulinUnits: '', carbsGrams: '', exerciseKind: '', durationMinutes: '', intensity: 'moderate',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const setDetail = (key) => (e) => setDetails(prev => ({ ...prev, [key]: e.target.value }));
+
+  const isFood = FOOD_TYPES.includes(eventType);
+  const hasInsulin = eventType === 'insulin' || isFood;
+  const hasCarbs = eventType === 'carbs' || isFood;
+  const hasDuration = eventType === 'exercise' || eventType === 'sleep';
+
+  // Only the fields shown for the chosen type are sent
+  const structured = {
+    insulinKind: hasInsulin && details.insulinUnits !== '' ? details.insulinKind : null,
+    insulinUnits: hasInsulin ? toNumber(details.insulinUnits) : null,
+    carbsGrams: hasCarbs ? toNumber(details.carbsGrams) : null,
+    exerciseKind: eventType === 'exercise' ? details.exerciseKind.trim() || null : null,
+    durationMinutes: hasDuration ? toNumber(details.durationMinutes) : null,
+    intensity: eventType === 'exercise' ? details.intensity : null,
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const date = new Date(time);
+    const defaultTitle = DEFAULT_TITLES[eventType];
+    const finalTitle = title.trim() || (defaultTitle ? defaultTitle(structured) : '');
+    if (!finalTitle) return setError('Enter a title, e.g. what you ate.');
+    if (Number.isNaN(date.getTime())) return setError('Enter a valid time.');
+
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await client.post('/events', {
+        title: finalTitle,
+        content: content.trim() || null,
+        eventTimestamp: date.toISOString(),
+        eventType,
+        ...structured,
+      });
+      showToast(`Logged "${created.noteTitle}" — analysis will follow shortly.`, 'success');
+      onCreated?.(created);
+      onClose();
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="event-modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="event-modal log-event-dialog">
+        <div className="event-modal-header">
+          <div>
+            <h2 className="event-modal-title">✏️ Log event</h2>
+            <div className="event-modal-meta">
+              <span className="note-date">Glucose around this time is analyzed just like a note-based event.</span>
+            </div>
+          </div>
+          <button className="note-modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <form className="note-modal-body" onSubmit={handleSubmit}>
+          <div className="log-event-types">
+            {EVENT_TYPES.map(t => (
+              <button
+                type="button"
+                key={t.id}
+                className={`log-event-type${eventType === t.id ? ' active' : ''}`}
+                onClick={() => setEventType(t.id)}
+              >
+                {t.icon} {t.label}
+              </button>
+            ))}
+          </div>
+
+          <label className="log-event-field">
+            <span>Title{DEFAULT_TITLES[eventType] && <em> (optional)</em>}</span>
+            <input
+              type="text"
+              value={title}
+              maxLength={500}
+              placeholder="e.g. Oatmeal with banana"
+              onChange={(e) => setTitle(e.target.value)}
+              autoFocus
+            />
+          </label>
+
+          {hasInsulin && (
+            <div className="log-event-row">
+              <label className="log-event-field">
+                <span>Insulin (units){isFood && <em> (optional)</em>}</span>
+                <input type="number" min="0" step="0.5" value={details.insulinUnits} onChange={setDetail('insulinUnits')} />
+              </label>
+              <label className="log-event-field">
+                <span>Kind</span>
+                <select value={details.insulinKind} onChange={setDetail('insulinKind')}>
+                  {INSULIN_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {hasCarbs && (
+            <label className="log-event-field">
+              <span>Carbs (g){isFood && <em> (optional)</em>}</span>
+              <input type="number" min="0" step="1" value={details.carbsGrams} onChange={setDetail('carbsGrams')} />
+            </label>
+          )}
+
+          {eventType === 'exercise' && (
+            <div className="log-event-row">
+              <label className="log-event-field">
+                <span>Exercise</span>
+                <input type="text" maxLength={100} placeholder="e.g. running" value={details.exerciseKind} onChange={setDetail('exerciseKind')} />
+              </label>
+              <label className="log-event-field">
+                <span>Intensity</span>
+                <select value={details.intensity} onChange={setDetail('intensity')}>
+                  {INTENSITIES.map(i => <option key={i} value={i}>{i}</option>)}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {hasDuration && (
+            <label className="log-event-field">
+              <span>Duration (minutes)</span>
+              <input type="number" min="1" step="5" value={details.durationMinutes} onChange={setDetail('durationMinutes')} />
+            </label>
+          )}
+
+          <label className="log-event-field">
+            <span>{hasDuration ? 'Start time' : 'Time'}</span>
+            <input type="datetime-local" value={time} onChange={(e) => setTime(e.target.value)} />
+          </label>
+
+          <label className="log-event-field">
+            <span>Details <em>(optional)</em></span>
+            <textarea
+              rows={5}
+              value={content}
+              placeholder="What and how much, insulin taken, how you felt…"
+              onChange={(e) => setContent(e.target.value)}
+            />
+          </label>
+
+          {error && <div className="date-range-error">{error}</div>}
+
+          <div className="export-dialog-actions">
+            <button type="button" className="btn-range-apply" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn-export" disabled={saving}>
+              {saving ? '⏳ Saving…' : '✏️ Log event'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LogEventDialog;
@@ -1,23 +1,24 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { format } from 'date-fns';
 import MODEL_OPTIONS from './modelOptions';
 import useInfiniteScroll from '../hooks/useInfiniteScroll';
 import PAGE_SIZES from '../config/pageSize';
+import useOpenEvent from '../hooks/useOpenEvent';
+import { useGlucoseUnit } from '../context/DisplaySettingsContext';
+import useApi from '../hooks/useApi';
+import useQuery from '../hooks/useQuery';
+import usePagedQuery from '../hooks/usePagedQuery';
+import { showError } from './Toaster';
 
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
 const PAGE_SIZE = PAGE_SIZES.meals;
 
 function MealsPage() {
-  const [meals, setMeals] = useState([]);
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [totalCount, setTotalCount] = useState(0);
+  const glucoseUnit = useGlucoseUnit();
   const [search, setSearch] = useState('');
   const [sortBy, setSortBy] = useState('date');
   const [sortDesc, setSortDesc] = useState(true);
   const [classFilter, setClassFilter] = useState('');
-  const mealsOffsetRef = useRef(0);
+  const client = useApi();
 
   // Detail modal
   const [selectedMeal, setSelectedMeal] = useState(null);
@@ -39,63 +40,17 @@ function MealsPage() {
   const chatEndRef = useRef(null);
 
   // Event detail modal for drilling down
-  const [selectedEventId, setSelectedEventId] = useState(null);
-
-  const fetchMeals = useCallback(async (append = false) => {
-    if (append) setLoadingMore(true);
-    try {
-      const offset = append ? mealsOffsetRef.current : 0;
-      const params = new URLSearchParams();
-      if (search) params.set('search', search);
-      if (sortBy) params.set('sortBy', sortBy);
-      params.set('desc', sortDesc);
-      if (classFilter) params.set('classification', classFilter);
-      params.set('limit', PAGE_SIZE);
-      params.set('offset', offset);
-      const res = await fetch(`${API_BASE}/meals?${params}`);
-      const data = await res.json();
-      if (append) {
-        setMeals(prev => [...prev, ...data.items]);
-      } else {
-        setMeals(data.items);
-      }
-      setTotalCount(data.totalCount);
-      mealsOffsetRef.current = (append ? mealsOffsetRef.current : 0) + data.items.length;
-    } catch (err) {
-      console.error('Failed to fetch meals:', err);
-    } finally {
-      setLoadingMore(false);
-    }
-  }, [search, sortBy, sortDesc, classFilter]);
-
-  const fetchStats = useCallback(async () => {
-    try {
-      const res = await fetch(`${API_BASE}/meals/stats`);
-      const data = await res.json();
-      setStats(data);
-    } catch (err) {
-      console.error('Failed to fetch meal stats:', err);
-    }
-  }, []);
-
-  useEffect(() => {
-    const load = async () => {
-      setLoading(true);
-      mealsOffsetRef.current = 0;
-      await Promise.all([fetchMeals(), fetchStats()]);
-      setLoading(false);
-    };
-    load();
-  }, [fetchMeals, fetchStats]);
-
-  useEffect(() => {
-    const handler = () => { mealsOffsetRef.current = 0; fetchMeals(); fetchStats(); };
-    window.addEventListener('eventsUpdated', handler);
-    return () => window.removeEventListener('eventsUpdated', handler);
-  }, [fetchMeals, fetchStats]);
-
-  const mealsHasMore = meals.length < totalCount;
-  const loadMoreMeals = useCallback(() => fetchMeals(true), [fetchMeals]);
+  const openEvent = useOpenEvent();
+
+  // Cached per filter combination; EventsUpdated from SignalR invalidates /meals
+  const {
+    items: meals, totalCount, loading, loadingMore, hasMore: mealsHasMore, loadMore: loadMoreMeals,
+  } = usePagedQuery('/meals', {
+    query: { search, sortBy, desc: sortDesc, classification: classFilter },
+    pageSize: PAGE_SIZE,
+    errorContext: 'Failed to load meals',
+  });
+  const { data: stats } = useQuery('/meals/stats', { errorContext: 'Failed to load meal stats' });
   useInfiniteScroll(loadMoreMeals, { hasMore: mealsHasMore, loading: loadingMore });
 
   // ── Detail Modal ───────────────────────────────────────────
@@ -114,11 +69,9 @@ function MealsPage() {
     setChatSessionId(null);
     setChatDetail(null);
     try {
-      const res = await fetch(`${API_BASE}/meals/${id}`);
-      const data = await res.json();
-      setSelectedMeal(data);
+      setSelectedMeal(await client.get(`/meals/${id}`));
     } catch (err) {
-      console.error('Failed to fetch meal detail:', err);
+      showError(err, 'Failed to load meal details');
     } finally {
       setDetailLoading(false);
     }
@@ -146,17 +99,9 @@ function MealsPage() {
     setChatSessionId(null);
     setChatDetail(null);
     try {
-      const res = await fetch(`${API_BASE}/meals/compare`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ ids: [...selectedIds] }),
-      });
-      if (res.ok) {
-        const data = await res.json();
-        setCompareData(data);
-      }
+      setCompareData(await client.post('/meals/compare', { ids: [...selectedIds] }));
     } catch (err) {
-      console.error('Failed to compare meals:', err);
+      showError(err, 'Failed to compare meals');
     } finally {
       setCompareLoading(false);
     }
@@ -193,11 +138,11 @@ function MealsPage() {
       lines.push(`Foods: ${foodNames}`);
     }
 
-    lines.push(`Glucose at event: ${meal.glucoseAtEvent != null ? `${Math.round(meal.glucoseAtEvent)} mg/dL` : 'N/A'}`);
-    lines.push(`Spike: ${meal.glucoseSpike != null ? `+${Math.round(meal.glucoseSpike)} mg/dL` : 'N/A'}`);
-    lines.push(`Min: ${meal.glucoseMin != null ? `${Math.round(meal.glucoseMin)} mg/dL` : 'N/A'}`);
-    lines.push(`Max: ${meal.glucoseMax != null ? `${Math.round(meal.glucoseMax)} mg/dL` : 'N/A'}`);
-    lines.push(`Average: ${meal.glucoseAvg != null ? `${Math.round(meal.glucoseAvg)} mg/dL` : 'N/A'}`);
+    lines.push(`Glucose at event: ${meal.glucoseAtEvent != null ? glucoseUnit.format(meal.glucoseAtEvent) : 'N/A'}`);
+    lines.push(`Spike: ${meal.glucoseSpike != null ? glucoseUnit.format(meal.glucoseSpike, { signed: true }) : 'N/A'}`);
+    lines.push(`Min: ${meal.glucoseMin != null ? glucoseUnit.format(meal.glucoseMin) : 'N/A'}`);
+    lines.push(`Max: ${meal.glucoseMax != null ? glucoseUnit.format(meal.glucoseMax) : 'N/A'}`);
+    lines.push(`Average: ${meal.glucoseAvg != null ? glucoseUnit.format(meal.glucoseAvg) : 'N/A'}`);
     lines.push(`Readings: ${meal.readingCount}`);
     lines.push(`Classification: ${meal.aiClassification || 'N/A'}`);
     if (meal.aiAnalysis) lines.push(`AI Analysis: ${meal.aiAnalysis}`);
@@ -246,53 +191,39 @@ function MealsPage() {
       : `Meal Analysis: ${contextData?.noteTitle || 'Unknown'}`;
 
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          title,
-          initialMessage: message,
-          model: chatModel || null,
-          periods: periods?.length > 0 ? periods : null,
-        }),
+      const data = await client.post('/chat/sessions', {
+        title,
+        initialMessage: message,
+        model: chatModel || null,
+        periods: periods?.length > 0 ? periods : null,
       });
-      if (res.ok) {
-        const data = await res.json();
-        setChatSessionId(data.sessionId);
-        fetchChatDetail(data.sessionId);
-      }
+      setChatSessionId(data.sessionId);
+      fetchChatDetail(data.sessionId);
     } catch (err) {
-      console.error('Failed to start meal chat:', err);
+      showError(err, 'Failed to start meal chat');
     } finally {
       setChatSending(false);
     }
   };
 
-  const fetchChatDetail = async (id) => {
+  const fetchChatDetail = useCallback(async (id) => {
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions/${id}`);
-      if (res.ok) setChatDetail(await res.json());
+      setChatDetail(await client.get(`/chat/sessions/${id}`));
     } catch (err) {
-      console.error('Failed to fetch chat detail:', err);
+      showError(err, 'Failed to load chat');
     }
-  };
+  }, [client]);
 
   const handleSendChatMsg = async (e) => {
     e.preventDefault();
     if (!chatMsg.trim() || !chatSessionId) return;
     setChatSending(true);
     try {
-      const res = await fetch(`${API_BASE}/chat/sessions/${chatSessionId}/messages`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content: chatMsg, modelOverride: chatModel || null }),
-      });
-      if (res.ok) {
-        setChatMsg('');
-        fetchChatDetail(chatSessionId);
-      }
+      await client.post(`/chat/sessions/${chatSessionId}/messages`, { content: chatMsg, modelOverride: chatModel || null });
+      setChatMsg('');
+      fetchChatDetail(chatSessionId);
     } catch (err) {
-      console.error('Failed to send chat message:', err);
+      showError(err, 'Failed to send chat message');
     } finally {
       setChatSending(false);
     }
@@ -305,7 +236,7 @@ function MealsPage() {
     };
     window.addEventListener('chatMessageCompleted', handler);
     return () => window.removeEventListener('chatMessageCompleted', handler);
-  }, [chatSessionId]);
+  }, [chatSessionId, fetchChatDetail]);
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -318,7 +249,7 @@ function MealsPage() {
       const interval = setInterval(() => fetchChatDetail(chatSessionId), 2000);
       return () => clearInterval(interval);
     }
-  }, [chatSessionId, chatDetail]);
+  }, [chatSessionId, chatDetail, fetchChatDetail]);
 
   // ── Keyboard shortcuts ─────────────────────────────────────
 
@@ -451,8 +382,8 @@ function MealsPage() {
           </div>
           {stats.avgSpike != null && (
             <div className="meals-stat-card">
-              <div className="meals-stat-value">+{Math.round(stats.avgSpike)}</div>
-              <div className="meals-stat-label">Avg spike (mg/dL)</div>
+              <div className="meals-stat-value">{glucoseUnit.format(stats.avgSpike, { signed: true, withUnit: false })}</div>
+              <div className="meals-stat-label">Avg spike ({glucoseUnit.unit})</div>
             </div>
           )}
         </div>
@@ -545,15 +476,15 @@ function MealsPage() {
               </div>
               <div className="meal-card-metrics">
                 <div className={`meal-card-spike ${spikeColor(meal.glucoseSpike)}`}>
-                  {meal.glucoseSpike != null ? `+${Math.round(meal.glucoseSpike)}` : '—'}
-                  <span className="meal-card-unit">mg/dL</span>
+                  {glucoseUnit.format(meal.glucoseSpike, { signed: true, withUnit: false, fallback: '—' })}
+                  <span className="meal-card-unit">{glucoseUnit.unit}</span>
                 </div>
                 <div className="meal-card-baseline">
-                  @ {meal.glucoseAtEvent != null ? Math.round(meal.glucoseAtEvent) : '?'}
+                  @ {glucoseUnit.format(meal.glucoseAtEvent, { withUnit: false, fallback: '?' })}
                 </div>
                 <div className="meal-card-range">
                   {meal.glucoseMin != null && meal.glucoseMax != null
-                    ? `${Math.round(meal.glucoseMin)}–${Math.round(meal.glucoseMax)}`
+                    ? `${glucoseUnit.format(meal.glucoseMin, { withUnit: false })}–${glucoseUnit.format(meal.glucoseMax, { withUnit: false })}`
                     : ''}
                 </div>
               </div>
@@ -617,31 +548,31 @@ function MealsPage() {
                 <div className="meal-detail-stat">
                   <span className="meal-detail-stat-label">At Event</span>
                   <span className="meal-detail-stat-value">
-                    {selectedMeal.glucoseAtEvent != null ? `${Math.round(selectedMeal.glucoseAtEvent)} mg/dL` : '—'}
+                    {selectedMeal.glucoseAtEvent != null ? glucoseUnit.format(selectedMeal.glucoseAtEvent) : '—'}
                   </span>
                 </div>
                 <div className="meal-detail-stat">
                   <span className="meal-detail-stat-label">Spike</span>
                   <span className={`meal-detail-stat-value ${spikeColor(selectedMeal.glucoseSpike)}`}>
-                    {selectedMeal.glucoseSpike != null ? `+${Math.round(selectedMeal.glucoseSpike)} mg/dL` : '—'}
+                    {selectedMeal.glucoseSpike != null ? glucoseUnit.format(selectedMeal.glucoseSpike, { signed: true }) : '—'}
                   </span>
                 </div>
                 <div className="meal-detail-stat">
                   <span className="meal-detail-stat-label">Min</span>
                   <span className="meal-detail-stat-value">
-                    {selectedMeal.glucoseMin != null ? `${Math.round(selectedMeal.glucoseMin)} mg/dL` : '—'}
+                    {selectedMeal.glucoseMin != null ? glucoseUnit.format(selectedMeal.glucoseMin) : '—'}
                   </span>
                 </div>
                 <div className="meal-detail-stat">
                   <span className="meal-detail-stat-label">Max</span>
                   <span className="meal-detail-stat-value">
-                    {selectedMeal.glucoseMax != null ? `${Math.round(selectedMeal.glucoseMax)} mg/dL` : '—'}
+                    {selectedMeal.glucoseMax != null ? glucoseUnit.format(selectedMeal.glucoseMax) : '—'}
                   </span>
                 </div>
                 <div className="meal-detail-stat">
                   <span className="meal-detail-stat-label">Average</span>
                   <span className="meal-detail-stat-value">
-                    {selectedMeal.glucoseAvg != null ? `${Math.round(selectedMeal.glucoseAvg)} mg/dL` : '—'}
+                    {selectedMeal.glucoseAvg != null ? glucoseUnit.format(selectedMeal.glucoseAvg) : '—'}
                   </span>
                 </div>
                 <div className="meal-detail-stat">
@@ -674,7 +605,7 @@ function MealsPage() {
                           <span className="meal-food-name-en">{f.nameEn}</span>
                         )}
                         {f.spike != null && (
-                          <span className={`meal-food-spike ${spikeColor(f.spike)}`}>+{Math.round(f.spike)}</span>
+                          <span className={`meal-food-spike ${spikeColor(f.spike)}`}>{glucoseUnit.format(f.spike, { signed: true, withUnit: false })}</span>
                         )}
                         {f.category && <span className="meal-food-category">{f.category}</span>}
                       </div>
@@ -695,7 +626,7 @@ function MealsPage() {
               <div className="meal-section meal-section-actions">
                 <button
                   className="meal-view-event-btn"
-                  onClick={() => setSelectedEventId(selectedMeal.id)}
+                  onClick={() => openEvent(selectedMeal.id)}
                 >
                   View full event detail with glucose chart
                 </button>
@@ -750,25 +681,25 @@ function MealsPage() {
                           <div className="meal-compare-stat">
                             <span className="meal-compare-stat-label">Spike</span>
                             <span className={`meal-compare-stat-value ${spikeColor(m.glucoseSpike)}`}>
-                              {m.glucoseSpike != null ? `+${Math.round(m.glucoseSpike)}` : '—'}
+                              {glucoseUnit.format(m.glucoseSpike, { signed: true, withUnit: false, fallback: '—' })}
                             </span>
                           </div>
                           <div className="meal-compare-stat">
                             <span className="meal-compare-stat-label">At Event</span>
                             <span className="meal-compare-stat-value">
-                              {m.glucoseAtEvent != null ? Math.round(m.glucoseAtEvent) : '—'}
+                              {glucoseUnit.format(m.glucoseAtEvent, { withUnit: false, fallback: '—' })}
                             </span>
                           </div>
                           <div className="meal-compare-stat">
                             <span className="meal-compare-stat-label">Max</span>
                             <span className="meal-compare-stat-value">
-                              {m.glucoseMax != null ? Math.round(m.glucoseMax) : '—'}
+                              {glucoseUnit.format(m.glucoseMax, { withUnit: false, fallback: '—' })}
                             </span>
                           </div>
                           <div className="meal-compare-stat">
                             <span className="meal-compare-stat-label">Avg</span>
                             <span className="meal-compare-stat-value">
-                              {m.glucoseAvg != null ? Math.round(m.glucoseAvg) : '—'}
+                              {glucoseUnit.format(m.glucoseAvg, { withUnit: false, fallback: '—' })}
                             </span>
                           </div>
                         </div>
@@ -794,21 +725,8 @@ function MealsPage() {
           </div>
         </div>
       )}
-
-      {/* Event Detail Modal (drill-down) */}
-      {selectedEventId && (
-        <EventDetailModalWrapper
-          eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-        />
-      )}
     </div>
   );
 }
 
-function EventDetailModalWrapper({ eventId, onClose }) {
-  const EventDetailModal = require('./EventDetailModal').default;
-  return <EventDetailModal eventId={eventId} onClose={onClose} />;
-}
-
 export default MealsPage;
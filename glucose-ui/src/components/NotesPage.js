@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { format, parseISO } from 'date-fns';
-
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+import { apiUrl } from '../api/client';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
 
 function NotesPage() {
   const [notes, setNotes] = useState([]);
@@ -12,48 +13,33 @@ function NotesPage() {
   const [status, setStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const modalRef = useRef(null);
+  const client = useApi();
 
   const fetchNotes = useCallback(async () => {
     try {
-      const params = new URLSearchParams();
-      if (selectedFolder) params.set('folder', selectedFolder);
-      if (searchQuery) params.set('search', searchQuery);
-
-      const res = await fetch(`${API_BASE}/notes?${params}`);
-      if (res.ok) {
-        const data = await res.json();
-        setNotes(data);
-      }
+      setNotes(await client.get('/notes', { query: { folder: selectedFolder, search: searchQuery } }));
     } catch (err) {
-      console.error('Failed to fetch notes:', err);
+      showError(err, 'Failed to load notes');
     } finally {
       setLoading(false);
     }
-  }, [selectedFolder, searchQuery]);
+  }, [selectedFolder, searchQuery, client]);
 
   const fetchFolders = useCallback(async () => {
     try {
-      const res = await fetch(`${API_BASE}/notes/folders`);
-      if (res.ok) {
-        const data = await res.json();
-        setFolders(data);
-      }
+      setFolders(await client.get('/notes/folders'));
     } catch (err) {
-      console.error('Failed to fetch folders:', err);
+      showError(err, 'Failed to load note folders');
     }
-  }, []);
+  }, [client]);
 
   const fetchStatus = useCallback(async () => {
     try {
-      const res = await fetch(`${API_BASE}/notes/status`);
-      if (res.ok) {
-        const data = await res.json();
-        setStatus(data);
-      }
+      setStatus(await client.get('/notes/status'));
     } catch (err) {
-      console.error('Failed to fetch notes status:', err);
+      showError(err, 'Failed to load notes status');
     }
-  }, []);
+  }, [client]);
 
   useEffect(() => {
     fetchNotes();
@@ -228,7 +214,7 @@ function NotesPage() {
               {selectedNote.hasPreview && (
                 <div className="note-modal-preview">
                   <img
-                    src={`${API_BASE}/notes/${selectedNote.id}/preview`}
+                    src={apiUrl(`/notes/${selectedNote.id}/preview`)}
                     alt="Note preview"
                     loading="lazy"
                   />
@@ -0,0 +1,24 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+/**
+ * Shown on every page while the server cannot be reached. Views that have an
+ * offline copy (dashboard, event details, daily summaries list) keep working
+ * from IndexedDB; `syncedAt` is when that copy was last updated.
+ */
+function OfflineBanner({ syncedAt }) {
+  return (
+    <div className="offline-banner" role="status">
+      <span className="offline-banner-icon">📴</span>
+      <span className="offline-banner-text">
+        <strong>Offline</strong>
+        {syncedAt
+          ? <> — data as of {format(new Date(syncedAt), 'MMM d, HH:mm')}.</>
+          : ' — no data has been saved on this device yet.'}
+        {' '}Sync resumes automatically when the connection is back.
+      </span>
+    </div>
+  );
+}
+
+export default OfflineBanner;
@@ -11,10 +11,15 @@ import {
   ReferenceArea,
 } from 'recharts';
 import { format, parseISO, subDays, subHours } from 'date-fns';
-import EventDetailModal from './EventDetailModal';
 import MODEL_OPTIONS from './modelOptions';
-
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+import { useNavigate, useParams } from 'react-router-dom';
+import useOpenEvent from '../hooks/useOpenEvent';
+import { PAGE_PATHS, paths } from '../config/routes';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
+import ChartExportMenu from './ChartExportMenu';
 
 const PRESETS = [
   { label: 'Last 6 hours', hours: 6 },
@@ -60,12 +65,18 @@ function classEmoji(cls) {
 export default function PeriodSummaryPage() {
   const [summaries, setSummaries] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedId, setSelectedId] = useState(null);
+  const { summaryId } = useParams();
+  const navigate = useNavigate();
+  const selectedId = summaryId ? Number(summaryId) : null;
+  const setSelectedId = useCallback(
+    (id) => navigate(id ? paths.periodSummary(id) : PAGE_PATHS.periodsummary),
+    [navigate]
+  );
   const [detail, setDetail] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
 
-  // Event modal state
-  const [selectedEventId, setSelectedEventId] = useState(null);
+  const openEvent = useOpenEvent();
+  const client = useApi();
 
   // Form state
   const [formName, setFormName] = useState('');
@@ -77,17 +88,13 @@ export default function PeriodSummaryPage() {
 
   const fetchSummaries = useCallback(async () => {
     try {
-      const res = await fetch(`${API_BASE}/periodsummary`);
-      if (res.ok) {
-        const data = await res.json();
-        setSummaries(data);
-      }
+      setSummaries(await client.get('/periodsummary'));
     } catch (err) {
-      console.error('Failed to fetch period summaries:', err);
+      showError(err, 'Failed to load period summaries');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [client]);
 
   useEffect(() => {
     fetchSummaries();
@@ -100,41 +107,35 @@ export default function PeriodSummaryPage() {
   // Fetch detail when selected
   useEffect(() => {
     if (!selectedId) { setDetail(null); return; }
-    let cancelled = false;
+    const controller = new AbortController();
     setDetailLoading(true);
 
     (async () => {
       try {
-        const res = await fetch(`${API_BASE}/periodsummary/${selectedId}`);
-        if (res.ok && !cancelled) {
-          const data = await res.json();
-          setDetail(data);
-        }
+        setDetail(await client.get(`/periodsummary/${selectedId}`, { signal: controller.signal }));
       } catch (err) {
-        console.error('Failed to fetch period summary detail:', err);
-      } finally {
-        if (!cancelled) setDetailLoading(false);
+        if (isAbortError(err)) return;
+        showError(err, 'Failed to load period summary');
       }
+      setDetailLoading(false);
     })();
 
-    return () => { cancelled = true; };
-  }, [selectedId]);
+    return () => controller.abort();
+  }, [selectedId, client]);
 
   // Re-fetch detail when SignalR updates arrive (for pending items)
   useEffect(() => {
     if (!selectedId) return;
     const handler = async () => {
       try {
-        const res = await fetch(`${API_BASE}/periodsummary/${selectedId}`);
-        if (res.ok) {
-          const data = await res.json();
-          setDetail(data);
-        }
-      } catch {}
+        setDetail(await client.get(`/periodsummary/${selectedId}`));
+      } catch (err) {
+        if (!isAbortError(err)) console.error('Failed to refresh period summary:', err);
+      }
     };
     window.addEventListener('periodSummariesUpdated', handler);
     return () => window.removeEventListener('periodSummariesUpdated', handler);
-  }, [selectedId]);
+  }, [selectedId, client]);
 
   const handlePreset = async (preset) => {
     const now = new Date();
@@ -148,25 +149,20 @@ export default function PeriodSummaryPage() {
     setCreating(true);
     setFormError(null);
     try {
-      const res = await fetch(`${API_BASE}/periodsummary`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name: preset.label,
-          periodStart: start.toISOString(),
-          periodEnd: now.toISOString(),
-          ...(summaryModel ? { modelOverride: summaryModel } : {}),
-        }),
+      const data = await client.post('/periodsummary', {
+        name: preset.label,
+        periodStart: start.toISOString(),
+        periodEnd: now.toISOString(),
+        ...(summaryModel ? { modelOverride: summaryModel } : {}),
       });
-      const data = await res.json();
-      if (res.ok && data.success) {
+      if (data.success) {
         setSelectedId(data.id);
         fetchSummaries();
       } else {
         setFormError(data.message || 'Failed to create summary');
       }
     } catch (err) {
-      setFormError('Request failed: ' + err.message);
+      if (!isAbortError(err)) setFormError(err.message || 'Failed to create summary');
     } finally {
       setCreating(false);
     }
@@ -190,18 +186,13 @@ export default function PeriodSummaryPage() {
     setCreating(true);
     setFormError(null);
     try {
-      const res = await fetch(`${API_BASE}/periodsummary`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name: formName || null,
-          periodStart: startUtc,
-          periodEnd: endUtc,
-          ...(summaryModel ? { modelOverride: summaryModel } : {}),
-        }),
+      const data = await client.post('/periodsummary', {
+        name: formName || null,
+        periodStart: startUtc,
+        periodEnd: endUtc,
+        ...(summaryModel ? { modelOverride: summaryModel } : {}),
       });
-      const data = await res.json();
-      if (res.ok && data.success) {
+      if (data.success) {
         setSelectedId(data.id);
         setFormName('');
         setFormStart('');
@@ -211,7 +202,7 @@ export default function PeriodSummaryPage() {
         setFormError(data.message || 'Failed to create summary');
       }
     } catch (err) {
-      setFormError('Request failed: ' + err.message);
+      if (!isAbortError(err)) setFormError(err.message || 'Failed to create summary');
     } finally {
       setCreating(false);
     }
@@ -221,11 +212,11 @@ export default function PeriodSummaryPage() {
     e.stopPropagation();
     if (!window.confirm('Delete this period summary?')) return;
     try {
-      await fetch(`${API_BASE}/periodsummary/${id}`, { method: 'DELETE' });
+      await client.delete(`/periodsummary/${id}`);
       if (selectedId === id) setSelectedId(null);
       fetchSummaries();
     } catch (err) {
-      console.error('Failed to delete:', err);
+      showError(err, 'Failed to delete summary');
     }
   };
 
@@ -369,18 +360,10 @@ export default function PeriodSummaryPage() {
             <div className="loading"><div className="spinner" /><p>Loading detail...</p></div>
           )}
           {selectedId && !detailLoading && detail && (
-            <PeriodSummaryDetail detail={detail} onEventClick={(id) => setSelectedEventId(id)} />
+            <PeriodSummaryDetail detail={detail} onEventClick={openEvent} />
           )}
         </div>
       </div>
-
-      {/* Event detail modal */}
-      {selectedEventId && (
-        <EventDetailModal
-          eventId={selectedEventId}
-          onClose={() => setSelectedEventId(null)}
-        />
-      )}
     </div>
   );
 }
@@ -388,7 +371,10 @@ export default function PeriodSummaryPage() {
 // ── Detail sub-component ────────────────────────────────────
 
 function PeriodSummaryDetail({ detail, onEventClick }) {
+  const glucoseUnit = useGlucoseUnit();
+  const targetRanges = useTargetRanges();
   const d = detail;
+  const chartRef = useRef(null);
 
   // ── Chart data ──
   const chartData = useMemo(() => {
@@ -471,6 +457,7 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
   }, [chartData]);
 
   const xDomain = isZoomed ? [zoomLeft, zoomRight] : tsRange;
+  const rangeSegments = targetRanges.segments(xDomain[0], xDomain[1]);
 
   const CustomTooltip = ({ active, payload }) => {
     if (!active || !payload || payload.length === 0) return null;
@@ -479,7 +466,7 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
     return (
       <div className="period-chart-tooltip">
         <div className="period-tooltip-time">{entry.localLabel}</div>
-        <div style={{ color: '#2196F3' }}>Glucose: {entry.value} mg/dL</div>
+        <div style={{ color: '#2196F3' }}>Glucose: {glucoseUnit.format(entry.value)}</div>
       </div>
     );
   };
@@ -505,7 +492,7 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
 
       {/* Chart */}
       {chartData.length > 0 && (
-        <div className="period-detail-chart-section">
+        <div className="period-detail-chart-section" ref={chartRef}>
           <div className="period-chart-title-row">
             <h4>Glucose Trend</h4>
             {isZoomed && (
@@ -514,6 +501,11 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
             {!isZoomed && chartData.length > 0 && (
               <span className="period-zoom-hint">Drag on chart to zoom</span>
             )}
+            <ChartExportMenu
+              chartRef={chartRef}
+              title={`${d.name || 'Untitled Period'} — Glucose Trend`}
+              subtitle={`${formatDateFull(d.periodStart)} → ${formatDateFull(d.periodEnd)} (${formatDuration(d.periodStart, d.periodEnd)})`}
+            />
           </div>
           <ResponsiveContainer width="100%" height={320}>
             <LineChart
@@ -537,9 +529,12 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
               <YAxis
                 stroke="var(--text-muted)"
                 tick={{ fontSize: 11 }}
+                tickFormatter={glucoseUnit.toDisplay}
               />
               <Tooltip content={<CustomTooltip />} />
-              <ReferenceArea y1={70} y2={180} fill="rgba(76,175,80,0.08)" />
+              {rangeSegments.map(({ x1, x2, thresholds }) => (
+                <ReferenceArea key={`range-${x1}`} x1={x1} x2={x2} y1={thresholds.low} y2={thresholds.high} fill="rgba(76,175,80,0.08)" />
+              ))}
 
               {/* Event markers */}
               {eventMarkers.map((evt, i) => (
@@ -589,15 +584,15 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
           <div className="period-stats-grid">
             <div className="period-stat">
               <span className="period-stat-label">Average</span>
-              <span className="period-stat-value">{d.glucoseAvg ?? '—'} mg/dL</span>
+              <span className="period-stat-value">{glucoseUnit.format(d.glucoseAvg, { fallback: '—' })}</span>
             </div>
             <div className="period-stat">
               <span className="period-stat-label">Min / Max</span>
-              <span className="period-stat-value">{d.glucoseMin ?? '—'} / {d.glucoseMax ?? '—'} mg/dL</span>
+              <span className="period-stat-value">{glucoseUnit.format(d.glucoseMin, { withUnit: false, fallback: '—' })} / {glucoseUnit.format(d.glucoseMax, { fallback: '—' })}</span>
             </div>
             <div className="period-stat">
               <span className="period-stat-label">Std Dev</span>
-              <span className="period-stat-value">{d.glucoseStdDev ?? '—'} mg/dL</span>
+              <span className="period-stat-value">{glucoseUnit.format(d.glucoseStdDev, { fallback: '—' })}</span>
             </div>
             <div className="period-stat">
               <span className="period-stat-label">Time in Range</span>
@@ -645,10 +640,10 @@ function PeriodSummaryDetail({ detail, onEventClick }) {
                 </div>
                 {evt.glucoseAtEvent != null && (
                   <div className="period-event-glucose">
-                    Glucose: {evt.glucoseAtEvent} mg/dL
+                    Glucose: {glucoseUnit.format(evt.glucoseAtEvent)}
                     {evt.glucoseSpike != null && (
                       <span className={evt.glucoseSpike > 30 ? 'spike-high' : evt.glucoseSpike > 0 ? 'spike-mod' : 'spike-ok'}>
-                        {' '}({evt.glucoseSpike > 0 ? '+' : ''}{evt.glucoseSpike})
+                        {' '}({glucoseUnit.format(evt.glucoseSpike, { signed: true, withUnit: false })})
                       </span>
                     )}
                   </div>
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { format, subDays } from 'date-fns';
-
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+import { useGlucoseUnit, useTargetRanges } from '../context/DisplaySettingsContext';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
 
 const PRESETS = [
   { label: '7 days', days: 7 },
@@ -12,20 +13,23 @@ const PRESETS = [
 ];
 
 export default function ReportsPage() {
+  const { day: dayRange } = useTargetRanges();
+  const glucoseUnit = useGlucoseUnit();
   const [fromDate, setFromDate] = useState(format(subDays(new Date(), 7), 'yyyy-MM-dd'));
   const [toDate, setToDate] = useState(format(new Date(), 'yyyy-MM-dd'));
   const [activePreset, setActivePreset] = useState(7);
+  const [includeAgp, setIncludeAgp] = useState(true);
   const [generating, setGenerating] = useState(false);
   const [error, setError] = useState(null);
   const [availableDates, setAvailableDates] = useState([]);
+  const client = useApi();
 
-  // Load available date range
+  // Load available date range (only used for the hint below the pickers)
   useEffect(() => {
-    fetch(`${API_BASE}/glucose/dates`)
-      .then(r => r.ok ? r.json() : [])
+    client.get('/glucose/dates')
       .then(dates => setAvailableDates(dates))
-      .catch(() => {});
-  }, []);
+      .catch(err => { if (!isAbortError(err)) console.error('Failed to load available dates:', err); });
+  }, [client]);
 
   const handlePreset = (days) => {
     const to = new Date();
@@ -45,13 +49,13 @@ export default function ReportsPage() {
     setGenerating(true);
     setError(null);
     try {
-      const res = await fetch(`${API_BASE}/reports/pdf?from=${fromDate}&to=${toDate}`);
-      if (!res.ok) {
-        const errData = await res.json().catch(() => null);
-        throw new Error(errData?.message || `Server error: ${res.status}`);
-      }
-
-      const blob = await res.blob();
+      // Rendering a long period takes a while; don't queue a second render on timeout
+      const blob = await client.get('/reports/pdf', {
+        query: { from: fromDate, to: toDate, agp: includeAgp },
+        responseType: 'blob',
+        timeout: 120000,
+        retries: 0,
+      });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
@@ -61,7 +65,7 @@ export default function ReportsPage() {
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
     } catch (err) {
-      setError(err.message);
+      if (!isAbortError(err)) setError(err.message);
     } finally {
       setGenerating(false);
     }
@@ -138,7 +142,7 @@ export default function ReportsPage() {
             <span className="reports-content-icon">📈</span>
             <div>
               <strong>Time in Range Bar</strong>
-              <p>Visual distribution of time below, in, and above target range (70–180 mg/dL).</p>
+              <p>Visual distribution of time below, in, and above target range ({glucoseUnit.format(dayRange.low, { withUnit: false })}–{glucoseUnit.format(dayRange.high)}).</p>
             </div>
           </div>
           <div className="reports-content-item">
@@ -169,6 +173,18 @@ export default function ReportsPage() {
               <p>Histogram showing time spent in each glucose range bracket.</p>
             </div>
           </div>
+          <label className="reports-content-item reports-content-optional">
+            <input
+              type="checkbox"
+              checked={includeAgp}
+              onChange={(e) => setIncludeAgp(e.target.checked)}
+            />
+            <span className="reports-content-icon">🕒</span>
+            <div>
+              <strong>Ambulatory Glucose Profile (optional page)</strong>
+              <p>All days overlaid on a single 24-hour day: median with 25–75% and 5–95% percentile bands. Best with 14+ days.</p>
+            </div>
+          </label>
           <div className="reports-content-item">
             <span className="reports-content-icon">🤖</span>
             <div>
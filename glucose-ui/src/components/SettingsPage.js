@@ -1,6 +1,12 @@
-import React, { useState, useEffect } from 'react';
-
-const API_BASE = process.env.REACT_APP_API_URL || '/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import { MG_DL, UNIT_OPTIONS } from '../config/glucoseUnits';
+import { DEFAULT_TARGET_RANGES } from '../config/targetRanges';
+import { DEFAULT_ALERT_SETTINGS } from '../config/alertRules';
+import { DEFAULT_STALE_AFTER_MINUTES } from '../config/dataFreshness';
+import { useGlucoseUnit } from '../context/DisplaySettingsContext';
+import { isAbortError } from '../api/client';
+import useApi from '../hooks/useApi';
+import { showError } from './Toaster';
 
 const REGIONS = [
   { value: 'eu', label: 'Europe (EU)' },
@@ -15,7 +21,51 @@ const REGIONS = [
   { value: 'ca', label: 'Canada (CA)' },
 ];
 
+const THRESHOLD_FIELDS = [
+  { key: 'veryLow', label: 'Very Low' },
+  { key: 'low', label: 'Low' },
+  { key: 'high', label: 'High' },
+  { key: 'veryHigh', label: 'Very High' },
+];
+
+// Range thresholds are edited in the display unit and sent to the API in mg/dL
+function thresholdsToForm(thresholds, glucoseUnit) {
+  return Object.fromEntries(THRESHOLD_FIELDS.map(({ key }) => [key, String(glucoseUnit.toDisplay(thresholds[key]))]));
+}
+
+function thresholdsFromForm(form, glucoseUnit) {
+  return Object.fromEntries(THRESHOLD_FIELDS.map(({ key }) => [key, glucoseUnit.fromDisplay(form[key])]));
+}
+
+const ALERT_THRESHOLD_FIELDS = [
+  { key: 'urgentLow', toggle: 'urgentLowEnabled', label: 'Urgent Low', hint: 'Also notifies during quiet hours' },
+  { key: 'low', toggle: 'lowEnabled', label: 'Low' },
+  { key: 'high', toggle: 'highEnabled', label: 'High' },
+];
+
+function alertsToForm(alerts, glucoseUnit) {
+  const form = { ...alerts };
+  ALERT_THRESHOLD_FIELDS.forEach(({ key }) => { form[key] = String(glucoseUnit.toDisplay(alerts[key])); });
+  return form;
+}
+
+function alertsFromForm(form, glucoseUnit) {
+  const alerts = {
+    ...form,
+    noDataMinutes: parseInt(form.noDataMinutes, 10),
+    reAlertMinutes: parseInt(form.reAlertMinutes, 10),
+    snoozeMinutes: parseInt(form.snoozeMinutes, 10),
+  };
+  ALERT_THRESHOLD_FIELDS.forEach(({ key }) => { alerts[key] = glucoseUnit.fromDisplay(form[key]); });
+  return alerts;
+}
+
+function currentNotificationPermission() {
+  return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
 function SettingsPage() {
+  const glucoseUnit = useGlucoseUnit();
   const [settings, setSettings] = useState({
     email: '',
     password: '',
@@ -32,6 +82,15 @@ function SettingsPage() {
     gptModelName: 'gpt-4o-mini',
     timeZone: 'Europe/Warsaw',
   });
+  const [displaySettings, setDisplaySettings] = useState({
+    glucoseUnit: MG_DL,
+    staleAfterMinutes: DEFAULT_STALE_AFTER_MINUTES,
+  });
+  const [rangeSettings, setRangeSettings] = useState(DEFAULT_TARGET_RANGES);
+  const [rangeForm, setRangeForm] = useState(null);
+  const [alertSettings, setAlertSettings] = useState(DEFAULT_ALERT_SETTINGS);
+  const [alertForm, setAlertForm] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(currentNotificationPermission);
   const [isConfigured, setIsConfigured] = useState(false);
   const [isAnalysisConfigured, setIsAnalysisConfigured] = useState(false);
   const [backupStatus, setBackupStatus] = useState(null);
@@ -40,42 +99,58 @@ function SettingsPage() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [savingAnalysis, setSavingAnalysis] = useState(false);
+  const [savingDisplay, setSavingDisplay] = useState(false);
+  const [savingRanges, setSavingRanges] = useState(false);
+  const [savingAlerts, setSavingAlerts] = useState(false);
   const [testing, setTesting] = useState(false);
   const [message, setMessage] = useState(null);
   const [analysisMessage, setAnalysisMessage] = useState(null);
+  const [displayMessage, setDisplayMessage] = useState(null);
+  const [rangeMessage, setRangeMessage] = useState(null);
+  const [alertMessage, setAlertMessage] = useState(null);
   const [testResult, setTestResult] = useState(null);
+  const client = useApi();
 
-  useEffect(() => {
-    fetchSettings();
-  }, []);
-
-  const fetchSettings = async () => {
-    try {
-      const [settingsRes, analysisRes, backupRes] = await Promise.all([
-        fetch(`${API_BASE}/settings`),
-        fetch(`${API_BASE}/settings/analysis`),
-        fetch(`${API_BASE}/settings/backup`),
-      ]);
-      if (settingsRes.ok) {
-        const data = await settingsRes.json();
+  const fetchSettings = useCallback(async () => {
+    // Load every card independently so one failing endpoint doesn't blank the page
+    const failures = [];
+    const load = (path, apply) => client.get(path).then(apply).catch(err => {
+      if (!isAbortError(err)) failures.push(err);
+    });
+    await Promise.all([
+      load('/settings', data => {
         setSettings(data);
         setIsConfigured(data.isConfigured);
-      }
-      if (analysisRes.ok) {
-        const data = await analysisRes.json();
+      }),
+      load('/settings/analysis', data => {
         setAnalysisSettings(data);
         setIsAnalysisConfigured(data.isConfigured);
-      }
-      if (backupRes.ok) {
-        const data = await backupRes.json();
-        setBackupStatus(data);
-      }
-    } catch (err) {
-      setMessage({ type: 'error', text: 'Failed to load settings.' });
-    } finally {
-      setLoading(false);
-    }
-  };
+      }),
+      load('/settings/display', setDisplaySettings),
+      load('/settings/ranges', setRangeSettings),
+      load('/settings/alerts', data => setAlertSettings({ ...DEFAULT_ALERT_SETTINGS, ...data })),
+      load('/settings/backup', setBackupStatus),
+    ]);
+    if (failures.length > 0) showError(failures[0], 'Failed to load settings');
+    setLoading(false);
+  }, [client]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  // Re-derive the editable range values whenever the saved profile or the display unit changes
+  useEffect(() => {
+    setRangeForm({
+      ...rangeSettings,
+      day: thresholdsToForm(rangeSettings.day, glucoseUnit),
+      night: thresholdsToForm(rangeSettings.night, glucoseUnit),
+    });
+  }, [rangeSettings, glucoseUnit]);
+
+  useEffect(() => {
+    setAlertForm(alertsToForm(alertSettings, glucoseUnit));
+  }, [alertSettings, glucoseUnit]);
 
   const [restoring, setRestoring] = useState(null); // fileName being restored
   const [confirmRestore, setConfirmRestore] = useState(null); // fileName pending confirmation
@@ -84,14 +159,12 @@ function SettingsPage() {
     setBackingUp(true);
     setBackupMessage(null);
     try {
-      const res = await fetch(`${API_BASE}/settings/backup`, { method: 'POST' });
-      const data = await res.json();
-      setBackupMessage({ type: res.ok ? 'success' : 'error', text: data.message });
+      const data = await client.post('/settings/backup');
+      setBackupMessage({ type: 'success', text: data.message });
       // Refresh backup status
-      const statusRes = await fetch(`${API_BASE}/settings/backup`);
-      if (statusRes.ok) setBackupStatus(await statusRes.json());
+      setBackupStatus(await client.get('/settings/backup'));
     } catch (err) {
-      setBackupMessage({ type: 'error', text: 'Failed to trigger backup.' });
+      if (!isAbortError(err)) setBackupMessage({ type: 'error', text: err.message || 'Failed to trigger backup.' });
     } finally {
       setBackingUp(false);
     }
@@ -102,15 +175,11 @@ function SettingsPage() {
     setRestoring(fileName);
     setBackupMessage(null);
     try {
-      const res = await fetch(`${API_BASE}/settings/backup/restore`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ fileName }),
-      });
-      const data = await res.json();
-      setBackupMessage({ type: res.ok ? 'success' : 'error', text: data.message });
+      // Restores can take a while on large databases
+      const data = await client.post('/settings/backup/restore', { fileName }, { timeout: 300000 });
+      setBackupMessage({ type: 'success', text: data.message });
     } catch (err) {
-      setBackupMessage({ type: 'error', text: 'Failed to restore from backup.' });
+      if (!isAbortError(err)) setBackupMessage({ type: 'error', text: err.message || 'Failed to restore from backup.' });
     } finally {
       setRestoring(null);
     }
@@ -130,21 +199,11 @@ function SettingsPage() {
     setMessage(null);
 
     try {
-      const res = await fetch(`${API_BASE}/settings`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(settings),
-      });
-
-      if (res.ok) {
-        setMessage({ type: 'success', text: 'Settings saved successfully! Data fetching will start/restart shortly.' });
-        setIsConfigured(true);
-      } else {
-        const data = await res.json();
-        setMessage({ type: 'error', text: data.message || 'Failed to save settings.' });
-      }
+      await client.put('/settings', settings);
+      setMessage({ type: 'success', text: 'Settings saved successfully! Data fetching will start/restart shortly.' });
+      setIsConfigured(true);
     } catch (err) {
-      setMessage({ type: 'error', text: 'Failed to save settings.' });
+      if (!isAbortError(err)) setMessage({ type: 'error', text: err.message || 'Failed to save settings.' });
     } finally {
       setSaving(false);
     }
@@ -155,20 +214,13 @@ function SettingsPage() {
     setTestResult(null);
 
     try {
-      const res = await fetch(`${API_BASE}/settings/test`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(settings),
-      });
-
-      if (res.ok) {
-        const data = await res.json();
-        setTestResult(data);
-      } else {
-        setTestResult({ success: false, message: 'Request failed.' });
-      }
+      setTestResult(await client.post('/settings/test', settings));
     } catch (err) {
-      setTestResult({ success: false, message: 'Could not connect to API.' });
+      if (isAbortError(err)) return;
+      setTestResult({
+        success: false,
+        message: err.kind === 'http' ? 'Request failed.' : 'Could not connect to API.',
+      });
     } finally {
       setTesting(false);
     }
@@ -189,26 +241,103 @@ function SettingsPage() {
     setAnalysisMessage(null);
 
     try {
-      const res = await fetch(`${API_BASE}/settings/analysis`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(analysisSettings),
-      });
-
-      if (res.ok) {
-        setAnalysisMessage({ type: 'success', text: 'Analysis settings saved successfully!' });
-        setIsAnalysisConfigured(true);
-      } else {
-        const data = await res.json();
-        setAnalysisMessage({ type: 'error', text: data.message || 'Failed to save analysis settings.' });
-      }
+      await client.put('/settings/analysis', analysisSettings);
+      setAnalysisMessage({ type: 'success', text: 'Analysis settings saved successfully!' });
+      setIsAnalysisConfigured(true);
+      // The display timezone lives here; day-based charts re-read it from the display settings context
+      window.dispatchEvent(new CustomEvent('displaySettingsUpdated'));
     } catch (err) {
-      setAnalysisMessage({ type: 'error', text: 'Failed to save analysis settings.' });
+      if (!isAbortError(err)) setAnalysisMessage({ type: 'error', text: err.message || 'Failed to save analysis settings.' });
     } finally {
       setSavingAnalysis(false);
     }
   };
 
+  const handleDisplayChange = (e) => {
+    const { name, value, type } = e.target;
+    setDisplaySettings(prev => ({ ...prev, [name]: type === 'number' ? parseInt(value, 10) || 0 : value }));
+  };
+
+  const handleSaveDisplay = async (e) => {
+    e.preventDefault();
+    setSavingDisplay(true);
+    setDisplayMessage(null);
+
+    try {
+      await client.put('/settings/display', displaySettings);
+      setDisplayMessage({ type: 'success', text: 'Display settings saved successfully!' });
+      // Let the rest of the UI pick up the new unit
+      window.dispatchEvent(new CustomEvent('displaySettingsUpdated'));
+    } catch (err) {
+      if (!isAbortError(err)) setDisplayMessage({ type: 'error', text: err.message || 'Failed to save display settings.' });
+    } finally {
+      setSavingDisplay(false);
+    }
+  };
+
+  const handleRangeChange = (period, key) => (e) => {
+    const { value } = e.target;
+    setRangeForm(prev => ({ ...prev, [period]: { ...prev[period], [key]: value } }));
+  };
+
+  const handleRangeFieldChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRangeForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSaveRanges = async (e) => {
+    e.preventDefault();
+    setSavingRanges(true);
+    setRangeMessage(null);
+
+    const payload = {
+      ...rangeForm,
+      day: thresholdsFromForm(rangeForm.day, glucoseUnit),
+      night: thresholdsFromForm(rangeForm.night, glucoseUnit),
+    };
+
+    try {
+      await client.put('/settings/ranges', payload);
+      setRangeSettings(payload);
+      setRangeMessage({ type: 'success', text: 'Target ranges saved successfully!' });
+      // Charts, tables and stat cards re-read the ranges from the display settings context
+      window.dispatchEvent(new CustomEvent('displaySettingsUpdated'));
+    } catch (err) {
+      if (!isAbortError(err)) setRangeMessage({ type: 'error', text: err.message || 'Failed to save target ranges.' });
+    } finally {
+      setSavingRanges(false);
+    }
+  };
+
+  const handleAlertFieldChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setAlertForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleRequestPermission = async () => {
+    if (!('Notification' in window)) return;
+    setNotificationPermission(await Notification.requestPermission());
+  };
+
+  const handleSaveAlerts = async (e) => {
+    e.preventDefault();
+    setSavingAlerts(true);
+    setAlertMessage(null);
+
+    const payload = alertsFromForm(alertForm, glucoseUnit);
+
+    try {
+      await client.put('/settings/alerts', payload);
+      setAlertSettings(payload);
+      setAlertMessage({ type: 'success', text: 'Alert settings saved successfully!' });
+      window.dispatchEvent(new CustomEvent('alertSettingsUpdated'));
+    } catch (err) {
+      if (!isAbortError(err)) setAlertMessage({ type: 'error', text: err.message || 'Failed to save alert settings.' });
+    } finally {
+      setSavingAlerts(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="settings-page">
@@ -500,6 +629,355 @@ function SettingsPage() {
           </div>
         </form>
       </div>
+
+      {/* ── Display Settings ───────────────────────────── */}
+      <div className="settings-card" style={{ marginTop: 24 }}>
+        <div className="settings-header">
+          <h2>📏 Display</h2>
+          <p>Choose how glucose values are shown. Data is always stored in mg/dL.</p>
+        </div>
+
+        <form onSubmit={handleSaveDisplay}>
+          <div className="form-section">
+            <h3>Units</h3>
+            <div className="form-group">
+              <label htmlFor="glucoseUnit">Glucose Unit</label>
+              <select
+                id="glucoseUnit"
+                name="glucoseUnit"
+                value={displaySettings.glucoseUnit || MG_DL}
+                onChange={handleDisplayChange}
+              >
+                {UNIT_OPTIONS.map(u => (
+                  <option key={u.value} value={u.value}>{u.label}</option>
+                ))}
+              </select>
+              <span className="form-hint">Applies to all charts, tables, tooltips and CSV exports (1 mmol/L ≈ 18 mg/dL)</span>
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>Data Freshness</h3>
+            <div className="form-group">
+              <label htmlFor="staleAfterMinutes">Stale After (minutes)</label>
+              <input
+                type="number"
+                id="staleAfterMinutes"
+                name="staleAfterMinutes"
+                value={displaySettings.staleAfterMinutes}
+                onChange={handleDisplayChange}
+                min="5"
+                max="720"
+                required
+              />
+              <span className="form-hint">The current reading is flagged once it is older than this, and charts and tables mark longer spacings between readings as gaps</span>
+            </div>
+          </div>
+
+          {displayMessage && (
+            <div className={`message ${displayMessage.type}`}>
+              {displayMessage.text}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="submit" className="btn-save" disabled={savingDisplay}>
+              {savingDisplay ? 'Saving...' : 'Save Display Settings'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* ── Target Ranges ──────────────────────────────── */}
+      {rangeForm && (
+        <div className="settings-card" style={{ marginTop: 24 }}>
+          <div className="settings-header">
+            <h2>🎯 Target Ranges</h2>
+            <p>Thresholds used for time-in-range, chart bands, colors and AI analyses. Values are in {glucoseUnit.unit}.</p>
+          </div>
+
+          <form onSubmit={handleSaveRanges}>
+            <div className="form-section">
+              <h3>Day</h3>
+              <div className="form-row">
+                {THRESHOLD_FIELDS.map(({ key, label }) => (
+                  <div className="form-group" key={key}>
+                    <label htmlFor={`day-${key}`}>{label}</label>
+                    <input
+                      type="number"
+                      id={`day-${key}`}
+                      value={rangeForm.day[key]}
+                      onChange={handleRangeChange('day', key)}
+                      step="any"
+                      min="0"
+                      required
+                    />
+                  </div>
+                ))}
+              </div>
+              <span className="form-hint">Readings between Low and High count as in range; below Very Low / above Very High count as urgent.</span>
+            </div>
+
+            <div className="form-section">
+              <h3>Night</h3>
+              <label className="form-check">
+                <input
+                  type="checkbox"
+                  name="nightEnabled"
+                  checked={!!rangeForm.nightEnabled}
+                  onChange={handleRangeFieldChange}
+                />
+                Use a different range at night
+              </label>
+
+              {rangeForm.nightEnabled && (
+                <>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="nightStart">Night Starts</label>
+                      <input
+                        type="time"
+                        id="nightStart"
+                        name="nightStart"
+                        value={rangeForm.nightStart}
+                        onChange={handleRangeFieldChange}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label htmlFor="nightEnd">Night Ends</label>
+                      <input
+                        type="time"
+                        id="nightEnd"
+                        name="nightEnd"
+                        value={rangeForm.nightEnd}
+                        onChange={handleRangeFieldChange}
+                        required
+                      />
+                    </div>
+                  </div>
+                  <div className="form-row">
+                    {THRESHOLD_FIELDS.map(({ key, label }) => (
+                      <div className="form-group" key={key}>
+                        <label htmlFor={`night-${key}`}>{label}</label>
+                        <input
+                          type="number"
+                          id={`night-${key}`}
+                          value={rangeForm.night[key]}
+                          onChange={handleRangeChange('night', key)}
+                          step="any"
+                          min="0"
+                          required
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <span className="form-hint">Night is evaluated in the Display Timezone; a window like 22:00–06:00 spans midnight.</span>
+                </>
+              )}
+            </div>
+
+            {rangeMessage && (
+              <div className={`message ${rangeMessage.type}`}>
+                {rangeMessage.text}
+              </div>
+            )}
+
+            <div className="form-actions">
+              <button type="submit" className="btn-save" disabled={savingRanges}>
+                {savingRanges ? 'Saving...' : 'Save Target Ranges'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* ── Alerts ─────────────────────────────────────── */}
+      {alertForm && (
+        <div className="settings-card" style={{ marginTop: 24 }}>
+          <div className="settings-header">
+            <h2>🔔 Alerts</h2>
+            <p>Browser notifications for new readings while this app is open. Thresholds are in {glucoseUnit.unit}.</p>
+          </div>
+
+          <form onSubmit={handleSaveAlerts}>
+            <div className="form-section">
+              <h3>Notifications</h3>
+              <label className="form-check">
+                <input
+                  type="checkbox"
+                  name="enabled"
+                  checked={!!alertForm.enabled}
+                  onChange={handleAlertFieldChange}
+                />
+                Enable glucose alerts
+              </label>
+              <div className="alert-permission">
+                {notificationPermission === 'granted' && (
+                  <span className="form-hint">✓ Notifications are allowed in this browser.</span>
+                )}
+                {notificationPermission === 'default' && (
+                  <button type="button" className="btn-test" onClick={handleRequestPermission}>
+                    Allow Browser Notifications
+                  </button>
+                )}
+                {notificationPermission === 'denied' && (
+                  <span className="form-hint">Notifications are blocked — allow them in the browser's site settings. Alerts still show as a banner.</span>
+                )}
+                {notificationPermission === 'unsupported' && (
+                  <span className="form-hint">This browser does not support notifications. Alerts still show as a banner.</span>
+                )}
+              </div>
+            </div>
+
+            <div className="form-section">
+              <h3>Rules</h3>
+              <div className="form-row">
+                {ALERT_THRESHOLD_FIELDS.map(({ key, toggle, label, hint }) => (
+                  <div className="form-group" key={key}>
+                    <label className="form-check">
+                      <input
+                        type="checkbox"
+                        name={toggle}
+                        checked={!!alertForm[toggle]}
+                        onChange={handleAlertFieldChange}
+                      />
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      name={key}
+                      value={alertForm[key]}
+                      onChange={handleAlertFieldChange}
+                      disabled={!alertForm[toggle]}
+                      step="any"
+                      min="0"
+                      required
+                    />
+                    {hint && <span className="form-hint">{hint}</span>}
+                  </div>
+                ))}
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-check">
+                    <input
+                      type="checkbox"
+                      name="rapidFallEnabled"
+                      checked={!!alertForm.rapidFallEnabled}
+                      onChange={handleAlertFieldChange}
+                    />
+                    Rapid fall
+                  </label>
+                  <span className="form-hint">When LibreLink reports a ↓↓ trend</span>
+                </div>
+                <div className="form-group">
+                  <label className="form-check">
+                    <input
+                      type="checkbox"
+                      name="noDataEnabled"
+                      checked={!!alertForm.noDataEnabled}
+                      onChange={handleAlertFieldChange}
+                    />
+                    No data for (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    name="noDataMinutes"
+                    value={alertForm.noDataMinutes}
+                    onChange={handleAlertFieldChange}
+                    disabled={!alertForm.noDataEnabled}
+                    min="5"
+                    max="1440"
+                    required
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="form-section">
+              <h3>Timing</h3>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="reAlertMinutes">Re-alert Every (minutes)</label>
+                  <input
+                    type="number"
+                    id="reAlertMinutes"
+                    name="reAlertMinutes"
+                    value={alertForm.reAlertMinutes}
+                    onChange={handleAlertFieldChange}
+                    min="1"
+                    required
+                  />
+                  <span className="form-hint">Repeats while the alert stays active</span>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="snoozeMinutes">Snooze Length (minutes)</label>
+                  <input
+                    type="number"
+                    id="snoozeMinutes"
+                    name="snoozeMinutes"
+                    value={alertForm.snoozeMinutes}
+                    onChange={handleAlertFieldChange}
+                    min="1"
+                    required
+                  />
+                  <span className="form-hint">Offered by the alert banner; snoozes apply to this device</span>
+                </div>
+              </div>
+              <label className="form-check">
+                <input
+                  type="checkbox"
+                  name="quietHoursEnabled"
+                  checked={!!alertForm.quietHoursEnabled}
+                  onChange={handleAlertFieldChange}
+                />
+                Quiet hours
+              </label>
+              {alertForm.quietHoursEnabled && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="quietStart">Quiet From</label>
+                    <input
+                      type="time"
+                      id="quietStart"
+                      name="quietStart"
+                      value={alertForm.quietStart}
+                      onChange={handleAlertFieldChange}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="quietEnd">Quiet Until</label>
+                    <input
+                      type="time"
+                      id="quietEnd"
+                      name="quietEnd"
+                      value={alertForm.quietEnd}
+                      onChange={handleAlertFieldChange}
+                      required
+                    />
+                  </div>
+                </div>
+              )}
+              <span className="form-hint">During quiet hours only urgent lows send a notification; other alerts still show in the banner.</span>
+            </div>
+
+            {alertMessage && (
+              <div className={`message ${alertMessage.type}`}>
+                {alertMessage.text}
+              </div>
+            )}
+
+            <div className="form-actions">
+              <button type="submit" className="btn-save" disabled={savingAlerts}>
+                {savingAlerts ? 'Saving...' : 'Save Alerts'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
       {/* ── Database Backup ────────────────────────────── */}
       <div className="settings-card" style={{ marginTop: 24 }}>
         <div className="settings-header">
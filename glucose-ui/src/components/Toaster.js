@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { isAbortError } from '../api/client';
+
+const TOAST_EVENT = 'toast';
+const DISMISS_AFTER_MS = { error: 8000, success: 4000, info: 5000 };
+const MAX_TOASTS = 4;
+
+/**
+ * Shows a toast from anywhere. `type` is `error`, `success` or `info`.
+ * Goes through a window CustomEvent like the SignalR notifications, so
+ * callers need no context or prop.
+ */
+export function showToast(message, type = 'info') {
+  if (!message) return;
+  window.dispatchEvent(new CustomEvent(TOAST_EVENT, { detail: { message, type } }));
+}
+
+/**
+ * Error toast for a failed request. Cancelled requests (e.g. a page that
+ * unmounted mid-fetch) are ignored. `context` prefixes the message, e.g.
+ * "Failed to save settings".
+ */
+export function showError(err, context) {
+  if (isAbortError(err)) return;
+  console.error(context || 'Request failed', err);
+  const message = err?.message || 'Something went wrong.';
+  showToast(context ? `${context}: ${message}` : message, 'error');
+}
+
+/** Stack of auto-dismissing notifications, mounted once in App. */
+function Toaster() {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismiss = useCallback((id) => {
+    setToasts(prev => prev.filter(t => t.id !== id));
+  }, []);
+
+  useEffect(() => {
+    const timers = new Set();
+    const handleToast = (e) => {
+      const { message, type } = e.detail;
+      const id = ++nextId.current;
+      setToasts(prev => {
+        // Collapse repeats of the same message (e.g. several requests failing at once)
+        if (prev.some(t => t.message === message && t.type === type)) return prev;
+        return [...prev, { id, message, type }].slice(-MAX_TOASTS);
+      });
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        dismiss(id);
+      }, DISMISS_AFTER_MS[type] || DISMISS_AFTER_MS.info);
+      timers.add(timer);
+    };
+    window.addEventListener(TOAST_EVENT, handleToast);
+    return () => {
+      window.removeEventListener(TOAST_EVENT, handleToast);
+      timers.forEach(clearTimeout);
+    };
+  }, [dismiss]);
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="toaster" role="status" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast toast-${toast.type}`}>
+          <span className="toast-message">{toast.message}</span>
+          <button className="toast-close" onClick={() => dismiss(toast.id)} title="Dismiss">✕</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Toaster;
@@ -0,0 +1,110 @@
+import { readingAgeMinutes } from './dataFreshness';
+
+/**
+ * Browser alert rules. Settings are loaded from /api/settings/alerts
+ * (thresholds in mg/dL, intervals in minutes); these defaults apply until
+ * they arrive. Snoozes are per device and live in localStorage.
+ */
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: false,
+  urgentLowEnabled: true,
+  urgentLow: 54,
+  lowEnabled: true,
+  low: 70,
+  highEnabled: true,
+  high: 250,
+  rapidFallEnabled: true,
+  noDataEnabled: true,
+  noDataMinutes: 30,
+  reAlertMinutes: 30,
+  snoozeMinutes: 60,
+  quietHoursEnabled: false,
+  quietStart: '23:00',
+  quietEnd: '07:00',
+};
+
+/** Rule metadata in priority order. Urgent rules ignore quiet hours. */
+export const ALERT_RULES = {
+  urgentLow: { title: 'Urgent low', icon: '🚨', urgent: true },
+  low:       { title: 'Low glucose', icon: '⬇️', urgent: false },
+  high:      { title: 'High glucose', icon: '⬆️', urgent: false },
+  rapidFall: { title: 'Falling fast', icon: '↓↓', urgent: false },
+  noData:    { title: 'No data', icon: '📡', urgent: false },
+};
+
+const SNOOZE_STORAGE_KEY = 'glucoseAlerts.snoozedUntil';
+
+function minutesOf(hhmm) {
+  const [h, m] = (hhmm || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+/** Whether `now` falls inside the quiet-hours window (local time, may wrap midnight). */
+export function isQuietTime(settings, now = new Date()) {
+  if (!settings.quietHoursEnabled) return false;
+  const minute = now.getHours() * 60 + now.getMinutes();
+  const start = minutesOf(settings.quietStart);
+  const end = minutesOf(settings.quietEnd);
+  if (start === end) return false;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Rules triggered by the latest reading at time `now` (epoch ms). Returns
+ * `[{ id, value, minutes }]` in priority order. A stale reading only raises
+ * "no data" — its value no longer describes the current glucose — and an
+ * urgent low supersedes the plain low.
+ */
+export function evaluateAlerts(settings, reading, now = Date.now()) {
+  if (!settings.enabled || !reading) return [];
+
+  const ageMinutes = readingAgeMinutes(reading.timestamp, now);
+  if (settings.noDataEnabled && ageMinutes >= settings.noDataMinutes) {
+    return [{ id: 'noData', minutes: Math.floor(ageMinutes) }];
+  }
+
+  const triggered = [];
+  const { value } = reading;
+  if (settings.urgentLowEnabled && value <= settings.urgentLow) {
+    triggered.push({ id: 'urgentLow', value });
+  } else if (settings.lowEnabled && value <= settings.low) {
+    triggered.push({ id: 'low', value });
+  }
+  if (settings.highEnabled && value >= settings.high) {
+    triggered.push({ id: 'high', value });
+  }
+  if (settings.rapidFallEnabled && reading.trendArrow === 1) {
+    triggered.push({ id: 'rapidFall', value });
+  }
+  return triggered;
+}
+
+/** Notification body for a triggered rule; `format` renders mg/dL in the display unit. */
+export function alertMessage(alert, format) {
+  switch (alert.id) {
+    case 'noData':
+      return `No new glucose reading for ${alert.minutes} minutes.`;
+    case 'rapidFall':
+      return `Glucose is falling rapidly — currently ${format(alert.value)}.`;
+    default:
+      return `Glucose is ${format(alert.value)}.`;
+  }
+}
+
+/** `{ [ruleId]: untilEpochMs }` with expired entries dropped. */
+export function loadSnoozes(now = Date.now()) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SNOOZE_STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(stored).filter(([, until]) => until > now));
+  } catch {
+    return {};
+  }
+}
+
+export function saveSnoozes(snoozes) {
+  try {
+    localStorage.setItem(SNOOZE_STORAGE_KEY, JSON.stringify(snoozes));
+  } catch (err) {
+    console.error('Failed to store alert snoozes:', err);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Chart image export: turns a rendered Recharts <svg> into a standalone SVG
+ * with a caption (title, date range, unit, target band) on the app's dark
+ * background, and rasterizes it to PNG for download or the clipboard.
+ */
+
+const BACKGROUND = '#0f172a';
+const FONT_FAMILY = "Inter, 'Segoe UI', Helvetica, Arial, sans-serif";
+const HEADER_HEIGHT = 78;
+const FOOTER_HEIGHT = 26;
+const PADDING = 16;
+const PNG_SCALE = 2;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** The main chart surface inside `container`: the largest Recharts svg (legend icons are svgs too). */
+export function findChartSvg(container) {
+  const surfaces = [...(container?.querySelectorAll('svg.recharts-surface') || [])];
+  return surfaces.reduce((best, svg) => {
+    const { width, height } = svg.getBoundingClientRect();
+    return !best || width * height > best.area ? { svg, area: width * height } : best;
+  }, null)?.svg || null;
+}
+
+// Text is styled by the page's CSS, which an exported file doesn't carry
+function inlineTextStyles(source, clone) {
+  const sourceNodes = source.querySelectorAll('text, tspan');
+  const cloneNodes = clone.querySelectorAll('text, tspan');
+  sourceNodes.forEach((node, i) => {
+    const style = window.getComputedStyle(node);
+    const target = cloneNodes[i];
+    if (!target) return;
+    target.setAttribute('fill', style.fill);
+    target.setAttribute('font-size', style.fontSize);
+    target.setAttribute('font-weight', style.fontWeight);
+    target.setAttribute('font-family', FONT_FAMILY);
+  });
+}
+
+/**
+ * Standalone SVG markup for `svg` with a caption above it.
+ * `caption`: `{ title, subtitle, unit, target: { low, high } (display units) }`.
+ * Returns `{ markup, width, height }`.
+ */
+export function buildChartSvg(svg, { title, subtitle, unit, target }) {
+  const { width: chartWidth, height: chartHeight } = svg.getBoundingClientRect();
+  const width = Math.round(chartWidth) + PADDING * 2;
+  const height = Math.round(chartHeight) + HEADER_HEIGHT + FOOTER_HEIGHT;
+
+  const clone = svg.cloneNode(true);
+  inlineTextStyles(svg, clone);
+  clone.setAttribute('x', PADDING);
+  clone.setAttribute('y', HEADER_HEIGHT);
+  clone.setAttribute('width', Math.round(chartWidth));
+  clone.setAttribute('height', Math.round(chartHeight));
+  clone.removeAttribute('class');
+  clone.removeAttribute('style');
+
+  const meta = [
+    `Glucose in ${unit}`,
+    target && `Target range ${target.low}–${target.high} ${unit}`,
+  ].filter(Boolean).join('   ·   ');
+
+  const markup = [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<rect width="100%" height="100%" fill="${BACKGROUND}"/>`,
+    `<text x="${PADDING}" y="28" fill="#e2e8f0" font-size="17" font-weight="700">${escapeXml(title)}</text>`,
+    subtitle ? `<text x="${PADDING}" y="48" fill="#94a3b8" font-size="12">${escapeXml(subtitle)}</text>` : '',
+    target ? `<rect x="${PADDING}" y="59" width="14" height="8" rx="2" fill="#4ade80" fill-opacity="0.35" stroke="#4ade80" stroke-opacity="0.6"/>` : '',
+    `<text x="${PADDING + (target ? 20 : 0)}" y="67" fill="#94a3b8" font-size="11">${escapeXml(meta)}</text>`,
+    new XMLSerializer().serializeToString(clone),
+    `<text x="${width - PADDING}" y="${height - 9}" fill="#64748b" font-size="10" text-anchor="end">Glucose Monitor · exported ${escapeXml(new Date().toLocaleString())}</text>`,
+    '</svg>',
+  ].join('');
+
+  return { markup, width, height };
+}
+
+/** Rasterizes SVG markup (from buildChartSvg) to a PNG blob at twice its size, for sharp pasting. */
+export function svgToPng({ markup, width, height }) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * PNG_SCALE;
+      canvas.height = height * PNG_SCALE;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(PNG_SCALE, PNG_SCALE);
+      ctx.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image.'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the chart image.'));
+    };
+    image.src = url;
+  });
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Puts the PNG from `renderPng()` on the clipboard. Support is checked before
+ * rendering starts, and the PNG promise is handed over unresolved so the copy
+ * still counts as part of the click (Safari requires that).
+ */
+export async function copyPngToClipboard(renderPng) {
+  if (!navigator.clipboard?.write || !window.ClipboardItem) {
+    throw new Error('Copying images is not supported in this browser — use Export PNG instead.');
+  }
+  await navigator.clipboard.write([new window.ClipboardItem({ 'image/png': renderPng() })]);
+}
+
+/** File-name friendly version of a chart title, e.g. "glucose-trend". */
+export const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
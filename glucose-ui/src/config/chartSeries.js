@@ -0,0 +1,76 @@
+/**
+ * Helpers for long time series (`{ time, value }` points, ascending by
+ * epoch ms `time`): downsampling for drawing and binary-search lookups.
+ */
+
+/** Index of the first point with `time >= target` (points.length if none). */
+export function lowerBound(points, target) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** The point closest in time to `target`, or null for an empty series. */
+export function nearestPoint(points, target) {
+  if (points.length === 0) return null;
+  const i = lowerBound(points, target);
+  if (i === 0) return points[0];
+  if (i === points.length) return points[i - 1];
+  return target - points[i - 1].time <= points[i].time - target ? points[i - 1] : points[i];
+}
+
+/**
+ * Shape-preserving downsampling (Largest-Triangle-Three-Buckets): keeps the
+ * first and last point and, from each of `threshold - 2` equal buckets, the
+ * point forming the largest triangle with its neighbours — so peaks and
+ * troughs survive. Returns a subset of `points` (same objects, same order);
+ * series that already fit are returned unchanged.
+ */
+export function downsample(points, threshold) {
+  if (threshold < 3 || points.length <= threshold) return points;
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = end;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+    let avgTime = 0;
+    let avgValue = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgTime += points[j].time;
+      avgValue += points[j].value;
+    }
+    const nextCount = nextEnd - nextStart;
+    avgTime /= nextCount;
+    avgValue /= nextCount;
+
+    let maxArea = -1;
+    let picked = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (points[a].time - avgTime) * (points[j].value - points[a].value) -
+        (points[a].time - points[j].time) * (avgValue - points[a].value)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        picked = j;
+      }
+    }
+    sampled.push(points[picked]);
+    a = picked;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
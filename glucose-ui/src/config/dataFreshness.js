@@ -0,0 +1,54 @@
+/**
+ * Data freshness: how old the latest reading is and where readings are
+ * missing. The threshold comes from /api/settings/display
+ * (`staleAfterMinutes`); this default applies until it arrives.
+ */
+export const DEFAULT_STALE_AFTER_MINUTES = 20;
+
+/** Reading timestamps are UTC; values read back from SQL Server omit the trailing Z. */
+export function parseUtc(timestamp) {
+  const s = String(timestamp);
+  return new Date(/[Zz]|[+-]\d\d:\d\d$/.test(s) ? s : s + 'Z').getTime();
+}
+
+export function readingAgeMinutes(timestamp, now = Date.now()) {
+  return Math.max(0, (now - parseUtc(timestamp)) / 60000);
+}
+
+/** "just now", "7 min", "3 h 5 min", "2 d 4 h". */
+export function formatDuration(minutes) {
+  const m = Math.floor(minutes);
+  if (m < 1) return 'just now';
+  if (m < 60) return `${m} min`;
+  if (m < 1440) {
+    const rest = m % 60;
+    return rest ? `${Math.floor(m / 60)} h ${rest} min` : `${Math.floor(m / 60)} h`;
+  }
+  const hours = Math.floor((m % 1440) / 60);
+  return hours ? `${Math.floor(m / 1440)} d ${hours} h` : `${Math.floor(m / 1440)} d`;
+}
+
+/**
+ * Gaps between consecutive points (`{ time }` in epoch ms, ascending) that
+ * are further apart than `gapMs`. Returns `[{ start, end, minutes }]`.
+ */
+export function findGaps(points, gapMs) {
+  const gaps = [];
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1].time;
+    const end = points[i].time;
+    if (end - start > gapMs) gaps.push({ start, end, minutes: (end - start) / 60000 });
+  }
+  return gaps;
+}
+
+/**
+ * Copies `points` with a `{ time, value: null }` break in the middle of
+ * every gap, so a Recharts Line (connectNulls off) stops instead of drawing
+ * straight across missing data.
+ */
+export function withGapBreaks(points, gaps) {
+  if (gaps.length === 0) return points;
+  const breaks = gaps.map(g => ({ time: Math.round((g.start + g.end) / 2), value: null, gap: true }));
+  return [...points, ...breaks].sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,73 @@
+/**
+ * Absolute dashboard windows: `{ start, end }` Dates, end exclusive like
+ * /api/glucose/range. Days, midnights and the picker's input values are in
+ * the display timezone from settings, like the server's daily summaries.
+ * A window whose ends both fall on midnight is a "whole days" window and
+ * steps by calendar days, so DST changes don't shift it off the day boundary.
+ */
+import { addDays, differenceInCalendarDays, format, isSameDay, parseISO, startOfDay } from 'date-fns';
+import { toWallClock, fromWallClock } from './timeZone';
+
+const INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+const DAY_INPUT_FORMAT = 'yyyy-MM-dd';
+
+const toWall = ({ start, end }, timeZone) => ({ start: toWallClock(start, timeZone), end: toWallClock(end, timeZone) });
+const fromWall = ({ start, end }, timeZone) => ({ start: fromWallClock(start, timeZone), end: fromWallClock(end, timeZone) });
+
+export function isWholeDays(range, timeZone) {
+  const { start, end } = toWall(range, timeZone);
+  return +start === +startOfDay(start) && +end === +startOfDay(end);
+}
+
+/** Widens the window to whole days: midnight of the first day to midnight after the last. */
+export function snapToDays(range, timeZone) {
+  const { start, end } = toWall(range, timeZone);
+  const last = new Date(+end - 1);
+  return fromWall({ start: startOfDay(start), end: addDays(startOfDay(last < start ? start : last), 1) }, timeZone);
+}
+
+/** The previous (`direction` -1) or next (+1) window of the same length. */
+export function shiftRange(range, direction, timeZone) {
+  if (isWholeDays(range, timeZone)) {
+    const { start, end } = toWall(range, timeZone);
+    const days = differenceInCalendarDays(end, start) * direction;
+    return fromWall({ start: addDays(start, days), end: addDays(end, days) }, timeZone);
+  }
+  const ms = (range.end - range.start) * direction;
+  return { start: new Date(+range.start + ms), end: new Date(+range.end + ms) };
+}
+
+/**
+ * Values for the picker's inputs: `datetime-local` strings, or `date`
+ * strings with an inclusive end day in whole-day mode.
+ */
+export function toInputs(range, wholeDays, timeZone) {
+  const { start, end } = toWall(range, timeZone);
+  if (wholeDays) {
+    return { from: format(start, DAY_INPUT_FORMAT), to: format(addDays(end, -1), DAY_INPUT_FORMAT) };
+  }
+  return { from: format(start, INPUT_FORMAT), to: format(end, INPUT_FORMAT) };
+}
+
+/** Inverse of toInputs(); null when either value is missing or invalid. */
+export function fromInputs({ from, to }, wholeDays, timeZone) {
+  if (!from || !to) return null;
+  const start = parseISO(from);
+  const end = wholeDays ? addDays(parseISO(to), 1) : parseISO(to);
+  if (isNaN(start) || isNaN(end)) return null;
+  return fromWall({ start, end }, timeZone);
+}
+
+/** "Tue 4 Mar 06:00 – 14:00", "4 Mar – 10 Mar 2025" or "4 Mar 22:00 – 5 Mar 06:00". */
+export function formatRange(range, timeZone) {
+  const { start, end } = toWall(range, timeZone);
+  if (isWholeDays(range, timeZone)) {
+    const last = addDays(end, -1);
+    return isSameDay(start, last)
+      ? format(start, 'EEE d MMM yyyy')
+      : `${format(start, 'd MMM')} – ${format(last, 'd MMM yyyy')}`;
+  }
+  return isSameDay(start, new Date(+end - 1))
+    ? `${format(start, 'EEE d MMM HH:mm')} – ${format(end, 'HH:mm')}`
+    : `${format(start, 'd MMM HH:mm')} – ${format(end, 'd MMM HH:mm')}`;
+}
@@ -0,0 +1,63 @@
+/**
+ * Event types and their structured details. Ids mirror GlucoseEventTypes on
+ * the server; events created from notes have no type and use NOTE_STYLE.
+ */
+export const EVENT_TYPES = [
+  { id: 'meal', label: 'Meal', icon: '🍽️', color: '#ff6b6b' },
+  { id: 'snack', label: 'Snack', icon: '🍎', color: '#fb923c' },
+  { id: 'drink', label: 'Drink', icon: '🥤', color: '#f472b6' },
+  { id: 'insulin', label: 'Insulin', icon: '💉', color: '#38bdf8' },
+  { id: 'carbs', label: 'Carbs', icon: '🍞', color: '#fbbf24' },
+  { id: 'exercise', label: 'Exercise', icon: '🏃', color: '#4ade80' },
+  { id: 'sleep', label: 'Sleep', icon: '😴', color: '#818cf8' },
+  { id: 'illness', label: 'Illness', icon: '🤒', color: '#a3a3a3' },
+  { id: 'other', label: 'Other', icon: '📝', color: '#94a3b8' },
+];
+
+const NOTE_STYLE = { id: null, label: 'Note', icon: '🔖', color: '#ff6b6b' };
+
+export const INSULIN_KINDS = ['bolus', 'basal'];
+export const INTENSITIES = ['light', 'moderate', 'vigorous'];
+
+/** Types that can carry carbs and a bolus alongside them. */
+export const FOOD_TYPES = ['meal', 'snack', 'drink'];
+
+/** Icon, label and color for an event (by its type; notes share one style). */
+export function eventStyle(evt) {
+  return EVENT_TYPES.find(t => t.id === evt?.eventType) || NOTE_STYLE;
+}
+
+/** Minutes as "45 min" or "7 h 30 min". */
+export function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return rest ? `${Math.floor(minutes / 60)} h ${rest} min` : `${minutes / 60} h`;
+}
+
+/** Short text for an event's structured details, e.g. "4 U bolus · 45 g carbs"; null when it has none. */
+export function describeDetails(evt) {
+  const parts = [];
+  if (evt.insulinUnits != null) parts.push(`${evt.insulinUnits} U ${evt.insulinKind || 'bolus'}`);
+  if (evt.carbsGrams != null) parts.push(`${evt.carbsGrams} g carbs`);
+  if (evt.eventType === 'exercise') {
+    parts.push([evt.exerciseKind, evt.durationMinutes != null && formatMinutes(evt.durationMinutes), evt.intensity]
+      .filter(Boolean).join(', ') || 'exercise');
+  }
+  if (evt.eventType === 'sleep' && evt.durationMinutes != null) parts.push(`${formatMinutes(evt.durationMinutes)} sleep`);
+  if (evt.eventType === 'illness') parts.push('illness');
+  return parts.length ? parts.join(' · ') : null;
+}
+
+/**
+ * A daily summary's logged totals (/dailysummaries) as [{ key, label, value }],
+ * leaving out kinds nothing was logged for.
+ */
+export function summaryTotals(summary) {
+  return [
+    summary.totalBolusUnits != null && { key: 'bolus', label: '💉 Bolus', value: `${summary.totalBolusUnits} U` },
+    summary.totalBasalUnits != null && { key: 'basal', label: '💉 Basal', value: `${summary.totalBasalUnits} U` },
+    summary.totalCarbsGrams != null && { key: 'carbs', label: '🍞 Carbs', value: `${summary.totalCarbsGrams} g` },
+    summary.exerciseMinutes != null && { key: 'exercise', label: '🏃 Exercise', value: formatMinutes(summary.exerciseMinutes) },
+    summary.sleepMinutes != null && { key: 'sleep', label: '😴 Sleep', value: formatMinutes(summary.sleepMinutes) },
+  ].filter(Boolean);
+}
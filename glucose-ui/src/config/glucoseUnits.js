@@ -0,0 +1,57 @@
+/**
+ * Glucose unit conversion. The API always stores and returns mg/dL;
+ * these helpers convert only at the display boundary.
+ */
+export const MG_DL = 'mg/dL';
+export const MMOL_L = 'mmol/L';
+
+export const UNIT_OPTIONS = [
+  { value: MG_DL, label: 'mg/dL' },
+  { value: MMOL_L, label: 'mmol/L' },
+];
+
+const MGDL_PER_MMOL = 18.0182;
+
+/** Converts a mg/dL value (or delta) to the display unit without rounding, for further arithmetic. */
+export function convert(mgdl, unit) {
+  if (mgdl == null || isNaN(mgdl)) return null;
+  return unit === MMOL_L ? mgdl / MGDL_PER_MMOL : mgdl;
+}
+
+/** Converts a mg/dL value (or delta) to the display unit, rounded to that unit's precision. */
+export function toDisplay(mgdl, unit) {
+  const value = convert(mgdl, unit);
+  if (value == null) return null;
+  return unit === MMOL_L ? Math.round(value * 10) / 10 : Math.round(value);
+}
+
+/** Converts a value typed in the display unit back to mg/dL for the API. */
+export function fromDisplay(value, unit) {
+  if (value == null || value === '' || isNaN(value)) return null;
+  const num = Number(value);
+  return unit === MMOL_L ? Math.round(num * MGDL_PER_MMOL) : Math.round(num);
+}
+
+/** Formats a mg/dL value for display, e.g. "7.2 mmol/L" or "+35 mg/dL". */
+export function formatGlucose(mgdl, unit, { signed = false, withUnit = true, fallback = 'N/A' } = {}) {
+  const value = toDisplay(mgdl, unit);
+  if (value == null) return fallback;
+  const text = unit === MMOL_L ? value.toFixed(1) : String(value);
+  const sign = signed && value > 0 ? '+' : '';
+  return withUnit ? `${sign}${text} ${unit}` : `${sign}${text}`;
+}
+
+/**
+ * Y-axis ticks (in mg/dL) that land on round mmol/L numbers, so a
+ * mg/dL-scaled chart still reads 4, 6, 8… Returns undefined for mg/dL
+ * to keep recharts' own tick selection.
+ */
+export function axisTicks([minMgdl, maxMgdl], unit) {
+  if (unit !== MMOL_L) return undefined;
+  const step = 2;
+  const lo = Math.ceil(toDisplay(minMgdl, unit) / step) * step;
+  const hi = toDisplay(maxMgdl, unit);
+  const ticks = [];
+  for (let v = lo; v <= hi; v += step) ticks.push(fromDisplay(v, unit));
+  return ticks;
+}
@@ -0,0 +1,42 @@
+/**
+ * Client-side route table. Page ids match the ids used in NAV_ITEMS so the
+ * navigation bar and deep links stay in sync.
+ */
+export const PAGE_PATHS = {
+  dashboard: '/',
+  meals: '/meals',
+  food: '/food',
+  events: '/events',
+  chat: '/chat',
+  dailysummaries: '/dailysummaries',
+  calendar: '/calendar',
+  periodsummary: '/periodsummary',
+  compare: '/compare',
+  reports: '/reports',
+  import: '/import',
+  aiusage: '/aiusage',
+  eventlog: '/eventlog',
+  settings: '/settings',
+};
+
+/** Builders for entity deep links (e.g. /events/412, /dailysummaries/2026-10-03). */
+export const paths = {
+  event: (id) => `/events/${id}`,
+  dailySummary: (dateOrId) => `/dailysummaries/${dateOrId}`,
+  calendarMonth: (yearMonth) => `/calendar/${yearMonth}`,
+  periodSummary: (id) => `/periodsummary/${id}`,
+  comparison: (id) => `/compare/${id}`,
+  chatSession: (id) => `/chat/${id}`,
+};
+
+/** Resolves the page id for a pathname ("/events/412" → "events"). Unknown paths fall back to the dashboard. */
+export function pageFromPath(pathname) {
+  const segment = (pathname || '/').split('/')[1] || '';
+  const match = Object.entries(PAGE_PATHS).find(([, path]) => path === `/${segment}`);
+  return match ? match[0] : 'dashboard';
+}
+
+/** Daily summary links accept either a yyyy-MM-dd date or a numeric summary id. */
+export function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+}
@@ -0,0 +1,109 @@
+import { zonedParts } from './timeZone';
+
+/**
+ * Glucose target ranges. The profile is loaded from /api/settings/ranges
+ * (all thresholds in mg/dL); these defaults apply until it arrives.
+ */
+export const DEFAULT_THRESHOLDS = { veryLow: 54, low: 70, high: 180, veryHigh: 250 };
+
+export const DEFAULT_TARGET_RANGES = {
+  day: DEFAULT_THRESHOLDS,
+  nightEnabled: false,
+  night: DEFAULT_THRESHOLDS,
+  nightStart: '22:00',
+  nightEnd: '06:00',
+};
+
+const LEVELS = {
+  veryLow:  { label: 'Very Low',  color: '#f87171', className: 'text-low' },
+  low:      { label: 'Low',       color: '#f87171', className: 'text-low' },
+  inRange:  { label: 'Normal',    color: '#4ade80', className: 'text-normal' },
+  high:     { label: 'High',      color: '#fbbf24', className: 'text-high' },
+  veryHigh: { label: 'Very High', color: '#f87171', className: 'text-very-high' },
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * 60000;
+
+function minutesOf(hhmm) {
+  const [h, m] = (hhmm || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+/** `minutes` wrapped into -720…720, the shortest way round the clock. */
+const wrapMinutes = (minutes) => ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY - MINUTES_PER_DAY / 2;
+
+/**
+ * Thresholds in effect at `time` (Date, ISO string or epoch ms). The night
+ * window is evaluated in the display timezone, like the server's
+ * TargetRangeProfile; windows such as 22:00–06:00 wrap past midnight.
+ */
+export function thresholdsAt(ranges, time, timeZone) {
+  if (!ranges.nightEnabled || time == null) return ranges.day;
+  const now = Math.floor(zonedParts(new Date(time).getTime(), timeZone).minuteOfDay);
+  return isNightMinute(ranges, now) ? ranges.night : ranges.day;
+}
+
+function isNightMinute(ranges, minute) {
+  const start = minutesOf(ranges.nightStart);
+  const end = minutesOf(ranges.nightEnd);
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Splits a 24h axis in minutes after local midnight (AGP, day overlay) at the
+ * night-window boundaries. The axis is already in the display timezone, so
+ * the boundaries are its plain HH:mm minutes.
+ */
+export function daySegments(ranges) {
+  if (!ranges.nightEnabled) return [{ x1: 0, x2: MINUTES_PER_DAY, thresholds: ranges.day }];
+
+  const cuts = [...new Set([0, MINUTES_PER_DAY, minutesOf(ranges.nightStart), minutesOf(ranges.nightEnd)])]
+    .filter(m => m >= 0 && m <= MINUTES_PER_DAY)
+    .sort((a, b) => a - b);
+  return cuts.slice(1).map((x2, i) => ({
+    x1: cuts[i],
+    x2,
+    thresholds: isNightMinute(ranges, (cuts[i] + x2) / 2) ? ranges.night : ranges.day,
+  }));
+}
+
+/**
+ * Splits the [start, end] time span (epoch ms) at night-window boundaries in
+ * the display timezone so time-axis charts can draw the band that applies to
+ * each stretch.
+ */
+export function rangeSegments(ranges, start, end, timeZone) {
+  if (!ranges.nightEnabled || !(end > start)) return [{ x1: start, x2: end, thresholds: ranges.day }];
+
+  const cuts = [start, end];
+  const startMinute = zonedParts(start, timeZone).minuteOfDay;
+  for (const hhmm of [ranges.nightStart, ranges.nightEnd]) {
+    const minutes = minutesOf(hhmm);
+    // Same wall-clock time every day; re-aligned each day in case a DST change falls in the span
+    for (let t = start + (minutes - startMinute) * 60000; t < end + DAY_MS; t += DAY_MS) {
+      const cut = t - wrapMinutes(zonedParts(t, timeZone).minuteOfDay - minutes) * 60000;
+      if (cut > start && cut < end) cuts.push(cut);
+    }
+  }
+  cuts.sort((a, b) => a - b);
+
+  return cuts.slice(1).map((x2, i) => ({
+    x1: cuts[i],
+    x2,
+    thresholds: thresholdsAt(ranges, (cuts[i] + x2) / 2, timeZone),
+  }));
+}
+
+/** Classifies a mg/dL value: veryLow, low, inRange, high or veryHigh. */
+export function glucoseLevel(value, thresholds) {
+  if (value < thresholds.veryLow) return 'veryLow';
+  if (value < thresholds.low) return 'low';
+  if (value <= thresholds.high) return 'inRange';
+  if (value <= thresholds.veryHigh) return 'high';
+  return 'veryHigh';
+}
+
+export function levelInfo(level) {
+  return LEVELS[level];
+}
@@ -0,0 +1,75 @@
+/**
+ * Word-level diff of two texts (e.g. two AI analyses), for side-by-side
+ * comparison. Whitespace is kept as its own token, so joining the parts of
+ * one side gives back its text.
+ */
+
+// Beyond this many token pairs the LCS table gets too large to build in the browser
+const MAX_CELLS = 4_000_000;
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(Boolean);
+
+/** Consecutive parts of the same type merged into one. */
+function merge(parts) {
+  const merged = [];
+  parts.forEach(part => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) last.text += part.text;
+    else merged.push({ ...part });
+  });
+  return merged;
+}
+
+/**
+ * Diff `before` against `after` as `[{ type, text }]`, where type is
+ * 'same', 'removed' (only in `before`) or 'added' (only in `after`).
+ * Uses a longest common subsequence of words; texts too long for that are
+ * reported as entirely removed and added.
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length * b.length > MAX_CELLS) {
+    return merge([
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text })),
+    ]);
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      parts.push({ type: 'removed', text: a[i++] });
+    } else {
+      parts.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) parts.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) parts.push({ type: 'added', text: b[j++] });
+  return merge(parts);
+}
+
+/** Share of words the two texts have in common, 0–1 (1 for two empty texts). */
+export function similarity(parts) {
+  const words = (type) => parts
+    .filter(p => p.type === type)
+    .reduce((n, p) => n + p.text.split(/\s+/).filter(Boolean).length, 0);
+  const same = words('same');
+  const total = same * 2 + words('removed') + words('added');
+  return total === 0 ? 1 : (same * 2) / total;
+}
@@ -0,0 +1,68 @@
+/**
+ * Local calendar parts in the display timezone from settings (an IANA id
+ * such as "Europe/Warsaw"), independent of the browser's own timezone.
+ * Unknown ids fall back to the browser's timezone.
+ */
+export const DEFAULT_TIME_ZONE = 'Europe/Warsaw';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    const options = {
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23',
+    };
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone });
+    } catch {
+      formatter = new Intl.DateTimeFormat('en-US', options);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * `{ dayKey: 'yyyy-MM-dd', minuteOfDay, weekday (0 = Sunday), isWeekend }`
+ * for epoch ms `time` in `timeZone`.
+ */
+export function zonedParts(time, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(time)).forEach(p => { parts[p.type] = p.value; });
+  const weekday = WEEKDAYS[parts.weekday];
+  return {
+    dayKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) + new Date(time).getSeconds() / 60,
+    weekday,
+    isWeekend: weekday === 0 || weekday === 6,
+  };
+}
+
+const wallClockMs = (date) => Date.UTC(
+  date.getFullYear(), date.getMonth(), date.getDate(),
+  date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+
+/**
+ * A Date whose browser-local fields show the wall-clock time of `time` in
+ * `timeZone`, so date-fns can format, snap and step it as local time.
+ * Convert back with fromWallClock().
+ */
+export function toWallClock(time, timeZone) {
+  const date = new Date(time);
+  const { dayKey, minuteOfDay } = zonedParts(date, timeZone);
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const minutes = Math.floor(minuteOfDay);
+  return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60, date.getSeconds(), date.getMilliseconds());
+}
+
+/** The instant whose wall-clock time in `timeZone` is the local fields of `wallClock`. */
+export function fromWallClock(wallClock, timeZone) {
+  const target = wallClockMs(wallClock);
+  let time = target;
+  // The offset at the guess can differ from the one at the answer across DST changes
+  for (let i = 0; i < 2; i++) time += target - wallClockMs(toWallClock(time, timeZone));
+  return new Date(time);
+}
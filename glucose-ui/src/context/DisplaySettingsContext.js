@@ -0,0 +1,132 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { MG_DL, convert, toDisplay, fromDisplay, formatGlucose, axisTicks } from '../config/glucoseUnits';
+import { DEFAULT_TARGET_RANGES, thresholdsAt, rangeSegments, daySegments, glucoseLevel, levelInfo } from '../config/targetRanges';
+import { DEFAULT_STALE_AFTER_MINUTES, readingAgeMinutes } from '../config/dataFreshness';
+import { DEFAULT_TIME_ZONE } from '../config/timeZone';
+import api, { isOfflineError } from '../api/client';
+import { getMeta, setMeta } from '../api/offlineStore';
+
+const DisplaySettingsContext = createContext({
+  unit: MG_DL,
+  ranges: DEFAULT_TARGET_RANGES,
+  staleAfterMinutes: DEFAULT_STALE_AFTER_MINUTES,
+  timeZone: DEFAULT_TIME_ZONE,
+});
+
+/**
+ * Loads the display preferences (/api/settings/display) and the target-range
+ * profile (/api/settings/ranges) once and shares them with every component.
+ * Saving in SettingsPage dispatches `displaySettingsUpdated`, which makes the
+ * provider reload. The last loaded values are kept in the offline store so an
+ * offline start still shows the user's unit and ranges.
+ */
+export function DisplaySettingsProvider({ children }) {
+  const [unit, setUnit] = useState(MG_DL);
+  const [ranges, setRanges] = useState(DEFAULT_TARGET_RANGES);
+  const [staleAfterMinutes, setStaleAfterMinutes] = useState(DEFAULT_STALE_AFTER_MINUTES);
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE);
+
+  const fetchSettings = useCallback(async () => {
+    const applyDisplay = (data) => {
+      setUnit(data.glucoseUnit || MG_DL);
+      setStaleAfterMinutes(data.staleAfterMinutes || DEFAULT_STALE_AFTER_MINUTES);
+      setTimeZone(data.timeZone || DEFAULT_TIME_ZONE);
+    };
+    // Offline, the copy saved on the last successful load beats the defaults
+    const load = (path, metaKey, apply, label) => api.get(path)
+      .then(data => {
+        apply(data);
+        setMeta(metaKey, data).catch(() => {});
+      })
+      .catch(async err => {
+        console.error(`Failed to fetch ${label}:`, err);
+        if (!isOfflineError(err)) return;
+        const saved = await getMeta(metaKey).catch(() => undefined);
+        if (saved) apply(saved);
+      });
+
+    // Each request falls back to its defaults on its own
+    await Promise.all([
+      load('/settings/display', 'displaySettings', applyDisplay, 'display settings'),
+      load('/settings/ranges', 'targetRanges', setRanges, 'target ranges'),
+    ]);
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+    window.addEventListener('displaySettingsUpdated', fetchSettings);
+    return () => window.removeEventListener('displaySettingsUpdated', fetchSettings);
+  }, [fetchSettings]);
+
+  const value = useMemo(
+    () => ({ unit, ranges, staleAfterMinutes, timeZone }),
+    [unit, ranges, staleAfterMinutes, timeZone]
+  );
+
+  return (
+    <DisplaySettingsContext.Provider value={value}>
+      {children}
+    </DisplaySettingsContext.Provider>
+  );
+}
+
+/**
+ * Unit-aware helpers bound to the user's display unit. All inputs and
+ * outputs of the API stay in mg/dL; convert only when rendering.
+ */
+export function useGlucoseUnit() {
+  const { unit } = useContext(DisplaySettingsContext);
+
+  return useMemo(() => ({
+    unit,
+    convert: (mgdl) => convert(mgdl, unit),
+    toDisplay: (mgdl) => toDisplay(mgdl, unit),
+    fromDisplay: (value) => fromDisplay(value, unit),
+    format: (mgdl, opts) => formatGlucose(mgdl, unit, opts),
+    axisTicks: (domain) => axisTicks(domain, unit),
+  }), [unit]);
+}
+
+/**
+ * The user's target ranges (mg/dL) with helpers that pick the day or night
+ * thresholds for a reading's timestamp. Every color, reference line and
+ * range label in the UI should come from here.
+ */
+export function useTargetRanges() {
+  const { ranges, timeZone } = useContext(DisplaySettingsContext);
+
+  return useMemo(() => {
+    const at = (time) => thresholdsAt(ranges, time, timeZone);
+    const level = (value, time) => glucoseLevel(value, at(time));
+    return {
+      ranges,
+      day: ranges.day,
+      at,
+      level,
+      color: (value, time) => levelInfo(level(value, time)).color,
+      className: (value, time) => levelInfo(level(value, time)).className,
+      label: (value, time) => levelInfo(level(value, time)).label,
+      segments: (start, end) => rangeSegments(ranges, start, end, timeZone),
+      daySegments: () => daySegments(ranges),
+    };
+  }, [ranges, timeZone]);
+}
+
+/**
+ * Staleness threshold for the latest reading. `gapMs` is the same threshold
+ * as the longest spacing between readings before charts and tables mark a gap.
+ */
+export function useDataFreshness() {
+  const { staleAfterMinutes } = useContext(DisplaySettingsContext);
+
+  return useMemo(() => ({
+    staleAfterMinutes,
+    gapMs: staleAfterMinutes * 60000,
+    isStale: (timestamp, now) => readingAgeMinutes(timestamp, now) >= staleAfterMinutes,
+  }), [staleAfterMinutes]);
+}
+
+/** The display timezone from settings (IANA id), for splitting readings into local days. */
+export function useDisplayTimeZone() {
+  return useContext(DisplaySettingsContext).timeZone;
+}
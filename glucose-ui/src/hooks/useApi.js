@@ -0,0 +1,34 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { api } from '../api/client';
+
+/**
+ * The shared API client bound to the calling component's lifetime: every
+ * request made through it is cancelled when the component unmounts, so a
+ * page that is left mid-load never sets state afterwards. Cancelled requests
+ * reject with an `aborted` ApiError, which `showError` ignores.
+ *
+ * Pass `{ signal }` in the options to manage cancellation yourself instead.
+ */
+export default function useApi() {
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+  }, []);
+
+  return useMemo(() => {
+    // Created lazily so a StrictMode remount gets a fresh, un-aborted controller
+    const withSignal = (options) => {
+      if (!controllerRef.current) controllerRef.current = new AbortController();
+      return { signal: controllerRef.current.signal, ...options };
+    };
+    return {
+      get: (path, options) => api.get(path, withSignal(options)),
+      post: (path, body, options) => api.post(path, body, withSignal(options)),
+      put: (path, body, options) => api.put(path, body, withSignal(options)),
+      patch: (path, body, options) => api.patch(path, body, withSignal(options)),
+      delete: (path, options) => api.delete(path, withSignal(options)),
+    };
+  }, []);
+}
@@ -0,0 +1,48 @@
+import { useSyncExternalStore } from 'react';
+import { invalidateQueries } from '../api/queryCache';
+import { showToast } from '../components/Toaster';
+
+// The running bulk re-analysis `{ jobId, processed, total, failed }`, kept outside
+// React so leaving the Events page doesn't lose it
+let job = null;
+const listeners = new Set();
+
+function setJob(next) {
+  job = next;
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Registered once, so progress and the final toast arrive on any page. Progress
+// messages of other jobs (e.g. started in another tab) are ignored.
+window.addEventListener('bulkActionProgress', (e) => {
+  const progress = e.detail;
+  if (!job || progress.jobId !== job.jobId) return;
+  if (!progress.done) {
+    setJob(progress);
+    return;
+  }
+  setJob(null);
+  invalidateQueries(['/events', '/meals']);
+  const analysed = progress.processed - progress.failed;
+  showToast(
+    `Re-analysed ${analysed} of ${progress.total} events${progress.failed ? `, ${progress.failed} failed` : ''}`,
+    progress.failed ? 'info' : 'success');
+});
+
+/** Start following a job returned by POST /events/bulk. */
+export function trackBulkJob(jobId, total) {
+  setJob({ jobId, processed: 0, total, failed: 0 });
+}
+
+/**
+ * The bulk re-analysis in progress (or null), updated from the
+ * "bulkActionProgress" window event that App dispatches for SignalR.
+ */
+export default function useBulkJob() {
+  return useSyncExternalStore(subscribe, () => job);
+}
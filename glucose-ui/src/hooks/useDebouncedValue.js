@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * `value` once it has stopped changing for `delay` ms, so typing into a
+ * filter fetches once per pause instead of once per keystroke.
+ */
+export default function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
@@ -0,0 +1,130 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useGlucoseUnit } from '../context/DisplaySettingsContext';
+import {
+  DEFAULT_ALERT_SETTINGS,
+  ALERT_RULES,
+  evaluateAlerts,
+  alertMessage,
+  isQuietTime,
+  loadSnoozes,
+  saveSnoozes,
+} from '../config/alertRules';
+import useApi from './useApi';
+import { isAbortError } from '../api/client';
+
+const TICK_MS = 60000;
+
+function notify(alert, body) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const rule = ALERT_RULES[alert.id];
+  try {
+    const notification = new Notification(`${rule.icon} ${rule.title}`, {
+      body,
+      tag: `glucose-${alert.id}`,
+      renotify: true,
+      requireInteraction: rule.urgent,
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Failed to show notification:', err);
+  }
+}
+
+/**
+ * Client-side glucose alerting. Evaluates the latest reading against the
+ * rules from /api/settings/alerts whenever `glucoseDataUpdated` fires (the
+ * SignalR `NewGlucoseData` handler dispatches it) and once a minute for the
+ * "no data" rule. A rule notifies when it starts and again every
+ * `reAlertMinutes` while it stays active, unless snoozed; quiet hours mute
+ * everything but urgent lows.
+ *
+ * Returns `{ alerts, snooze, snoozeMinutes }` where `alerts` are the active
+ * rules (with `snoozedUntil` when snoozed) for the in-app banner.
+ */
+export default function useGlucoseAlerts() {
+  const glucoseUnit = useGlucoseUnit();
+  const [settings, setSettings] = useState(DEFAULT_ALERT_SETTINGS);
+  const [reading, setReading] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [snoozes, setSnoozes] = useState(() => loadSnoozes());
+  const lastNotifiedRef = useRef({});
+  const client = useApi();
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const data = await client.get('/settings/alerts');
+      setSettings({ ...DEFAULT_ALERT_SETTINGS, ...data });
+    } catch (err) {
+      if (!isAbortError(err)) console.error('Failed to fetch alert settings:', err);
+    }
+  }, [client]);
+
+  const fetchLatest = useCallback(async () => {
+    try {
+      setReading(await client.get('/glucose/latest'));
+    } catch (err) {
+      if (!isAbortError(err)) console.error('Failed to fetch latest reading for alerts:', err);
+    } finally {
+      setNow(Date.now());
+    }
+  }, [client]);
+
+  useEffect(() => {
+    fetchSettings();
+    window.addEventListener('alertSettingsUpdated', fetchSettings);
+    return () => window.removeEventListener('alertSettingsUpdated', fetchSettings);
+  }, [fetchSettings]);
+
+  useEffect(() => {
+    if (!settings.enabled) return;
+    fetchLatest();
+    window.addEventListener('glucoseDataUpdated', fetchLatest);
+    const interval = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => {
+      window.removeEventListener('glucoseDataUpdated', fetchLatest);
+      clearInterval(interval);
+    };
+  }, [settings.enabled, fetchLatest]);
+
+  const triggered = useMemo(() => evaluateAlerts(settings, reading, now), [settings, reading, now]);
+
+  useEffect(() => {
+    const activeIds = new Set(triggered.map(a => a.id));
+    // A rule that cleared notifies immediately the next time it triggers
+    for (const id of Object.keys(lastNotifiedRef.current)) {
+      if (!activeIds.has(id)) delete lastNotifiedRef.current[id];
+    }
+
+    const quiet = isQuietTime(settings, new Date(now));
+    const reAlertMs = settings.reAlertMinutes * 60000;
+    for (const alert of triggered) {
+      if (snoozes[alert.id] > now) continue;
+      if (quiet && !ALERT_RULES[alert.id].urgent) continue;
+      const last = lastNotifiedRef.current[alert.id];
+      if (last && now - last < reAlertMs) continue;
+      lastNotifiedRef.current[alert.id] = now;
+      notify(alert, alertMessage(alert, glucoseUnit.format));
+    }
+  }, [triggered, snoozes, settings, now, glucoseUnit]);
+
+  const snooze = useCallback((ruleId, minutes) => {
+    setSnoozes(prev => {
+      const next = { ...prev, [ruleId]: Date.now() + minutes * 60000 };
+      saveSnoozes(next);
+      return next;
+    });
+  }, []);
+
+  const alerts = useMemo(() => triggered.map(alert => ({
+    ...alert,
+    ...ALERT_RULES[alert.id],
+    message: alertMessage(alert, glucoseUnit.format),
+    snoozedUntil: snoozes[alert.id] > now ? snoozes[alert.id] : null,
+  })), [triggered, snoozes, now, glucoseUnit]);
+
+  return { alerts, snooze, snoozeMinutes: settings.snoozeMinutes };
+}
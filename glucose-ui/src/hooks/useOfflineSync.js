@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import api, { isAbortError } from '../api/client';
+import {
+  OFFLINE_DAYS,
+  saveReadings,
+  saveEvents,
+  saveEventDetail,
+  getEventDetails,
+  pruneEventDetails,
+  saveDailySummaries,
+  setMeta,
+  getMeta,
+} from '../api/offlineStore';
+import { parseUtc } from '../config/dataFreshness';
+import useOnlineStatus from './useOnlineStatus';
+
+const SYNC_INTERVAL_MS = 15 * 60000;
+const EVENTS_PAGE_SIZE = 50;
+
+// Changes whenever the server would return a different detail for the event
+const detailVersion = (e) => `${e.isProcessed}|${e.analysisCount}|${e.readingCount}|${e.aiClassification}`;
+
+async function fetchRecentEvents(since) {
+  const events = [];
+  for (let offset = 0; ; offset += EVENTS_PAGE_SIZE) {
+    const page = await api.get('/events', { query: { limit: EVENTS_PAGE_SIZE, offset } });
+    const recent = page.items.filter(e => parseUtc(e.eventTimestamp) >= since);
+    events.push(...recent);
+    if (recent.length < page.items.length || offset + page.items.length >= page.totalCount) return events;
+  }
+}
+
+// Only events that are new or changed since their detail was stored are fetched
+async function syncEventDetails(events) {
+  const stored = new Map((await getEventDetails()).map(d => [d.id, d.offlineVersion]));
+  for (const event of events) {
+    const version = detailVersion(event);
+    if (stored.get(event.id) === version) continue;
+    const detail = await api.get(`/events/${event.id}`);
+    await saveEventDetail({ ...detail, offlineVersion: version });
+  }
+  await pruneEventDetails(events.map(e => e.id));
+}
+
+async function syncOfflineData() {
+  const since = Date.now() - OFFLINE_DAYS * 86400000;
+  const lastSync = await getMeta('syncedAt');
+  // After the first full copy only the readings since the last sync are fetched
+  const hours = lastSync > since
+    ? Math.ceil((Date.now() - lastSync) / 3600000) + 1
+    : OFFLINE_DAYS * 24;
+
+  const [readings, stats, events, summaries] = await Promise.all([
+    api.get('/glucose/history', { query: { hours } }),
+    api.get('/glucose/stats', { query: { hours: 24 } }),
+    fetchRecentEvents(since),
+    api.get('/dailysummaries', { query: { limit: OFFLINE_DAYS } }),
+  ]);
+
+  await saveReadings(readings);
+  await setMeta('stats:24', stats);
+  await syncEventDetails(events);
+  await saveEvents(events);
+  await saveDailySummaries(summaries.items);
+
+  const syncedAt = Date.now();
+  await setMeta('syncedAt', syncedAt);
+  return syncedAt;
+}
+
+/**
+ * Keeps the offline copy (api/offlineStore.js) of the last OFFLINE_DAYS of
+ * readings, events and daily summaries current: on start, every 15 minutes,
+ * on SignalR data pushes and as soon as the connection comes back. Mounted
+ * once in App.
+ *
+ * Returns `{ online, syncedAt }`; `syncedAt` (epoch ms) is when the offline
+ * copy was last brought up to date.
+ */
+export default function useOfflineSync() {
+  const online = useOnlineStatus();
+  const [syncedAt, setSyncedAt] = useState(null);
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    getMeta('syncedAt')
+      .then(value => { if (value) setSyncedAt(value); })
+      .catch(err => console.error('Failed to read offline data:', err));
+  }, []);
+
+  const sync = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    try {
+      setSyncedAt(await syncOfflineData());
+    } catch (err) {
+      if (!isAbortError(err)) console.error('Offline sync failed:', err);
+    } finally {
+      syncingRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!online) return;
+    sync();
+    const interval = setInterval(sync, SYNC_INTERVAL_MS);
+    const events = ['glucoseDataUpdated', 'eventsUpdated', 'dailySummariesUpdated'];
+    events.forEach(name => window.addEventListener(name, sync));
+    return () => {
+      clearInterval(interval);
+      events.forEach(name => window.removeEventListener(name, sync));
+    };
+  }, [online, sync]);
+
+  // The network is back but the server was unreachable: a sync attempt shows
+  // whether it answers again (a success flips `online` through the client)
+  useEffect(() => {
+    window.addEventListener('online', sync);
+    return () => window.removeEventListener('online', sync);
+  }, [sync]);
+
+  return { online, syncedAt };
+}
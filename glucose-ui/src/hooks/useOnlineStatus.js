@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { CONNECTIVITY_EVENT, isServerReachable } from '../api/client';
+
+const isOnline = () => navigator.onLine && isServerReachable();
+
+/**
+ * True while the browser has a network connection and the last API request
+ * reached the server. Flips on the browser's online/offline events and on
+ * the API client's connectivity event.
+ */
+export default function useOnlineStatus() {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    window.addEventListener(CONNECTIVITY_EVENT, update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+      window.removeEventListener(CONNECTIVITY_EVENT, update);
+    };
+  }, []);
+
+  return online;
+}
@@ -0,0 +1,20 @@
+import { useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { paths } from '../config/routes';
+
+/**
+ * Returns a callback that opens the event detail modal via its deep link
+ * (/events/:id) while keeping the current page rendered underneath.
+ * The current location is passed as `backgroundLocation` route state, so
+ * closing the modal (or pressing Back) returns to where the user was.
+ */
+export default function useOpenEvent() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  return useCallback((eventId) => {
+    if (!eventId) return;
+    const background = location.state?.backgroundLocation || location;
+    navigate(paths.event(eventId), { state: { backgroundLocation: background } });
+  }, [navigate, location]);
+}
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import api, { isOfflineError } from '../api/client';
+import { DEFAULT_STALE_MS, queryKey, getQueryState, subscribe, fetchQuery, setQueryData } from '../api/queryCache';
+import { showError } from '../components/Toaster';
+
+/**
+ * Cached infinite-scroll list for endpoints that take `limit`/`offset` and
+ * return `{ items, totalCount }`. The whole loaded list is one cache entry,
+ * so returning to a page restores every page that was scrolled in. A
+ * revalidation reloads the list in one request sized to what is loaded.
+ *
+ * Options: `query` (filters, without limit/offset), `pageSize`, `staleTime`,
+ * `errorContext` (see useQuery) and `offlineFallback`, an async function
+ * returning `{ items, totalCount }` from the offline store that is used
+ * instead when the server cannot be reached.
+ *
+ * Returns `{ items, totalCount, hasMore, loading, loadingMore, loadMore, refetch }`.
+ */
+export default function usePagedQuery(path, { query, pageSize, staleTime = DEFAULT_STALE_MS, errorContext, offlineFallback } = {}) {
+  const key = queryKey(path, query);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const queryRef = useRef(query);
+  queryRef.current = query;
+  const fallbackRef = useRef(offlineFallback);
+  fallbackRef.current = offlineFallback;
+
+  const state = useSyncExternalStore(
+    useCallback(listener => subscribe(key, listener), [key]),
+    () => getQueryState(key)
+  );
+
+  const refetch = useCallback(() => {
+    const fetcher = () => {
+      const loaded = getQueryState(key).data?.items.length || 0;
+      return api.get(path, { query: { ...queryRef.current, limit: Math.max(pageSize, loaded), offset: 0 } })
+        .catch(err => {
+          if (fallbackRef.current && isOfflineError(err)) return fallbackRef.current();
+          throw err;
+        });
+    };
+    return fetchQuery(key, fetcher).catch(err => {
+      if (errorContext) showError(err, errorContext);
+    });
+  }, [key, path, pageSize, errorContext]);
+
+  useEffect(() => {
+    const { updatedAt } = getQueryState(key);
+    if (Date.now() - updatedAt >= staleTime) refetch();
+  }, [key, staleTime, refetch]);
+
+  const items = state.data?.items || [];
+  const totalCount = state.data?.totalCount || 0;
+  const hasMore = state.data !== undefined && items.length < totalCount;
+
+  const loadMore = useCallback(async () => {
+    const current = getQueryState(key).data;
+    if (!current) return;
+    setLoadingMore(true);
+    try {
+      const next = await api.get(path, {
+        query: { ...queryRef.current, limit: pageSize, offset: current.items.length },
+      });
+      setQueryData(key, prev => ({
+        items: [...(prev?.items || []), ...next.items],
+        totalCount: next.totalCount,
+      }));
+    } catch (err) {
+      if (errorContext) showError(err, errorContext);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [key, path, pageSize, errorContext]);
+
+  return {
+    items,
+    totalCount,
+    hasMore,
+    loading: state.data === undefined && !state.error,
+    loadingMore,
+    loadMore,
+    refetch,
+  };
+}
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import api from '../api/client';
+import { DEFAULT_STALE_MS, queryKey, getQueryState, subscribe, fetchQuery } from '../api/queryCache';
+import { showError } from '../components/Toaster';
+
+/**
+ * Cached GET of `path` with `query` params (stale-while-revalidate): cached
+ * data is returned immediately and refetched in the background when older
+ * than `staleTime`, or when a SignalR update invalidates it. Every component
+ * reading the same key shares one request and re-renders with the result.
+ *
+ * Options: `query`, `enabled` (default true), `staleTime` (ms) and
+ * `errorContext`, which toasts failures via `showError` (e.g. "Failed to load meals").
+ *
+ * Returns `{ data, error, loading, refreshing, refetch }`; `loading` is only
+ * true while there is no cached data yet.
+ */
+export default function useQuery(path, { query, enabled = true, staleTime = DEFAULT_STALE_MS, errorContext } = {}) {
+  const key = queryKey(path, query);
+
+  const state = useSyncExternalStore(
+    useCallback(listener => subscribe(key, listener), [key]),
+    () => getQueryState(key)
+  );
+
+  const refetch = useCallback(() => {
+    // Not tied to the component's lifetime: other views may share the result
+    return fetchQuery(key, () => api.get(path, { query: queryFromKey(key) })).catch(err => {
+      if (errorContext) showError(err, errorContext);
+    });
+  }, [key, path, errorContext]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const { updatedAt } = getQueryState(key);
+    if (Date.now() - updatedAt >= staleTime) refetch();
+  }, [key, enabled, staleTime, refetch]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: enabled && state.data === undefined && !state.error,
+    refreshing: state.fetching && state.data !== undefined,
+    refetch,
+  };
+}
+
+// The key already holds the normalised params; reusing it keeps `query` out of the deps
+function queryFromKey(key) {
+  const i = key.indexOf('?');
+  return i < 0 ? undefined : new URLSearchParams(key.slice(i + 1));
+}
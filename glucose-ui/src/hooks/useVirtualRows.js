@@ -0,0 +1,40 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Windowing for long lists with fixed-height rows inside a scroll container
+ * (overflow-y: auto). Only the rows in view plus `overscan` on each side are
+ * rendered; `padTop` / `padBottom` are the heights of the rows left out, to
+ * be filled with spacers so the scrollbar stays true.
+ *
+ * @param {number} count - total number of rows
+ * @param {{ rowHeight: number, overscan?: number }} opts
+ * @returns {{ containerRef, onScroll, start, end, padTop, padBottom }} rows [start, end) are rendered
+ */
+export default function useVirtualRows(count, { rowHeight, overscan = 10 }) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const measure = () => setViewportHeight(el.clientHeight || 600);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const onScroll = useCallback((e) => setScrollTop(e.currentTarget.scrollTop), []);
+
+  const start = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    padTop: start * rowHeight,
+    padBottom: Math.max(0, count - end) * rowHeight,
+  };
+}
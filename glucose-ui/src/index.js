@@ -1,10 +1,20 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { DisplaySettingsProvider } from './context/DisplaySettingsContext';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      <DisplaySettingsProvider>
+        <App />
+      </DisplaySettingsProvider>
+    </BrowserRouter>
   </React.StrictMode>
 );
+
+// Installable PWA with an offline app shell (see public/service-worker.js)
+serviceWorkerRegistration.register();
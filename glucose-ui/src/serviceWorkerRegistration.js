@@ -0,0 +1,14 @@
+/**
+ * Registers public/service-worker.js (the offline app shell) in production
+ * builds. Browsers only allow service workers on HTTPS or localhost; anywhere
+ * else the app simply runs without offline support.
+ */
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('[SW] Registration failed:', err));
+  });
+}